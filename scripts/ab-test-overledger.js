@@ -32,14 +32,16 @@ const fs   = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const Anthropic = require('@anthropic-ai/sdk');
+const { ROOT_DIR, DATA_DIR, SCRIPTS_DIR } = require('./utils/paths');
+const { stripIntegrity } = require('./ledger-integrity');
 
 // ─── Paths ───────────────────────────────────────────────────────────────────
 
-const DASHBOARD_PATH      = path.join(__dirname, '..', 'dashboard-data.json');
-const THESIS_CONTEXT_PATH = path.join(__dirname, 'thesis-context.md');
-const LEDGER_PATH         = path.join(__dirname, '..', 'data', 'corrections-ledger.json');
-const REPORT_PATH         = path.join(__dirname, '..', 'data', '360-report.json');
-const OUTPUT_PATH         = path.join(__dirname, '..', 'data', 'ab-test-results.json');
+const DASHBOARD_PATH      = path.join(ROOT_DIR, 'dashboard-data.json');
+const THESIS_CONTEXT_PATH = path.join(SCRIPTS_DIR, 'thesis-context.md');
+const LEDGER_PATH         = path.join(DATA_DIR, 'corrections-ledger.json');
+const REPORT_PATH         = path.join(DATA_DIR, '360-report.json');
+const OUTPUT_PATH         = path.join(DATA_DIR, 'ab-test-results.json');
 
 // ─── Layer Zero Rules (identical to production) ──────────────────────────────
 
@@ -710,7 +712,7 @@ async function main() {
 
   let correctionsLedger = [];
   if (fs.existsSync(LEDGER_PATH)) {
-    correctionsLedger = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8'));
+    correctionsLedger = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8')).map(stripIntegrity);
     log('setup', `Loaded corrections ledger: ${correctionsLedger.length} entries`);
   } else {
     err('setup', 'Corrections ledger not found — test requires active ledger entries');
@@ -23,13 +23,14 @@
  * The Integrity Protocol — Patent Pending — Timothy Joseph Wrenn
  */
 
-const https = require('https');
 const path  = require('path');
 const fs    = require('fs');
+const { DATA_DIR } = require('./utils/paths');
+const { callModel, resolveRole } = require('./model-providers');
 
 // ─── Auditor Corrections Ledger ────────────────────────────────────────────
 
-const AUDITOR_CORRECTIONS_PATH = path.join(__dirname, '..', 'data', 'auditor-corrections-ledger.json');
+const AUDITOR_CORRECTIONS_PATH = path.join(DATA_DIR, 'auditor-corrections-ledger.json');
 
 function loadAuditorCorrections(correctionsPath) {
   const p = correctionsPath || AUDITOR_CORRECTIONS_PATH;
@@ -56,67 +57,6 @@ function formatAuditorCorrections(corrections) {
   return text;
 }
 
-// ─── Gemini API Call ───────────────────────────────────────────────────────
-
-/**
- * Call the Gemini API via REST.
- * No SDK dependency — raw HTTPS POST.
- *
- * @param {string} prompt — the full prompt text
- * @param {string} apiKey — GEMINI_API_KEY
- * @param {string} model  — e.g. 'gemini-2.5-pro' or 'gemini-2.5-flash'
- * @returns {Promise<string>} — raw text response
- */
-async function callGemini(prompt, apiKey, model) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
-
-  const body = JSON.stringify({
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      temperature: 0.2,    // Low temperature for disciplined review
-      maxOutputTokens: 4000,
-    },
-  });
-
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const options = {
-      hostname: urlObj.hostname,
-      path: urlObj.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': apiKey,
-        'Content-Length': Buffer.byteLength(body),
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(data);
-          if (parsed.candidates && parsed.candidates[0]?.content?.parts?.[0]?.text) {
-            resolve(parsed.candidates[0].content.parts[0].text);
-          } else if (parsed.error) {
-            reject(new Error(`Gemini API error: ${parsed.error.message || JSON.stringify(parsed.error)}`));
-          } else {
-            reject(new Error(`Gemini API unexpected response structure: ${data.substring(0, 500)}`));
-          }
-        } catch (e) {
-          reject(new Error(`Gemini response parse failed: ${e.message}`));
-        }
-      });
-    });
-
-    req.on('error', (e) => reject(new Error(`Gemini request failed: ${e.message}`)));
-    req.setTimeout(60000, () => { req.destroy(); reject(new Error('Gemini request timeout (60s)')); });
-    req.write(body);
-    req.end();
-  });
-}
-
 // ─── Build Auditor Prompt ──────────────────────────────────────────────────
 
 /**
@@ -271,7 +211,7 @@ function parseAuditorResponse(rawText) {
  * @param {Array}       options.trajectory         — extracted trajectory entries
  * @param {Array}       options.triggerMismatches  — mismatch findings from trigger layer
  * @param {object|null} options.priorAdvisory      — active advisory if follow-up
- * @param {object}      options.modelConfig        — { provider, model, apiKey }
+ * @param {object}      [options.domainConfig]     — domain config for the auditor model role
  * @param {string}      [options.correctionsPath]  — override path for auditor corrections
  * @returns {Promise<object>} — { verdict, finding, rawResponse, model_used, audit_failed }
  */
@@ -283,10 +223,11 @@ async function runAIAudit(options) {
     trajectory,
     triggerMismatches,
     priorAdvisory,
-    modelConfig,
+    domainConfig,
     correctionsPath,
   } = options;
 
+  const modelConfig = resolveRole('auditor', domainConfig);
   const label = '[auditor-ai]';
   console.log(`${label} === BLIND AUDITOR AI REVIEW ===`);
   console.log(`${label} Model: ${modelConfig.provider}/${modelConfig.model}`);
@@ -309,40 +250,25 @@ async function runAIAudit(options) {
 
   console.log(`${label} Prompt built (${prompt.length} chars)`);
 
-  // Make AI call with retry
+  // Make AI call (retry handled by the provider registry)
   let rawResponse = null;
   let auditResult = null;
 
-  for (let attempt = 1; attempt <= 2; attempt++) {
-    try {
-      console.log(`${label} API call (attempt ${attempt})...`);
-
-      if (modelConfig.provider === 'gemini') {
-        rawResponse = await callGemini(prompt, modelConfig.apiKey, modelConfig.model);
-      } else {
-        throw new Error(`Unsupported auditor model provider: ${modelConfig.provider}. Supported: gemini`);
-      }
-
-      auditResult = parseAuditorResponse(rawResponse);
-      if (auditResult) {
-        console.log(`${label} Verdict: ${auditResult.verdict}`);
-        console.log(`${label} Alignment: ${auditResult.reasoning_action_alignment?.aligned ? 'ALIGNED' : 'MISALIGNED'}`);
-        if (auditResult.justification_review?.assessment && auditResult.justification_review.assessment !== 'NOT_APPLICABLE') {
-          console.log(`${label} Justification: ${auditResult.justification_review.assessment}`);
-        }
-        console.log(`${label} Reasoning: ${auditResult.auditor_reasoning}`);
-        break;
-      }
-
-      console.warn(`${label} Attempt ${attempt} returned unparseable response`);
-    } catch (e) {
-      console.error(`${label} Attempt ${attempt} failed: ${e.message}`);
-      if (attempt === 2) {
-        console.error(`${label} AI Audit FAILED after 2 attempts`);
-      } else {
-        await new Promise(r => setTimeout(r, 5000));
-      }
+  try {
+    ({ text: rawResponse, data: auditResult } = await callModel('auditor', { prompt }, {
+      label: 'auditor-ai',
+      domainConfig,
+      parse: parseAuditorResponse,
+    }));
+    console.log(`${label} Verdict: ${auditResult.verdict}`);
+    console.log(`${label} Alignment: ${auditResult.reasoning_action_alignment?.aligned ? 'ALIGNED' : 'MISALIGNED'}`);
+    if (auditResult.justification_review?.assessment && auditResult.justification_review.assessment !== 'NOT_APPLICABLE') {
+      console.log(`${label} Justification: ${auditResult.justification_review.assessment}`);
     }
+    console.log(`${label} Reasoning: ${auditResult.auditor_reasoning}`);
+  } catch (e) {
+    rawResponse = e.lastText || null;
+    console.error(`${label} AI Audit FAILED after all attempts: ${e.message}`);
   }
 
   if (!auditResult) {
@@ -369,7 +295,6 @@ async function runAIAudit(options) {
 
 module.exports = {
   runAIAudit,
-  callGemini,
   buildAuditorPrompt,
   parseAuditorResponse,
   loadAuditorCorrections,
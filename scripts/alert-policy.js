@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Alert Policy — deduplication, escalation, resolution and digests
+ *
+ * Pipeline alerts (layer failures, anomaly triggers, auditor advisories and
+ * overrides, budget halts) go through raiseAlert() instead of straight to
+ * notifier.js. data/alert-state.json remembers every alert by key
+ * `<type>:<subject>`:
+ *
+ *   new            — first raise, or first since it resolved: sent
+ *   persisting     — raised again in a later run while still ACTIVE:
+ *                    consecutive_runs + 1. On reaching escalate_after_runs it
+ *                    is re-sent once as CRITICAL with the ESCALATED tag.
+ *                    Otherwise it is sent again only after cooldown_hours,
+ *                    and suppressed (counted into the digest) until then.
+ *   resolved       — clearAlert(), or syncAlerts() without it: one RESOLVED
+ *                    notice, then the key is quiet until raised again
+ *
+ * Repeats within one run never count as persistence. sendDigest() sends the
+ * alerts suppressed since the last digest, at most once per
+ * alert_digest_interval_hours.
+ *
+ * Thresholds (config/domain.json): alert_cooldown_hours,
+ * alert_escalate_after_runs, alert_digest_interval_hours. An alert may
+ * override cooldown_hours / escalate_after_runs itself — anomaly alerts take
+ * them (and severity) from their anomaly_triggers entry.
+ *
+ * Alert types raised by analyze-thesis.js:
+ *   layer_failure     — subject layer2 / layer3 / layer4
+ *   run_failure       — subject names the missing input or credential
+ *   budget_halt       — subject run / day
+ *   anomaly           — subject anomaly_triggers id
+ *   auditor_advisory  — subject Blind Auditor finding_id
+ *   auditor_override  — subject Blind Auditor finding_id of the state-lock
+ *
+ * Raised by run-scheduler.js:
+ *   missed_run        — subject run type (morning / evening / ...)
+ *
+ * Usage:
+ *   node scripts/alert-policy.js status             # active alerts and the pending digest
+ *   node scripts/alert-policy.js digest [--force]   # send the digest now
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
+const { notify } = require('./notifier');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const ALERT_STATE_PATH = path.join(DATA_DIR, 'alert-state.json');
+const HOUR_MS = 3_600_000;
+
+const DEFAULTS = {
+  alert_cooldown_hours: 24,
+  alert_escalate_after_runs: 3,
+  alert_digest_interval_hours: 24,
+};
+
+function log(msg)  { console.log(`[alerts] ${msg}`); }
+function warn(msg) { console.warn(`[alerts] WARN: ${msg}`); }
+
+// Run ID raises are counted against; set once per pipeline run
+let currentRunId = null;
+
+/**
+ * Start counting raises against a pipeline run. Raises without a run (ad hoc
+ * scripts) each count as their own run.
+ * @param {string} runId
+ */
+function beginRun(runId) {
+  currentRunId = runId;
+}
+
+// ─── State ──────────────────────────────────────────────────────────────────
+
+function loadDomainConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'domain.json'), 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+function loadAlertState(statePath = ALERT_STATE_PATH) {
+  if (!fs.existsSync(statePath)) return { alerts: {}, last_digest_at: null };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { alerts: state.alerts || {}, last_digest_at: state.last_digest_at || null };
+  } catch (e) {
+    warn(`${path.basename(statePath)} unreadable — starting a fresh alert state: ${e.message}`);
+    return { alerts: {}, last_digest_at: null };
+  }
+}
+
+function saveAlertState(state, statePath = ALERT_STATE_PATH) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+function alertKey(type, subject) {
+  return `${type}:${subject}`;
+}
+
+function policyFor(alert, domainConfig) {
+  const cfg = { ...DEFAULTS, ...domainConfig };
+  return {
+    cooldownMs: (alert.cooldown_hours ?? cfg.alert_cooldown_hours) * HOUR_MS,
+    escalateAfter: alert.escalate_after_runs ?? cfg.alert_escalate_after_runs,
+  };
+}
+
+// ─── Decisions ──────────────────────────────────────────────────────────────
+
+/**
+ * Record one raise and decide what to send. Pure — mutates only `state`.
+ *
+ * @param {object} state — loadAlertState() result
+ * @param {object} alert — { type, subject, severity, title, ...notifier message fields }
+ * @param {object} [options] — { runId, now, domainConfig }
+ * @returns {{ action: 'SEND' | 'ESCALATE' | 'REMIND' | 'SUPPRESS', record: object }}
+ */
+function decideAlert(state, alert, options = {}) {
+  if (!alert.type || alert.subject === undefined || alert.subject === null) {
+    throw new Error('Alerts need a type and a subject');
+  }
+  const now = options.now || new Date();
+  const nowIso = now.toISOString();
+  const runId = options.runId || nowIso;
+  const key = alertKey(alert.type, alert.subject);
+  const { cooldownMs, escalateAfter } = policyFor(alert, options.domainConfig);
+
+  let record = state.alerts[key];
+  if (!record || record.status !== 'ACTIVE') {
+    record = {
+      key,
+      type: alert.type,
+      subject: String(alert.subject),
+      status: 'ACTIVE',
+      first_seen: nowIso,
+      last_seen: nowIso,
+      last_run_id: runId,
+      consecutive_runs: 1,
+      escalated: false,
+      last_sent: nowIso,
+      suppressed_since_sent: 0,
+      title: alert.title,
+      severity: alert.severity,
+      previous_occurrences: record ? (record.previous_occurrences || 0) + 1 : 0,
+    };
+    state.alerts[key] = record;
+    return { action: 'SEND', record };
+  }
+
+  const newRun = record.last_run_id !== runId;
+  if (newRun) record.consecutive_runs++;
+  record.last_seen = nowIso;
+  record.last_run_id = runId;
+  record.title = alert.title;
+  record.severity = alert.severity;
+
+  if (newRun && !record.escalated && record.consecutive_runs >= escalateAfter) {
+    record.escalated = true;
+    record.last_sent = nowIso;
+    record.suppressed_since_sent = 0;
+    return { action: 'ESCALATE', record };
+  }
+  if (newRun && now - new Date(record.last_sent) >= cooldownMs) {
+    record.last_sent = nowIso;
+    record.suppressed_since_sent = 0;
+    return { action: 'REMIND', record };
+  }
+
+  record.suppressed_since_sent++;
+  record.suppressed_total = (record.suppressed_total || 0) + 1;
+  const pending = record.digest_pending || (record.digest_pending = { count: 0, first: nowIso });
+  pending.count++;
+  pending.last = nowIso;
+  return { action: 'SUPPRESS', record };
+}
+
+function runsLine(record) {
+  return `Active for ${record.consecutive_runs} run(s) since ${record.first_seen}`;
+}
+
+function outgoingMessage(alert, action, record) {
+  const message = { ...alert, kind: alert.kind || alert.type };
+  delete message.type; delete message.subject; delete message.cooldown_hours; delete message.escalate_after_runs;
+  if (action === 'ESCALATE') {
+    message.severity = 'CRITICAL';
+    message.tags = [...(alert.tags || []), 'ESCALATED'];
+    message.title = `ESCALATED: ${alert.title}`;
+    message.footer = [...(alert.footer || []), `${runsLine(record)}.`];
+  } else if (action === 'REMIND') {
+    message.title = `STILL ACTIVE: ${alert.title}`;
+    message.footer = [...(alert.footer || []), `${runsLine(record)}.`];
+  }
+  return message;
+}
+
+// ─── Raise / Clear ──────────────────────────────────────────────────────────
+
+/**
+ * Raise an alert under the policy: send, escalate, remind or suppress.
+ *
+ * @param {object} alert — { type, subject, severity, title, summary, sections, footer, tags, icon }
+ * @param {object} [options] — { runId, now, domainConfig, statePath, notifyOptions }
+ * @returns {Promise<string>} the action taken
+ */
+async function raiseAlert(alert, options = {}) {
+  const statePath = options.statePath || ALERT_STATE_PATH;
+  const domainConfig = options.domainConfig || loadDomainConfig();
+  const state = loadAlertState(statePath);
+  const { action, record } = decideAlert(state, alert, { ...options, runId: options.runId || currentRunId, domainConfig });
+  saveAlertState(state, statePath);
+
+  if (action === 'SUPPRESS') {
+    log(`${record.key} suppressed (${record.suppressed_since_sent} since last notice, run ${record.consecutive_runs})`);
+  } else {
+    log(`${record.key} → ${action}`);
+    await notify(outgoingMessage(alert, action, record), options.notifyOptions);
+  }
+  return action;
+}
+
+function resolveRecord(state, key, now) {
+  const record = state.alerts[key];
+  if (!record || record.status !== 'ACTIVE') return null;
+  record.status = 'RESOLVED';
+  record.resolved_at = now.toISOString();
+  return record;
+}
+
+async function sendResolved(records, options) {
+  for (const record of records) {
+    log(`${record.key} → RESOLVED`);
+    await notify({
+      kind: `${record.type}_resolved`,
+      severity: 'INFO',
+      icon: '✅',
+      title: `RESOLVED: ${record.title}`,
+      tags: ['RESOLVED'],
+      footer: [`Was active for ${record.consecutive_runs} run(s), ${record.first_seen} → ${record.resolved_at}.`],
+    }, options.notifyOptions);
+  }
+}
+
+/**
+ * Resolve one alert if it is active, with an explicit RESOLVED notice.
+ * @returns {Promise<boolean>} whether it was active
+ */
+async function clearAlert(type, subject, options = {}) {
+  const statePath = options.statePath || ALERT_STATE_PATH;
+  const state = loadAlertState(statePath);
+  const record = resolveRecord(state, alertKey(type, subject), options.now || new Date());
+  if (!record) return false;
+  saveAlertState(state, statePath);
+  await sendResolved([record], options);
+  return true;
+}
+
+/**
+ * Declare the complete set of active conditions of one type: each is raised,
+ * and every other active alert of that type is resolved.
+ *
+ * @param {string} type
+ * @param {object[]} alerts — alerts of this type, each with a subject
+ * @param {object} [options] — as raiseAlert
+ * @returns {Promise<{ raised: object, resolved: string[] }>}
+ */
+async function syncAlerts(type, alerts, options = {}) {
+  const raised = {};
+  for (const alert of alerts) {
+    raised[alertKey(type, alert.subject)] = await raiseAlert({ ...alert, type }, options);
+  }
+  const statePath = options.statePath || ALERT_STATE_PATH;
+  const state = loadAlertState(statePath);
+  const now = options.now || new Date();
+  const resolved = Object.values(state.alerts)
+    .filter(r => r.type === type && r.status === 'ACTIVE' && !(r.key in raised))
+    .map(r => resolveRecord(state, r.key, now));
+  if (resolved.length) {
+    saveAlertState(state, statePath);
+    await sendResolved(resolved, options);
+  }
+  return { raised, resolved: resolved.map(r => r.key) };
+}
+
+// ─── Digest ─────────────────────────────────────────────────────────────────
+
+/**
+ * Send the alerts suppressed since the last digest, if the digest interval
+ * has passed (or force). Clears the pending counts once sent.
+ *
+ * @param {object} [options] — { now, force, domainConfig, statePath, notifyOptions }
+ * @returns {Promise<object[]|null>} the digest entries sent, or null
+ */
+async function sendDigest(options = {}) {
+  const statePath = options.statePath || ALERT_STATE_PATH;
+  const cfg = { ...DEFAULTS, ...(options.domainConfig || loadDomainConfig()) };
+  const now = options.now || new Date();
+  const state = loadAlertState(statePath);
+
+  const due = !state.last_digest_at || now - new Date(state.last_digest_at) >= cfg.alert_digest_interval_hours * HOUR_MS;
+  const entries = Object.values(state.alerts).filter(r => r.digest_pending);
+  if (entries.length === 0 || (!due && !options.force)) return null;
+
+  const digest = entries.map(r => ({
+    key: r.key, title: r.title, status: r.status, consecutive_runs: r.consecutive_runs, ...r.digest_pending,
+  }));
+  const total = digest.reduce((sum, d) => sum + d.count, 0);
+  await notify({
+    kind: 'alert_digest',
+    severity: 'INFO',
+    icon: '🗂️',
+    title: `OVERWATCH: ${total} suppressed alert(s) since ${state.last_digest_at || 'the first alert'}`,
+    sections: [
+      { heading: 'Still active', items: digest.filter(d => d.status === 'ACTIVE').map(d => `${d.title} — ${d.count}× suppressed, ${d.consecutive_runs} run(s)`) },
+      { heading: 'Resolved since', items: digest.filter(d => d.status !== 'ACTIVE').map(d => `${d.title} — ${d.count}× suppressed`) },
+    ].filter(s => s.items.length),
+  }, options.notifyOptions);
+
+  for (const r of entries) delete r.digest_pending;
+  state.last_digest_at = now.toISOString();
+  saveAlertState(state, statePath);
+  log(`Digest sent: ${digest.length} alert(s), ${total} suppressed notice(s)`);
+  return digest;
+}
+
+module.exports = {
+  ALERT_STATE_PATH,
+  beginRun,
+  loadAlertState,
+  decideAlert,
+  raiseAlert,
+  clearAlert,
+  syncAlerts,
+  sendDigest,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const command = args[0] || 'status';
+
+  if (command === 'status') {
+    const state = loadAlertState();
+    const active = Object.values(state.alerts).filter(r => r.status === 'ACTIVE');
+    console.log(`${active.length} active alert(s) | last digest: ${state.last_digest_at || 'never'}`);
+    for (const r of active) {
+      const pending = r.digest_pending ? ` | ${r.digest_pending.count} pending digest` : '';
+      console.log(`  ${r.key} | ${r.severity || '-'} | ${r.consecutive_runs} run(s)${r.escalated ? ' | ESCALATED' : ''} | last sent ${r.last_sent}${pending}`);
+    }
+  } else if (command === 'digest') {
+    sendDigest({ force: args.includes('--force') }).then(digest => {
+      if (!digest) log('Nothing to send (no suppressed alerts, or the digest interval has not passed — use --force)');
+    });
+  } else {
+    console.log('Usage: node scripts/alert-policy.js status | digest [--force]');
+    process.exitCode = 1;
+  }
+}
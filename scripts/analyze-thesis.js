@@ -21,36 +21,63 @@
  *
  * Reads: dashboard-data.json, thesis-context.md, data/corrections-ledger.json
  * Writes: analysis-output.json, data/360-report.json, data/360-history.json,
- *         data/rejection-log.json, analysis-history.json
- * Sends: Telegram briefing
+ *         data/rejection-log.json, data/cost-ledger.json, analysis-history.json,
+ *         data/run-schedule.json
+ * Sends: run briefing and failure alerts through notifier.js (Telegram, Slack, email, ...)
+ *
+ * Offline: --record <cassette> / --replay <cassette> (see llm-cassette.js)
+ * Schedule: run type (morning, evening, sunday_audit, ...) and its behaviors
+ *   come from run_schedule via run-scheduler.js; data/pipeline.lock keeps
+ *   runs from overlapping (exit status 75 when another run holds it)
+ * Checkpoints: every stage checkpoints to data/runs/<run-id>/ (see run-checkpoints.js)
+ *   --resume <run-id|latest>                 continue from the last good stage
+ *   --from-stage <stage> [--to-stage <stage>] re-run a stage range against a stored run
+ *   --rerun-effects                           repeat x402 purchases, the history write and
+ *                                             the briefing for stages that already completed
+ *   --fetch                                   run fetch-data.js as the first stage
+ * Domains: --domain <id> reads and writes domains/<id>/ instead of the
+ *   repository root (see utils/paths.js)
  */
 
 const path = require('path');
 const fs   = require('fs');
+const { spawnSync } = require('child_process');
+const { ROOT_DIR, DATA_DIR, CONFIG_DIR, SCRIPTS_DIR, DOMAIN_ID } = require('./utils/paths');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
-const Anthropic = require('@anthropic-ai/sdk');
 const promoteRejections = require('./promote-rejections');
-const { runTier1Checks } = require('./tier1-validators');
-const { runLayerZeroGate } = require('./layer-zero-gate');
-const { runBlindAuditor, applyAuditorToOutput } = require('./blind-auditor');
+const { runTier1Checks, collectProvenance } = require('./tier1-validators');
+const { runLayerZeroGate, recordSchemaRejection } = require('./layer-zero-gate');
+const { enforceLayerSchema } = require('./layer-schema');
+const { runBlindAuditor, applyAuditorToOutput, checkStateLock, loadFindings, getActiveAdvisory, findingId } = require('./blind-auditor');
 const { assembleTrace } = require('./assemble-trace');
 const { logPaperTrades, applyDispositions } = require('./x402-paper-trade-logger');
 const { constrainRequests, recordOutcomes, probeStructuralGaps } = require('./x402-constrained-acquisition');
 const { calculateActionPressure } = require('./action-pressure');
 const { executeBaseAcquisition } = require('./x402-base-agent');
+const cassette = require('./llm-cassette');
+const checkpoints = require('./run-checkpoints');
+const costLedger = require('./cost-ledger');
+const { summarizeHistory } = require('./metric-history');
+const { writeLedger } = require('./ledger-integrity');
+const { isPromptEligible, promptView } = require('./corrections-enrichment');
+const { trackRun: trackCorrectionApplications } = require('./corrections-tracking');
+const { notify } = require('./notifier');
+const { raiseAlert, clearAlert, syncAlerts, sendDigest, beginRun: beginAlertRun } = require('./alert-policy');
+const { currentRun, runBehaviors, runTypeLabel, recordRun, acquireLock, LockHeldError, LOCK_HELD_EXIT } = require('./run-scheduler');
+const { callModel, missingCredential, parseModelJSON, repairTruncatedJSON, stripCodeFences, getUsageSummary, getUsageLog } = require('./model-providers');
 const { loadAliases, matchAlias } = require('./utils/signal-matching');
 
-const DASHBOARD_PATH      = path.join(__dirname, '..', 'dashboard-data.json');
-const ANALYSIS_PATH       = path.join(__dirname, '..', 'analysis-output.json');
-const THESIS_CONTEXT_PATH = path.join(__dirname, 'thesis-context.md');
-const DEBUG_RESPONSE_PATH = path.join(__dirname, 'debug-claude-response.txt');
-const HISTORY_PATH        = path.join(__dirname, 'analysis-history.json');
+const DASHBOARD_PATH      = path.join(ROOT_DIR, 'dashboard-data.json');
+const ANALYSIS_PATH       = path.join(ROOT_DIR, 'analysis-output.json');
+const THESIS_CONTEXT_PATH = path.join(SCRIPTS_DIR, 'thesis-context.md');
+const DEBUG_RESPONSE_PATH = path.join(SCRIPTS_DIR, 'debug-claude-response.txt');
+const HISTORY_PATH        = path.join(SCRIPTS_DIR, 'analysis-history.json');
 
 const HISTORY_MAX_RECORDS = 180; // 90 days × 2 runs/day
 
-const DOSSIER_PATH = path.join(__dirname, '..', 'data', 'signal-dossier-data.json');
-const ALIAS_PATH   = path.join(__dirname, '..', 'config', 'signal-aliases.json');
+const DOSSIER_PATH = path.join(DATA_DIR, 'signal-dossier-data.json');
+const ALIAS_PATH   = path.join(CONFIG_DIR, 'signal-aliases.json');
 
 const LAYER_ZERO_RULES = `
 <layer_zero_immutable_laws>
@@ -124,53 +151,6 @@ function log(label, msg)  { console.log(`[${label}] ${msg}`); }
 function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
 function err(label, msg)  { console.error(`[${label}] ERROR: ${msg}`); }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Checks whether a Claude response looks complete (ends with ] or }).
- * If truncated, warns and attempts to repair by cutting back to the last
- * complete object/element and appending necessary closing brackets.
- *
- * @param {string} text  — cleaned response text (fences already stripped)
- * @param {string} label — log label for warnings
- * @returns {string} — original text if complete, repaired text otherwise
- */
-function repairTruncatedJSON(text, label) {
-  const trimmed = text.trimEnd();
-  if (trimmed.endsWith(']') || trimmed.endsWith('}')) return text;
-
-  warn(label, 'Response appears truncated — attempting repair');
-
-  // Cut back to the last closing brace (end of last complete object/element)
-  const lastBrace = trimmed.lastIndexOf('}');
-  if (lastBrace === -1) {
-    warn(label, 'Repair failed — no closing brace found in response');
-    return text;
-  }
-
-  const candidate = trimmed.slice(0, lastBrace + 1);
-
-  // Walk candidate with string-awareness to build an open-bracket stack
-  const stack = [];
-  let inStr = false, esc = false;
-  for (const ch of candidate) {
-    if (esc)              { esc = false; continue; }
-    if (ch === '\\' && inStr) { esc = true;  continue; }
-    if (ch === '"')       { inStr = !inStr;  continue; }
-    if (inStr)            continue;
-    if (ch === '{' || ch === '[') stack.push(ch);
-    else if (ch === '}' || ch === ']') stack.pop();
-  }
-
-  // Append closers in reverse nesting order
-  const closers = stack.reverse().map(c => c === '{' ? '}' : ']').join('');
-  const repaired = candidate + closers;
-  warn(label, `Repair applied — appended: ${JSON.stringify(closers)}`);
-  return repaired;
-}
-
 /**
  * Shared helper: load corrections ledger from data/corrections-ledger.json.
  * Returns empty array if file doesn't exist or is malformed.
@@ -178,11 +158,13 @@ function repairTruncatedJSON(text, label) {
  */
 function loadCorrectionsLedger(customPath) {
   try {
-    const ledgerPath = customPath || path.join(__dirname, '..', 'data', 'corrections-ledger.json');
+    const ledgerPath = customPath || path.join(DATA_DIR, 'corrections-ledger.json');
     if (fs.existsSync(ledgerPath)) {
       const data = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
       if (Array.isArray(data)) {
-        const active = data.filter(e => e.status === 'ACTIVE' && !(e.lesson === 'NEEDS_ENRICHMENT' && e.trigger === 'NEEDS_ENRICHMENT' && e.prevention === 'NEEDS_ENRICHMENT'));
+        // Only enriched, approved entries reach the prompts, and without their
+        // seals and enrichment bookkeeping (corrections-enrichment.js)
+        const active = data.filter(isPromptEligible).map(promptView);
         log('ledger', `Corrections ledger loaded: ${active.length} active of ${data.length} total entries`);
         return active;
       }
@@ -203,7 +185,7 @@ function loadCorrectionsLedger(customPath) {
  */
 function loadBehavioralCalibration(targetLayer) {
   try {
-    const calPath = path.join(__dirname, '..', 'data', 'behavioral-calibration.json');
+    const calPath = path.join(DATA_DIR, 'behavioral-calibration.json');
     if (!fs.existsSync(calPath)) return [];
     const data = JSON.parse(fs.readFileSync(calPath, 'utf8'));
     if (!Array.isArray(data)) return [];
@@ -228,7 +210,7 @@ function loadBehavioralCalibration(targetLayer) {
     // Respect max active entries cap from domain config
     let maxEntries = 5;
     try {
-      const configPath = path.join(__dirname, '..', 'config', 'domain.json');
+      const configPath = path.join(CONFIG_DIR, 'domain.json');
       if (fs.existsSync(configPath)) {
         const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
         maxEntries = config.calibration_max_active_entries || 5;
@@ -244,7 +226,16 @@ function loadBehavioralCalibration(targetLayer) {
   }
 }
 
-async function enforceCorrectionsReferenced(result, layerLabel, client, ledgerEntries) {
+/**
+ * Ensure a layer output carries corrections_referenced. When missing, fires
+ * one enforcement_retry model call asking only for that field.
+ *
+ * @param {object} result        — parsed layer output (mutated)
+ * @param {string} layerLabel    — log label
+ * @param {object|null} modelOptions — callModel options ({ domainConfig }); null skips the retry
+ * @param {Array}  ledgerEntries — active corrections ledger entries
+ */
+async function enforceCorrectionsReferenced(result, layerLabel, modelOptions, ledgerEntries) {
   if (Array.isArray(result.corrections_referenced)) {
     log(layerLabel, `corrections_referenced present: ${result.corrections_referenced.length} entries`);
     return;
@@ -253,21 +244,14 @@ async function enforceCorrectionsReferenced(result, layerLabel, client, ledgerEn
   const ledgerCount = Array.isArray(ledgerEntries) ? ledgerEntries.length : 0;
   warn(layerLabel, `corrections_referenced missing from output (ledger has ${ledgerCount} active entries)`);
 
-  if (client) {
+  if (modelOptions) {
     try {
       log(layerLabel, 'Firing one-shot retry for corrections_referenced...');
-      const retryResponse = await client.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1000,
-        messages: [{
-          role: 'user',
-          content: `Your previous analysis output was missing the required corrections_referenced field. The corrections ledger had ${ledgerCount} active entries.\n\nReturn ONLY the following JSON object — nothing else:\n{\n  "corrections_referenced": [\n    {\n      "correction_id": "CL-XXX",\n      "trigger_matched": "what specific trigger condition matched",\n      "influence_on_assessment": "how it changed your assessment"\n    }\n  ],\n  "compliance_error_reason": "why this field was not included in your original output"\n}\n\nIf no corrections were relevant, return:\n{\n  "corrections_referenced": [],\n  "compliance_error_reason": "why this field was not included in your original output"\n}`
-        }]
-      });
+      const retryResponse = await callModel('enforcement_retry', {
+        prompt: `Your previous analysis output was missing the required corrections_referenced field. The corrections ledger had ${ledgerCount} active entries.\n\nReturn ONLY the following JSON object — nothing else:\n{\n  "corrections_referenced": [\n    {\n      "correction_id": "CL-XXX",\n      "trigger_matched": "what specific trigger condition matched",\n      "influence_on_assessment": "how it changed your assessment"\n    }\n  ],\n  "compliance_error_reason": "why this field was not included in your original output"\n}\n\nIf no corrections were relevant, return:\n{\n  "corrections_referenced": [],\n  "compliance_error_reason": "why this field was not included in your original output"\n}`
+      }, { ...modelOptions, label: layerLabel, parse: 'json' });
 
-      const retryRaw = retryResponse.content[0].text;
-      const retryCleaned = retryRaw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
-      const retryParsed = JSON.parse(retryCleaned);
+      const retryParsed = retryResponse.data;
 
       if (Array.isArray(retryParsed.corrections_referenced)) {
         result.corrections_referenced = retryParsed.corrections_referenced;
@@ -300,99 +284,24 @@ async function enforceCorrectionsReferenced(result, layerLabel, client, ledgerEn
 }
 
 /**
- * Shared helper: strip markdown fences and parse JSON from Claude response.
+ * Shared helper: strip markdown fences and parse JSON from a model response.
  * Applies truncation repair. Throws on parse failure.
+ * Implementation lives in model-providers.js; kept here for the evolution library.
  */
 function parseClaudeJSON(rawText, label) {
-  const cleaned = rawText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
-  const repaired = repairTruncatedJSON(cleaned, label);
-  return JSON.parse(repaired);
+  return parseModelJSON(rawText, label);
 }
 
-// ─── Telegram ─────────────────────────────────────────────────────────────────
+// ─── Briefing message ─────────────────────────────────────────────────────────
 
 /**
- * Split a message into chunks of at most maxLen characters, breaking only on
- * newline boundaries so we never cut mid-word or mid-HTML-tag.
+ * The run briefing as a channel-neutral notifier message. A FALSIFIED thesis
+ * status raises it to CRITICAL and tags it so routing can send it everywhere.
  */
-function chunkMessage(text, maxLen = 4000) {
-  if (text.length <= maxLen) return [text];
-  const chunks = [];
-  const lines  = text.split('\n');
-  let current  = '';
-  for (const line of lines) {
-    const next = current ? `${current}\n${line}` : line;
-    if (next.length > maxLen && current) {
-      chunks.push(current);
-      current = line;
-    } else {
-      current = next;
-    }
-  }
-  if (current) chunks.push(current);
-  return chunks;
-}
-
-async function sendTelegramChunk(token, chatId, text) {
-  const url        = `https://api.telegram.org/bot${token}/sendMessage`;
-  const controller = new AbortController();
-  const timer      = setTimeout(() => controller.abort(), 15_000);
-  try {
-    const res  = await fetch(url, {
-      method:  'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ chat_id: chatId, text, parse_mode: 'HTML' }),
-      signal:  controller.signal,
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(`Telegram API error: ${json.description}`);
-    return true;
-  } catch (e) {
-    err('Telegram', e.message);
-    return false;
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-async function sendTelegram(text) {
-  const token  = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
-
-  if (!token || !chatId) {
-    warn('Telegram', 'TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID not set — skipping notification');
-    return false;
-  }
-
-  const chunks = chunkMessage(text, 4000);
-  if (chunks.length > 1) {
-    log('Telegram', `Message is ${text.length} chars — splitting into ${chunks.length} chunks`);
-  }
-
-  let allOk = true;
-  for (let i = 0; i < chunks.length; i++) {
-    // Append chunk indicator when sending multiple messages
-    const body = chunks.length > 1
-      ? `${chunks[i]}\n\n<i>(${i + 1}/${chunks.length})</i>`
-      : chunks[i];
-    const ok = await sendTelegramChunk(token, chatId, body);
-    if (ok) {
-      log('Telegram', chunks.length > 1 ? `Chunk ${i + 1}/${chunks.length} sent` : 'Message sent');
-    } else {
-      allOk = false;
-    }
-    // Brief pause between chunks to respect Telegram rate limits
-    if (i < chunks.length - 1) await new Promise(r => setTimeout(r, 500));
-  }
-  return allOk;
-}
-
-// ─── Format analysis as Telegram message ──────────────────────────────────────
-
-function formatTelegramMessage(analysis, dashboardData) {
+function buildBriefing(analysis, dashboardData, footer = []) {
   const now      = new Date();
   const dateStr  = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  const runLabel = analysis.run_type === 'morning' ? 'Morning' : 'Evening';
+  const runLabel = runTypeLabel(analysis.run_type);
 
   const xrp   = dashboardData?.xrp;
   const macro  = dashboardData?.macro;
@@ -416,22 +325,23 @@ function formatTelegramMessage(analysis, dashboardData) {
   }
 
   // Alerts
-  const alertLines = (analysis.alerts ?? []).map(a => {
+  const alertItems = (analysis.alerts ?? []).map(a => {
     const icon = a.severity === 'CRITICAL' ? '🚨' : a.severity === 'WARNING' ? '⚠️' : 'ℹ️';
     return `${icon} ${a.message}`;
-  }).join('\n') || 'None';
+  });
 
-  // Kill switch changes
+  // Kill switch and scorecard changes
   const ksChanges = (analysis.kill_switch_updates ?? [])
     .filter(k => k.recommended_status !== k.previous_status)
-    .map(k => `• ${k.name}: ${k.previous_status} → ${k.recommended_status}`)
-    .join('\n') || 'None';
-
-  // Scorecard changes
+    .map(k => `${k.name}: ${k.previous_status} → ${k.recommended_status}`);
   const scChanges = (analysis.scorecard_updates ?? [])
     .filter(s => s.recommended_status !== s.previous_status)
-    .map(s => `• ${s.category}: ${s.previous_status} → ${s.recommended_status}`)
-    .join('\n') || 'None';
+    .map(s => `${s.category}: ${s.previous_status} → ${s.recommended_status}`);
+
+  const compoundIndices = (analysis.assessment_360?.compound_indices ?? analysis.compound_indices ?? []).map(ci => {
+    const dir = ci.inverse ? (ci.convergence_direction === 'POSITIVE' ? '⚠️ COMPETITIVE PRESSURE' : '✅ NO DISPLACEMENT') : (ci.convergence_direction === 'POSITIVE' ? '✅' : ci.convergence_direction === 'NEGATIVE' ? '⚠️' : '⬜');
+    return `${ci.name}: ${ci.convergence_status} ${dir} (${ci.assessable}/${ci.total} visible)`;
+  });
 
   // Probability
   const prob = analysis.recommended_probability_adjustment;
@@ -440,56 +350,42 @@ function formatTelegramMessage(analysis, dashboardData) {
     : '(no change recommended)';
 
   const stressScore = analysis.stress_assessment;
+  const thesisStatus = analysis.assessment_360?.thesis_status;
 
   // Events draft
   const eventsDraft = analysis.events_draft ?? [];
-  const eventsSection = eventsDraft.length > 0
-    ? `\n📰 <b>THESIS-RELEVANT NEWS: ${eventsDraft.length}</b>\n` +
-      eventsDraft.map(e => `• [${e.category}] [${e.severity}] — ${e.title}`).join('\n') +
-      `\n\n📋 <b>EVENTS DRAFT:</b>\n` +
-      eventsDraft.map(e =>
-        `<b>${e.date} · ${e.category} · ${e.severity}</b>\n${e.title}\n<i>${e.expanded}</i>`
-      ).join('\n\n')
-    : '\n📰 <b>THESIS-RELEVANT NEWS:</b> None flagged';
-
-  return `🔭 <b>OVERWATCH ANALYSIS — ${runLabel} ${dateStr}</b>
-
-📊 <b>MARKET:</b> XRP ${price} (${chg}) | F&amp;G: ${fgi} | USD/JPY: ${usdJpy}
-📊 <b>INDICES:</b> DXY ${dxy} | S&amp;P 500 ${sp500}
-📈 <b>ETF FLOW:</b> ${etfLine}
-
-📝 <b>THESIS PULSE:</b>
-${analysis.thesis_pulse ?? '(not available)'}
-
-⚡ <b>STRESS:</b> ${stressScore?.level ?? '--'} (${stressScore?.score ?? '--'}/100)
-${stressScore?.interpretation ?? ''}
-
-📈 <b>ETF:</b> ${analysis.etf_analysis ?? '--'}
-
-🌍 <b>MACRO:</b> ${analysis.macro_analysis ?? '--'}
-
-⚠️ <b>ALERTS:</b>
-${alertLines}
-
-🎯 <b>KILL SWITCH CHANGES:</b> ${(analysis.kill_switch_updates ?? []).filter(k => k.recommended_status !== k.previous_status).length}
-${ksChanges}
-
-📊 <b>COMPOUND INDICES:</b>
-${(analysis.assessment_360?.compound_indices ?? analysis.compound_indices ?? []).map(ci => {
-  const dir = ci.inverse ? (ci.convergence_direction === 'POSITIVE' ? '⚠️ COMPETITIVE PRESSURE' : '✅ NO DISPLACEMENT') : (ci.convergence_direction === 'POSITIVE' ? '✅' : ci.convergence_direction === 'NEGATIVE' ? '⚠️' : '⬜');
-  return `• ${ci.name}: ${ci.convergence_status} ${dir} (${ci.assessable}/${ci.total} visible)`;
-}).join('\n') || 'Not yet evaluated'}
-
-📊 <b>SCORECARD CHANGES:</b> ${(analysis.scorecard_updates ?? []).filter(s => s.recommended_status !== s.previous_status).length}
-${scChanges}
-
-🎲 <b>PROBABILITY:</b>
-${probLine}
-
-📋 <b>THESIS STATUS:</b> ${analysis.assessment_360?.thesis_status ?? '--'} (confidence: ${analysis.assessment_360?.confidence_in_status ?? '--'})
-${eventsSection}
-
-<i>To apply: trigger "Apply Approved Analysis" workflow in GitHub Actions.</i>`;
+  const eventsSections = eventsDraft.length > 0
+    ? [
+      { icon: '📰', heading: 'THESIS-RELEVANT NEWS', text: String(eventsDraft.length), items: eventsDraft.map(e => `[${e.category}] [${e.severity}] — ${e.title}`) },
+      { icon: '📋', heading: 'EVENTS DRAFT', entries: eventsDraft.map(e => ({ title: `${e.date} · ${e.category} · ${e.severity}`, body: e.title, note: e.expanded })) },
+    ]
+    : [{ icon: '📰', heading: 'THESIS-RELEVANT NEWS', text: 'None flagged' }];
+
+  const falsified = thesisStatus === 'FALSIFIED';
+  return {
+    kind: 'briefing',
+    severity: falsified ? 'CRITICAL' : 'INFO',
+    tags: falsified ? ['FALSIFIED'] : [],
+    icon: '🔭',
+    title: `OVERWATCH ANALYSIS — ${runLabel} ${dateStr}`,
+    sections: [
+      { icon: '📊', heading: 'MARKET', text: `XRP ${price} (${chg}) | F&G: ${fgi} | USD/JPY: ${usdJpy}` },
+      { icon: '📊', heading: 'INDICES', text: `DXY ${dxy} | S&P 500 ${sp500}` },
+      { icon: '📈', heading: 'ETF FLOW', text: etfLine },
+      { icon: '📝', heading: 'THESIS PULSE', text: analysis.thesis_pulse ?? '(not available)' },
+      { icon: '⚡', heading: 'STRESS', text: [`${stressScore?.level ?? '--'} (${stressScore?.score ?? '--'}/100)`, stressScore?.interpretation].filter(Boolean).join('\n') },
+      { icon: '📈', heading: 'ETF', text: analysis.etf_analysis ?? '--' },
+      { icon: '🌍', heading: 'MACRO', text: analysis.macro_analysis ?? '--' },
+      { icon: '⚠️', heading: 'ALERTS', text: alertItems.length ? null : 'None', items: alertItems },
+      { icon: '🎯', heading: 'KILL SWITCH CHANGES', text: String(ksChanges.length), items: ksChanges },
+      { icon: '📊', heading: 'COMPOUND INDICES', text: compoundIndices.length ? null : 'Not yet evaluated', items: compoundIndices },
+      { icon: '📊', heading: 'SCORECARD CHANGES', text: String(scChanges.length), items: scChanges },
+      { icon: '🎲', heading: 'PROBABILITY', text: probLine },
+      { icon: '📋', heading: 'THESIS STATUS', text: `${thesisStatus ?? '--'} (confidence: ${analysis.assessment_360?.confidence_in_status ?? '--'})` },
+      ...eventsSections,
+    ],
+    footer: [...footer, 'To apply: trigger "Apply Approved Analysis" workflow in GitHub Actions.'],
+  };
 }
 
 // ─── Claude system prompt ─────────────────────────────────────────────────────
@@ -504,7 +400,7 @@ Your output must be a JSON object with these fields:
 
 {
   "timestamp": "ISO timestamp",
-  "run_type": "morning" or "evening",
+  "run_type": "the run type given in the analysis instructions",
 
   "market_summary": "2-3 sentence summary of current market conditions",
 
@@ -605,16 +501,51 @@ Rules:
 - For energy_interpretation, thesis_pulse_assessment, stress_interpretation: terminal voice — precise, no fluff, signal-focused. These render directly in the dashboard.
 `;
 
-// ─── Determine run type ───────────────────────────────────────────────────────
+// ─── Layer 1: SWEEP ───────────────────────────────────────────────────────────
 
-function getRunType() {
-  // Chicago time (UTC-6 winter, UTC-5 summer)
-  const now = new Date();
-  const chicagoHour = (now.getUTCHours() - 6 + 24) % 24;
-  return chicagoHour < 12 ? 'morning' : 'evening';
+/**
+ * DATA FRESHNESS block for the SWEEP prompt, built from the provenance
+ * fetch-data.js writes beside every metric. Stale and carried-over values are
+ * listed first and named as such. Returns '' for data without provenance.
+ */
+function formatDataFreshness(marketData) {
+  const entries = collectProvenance(marketData);
+  if (entries.length === 0) return '';
+  const rank = ({ provenance: p }) => (p.stale ? 0 : p.carried_over ? 1 : 2);
+  const lines = entries
+    .sort((a, b) => rank(a) - rank(b))
+    .map(({ path: metricPath, provenance: p }) => {
+      const status = p.stale
+        ? `STALE${p.carried_over ? ' (carried over from a previous run)' : ''}`
+        : p.carried_over ? 'CARRIED OVER (within tolerance, not re-measured)' : 'live';
+      return `- ${metricPath}: ${status} — source ${p.source ?? 'none'}, as of ${p.as_of ?? 'unknown'}, fetched ${p.fetched_at ?? 'unknown'}, fallback depth ${p.fallback_depth}`;
+    });
+  return `DATA FRESHNESS (provenance of each fetched metric in CURRENT DATA):
+${lines.join('\n')}
+
+Treat STALE and CARRIED OVER values as data gaps. Name them as such in any signal that relies on them, never describe them as current readings, and do not infer movement from a value that was not re-measured this run.`;
 }
 
-// ─── Layer 1: SWEEP ───────────────────────────────────────────────────────────
+/**
+ * MARKET HISTORY block for the SWEEP prompt from metric_history (rolling
+ * statistics per series, see metric-history.js). Series at |z| >= 2 are listed
+ * first and marked UNUSUAL. Returns '' when no history is attached.
+ */
+function formatMetricHistory(marketData) {
+  const entries = Object.entries(marketData?.metric_history || {});
+  if (entries.length === 0) return '';
+  const unusual = (h) => typeof h.z === 'number' && Math.abs(h.z) >= 2;
+  const lines = entries
+    .sort(([, a], [, b]) => Number(unusual(b)) - Number(unusual(a)))
+    .map(([series, h]) => {
+      const change = h.delta != null ? `Δ ${h.delta} (${h.delta_pct ?? '—'}%) vs previous` : 'no previous';
+      return `- ${series}: ${h.latest} as of ${h.as_of ?? 'unknown'} — ${change}, ${h.window}-obs avg ${h.rolling_avg}, z ${h.z ?? 'n/a'}, ${h.points} obs${unusual(h) ? ' — UNUSUAL' : ''}`;
+    });
+  return `MARKET HISTORY (each series against its own recent observations):
+${lines.join('\n')}
+
+Describe movement using these statistics rather than a single prior value. An UNUSUAL z-score is a signal to report — or, if nothing in the environment explains it, a possible data error to report as such.`;
+}
 
 /**
  * Runs the 360 counter-thesis sweep (Layer 1 — SWEEP).
@@ -623,12 +554,15 @@ function getRunType() {
  * on its own. Returns the array of signal objects, or [] on any failure.
  *
  * @param {object} marketData — current dashboard data (from dashboard-data.json)
+ * @param {string} thesisContext — contents of thesis-context.md
+ * @param {object} [options] — { domainConfig } for model role resolution
  * @returns {Promise<Array>}
  */
-async function runSweep(marketData, thesisContext) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    err('360-sweep', 'ANTHROPIC_API_KEY not set — cannot run sweep');
+async function runSweep(marketData, thesisContext, options) {
+  const opts = options || {};
+  const missingKey = missingCredential('layer1', opts.domainConfig);
+  if (missingKey) {
+    err('360-sweep', `${missingKey} not set — cannot run sweep`);
     return [];
   }
 
@@ -653,7 +587,11 @@ ${thesisContext}
 ${calibrationSectionL1}
 
 CURRENT DATA:
-${JSON.stringify(marketData)}
+${JSON.stringify(marketData, (key, value) => (key === 'provenance' || key === 'metric_history' ? undefined : value))}
+
+${formatDataFreshness(marketData)}
+
+${formatMetricHistory(marketData)}
 
 SIGNAL CATEGORIES:
 Every signal must be classified into one of these universal categories:
@@ -701,44 +639,29 @@ Respond with ONLY a JSON array. Each element:
 
 IMPORTANT: Keep each signal description under 100 words. Return a maximum of 15 signals. Ensure your response is valid, complete JSON with all brackets closed.`;
 
-  const client = new Anthropic({ apiKey });
-
   let response;
-  for (let attempt = 0; attempt <= 1; attempt++) {
-    try {
-      log('360-sweep', `Calling claude-opus-4-6… (attempt ${attempt + 1})`);
-      response = await client.messages.create({
-        model:      'claude-opus-4-6',
-        max_tokens: 6000,
-        messages:   [{ role: 'user', content: sweepPrompt }],
-      });
-      break;
-    } catch (e) {
-      if (attempt === 0) {
-        warn('360-sweep', `Attempt 1 failed: ${e.message} — retrying in 5s`);
-        await sleep(5_000);
-      } else {
-        err('360-sweep', `API call failed after retry: ${e.message}`);
-        return [];
-      }
-    }
-  }
-
-  const raw = response.content[0].text;
-  log('360-sweep', `Response received (${raw.length} chars)`);
-
   try {
-    const signals = parseClaudeJSON(raw, '360-sweep');
-    if (!Array.isArray(signals)) {
-      err('360-sweep', 'Response is not a JSON array — returning empty');
+    response = await callModel('layer1', { prompt: sweepPrompt }, {
+      label: '360-sweep',
+      domainConfig: opts.domainConfig,
+      parse: (raw) => {
+        const signals = parseModelJSON(raw, '360-sweep');
+        if (!Array.isArray(signals)) throw new Error('Response is not a JSON array');
+        return signals;
+      },
+    });
+  } catch (e) {
+    if (e instanceof costLedger.BudgetExceededError) {
+      err('cost', `Sweep not run: ${e.message}`);
       return [];
     }
-    log('360-sweep', `Sweep complete — ${signals.length} signals found`);
-    return signals;
-  } catch (parseErr) {
-    err('360-sweep', `JSON parse failed: ${parseErr.message}`);
+    err('360-sweep', `Sweep failed after retry: ${e.message} — returning empty`);
     return [];
   }
+
+  log('360-sweep', `Response received (${response.text.length} chars)`);
+  log('360-sweep', `Sweep complete — ${response.data.length} signals found`);
+  return response.data;
 }
 
 // ─── Layer 2: CONTEXTUALIZE ───────────────────────────────────────────────────
@@ -772,12 +695,12 @@ These are patterns in YOUR reasoning detected across multiple pipeline runs. The
     : '';
   if (calibrationEntriesL2.length > 0) log('L2', 'Behavioral calibration injected: ' + calibrationEntriesL2.map(e => e.id).join(', '));
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    err('analysis', 'ANTHROPIC_API_KEY not set — Layer 2 cannot run');
+  const missingKey = missingCredential('layer2', opts.domainConfig);
+  if (missingKey) {
+    err('analysis', `${missingKey} not set — Layer 2 cannot run`);
     return null;
   }
-  const client = new Anthropic({ apiKey });
+  const modelOptions = { domainConfig: opts.domainConfig };
 
   // Compute RLUSD pace for thesis context enrichment
   const rlusdCurrent = marketData?.rlusd?.market_cap || 0;
@@ -792,7 +715,7 @@ These are patterns in YOUR reasoning detected across multiple pipeline runs. The
   // AD #19: Load acquired intelligence from previous runs
   let acquiredIntelSection = '';
   let injectedIntelligenceMetadata = [];
-  const aiPath = path.join(__dirname, '..', 'data', 'acquired-intelligence.json');
+  const aiPath = path.join(DATA_DIR, 'acquired-intelligence.json');
   try {
     if (fs.existsSync(aiPath)) {
       const aiData = JSON.parse(fs.readFileSync(aiPath, 'utf8'));
@@ -1107,29 +1030,24 @@ Respond with ONLY valid JSON — no markdown, no code fences, no commentary outs
 }`;
 
   let result;
-  for (let attempt = 1; attempt <= 2; attempt++) {
-    try {
-      log('analysis', `Layer 2 API call (attempt ${attempt})...`);
-      const response = await client.messages.create({
-        model: 'claude-opus-4-6',
-        max_tokens: 20000,
-        messages: [{ role: 'user', content: prompt }]
-      });
-      const raw = response.content[0].text;
-      result = parseClaudeJSON(raw, 'layer2');
-      log('analysis', `Layer 2 complete: ${result.scored_signals?.length || 0} scored, ${result.unscored_signals?.length || 0} unscored`);
-      await enforceCorrectionsReferenced(result, 'layer2', client, correctionsLedger);
-      break;
-    } catch (e) {
-      err('analysis', `Layer 2 attempt ${attempt} failed: ${e.message}`);
-      if (attempt === 2) {
-        err('analysis', 'Layer 2 FAILED after 2 attempts');
-        if (opts.enableTelegram !== false) await sendTelegram('🚨 OVERWATCH: Layer 2 CONTEXTUALIZE failed after 2 attempts. Pipeline degraded.');
-        return null;
-      }
-      await sleep(5000);
+  try {
+    log('analysis', 'Layer 2 API call...');
+    ({ data: result } = await callModel('layer2', { prompt }, { ...modelOptions, label: 'layer2', parse: 'json' }));
+  } catch (e) {
+    // The budget ceiling refused the call — a stopped run, not a failed layer
+    if (e instanceof costLedger.BudgetExceededError) {
+      err('cost', `Layer 2 not run: ${e.message}`);
+      return null;
     }
+    err('analysis', `Layer 2 FAILED: ${e.message}`);
+    if (opts.enableNotifications !== false) {
+      await raiseAlert({ type: 'layer_failure', subject: 'layer2', severity: 'CRITICAL', title: 'OVERWATCH: Layer 2 CONTEXTUALIZE failed after all attempts', summary: 'Pipeline degraded.' });
+    }
+    return null;
   }
+  if (opts.enableNotifications !== false) await clearAlert('layer_failure', 'layer2');
+  log('analysis', `Layer 2 complete: ${result.scored_signals?.length || 0} scored, ${result.unscored_signals?.length || 0} unscored`);
+  await enforceCorrectionsReferenced(result, 'layer2', modelOptions, correctionsLedger);
 
   result._injected_intelligence_metadata = injectedIntelligenceMetadata;
   return result;
@@ -1170,12 +1088,12 @@ These are patterns in YOUR reasoning detected across multiple pipeline runs. The
     : '';
   if (calibrationEntriesL3.length > 0) log('L3', 'Behavioral calibration injected: ' + calibrationEntriesL3.map(e => e.id).join(', '));
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    err('analysis', 'ANTHROPIC_API_KEY not set — Layer 3 cannot run');
+  const missingKey = missingCredential('layer3', opts.domainConfig);
+  if (missingKey) {
+    err('analysis', `${missingKey} not set — Layer 3 cannot run`);
     return null;
   }
-  const client = new Anthropic({ apiKey });
+  const modelOptions = { domainConfig: opts.domainConfig };
 
   // Layer 3 receives ONLY Layer 2 output + market data + thesis context.
   // It does NOT see Layer 1 raw sweep — compression funnel enforced.
@@ -1395,32 +1313,26 @@ Respond with ONLY valid JSON — no markdown, no code fences, no commentary outs
 }`;
 
   let result;
-  for (let attempt = 1; attempt <= 2; attempt++) {
-    try {
-      log('analysis', `Layer 3 API call (attempt ${attempt})...`);
-      const response = await client.messages.create({
-        model: 'claude-opus-4-6',
-        max_tokens: 16000, // Layer 3 is the heaviest output — player analysis + inferences + feedback loops
-        messages: [{ role: 'user', content: prompt }]
-      });
-      const raw = response.content[0].text;
-      result = parseClaudeJSON(raw, 'layer3');
-      const inferCount = result.strategic_inferences?.length || 0;
-      const validCount = (result.strategic_inferences || []).filter(i => i.classification === 'VALID').length;
-      const specCount = (result.strategic_inferences || []).filter(i => i.classification === 'SPECULATIVE').length;
-      log('analysis', `Layer 3 complete: ${inferCount} inferences (${validCount} VALID, ${specCount} SPECULATIVE), ${result.player_analysis?.length || 0} players analyzed`);
-      await enforceCorrectionsReferenced(result, 'layer3', client, correctionsLedger);
-      break;
-    } catch (e) {
-      err('analysis', `Layer 3 attempt ${attempt} failed: ${e.message}`);
-      if (attempt === 2) {
-        err('analysis', 'Layer 3 FAILED after 2 attempts');
-        if (opts.enableTelegram !== false) await sendTelegram('🚨 OVERWATCH: Layer 3 INFER failed after 2 attempts. Pipeline degraded — Layer 4 will not run.');
-        return null;
-      }
-      await sleep(5000);
+  try {
+    log('analysis', 'Layer 3 API call...');
+    ({ data: result } = await callModel('layer3', { prompt }, { ...modelOptions, label: 'layer3', parse: 'json' }));
+  } catch (e) {
+    if (e instanceof costLedger.BudgetExceededError) {
+      err('cost', `Layer 3 not run: ${e.message}`);
+      return null;
     }
+    err('analysis', `Layer 3 FAILED: ${e.message}`);
+    if (opts.enableNotifications !== false) {
+      await raiseAlert({ type: 'layer_failure', subject: 'layer3', severity: 'CRITICAL', title: 'OVERWATCH: Layer 3 INFER failed after all attempts', summary: 'Pipeline degraded — Layer 4 will not run.' });
+    }
+    return null;
   }
+  const inferCount = result.strategic_inferences?.length || 0;
+  const validCount = (result.strategic_inferences || []).filter(i => i.classification === 'VALID').length;
+  const specCount = (result.strategic_inferences || []).filter(i => i.classification === 'SPECULATIVE').length;
+  if (opts.enableNotifications !== false) await clearAlert('layer_failure', 'layer3');
+  log('analysis', `Layer 3 complete: ${inferCount} inferences (${validCount} VALID, ${specCount} SPECULATIVE), ${result.player_analysis?.length || 0} players analyzed`);
+  await enforceCorrectionsReferenced(result, 'layer3', modelOptions, correctionsLedger);
 
   return result;
 }
@@ -1449,12 +1361,12 @@ async function runReconcile(contextualizeResult, inferenceResult, marketData, th
 
   const opts = options || {};
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    err('analysis', 'ANTHROPIC_API_KEY not set — Layer 4 cannot run');
+  const missingKey = missingCredential('layer4', opts.domainConfig);
+  if (missingKey) {
+    err('analysis', `${missingKey} not set — Layer 4 cannot run`);
     return null;
   }
-  const client = new Anthropic({ apiKey });
+  const modelOptions = { domainConfig: opts.domainConfig };
 
   // Layer 4 receives BOTH Layer 2 and Layer 3 output — it has the most complete picture.
   const domainActions = (opts.domainConfig && opts.domainConfig.action_recommendations)
@@ -1483,7 +1395,7 @@ These are patterns in YOUR reasoning detected across multiple pipeline runs. You
   let advisorySection = '';
   try {
     const { getActiveAdvisory, loadFindings } = require('./blind-auditor');
-    const findingsPath = opts.findingsPath || path.join(__dirname, '..', 'data', 'audit-findings.json');
+    const findingsPath = opts.findingsPath || path.join(DATA_DIR, 'audit-findings.json');
     const findings = loadFindings(findingsPath);
     const activeAdvisory = getActiveAdvisory(findings);
     if (activeAdvisory) {
@@ -1502,7 +1414,7 @@ These are patterns in YOUR reasoning detected across multiple pipeline runs. You
   const pendingAcqs = (opts && opts.pendingAcquisitions) || [];
   if (pendingAcqs.length > 0) {
     try {
-      const ptPath = path.join(__dirname, '..', 'data', 'x402-paper-trades.json');
+      const ptPath = path.join(DATA_DIR, 'x402-paper-trades.json');
       if (fs.existsSync(ptPath)) {
         const ptLog = JSON.parse(fs.readFileSync(ptPath, 'utf8'));
         const pending = ptLog.requests.filter(r => pendingAcqs.includes(r.request_id) && r.disposition === null);
@@ -1808,34 +1720,28 @@ Respond with ONLY valid JSON — no markdown, no code fences, no commentary outs
 }`;
 
   let result;
-  for (let attempt = 1; attempt <= 2; attempt++) {
-    try {
-      log('analysis', `Layer 4 API call (attempt ${attempt})...`);
-      const response = await client.messages.create({
-        model: 'claude-opus-4-6',
-        max_tokens: 16000, // Layer 4 receives both L2 and L3, produces comprehensive output
-        messages: [{ role: 'user', content: prompt }]
-      });
-      const raw = response.content[0].text;
-      result = parseClaudeJSON(raw, 'layer4');
-      log('analysis', `Layer 4 complete: thesis_status=${result.thesis_status}, confidence=${result.confidence_in_status}, action=${result.action_recommendation}, rejections: ${result.rejection_log?.length || 0}`);
-      break;
-    } catch (e) {
-      err('analysis', `Layer 4 attempt ${attempt} failed: ${e.message}`);
-      if (attempt === 2) {
-        err('analysis', 'Layer 4 FAILED after 2 attempts');
-        if (opts.enableTelegram !== false) await sendTelegram('🚨 OVERWATCH: Layer 4 RECONCILE failed after 2 attempts. Using Layer 2 output as fallback.');
-        return null;
-      }
-      await sleep(5000);
+  try {
+    log('analysis', 'Layer 4 API call...');
+    ({ data: result } = await callModel('layer4', { prompt }, { ...modelOptions, label: 'layer4', parse: 'json' }));
+  } catch (e) {
+    if (e instanceof costLedger.BudgetExceededError) {
+      err('cost', `Layer 4 not run: ${e.message}`);
+      return null;
     }
+    err('analysis', `Layer 4 FAILED: ${e.message}`);
+    if (opts.enableNotifications !== false) {
+      await raiseAlert({ type: 'layer_failure', subject: 'layer4', severity: 'CRITICAL', title: 'OVERWATCH: Layer 4 RECONCILE failed after all attempts', summary: 'Using Layer 2 output as fallback.' });
+    }
+    return null;
   }
+  if (opts.enableNotifications !== false) await clearAlert('layer_failure', 'layer4');
+  log('analysis', `Layer 4 complete: thesis_status=${result.thesis_status}, confidence=${result.confidence_in_status}, action=${result.action_recommendation}, rejections: ${result.rejection_log?.length || 0}`);
 
   // Write rejection log entries to data/rejection-log.json
   // These feed the corrections ledger pipeline.
   if (result.rejection_log && result.rejection_log.length > 0) {
     try {
-      const rejLogPath = opts.rejectionLogPath || path.join(__dirname, '..', 'data', 'rejection-log.json');
+      const rejLogPath = opts.rejectionLogPath || path.join(DATA_DIR, 'rejection-log.json');
       let existing = [];
       if (fs.existsSync(rejLogPath)) {
         existing = JSON.parse(fs.readFileSync(rejLogPath, 'utf8'));
@@ -1849,7 +1755,7 @@ Respond with ONLY valid JSON — no markdown, no code fences, no commentary outs
         };
       });
       existing.push(...newEntries);
-      fs.writeFileSync(rejLogPath, JSON.stringify(existing, null, 2));
+      writeLedger(rejLogPath, existing);
       log('analysis', `Rejection log updated: ${newEntries.length} new entries`);
     } catch (e) {
       err('analysis', `Rejection log write failed (non-fatal): ${e.message}`);
@@ -2083,573 +1989,729 @@ function buildDashboardCompatible(reconcileResult, contextualizeResult, inferenc
   return dashCompat;
 }
 
-// ─── Main ─────────────────────────────────────────────────────────────────────
+// ─── Pipeline Stages ─────────────────────────────────────────────────────────
+// main() runs these in order and checkpoints each one under data/runs/<run-id>/
+// (see run-checkpoints.js). A stage reads earlier results from ctx and writes
+// its own; the keys listed in `outputs` are what its checkpoint persists, so a
+// resumed run rehydrates ctx without re-running earlier stages.
+//
+// Each layer stage includes that layer's schema validation, Tier 1 validators
+// and Layer Zero gate. A stage returns complete, degraded (its layer failed and
+// the pipeline fell back) or skipped (an upstream layer failed).
+
+function tier1Failure(layer, e) {
+  warn('tier1', `Layer ${layer} validator failed (non-fatal): ${e.message}`);
+  return { flags: [{ rule_id: 'VALIDATOR_FAILURE', finding: `Layer ${layer} Tier 1 checks`, detail: e.message, severity: 'FLAG', timestamp: new Date().toISOString() }], hard_fails: 0, total_flags: 1, layer };
+}
 
-async function main() {
-  console.log('\n━━━ Overwatch Terminal — Four-Layer Analysis ━━━');
-  console.log(`Started: ${new Date().toISOString()}\n`);
+function layerFallback360(summary, failedLayer, reasoning, assessment) {
+  warn('pipeline', `Layer ${failedLayer} failed — using Layer 2 output as fallback`);
+  return {
+    commander_summary: summary || '',
+    tactical_recommendation: 'INCREASE_MONITORING',
+    recommendation_reasoning: reasoning,
+    signal_matrix: [],
+    compounding_risks: [],
+    blind_spots: [],
+    bias_check: { bull_indicators: 0, bear_indicators: 0, ratio: '0:0', assessment },
+    kill_switches: [],
+    new_kill_switches_recommended: [],
+    compound_indices: [],
+    _pipeline_version: '2-layer-fallback',
+    _generated_at: new Date().toISOString()
+  };
+}
+
+// ── fetch: refresh (--fetch) and snapshot the run's inputs ──────────────────
+async function stageFetch(ctx) {
+  if (ctx.options.fetch) {
+    log('io', 'Running fetch-data.js...');
+    const fetched = spawnSync(process.execPath, [path.join(__dirname, 'fetch-data.js')], { stdio: 'inherit' });
+    if (fetched.status !== 0) warn('io', `fetch-data.js exited with status ${fetched.status} — using existing dashboard-data.json`);
+  }
 
   // 1. Load dashboard data
   if (!fs.existsSync(DASHBOARD_PATH)) {
     err('io', 'dashboard-data.json not found — run fetch-data.js first');
     process.exit(1);
   }
-  const dashboardData = JSON.parse(fs.readFileSync(DASHBOARD_PATH, 'utf8'));
+  ctx.dashboardData = JSON.parse(fs.readFileSync(DASHBOARD_PATH, 'utf8'));
   log('io', 'Loaded dashboard-data.json');
 
-  // 1b. Load domain config (used by Tier 1 validators and Layer 4 prompt)
-  let domainConfigMain = {};
-  const domainConfigMainPath = path.join(__dirname, '..', 'config', 'domain.json');
-  if (fs.existsSync(domainConfigMainPath)) {
-    domainConfigMain = JSON.parse(fs.readFileSync(domainConfigMainPath, 'utf8'));
-    log('io', 'Loaded config/domain.json');
+  // Rolling statistics per series from data/metric-history.jsonl, carried with
+  // the input so SWEEP and the Tier 1 input checks see each value against its
+  // own history rather than a single previous snapshot.
+  const metricHistory = summarizeHistory();
+  if (Object.keys(metricHistory).length > 0) {
+    ctx.dashboardData.metric_history = metricHistory;
+    log('io', `Metric history: ${Object.keys(metricHistory).length} series`);
   }
 
   // 2. Load thesis context
   if (!fs.existsSync(THESIS_CONTEXT_PATH)) {
-    err('io', 'thesis-context.md not found — create scripts/thesis-context.md');
-    await sendTelegram('⚠️ OVERWATCH: Analysis failed — thesis-context.md missing');
+    err('io', `thesis-context.md not found — create ${path.relative(process.cwd(), THESIS_CONTEXT_PATH)}`);
+    await raiseAlert({ type: 'run_failure', subject: 'thesis_context_missing', severity: 'WARNING', title: 'OVERWATCH: Analysis failed — thesis-context.md missing' });
     process.exit(1);
   }
-  const thesisContext = fs.readFileSync(THESIS_CONTEXT_PATH, 'utf8');
+  ctx.thesisContext = fs.readFileSync(THESIS_CONTEXT_PATH, 'utf8');
   log('io', 'Loaded thesis-context.md');
+  await clearAlert('run_failure', 'thesis_context_missing');
+
+  const scheduled = currentRun({ domainConfig: ctx.domainConfig });
+  ctx.runType = scheduled.run_type;
+  ctx.runSlot = scheduled.slot_id;
+  ctx.catchUp = scheduled.catch_up;
+  log('run', `Run type: ${ctx.runType}${ctx.runSlot ? ` (slot ${ctx.runSlot}${ctx.catchUp ? ', catch-up' : ''})` : ''}`);
+  return 'complete';
+}
 
-  // 3. Check API key
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    err('Claude', 'ANTHROPIC_API_KEY not set');
-    await sendTelegram('⚠️ OVERWATCH: Analysis failed — ANTHROPIC_API_KEY not set');
-    process.exit(1);
-  }
-
-  const runType = getRunType();
-  log('run', `Run type: ${runType}`);
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // FOUR-LAYER PIPELINE: SWEEP → CONTEXTUALIZE → INFER → RECONCILE
-  // Each layer receives ONLY the output of the layer before it.
-  // If any layer fails, the pipeline degrades gracefully.
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  let assessment360 = null;
-  let acquisitionOutcomeSummary = null;
-
-
-  // ── Layer 1: SWEEP ──────────────────────────────────────────────────────
+// ── sweep: Layer 1 ───────────────────────────────────────────────────────────
+async function stageSweep(ctx) {
+  const { dashboardData, thesisContext, domainConfig } = ctx;
   console.log('\n═══ LAYER 1: SWEEP ═══');
-  const sweepResults = await runSweep(dashboardData, thesisContext);
+  let sweepResults = await runSweep(dashboardData, thesisContext);
+
+  // Schema validation — Layer 1
+  let schemaLayer1 = null;
+  ({ output: sweepResults, validation: schemaLayer1 } = await enforceLayerSchema(1, sweepResults, { domainConfig }));
+  if (schemaLayer1?.status === 'REJECTED') recordSchemaRejection(1, schemaLayer1);
 
   // Tier 1 validators — Layer 1
   let tier1Layer1 = { flags: [], hard_fails: 0, total_flags: 0, layer: 1 };
   try {
     tier1Layer1 = runTier1Checks(1, sweepResults, dashboardData);
   } catch (e) {
-    warn('tier1', `Layer 1 validator failed (non-fatal): ${e.message}`);
-    tier1Layer1 = { flags: [{ rule_id: 'VALIDATOR_FAILURE', finding: 'Layer 1 Tier 1 checks', detail: e.message, severity: 'FLAG', timestamp: new Date().toISOString() }], hard_fails: 0, total_flags: 1, layer: 1 };
+    tier1Layer1 = tier1Failure(1, e);
   }
 
   // Layer Zero Gate — Layer 1
   let gateLayer1 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
   if (sweepResults.length > 0) {
     try {
-      gateLayer1 = await runLayerZeroGate(1, sweepResults, tier1Layer1, process.env.ANTHROPIC_API_KEY);
+      gateLayer1 = await runLayerZeroGate(1, sweepResults, tier1Layer1, null, { domainConfig, schemaValidation: schemaLayer1 });
     } catch (e) {
       warn('gate', `Layer 1 gate failed (non-fatal): ${e.message}`);
       gateLayer1 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
     }
   }
 
+  Object.assign(ctx, { sweepResults, schemaLayer1, tier1Layer1, gateLayer1 });
   if (sweepResults.length === 0) {
     warn('pipeline', 'Layer 1 SWEEP returned empty — four-layer pipeline cannot run');
+    return 'degraded';
   }
+  return 'complete';
+}
+
+// ── prune: signal ID assignment and top-15 cut ───────────────────────────────
+async function stagePrune(ctx) {
+  const { sweepResults } = ctx;
 
   // ── Signal ID assignment (deterministic, code-assigned — AD #8)
   let prunedSignals = [];
   const runTs = new Date().toISOString().replace(/[-:]/g, '').slice(0, 13).replace('T', '-');
-    const generatedAt = new Date().toISOString();
+  const generatedAt = new Date().toISOString();
   if (Array.isArray(sweepResults)) {
     for (let i = 0; i < sweepResults.length; i++) {
       sweepResults[i].signal_ids = [`${runTs}-SIG-${String(i + 1).padStart(3, '0')}`];
     }
   }
 
-  if (sweepResults.length > 0) {
-    // Prune to top 15 signals: critical → high → moderate → low
-    const SEVERITY_RANK = { critical: 0, high: 1, moderate: 2, low: 3 };
-    let signalsToAssess = sweepResults;
-    if (sweepResults.length > 15) {
-      const sorted = sweepResults
-        .map((t, i) => ({ t, i }))
-        .sort((a, b) => (SEVERITY_RANK[a.t.severity] ?? 9) - (SEVERITY_RANK[b.t.severity] ?? 9) || a.i - b.i);
-      signalsToAssess = sorted.slice(0, 15).sort((a, b) => a.i - b.i).map(({ t }) => t);
-      prunedSignals = sorted.slice(15).map(({ t }) => ({
-        signal_ids: t.signal_ids, signal: t.signal, severity: t.severity,
-        direction: t.direction, category: t.category, pruning_reason: 'severity_rank_cutoff'
-      }));
-      log('pipeline', `Pruned sweep from ${sweepResults.length} to 15 signals (${prunedSignals.length} pruned)`);
-    }
-
-    // ── Layer 2: CONTEXTUALIZE ────────────────────────────────────────────
-    console.log('\n═══ LAYER 2: CONTEXTUALIZE ═══');
-    const contextualizeResult = await runContextualize(signalsToAssess, dashboardData, thesisContext);
-
-    // Tier 1 validators — Layer 2
-    let tier1Layer2 = { flags: [], hard_fails: 0, total_flags: 0, layer: 2 };
-    if (contextualizeResult) {
-      try {
-        tier1Layer2 = runTier1Checks(2, contextualizeResult, dashboardData);
-      } catch (e) {
-        warn('tier1', `Layer 2 validator failed (non-fatal): ${e.message}`);
-        tier1Layer2 = { flags: [{ rule_id: 'VALIDATOR_FAILURE', finding: 'Layer 2 Tier 1 checks', detail: e.message, severity: 'FLAG', timestamp: new Date().toISOString() }], hard_fails: 0, total_flags: 1, layer: 2 };
-      }
+  // Prune to top 15 signals: critical → high → moderate → low
+  const SEVERITY_RANK = { critical: 0, high: 1, moderate: 2, low: 3 };
+  let signalsToAssess = sweepResults;
+  if (sweepResults.length > 15) {
+    const sorted = sweepResults
+      .map((t, i) => ({ t, i }))
+      .sort((a, b) => (SEVERITY_RANK[a.t.severity] ?? 9) - (SEVERITY_RANK[b.t.severity] ?? 9) || a.i - b.i);
+    signalsToAssess = sorted.slice(0, 15).sort((a, b) => a.i - b.i).map(({ t }) => t);
+    prunedSignals = sorted.slice(15).map(({ t }) => ({
+      signal_ids: t.signal_ids, signal: t.signal, severity: t.severity,
+      direction: t.direction, category: t.category, pruning_reason: 'severity_rank_cutoff'
+    }));
+    log('pipeline', `Pruned sweep from ${sweepResults.length} to 15 signals (${prunedSignals.length} pruned)`);
+  }
+
+  Object.assign(ctx, { sweepResults, signalsToAssess, prunedSignals, runTs, generatedAt });
+  return 'complete';
+}
+
+// ── l2: Layer 2 CONTEXTUALIZE ────────────────────────────────────────────────
+async function stageContextualize(ctx) {
+  const { dashboardData, thesisContext, domainConfig } = ctx;
+  if (!ctx.sweepResults || ctx.sweepResults.length === 0) return 'skipped';
+
+  console.log('\n═══ LAYER 2: CONTEXTUALIZE ═══');
+  let contextualizeResult = await runContextualize(ctx.signalsToAssess, dashboardData, thesisContext);
+
+  // Schema validation — Layer 2
+  let schemaLayer2 = null;
+  ({ output: contextualizeResult, validation: schemaLayer2 } = await enforceLayerSchema(2, contextualizeResult, { domainConfig }));
+  if (schemaLayer2?.status === 'REJECTED') recordSchemaRejection(2, schemaLayer2);
+
+  // Tier 1 validators — Layer 2
+  let tier1Layer2 = { flags: [], hard_fails: 0, total_flags: 0, layer: 2 };
+  // Layer Zero Gate — Layer 2
+  let gateLayer2 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
+  if (contextualizeResult) {
+    try {
+      tier1Layer2 = runTier1Checks(2, contextualizeResult, dashboardData);
+    } catch (e) {
+      tier1Layer2 = tier1Failure(2, e);
     }
+    try {
+      gateLayer2 = await runLayerZeroGate(2, contextualizeResult, tier1Layer2, null, { domainConfig, schemaValidation: schemaLayer2 });
+    } catch (e) {
+      warn('gate', `Layer 2 gate failed (non-fatal): ${e.message}`);
+      gateLayer2 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
+    }
+  }
 
-      // Layer Zero Gate — Layer 2
-      let gateLayer2 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
-      if (contextualizeResult) {
-        try {
-          gateLayer2 = await runLayerZeroGate(2, contextualizeResult, tier1Layer2, process.env.ANTHROPIC_API_KEY);
-        } catch (e) {
-          warn('gate', `Layer 2 gate failed (non-fatal): ${e.message}`);
-          gateLayer2 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
-        }
-      }
+  Object.assign(ctx, { contextualizeResult, schemaLayer2, tier1Layer2, gateLayer2 });
+  if (!contextualizeResult) {
+    warn('pipeline', 'Layer 2 failed — four-layer pipeline cannot continue');
+    return 'degraded';
+  }
+  return 'complete';
+}
 
-    if (contextualizeResult) {
-      // ── Layer 3: INFER ──────────────────────────────────────────────────
-      console.log('\n═══ LAYER 3: INFER ═══');
-      const inferenceResult = await runInfer(contextualizeResult, dashboardData, thesisContext);
-
-      // Tier 1 validators — Layer 3
-      let tier1Layer3 = { flags: [], hard_fails: 0, total_flags: 0, layer: 3 };
-      if (inferenceResult) {
-        try {
-          tier1Layer3 = runTier1Checks(3, inferenceResult, dashboardData);
-        } catch (e) {
-          warn('tier1', `Layer 3 validator failed (non-fatal): ${e.message}`);
-          tier1Layer3 = { flags: [{ rule_id: 'VALIDATOR_FAILURE', finding: 'Layer 3 Tier 1 checks', detail: e.message, severity: 'FLAG', timestamp: new Date().toISOString() }], hard_fails: 0, total_flags: 1, layer: 3 };
-        }
-      }
+// ── l3: Layer 3 INFER + x402 paper trades ────────────────────────────────────
+async function stageInfer(ctx) {
+  const { dashboardData, thesisContext, domainConfig, contextualizeResult } = ctx;
+  if (!contextualizeResult) return 'skipped';
+
+  console.log('\n═══ LAYER 3: INFER ═══');
+  let inferenceResult = await runInfer(contextualizeResult, dashboardData, thesisContext);
+
+  // Schema validation — Layer 3
+  let schemaLayer3 = null;
+  ({ output: inferenceResult, validation: schemaLayer3 } = await enforceLayerSchema(3, inferenceResult, { domainConfig }));
+  if (schemaLayer3?.status === 'REJECTED') recordSchemaRejection(3, schemaLayer3);
+
+  // Tier 1 validators — Layer 3
+  let tier1Layer3 = { flags: [], hard_fails: 0, total_flags: 0, layer: 3 };
+  // Layer Zero Gate — Layer 3
+  let gateLayer3 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
+  // ── x402 Paper Trade Logger (Post-Layer-3) ────────────────────────
+  let paperTradeResult = { requests_logged: 0, request_ids: [] };
+  if (inferenceResult) {
+    try {
+      tier1Layer3 = runTier1Checks(3, inferenceResult, dashboardData);
+    } catch (e) {
+      tier1Layer3 = tier1Failure(3, e);
+    }
+    try {
+      gateLayer3 = await runLayerZeroGate(3, inferenceResult, tier1Layer3, null, { domainConfig, schemaValidation: schemaLayer3 });
+    } catch (e) {
+      warn('gate', `Layer 3 gate failed (non-fatal): ${e.message}`);
+      gateLayer3 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
+    }
+    try {
+      paperTradeResult = logPaperTrades(contextualizeResult, inferenceResult, ctx.generatedAt, domainConfig);
+    } catch (ptErr) {
+      warn('x402', `Paper trade logging failed (non-fatal): ${ptErr.message}`);
+    }
+  }
 
-      // Layer Zero Gate — Layer 3
-      let gateLayer3 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
-      if (inferenceResult) {
-        try {
-          gateLayer3 = await runLayerZeroGate(3, inferenceResult, tier1Layer3, process.env.ANTHROPIC_API_KEY);
-        } catch (e) {
-          warn('gate', `Layer 3 gate failed (non-fatal): ${e.message}`);
-          gateLayer3 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
-        }
-      }
+  Object.assign(ctx, { inferenceResult, schemaLayer3, tier1Layer3, gateLayer3, paperTradeResult });
+  if (!inferenceResult) {
+    // Layer 3 failed — fall back to Layer 2 output
+    ctx.assessment360 = layerFallback360(contextualizeResult.layer2_summary, 3,
+      'Layer 3 INFER failed. Using Layer 2 data only. Strategic reasoning unavailable.',
+      'Pipeline degraded — Layers 3-4 unavailable');
+    return 'degraded';
+  }
+  return 'complete';
+}
 
-      // ── x402 Paper Trade Logger (Post-Layer-3) ────────────────────────
-      let paperTradeResult = { requests_logged: 0, request_ids: [] };
-      if (inferenceResult && contextualizeResult) {
-        try {
-          paperTradeResult = logPaperTrades(
-            contextualizeResult,
-            inferenceResult,
-            generatedAt,
-            domainConfigMain
-          );
-        } catch (ptErr) {
-          warn('x402', `Paper trade logging failed (non-fatal): ${ptErr.message}`);
-        }
-      }
+// ── action_pressure: previous tensions + AD #18 pressure (deterministic) ─────
+async function stageActionPressure(ctx) {
+  if (!ctx.inferenceResult) return 'skipped';
 
-      if (inferenceResult) {
-        // ── Layer 4: RECONCILE ────────────────────────────────────────────
-        console.log('\n═══ LAYER 4: RECONCILE ═══');
-
-        // AD #15: Load previous tensions for lifecycle management
-        let previousTensions = [];
-        try {
-          const histPath = path.join(__dirname, '..', 'data', '360-history.json');
-          if (fs.existsSync(histPath)) {
-            const hist = JSON.parse(fs.readFileSync(histPath, 'utf8'));
-            if (hist.length > 0) {
-              const lastEntry = hist[hist.length - 1];
-              previousTensions = lastEntry.unresolved_tensions || [];
-            }
-          }
-          if (previousTensions.length > 0) {
-            log('analysis', `AD #15: Loaded ${previousTensions.length} previous tensions for lifecycle management`);
-          }
-        } catch (e) {
-          warn('analysis', `Previous tensions load failed (non-fatal): ${e.message}`);
-        }
+  // AD #15: Load previous tensions for lifecycle management
+  let previousTensions = [];
+  try {
+    const histPath = path.join(DATA_DIR, '360-history.json');
+    if (fs.existsSync(histPath)) {
+      const hist = JSON.parse(fs.readFileSync(histPath, 'utf8'));
+      if (hist.length > 0) {
+        const lastEntry = hist[hist.length - 1];
+        previousTensions = lastEntry.unresolved_tensions || [];
+      }
+    }
+    if (previousTensions.length > 0) {
+      log('analysis', `AD #15: Loaded ${previousTensions.length} previous tensions for lifecycle management`);
+    }
+  } catch (e) {
+    warn('analysis', `Previous tensions load failed (non-fatal): ${e.message}`);
+  }
 
-        // AD #18: Compute action pressure BEFORE Layer 4 (deterministic, no AI)
-        let actionPressureResult = { layer4Context: null, telemetry: null };
-        try {
-          const histPath360 = path.join(__dirname, '..', 'data', '360-history.json');
-          let pressureHistory = [];
-          if (fs.existsSync(histPath360)) {
-            pressureHistory = JSON.parse(fs.readFileSync(histPath360, 'utf8'));
-          }
-          const lastEntry = pressureHistory.length > 0 ? pressureHistory[pressureHistory.length - 1] : {};
-          const currentAction = lastEntry.action_recommendation || lastEntry.tactical_recommendation || 'HOLD_POSITION';
-          actionPressureResult = calculateActionPressure({
-            history: pressureHistory,
-            currentTensions: previousTensions,
-            currentAction,
-            domainConfig: domainConfigMain,
-          });
-          log('analysis', `AD #18: Action pressure computed: ${actionPressureResult.telemetry?.pressure_telemetry?.tier || 'N/A'}`);
-        } catch (apErr) {
-          warn('analysis', `Action pressure calculation failed (non-fatal): ${apErr.message}`);
-        }
+  // AD #18: Compute action pressure BEFORE Layer 4 (deterministic, no AI)
+  let actionPressureResult = { layer4Context: null, telemetry: null };
+  try {
+    const histPath360 = path.join(DATA_DIR, '360-history.json');
+    let pressureHistory = [];
+    if (fs.existsSync(histPath360)) {
+      pressureHistory = JSON.parse(fs.readFileSync(histPath360, 'utf8'));
+    }
+    const lastEntry = pressureHistory.length > 0 ? pressureHistory[pressureHistory.length - 1] : {};
+    const currentAction = lastEntry.action_recommendation || lastEntry.tactical_recommendation || 'HOLD_POSITION';
+    actionPressureResult = calculateActionPressure({
+      history: pressureHistory,
+      currentTensions: previousTensions,
+      currentAction,
+      domainConfig: ctx.domainConfig,
+    });
+    log('analysis', `AD #18: Action pressure computed: ${actionPressureResult.telemetry?.pressure_telemetry?.tier || 'N/A'}`);
+  } catch (apErr) {
+    warn('analysis', `Action pressure calculation failed (non-fatal): ${apErr.message}`);
+  }
 
-        const reconcileResult = await runReconcile(contextualizeResult, inferenceResult, dashboardData, thesisContext, { previousTensions, domainConfig: domainConfigMain, pendingAcquisitions: paperTradeResult.request_ids, actionPressureContext: actionPressureResult.layer4Context, actionPressureTelemetry: actionPressureResult.telemetry });
+  Object.assign(ctx, { previousTensions, actionPressureResult });
+  return 'complete';
+}
 
-        // Tier 1 validators — Layer 4
-        let tier1Layer4 = { flags: [], hard_fails: 0, total_flags: 0, layer: 4 };
-        if (reconcileResult) {
-          try {
-            tier1Layer4 = runTier1Checks(4, reconcileResult, dashboardData, domainConfigMain, previousTensions, actionPressureResult.telemetry);
-          } catch (e) {
-            warn('tier1', `Layer 4 validator failed (non-fatal): ${e.message}`);
-            tier1Layer4 = { flags: [{ rule_id: 'VALIDATOR_FAILURE', finding: 'Layer 4 Tier 1 checks', detail: e.message, severity: 'FLAG', timestamp: new Date().toISOString() }], hard_fails: 0, total_flags: 1, layer: 4 };
-          }
-        }
+// ── l4: Layer 4 RECONCILE + compatibility bridge ─────────────────────────────
+async function stageReconcile(ctx) {
+  const { dashboardData, thesisContext, domainConfig, contextualizeResult, inferenceResult, previousTensions, actionPressureResult } = ctx;
+  if (!inferenceResult) return 'skipped';
 
-        // Layer Zero Gate — Layer 4
-        let gateLayer4 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
-        if (reconcileResult) {
-          try {
-            gateLayer4 = await runLayerZeroGate(4, reconcileResult, tier1Layer4, process.env.ANTHROPIC_API_KEY);
-          } catch (e) {
-            warn('gate', `Layer 4 gate failed (non-fatal): ${e.message}`);
-            gateLayer4 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
-          }
-        }
+  console.log('\n═══ LAYER 4: RECONCILE ═══');
+  let reconcileResult = await runReconcile(contextualizeResult, inferenceResult, dashboardData, thesisContext, { previousTensions, domainConfig, pendingAcquisitions: ctx.paperTradeResult.request_ids, actionPressureContext: actionPressureResult.layer4Context, actionPressureTelemetry: actionPressureResult.telemetry });
 
-        if (reconcileResult) {
-          // ── Compatibility Bridge ──────────────────────────────────────
-          assessment360 = buildDashboardCompatible(reconcileResult, contextualizeResult, inferenceResult);
-          log('pipeline', '✓ Full four-layer pipeline complete');
-
-            let traceResultForOutcomes = null;
-            let constrainedRequestsForOutcomes = [];
-
-          // ── Assemble Cognitive Trace ──────────────────────────────────
-          try {
-            const traceResult = assembleTrace();
-            if (traceResult) {
-              log('trace', `Cognitive trace assembled: ${traceResult._signal_count} signals, outcomes: ${JSON.stringify(traceResult._outcomes)}`);
-                traceResultForOutcomes = traceResult;
-                traceResult._injected_calibration = {
-                  L1: loadBehavioralCalibration('L1').map(e => e.id),
-                  L2: loadBehavioralCalibration('L2').map(e => e.id),
-                  L3: loadBehavioralCalibration('L3').map(e => e.id),
-                  L4: loadBehavioralCalibration('L4').map(e => e.id)
-                };
-                const iiMeta = contextualizeResult?._injected_intelligence_metadata || [];
-                if (iiMeta.length > 0) {
-                  traceResult._injected_intelligence = iiMeta;
-                }
-            } else {
-              warn('trace', 'Trace assembly returned null — trace will be missing for this run');
-            }
-          } catch (traceErr) {
-            warn('trace', `Trace assembly failed (non-fatal): ${traceErr.message}`);
-          }
+  // Schema validation — Layer 4
+  let schemaLayer4 = null;
+  ({ output: reconcileResult, validation: schemaLayer4 } = await enforceLayerSchema(4, reconcileResult, { domainConfig }));
+  if (schemaLayer4?.status === 'REJECTED') recordSchemaRejection(4, schemaLayer4);
 
-          // ── x402 Disposition Writeback (Post-Layer-4) ───────────────────
-          try {
-            const dispResult = applyDispositions(reconcileResult, domainConfigMain);
-            if (dispResult.dispositions_applied > 0) {
-              log('x402', `Applied ${dispResult.dispositions_applied} acquisition dispositions`);
-            }
-          } catch (dispErr) {
-            warn('x402', `Disposition writeback failed (non-fatal): ${dispErr.message}`);
-          }
+  // Tier 1 validators — Layer 4
+  let tier1Layer4 = { flags: [], hard_fails: 0, total_flags: 0, layer: 4 };
+  // Layer Zero Gate — Layer 4
+  let gateLayer4 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
+  if (reconcileResult) {
+    try {
+      tier1Layer4 = runTier1Checks(4, reconcileResult, dashboardData, domainConfig, previousTensions, actionPressureResult.telemetry);
+    } catch (e) {
+      tier1Layer4 = tier1Failure(4, e);
+    }
+    try {
+      gateLayer4 = await runLayerZeroGate(4, reconcileResult, tier1Layer4, null, { domainConfig, schemaValidation: schemaLayer4 });
+    } catch (e) {
+      warn('gate', `Layer 4 gate failed (non-fatal): ${e.message}`);
+      gateLayer4 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true, failure_reason: e.message };
+    }
+  }
 
-          // ── AD #17: Constrained Acquisition Engine (Post-Disposition) ────
-          try {
-            const ptPath = path.join(__dirname, '..', 'data', 'x402-paper-trades.json');
-            if (fs.existsSync(ptPath)) {
-              const ptLog = JSON.parse(fs.readFileSync(ptPath, 'utf8'));
-              const acqResult = constrainRequests(ptLog, domainConfigMain, { runTimestamp: generatedAt });
-              if (acqResult.total_constrained > 0) {
-                log('acq', `Constrained ${acqResult.total_constrained} of ${acqResult.total_approved} approved requests (${acqResult.rejected_by_materiality} below threshold, ${acqResult.rejected_by_cap} over cap)`);
-              }
-                constrainedRequestsForOutcomes = acqResult.constrained_requests || [];
-
-              // ── AD #19: Execute routed Base acquisitions ──────────────
-              if (constrainedRequestsForOutcomes.length > 0) {
-                const baseRequests = constrainedRequestsForOutcomes.filter(r => r.settlement_network === 'base' && r.channel_id);
-                if (baseRequests.length > 0) {
-                  const channels = domainConfigMain.acquisition_channels || [];
-                  for (const req of baseRequests) {
-                    try {
-                      const channel = channels.find(c => c.id === req.channel_id);
-                      if (!channel) {
-                        warn('acq', `No channel config found for ${req.channel_id} — skipping`);
-                        continue;
-                      }
-                      const query = req.description || req.target_id || 'unknown query';
-                      const acqExecResult = await executeBaseAcquisition(channel, query);
-                      log('acq', `Base acquisition [${req.channel_id}]: ${acqExecResult.status} — "${query.slice(0, 60)}"`);
-                      req.execution_result = acqExecResult;
-                    } catch (execErr) {
-                      warn('acq', `Base acquisition failed for ${req.request_id}: ${execErr.message}`);
-                    }
-                  }
-                }
-              }
+  Object.assign(ctx, { reconcileResult, schemaLayer4, tier1Layer4, gateLayer4 });
+  if (!reconcileResult) {
+    // Layer 4 failed — fall back to Layer 2 output via old bridge
+    ctx.assessment360 = layerFallback360(contextualizeResult.layer2_summary, 4,
+      'Layer 4 RECONCILE failed. Using Layer 2 data only. Increase monitoring until full pipeline is restored.',
+      'Pipeline degraded — Layer 4 unavailable');
+    return 'degraded';
+  }
 
-              // Persist acquired intelligence for next pipeline run (AD #19 feedback loop)
-              try {
-                const acquiredData = constrainedRequestsForOutcomes
-                  .filter(r => r.execution_result && (r.execution_result.status === 'SUCCESS' || r.execution_result.status === 'VENDOR_FAILOVER') && r.execution_result.data)
-                  .map(r => ({
-                    request_id: r.request_id,
-                    originating_trace_id: generatedAt,
-                    originating_signal_ids: r.signal_ids || [],
-                    tension_id: r.tension_id || r.target_id || null,
-                    query: r.description || r.query || '',
-                    content: typeof r.execution_result.data === 'string' ? r.execution_result.data : JSON.stringify(r.execution_result.data),
-                    acquired_at: new Date().toISOString(),
-                    consumed: false
-                  }));
-                if (acquiredData.length > 0) {
-                  const aiPath = path.join(__dirname, '..', 'data', 'acquired-intelligence.json');
-                  let existing = { pending: [] };
-                  try { existing = JSON.parse(fs.readFileSync(aiPath, 'utf8')); } catch {}
-                  existing.pending.push(...acquiredData);
-                  if (existing.pending.length > 50) {
-                    existing.pending = existing.pending.slice(-50);
-                  }
-                  fs.writeFileSync(aiPath, JSON.stringify(existing, null, 2));
-                  log('x402', 'Persisted ' + acquiredData.length + ' acquired intelligence entries to disk.');
-                }
-              } catch (persistErr) {
-                warn('x402', 'Failed to persist acquired intelligence (non-fatal): ' + persistErr.message);
-              }
-            }
-          } catch (acqErr) {
-            warn('acq', `Constrained acquisition failed (non-fatal): ${acqErr.message}`);
-          }
+  // ── Compatibility Bridge ──────────────────────────────────────
+  ctx.assessment360 = buildDashboardCompatible(reconcileResult, contextualizeResult, inferenceResult);
+  log('pipeline', '✓ Full four-layer pipeline complete');
+  return 'complete';
+}
 
-          // ── AD #17 Phase 3: Structural Gap Probing ───────────────────────
-          try {
-            const probeResult = probeStructuralGaps(reconcileResult, domainConfigMain);
-            if (probeResult.probed > 0) {
-              log('acq', `Probed ${probeResult.probed} structural gaps (${probeResult.total_gaps} total, ${JSON.stringify(probeResult.excluded_reasons)})`);
-            }
-          } catch (probeErr) {
-            warn('acq', `Structural gap probing failed (non-fatal): ${probeErr.message}`);
-          }
+// ── trace: cognitive trace assembly ──────────────────────────────────────────
+async function stageTrace(ctx) {
+  if (!ctx.reconcileResult) return 'skipped';
 
-            // ── AD #17 Phase 4: Record Acquisition Outcomes ────────────────
-            try {
-              if (constrainedRequestsForOutcomes.length > 0 && traceResultForOutcomes) {
-                const outcomeResult = recordOutcomes(constrainedRequestsForOutcomes, traceResultForOutcomes, reconcileResult, domainConfigMain, { runTimestamp: generatedAt });
-                  acquisitionOutcomeSummary = outcomeResult;
-                if (outcomeResult.outcomes_recorded > 0) {
-                  log('acq', `Recorded ${outcomeResult.outcomes_recorded} acquisition outcomes: ${JSON.stringify(outcomeResult.outcome_summary)}`);
-                }
-              }
-            } catch (outcomeErr) {
-              warn('acq', `Outcome recording failed (non-fatal): ${outcomeErr.message}`);
-            }
-        } else {
-          // Layer 4 failed — fall back to Layer 2 output via old bridge
-          warn('pipeline', 'Layer 4 failed — using Layer 2 output as fallback');
-          assessment360 = {
-            commander_summary: contextualizeResult.layer2_summary || '',
-            tactical_recommendation: 'INCREASE_MONITORING',
-            recommendation_reasoning: 'Layer 4 RECONCILE failed. Using Layer 2 data only. Increase monitoring until full pipeline is restored.',
-            signal_matrix: [],
-            compounding_risks: [],
-            blind_spots: [],
-            bias_check: { bull_indicators: 0, bear_indicators: 0, ratio: '0:0', assessment: 'Pipeline degraded — Layer 4 unavailable' },
-            kill_switches: [],
-            new_kill_switches_recommended: [],
-            compound_indices: [],
-            _pipeline_version: '2-layer-fallback',
-            _generated_at: new Date().toISOString()
-          };
-        }
-      } else {
-        // Layer 3 failed — fall back to Layer 2 output
-        warn('pipeline', 'Layer 3 failed — using Layer 2 output as fallback');
-        assessment360 = {
-          commander_summary: contextualizeResult.layer2_summary || '',
-          tactical_recommendation: 'INCREASE_MONITORING',
-          recommendation_reasoning: 'Layer 3 INFER failed. Using Layer 2 data only. Strategic reasoning unavailable.',
-          signal_matrix: [],
-          compounding_risks: [],
-          blind_spots: [],
-          bias_check: { bull_indicators: 0, bear_indicators: 0, ratio: '0:0', assessment: 'Pipeline degraded — Layers 3-4 unavailable' },
-          kill_switches: [],
-          new_kill_switches_recommended: [],
-          compound_indices: [],
-          _pipeline_version: '2-layer-fallback',
-          _generated_at: new Date().toISOString()
-        };
+  let traceResult = null;
+  try {
+    traceResult = assembleTrace();
+    if (traceResult) {
+      log('trace', `Cognitive trace assembled: ${traceResult._signal_count} signals, outcomes: ${JSON.stringify(traceResult._outcomes)}`);
+      traceResult._injected_calibration = {
+        L1: loadBehavioralCalibration('L1').map(e => e.id),
+        L2: loadBehavioralCalibration('L2').map(e => e.id),
+        L3: loadBehavioralCalibration('L3').map(e => e.id),
+        L4: loadBehavioralCalibration('L4').map(e => e.id)
+      };
+      const iiMeta = ctx.contextualizeResult?._injected_intelligence_metadata || [];
+      if (iiMeta.length > 0) {
+        traceResult._injected_intelligence = iiMeta;
       }
     } else {
-      warn('pipeline', 'Layer 2 failed — four-layer pipeline cannot continue');
+      warn('trace', 'Trace assembly returned null — trace will be missing for this run');
     }
+  } catch (traceErr) {
+    warn('trace', `Trace assembly failed (non-fatal): ${traceErr.message}`);
   }
 
-  // ── Write 360 report and history ──────────────────────────────────────────
-  if (assessment360) {
-    // Persist Layer 1 sweep output for audit and cognitive trace assembly
-    // Attached here (not in bridge) so it persists in all pipeline paths including fallbacks
-    if (sweepResults && sweepResults.length > 0) {
-      assessment360._layer1_raw = sweepResults;
+  // Corrections application tracking: trigger matches vs. layer references
+  if (traceResult) {
+    try {
+      const tracked = trackCorrectionApplications(traceResult, { domainConfig: ctx.domainConfig });
+      if (!tracked.skipped) {
+        log('corrections', `Applied: ${tracked.applied.join(', ') || 'none'} | Missed: ${tracked.missed.join(', ') || 'none'} (${tracked.evaluated} tracked)`);
+      }
+    } catch (trackErr) {
+      warn('corrections', `Application tracking failed (non-fatal): ${trackErr.message}`);
     }
-    if (prunedSignals.length > 0) {
-      assessment360._pruned_signals = prunedSignals;
+  }
+
+  ctx.traceResult = traceResult;
+  return 'complete';
+}
+
+// ── acquisition: x402 dispositions, constrained acquisition, outcomes ────────
+async function stageAcquisition(ctx) {
+  const { reconcileResult, domainConfig, generatedAt } = ctx;
+  if (!reconcileResult) return 'skipped';
+  if (!runBehaviors(ctx.runType, domainConfig).acquisition) {
+    log('x402', `Acquisition is off for ${ctx.runType} runs — skipping`);
+    return 'skipped';
+  }
+
+  let constrainedRequestsForOutcomes = [];
+  let acquisitionOutcomeSummary = null;
+
+  // ── x402 Disposition Writeback (Post-Layer-4) ───────────────────
+  try {
+    const dispResult = applyDispositions(reconcileResult, domainConfig);
+    if (dispResult.dispositions_applied > 0) {
+      log('x402', `Applied ${dispResult.dispositions_applied} acquisition dispositions`);
     }
+  } catch (dispErr) {
+    warn('x402', `Disposition writeback failed (non-fatal): ${dispErr.message}`);
+  }
 
-    // ── Blind Auditor: AD #14 Trajectory Review ───────────────────────────
-    try {
-      const historyPath = path.join(__dirname, '..', 'data', '360-history.json');
-      let auditHistory = [];
-      if (fs.existsSync(historyPath)) {
-        auditHistory = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  // ── AD #17: Constrained Acquisition Engine (Post-Disposition) ────
+  try {
+    const ptPath = path.join(DATA_DIR, 'x402-paper-trades.json');
+    if (fs.existsSync(ptPath)) {
+      const ptLog = JSON.parse(fs.readFileSync(ptPath, 'utf8'));
+      const acqResult = constrainRequests(ptLog, domainConfig, { runTimestamp: generatedAt });
+      if (acqResult.total_constrained > 0) {
+        log('acq', `Constrained ${acqResult.total_constrained} of ${acqResult.total_approved} approved requests (${acqResult.rejected_by_materiality} below threshold, ${acqResult.rejected_by_cap} over cap)`);
       }
-      let domainConfig = {};
-      const domainConfigPath = path.join(__dirname, '..', 'config', 'domain.json');
-      if (fs.existsSync(domainConfigPath)) {
-        domainConfig = JSON.parse(fs.readFileSync(domainConfigPath, 'utf8'));
+      constrainedRequestsForOutcomes = acqResult.constrained_requests || [];
+
+      // ── AD #19: Execute routed Base acquisitions ──────────────
+      if (constrainedRequestsForOutcomes.length > 0) {
+        const baseRequests = constrainedRequestsForOutcomes.filter(r => r.settlement_network === 'base' && r.channel_id);
+        if (baseRequests.length > 0) {
+          const channels = domainConfig.acquisition_channels || [];
+          for (const req of baseRequests) {
+            try {
+              const channel = channels.find(c => c.id === req.channel_id);
+              if (!channel) {
+                warn('acq', `No channel config found for ${req.channel_id} — skipping`);
+                continue;
+              }
+              const query = req.description || req.target_id || 'unknown query';
+              if (channel.paper_trade_only === false && cassette.getMode() !== 'replay') {
+                costLedger.checkBudget(channel.cost_per_request_usd || 0, `${channel.id} acquisition`);
+              }
+              const acqExecResult = await cassette.intercept('acquisition', { channel: channel.id, query },
+                () => executeBaseAcquisition(channel, query));
+              log('acq', `Base acquisition [${req.channel_id}]: ${acqExecResult.status} — "${query.slice(0, 60)}"`);
+              req.execution_result = acqExecResult;
+            } catch (execErr) {
+              warn('acq', `Base acquisition failed for ${req.request_id}: ${execErr.message}`);
+            }
+          }
+        }
+      }
+
+      for (const req of constrainedRequestsForOutcomes) {
+        costLedger.recordAcquisition({
+          request_id: req.request_id,
+          channel_id: req.channel_id,
+          network: req.settlement_network,
+          status: req.execution_result?.status || 'NOT_EXECUTED',
+          paper_trade: req.execution_result ? req.execution_result.paper_trade : true,
+          cost_usd: req.execution_result?.cost_usd ?? req.cost_usd,
+        });
       }
-      // Find most recent cognitive trace for AI audit
-      let productionTracePath = null;
+
+      // Persist acquired intelligence for next pipeline run (AD #19 feedback loop)
       try {
-        const traceIndexPath = path.join(__dirname, '..', 'data', 'trace-index.json');
-        if (fs.existsSync(traceIndexPath)) {
-          const traceIndex = JSON.parse(fs.readFileSync(traceIndexPath, 'utf8'));
-          if (Array.isArray(traceIndex) && traceIndex.length > 0) {
-            productionTracePath = path.join(__dirname, '..', 'data', traceIndex[0]);
+        const acquiredData = constrainedRequestsForOutcomes
+          .filter(r => r.execution_result && (r.execution_result.status === 'SUCCESS' || r.execution_result.status === 'VENDOR_FAILOVER') && r.execution_result.data)
+          .map(r => ({
+            request_id: r.request_id,
+            originating_trace_id: generatedAt,
+            originating_signal_ids: r.signal_ids || [],
+            tension_id: r.tension_id || r.target_id || null,
+            query: r.description || r.query || '',
+            content: typeof r.execution_result.data === 'string' ? r.execution_result.data : JSON.stringify(r.execution_result.data),
+            acquired_at: new Date().toISOString(),
+            consumed: false
+          }));
+        if (acquiredData.length > 0) {
+          const aiPath = path.join(DATA_DIR, 'acquired-intelligence.json');
+          let existing = { pending: [] };
+          try { existing = JSON.parse(fs.readFileSync(aiPath, 'utf8')); } catch {}
+          existing.pending.push(...acquiredData);
+          if (existing.pending.length > 50) {
+            existing.pending = existing.pending.slice(-50);
           }
+          fs.writeFileSync(aiPath, JSON.stringify(existing, null, 2));
+          log('x402', 'Persisted ' + acquiredData.length + ' acquired intelligence entries to disk.');
         }
-      } catch (e) { /* trace not available — auditor will use deterministic fallback */ }
-      const auditorResult = await runBlindAuditor({
-        history: auditHistory,
-        currentOutput: assessment360,
-        domainConfig,
-        runIndex: auditHistory.length,
-        cognitiveTracePath: productionTracePath,
-        actionPressureTelemetry: actionPressureResult.telemetry,
-      });
-      applyAuditorToOutput(assessment360, auditorResult);
-      if (auditorResult.override) {
-        log('auditor', `PHASE 2 OVERRIDE: action changed to ${auditorResult.override_action}`);
-        // Break-glass: immediate high-priority Telegram alert
-        await sendTelegram(
-          `🚨🚨🚨 <b>OVERWATCH: BLIND AUDITOR OVERRIDE</b> 🚨🚨🚨\n\n` +
-          `The Blind Auditor has overridden the action recommendation.\n\n` +
-          `<b>Action changed to:</b> ${auditorResult.override_action}\n` +
-          `<b>Reason:</b> ${auditorResult.override_reasoning}\n\n` +
-          `<b>STATE-LOCK ACTIVE.</b> Layer 4 cannot reverse this. Only you can release the lock by deleting data/auditor-state-lock.json.\n\n` +
-          `Review immediately.`
-        );
-      } else if (auditorResult.phase === 1) {
-        log('auditor', `Phase 1 advisory written. Layer 4 must address on next run.`);
+      } catch (persistErr) {
+        warn('x402', 'Failed to persist acquired intelligence (non-fatal): ' + persistErr.message);
       }
-    } catch (auditorErr) {
-      warn('auditor', `Blind Auditor failed (non-fatal): ${auditorErr.message}`);
     }
+  } catch (acqErr) {
+    warn('acq', `Constrained acquisition failed (non-fatal): ${acqErr.message}`);
+  }
 
-    // ── Acquisition Summary for Dashboard ───────────────────────────────
-    try {
-      const outcomesData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'acquisition-outcomes.json'), 'utf8'));
-      const allOutcomes = outcomesData.outcomes || [];
-      const recentOutcomes = allOutcomes.slice(-50);
-      const outcomeCounts = {};
-      for (const o of recentOutcomes) {
-        outcomeCounts[o.outcome] = (outcomeCounts[o.outcome] || 0) + 1;
-      }
-      const channelStats = {};
-      for (const o of recentOutcomes) {
-        const ch = o.channel_id || 'unknown';
-        if (!channelStats[ch]) channelStats[ch] = { requests: 0, outcomes: {}, total_cost_usd: 0 };
-        channelStats[ch].requests++;
-        channelStats[ch].outcomes[o.outcome] = (channelStats[ch].outcomes[o.outcome] || 0) + 1;
-        channelStats[ch].total_cost_usd += o.cost_usd || o.economic_cost_approved || 0;
-      }
-      const aiData = fs.existsSync(path.join(__dirname, '..', 'data', 'acquired-intelligence.json'))
-        ? JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'acquired-intelligence.json'), 'utf8'))
-        : { pending: [] };
-      const pending = (aiData.pending || []).filter(e => !e.consumed);
-      const consumed = (aiData.pending || []).filter(e => e.consumed);
-
-      assessment360.acquisition_summary = {
-        outcome_distribution: outcomeCounts,
-        total_outcomes_tracked: recentOutcomes.length,
-        channel_stats: channelStats,
-        feedback_loop: {
-          entries_pending_injection: pending.length,
-          entries_consumed: consumed.length,
-          total_entries: (aiData.pending || []).length
-        },
-        recent_acquisitions: recentOutcomes.slice(-10).reverse().map(o => ({
-          request_id: o.request_id,
-          target_id: o.target_id,
-          channel_id: o.channel_id,
-          outcome: o.outcome,
-          outcome_evidence: o.outcome_evidence,
-          run_trace_id: o.run_trace_id || null,
-          recorded_at: o._recorded_at
-        })),
-        this_cycle: acquisitionOutcomeSummary || { outcomes_recorded: 0, outcome_summary: {} },
-        _generated_at: new Date().toISOString()
-      };
-      log('dashboard', 'Acquisition summary attached to 360-report.');
-    } catch (acqSumErr) {
-      warn('dashboard', 'Failed to build acquisition summary (non-fatal): ' + acqSumErr.message);
+  // ── AD #17 Phase 3: Structural Gap Probing ───────────────────────
+  try {
+    const probeResult = probeStructuralGaps(reconcileResult, domainConfig);
+    if (probeResult.probed > 0) {
+      log('acq', `Probed ${probeResult.probed} structural gaps (${probeResult.total_gaps} total, ${JSON.stringify(probeResult.excluded_reasons)})`);
     }
+  } catch (probeErr) {
+    warn('acq', `Structural gap probing failed (non-fatal): ${probeErr.message}`);
+  }
 
-    try {
-      const reportPath = path.join(__dirname, '..', 'data', '360-report.json');
-      fs.writeFileSync(reportPath, JSON.stringify(assessment360, null, 2));
-      log('io', '360-report.json updated');
-    } catch (e) {
-      err('io', `Failed to write 360-report.json: ${e.message}`);
+  // ── AD #17 Phase 4: Record Acquisition Outcomes ────────────────
+  try {
+    if (constrainedRequestsForOutcomes.length > 0 && ctx.traceResult) {
+      const outcomeResult = recordOutcomes(constrainedRequestsForOutcomes, ctx.traceResult, reconcileResult, domainConfig, { runTimestamp: generatedAt });
+      acquisitionOutcomeSummary = outcomeResult;
+      if (outcomeResult.outcomes_recorded > 0) {
+        log('acq', `Recorded ${outcomeResult.outcomes_recorded} acquisition outcomes: ${JSON.stringify(outcomeResult.outcome_summary)}`);
+      }
     }
+  } catch (outcomeErr) {
+    warn('acq', `Outcome recording failed (non-fatal): ${outcomeErr.message}`);
+  }
+
+  ctx.acquisitionOutcomeSummary = acquisitionOutcomeSummary;
+  return 'complete';
+}
+
+// ── auditor: Blind Auditor trajectory review + acquisition summary ──────────
+
+/**
+ * Alerts for what the Blind Auditor found this run, keyed by finding ID and
+ * anomaly trigger ID so a lock or advisory that persists across runs is
+ * escalated rather than re-sent, and resolves when it clears.
+ */
+async function raiseAuditorAlerts(auditorResult, domainConfig) {
+  const lock = auditorResult.state_lock_active ? checkStateLock() : null;
+  await syncAlerts('auditor_override', lock ? [{
+    subject: lock.finding_id || lock.locked_at,
+    severity: 'CRITICAL',
+    tags: ['STATE_LOCK'],
+    icon: '🚨🚨🚨',
+    title: 'OVERWATCH: BLIND AUDITOR OVERRIDE',
+    summary: 'The Blind Auditor has overridden the action recommendation.',
+    sections: [
+      { heading: 'Action changed to', text: auditorResult.override_action },
+      { heading: 'Reason', text: auditorResult.override_reasoning },
+      { heading: 'STATE-LOCK ACTIVE', text: 'Layer 4 cannot reverse this. Only you can release it:', code: 'node scripts/overwatch-operator.js lock release --reason "..."' },
+    ],
+    footer: ['Review immediately.'],
+  }] : []);
+
+  const advisory = getActiveAdvisory(loadFindings());
+  await syncAlerts('auditor_advisory', advisory ? [{
+    subject: findingId(advisory),
+    severity: 'WARNING',
+    title: 'OVERWATCH: Blind Auditor advisory unresolved',
+    summary: advisory.advisory_text,
+    sections: [{ heading: 'Findings', items: (advisory.mismatches || []).map(m => `${m.type} (${m.severity})`) }],
+    footer: ['Layer 4 must address it, or resolve it: node scripts/overwatch-operator.js advisory resolve COMMITTED|JUSTIFIED --reason "..."'],
+  }] : []);
+
+  // Anomalies are only evaluated with enough history and no state-lock
+  if (!auditorResult.anomalies_checked) return;
+  const triggers = Object.fromEntries((domainConfig.anomaly_triggers || []).map(t => [t.id, t]));
+  const details = {};
+  for (const a of auditorResult.anomalies_triggered || []) (details[a.trigger_id] = details[a.trigger_id] || []).push(a.detail);
+  await syncAlerts('anomaly', Object.entries(details).map(([id, items]) => {
+    const trigger = triggers[id] || {};
+    return {
+      subject: id,
+      severity: trigger.severity || 'WARNING',
+      cooldown_hours: trigger.cooldown_hours,
+      escalate_after_runs: trigger.escalate_after_runs,
+      title: `OVERWATCH: anomaly ${id}`,
+      sections: [{ heading: 'Detail', items }],
+      footer: trigger.description ? [trigger.description] : [],
+    };
+  }), { domainConfig });
+}
+
+async function stageAuditor(ctx) {
+  const { assessment360 } = ctx;
+  if (!assessment360) return 'skipped';
+
+  // Persist Layer 1 sweep output for audit and cognitive trace assembly
+  // Attached here (not in bridge) so it persists in all pipeline paths including fallbacks
+  if (ctx.sweepResults && ctx.sweepResults.length > 0) {
+    assessment360._layer1_raw = ctx.sweepResults;
+  }
+  if (ctx.prunedSignals && ctx.prunedSignals.length > 0) {
+    assessment360._pruned_signals = ctx.prunedSignals;
+  }
 
+  // ── Blind Auditor: AD #14 Trajectory Review ───────────────────────────
+  try {
+    const historyPath = path.join(DATA_DIR, '360-history.json');
+    let auditHistory = [];
+    if (fs.existsSync(historyPath)) {
+      auditHistory = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    }
+    let domainConfig = {};
+    const domainConfigPath = path.join(CONFIG_DIR, 'domain.json');
+    if (fs.existsSync(domainConfigPath)) {
+      domainConfig = JSON.parse(fs.readFileSync(domainConfigPath, 'utf8'));
+    }
+    // Find most recent cognitive trace for AI audit
+    let productionTracePath = null;
     try {
-      const historyPath = path.join(__dirname, '..', 'data', '360-history.json');
-      let history = [];
-      if (fs.existsSync(historyPath)) {
-        history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
-      }
-      const historyEntry = {
-        timestamp: new Date().toISOString(),
-        ...assessment360
-      };
-      // Extract corrections_referenced before deleting raw layer data
-      // These small arrays enable Sunday audit to verify times_applied counters
-      // across all runs in a week, not just the latest 360-report.json
-      historyEntry._layer2_corrections_referenced = historyEntry._layer2_raw?.corrections_referenced || [];
-      historyEntry._layer3_corrections_referenced = historyEntry._layer3_raw?.corrections_referenced || [];
-      // Don't store raw layer data in history — too large
-      delete historyEntry._layer4_raw;
-      delete historyEntry._layer3_raw;
-      delete historyEntry._layer2_raw;
-      delete historyEntry._layer1_raw;
-      history.push(historyEntry);
-      if (history.length > 60) {
-        history = history.slice(-60);
+      const traceIndexPath = path.join(DATA_DIR, 'trace-index.json');
+      if (fs.existsSync(traceIndexPath)) {
+        const traceIndex = JSON.parse(fs.readFileSync(traceIndexPath, 'utf8'));
+        if (Array.isArray(traceIndex) && traceIndex.length > 0) {
+          productionTracePath = path.join(DATA_DIR, traceIndex[0]);
+        }
       }
-      fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
-      log('io', `360-history.json updated (${history.length} entries)`);
-    } catch (e) {
-      err('io', `Failed to update 360-history.json: ${e.message}`);
+    } catch (e) { /* trace not available — auditor will use deterministic fallback */ }
+    const auditorResult = await runBlindAuditor({
+      history: auditHistory,
+      currentOutput: assessment360,
+      domainConfig,
+      runIndex: auditHistory.length,
+      cognitiveTracePath: productionTracePath,
+      actionPressureTelemetry: ctx.actionPressureResult?.telemetry,
+    });
+    applyAuditorToOutput(assessment360, auditorResult);
+    if (auditorResult.override) {
+      log('auditor', `PHASE 2 OVERRIDE: action changed to ${auditorResult.override_action}`);
+    } else if (auditorResult.phase === 1) {
+      log('auditor', `Phase 1 advisory written. Layer 4 must address on next run.`);
+    }
+    await raiseAuditorAlerts(auditorResult, domainConfig);
+  } catch (auditorErr) {
+    warn('auditor', `Blind Auditor failed (non-fatal): ${auditorErr.message}`);
+  }
+
+  // ── Acquisition Summary for Dashboard ───────────────────────────────
+  try {
+    const outcomesData = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'acquisition-outcomes.json'), 'utf8'));
+    const allOutcomes = outcomesData.outcomes || [];
+    const recentOutcomes = allOutcomes.slice(-50);
+    const outcomeCounts = {};
+    for (const o of recentOutcomes) {
+      outcomeCounts[o.outcome] = (outcomeCounts[o.outcome] || 0) + 1;
+    }
+    const channelStats = {};
+    for (const o of recentOutcomes) {
+      const ch = o.channel_id || 'unknown';
+      if (!channelStats[ch]) channelStats[ch] = { requests: 0, outcomes: {}, total_cost_usd: 0 };
+      channelStats[ch].requests++;
+      channelStats[ch].outcomes[o.outcome] = (channelStats[ch].outcomes[o.outcome] || 0) + 1;
+      channelStats[ch].total_cost_usd += o.cost_usd || o.economic_cost_approved || 0;
+    }
+    const aiData = fs.existsSync(path.join(DATA_DIR, 'acquired-intelligence.json'))
+      ? JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'acquired-intelligence.json'), 'utf8'))
+      : { pending: [] };
+    const pending = (aiData.pending || []).filter(e => !e.consumed);
+    const consumed = (aiData.pending || []).filter(e => e.consumed);
+
+    assessment360.acquisition_summary = {
+      outcome_distribution: outcomeCounts,
+      total_outcomes_tracked: recentOutcomes.length,
+      channel_stats: channelStats,
+      feedback_loop: {
+        entries_pending_injection: pending.length,
+        entries_consumed: consumed.length,
+        total_entries: (aiData.pending || []).length
+      },
+      recent_acquisitions: recentOutcomes.slice(-10).reverse().map(o => ({
+        request_id: o.request_id,
+        target_id: o.target_id,
+        channel_id: o.channel_id,
+        outcome: o.outcome,
+        outcome_evidence: o.outcome_evidence,
+        run_trace_id: o.run_trace_id || null,
+        recorded_at: o._recorded_at
+      })),
+      this_cycle: ctx.acquisitionOutcomeSummary || { outcomes_recorded: 0, outcome_summary: {} },
+      _generated_at: new Date().toISOString()
+    };
+    log('dashboard', 'Acquisition summary attached to 360-report.');
+  } catch (acqSumErr) {
+    warn('dashboard', 'Failed to build acquisition summary (non-fatal): ' + acqSumErr.message);
+  }
+
+  ctx.assessment360 = assessment360;
+  return 'complete';
+}
+
+// ── history: 360 report and history writes ──────────────────────────────────
+async function stageHistory(ctx) {
+  const { assessment360 } = ctx;
+  if (!assessment360) return 'skipped';
+
+  // Token accounting for every model call so far this run (provider registry)
+  assessment360._model_usage = getUsageSummary();
+  assessment360._run_id = ctx.runId;
+
+  try {
+    const reportPath = path.join(DATA_DIR, '360-report.json');
+    fs.writeFileSync(reportPath, JSON.stringify(assessment360, null, 2));
+    log('io', '360-report.json updated');
+  } catch (e) {
+    err('io', `Failed to write 360-report.json: ${e.message}`);
+  }
+
+  try {
+    const historyPath = path.join(DATA_DIR, '360-history.json');
+    let history = [];
+    if (fs.existsSync(historyPath)) {
+      history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
     }
+    const historyEntry = {
+      timestamp: new Date().toISOString(),
+      ...assessment360
+    };
+    // Extract corrections_referenced before deleting raw layer data
+    // These small arrays enable Sunday audit to verify times_applied counters
+    // across all runs in a week, not just the latest 360-report.json
+    historyEntry._layer2_corrections_referenced = historyEntry._layer2_raw?.corrections_referenced || [];
+    historyEntry._layer3_corrections_referenced = historyEntry._layer3_raw?.corrections_referenced || [];
+    // Don't store raw layer data in history — too large
+    delete historyEntry._layer4_raw;
+    delete historyEntry._layer3_raw;
+    delete historyEntry._layer2_raw;
+    delete historyEntry._layer1_raw;
+    // A resumed or --from-stage run rewrites its own entry rather than adding a second one
+    const existing = history.findIndex(entry => entry._run_id === ctx.runId);
+    if (existing >= 0) history[existing] = historyEntry;
+    else history.push(historyEntry);
+    if (history.length > 60) {
+      history = history.slice(-60);
+    }
+    fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
+    log('io', `360-history.json updated (${history.length} entries)`);
+  } catch (e) {
+    err('io', `Failed to update 360-history.json: ${e.message}`);
   }
+  return 'complete';
+}
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // MAIN ANALYSIS CALL (legacy — produces dashboard primary data)
-  // This will be replaced by the four-layer pipeline once verified.
-  // For now, both run. The 360 pipeline feeds assessment_360 overlay.
-  // ═══════════════════════════════════════════════════════════════════════════
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN ANALYSIS CALL (legacy — produces dashboard primary data)
+// This will be replaced by the four-layer pipeline once verified.
+// For now, both run. The 360 pipeline feeds assessment_360 overlay.
+// ═══════════════════════════════════════════════════════════════════════════
 
+// ── legacy: single-call analysis, analysis-output.json, briefing ─────────────
+async function stageLegacy(ctx) {
+  const { dashboardData, thesisContext, runType, assessment360 } = ctx;
   console.log('\n═══ MAIN ANALYSIS (legacy) ═══');
 
   // 5. Build prompt
@@ -2665,7 +2727,7 @@ ${JSON.stringify(newsHeadlines, null, 2)}
 
 ## ANALYSIS INSTRUCTIONS
 - Current time: ${new Date().toISOString()}
-- Run type: ${runType} (morning/evening)
+- Run type: ${runType} (${runTypeLabel(runType)})
 - Compare current data against kill switch thresholds
 - Assess stress indicators (USD/JPY, JGB yield, oil, DXY, S&P 500, Fear & Greed)
 - Evaluate ETF flow trends
@@ -2683,44 +2745,30 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
   // 5. Call Claude API (1 retry after 5s on failure)
   let analysis;
   let raw;
-  const client = new Anthropic({ apiKey });
-  const callParams = {
-    model:      'claude-opus-4-6',
-    max_tokens: 8000,
-    system:     SYSTEM_PROMPT,
-    messages:   [{ role: 'user', content: userPrompt }],
-  };
-
-  let response;
-  for (let attempt = 0; attempt <= 1; attempt++) {
-    try {
-      log('Claude', `Calling claude-opus-4-6… (attempt ${attempt + 1})`);
-      response = await client.messages.create(callParams);
-      break; // success
-    } catch (e) {
-      if (attempt === 0) {
-        warn('Claude', `Attempt 1 failed: ${e.message} — retrying in 5s`);
-        await sleep(5_000);
-      } else {
-        err('Claude', `API call failed after retry: ${e.message}`);
-        await sendTelegram(`🚨 <b>OVERWATCH: Analysis failed — Claude API unreachable</b>\n\nError: ${e.message}`);
-        process.exit(1);
-      }
+  try {
+    ({ text: raw } = await callModel('legacy_analysis', { system: SYSTEM_PROMPT, prompt: userPrompt }, {
+      label: 'Claude',
+      domainConfig: ctx.domainConfig,
+    }));
+  } catch (e) {
+    if (e instanceof costLedger.BudgetExceededError) {
+      err('cost', `Legacy analysis not run: ${e.message}`);
+      return 'degraded';
     }
+    err('Claude', `API call failed after retry: ${e.message}`);
+    await raiseAlert({ type: 'run_failure', subject: 'model_unreachable', severity: 'CRITICAL', title: 'OVERWATCH: Analysis failed — Claude API unreachable', summary: `Error: ${e.message}` });
+    process.exit(1);
   }
-
-  raw = response.content[0].text;
   log('Claude', `Response received (${raw.length} chars)`);
+  await clearAlert('run_failure', 'model_unreachable');
 
   // Strip any accidental markdown code fences, then check for truncation
-  const cleaned = repairTruncatedJSON(
-    raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim(),
-    'Claude'
-  );
+  const cleaned = repairTruncatedJSON(stripCodeFences(raw), 'Claude');
 
   try {
     analysis = JSON.parse(cleaned);
     log('Claude', 'JSON parsed successfully');
+    await clearAlert('run_failure', 'json_parse_failed');
   } catch (parseErr) {
     err('Claude', `JSON parse failed: ${parseErr.message}`);
     try {
@@ -2729,15 +2777,20 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
     } catch (writeErr) {
       warn('Claude', `Could not write debug file: ${writeErr.message}`);
     }
-    await sendTelegram(
-      `⚠️ <b>OVERWATCH: JSON parse failed</b>\n\nDebug saved to scripts/debug-claude-response.txt\n\nRaw output preview:\n<pre>${raw.substring(0, 2000)}</pre>`
-    );
+    await raiseAlert({
+      type: 'run_failure',
+      subject: 'json_parse_failed',
+      severity: 'WARNING',
+      title: 'OVERWATCH: JSON parse failed',
+      summary: 'Debug saved to scripts/debug-claude-response.txt',
+      sections: [{ heading: 'Raw output preview', code: raw.substring(0, 2000) }],
+    });
     process.exit(1);
   }
 
   // Ensure timestamp and run_type are set
   analysis.timestamp = analysis.timestamp ?? new Date().toISOString();
-  analysis.run_type  = analysis.run_type  ?? runType;
+  analysis.run_type  = runType;
 
   // Overlay 360 results if the four-layer pipeline (or fallback) succeeded
   if (assessment360) {
@@ -2806,17 +2859,18 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
     warn('io', `Could not update analysis-history.json: ${histErr.message}`);
   }
 
-  // 7. Send Telegram notification
+  // 7. Send the run briefing
   let pipelineHealthLine = '⚡ Pipeline: health check unavailable';
   try {
-    const healthPath = path.join(__dirname, 'pipeline-health.json');
+    const healthPath = path.join(SCRIPTS_DIR, 'pipeline-health.json');
     if (fs.existsSync(healthPath)) {
       const h = JSON.parse(fs.readFileSync(healthPath, 'utf8'));
       pipelineHealthLine = `⚡ Pipeline: ${h.fields_populated}/${h.fields_total} sources | ${h.status}`;
+      if (h.stale_metrics?.length) pipelineHealthLine += ` | ${h.stale_metrics.length} stale`;
     }
   } catch (_) {}
 
-  // Add four-layer pipeline status to Telegram
+  // Add four-layer pipeline status to the briefing
   const pipelineVersion = assessment360?._pipeline_version ?? 'not-run';
   const pipelineStatus = pipelineVersion === '4-layer-v1'
     ? '🟢 4-LAYER'
@@ -2825,11 +2879,11 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
     : '🔴 OFFLINE';
   const fourLayerLine = `🏗️ Pipeline: ${pipelineStatus} (${pipelineVersion})`;
 
-  // Overledger status for Telegram
+  // Overledger status for the briefing
   let overledgerLine = '';
   try {
-    const rejLogPath = path.join(__dirname, '..', 'data', 'rejection-log.json');
-    const ledgerPath = path.join(__dirname, '..', 'data', 'corrections-ledger.json');
+    const rejLogPath = path.join(DATA_DIR, 'rejection-log.json');
+    const ledgerPath = path.join(DATA_DIR, 'corrections-ledger.json');
     let pendingReview = 0;
     let ledgerCount = 0;
     if (fs.existsSync(rejLogPath)) {
@@ -2840,16 +2894,19 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
       const ledger = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
       ledgerCount = ledger.filter(e => e.status === 'ACTIVE').length;
     }
-    overledgerLine = `\n📋 Overledger: ${ledgerCount} active lessons | ${pendingReview} pending review`;
+    overledgerLine = `📋 Overledger: ${ledgerCount} active lessons | ${pendingReview} pending review`;
     if (pendingReview >= 5) {
       overledgerLine += ' ⚠️ REVIEW RECOMMENDED';
     }
   } catch (_) {
-    overledgerLine = '\n📋 Overledger: status unavailable';
+    overledgerLine = '📋 Overledger: status unavailable';
   }
 
-  const message = formatTelegramMessage(analysis, dashboardData) + '\n' + pipelineHealthLine + '\n' + fourLayerLine + overledgerLine;
-  await sendTelegram(message);
+  if (ctx.briefingSent) {
+    log('notify', 'Briefing already sent for this run — not resending (--rerun-effects to resend)');
+  } else {
+    await notify(buildBriefing(analysis, dashboardData, [pipelineHealthLine, fourLayerLine, overledgerLine].filter(Boolean)));
+  }
 
   console.log('\n─── Analysis Summary ───────────────────────────');
   console.log(`Stress level:    ${analysis.stress_assessment?.level ?? 'N/A'} (${analysis.stress_assessment?.score ?? 'N/A'}/100)`);
@@ -2860,8 +2917,167 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
   console.log(`4-Layer:         ${pipelineStatus}`);
   console.log(`Thesis status:   ${assessment360?.thesis_status ?? 'N/A'} (${assessment360?.confidence_in_status ?? 'N/A'})`);
   console.log(`Recommendation:  ${assessment360?.tactical_recommendation ?? 'N/A'}`);
+  const usage = getUsageSummary();
+  console.log(`Model tokens:    ${usage.input_tokens} in / ${usage.output_tokens} out (${usage.calls} calls, ${usage.failed_calls} failed)`);
+  const spend = costLedger.getRunSpend();
+  console.log(`Run cost:        $${spend.total_usd.toFixed(4)} ($${spend.model_usd.toFixed(4)} model + $${spend.acquisition_usd.toFixed(4)} x402)`);
   console.log('───────────────────────────────────────────────\n');
 
+  ctx.analysis = analysis;
+  return 'complete';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FOUR-LAYER PIPELINE: SWEEP → CONTEXTUALIZE → INFER → RECONCILE
+// Each layer receives ONLY the output of the layer before it.
+// If any layer fails, the pipeline degrades gracefully.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// effects — stages that reach outside the run. When a replayed range reaches one
+// that already completed in this run, 'reuse' keeps its checkpoint instead of
+// running it again and 'notify' re-runs it without resending the briefing.
+// --rerun-effects repeats both.
+const PIPELINE_STAGES = [
+  { id: 'fetch',           run: stageFetch,           outputs: ['dashboardData', 'thesisContext', 'runType', 'runSlot', 'catchUp'] },
+  { id: 'sweep',           run: stageSweep,           outputs: ['sweepResults', 'schemaLayer1', 'tier1Layer1', 'gateLayer1'] },
+  { id: 'prune',           run: stagePrune,           outputs: ['sweepResults', 'signalsToAssess', 'prunedSignals', 'runTs', 'generatedAt'] },
+  { id: 'l2',              run: stageContextualize,   outputs: ['contextualizeResult', 'schemaLayer2', 'tier1Layer2', 'gateLayer2'] },
+  { id: 'l3',              run: stageInfer,           outputs: ['inferenceResult', 'schemaLayer3', 'tier1Layer3', 'gateLayer3', 'paperTradeResult', 'assessment360'] },
+  { id: 'action_pressure', run: stageActionPressure,  outputs: ['previousTensions', 'actionPressureResult'] },
+  { id: 'l4',              run: stageReconcile,       outputs: ['reconcileResult', 'schemaLayer4', 'tier1Layer4', 'gateLayer4', 'assessment360'] },
+  { id: 'trace',           run: stageTrace,           outputs: ['traceResult'] },
+  { id: 'acquisition',     run: stageAcquisition,     outputs: ['acquisitionOutcomeSummary'], effects: 'reuse' },
+  { id: 'auditor',         run: stageAuditor,         outputs: ['assessment360'] },
+  { id: 'history',         run: stageHistory,         outputs: [], effects: 'reuse' },
+  { id: 'legacy',          run: stageLegacy,          outputs: ['analysis'], effects: 'notify' },
+];
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Run the pipeline with per-stage checkpoints.
+ *
+ * @param {object} [options]
+ * @param {string}  [options.resume]    — run ID (or "latest") to continue
+ * @param {string}  [options.fromStage] — first stage to run (default: first incomplete stage)
+ * @param {string}  [options.toStage]   — last stage to run (default: legacy)
+ * @param {boolean} [options.rerunEffects] — repeat x402 purchases, the history write and
+ *                                          the briefing for stages that already completed
+ * @param {boolean} [options.fetch]     — run fetch-data.js in the fetch stage
+ */
+async function main(options) {
+  const opts = options || {};
+  console.log('\n━━━ Overwatch Terminal — Four-Layer Analysis ━━━');
+  console.log(`Started: ${new Date().toISOString()}${DOMAIN_ID ? ` (domain: ${DOMAIN_ID})` : ''}\n`);
+
+  // Load domain config (used by Tier 1 validators and Layer 4 prompt)
+  let domainConfigMain = {};
+  const domainConfigMainPath = path.join(CONFIG_DIR, 'domain.json');
+  if (fs.existsSync(domainConfigMainPath)) {
+    domainConfigMain = JSON.parse(fs.readFileSync(domainConfigMainPath, 'utf8'));
+    log('io', 'Loaded config/domain.json');
+  }
+
+  // Check model provider credentials for every pipeline role
+  const missingKey = ['layer1', 'layer2', 'layer3', 'layer4', 'legacy_analysis']
+    .map(role => missingCredential(role, domainConfigMain))
+    .find(Boolean);
+  if (missingKey) {
+    err('Claude', `${missingKey} not set`);
+    await raiseAlert({ type: 'run_failure', subject: 'missing_credential', severity: 'WARNING', title: `OVERWATCH: Analysis failed — ${missingKey} not set` });
+    process.exit(1);
+  }
+  await clearAlert('run_failure', 'missing_credential');
+
+  // One pipeline run at a time — overlapping runs would interleave history and ledger writes
+  try {
+    acquireLock({ argv: process.argv.slice(2) }, { domainConfig: domainConfigMain });
+  } catch (e) {
+    if (!(e instanceof LockHeldError)) throw e;
+    err('run', `${e.message} — not starting`);
+    process.exit(LOCK_HELD_EXIT);
+  }
+
+  // Open or create the run. --from-stage without --resume re-runs against the latest run.
+  const stageIds = PIPELINE_STAGES.map(s => s.id);
+  const runSource = opts.resume || (opts.fromStage && opts.fromStage !== 'fetch' ? 'latest' : null);
+  let run;
+  let plan;
+  try {
+    run = runSource ? checkpoints.openRun(runSource, stageIds) : checkpoints.createRun(stageIds);
+    plan = checkpoints.planStages(run, { fromStage: opts.fromStage, toStage: opts.toStage });
+  } catch (e) {
+    err('run', e.message);
+    process.exit(1);
+  }
+  if (plan.length === 0) {
+    log('run', `Run ${run.run_id} has no stages left to run`);
+    return;
+  }
+  log('run', `Stages: ${plan.join(' → ')}`);
+  checkpoints.beginInvocation(run, plan, {
+    resumed: Boolean(runSource),
+    from_stage: opts.fromStage || null,
+    to_stage: opts.toStage || null,
+    rerun_effects: Boolean(opts.rerunEffects),
+  });
+
+  const ctx = {
+    ...checkpoints.loadState(run, plan[0]),
+    options: opts,
+    domainConfig: domainConfigMain,
+    runId: run.run_id,
+  };
+  costLedger.beginRun(run.run_id, { budget: domainConfigMain.cost_budget });
+  beginAlertRun(run.run_id);
+
+  let halted = false;
+  for (const stage of PIPELINE_STAGES.filter(s => plan.includes(s.id))) {
+    const startedAt = new Date().toISOString();
+    const previous = stage.effects && !opts.rerunEffects ? checkpoints.completedCheckpoint(run, stage.id) : null;
+    if (previous && stage.effects === 'reuse') {
+      log('run', `${stage.id} already completed in run ${run.run_id} — reusing its checkpoint (--rerun-effects to repeat it)`);
+      Object.assign(ctx, previous.state);
+      checkpoints.saveCheckpoint(run, stage.id, 'complete', previous.state, startedAt);
+      continue;
+    }
+    ctx.briefingSent = Boolean(previous) && stage.effects === 'notify';
+    let status = await stage.run(ctx);
+    // A stage cut short by the budget ceiling is re-run on --resume
+    const budgetHalt = costLedger.getBudgetHalt();
+    if (budgetHalt && status === 'complete') status = 'degraded';
+    const state = {};
+    for (const key of stage.outputs) state[key] = ctx[key] ?? null;
+    checkpoints.saveCheckpoint(run, stage.id, status, state, startedAt);
+    costLedger.writeRunCosts(getUsageLog(), { run_type: ctx.runType || null, stages: plan });
+
+    if (budgetHalt) {
+      err('cost', `Budget ceiling reached during ${stage.id} — halting run ${run.run_id}. Resume with --resume ${run.run_id}`);
+      await raiseAlert({
+        type: 'budget_halt',
+        subject: budgetHalt.scope,
+        severity: 'WARNING',
+        title: 'OVERWATCH: Run halted — budget ceiling',
+        sections: [
+          { heading: 'Stage', text: stage.id },
+          { heading: `${budgetHalt.scope === 'day' ? 'Daily' : 'Per-run'} ceiling`, text: `$${budgetHalt.ceiling_usd} (spent $${budgetHalt.spent_usd})` },
+          { heading: 'Blocked', text: budgetHalt.blocked },
+        ],
+        footer: [`Resume with --resume ${run.run_id}`],
+      });
+      halted = true;
+      break;
+    }
+  }
+  if (!halted) await syncAlerts('budget_halt', []);
+  await sendDigest({ domainConfig: domainConfigMain });
+
+  checkpoints.finishInvocation(run);
+  if (plan.includes('fetch') && ctx.runSlot) {
+    recordRun({ slot_id: ctx.runSlot, run_type: ctx.runType, status: halted ? 'HALTED' : 'COMPLETE', run_id: run.run_id, catch_up: Boolean(ctx.catchUp) });
+  }
+  checkpoints.pruneRuns({ retain: domainConfigMain.run_checkpoints?.retain_runs });
+
   console.log(`Done: ${new Date().toISOString()}`);
 }
 
@@ -2869,8 +3085,47 @@ IMPORTANT: Keep all text fields concise. Ensure your response is valid, complete
 // Only execute main() when this file is run directly (node analyze-thesis.js).
 // When require()'d by another script (e.g., run-evolution.js), only exports are available.
 
+// Cassette flags (see llm-cassette.js):
+//   --record <cassette>                     live run, save every model call + input state
+//   --replay <cassette> [--replay-out <dir>] offline run in an isolated workspace
+//
+// Checkpoint flags (see run-checkpoints.js, stage IDs in PIPELINE_STAGES):
+//   --resume <run-id|latest>                 continue a run from its first incomplete stage
+//   --from-stage <stage> [--to-stage <stage>] re-run a stage range; without --resume,
+//                                            runs against the latest run's checkpoints
+//   --rerun-effects                          repeat acquisition and history and resend the
+//                                            briefing where those stages already completed
+//   --fetch                                  refresh dashboard-data.json in the fetch stage
+
 if (require.main === module) {
-  main().catch(e => {
+  const args = process.argv.slice(2);
+  const argValue = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : null;
+  };
+
+  if (argValue('--replay')) {
+    try {
+      process.exit(cassette.runReplay(argValue('--replay'), { outDir: argValue('--replay-out') }));
+    } catch (e) {
+      err('cassette', e.message);
+      process.exit(1);
+    }
+  }
+
+  if (argValue('--record')) {
+    cassette.startRecording(argValue('--record'));
+  } else if (cassette.getMode() === 'replay') {
+    cassette.installReplayEnvironment();
+  }
+
+  main({
+    resume: argValue('--resume'),
+    fromStage: argValue('--from-stage'),
+    toStage: argValue('--to-stage'),
+    rerunEffects: args.includes('--rerun-effects'),
+    fetch: args.includes('--fetch'),
+  }).catch(e => {
     console.error('\nFATAL:', e);
     process.exit(1);
   });
@@ -2880,9 +3135,10 @@ if (require.main === module) {
 // Layer functions accept an optional `options` object as their last parameter:
 //   correctionsLedgerPath — path to corrections ledger (Layers 2, 3)
 //   rejectionLogPath      — path to rejection log (Layer 4)
-//   enableTelegram        — send Telegram on failure (default: true)
+//   enableNotifications   — notify on layer failure (default: true)
 //   enablePromoteRejections — promote rejections to corrections ledger (default: true)
 // When called without options, all defaults match production behavior.
+// PIPELINE_STAGES is the checkpointed stage table main() runs, one { id, run(ctx), outputs } per stage.
 
 module.exports = {
   runSweep,
@@ -2894,4 +3150,5 @@ module.exports = {
   loadCorrectionsLedger,
   enforceCorrectionsReferenced,
   LAYER_ZERO_RULES,
+  PIPELINE_STAGES,
 };
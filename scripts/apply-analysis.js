@@ -11,13 +11,17 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DASHBOARD_PATH       = path.join(__dirname, '..', 'dashboard-data.json');
-const DASHBOARD_BACKUP     = path.join(__dirname, '..', 'dashboard-data.backup.json');
-const ANALYSIS_PATH        = path.join(__dirname, '..', 'analysis-output.json');
-const INDEX_PATH           = path.join(__dirname, '..', 'index.html');
-const INDEX_BACKUP         = path.join(__dirname, '..', 'index.backup.html');
-const EVENTS_LOG_PATH      = path.join(__dirname, 'events-history.json');
-const CHANGELOG_PATH       = path.join(__dirname, 'changelog.log');
+const { ROOT_DIR, SCRIPTS_DIR } = require('./utils/paths');
+
+// With --domain these resolve inside domains/<id>/. A domain without its own
+// index.html gets no timeline/HTML patching — the shared dashboard is left alone.
+const DASHBOARD_PATH       = path.join(ROOT_DIR, 'dashboard-data.json');
+const DASHBOARD_BACKUP     = path.join(ROOT_DIR, 'dashboard-data.backup.json');
+const ANALYSIS_PATH        = path.join(ROOT_DIR, 'analysis-output.json');
+const INDEX_PATH           = path.join(ROOT_DIR, 'index.html');
+const INDEX_BACKUP         = path.join(ROOT_DIR, 'index.backup.html');
+const EVENTS_LOG_PATH      = path.join(SCRIPTS_DIR, 'events-history.json');
+const CHANGELOG_PATH       = path.join(SCRIPTS_DIR, 'changelog.log');
 
 // ─── Utilities ────────────────────────────────────────────────────────────────
 
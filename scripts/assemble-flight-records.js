@@ -6,15 +6,20 @@
  *
  * Pure deterministic code. No AI judgment. Same inputs = same chains.
  *
- * Builds learning event chains from four data sources:
- *   1. Corrections Ledger  → CORRECTION chains (error → rule → mitigation)
+ * Builds learning event chains from five data sources:
+ *   1. Corrections Ledger  → CORRECTION chains (error → rule → mitigation),
+ *      with applied-versus-missed trends from corrections-tracking.js
  *   2. Behavioral Calibration → CALIBRATION chains (pattern → entry → injection)
  *   3. Acquisition Outcomes → ACQUISITION chains (gap → payment → outcome)
  *   4. Gate Review Ledger   → GATE_PATTERN chains (violation accumulation → promotion)
+ *   5. Operator Audit Log   → HUMAN_INTERVENTION chains (lock/advisory → review → release/resolve)
  *
  * Universal node schema: CATALYST → SYNTHESIS → RESOLUTION → OBSERVATION
  * All chain types render through the same UI components.
  *
+ * Alongside the chains, cost_summary carries the cost ledger's latest run,
+ * daily/weekly rollups and budget for the flight recorder's cost panel.
+ *
  * Constraints (Gemini cross-validation):
  *   - Acquisition chains join outcome records with x402 payment data for financial telemetry
  *   - All nodes strictly sorted chronologically within their chain
@@ -25,8 +30,11 @@
  *   data/behavioral-calibration.json
  *   data/acquisition-outcomes.json
  *   data/gate-review-ledger.json
+ *   data/operator-audit-log.jsonl  (overwatch-operator.js actions)
+ *   data/corrections-application-log.jsonl (corrections-tracking.js runs)
  *   data/cognitive-trace-*.json    (for trace context enrichment)
  *   dashboard-data.json            (for XRPL x402 tx hashes)
+ *   data/cost-ledger.json          (for the cost panel)
  *
  * Output:
  *   data/flight-recorder-data.json
@@ -36,9 +44,11 @@
 
 const path = require('path');
 const fs   = require('fs');
+const { summarizeLedger } = require('./cost-ledger');
+const { loadOperatorLog } = require('./overwatch-operator');
+const { loadApplicationLog, applicationTrends, applicationCounts } = require('./corrections-tracking');
 
-const DATA_DIR    = path.join(__dirname, '..', 'data');
-const ROOT_DIR    = path.join(__dirname, '..');
+const { DATA_DIR, ROOT_DIR } = require('./utils/paths');
 const OUTPUT_PATH = path.join(DATA_DIR, 'flight-recorder-data.json');
 
 // ─── Logging ────────────────────────────────────────────────────────────────
@@ -128,7 +138,7 @@ function buildGateViolationIndex(gateReviewLedger) {
 
 // ─── Chain Builders ─────────────────────────────────────────────────────────
 
-function buildCorrectionChains(correctionsLedger, correctionTraceIndex) {
+function buildCorrectionChains(correctionsLedger, correctionTraceIndex, trends) {
   const chains = [];
 
   for (const entry of correctionsLedger) {
@@ -182,6 +192,7 @@ function buildCorrectionChains(correctionsLedger, correctionTraceIndex) {
     });
 
     // RESOLUTION nodes — each trace where this correction fired
+    const counts = applicationCounts(entry, trends);
     const firings = correctionTraceIndex[entry.id] || [];
     if (firings.length > 0) {
       // Deduplicate by trace_id (a correction can fire on multiple signals in one run)
@@ -203,10 +214,10 @@ function buildCorrectionChains(correctionsLedger, correctionTraceIndex) {
         timestamp: first.trace_id,
         trace_id: first.trace_id,
         summary: `${entry.id} fired in pipeline — mitigation confirmed (Layer ${first.layer})`,
-        detail: `Applied in ${sortedFireings.length} run(s). Total times_applied: ${entry.times_applied || 0}`,
+        detail: `Applied in ${sortedFireings.length} run(s). Total times_applied: ${counts.times_applied}`,
         telemetry: {
           cl_id: entry.id,
-          times_applied: entry.times_applied || 0,
+          times_applied: counts.times_applied,
           first_fired_trace: first.trace_id,
           total_runs_fired: sortedFireings.length,
           fired_in_layers: [...new Set(firings.map(f => f.layer))].sort()
@@ -236,6 +247,28 @@ function buildCorrectionChains(correctionsLedger, correctionTraceIndex) {
       }
     }
 
+    // OBSERVATION — applied-versus-missed trend from post-run tracking
+    const trend = (trends || {})[entry.id];
+    if (trend) {
+      const applicable = trend.applied + trend.missed;
+      chain.application_trend = trend;
+      chain.nodes.push({
+        node_id: `${entry.id}-APPLICATION`,
+        node_type: 'OBSERVATION',
+        timestamp: trend.last_run,
+        trace_id: trend.last_run,
+        summary: `Applied ${trend.applied} of ${applicable} applicable run(s) — missed ${trend.missed}`,
+        detail: `Trigger matched or layer referenced in ${applicable} tracked run(s) across ${trend.weeks.length} week(s)`,
+        telemetry: {
+          cl_id: entry.id,
+          ...counts,
+          application_ratio: applicable > 0 ? Math.round((trend.applied / applicable) * 100) / 100 : null,
+          weekly: trend.weeks
+        }
+      });
+      if (trend.last_run > chain.last_updated) chain.last_updated = trend.last_run;
+    }
+
     // Strict chronological sort within chain
     chain.nodes.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
 
@@ -550,6 +583,98 @@ function buildGatePatternChains(gateViolationIndex, behavioralCalibration) {
   return chains;
 }
 
+// ─── Human Intervention Chains ──────────────────────────────────────────────
+
+const OPERATOR_RESOLUTION_ACTIONS = {
+  LOCK_RELEASE: 'released',
+  ADVISORY_RESOLVE: 'resolved',
+};
+
+/**
+ * One chain per state-lock or advisory the operator acted on, keyed by the
+ * subject snapshot in each operator log entry (lock locked_at / advisory
+ * timestamp). Read-only commands run with no lock or advisory in place have
+ * no subject and are not chained.
+ */
+function buildHumanInterventionChains(operatorLog) {
+  const bySubject = {};
+  for (const entry of operatorLog) {
+    const subject = entry.subject;
+    const key = subject?.type === 'state_lock' ? subject.locked_at
+      : subject?.type === 'advisory' ? subject.timestamp
+      : null;
+    if (!key) continue;
+    (bySubject[`${subject.type}:${key}`] ||= { subject, key, entries: [] }).entries.push(entry);
+  }
+
+  const chains = [];
+  for (const { subject, key, entries } of Object.values(bySubject)) {
+    const isLock = subject.type === 'state_lock';
+    const idStem = `${isLock ? 'LOCK' : 'ADV'}-${key.replace(/[^0-9]/g, '').slice(0, 14)}`;
+    const sorted = entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    const resolution = sorted.find(e => OPERATOR_RESOLUTION_ACTIONS[e.action]);
+    const mismatchTypes = subject.mismatch_types || [];
+
+    const chain = {
+      chain_id: `CHAIN-HUMAN-${idStem}`,
+      chain_type: 'HUMAN_INTERVENTION',
+      subject: isLock
+        ? `State-lock on ${subject.locked_action || 'unknown action'} (${subject.locked_by || 'auditor'})`
+        : `Phase 1 advisory, run ${subject.run_index ?? '?'}: ${mismatchTypes.join(', ') || 'no mismatches recorded'}`,
+      status: resolution
+        ? `${OPERATOR_RESOLUTION_ACTIONS[resolution.action].toUpperCase()}${resolution.action === 'ADVISORY_RESOLVE' ? ` → ${resolution.outcome}` : ''}`
+        : (isLock ? 'LOCKED' : 'OPEN'),
+      first_seen: key,
+      last_updated: sorted[sorted.length - 1].timestamp || '',
+      linked_chains: [],
+      source_data_file: 'operator-audit-log.jsonl',
+      nodes: []
+    };
+
+    // CATALYST — the auditor engaging the lock or issuing the advisory
+    chain.nodes.push({
+      node_id: `${idStem}-CATALYST`,
+      node_type: 'CATALYST',
+      timestamp: key,
+      trace_id: null,
+      summary: isLock
+        ? `Blind Auditor state-lock engaged: ${subject.locked_action || 'unknown action'}`
+        : `Blind Auditor advisory issued (run ${subject.run_index ?? '?'})`,
+      detail: isLock ? (subject.override_reasoning || '') : `Mismatches: ${mismatchTypes.join(', ') || '—'}`,
+      telemetry: { ...subject }
+    });
+
+    // OBSERVATION — each operator review; RESOLUTION — the release or resolve
+    sorted.forEach((entry, i) => {
+      const isResolution = entry === resolution;
+      chain.nodes.push({
+        node_id: `${idStem}-${isResolution ? 'RESOLUTION' : `OBSERVATION-${i + 1}`}`,
+        node_type: isResolution ? 'RESOLUTION' : 'OBSERVATION',
+        timestamp: entry.timestamp || '',
+        trace_id: null,
+        summary: isResolution
+          ? `${entry.operator || 'Operator'} ${OPERATOR_RESOLUTION_ACTIONS[entry.action]} the ${isLock ? 'state-lock' : `advisory as ${entry.outcome}`}`
+          : `${entry.operator || 'Operator'} ran ${entry.command}`,
+        detail: entry.reason || '',
+        telemetry: {
+          operator: entry.operator || null,
+          action: entry.action,
+          command: entry.command,
+          outcome: entry.outcome || null,
+          reason: entry.reason || null
+        }
+      });
+    });
+
+    // Strict chronological sort
+    chain.nodes.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+    chains.push(chain);
+  }
+
+  return chains;
+}
+
 // ─── Main Assembly ──────────────────────────────────────────────────────────
 
 function assembleFlightRecords() {
@@ -561,8 +686,12 @@ function assembleFlightRecords() {
   const acquisitionOutcomes = loadJSON(path.join(DATA_DIR, 'acquisition-outcomes.json'), { outcomes: [] });
   const gateReviewLedger = loadJSON(path.join(DATA_DIR, 'gate-review-ledger.json'), []);
   const dashboardData = loadJSON(path.join(ROOT_DIR, 'dashboard-data.json'), {});
+  const costLedger = loadJSON(path.join(DATA_DIR, 'cost-ledger.json'), { runs: [] });
+  const domainConfig = loadJSON(path.join(ROOT_DIR, 'config', 'domain.json'), {});
+  const operatorLog = loadOperatorLog();
+  const trends = applicationTrends(loadApplicationLog());
 
-  log('load', `Corrections: ${correctionsLedger.length}, Calibrations: ${behavioralCalibration.length}, Outcomes: ${(acquisitionOutcomes.outcomes || []).length}, Gate entries: ${gateReviewLedger.length}`);
+  log('load', `Corrections: ${correctionsLedger.length}, Calibrations: ${behavioralCalibration.length}, Outcomes: ${(acquisitionOutcomes.outcomes || []).length}, Gate entries: ${gateReviewLedger.length}, Operator actions: ${operatorLog.length}`);
 
   // Load trace files for correction enrichment
   const traces = loadTraceFiles();
@@ -574,19 +703,21 @@ function assembleFlightRecords() {
   log('index', `Correction firings indexed for ${Object.keys(correctionTraceIndex).length} entries. Gate violations indexed for ${Object.keys(gateViolationIndex).length} rules.`);
 
   // Build chains
-  const correctionChains = buildCorrectionChains(correctionsLedger, correctionTraceIndex);
+  const correctionChains = buildCorrectionChains(correctionsLedger, correctionTraceIndex, trends);
   const calibrationChains = buildCalibrationChains(behavioralCalibration);
   const acquisitionChains = buildAcquisitionChains(acquisitionOutcomes, dashboardData);
   const gatePatternChains = buildGatePatternChains(gateViolationIndex, behavioralCalibration);
+  const humanInterventionChains = buildHumanInterventionChains(operatorLog);
 
-  log('build', `Chains: ${correctionChains.length} correction, ${calibrationChains.length} calibration, ${acquisitionChains.length} acquisition, ${gatePatternChains.length} gate pattern`);
+  log('build', `Chains: ${correctionChains.length} correction, ${calibrationChains.length} calibration, ${acquisitionChains.length} acquisition, ${gatePatternChains.length} gate pattern, ${humanInterventionChains.length} human intervention`);
 
   // Assemble output
   const allChains = [
     ...correctionChains,
     ...calibrationChains,
     ...acquisitionChains,
-    ...gatePatternChains
+    ...gatePatternChains,
+    ...humanInterventionChains
   ];
 
   // Sort chains by last_updated descending (most recent activity first)
@@ -601,8 +732,10 @@ function assembleFlightRecords() {
       calibration: calibrationChains.length,
       acquisition: acquisitionChains.length,
       gate_pattern: gatePatternChains.length,
+      human_intervention: humanInterventionChains.length,
       total: allChains.length
     },
+    cost_summary: summarizeLedger(costLedger, { budget: domainConfig.cost_budget || null }),
     chains: allChains
   };
 
@@ -625,6 +758,9 @@ if (require.main === module) {
   console.log(`  CALIBRATION:  ${result._chain_counts.calibration}`);
   console.log(`  ACQUISITION:  ${result._chain_counts.acquisition}`);
   console.log(`  GATE_PATTERN: ${result._chain_counts.gate_pattern}`);
+  console.log(`  HUMAN_INTERVENTION: ${result._chain_counts.human_intervention}`);
+  const cost = result.cost_summary;
+  if (cost.today) console.log(`Cost today: $${cost.today.total_usd.toFixed(4)} across ${cost.today.runs} run(s)`);
 
   // Show chains with RESOLUTION nodes (proven mitigations)
   const resolved = result.chains.filter(c => c.nodes.some(n => n.node_type === 'RESOLUTION'));
@@ -17,6 +17,7 @@
  * Input:
  *   data/cognitive-trace-*.json         — per-run signal traces
  *   config/signal-aliases.json          — human-maintained alias dictionary
+ *                                         (signal-lineage.js edits it)
  *
  * Output:
  *   data/signal-dossier-data.json       — longitudinal signal dossiers
@@ -32,8 +33,7 @@ const fs   = require('fs');
 const { diffWords } = require('diff');
 const { loadAliases, matchAlias } = require('./utils/signal-matching');
 
-const DATA_DIR    = path.join(__dirname, '..', 'data');
-const CONFIG_DIR  = path.join(__dirname, '..', 'config');
+const { DATA_DIR, CONFIG_DIR } = require('./utils/paths');
 const ALIAS_PATH  = path.join(CONFIG_DIR, 'signal-aliases.json');
 const OUTPUT_PATH = path.join(DATA_DIR, 'signal-dossier-data.json');
 
@@ -164,7 +164,8 @@ function extractAppearance(signal, runTimestamp, injectedCalibration) {
 /**
  * Assemble signal dossiers from all cognitive trace files.
  *
- * @param {object} options — optional overrides for paths
+ * @param {object} options — optional overrides for paths; dryRun: true
+ *   assembles without writing the output (signal-lineage.js previews)
  * @returns {object} — the assembled dossier data
  */
 function assembleSignalDossiers(options) {
@@ -174,7 +175,7 @@ function assembleSignalDossiers(options) {
   const outputPath = opts.outputPath || OUTPUT_PATH;
 
   // Load alias dictionary
-  const { aliases, sortedKeys } = loadAliases(ALIAS_PATH, log);
+  const { aliases, sortedKeys } = loadAliases(aliasPath, log);
 
   // Discover trace files (already in chronological order)
   const traceFiles = discoverTraceFiles(dataDir);
@@ -394,6 +395,8 @@ function assembleSignalDossiers(options) {
     lineages
   };
 
+  if (opts.dryRun) return output;
+
   // Write output
   try {
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
@@ -460,7 +463,8 @@ if (require.main === module) {
     if (orphanLineages.length > 15) {
       console.log(`  ... and ${orphanLineages.length - 15} more`);
     }
+    console.log('Merge or name them with: node scripts/signal-lineage.js orphans');
   }
 }
 
-module.exports = { assembleSignalDossiers };
+module.exports = { assembleSignalDossiers, generateFallbackLineage };
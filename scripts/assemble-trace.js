@@ -14,6 +14,12 @@
  *   data/360-report.json       — _layer1_raw, _layer2_raw, _layer3_raw, _layer4_raw, _pruned_signals
  *   data/gate-review-ledger.json — append-only ledger, last 4 entries (one per layer)
  *
+ * Schema violations recorded with each gate entry (flag_type SCHEMA_VIOLATION)
+ * are attached to a signal's gate object as schema_flags when the failing
+ * path points into an entry carrying that signal's ID. They count toward
+ * FLAGGED alongside Layer Zero violations. Per-layer schema status is
+ * summarized in _schema_validation.
+ *
  * Output:
  *   data/cognitive-trace-[timestamp].json
  *
@@ -23,7 +29,8 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR    = path.join(__dirname, '..', 'data');
+const { DATA_DIR } = require('./utils/paths');
+const { sealTraceDocument, anchorTraces } = require('./ledger-integrity');
 const REPORT_PATH = path.join(DATA_DIR, '360-report.json');
 const GATE_LEDGER = path.join(DATA_DIR, 'gate-review-ledger.json');
 
@@ -61,13 +68,35 @@ function getGateEntriesForCurrentRun(gateLedger) {
   return gates;
 }
 
+/**
+ * Resolve the layer entry a schema violation path points into.
+ * "scored_signals[2].severity" → layerOutput.scored_signals[2];
+ * "[3].severity" (Layer 1 array) → layerOutput[3]. Root-level paths → null.
+ */
+function resolveViolationEntry(layerOutput, violationPath) {
+  const m = /^([A-Za-z0-9_]*)\[(\d+)\]/.exec(violationPath || '');
+  if (!m || !layerOutput) return null;
+  const list = m[1] ? layerOutput[m[1]] : layerOutput;
+  return Array.isArray(list) ? list[Number(m[2])] : null;
+}
+
+/**
+ * Extract schema violations relevant to a specific signal_id.
+ */
+function getSchemaFlagsForSignal(gateEntry, layerOutput, signalId) {
+  const sv = gateEntry?.schema_validation;
+  if (!sv || !Array.isArray(sv.violations)) return [];
+  return sv.violations.filter(v => entryContainsSignal(resolveViolationEntry(layerOutput, v.path), signalId));
+}
+
 /**
  * Extract gate violations relevant to a specific signal_id.
  * Gate violations carry signal_ids arrays.
  */
-function getGateViolationsForSignal(gateEntry, signalId) {
+function getGateViolationsForSignal(gateEntry, signalId, layerOutput) {
+  const schemaFlags = getSchemaFlagsForSignal(gateEntry, layerOutput, signalId);
   if (!gateEntry || !gateEntry.gate_result || !Array.isArray(gateEntry.gate_result.violations)) {
-    return { violations: [], compliance: gateEntry?.gate_result?.compliance || gateEntry?.compliance || 'UNKNOWN' };
+    return { violations: [], schema_flags: schemaFlags, compliance: gateEntry?.gate_result?.compliance || gateEntry?.compliance || 'UNKNOWN' };
   }
   const relevant = gateEntry.gate_result.violations.filter(v => {
     if (Array.isArray(v.signal_ids)) return v.signal_ids.includes(signalId);
@@ -76,6 +105,7 @@ function getGateViolationsForSignal(gateEntry, signalId) {
   });
   return {
     violations: relevant,
+    schema_flags: schemaFlags,
     compliance: gateEntry.gate_result.compliance || gateEntry.compliance || 'UNKNOWN',
     findings_reviewed: gateEntry.gate_result.findings_reviewed || 0
   };
@@ -209,7 +239,7 @@ function assembleTrace(options) {
     } : null;
 
     // — Layer 1 Gate —
-    const perceptionGate = getGateViolationsForSignal(gates[1], sigId);
+    const perceptionGate = getGateViolationsForSignal(gates[1], sigId, layer1);
 
     // — Layer 2: Contextualization —
     let contextualization = null;
@@ -260,7 +290,7 @@ function assembleTrace(options) {
     }
 
     // — Layer 2 Gate —
-    const contextualizationGate = getGateViolationsForSignal(gates[2], sigId);
+    const contextualizationGate = getGateViolationsForSignal(gates[2], sigId, layer2);
 
     // — Layer 3: Inference —
     let inference = null;
@@ -309,7 +339,7 @@ function assembleTrace(options) {
     }
 
     // — Layer 3 Gate —
-    const inferenceGate = getGateViolationsForSignal(gates[3], sigId);
+    const inferenceGate = getGateViolationsForSignal(gates[3], sigId, layer3);
 
     // — Layer 4: Judgment —
     let judgment = null;
@@ -366,15 +396,19 @@ function assembleTrace(options) {
     }
 
     // — Layer 4 Gate —
-    const judgmentGate = getGateViolationsForSignal(gates[4], sigId);
+    const judgmentGate = getGateViolationsForSignal(gates[4], sigId, layer4);
 
-    // — Check for gate flags on survived signals —
+    // — Check for gate and schema flags on survived signals —
     if (outcome === 'SURVIVED') {
       const allViolations = [
         ...perceptionGate.violations,
         ...contextualizationGate.violations,
         ...inferenceGate.violations,
-        ...judgmentGate.violations
+        ...judgmentGate.violations,
+        ...perceptionGate.schema_flags,
+        ...contextualizationGate.schema_flags,
+        ...inferenceGate.schema_flags,
+        ...judgmentGate.schema_flags
       ];
       if (allViolations.length > 0) {
         outcome = 'FLAGGED';
@@ -448,6 +482,18 @@ function assembleTrace(options) {
   }
   log('summary', `Outcomes: ${JSON.stringify(outcomes)}`);
 
+  // ── Schema validation summary (per layer) ──
+  const schemaValidation = {};
+  for (const n of [1, 2, 3, 4]) {
+    const sv = gates[n]?.schema_validation;
+    schemaValidation[`layer${n}`] = sv ? {
+      status: sv.status,
+      violations_count: sv.violations_count,
+      initial_violations_count: sv.initial_violations_count,
+      repair_attempted: sv.repair_attempted
+    } : null;
+  }
+
   // ── Write trace file ──
   // Timestamp format for filename: strip colons and periods for filesystem safety
   const tsForFile = generatedAt.replace(/[:.]/g, '-');
@@ -461,11 +507,22 @@ function assembleTrace(options) {
     _signal_count: trace.length,
     _outcomes: outcomes,
     _x402_tagged: x402Tagged,
+    _schema_validation: schemaValidation,
     signals: trace
   };
 
+  // Chain the trace to the previous run's (ledger-integrity.js)
+  try {
+    const { seal, adopted } = sealTraceDocument(traceOutput, outputDir, traceFilename);
+    if (adopted > 0) log('io', `Sealed ${adopted} earlier trace(s) into the integrity chain`);
+    log('io', `Trace sealed: seq ${seal.seq}${seal.sig ? ', signed' : ''}`);
+  } catch (sealErr) {
+    warn('io', `Trace sealing failed (non-fatal): ${sealErr.message}`);
+  }
+
   fs.writeFileSync(tracePath, JSON.stringify(traceOutput, null, 2));
   log('io', `Wrote ${tracePath}`);
+  anchorTraces(outputDir);
   log('io', `${trace.length} signals traced`);
 
   // ── Update trace index ──
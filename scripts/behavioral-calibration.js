@@ -24,8 +24,7 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR    = path.join(__dirname, '..', 'data');
-const CONFIG_DIR  = path.join(__dirname, '..', 'config');
+const { DATA_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
 
 function log(msg)  { console.log(`[calibration] ${msg}`); }
 function warn(msg) { console.warn(`[calibration] ⚠️ ${msg}`); }
@@ -483,7 +482,7 @@ function updateMeasurements(patterns) {
 // ─── CLI Entry Point ─────────────────────────────────────────────────────────
 
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const args = stripDomainArgs(process.argv.slice(2));
   const command = args[0] || 'report';
 
   if (command === 'report') {
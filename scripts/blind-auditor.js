@@ -29,7 +29,9 @@
 
 const path = require('path');
 const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
 const { runAIAudit } = require('./ai-auditor');
+const { missingCredential } = require('./model-providers');
 const { loadLayerZeroRules, formatRulesForPrompt } = require('./layer-zero-gate');
 const { detectSpendingBehavior } = require('./x402-spending-detectors');
 const { detectCalibrationSuppression } = require('./calibration-suppression-detectors');
@@ -37,8 +39,8 @@ const { detectCognitiveBehavior } = require('./x402-cognitive-detectors');
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 
-const AUDIT_FINDINGS_PATH = path.join(__dirname, '..', 'data', 'audit-findings.json');
-const STATE_LOCK_PATH     = path.join(__dirname, '..', 'data', 'auditor-state-lock.json');
+const AUDIT_FINDINGS_PATH = path.join(DATA_DIR, 'audit-findings.json');
+const STATE_LOCK_PATH     = path.join(DATA_DIR, 'auditor-state-lock.json');
 
 // Thesis status → directional value for trajectory comparison
 // Positive = strengthening direction, Negative = weakening direction, 0 = neutral/contested
@@ -163,6 +165,16 @@ function writeFindings(findings, findingsPath) {
   }
 }
 
+/**
+ * Stable ID for a Phase 1/2 finding, e.g. AUDIT-P1-20260312120000. Findings
+ * written before IDs existed get the same ID derived from their timestamp.
+ * @param {object} finding
+ * @returns {string}
+ */
+function findingId(finding) {
+  return finding.finding_id || `AUDIT-P${finding.phase}-${(finding.timestamp || '').slice(0, 19).replace(/[^0-9]/g, '')}`;
+}
+
 /**
  * Get the most recent UNRESOLVED advisory finding (if any).
  * @param {Array} findings
@@ -792,7 +804,7 @@ function checkAnomalyTriggers(currentEntry, previousEntry, anomalyTriggers) {
  * @param {number} options.runIndex       — current run/step number (0-based)
  * @param {string} [options.findingsPath] — override findings file path (for evolution isolation)
  * @param {string} [options.lockPath]     — override state-lock file path (for evolution isolation)
- * @returns {object} — { audited, phase, finding, override, state_lock_active, anomalies_triggered }
+ * @returns {object} — { audited, phase, finding, override, state_lock_active, anomalies_triggered, anomalies_checked }
  */
 async function runBlindAuditor(options) {
   const {
@@ -850,6 +862,7 @@ async function runBlindAuditor(options) {
   const currentEntry = history[history.length - 1];
   const previousEntry = history[history.length - 2];
   const anomalies = checkAnomalyTriggers(currentEntry, previousEntry, anomalyTriggers);
+  result.anomalies_checked = true;
 
   if (anomalies.length > 0) {
     log(`ANOMALY TRIGGERS FIRED: ${anomalies.length}`);
@@ -886,7 +899,7 @@ async function runBlindAuditor(options) {
   let paperTradeLog = null;
   let latestTrace = null;
   try {
-    const ptPath = path.join(__dirname, '..', 'data', 'x402-paper-trades.json');
+    const ptPath = path.join(DATA_DIR, 'x402-paper-trades.json');
     if (fs.existsSync(ptPath)) {
       paperTradeLog = JSON.parse(fs.readFileSync(ptPath, 'utf8'));
     }
@@ -894,11 +907,11 @@ async function runBlindAuditor(options) {
     warn(`x402 paper trade log load failed (non-fatal): ${e.message}`);
   }
   try {
-    const traceIndexPath = path.join(__dirname, '..', 'data', 'trace-index.json');
+    const traceIndexPath = path.join(DATA_DIR, 'trace-index.json');
     if (fs.existsSync(traceIndexPath)) {
       const traceIndex = JSON.parse(fs.readFileSync(traceIndexPath, 'utf8'));
       if (traceIndex.length > 0) {
-        const latestTracePath = path.join(__dirname, '..', 'data', traceIndex[0]);
+        const latestTracePath = path.join(DATA_DIR, traceIndex[0]);
         if (fs.existsSync(latestTracePath)) {
           latestTrace = JSON.parse(fs.readFileSync(latestTracePath, 'utf8'));
         }
@@ -930,7 +943,7 @@ async function runBlindAuditor(options) {
 
   // AD #16: Calibration suppression detection
   try {
-    const calPath = path.join(__dirname, '..', 'data', 'behavioral-calibration.json');
+    const calPath = path.join(DATA_DIR, 'behavioral-calibration.json');
     if (fs.existsSync(calPath)) {
       const calEntries = JSON.parse(fs.readFileSync(calPath, 'utf8'))
         .filter(e => e.status === 'ACTIVE');
@@ -990,17 +1003,12 @@ async function runBlindAuditor(options) {
   const lzRules = loadLayerZeroRules();
   const lzRulesText = lzRules ? formatRulesForPrompt(lzRules) : 'LAYER ZERO RULES UNAVAILABLE';
 
-  // Build model config
-  const geminiKey = process.env.GEMINI_API_KEY;
-  const modelConfig = {
-    provider: domainConfig.auditor_model_provider || 'gemini',
-    model: domainConfig.auditor_model_name || 'gemini-2.5-pro',
-    apiKey: geminiKey,
-  };
+  // Auditor model role (provider + model) resolves through the provider registry
+  const auditorMissingKey = missingCredential('auditor', domainConfig);
 
   // Attempt AI Audit if we have the prerequisites
   let aiVerdict = null;
-  if (geminiKey && cognitiveTrace) {
+  if (!auditorMissingKey && cognitiveTrace) {
     try {
       const aiResult = await runAIAudit({
         layerZeroRules: lzRulesText,
@@ -1009,7 +1017,7 @@ async function runBlindAuditor(options) {
         trajectory,
         triggerMismatches: mismatches,
         priorAdvisory: activeAdvisory,
-        modelConfig,
+        domainConfig,
       });
 
       if (!aiResult.audit_failed) {
@@ -1022,7 +1030,7 @@ async function runBlindAuditor(options) {
       warn(`AI Audit error: ${e.message}. Falling back to deterministic logic.`);
     }
   } else {
-    if (!geminiKey) warn('GEMINI_API_KEY not set. Using deterministic logic only.');
+    if (auditorMissingKey) warn(`${auditorMissingKey} not set. Using deterministic logic only.`);
     if (!cognitiveTrace) warn('No Cognitive Trace available. Using deterministic logic only.');
   }
 
@@ -1072,6 +1080,7 @@ async function runBlindAuditor(options) {
       override_reasoning: overrideReasoning,
       prior_advisory_timestamp: activeAdvisory?.timestamp || null,
     };
+    phase2Finding.finding_id = findingId(phase2Finding);
     findings.push(phase2Finding);
     writeFindings(findings, findingsPath);
 
@@ -1080,6 +1089,7 @@ async function runBlindAuditor(options) {
       locked_at: new Date().toISOString(),
       locked_action: overrideAction,
       locked_by: 'blind_auditor_ai_phase2',
+      finding_id: phase2Finding.finding_id,
       override_reasoning: overrideReasoning,
       ai_verdict: aiVerdict.finding,
       mismatches: mismatches.map(m => ({ type: m.type, severity: m.severity, detail: m.detail })),
@@ -1121,6 +1131,7 @@ async function runBlindAuditor(options) {
         tensions: t.tensions_count,
       })),
     };
+    phase1Finding.finding_id = findingId(phase1Finding);
     findings.push(phase1Finding);
     writeFindings(findings, findingsPath);
 
@@ -1174,6 +1185,7 @@ async function runBlindAuditor(options) {
       prior_advisory_timestamp: activeAdvisory.timestamp,
       deterministic_fallback: true,
     };
+    phase2Finding.finding_id = findingId(phase2Finding);
     findings.push(phase2Finding);
     writeFindings(findings, findingsPath);
 
@@ -1182,6 +1194,7 @@ async function runBlindAuditor(options) {
       locked_at: new Date().toISOString(),
       locked_action: overrideAction,
       locked_by: 'blind_auditor_deterministic_phase2',
+      finding_id: phase2Finding.finding_id,
       override_reasoning: overrideReasoning,
       mismatches: mismatches.map(m => ({ type: m.type, severity: m.severity, detail: m.detail })),
       release_requires: 'human_operator',
@@ -1218,6 +1231,7 @@ async function runBlindAuditor(options) {
     })),
     deterministic_fallback: true,
   };
+  phase1Finding.finding_id = findingId(phase1Finding);
   findings.push(phase1Finding);
   writeFindings(findings, findingsPath);
 
@@ -1261,21 +1275,26 @@ function applyAuditorToOutput(output, auditorResult) {
 
 /**
  * Mark an advisory as resolved.
- * Called when Layer 4 has addressed the advisory (either committed or justified).
+ * Called when Layer 4 has addressed the advisory (either committed or justified),
+ * or by the operator CLI (overwatch-operator.js advisory resolve).
  *
  * @param {string} resolution — 'COMMITTED' or 'JUSTIFIED'
  * @param {string} [findingsPath]
+ * @param {object} [details] — extra fields recorded on the finding (resolved_by, resolution_reason)
+ * @returns {object|null} — the resolved finding, or null if no advisory was active
  */
-function resolveAdvisory(resolution, findingsPath) {
+function resolveAdvisory(resolution, findingsPath, details) {
   const findings = loadFindings(findingsPath);
   const active = getActiveAdvisory(findings);
   if (active) {
     active.status = 'RESOLVED';
     active.resolved_at = new Date().toISOString();
     active.resolution = resolution;
+    Object.assign(active, details || {});
     writeFindings(findings, findingsPath);
     log(`Advisory resolved: ${resolution}`);
   }
+  return active;
 }
 
 // ─── Exports ────────────────────────────────────────────────────────────────
@@ -1297,12 +1316,18 @@ module.exports = {
   detectWindowGaming,
   detectZombieEscalation,
   detectTrajectoryTrend,
+  detectPressureDismissal,
+  detectPrematureAction,
+  detectPressureGaming,
   checkAnomalyTriggers,
   loadFindings,
   writeFindings,
   getActiveAdvisory,
+  findingId,
   writeStateLock,
   // Constants for external use
+  AUDIT_FINDINGS_PATH,
+  STATE_LOCK_PATH,
   STATUS_DIRECTION,
   ACTION_ESCALATION,
 };
@@ -0,0 +1,600 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Sunday Blind Spot Audit — one weekly report of everything waiting on the human
+ *
+ * The week's review used to be stitched together from calibration-lifecycle.js
+ * audit-report, corrections-lifecycle.js audit-report, the drift and
+ * interrogation outputs and the auditor findings. This gathers all of it for
+ * the last blind_spot_audit_window_days:
+ *
+ *   trajectory     — 360-history.json: status/action path, kill switches,
+ *                    tensions, the active advisory or state-lock
+ *   calibration    — behavioral-calibration.js: new candidates, decay and
+ *                    retirement recommendations for ACTIVE entries
+ *   suppression    — CALIBRATION_SUPPRESSION findings in audit-findings.json
+ *   drift          — drift-findings.json, grouped by lineage
+ *   interrogation  — confidence-interrogation.json mismatches
+ *   corrections    — corrections-lifecycle.js: enrichment backlog,
+ *                    duplicates, decay, graduation
+ *   spending       — x402 spending detector findings (X402_*)
+ *   cognitive      — AD #17 cognitive detector findings
+ *   gate trends    — gate-review-ledger.json this window vs the one before:
+ *                    failures, violations, rules on the rise
+ *
+ * Each section that needs a call from the operator adds an item to the
+ * decision checklist, with the command that carries the decision out where
+ * there is one. Nothing here changes any ledger.
+ *
+ * Writes: data/blind-spot-audit.json (latest report, machine-readable),
+ *         data/blind-spot-audits/<date>.md and .html
+ *
+ * Usage:
+ *   node scripts/blind-spot-audit.js                  # build and write the report
+ *   node scripts/blind-spot-audit.js --notify         # ... and send the summary through notifier.js
+ *   node scripts/blind-spot-audit.js --if-scheduled   # only if the last analysis ran as a run type
+ *                                                     # with the blind_spot_audit behavior (run_schedule)
+ *   node scripts/blind-spot-audit.js --days 14        # override the window
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { ROOT_DIR, DATA_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const REPORT_PATH  = path.join(DATA_DIR, 'blind-spot-audit.json');
+const REPORTS_DIR  = path.join(DATA_DIR, 'blind-spot-audits');
+const ANALYSIS_PATH = path.join(ROOT_DIR, 'analysis-output.json');
+const DAY_MS = 86_400_000;
+
+const DEFAULTS = {
+  blind_spot_audit_window_days: 7,
+  blind_spot_audit_rising_rule_min: 3,
+  blind_spot_audit_rising_rule_ratio: 1.5,
+};
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+function log(msg)  { console.log(`[blind-spot] ${msg}`); }
+function warn(msg) { console.warn(`[blind-spot] ⚠️ ${msg}`); }
+
+// ─── Data Access ────────────────────────────────────────────────────────────
+
+function loadDomainConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'domain.json'), 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+function loadJSON(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    warn(`${path.basename(filePath)} unreadable: ${e.message}`);
+  }
+  return fallback;
+}
+
+function inWindow(timestamp, window) {
+  const t = Date.parse(timestamp);
+  return !isNaN(t) && t > window.from && t <= window.to;
+}
+
+// Run a section builder; a failure costs that section, not the report
+function section(name, build) {
+  try {
+    return build();
+  } catch (e) {
+    warn(`${name} section unavailable: ${e.message}`);
+    return { unavailable: e.message };
+  }
+}
+
+// ─── Sections ───────────────────────────────────────────────────────────────
+
+function killSwitchCounts(entry) {
+  const counts = { danger: 0, warning: 0 };
+  for (const ks of entry.kill_switches || []) {
+    if (ks.status in counts) counts[ks.status]++;
+  }
+  return counts;
+}
+
+function buildTrajectory(window) {
+  const history = loadJSON(path.join(DATA_DIR, '360-history.json'), []);
+  const week = history.filter(e => inWindow(e.timestamp || e._generated_at, window));
+  const { loadFindings, getActiveAdvisory, findingId, checkStateLock } = require('./blind-auditor');
+  const advisory = getActiveAdvisory(loadFindings());
+  const lock = checkStateLock();
+  const auditor = {
+    advisory: advisory ? { finding_id: findingId(advisory), since: advisory.timestamp } : null,
+    state_lock: lock ? { finding_id: lock.finding_id || null, locked_action: lock.locked_action, since: lock.locked_at } : null,
+  };
+  if (week.length === 0) return { runs: 0, auditor };
+
+  const point = e => ({
+    timestamp: e.timestamp || e._generated_at,
+    thesis_status: e.thesis_status || null,
+    action: e.action_recommendation || e.tactical_recommendation || null,
+  });
+  const changes = key => week.slice(1).map((e, i) => [point(week[i]), point(e)])
+    .filter(([a, b]) => a[key] !== b[key])
+    .map(([a, b]) => ({ timestamp: b.timestamp, from: a[key], to: b[key] }));
+  const first = week[0];
+  const last = week[week.length - 1];
+  return {
+    runs: week.length,
+    first: point(first),
+    last: point(last),
+    status_changes: changes('thesis_status'),
+    action_changes: changes('action'),
+    compound_stress: { first: first.compound_stress_level || null, last: last.compound_stress_level || null },
+    kill_switches: { first: killSwitchCounts(first), last: killSwitchCounts(last) },
+    unresolved_tensions: { first: (first.unresolved_tensions || []).length, last: (last.unresolved_tensions || []).length },
+    probability: last.recommended_probability_adjustment || null,
+    auditor,
+  };
+}
+
+function buildCalibration() {
+  const bridge = require('./behavioral-calibration');
+  const patterns = bridge.aggregateViolationPatterns();
+  return {
+    candidates: bridge.generateCandidates(patterns),
+    measurements: bridge.updateMeasurements(patterns).filter(r => r.action !== 'UPDATE'),
+  };
+}
+
+// Auditor mismatches raised this window, grouped by `key`
+function groupMismatches(window, predicate, key) {
+  const groups = new Map();
+  for (const finding of loadJSON(path.join(DATA_DIR, 'audit-findings.json'), [])) {
+    if (!inWindow(finding.timestamp, window)) continue;
+    for (const m of (finding.mismatches || []).filter(predicate)) {
+      const id = key(m);
+      const g = groups.get(id) || { id, type: m.type, runs: 0, severity: m.severity || null, latest_detail: null, latest_at: null };
+      g.runs++;
+      if ((SEVERITY_RANK[m.severity] || 0) > (SEVERITY_RANK[g.severity] || 0)) g.severity = m.severity;
+      g.latest_detail = m.detail || null;
+      g.latest_at = finding.timestamp;
+      if (m.calibration_entry) g.calibration_entry = m.calibration_entry;
+      groups.set(id, g);
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.runs - a.runs || a.id.localeCompare(b.id));
+}
+
+function buildDrift(window) {
+  const output = loadJSON(path.join(DATA_DIR, 'drift-findings.json'), { findings: [] });
+  const lineages = new Map();
+  for (const f of output.findings || []) {
+    if (!inWindow(f.run_pair?.current, window)) continue;
+    const g = lineages.get(f.lineage_id) || { lineage_id: f.lineage_id, canonical_name: f.canonical_name || f.lineage_id, category: f.category || null, findings: 0, types: {} };
+    g.findings++;
+    g.types[f.drift_type] = (g.types[f.drift_type] || 0) + 1;
+    lineages.set(f.lineage_id, g);
+  }
+  return {
+    detected_at: output._detected_at || null,
+    lineages: [...lineages.values()].sort((a, b) => b.findings - a.findings || a.lineage_id.localeCompare(b.lineage_id)),
+  };
+}
+
+function buildInterrogation(window) {
+  const output = loadJSON(path.join(DATA_DIR, 'confidence-interrogation.json'), { findings: [] });
+  const current = inWindow(output._run_timestamp, window);
+  return {
+    run_timestamp: output._run_timestamp || null,
+    findings: current ? (output.findings || []).map(f => ({
+      finding_id: f.finding_id,
+      finding_type: f.finding_type,
+      lineage_id: f.lineage_id,
+      signal: f.canonical_name || f.signal_title,
+      stated_confidence: f.stated_confidence,
+      survival_rate: f.track_record?.survival_rate ?? null,
+      detail: f.detail,
+    })) : [],
+  };
+}
+
+function buildCorrections() {
+  const { buildAuditReport } = require('./corrections-lifecycle');
+  const report = buildAuditReport();
+  return {
+    in_prompt: report.in_prompt,
+    enrichment_backlog: report.enrichment_backlog,
+    duplicates: report.duplicates,
+    decay: report.decay,
+    graduation_candidates: report.graduation_candidates.map(g => g.id),
+    graduation_drift: report.graduation_drift,
+  };
+}
+
+// The gate model sometimes files "NONE" / "None — PASS" as a violation of no rule
+const isRuleId = rule => Boolean(rule) && !/^none\b/i.test(rule);
+
+function gateStats(entries) {
+  const byRule = {};
+  const count = rule => { if (isRuleId(rule)) byRule[rule] = (byRule[rule] || 0) + 1; };
+  for (const e of entries) {
+    for (const v of e.gate_result?.violations || []) count(v.rule_violated);
+    for (const f of e.tier1_flags || []) count(f.rule_id);
+  }
+  return {
+    // One pipeline run writes one review per layer within the hour (as behavioral-calibration.js groups them)
+    runs: new Set(entries.map(e => String(e.timestamp).substring(0, 13))).size,
+    reviews: entries.length,
+    gate_failed: entries.filter(e => e.gate_failed).length,
+    violations: entries.reduce((sum, e) => sum + (e.violations_count || 0), 0),
+    hard_fails: entries.reduce((sum, e) => sum + (e.tier1_hard_fails || 0), 0),
+    by_rule: byRule,
+  };
+}
+
+function buildGateTrends(window, cfg) {
+  const ledger = loadJSON(path.join(DATA_DIR, 'gate-review-ledger.json'), []);
+  const span = window.to - window.from;
+  const previousWindow = { from: window.from - span, to: window.from };
+  const current = gateStats(ledger.filter(e => inWindow(e.timestamp, window)));
+  const previous = gateStats(ledger.filter(e => inWindow(e.timestamp, previousWindow)));
+  const rising = Object.entries(current.by_rule)
+    .map(([rule, count]) => ({ rule, count, previous: previous.by_rule[rule] || 0 }))
+    .filter(r => r.count >= cfg.blind_spot_audit_rising_rule_min && r.count >= r.previous * cfg.blind_spot_audit_rising_rule_ratio && r.count > r.previous)
+    .sort((a, b) => (b.count - b.previous) - (a.count - a.previous) || a.rule.localeCompare(b.rule));
+  return { current, previous, rising };
+}
+
+// ─── Decisions ──────────────────────────────────────────────────────────────
+
+/**
+ * The checklist: one item per call the operator has to make this week.
+ * @returns {Array<{ id, section, question, command }>}
+ */
+function buildDecisions(s) {
+  const items = [];
+  const add = (sectionId, question, command = null) => items.push({ id: `D${items.length + 1}`, section: sectionId, question, command });
+
+  const t = s.trajectory;
+  if (t.auditor?.state_lock) {
+    add('trajectory', `Keep the state-lock on ${t.auditor.state_lock.locked_action} (since ${t.auditor.state_lock.since}) or release it?`,
+      'node scripts/overwatch-operator.js lock release --reason "…"');
+  }
+  if (t.auditor?.advisory) {
+    add('trajectory', `Resolve Blind Auditor advisory ${t.auditor.advisory.finding_id}: has Layer 4 committed or justified the hold?`,
+      'node scripts/overwatch-operator.js advisory resolve COMMITTED|JUSTIFIED --reason "…"');
+  }
+  if (t.status_changes?.length) {
+    add('trajectory', `Thesis status moved ${[t.first.thesis_status, ...t.status_changes.map(c => c.to)].join(' → ')} this week — does that match your read of the evidence?`);
+  }
+
+  for (const c of s.calibration.candidates || []) {
+    add('calibration', `Adopt calibration candidate ${c.id} for ${c.source_rule} (${c.frequency}, ${c.confidence})? Copy it from data/blind-spot-audit.json into behavioral-calibration.json and write its directional_guidance.`,
+      `node scripts/calibration-lifecycle.js promote ${c.id}`);
+  }
+  for (const r of s.calibration.measurements || []) {
+    add('calibration', r.action === 'DECAY'
+      ? `Decay ${r.id} (${r.source_rule}) from ${r.current_confidence} to ${r.recommended_confidence}? ${r.current_frequency} → ${r.new_frequency}`
+      : `Retire ${r.id} (${r.source_rule})? ${r.reason}`,
+    r.action === 'DECAY' ? 'node scripts/calibration-lifecycle.js decay' : `node scripts/calibration-lifecycle.js retire ${r.id}`);
+  }
+  for (const g of s.suppression.findings || []) {
+    add('suppression', `Suspend ${g.calibration_entry} for overcorrection? Flagged in ${g.runs} run(s): ${g.latest_detail}`,
+      `node scripts/calibration-lifecycle.js suspend ${g.calibration_entry}`);
+  }
+  for (const l of s.drift.lineages || []) {
+    add('drift', `Investigate unexplained drift in ${l.canonical_name} (${Object.entries(l.types).map(([k, n]) => `${n}× ${k}`).join(', ')}) — correction, calibration, or accept?`);
+  }
+  for (const f of s.interrogation.findings || []) {
+    add('interrogation', `${f.finding_type} on ${f.signal}: stated ${f.stated_confidence}, survival ${f.survival_rate === null ? '—' : `${Math.round(f.survival_rate * 100)}%`} — open a correction for this lineage?`);
+  }
+
+  const c = s.corrections;
+  for (const id of c.enrichment_backlog || []) {
+    add('corrections', `Enrich and approve ${id}.`, `node scripts/corrections-enrichment.js show ${id}`);
+  }
+  for (const d of c.duplicates || []) {
+    add('corrections', `Merge ${d.ids.join(' ≈ ')} (similarity ${d.similarity})?`, `node scripts/corrections-lifecycle.js merge ${d.ids[0]} ${d.ids.slice(1).join(' ')}`);
+  }
+  if (c.decay?.length) {
+    add('corrections', `Apply confidence decay to ${c.decay.map(r => `${r.id} (${r.action})`).join(', ')}?`, 'node scripts/corrections-lifecycle.js decay --dry-run');
+  }
+  for (const id of c.graduation_candidates || []) {
+    add('corrections', `Graduate ${id} into a standing prompt rule?`, `node scripts/corrections-lifecycle.js graduate ${id} --layer <1-4>`);
+  }
+  for (const d of c.graduation_drift || []) {
+    add('corrections', `Fix graduation drift on ${d.id}: ${d.issue}.`);
+  }
+
+  for (const [sectionId, groups] of [['spending', s.spending.findings], ['cognitive', s.cognitive.findings]]) {
+    for (const g of groups || []) {
+      if (g.runs < 2 && g.severity !== 'HIGH') continue;
+      add(sectionId, `${g.type} flagged in ${g.runs} run(s) (${g.severity}) — change acquisition behavior or thresholds, or accept? ${g.latest_detail}`);
+    }
+  }
+  for (const r of s.gate_trends.rising || []) {
+    add('gate_trends', `${r.rule} violations rose ${r.previous} → ${r.count} — write a calibration candidate or tighten the prompt?`,
+      'node scripts/behavioral-calibration.js candidates');
+  }
+  return items;
+}
+
+// ─── Report ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build the week's audit. Reads only; see writeReport() for output.
+ *
+ * @param {object} [options] — { now, days, domainConfig }
+ * @returns {object} report
+ */
+function buildBlindSpotAudit(options = {}) {
+  const cfg = { ...DEFAULTS, ...(options.domainConfig || loadDomainConfig()) };
+  const now = options.now || new Date();
+  const days = options.days || cfg.blind_spot_audit_window_days;
+  const window = { from: now.getTime() - days * DAY_MS, to: now.getTime() };
+
+  const sections = {
+    trajectory:    section('trajectory', () => buildTrajectory(window)),
+    calibration:   section('calibration', buildCalibration),
+    suppression:   section('suppression', () => ({ findings: groupMismatches(window, m => m.type === 'CALIBRATION_SUPPRESSION', m => m.calibration_entry || m.type) })),
+    drift:         section('drift', () => buildDrift(window)),
+    interrogation: section('interrogation', () => buildInterrogation(window)),
+    corrections:   section('corrections', buildCorrections),
+    spending:      section('spending', () => ({ findings: groupMismatches(window, m => String(m.type).startsWith('X402_'), m => m.type) })),
+    cognitive:     section('cognitive', () => ({ findings: groupMismatches(window, m => m.source === 'AD17_COGNITIVE_DETECTOR', m => m.type) })),
+    gate_trends:   section('gate trends', () => buildGateTrends(window, cfg)),
+  };
+
+  return {
+    generated_at: now.toISOString(),
+    window: { from: new Date(window.from).toISOString(), to: new Date(window.to).toISOString(), days },
+    source_run: options.sourceRun || null,
+    sections,
+    decisions: buildDecisions(sections),
+  };
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+const SECTION_TITLES = {
+  trajectory: 'Thesis Trajectory',
+  calibration: 'Behavioral Calibration',
+  suppression: 'Calibration Suppression',
+  drift: 'Reasoning Drift',
+  interrogation: 'Confidence Interrogation',
+  corrections: 'Corrections Ledger',
+  spending: 'x402 Spending Patterns',
+  cognitive: 'Cognitive Bandwidth Patterns',
+  gate_trends: 'Gate Violation Trends',
+};
+
+const pct = v => (v === null || v === undefined ? '—' : `${Math.round(v * 100)}%`);
+const delta = (a, b) => (a === b ? `${b}` : `${a} → ${b}`);
+
+// Each section as summary lines, shared by both renderers
+function sectionLines(id, s) {
+  if (s.unavailable) return [`Unavailable: ${s.unavailable}`];
+  switch (id) {
+    case 'trajectory': {
+      if (s.runs === 0) return ['No runs in this window.'];
+      const p = s.probability;
+      return [
+        `${s.runs} run(s). Status ${delta(s.first.thesis_status, s.last.thesis_status)}, action ${delta(s.first.action, s.last.action)}.`,
+        `Status changes: ${s.status_changes.length ? s.status_changes.map(c => `${c.from} → ${c.to} (${c.timestamp.slice(0, 10)})`).join('; ') : 'none'}.`,
+        `Action changes: ${s.action_changes.length ? s.action_changes.map(c => `${c.from} → ${c.to} (${c.timestamp.slice(0, 10)})`).join('; ') : 'none'}.`,
+        `Kill switches at danger ${delta(s.kill_switches.first.danger, s.kill_switches.last.danger)}, warning ${delta(s.kill_switches.first.warning, s.kill_switches.last.warning)}. Compound stress ${delta(s.compound_stress.first, s.compound_stress.last)}. Unresolved tensions ${delta(s.unresolved_tensions.first, s.unresolved_tensions.last)}.`,
+        ...(p ? [`Scenario probabilities: bear ${p.bear}% / base ${p.base}% / mid ${p.mid}% / bull ${p.bull}%.`] : []),
+        `Blind Auditor: ${s.auditor.state_lock ? `state-lock on ${s.auditor.state_lock.locked_action}` : 'no state-lock'}, ${s.auditor.advisory ? `advisory ${s.auditor.advisory.finding_id} open` : 'no open advisory'}.`,
+      ];
+    }
+    case 'calibration':
+      return [
+        `${s.candidates.length} new candidate(s)${s.candidates.length ? `: ${s.candidates.map(c => `${c.id} ${c.source_rule} (${c.frequency})`).join(', ')}` : ''}.`,
+        `${s.measurements.length} measurement recommendation(s)${s.measurements.length ? `: ${s.measurements.map(r => `${r.id} ${r.action}`).join(', ')}` : ''}.`,
+      ];
+    case 'suppression':
+    case 'spending':
+    case 'cognitive':
+      return s.findings.length
+        ? s.findings.map(g => `${g.id} — ${g.runs} run(s), ${g.severity || '?'}: ${g.latest_detail || ''}`.trim())
+        : ['No findings this window.'];
+    case 'drift':
+      return s.lineages.length
+        ? s.lineages.map(l => `${l.canonical_name} (${l.lineage_id}) — ${Object.entries(l.types).map(([k, n]) => `${n}× ${k}`).join(', ')}`)
+        : ['No drift findings this window.'];
+    case 'interrogation':
+      return s.findings.length
+        ? s.findings.map(f => `${f.signal} — ${f.finding_type}: stated ${f.stated_confidence}, survival ${pct(f.survival_rate)}`)
+        : [`No confidence mismatches${s.run_timestamp ? ` in the run of ${s.run_timestamp}` : ''}.`];
+    case 'corrections':
+      return [
+        `${s.in_prompt} entr${s.in_prompt === 1 ? 'y' : 'ies'} in the prompts.`,
+        `Enrichment backlog: ${s.enrichment_backlog.length ? s.enrichment_backlog.join(', ') : 'none'}.`,
+        `Duplicate candidates: ${s.duplicates.length ? s.duplicates.map(d => d.ids.join(' ≈ ')).join('; ') : 'none'}.`,
+        `Decay: ${s.decay.length ? s.decay.map(r => `${r.id} ${r.action}`).join(', ') : 'none'}. Graduation candidates: ${s.graduation_candidates.length ? s.graduation_candidates.join(', ') : 'none'}.`,
+      ];
+    case 'gate_trends': {
+      const c = s.current;
+      const p = s.previous;
+      const top = Object.entries(c.by_rule).sort((a, b) => b[1] - a[1]).slice(0, 5);
+      return [
+        `${c.runs} run(s), ${c.reviews} gate review(s) (previous window ${p.runs} / ${p.reviews}). Gate failed ${delta(p.gate_failed, c.gate_failed)}, violations ${delta(p.violations, c.violations)}, Tier 1 hard fails ${delta(p.hard_fails, c.hard_fails)}.`,
+        `Most frequent rules: ${top.length ? top.map(([rule, n]) => `${rule} ${n}`).join(', ') : 'none'}.`,
+        `Rising: ${s.rising.length ? s.rising.map(r => `${r.rule} ${r.previous} → ${r.count}`).join(', ') : 'none'}.`,
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * @param {object} report — buildBlindSpotAudit() result
+ * @returns {string} Markdown with a task-list checklist
+ */
+function renderMarkdown(report) {
+  const out = [
+    `# Sunday Blind Spot Audit — ${report.window.to.slice(0, 10)}`,
+    '',
+    `Window: ${report.window.from} → ${report.window.to} (${report.window.days} days)`,
+    '',
+    `## Decisions (${report.decisions.length})`,
+    '',
+  ];
+  if (report.decisions.length === 0) out.push('Nothing needs a decision this week.');
+  for (const d of report.decisions) {
+    out.push(`- [ ] **${d.id}** [${SECTION_TITLES[d.section]}] ${d.question}${d.command ? ` \`${d.command}\`` : ''}`);
+  }
+  for (const [id, title] of Object.entries(SECTION_TITLES)) {
+    out.push('', `## ${title}`, '');
+    for (const line of sectionLines(id, report.sections[id])) out.push(`- ${line}`);
+  }
+  out.push('', `_Generated ${report.generated_at} by scripts/blind-spot-audit.js_`, '');
+  return out.join('\n');
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {object} report — buildBlindSpotAudit() result
+ * @returns {string} standalone HTML page, checklist as checkboxes
+ */
+function renderHTML(report) {
+  const title = `Sunday Blind Spot Audit — ${report.window.to.slice(0, 10)}`;
+  const decisions = report.decisions.length
+    ? `<ul class="decisions">${report.decisions.map(d => `<li><label><input type="checkbox"> <b>${d.id}</b> <span class="tag">${escapeHTML(SECTION_TITLES[d.section])}</span> ${escapeHTML(d.question)}</label>${d.command ? `<code>${escapeHTML(d.command)}</code>` : ''}</li>`).join('')}</ul>`
+    : '<p>Nothing needs a decision this week.</p>';
+  const sections = Object.entries(SECTION_TITLES).map(([id, heading]) =>
+    `<section><h2>${escapeHTML(heading)}</h2><ul>${sectionLines(id, report.sections[id]).map(l => `<li>${escapeHTML(l)}</li>`).join('')}</ul></section>`
+  ).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { background: #0a0e14; color: #c5cdd9; font: 14px/1.5 "SF Mono", Menlo, Consolas, monospace; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+  h1 { color: #f0f4f8; font-size: 20px; } h2 { color: #7fb4ff; font-size: 15px; border-bottom: 1px solid #1f2733; padding-bottom: 4px; margin-top: 2em; }
+  .decisions li { margin: 0.6em 0; } .decisions code { display: block; margin: 2px 0 0 1.8em; color: #9ece6a; }
+  .tag { color: #e0af68; } .meta { color: #6b7686; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Window ${escapeHTML(report.window.from)} → ${escapeHTML(report.window.to)} (${report.window.days} days)</p>
+<h2>Decisions (${report.decisions.length})</h2>
+${decisions}
+${sections}
+<p class="meta">Generated ${escapeHTML(report.generated_at)} by scripts/blind-spot-audit.js</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the report JSON and its Markdown/HTML renderings.
+ * @returns {{ json: string, markdown: string, html: string }} paths written
+ */
+function writeReport(report, options = {}) {
+  const reportsDir = options.reportsDir || REPORTS_DIR;
+  const base = path.join(reportsDir, report.window.to.slice(0, 10));
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(`${base}.md`, renderMarkdown(report));
+  fs.writeFileSync(`${base}.html`, renderHTML(report));
+  fs.writeFileSync(options.reportPath || REPORT_PATH, JSON.stringify(report, null, 2));
+  return { json: options.reportPath || REPORT_PATH, markdown: `${base}.md`, html: `${base}.html` };
+}
+
+/**
+ * The audit as a notifier message: section counts and the checklist.
+ */
+function buildAuditMessage(report, paths) {
+  const s = report.sections;
+  const count = (v, key) => (v?.unavailable ? 'unavailable' : String((v?.[key] || []).length));
+  return {
+    kind: 'blind_spot_audit',
+    severity: 'INFO',
+    icon: '🔭',
+    title: `OVERWATCH: Sunday Blind Spot Audit — ${report.decisions.length} decision(s)`,
+    summary: sectionLines('trajectory', s.trajectory)[0],
+    sections: [
+      { heading: 'Findings', items: [
+        `Calibration candidates: ${count(s.calibration, 'candidates')}`,
+        `Suppression: ${count(s.suppression, 'findings')}`,
+        `Drifting lineages: ${count(s.drift, 'lineages')}`,
+        `Confidence mismatches: ${count(s.interrogation, 'findings')}`,
+        `Corrections awaiting enrichment: ${count(s.corrections, 'enrichment_backlog')}`,
+        `Spending / cognitive patterns: ${count(s.spending, 'findings')} / ${count(s.cognitive, 'findings')}`,
+        `Rising gate rules: ${count(s.gate_trends, 'rising')}`,
+      ] },
+      ...(report.decisions.length ? [{ heading: 'Decisions', items: report.decisions.slice(0, 10).map(d => `${d.id} ${d.question}`) }] : []),
+    ],
+    footer: [
+      ...(report.decisions.length > 10 ? [`…and ${report.decisions.length - 10} more`] : []),
+      ...(paths ? [`Report: ${path.relative(ROOT_DIR, paths.markdown)}`] : []),
+    ],
+  };
+}
+
+/**
+ * Whether the last analysis ran as a run type with the blind_spot_audit
+ * behavior and has not been audited yet.
+ * @returns {string|null} the analysis timestamp to audit, or null
+ */
+function scheduledAuditRun(options = {}) {
+  const analysis = loadJSON(options.analysisPath || ANALYSIS_PATH, null);
+  if (!analysis?.run_type) return null;
+  const { runBehaviors } = require('./run-scheduler');
+  if (!runBehaviors(analysis.run_type, options.domainConfig).blind_spot_audit) return null;
+  const previous = loadJSON(options.reportPath || REPORT_PATH, {});
+  return previous.source_run === analysis.timestamp ? null : analysis.timestamp;
+}
+
+module.exports = {
+  REPORT_PATH,
+  buildBlindSpotAudit,
+  buildDecisions,
+  renderMarkdown,
+  renderHTML,
+  writeReport,
+  buildAuditMessage,
+  scheduledAuditRun,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const option = name => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+
+  (async () => {
+    let sourceRun = null;
+    if (args.includes('--if-scheduled')) {
+      sourceRun = scheduledAuditRun();
+      if (!sourceRun) {
+        log('Last run is not an audit run (or was already audited) — nothing to do');
+        return;
+      }
+    }
+    const report = buildBlindSpotAudit({ days: option('--days') ? Number(option('--days')) : undefined, sourceRun });
+    const paths = writeReport(report);
+    log(`${report.decisions.length} decision(s) — ${path.relative(ROOT_DIR, paths.markdown)}, ${path.relative(ROOT_DIR, paths.html)}`);
+    if (args.includes('--notify')) {
+      const { notify } = require('./notifier');
+      await notify(buildAuditMessage(report, paths));
+    }
+  })().catch(e => {
+    console.error(`[blind-spot] 🚨 ${e.message}`);
+    process.exitCode = 1;
+  });
+}
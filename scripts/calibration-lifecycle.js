@@ -19,13 +19,16 @@
  *   decay               — Apply confidence decay based on current measurements
  *   audit-report        — Full Sunday audit report (patterns + candidates + measurements + decay)
  *
+ * The complete weekly audit, across calibration, corrections, drift,
+ * interrogation, detector findings and gate trends: blind-spot-audit.js
+ *
  * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
  */
 
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR   = path.join(__dirname, '..', 'data');
+const { DATA_DIR, stripDomainArgs } = require('./utils/paths');
 const CAL_PATH   = path.join(DATA_DIR, 'behavioral-calibration.json');
 
 function log(msg)  { console.log(`[lifecycle] ${msg}`); }
@@ -346,7 +349,7 @@ function cmdAuditReport() {
 
 // ─── CLI Router ──────────────────────────────────────────────────────────────
 
-const args = process.argv.slice(2);
+const args = stripDomainArgs(process.argv.slice(2));
 const command = args[0] || 'status';
 const targetId = args[1];
 
@@ -22,6 +22,7 @@
 
 const path = require('path');
 const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
 
 function log(msg) { console.log(`[suppression] ${msg}`); }
 function warn(msg) { console.warn(`[suppression] ⚠️ ${msg}`); }
@@ -109,7 +110,7 @@ function computeTraceMetrics(trace) {
 
 // ─── Baseline Management ─────────────────────────────────────────────────────
 
-const BASELINE_PATH = path.join(__dirname, '..', 'data', 'calibration-baselines.json');
+const BASELINE_PATH = path.join(DATA_DIR, 'calibration-baselines.json');
 
 function loadBaselines() {
   try {
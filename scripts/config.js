@@ -1,70 +1,18 @@
 'use strict';
 
-const COINGECKO_BASE = 'https://api.coingecko.com/api/v3';
-const FRED_BASE      = 'https://api.stlouisfed.org/fred/series/observations';
-const COINGLASS_BASE = 'https://open-api-v4.coinglass.com/api/etf';
+// Metric sources (CoinGecko, FRED, Stooq, Twelve Data, FinanceFlow, CoinGlass,
+// DefiLlama, ...) are declared in config/data-sources.json and executed by
+// data-sources.js. Only the XRPL JSON-RPC collectors, which compose several
+// calls into one object, still read their endpoints from here.
 
 const ENDPOINTS = {
-  xrp: `${COINGECKO_BASE}/simple/price?ids=ripple&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true&include_market_cap=true`,
-  rlusd: `${COINGECKO_BASE}/simple/price?ids=ripple-usd&vs_currencies=usd&include_market_cap=true`,
-  rlusd_search: `${COINGECKO_BASE}/search?query=RLUSD`,
-  fear_greed: 'https://api.alternative.me/fng/?limit=1',
-  usd_jpy: 'https://api.frankfurter.app/latest?from=USD&to=JPY',
-  fred: {
-    brent:      `${FRED_BASE}?series_id=DCOILBRENTEU&file_type=json&sort_order=desc&limit=1`,
-    us_10y:     `${FRED_BASE}?series_id=DGS10&file_type=json&sort_order=desc&limit=1`,
-    jpn_10y:    `${FRED_BASE}?series_id=IRLTLT01JPM156N&file_type=json&sort_order=desc&limit=1`,
-    dxy:        `${FRED_BASE}?series_id=DTWEXBGS&file_type=json&sort_order=desc&limit=1`,
-  },
-  stooq: {
-    jpn_10y: 'https://stooq.com/q/l/?s=10jpy.b&f=sd2t2ohlcv&h&e=csv',
-    sp500:   'https://stooq.com/q/l/?s=^spx&f=sd2t2ohlcv&h&e=csv',
-  },
-  twelve_data: {
-    dxy:   'https://api.twelvedata.com/time_series?symbol=DXY&interval=1day&outputsize=1',
-    sp500: 'https://api.twelvedata.com/time_series?symbol=SPX&interval=1day&outputsize=1',
-  },
-  financeflow: {
-    jpn_10y: 'https://financeflowapi.com/api/v1/bonds-spot?country=japan&type=10y',
-    brent:   'https://financeflowapi.com/api/v1/commodity-spot?name=brent',
-    dxy:     'https://financeflowapi.com/api/v1/currency-spot?pair=DXY',
-  },
   xrpl: {
     server_info:  'https://s1.ripple.com:51234',
     rlusd_issuer: 'rMxCKbEDwqr76QuheSUMdEGf4B9xJ8m5De',
   },
-  coinglass: {
-    xrp_etf: `${COINGLASS_BASE}/xrp/flow-history`,
-    btc_etf: `${COINGLASS_BASE}/bitcoin/flow-history`,
-    eth_etf: `${COINGLASS_BASE}/ethereum/flow-history`,
-  },
 };
 
-// Millisecond delay between CoinGecko calls to stay inside free-tier rate limits
-const COINGECKO_DELAY_MS = 1200;
-
-// Kill-switch targets — update these manually if goals change
-const KILL_SWITCH_TARGETS = {
-  odl_volume: {
-    target:   25_000_000_000,
-    deadline: '2026-12-31',
-  },
-  rlusd_circulation: {
-    target:   5_000_000_000,
-    deadline: '2026-12-31',
-  },
-  xrp_etf_aum: {
-    target:   5_000_000_000,
-    deadline: '2026-12-31',
-  },
-  permissioned_dex_adoption: {
-    target_institutions: 5,
-    deadline:            '2026-09-30',
-  },
-  clarity_act: {
-    target:   'passed_or_advanced',
-    deadline: '2026-12-31',
-  },
-};
+// Kill-switch targets are domain content — see kill_switch_targets in
+// config/domain.json (or domains/<id>/config/domain.json).
 
-module.exports = { ENDPOINTS, COINGECKO_DELAY_MS, KILL_SWITCH_TARGETS };
+module.exports = { ENDPOINTS };
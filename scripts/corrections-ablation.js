@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * Corrections Ablation — leave-one-out causal impact of each ledger entry
+ *
+ * ab-test-overledger.js proves the ledger as a whole moves Layer 2;
+ * no-corrections mode proves it across all four layers. Neither says which
+ * entries do the work. Ablation mode replays a scenario once with every
+ * correction that reaches the prompts (the reference), then once per unit
+ * with that unit removed:
+ *
+ *   --group-by entry        one unit per CL-xxx entry (default)
+ *   --group-by lesson_type  one unit per lesson_type group
+ *
+ * Only entries loadCorrectionsLedger() injects — ACTIVE and enriched — are
+ * ablated; removing a SUPERSEDED or RETIRED entry cannot change a prompt.
+ * Each variant holds its ledger fixed (no promotion, no blind auditor), so the
+ * removed unit is the only difference between a variant and the reference.
+ *
+ * Per unit, against the reference:
+ *   score_shift      — bear_pressure_score, ablated minus reference, per step
+ *   status_changes   — steps whose thesis_status changed (action_changes likewise)
+ *   gate_violations  — Layer Zero gate violations across all layers and steps
+ *   metric_deltas    — score-evolutions.js graded metrics, ablated minus reference
+ *   verdict          — EARNS_PLACE      removal made the graded output or gates worse
+ *                      COUNTERPRODUCTIVE removal made them better
+ *                      MIXED            both
+ *                      SHIFTS_OUTPUT    statuses or scores moved, grades did not
+ *                      NO_EFFECT        nothing measurable moved
+ *
+ * Output: <scenario>/ablation/<group-by>/ (or --out <dir>)
+ *   reference/, without-<unit>/  — results/run-NNN/ and summary.json per variant
+ *   ablation-ledgers/            — the ledger each variant ran with
+ *   ablation-report.json         — the impact table
+ *
+ * A variant with a complete summary.json is not re-run, so an interrupted
+ * ablation resumes where it stopped.
+ *
+ * Usage:
+ *   node scripts/run-evolution.js evolutions/project-atlas --mode ablation
+ *        [--group-by entry|lesson_type] [--ledger <path>] [--units CL-014,CL-022]
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
+const { loadGroundTruth, collectStepText, scoreProgression } = require('./score-evolutions');
+const { METRICS, isJobComplete } = require('./evolution-batch');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const GROUP_BY = ['entry', 'lesson_type'];
+const DEFAULT_LEDGER = path.join(DATA_DIR, 'corrections-ledger.json');
+const REPORT_FILE = 'ablation-report.json';
+const REFERENCE = 'reference';
+const UNTYPED = 'UNTYPED';
+
+// bear_pressure_score moves by at least this much before it counts as a shift
+const SCORE_SHIFT_THRESHOLD = 0.5;
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+
+function log(label, msg)  { console.log(`[ablation:${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[ablation:${label}] WARN: ${msg}`); }
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+const round = value => (value == null ? null : Math.round(value * 1000) / 1000);
+const runDirFor = (variantDir, step) => path.join(variantDir, 'results', `run-${String(step).padStart(3, '0')}`);
+
+// ─── Units ──────────────────────────────────────────────────────────────────
+
+/**
+ * Ablation units over the entries that reach the prompts.
+ *
+ * @param {object[]} inPrompt - loadCorrectionsLedger() result
+ * @param {string}   groupBy  - 'entry' | 'lesson_type'
+ * @returns {{ id: string, entry_ids: string[], lesson_types: string[] }[]}
+ */
+function ablationUnits(inPrompt, groupBy = 'entry') {
+  if (!GROUP_BY.includes(groupBy)) throw new Error(`Invalid --group-by "${groupBy}" — valid: ${GROUP_BY.join(', ')}`);
+  if (groupBy === 'entry') {
+    return inPrompt.map(e => ({ id: e.id, entry_ids: [e.id], lesson_types: [e.lesson_type || UNTYPED] }));
+  }
+  const groups = new Map();
+  for (const e of inPrompt) {
+    const type = e.lesson_type || UNTYPED;
+    if (!groups.has(type)) groups.set(type, { id: type, entry_ids: [], lesson_types: [type] });
+    groups.get(type).entry_ids.push(e.id);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * The full ledger minus one unit's entries. Entries outside the prompt stay,
+ * so each variant's ledger differs from the reference only by the unit.
+ */
+function ablatedLedger(ledger, unit) {
+  const removed = new Set(unit.entry_ids);
+  return ledger.filter(e => !removed.has(e.id));
+}
+
+// ─── Variant Outcomes ───────────────────────────────────────────────────────
+
+/**
+ * What one variant produced: per-step status, action, score and gate
+ * violations from its run directories, graded against the ground truth.
+ */
+function readVariant(variantDir, truth, actionSevere) {
+  const summary = readJSON(path.join(variantDir, 'summary.json'));
+  if (!summary?.progression) return null;
+
+  const steps = summary.progression.map(p => {
+    const runDir = runDirFor(variantDir, p.step);
+    const report = readJSON(path.join(runDir, '360-report.json')) || {};
+    const stepResult = readJSON(path.join(runDir, 'step-result.json')) || {};
+    const violations = Object.values(stepResult.gate_results || {})
+      .reduce((sum, g) => sum + (Array.isArray(g?.violations) ? g.violations.length : 0), 0);
+    return {
+      step: p.step,
+      thesis_status: p.thesis_status || null,
+      action: p.action || null,
+      bear_pressure_score: typeof report.bear_pressure_score === 'number' ? report.bear_pressure_score : null,
+      gate_violations: violations,
+    };
+  });
+
+  const stepText = step => collectStepText(runDirFor(variantDir, step));
+  const scored = scoreProgression(truth, summary.progression, { actionSevere, stepText });
+  return {
+    complete: summary.completed_steps === summary.total_steps && (summary.failed_steps || 0) === 0,
+    steps,
+    gate_violations: steps.reduce((sum, s) => sum + s.gate_violations, 0),
+    metrics: {
+      status_accuracy: scored.status.accuracy,
+      false_alarms: scored.false_alarms.count,
+      lead_steps: scored.lead_time.lead_steps,
+      brier: scored.calibration.brier,
+      signal_recall: scored.signals.recall,
+    },
+    lead_outcome: scored.lead_time.outcome,
+  };
+}
+
+/**
+ * Impact of removing a unit: the ablated variant measured against the reference.
+ */
+function compareVariant(reference, ablated) {
+  const byStep = new Map(reference.steps.map(s => [s.step, s]));
+  const shifts = [];
+  const statusChanges = [];
+  const actionChanges = [];
+  for (const s of ablated.steps) {
+    const ref = byStep.get(s.step);
+    if (!ref) continue;
+    if (s.bear_pressure_score != null && ref.bear_pressure_score != null) {
+      shifts.push({ step: s.step, delta: round(s.bear_pressure_score - ref.bear_pressure_score) });
+    }
+    if (s.thesis_status !== ref.thesis_status) statusChanges.push({ step: s.step, from: ref.thesis_status, to: s.thesis_status });
+    if (s.action !== ref.action) actionChanges.push({ step: s.step, from: ref.action, to: s.action });
+  }
+
+  // Removal is "worse" when a graded metric moves against its METRICS direction
+  let worse = false;
+  let better = false;
+  const metricDeltas = {};
+  for (const [metric, was] of Object.entries(reference.metrics)) {
+    const is = ablated.metrics[metric];
+    if (metric === 'lead_steps' && (reference.lead_outcome === 'MISSED') !== (ablated.lead_outcome === 'MISSED')) {
+      metricDeltas[metric] = ablated.lead_outcome === 'MISSED' ? 'MISSED' : 'RECOVERED';
+      if (ablated.lead_outcome === 'MISSED') worse = true;
+      else better = true;
+      continue;
+    }
+    if (was == null || is == null) {
+      metricDeltas[metric] = null;
+      continue;
+    }
+    const delta = round(is - was);
+    metricDeltas[metric] = delta;
+    const signed = METRICS[metric].better === 'higher' ? delta : -delta;
+    if (signed < 0) worse = true;
+    if (signed > 0) better = true;
+  }
+
+  const violationDelta = ablated.gate_violations - reference.gate_violations;
+  if (violationDelta > 0) worse = true;
+  if (violationDelta < 0) better = true;
+
+  const maxAbsShift = shifts.length > 0 ? Math.max(...shifts.map(s => Math.abs(s.delta))) : 0;
+  let verdict;
+  if (worse && better) verdict = 'MIXED';
+  else if (worse) verdict = 'EARNS_PLACE';
+  else if (better) verdict = 'COUNTERPRODUCTIVE';
+  else if (statusChanges.length > 0 || actionChanges.length > 0 || maxAbsShift >= SCORE_SHIFT_THRESHOLD) verdict = 'SHIFTS_OUTPUT';
+  else verdict = 'NO_EFFECT';
+
+  return {
+    score_shift: {
+      mean: shifts.length > 0 ? round(shifts.reduce((sum, s) => sum + s.delta, 0) / shifts.length) : null,
+      max_abs: round(maxAbsShift),
+      per_step: shifts,
+    },
+    status_changes: statusChanges,
+    action_changes: actionChanges,
+    gate_violations: { reference: reference.gate_violations, ablated: ablated.gate_violations, delta: violationDelta },
+    metric_deltas: metricDeltas,
+    verdict,
+  };
+}
+
+/**
+ * Impact table for every unit with a finished variant.
+ */
+function buildAblationReport({ scenario, domainConfig, baseDir, groupBy, ledgerPath, ledger, inPrompt, units }) {
+  const truth = loadGroundTruth(scenario);
+  const actionSevere = domainConfig?.action_severe || 'EXIT_SIGNAL';
+  const reference = readVariant(path.join(baseDir, REFERENCE), truth, actionSevere);
+  const inPromptIds = new Set(inPrompt.map(e => e.id));
+
+  const rows = units.map(unit => {
+    const variantDir = path.join(baseDir, `without-${unit.id}`);
+    const ablated = reference ? readVariant(variantDir, truth, actionSevere) : null;
+    const row = { unit: unit.id, entry_ids: unit.entry_ids, lesson_types: unit.lesson_types, variant_dir: path.relative(baseDir, variantDir) };
+    if (!ablated) return { ...row, complete: false, verdict: 'NOT_RUN' };
+    return { ...row, complete: ablated.complete, ...compareVariant(reference, ablated) };
+  });
+
+  return {
+    _generated_at: new Date().toISOString(),
+    scenario: scenario.name,
+    group_by: groupBy,
+    ledger: ledgerPath,
+    ledger_entries: ledger.length,
+    in_prompt: inPrompt.length,
+    not_in_prompt: ledger.filter(e => !inPromptIds.has(e.id)).map(e => e.id),
+    score_shift_threshold: SCORE_SHIFT_THRESHOLD,
+    reference: reference
+      ? { complete: reference.complete, gate_violations: reference.gate_violations, metrics: reference.metrics, lead_outcome: reference.lead_outcome, steps: reference.steps }
+      : null,
+    units: rows,
+  };
+}
+
+// ─── Run ────────────────────────────────────────────────────────────────────
+
+/**
+ * Replay every step of the scenario with a fixed ledger. Mirrors
+ * no-corrections mode: four layers and gates, tensions carried forward, no
+ * promotion and no auditor.
+ */
+async function runVariant({ scenario, thesisContext, domainConfig, variantDir, ledgerPath }) {
+  const { runTimeStep, buildSummary } = require('./run-evolution');
+  fs.mkdirSync(path.join(variantDir, 'results'), { recursive: true });
+
+  const stepResults = [];
+  let previousTensions = [];
+  for (const step of scenario.time_steps) {
+    const result = await runTimeStep(step, thesisContext, variantDir, ledgerPath, domainConfig, previousTensions);
+    result.corrections_promoted = 0;
+    stepResults.push(result);
+    previousTensions = result.unresolved_tensions || [];
+    if (step !== scenario.time_steps[scenario.time_steps.length - 1]) {
+      log('runner', 'Pausing 5s between steps...');
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+
+  const summary = buildSummary(scenario, stepResults, 'ablation');
+  summary.corrections_ledger_final_count = JSON.parse(fs.readFileSync(ledgerPath, 'utf8')).length;
+  fs.writeFileSync(path.join(variantDir, 'summary.json'), JSON.stringify(summary, null, 2));
+  return summary;
+}
+
+/**
+ * Run the reference and one variant per unit, then write the impact table.
+ *
+ * @param {object}   options
+ * @param {string}   options.scenarioDir
+ * @param {object}   options.scenario, options.domainConfig
+ * @param {string}   options.thesisContext
+ * @param {string}   [options.groupBy]    - 'entry' | 'lesson_type'
+ * @param {string}   [options.ledgerPath] - default data/corrections-ledger.json
+ * @param {string[]} [options.units]      - ablate only these unit ids
+ * @param {string}   [options.outDir]     - default <scenarioDir>/ablation/<groupBy>
+ * @param {function} [options.runVariant] - variant → summary; default the four-layer replay
+ * @returns {Promise<object>} the ablation report
+ */
+async function runAblation({
+  scenarioDir,
+  scenario,
+  thesisContext,
+  domainConfig,
+  groupBy = 'entry',
+  ledgerPath = DEFAULT_LEDGER,
+  units: onlyUnits = null,
+  outDir = null,
+  runVariant: run = runVariant,
+}) {
+  const { loadCorrectionsLedger } = require('./analyze-thesis');
+  const ledger = readJSON(ledgerPath);
+  if (!Array.isArray(ledger)) throw new Error(`No corrections ledger at ${ledgerPath}`);
+  const inPrompt = loadCorrectionsLedger(ledgerPath);
+
+  let units = ablationUnits(inPrompt, groupBy);
+  if (onlyUnits) {
+    const unknown = onlyUnits.filter(id => !units.some(u => u.id === id));
+    if (unknown.length > 0) throw new Error(`Not in the prompt ledger: ${unknown.join(', ')} — units: ${units.map(u => u.id).join(', ')}`);
+    units = units.filter(u => onlyUnits.includes(u.id));
+  }
+
+  const baseDir = outDir || path.join(scenarioDir, 'ablation', groupBy);
+  const ledgerDir = path.join(baseDir, 'ablation-ledgers');
+  fs.mkdirSync(ledgerDir, { recursive: true });
+  log('plan', `${scenario.name}: ${inPrompt.length} of ${ledger.length} entries reach the prompt — ${units.length} unit(s) by ${groupBy}, ${units.length + 1} variant(s)`);
+
+  const variants = [{ id: REFERENCE, dir: path.join(baseDir, REFERENCE), ledger }]
+    .concat(units.map(unit => ({ id: unit.id, dir: path.join(baseDir, `without-${unit.id}`), ledger: ablatedLedger(ledger, unit) })));
+
+  for (const [i, variant] of variants.entries()) {
+    if (isJobComplete({ outDir: variant.dir })) {
+      log('variant', `${i + 1}/${variants.length} ${variant.id}: already complete`);
+      continue;
+    }
+    const variantLedgerPath = path.join(ledgerDir, `${variant.id}.json`);
+    fs.writeFileSync(variantLedgerPath, JSON.stringify(variant.ledger, null, 2));
+    fs.rmSync(variant.dir, { recursive: true, force: true });
+    log('variant', `${i + 1}/${variants.length} ${variant.id}: ${variant.ledger.length} entries`);
+    try {
+      await run({ scenario, thesisContext, domainConfig, variantDir: variant.dir, ledgerPath: variantLedgerPath });
+    } catch (e) {
+      warn('variant', `${variant.id} failed: ${e.message}`);
+    }
+  }
+
+  const report = buildAblationReport({ scenario, domainConfig, baseDir, groupBy, ledgerPath, ledger, inPrompt, units });
+  fs.writeFileSync(path.join(baseDir, REPORT_FILE), JSON.stringify(report, null, 2) + '\n');
+  printAblationReport(report);
+  console.log(`Report: ${path.join(baseDir, REPORT_FILE)}`);
+  return report;
+}
+
+/**
+ * runAblation() options from the run-evolution.js command line.
+ */
+function parseAblationArgs(argv) {
+  const value = flag => {
+    const i = argv.indexOf(flag);
+    return i !== -1 && i + 1 < argv.length ? argv[i + 1] : null;
+  };
+  return {
+    groupBy: value('--group-by') || 'entry',
+    ledgerPath: value('--ledger') ? path.resolve(value('--ledger')) : DEFAULT_LEDGER,
+    units: value('--units') ? value('--units').split(',').map(s => s.trim()).filter(Boolean) : null,
+  };
+}
+
+function printAblationReport(report) {
+  const cell = (v, w) => String(v ?? '—').padStart(w);
+  const signed = v => (typeof v === 'number' && v > 0 ? `+${v}` : v);
+  console.log(`\n━━━ Corrections Ablation — ${report.scenario} (by ${report.group_by}) ━━━`);
+  console.log(`  ${report.in_prompt} of ${report.ledger_entries} entries reach the prompt`);
+  if (!report.reference) {
+    console.log('  Reference run incomplete — no impact table');
+    return;
+  }
+  console.log(`  ${'unit'.padEnd(24)}${cell('score', 8)}${cell('status', 8)}${cell('gates', 7)}${cell('accuracy', 10)}${cell('lead', 8)}  verdict`);
+  for (const u of report.units) {
+    if (u.verdict === 'NOT_RUN') {
+      console.log(`  ${u.unit.padEnd(24)}${cell('', 8)}${cell('', 8)}${cell('', 7)}${cell('', 10)}${cell('', 8)}  NOT_RUN`);
+      continue;
+    }
+    console.log(`  ${u.unit.padEnd(24)}${cell(signed(u.score_shift.mean), 8)}${cell(u.status_changes.length, 8)}${cell(signed(u.gate_violations.delta), 7)}${cell(signed(u.metric_deltas.status_accuracy), 10)}${cell(signed(u.metric_deltas.lead_steps), 8)}  ${u.verdict}`);
+  }
+  console.log('');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  GROUP_BY,
+  ablationUnits,
+  ablatedLedger,
+  readVariant,
+  compareVariant,
+  buildAblationReport,
+  runAblation,
+  parseAblationArgs,
+};
@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Corrections Enrichment — turns promoted rejections into usable lessons
+ *
+ * promote-rejections.js writes a CL-xxx entry for every auto_commit rejection
+ * with lesson, trigger, prevention and lesson_type set to NEEDS_ENRICHMENT.
+ * This is where those fields get written, reviewed and approved.
+ *
+ * Workflow:
+ *   list                 — entries waiting for enrichment or approval
+ *   show <id>            — the entry with its evidence: the originating
+ *                          rejection, the Layer 3 inference it rejected and
+ *                          the cognitive-trace record of the signals involved
+ *   draft <id>           — optional: the enrichment_draft model role proposes
+ *                          lesson/trigger/prevention/lesson_type from that
+ *                          evidence. Drafts never touch the entry.
+ *   edit <id> --lesson "…" --trigger "…" --prevention "…" --lesson-type <T>
+ *                        — write fields by hand (any subset)
+ *   approve <id> [--draft] [--reason "…"]
+ *                        — approve the entry as it stands, or apply the latest
+ *                          draft and approve it. Sets status ACTIVE.
+ *   history <id>         — every version of the entry
+ *
+ * Prompt gate: an entry reaches the Layer 2/3 prompts only when it is ACTIVE,
+ * none of lesson/trigger/prevention is a placeholder, and — if it has been
+ * through this workflow — its current version is the approved one. Any edit
+ * after approval takes the entry out of the prompts until it is approved
+ * again. analyze-thesis.js loadCorrectionsLedger() applies isPromptEligible().
+ *
+ * Versioning: every draft, edit and approval appends one line to
+ * data/corrections-enrichment-log.jsonl with the full field values before and
+ * after, the operator and the reason. Lines are never rewritten. The entry
+ * keeps only an `enrichment` summary ({ state, version, approved_version, … })
+ * and each change is recorded as a ledger amendment (ledger-integrity.js).
+ *
+ * Options: --operator <name> (default OVERWATCH_OPERATOR, then the OS user),
+ *          --all (list: include SUPERSEDED and RETIRED), --domain <id>
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+
+const { DATA_DIR, stripDomainArgs } = require('./utils/paths');
+const { writeLedger, amendEntry, stripIntegrity } = require('./ledger-integrity');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const LEDGER_PATH = path.join(DATA_DIR, 'corrections-ledger.json');
+const REJECTION_LOG_PATH = path.join(DATA_DIR, 'rejection-log.json');
+const ENRICHMENT_LOG_PATH = path.join(DATA_DIR, 'corrections-enrichment-log.jsonl');
+const PLACEHOLDER = 'NEEDS_ENRICHMENT';
+const TRACE_PATTERN = /^cognitive-trace-.*\.json$/;
+
+// Fields this workflow writes; lesson_type is required for approval but is
+// not part of the prompt gate (older hand-written entries predate it)
+const ENRICHED_FIELDS = ['lesson', 'trigger', 'prevention', 'lesson_type'];
+const PROMPT_FIELDS = ['lesson', 'trigger', 'prevention'];
+const EDIT_FLAGS = { '--lesson': 'lesson', '--trigger': 'trigger', '--prevention': 'prevention', '--lesson-type': 'lesson_type' };
+
+// Bookkeeping that stays out of the prompts
+const NON_PROMPT_FIELDS = ['enrichment', 'source_rejection', 'application_evidence'];
+
+// Evidence text is clipped so one verbose trace cannot crowd out the rest
+const EVIDENCE_CHARS = 4000;
+
+function log(msg)  { console.log(`[enrich] ${msg}`); }
+function warn(msg) { console.warn(`[enrich] WARN: ${msg}`); }
+function err(msg)  { console.error(`[enrich] ERROR: ${msg}`); }
+
+const isPlaceholder = value => typeof value !== 'string' || !value.trim() || value.trim() === PLACEHOLDER;
+const pick = (entry, fields) => Object.fromEntries(fields.map(f => [f, entry[f] ?? null]));
+
+// ─── Prompt Gate ────────────────────────────────────────────────────────────
+
+/**
+ * Whether a corrections ledger entry may be injected into the prompts.
+ */
+function isPromptEligible(entry) {
+  if (!entry || entry.status !== 'ACTIVE') return false;
+  if (PROMPT_FIELDS.some(f => isPlaceholder(entry[f]))) return false;
+  return !entry.enrichment || entry.enrichment.state === 'APPROVED';
+}
+
+/**
+ * The entry as the prompts see it: no seal, no enrichment bookkeeping.
+ */
+function promptView(entry) {
+  const view = stripIntegrity(entry);
+  for (const f of NON_PROMPT_FIELDS) delete view[f];
+  return view;
+}
+
+/**
+ * Whether an entry is waiting on this workflow — placeholders left, or
+ * changed since it was last approved.
+ */
+function needsEnrichment(entry) {
+  return entry.status === PLACEHOLDER
+    || ENRICHED_FIELDS.some(f => isPlaceholder(entry[f]))
+    || (!!entry.enrichment && entry.enrichment.state !== 'APPROVED');
+}
+
+// ─── Data Access ────────────────────────────────────────────────────────────
+
+function readJSON(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    warn(`Cannot read ${path.basename(filePath)}: ${e.message}`);
+  }
+  return fallback;
+}
+
+function resolvePaths(options) {
+  const opts = options || {};
+  return {
+    ledgerPath: opts.ledgerPath || LEDGER_PATH,
+    rejectionLogPath: opts.rejectionLogPath || REJECTION_LOG_PATH,
+    traceDir: opts.traceDir || DATA_DIR,
+    logPath: opts.logPath || ENRICHMENT_LOG_PATH,
+  };
+}
+
+function loadLedger(ledgerPath) {
+  const ledger = readJSON(ledgerPath, null);
+  if (!Array.isArray(ledger)) throw new Error(`No corrections ledger at ${ledgerPath}`);
+  return ledger;
+}
+
+function findEntry(ledger, id) {
+  const entry = ledger.find(e => e.id === id);
+  if (!entry) throw new Error(`Entry ${id} not found`);
+  return entry;
+}
+
+/**
+ * Append one version line. The log is append-only — lines are never edited.
+ */
+function recordVersion(line, logPath) {
+  const record = { timestamp: new Date().toISOString(), ...line };
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Version lines for one entry (or all), in append order. Malformed lines are skipped.
+ */
+function loadHistory(id, options) {
+  const { logPath } = resolvePaths(options);
+  if (!fs.existsSync(logPath)) return [];
+  const lines = [];
+  for (const [i, raw] of fs.readFileSync(logPath, 'utf8').split('\n').entries()) {
+    if (!raw.trim()) continue;
+    try {
+      const line = JSON.parse(raw);
+      if (!id || line.id === id) lines.push(line);
+    } catch (e) {
+      warn(`${path.basename(logPath)}:${i + 1} is not valid JSON — skipped`);
+    }
+  }
+  return lines;
+}
+
+// ─── Evidence ───────────────────────────────────────────────────────────────
+
+/**
+ * The rejection an entry was promoted from. Entries promoted since
+ * source_rejection was recorded match on it; older ones match on the
+ * belief/reality text promote-rejections.js copied from the rejection.
+ */
+function findSourceRejection(entry, rejections) {
+  const source = entry.source_rejection;
+  if (source?.timestamp) {
+    const ids = new Set(source.signal_ids || []);
+    const hit = rejections.find(r => r.timestamp === source.timestamp
+      && (ids.size === 0 || (r.signal_ids || []).some(id => ids.has(id))));
+    if (hit) return hit;
+  }
+  return rejections.find(r => r.corrections_ledger_action === 'auto_commit'
+    && r.layer3_inference === entry.belief && r.rejection_reason === entry.reality) || null;
+}
+
+/**
+ * Cognitive-trace records of the rejected signals: what Layer 3 inferred,
+ * what Layer 4 judged, and what the gates flagged on the way.
+ */
+function findTraceEvidence(signalIds, traceDir) {
+  if (!Array.isArray(signalIds) || signalIds.length === 0 || !fs.existsSync(traceDir)) return [];
+  const wanted = new Set(signalIds);
+  const evidence = [];
+  for (const file of fs.readdirSync(traceDir).filter(f => TRACE_PATTERN.test(f)).sort()) {
+    const trace = readJSON(path.join(traceDir, file), null);
+    for (const signal of trace?.signals || []) {
+      if (!(signal.signal_ids || []).some(id => wanted.has(id))) continue;
+      evidence.push({
+        trace: file,
+        signal_ids: signal.signal_ids,
+        signal: signal.perception?.signal || null,
+        outcome: signal.outcome || null,
+        inference: signal.inference || null,
+        judgment: signal.judgment || null,
+        gate_violations: ['perception_gate', 'contextualization_gate', 'inference_gate', 'judgment_gate']
+          .flatMap(g => (signal[g]?.violations || []).map(v => ({ gate: g, rule: v.rule_violated, violation: v.violation }))),
+        corrections_applied: (signal.corrections_applied || []).map(c => c.correction_id),
+      });
+    }
+  }
+  return evidence;
+}
+
+/**
+ * Everything a reviewer (or the draft model) needs for one entry.
+ */
+function gatherContext(id, options) {
+  const paths = resolvePaths(options);
+  const entry = findEntry(loadLedger(paths.ledgerPath), id);
+  const rejections = readJSON(paths.rejectionLogPath, []);
+  const rejection = findSourceRejection(entry, Array.isArray(rejections) ? rejections.map(stripIntegrity) : []);
+  return {
+    entry: stripIntegrity(entry),
+    rejection,
+    layer3_inference: rejection?.layer3_inference || entry.belief || null,
+    trace_evidence: findTraceEvidence(rejection?.signal_ids || entry.source_rejection?.signal_ids, paths.traceDir),
+  };
+}
+
+// ─── Drafting ───────────────────────────────────────────────────────────────
+
+const clip = value => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > EVIDENCE_CHARS ? `${text.slice(0, EVIDENCE_CHARS)}… [truncated]` : text;
+};
+
+function buildDraftPrompt(context, examples) {
+  const { entry, rejection, trace_evidence: evidence } = context;
+  return `You are enriching one entry in the corrections ledger of a four-layer analysis pipeline.
+Each entry records a past reasoning error so later runs can recognize and avoid it.
+Layers 2 and 3 read every ACTIVE entry before they analyze, and match the "trigger" against
+what they are about to conclude.
+
+Write the four missing fields for entry ${entry.id}:
+  lesson      — the generalizable principle, one or two sentences, not a restatement of this case
+  trigger     — the observable condition in a future analysis that should bring this lesson to mind
+  prevention  — the concrete check to perform when the trigger matches
+  lesson_type — one of: ${examples.lessonTypes.join(', ')} (or a new UPPER_SNAKE_CASE type if none fits)
+
+Ground every field in the evidence below. Do not invent facts about the case.
+
+ENTRY:
+${JSON.stringify(pick(entry, ['id', 'belief', 'reality', 'root_cause', 'root_cause_type', 'confidence_in_lesson']), null, 2)}
+
+ORIGINATING REJECTION (Layer 4 overruling Layer 3):
+${rejection ? JSON.stringify(pick(rejection, ['layer3_inference', 'rejection_reason', 'root_cause', 'confidence_in_rejection', 'signal_ids', 'timestamp']), null, 2) : 'Not found in the rejection log.'}
+
+TRACE EVIDENCE (${evidence.length} signal record(s)):
+${evidence.length > 0 ? evidence.map(e => `- ${e.trace} | ${e.signal} | outcome ${e.outcome}
+  Layer 3 inference: ${clip(e.inference)}
+  Layer 4 judgment: ${clip(e.judgment)}
+  Gate violations: ${clip(e.gate_violations)}`).join('\n') : 'None found.'}
+
+EXAMPLES OF ENRICHED ENTRIES:
+${JSON.stringify(examples.entries, null, 2)}
+
+Respond with JSON only:
+{ "lesson": "...", "trigger": "...", "prevention": "...", "lesson_type": "..." }`;
+}
+
+/**
+ * Ask the enrichment_draft model role for a draft and record it. The entry
+ * itself is not changed — `approve --draft` applies it.
+ *
+ * @returns {Promise<object>} the DRAFT version line
+ */
+async function draftEnrichment(id, options) {
+  const opts = options || {};
+  const paths = resolvePaths(opts);
+  const { callModel } = require('./model-providers');
+  const ledger = loadLedger(paths.ledgerPath);
+  const entry = findEntry(ledger, id);
+  const context = gatherContext(id, paths);
+
+  const enriched = ledger.filter(e => !ENRICHED_FIELDS.some(f => isPlaceholder(e[f])));
+  const examples = {
+    lessonTypes: [...new Set(enriched.map(e => e.lesson_type))].sort(),
+    entries: enriched.filter(e => e.status === 'ACTIVE').slice(-3).map(e => pick(e, ['id', 'belief', 'reality', ...ENRICHED_FIELDS])),
+  };
+
+  const { data, model } = await callModel('enrichment_draft', { prompt: buildDraftPrompt(context, examples) }, {
+    domainConfig: opts.domainConfig, label: 'enrich', parse: 'json',
+  });
+  const missing = ENRICHED_FIELDS.filter(f => isPlaceholder(data?.[f]));
+  if (missing.length > 0) throw new Error(`Draft is missing ${missing.join(', ')}`);
+
+  // The draft lives only in the log: an approved or legacy entry stays in
+  // the prompts until the draft is applied with approve --draft
+  return recordVersion({
+    id, action: 'DRAFT', version: entry.enrichment?.version || 0, operator: opts.operator || null,
+    source: `model:${model}`, fields: pick(data, ENRICHED_FIELDS), previous: pick(entry, ENRICHED_FIELDS),
+    evidence: { rejection: context.rejection?.timestamp || null, traces: [...new Set(context.trace_evidence.map(e => e.trace))] },
+  }, paths.logPath);
+}
+
+// ─── Edits and Approval ─────────────────────────────────────────────────────
+
+/**
+ * Write fields onto an entry as a new, unapproved version.
+ *
+ * @param {string} id
+ * @param {object} fields — any of lesson, trigger, prevention, lesson_type
+ * @param {object} [options] — { operator, reason, source, paths… }
+ * @returns {object} the EDIT version line
+ */
+function editEntry(id, fields, options) {
+  const opts = options || {};
+  const paths = resolvePaths(opts);
+  const changes = Object.fromEntries(Object.entries(fields || {}).filter(([f, v]) => ENRICHED_FIELDS.includes(f) && typeof v === 'string'));
+  if (Object.keys(changes).length === 0) throw new Error(`Nothing to edit — give any of ${Object.keys(EDIT_FLAGS).join(', ')}`);
+  const blank = Object.entries(changes).filter(([, v]) => isPlaceholder(v)).map(([f]) => f);
+  if (blank.length > 0) throw new Error(`${blank.join(', ')} cannot be empty or ${PLACEHOLDER}`);
+
+  const ledger = loadLedger(paths.ledgerPath);
+  const entry = findEntry(ledger, id);
+  const previous = pick(entry, ENRICHED_FIELDS);
+  Object.assign(entry, changes);
+
+  const version = (entry.enrichment?.version || 0) + 1;
+  const wasActive = entry.status === 'ACTIVE';
+  entry.enrichment = {
+    ...(entry.enrichment || {}),
+    state: 'EDITED',
+    version,
+    updated_at: new Date().toISOString(),
+    updated_by: opts.operator || null,
+  };
+  if (wasActive) entry.status = PLACEHOLDER;
+  amendEntry(entry, `enrichment v${version}${opts.reason ? `: ${opts.reason}` : ''}`);
+  writeLedger(paths.ledgerPath, ledger);
+
+  return recordVersion({
+    id, action: 'EDIT', version, operator: opts.operator || null, source: opts.source || 'human',
+    fields: pick(entry, ENRICHED_FIELDS), previous, reason: opts.reason || null,
+    ...(wasActive ? { note: 'was ACTIVE — out of the prompts until approved again' } : {}),
+  }, paths.logPath);
+}
+
+/**
+ * Approve an entry's current version (or apply and approve the latest draft)
+ * and make it ACTIVE.
+ *
+ * @returns {object} the APPROVE version line
+ */
+function approveEntry(id, options) {
+  const opts = options || {};
+  const paths = resolvePaths(opts);
+
+  if (opts.useDraft) {
+    const draft = loadHistory(id, paths).filter(l => l.action === 'DRAFT').pop();
+    if (!draft) throw new Error(`${id} has no draft — run: draft ${id}`);
+    editEntry(id, draft.fields, { ...opts, source: draft.source, reason: opts.reason || `applied draft of ${draft.timestamp}` });
+  }
+
+  const ledger = loadLedger(paths.ledgerPath);
+  const entry = findEntry(ledger, id);
+  const missing = ENRICHED_FIELDS.filter(f => isPlaceholder(entry[f]));
+  if (missing.length > 0) throw new Error(`Cannot approve ${id}: ${missing.join(', ')} still ${PLACEHOLDER}`);
+  if (entry.status === 'SUPERSEDED' || entry.status === 'RETIRED') {
+    throw new Error(`Cannot approve ${id}: status is ${entry.status}`);
+  }
+  if (entry.enrichment?.state === 'APPROVED' && entry.status === 'ACTIVE') {
+    throw new Error(`${id} v${entry.enrichment.version} is already approved`);
+  }
+
+  const previousStatus = entry.status;
+  const version = entry.enrichment?.version || 1;
+  entry.status = 'ACTIVE';
+  entry.enrichment = {
+    ...(entry.enrichment || {}),
+    state: 'APPROVED',
+    version,
+    approved_version: version,
+    approved_at: new Date().toISOString(),
+    approved_by: opts.operator || null,
+  };
+  amendEntry(entry, `enrichment v${version} approved`);
+  writeLedger(paths.ledgerPath, ledger);
+
+  return recordVersion({
+    id, action: 'APPROVE', version, operator: opts.operator || null,
+    fields: pick(entry, ENRICHED_FIELDS), previous_status: previousStatus, reason: opts.reason || null,
+  }, paths.logPath);
+}
+
+// ─── CLI Commands ───────────────────────────────────────────────────────────
+
+function cmdList(options) {
+  const ledger = loadLedger(resolvePaths(options).ledgerPath);
+  const waiting = ledger.filter(e => needsEnrichment(e) && (options.all || !['SUPERSEDED', 'RETIRED'].includes(e.status)));
+  console.log(`\n=== CORRECTIONS AWAITING ENRICHMENT (${waiting.length}) ===\n`);
+  for (const e of waiting) {
+    const state = e.enrichment?.state || (ENRICHED_FIELDS.some(f => isPlaceholder(e[f])) ? 'PENDING' : '—');
+    console.log(`  ${e.id} | ${e.status} | ${state}${e.enrichment?.version ? ` v${e.enrichment.version}` : ''} | ${e.date_identified || '?'} | ${e.root_cause_type || '?'}`);
+    console.log(`    ${String(e.belief || '').substring(0, 120)}`);
+  }
+  const eligible = ledger.filter(isPromptEligible).length;
+  console.log(`\n${eligible} of ${ledger.length} entries reach the prompts.\n`);
+}
+
+function cmdShow(id, options) {
+  const context = gatherContext(id, options);
+  const { entry, rejection, trace_evidence: evidence } = context;
+  console.log(`\n=== ${entry.id} — ${entry.status}${entry.enrichment ? ` (${entry.enrichment.state} v${entry.enrichment.version})` : ''} ===\n`);
+  for (const f of ['belief', 'reality', 'root_cause_type', ...ENRICHED_FIELDS]) {
+    console.log(`${f.padEnd(16)} ${entry[f] ?? '—'}`);
+  }
+  console.log('\n── Originating rejection ──');
+  if (rejection) {
+    console.log(`${rejection.timestamp} | ${rejection.source || '?'} | confidence ${rejection.confidence_in_rejection || '?'}`);
+    console.log(`Layer 3 inference: ${rejection.layer3_inference}`);
+    console.log(`Rejection: ${rejection.rejection_reason}`);
+    console.log(`Signals: ${(rejection.signal_ids || []).join(', ') || '—'}`);
+  } else {
+    console.log('Not found in the rejection log.');
+  }
+  console.log(`\n── Trace evidence (${evidence.length}) ──`);
+  for (const e of evidence) {
+    console.log(`${e.trace} | ${e.signal} | ${e.outcome}`);
+    for (const si of e.inference?.strategic_inferences || []) {
+      console.log(`  L3: ${si.finding}${si.which_is_more_likely ? ` (more likely: ${si.which_is_more_likely})` : ''}`);
+    }
+    if (e.judgment?.final_signal_matrix?.layer3_adjustment) console.log(`  L4: ${e.judgment.final_signal_matrix.layer3_adjustment}`);
+    for (const v of e.gate_violations) console.log(`  ${v.gate}: ${v.rule}`);
+  }
+  const draft = loadHistory(id, options).filter(l => l.action === 'DRAFT').pop();
+  if (draft) {
+    console.log(`\n── Latest draft (${draft.timestamp}, ${draft.source}) ──`);
+    for (const f of ENRICHED_FIELDS) console.log(`${f.padEnd(16)} ${draft.fields[f]}`);
+    console.log(`\nApply and approve with: approve ${id} --draft`);
+  }
+  console.log('');
+}
+
+function cmdHistory(id, options) {
+  const lines = loadHistory(id, options);
+  console.log(`\n=== ${id} — ${lines.length} version record(s) ===\n`);
+  for (const l of lines) {
+    console.log(`${l.timestamp} | v${l.version} ${l.action} | ${l.operator || '?'} | ${l.source || '—'}${l.reason ? ` | ${l.reason}` : ''}`);
+    if (l.action !== 'APPROVE') {
+      for (const f of ENRICHED_FIELDS) {
+        if (l.previous && l.previous[f] !== l.fields[f]) console.log(`    ${f}: ${l.fields[f]}`);
+      }
+    }
+  }
+  console.log('');
+}
+
+function usage() {
+  console.log('Corrections Enrichment — write, draft and approve NEEDS_ENRICHMENT entries');
+  console.log('');
+  console.log('Commands:');
+  console.log('  list [--all]                 Entries awaiting enrichment or approval');
+  console.log('  show <id>                    Entry, originating rejection, Layer 3 inference, trace evidence');
+  console.log('  draft <id>                   Model-drafted lesson/trigger/prevention/lesson_type (not applied)');
+  console.log('  edit <id> --lesson "…" --trigger "…" --prevention "…" --lesson-type <T>');
+  console.log('                               Write fields by hand (new unapproved version)');
+  console.log('  approve <id> [--draft]       Approve (applying the latest draft) and set ACTIVE');
+  console.log('  history <id>                 Every version of the entry');
+  console.log('');
+  console.log('Options: --operator <name>  --reason "<text>"  --domain <id>');
+  console.log(`Versions are appended to ${path.basename(ENRICHMENT_LOG_PATH)}.`);
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  ENRICHMENT_LOG_PATH,
+  ENRICHED_FIELDS,
+  isPromptEligible,
+  promptView,
+  needsEnrichment,
+  findSourceRejection,
+  findTraceEvidence,
+  gatherContext,
+  buildDraftPrompt,
+  draftEnrichment,
+  editEntry,
+  approveEntry,
+  loadHistory,
+};
+
+// ─── CLI Router ─────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const raw = stripDomainArgs(process.argv.slice(2));
+  const valueFlags = ['--operator', '--reason', ...Object.keys(EDIT_FLAGS)];
+  const option = name => {
+    const i = raw.indexOf(name);
+    return i !== -1 ? raw[i + 1] : undefined;
+  };
+  const [command, id] = raw.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(raw[i - 1]));
+  const ctx = {
+    operator: option('--operator') || process.env.OVERWATCH_OPERATOR || os.userInfo().username,
+    reason: option('--reason')?.trim() || null,
+    all: raw.includes('--all'),
+  };
+
+  const needsId = ['show', 'draft', 'edit', 'approve', 'history'];
+  if (needsId.includes(command) && !id) {
+    err(`Usage: node corrections-enrichment.js ${command} <id>`);
+    process.exit(1);
+  }
+
+  const run = async () => {
+    switch (command || 'list') {
+      case 'list':    cmdList(ctx); break;
+      case 'show':    cmdShow(id, ctx); break;
+      case 'history': cmdHistory(id, ctx); break;
+      case 'draft': {
+        const draft = await draftEnrichment(id, ctx);
+        for (const f of ENRICHED_FIELDS) console.log(`${f.padEnd(16)} ${draft.fields[f]}`);
+        log(`Draft recorded for ${id}. Review it, then: approve ${id} --draft (or edit ${id} … and approve ${id})`);
+        break;
+      }
+      case 'edit': {
+        const fields = Object.fromEntries(Object.entries(EDIT_FLAGS).filter(([flag]) => option(flag) !== undefined).map(([flag, f]) => [f, option(flag)]));
+        const line = editEntry(id, fields, ctx);
+        log(`${id} v${line.version} saved${line.note ? ` — ${line.note}` : ''}. Approve with: approve ${id}`);
+        break;
+      }
+      case 'approve': {
+        const line = approveEntry(id, { ...ctx, useDraft: raw.includes('--draft') });
+        log(`✓ ${id} v${line.version} approved — ACTIVE, injected into Layers 2 and 3 from the next run`);
+        break;
+      }
+      default:
+        usage();
+        process.exit(1);
+    }
+  };
+  run().catch(e => {
+    err(e.message);
+    process.exit(1);
+  });
+}
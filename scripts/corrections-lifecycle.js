@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Corrections Ledger Lifecycle Manager
+ *
+ * The corrections-ledger counterpart of calibration-lifecycle.js. Human-in-the-
+ * loop tooling for the Sunday Blind Spot Audit: merge duplicate lessons,
+ * retire entries, graduate a lesson into a standing prompt rule and decay
+ * confidence from application statistics.
+ *
+ * Lifecycle: NEEDS_ENRICHMENT → ACTIVE (corrections-enrichment.js)
+ *            ACTIVE → SUPERSEDED (merged into another entry)
+ *            ACTIVE → RETIRED (retired, or graduated into a prompt rule)
+ *
+ * Commands:
+ *   status                         — All entries by status, with application stats
+ *   merge <keep-id> <dup-id>...    — Duplicates → SUPERSEDED by keep-id; their
+ *                                    application counts move to keep-id
+ *   retire <id> --reason "…"       — Any → RETIRED
+ *   graduate <id> --layer <1-4>    — ACTIVE → RETIRED as a standing prompt rule.
+ *                                    Prints the rule to paste into that layer's
+ *                                    prompt in analyze-thesis.js, ending with
+ *                                    "[Graduated from <id>]". Once the marker is
+ *                                    in the prompt, re-run to retire the entry.
+ *   decay [--dry-run]              — Lower confidence_in_lesson from the
+ *                                    application counts (corrections-tracking.js)
+ *   audit-report                   — Full Sunday audit report (status, enrichment
+ *                                    backlog, duplicates, decay, graduation)
+ *
+ * Decay: an entry becomes eligible once it has been applicable
+ * corrections_decay_min_applicable times since its confidence last changed.
+ * The application ratio (applied / applicable) is taken over that same
+ * window, so applications before the last change never count twice. Below
+ * corrections_decay_confidence_step lowers confidence one step
+ * (HIGH → MEDIUM → LOW); below corrections_decay_retire_review it is flagged
+ * for retirement review. Thresholds live in config/domain.json.
+ *
+ * Every change is sealed as a ledger amendment (ledger-integrity.js) and
+ * recorded in data/operator-audit-log.jsonl. Options: --operator <name>
+ * (default OVERWATCH_OPERATOR, then the OS user), --reason "<text>", --domain <id>
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+
+const { DATA_DIR, CONFIG_DIR, SCRIPTS_DIR, stripDomainArgs } = require('./utils/paths');
+const { writeLedger, amendEntry } = require('./ledger-integrity');
+const { isPromptEligible, needsEnrichment } = require('./corrections-enrichment');
+const { recordOperatorAction } = require('./overwatch-operator');
+const { loadApplicationLog, applicationTrends, applicationCounts } = require('./corrections-tracking');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const LEDGER_PATH = path.join(DATA_DIR, 'corrections-ledger.json');
+// Layer prompts are hardcoded in the pipeline; graduation markers live there
+const PROMPT_SOURCE = path.join(SCRIPTS_DIR, 'analyze-thesis.js');
+const GRADUATION_REASON = 'Graduated to layer prompt instruction — lesson embedded permanently in analyze-thesis.js';
+const CONFIDENCE_STEPS = ['HIGH', 'MEDIUM', 'LOW'];
+const STATUS_ORDER = ['ACTIVE', 'NEEDS_ENRICHMENT', 'SUPERSEDED', 'RETIRED'];
+
+const DEFAULTS = {
+  corrections_decay_min_applicable: 5,
+  corrections_decay_confidence_step: 0.6,
+  corrections_decay_retire_review: 0.3,
+  corrections_graduation_min_applied: 10,
+  corrections_graduation_min_ratio: 0.8,
+  corrections_duplicate_similarity: 0.35,
+};
+
+function log(msg)  { console.log(`[corrections] ${msg}`); }
+function warn(msg) { console.warn(`[corrections] ⚠️ ${msg}`); }
+function err(msg)  { console.error(`[corrections] 🚨 ${msg}`); }
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+// ─── Data Access ────────────────────────────────────────────────────────────
+
+function loadConfig(options) {
+  if (options?.config) return { ...DEFAULTS, ...options.config };
+  const configPath = path.join(CONFIG_DIR, 'domain.json');
+  try {
+    const domain = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    return Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, domain[k] ?? DEFAULTS[k]]));
+  } catch (e) {
+    warn(`domain.json unreadable — using default thresholds (${e.message})`);
+    return { ...DEFAULTS };
+  }
+}
+
+function loadLedger(options) {
+  const ledgerPath = options?.ledgerPath || LEDGER_PATH;
+  if (!fs.existsSync(ledgerPath)) throw new Error(`${path.basename(ledgerPath)} not found`);
+  const ledger = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+  if (!Array.isArray(ledger)) throw new Error(`${path.basename(ledgerPath)} is not an array`);
+  return ledger;
+}
+
+/** Per-entry counts from the application log (see applicationTrends). */
+function loadTrends(options) {
+  return applicationTrends(loadApplicationLog(options?.applicationLogPath));
+}
+
+function saveLedger(ledger, options) {
+  writeLedger(options?.ledgerPath || LEDGER_PATH, ledger);
+}
+
+function findEntry(ledger, id) {
+  const entry = ledger.find(e => e.id === id);
+  if (!entry) throw new Error(`Entry ${id} not found`);
+  return entry;
+}
+
+function audit(options, action, subject, outcome) {
+  recordOperatorAction({
+    action,
+    command: `corrections-lifecycle ${action}`,
+    operator: options?.operator,
+    reason: options?.reason,
+    subject,
+    outcome,
+  }, options?.operatorLogPath);
+}
+
+// ─── Application Statistics ─────────────────────────────────────────────────
+
+/**
+ * Applied / applicable for one entry — its stored counters plus its runs in
+ * the application log (trends). ratio is null until it has been applicable.
+ */
+function applicationStats(entry, trends) {
+  const counts = applicationCounts(entry, trends);
+  const applied = counts.times_applied;
+  const missed = counts.times_applicable_but_missed;
+  const applicable = applied + missed;
+  return { applied, missed, applicable, ratio: applicable > 0 ? applied / applicable : null };
+}
+
+/**
+ * Decay recommendations for every ACTIVE entry with enough new evidence.
+ * stats are lifetime counts; window is the part since confidence_basis, the
+ * counts at the last confidence change, and is what the thresholds judge.
+ *
+ * @returns {Array<{ id, action: 'DECAY'|'RETIRE_REVIEW', current_confidence, recommended_confidence, stats, window, reason }>}
+ */
+function decayRecommendations(ledger, config, trends) {
+  const cfg = config || DEFAULTS;
+  const recs = [];
+  for (const entry of ledger.filter(e => e.status === 'ACTIVE')) {
+    const stats = applicationStats(entry, trends);
+    const basis = entry.confidence_basis || {};
+    const sinceChange = stats.applicable - (basis.applicable || 0);
+    if (sinceChange < cfg.corrections_decay_min_applicable) continue;
+
+    const appliedSince = stats.applied - (basis.applied || 0);
+    const window = { applied: appliedSince, applicable: sinceChange, ratio: appliedSince / sinceChange };
+    const current = String(entry.confidence_in_lesson || 'HIGH').toUpperCase();
+    const applied = `Applied ${window.applied}/${window.applicable} times it was applicable${entry.confidence_basis ? ` since ${basis.date || 'its last confidence change'}` : ''} (${Math.round(window.ratio * 100)}%)`;
+    if (window.ratio < cfg.corrections_decay_retire_review) {
+      recs.push({
+        id: entry.id, action: 'RETIRE_REVIEW', current_confidence: current, recommended_confidence: current, stats, window,
+        reason: `${applied}, below the retirement review threshold (${Math.round(cfg.corrections_decay_retire_review * 100)}%).`,
+      });
+    } else if (window.ratio < cfg.corrections_decay_confidence_step && current !== 'LOW') {
+      recs.push({
+        id: entry.id, action: 'DECAY', current_confidence: current,
+        recommended_confidence: CONFIDENCE_STEPS[CONFIDENCE_STEPS.indexOf(current) + 1] || 'LOW', stats, window,
+        reason: `${applied}, below the decay threshold (${Math.round(cfg.corrections_decay_confidence_step * 100)}%).`,
+      });
+    }
+  }
+  return recs;
+}
+
+/**
+ * Apply confidence decay. RETIRE_REVIEW is reported, never acted on — retiring
+ * is the operator's call.
+ *
+ * @returns {Array} the recommendations, with applied: true on those written
+ */
+function applyDecay(options) {
+  const opts = options || {};
+  const ledger = loadLedger(opts);
+  const recs = decayRecommendations(ledger, loadConfig(opts), loadTrends(opts));
+  if (opts.dryRun) return recs;
+
+  let changed = 0;
+  for (const rec of recs.filter(r => r.action === 'DECAY')) {
+    const entry = findEntry(ledger, rec.id);
+    entry.confidence_in_lesson = rec.recommended_confidence;
+    entry.confidence_basis = { applicable: rec.stats.applicable, applied: rec.stats.applied, date: today() };
+    amendEntry(entry, `confidence decayed ${rec.current_confidence} → ${rec.recommended_confidence}`);
+    rec.applied = true;
+    changed++;
+  }
+  if (changed > 0) {
+    saveLedger(ledger, opts);
+    audit(opts, 'decay', recs.filter(r => r.applied).map(r => r.id).join(', '), `${changed} entr${changed === 1 ? 'y' : 'ies'} decayed`);
+  }
+  return recs;
+}
+
+// ─── Merge / Retire / Graduate ──────────────────────────────────────────────
+
+/**
+ * Supersede duplicates by one surviving entry. Application counts — stored
+ * and logged — move to the survivor's stored counters so decay and
+ * graduation see the whole history of the lesson.
+ */
+function mergeEntries(keepId, duplicateIds, options) {
+  const opts = options || {};
+  if (!duplicateIds?.length) throw new Error('Give at least one duplicate to merge');
+  if (duplicateIds.includes(keepId)) throw new Error(`Cannot merge ${keepId} into itself`);
+
+  const ledger = loadLedger(opts);
+  const keep = findEntry(ledger, keepId);
+  if (keep.status !== 'ACTIVE') throw new Error(`Cannot merge into ${keepId}: status is ${keep.status}, must be ACTIVE`);
+  const dups = duplicateIds.map(id => findEntry(ledger, id));
+  for (const dup of dups) {
+    if (dup.status === 'SUPERSEDED' || dup.status === 'RETIRED') {
+      throw new Error(`Cannot merge ${dup.id}: already ${dup.status}`);
+    }
+  }
+
+  const trends = loadTrends(opts);
+  for (const dup of dups) {
+    const moved = applicationCounts(dup, trends);
+    keep.times_applied = (keep.times_applied || 0) + moved.times_applied;
+    keep.times_applicable_but_missed = (keep.times_applicable_but_missed || 0) + moved.times_applicable_but_missed;
+    dup.status = 'SUPERSEDED';
+    dup.superseded_by = keepId;
+    dup.superseded_reason = opts.reason || `Merged into ${keepId} as a duplicate lesson.`;
+    amendEntry(dup, `merged into ${keepId}`);
+  }
+  keep.merged_from = [...new Set([...(keep.merged_from || []), ...duplicateIds])];
+  amendEntry(keep, `absorbed ${duplicateIds.join(', ')}`);
+  saveLedger(ledger, opts);
+  audit(opts, 'merge', keepId, `superseded ${duplicateIds.join(', ')}`);
+  return keep;
+}
+
+function retireEntry(id, options) {
+  const opts = options || {};
+  if (!opts.reason) throw new Error('Retiring needs --reason — it is recorded as retirement_reason');
+  const ledger = loadLedger(opts);
+  const entry = findEntry(ledger, id);
+  if (entry.status === 'RETIRED') throw new Error(`${id} is already RETIRED`);
+
+  const previous = entry.status;
+  entry.status = 'RETIRED';
+  entry.retirement_reason = opts.reason;
+  entry.retired_date = today();
+  amendEntry(entry, `retired (was ${previous})`);
+  saveLedger(ledger, opts);
+  audit(opts, 'retire', id, `RETIRED (was ${previous})`);
+  return previous;
+}
+
+/**
+ * The standing rule a graduated lesson becomes, in the register of the
+ * existing graduated rules in the layer prompts.
+ */
+function graduationRule(entry) {
+  const sentence = text => {
+    const t = String(text || '').trim();
+    return /[.!?]$/.test(t) ? t : `${t}.`;
+  };
+  return `${sentence(entry.lesson)} ${sentence(entry.prevention)} [Graduated from ${entry.id}]`;
+}
+
+/**
+ * Line number of the "[Graduated from <id>]" marker in the prompt source, or null.
+ */
+function findGraduationMarker(id, promptSource) {
+  const source = fs.readFileSync(promptSource || PROMPT_SOURCE, 'utf8');
+  const index = source.split('\n').findIndex(line => line.includes(`[Graduated from ${id}]`));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Graduate an ACTIVE entry. Until its marker is in the prompt source this
+ * only returns the rule to paste; with the marker present the entry retires.
+ *
+ * @returns {{ graduated: boolean, rule: string, line: number|null }}
+ */
+function graduateEntry(id, options) {
+  const opts = options || {};
+  const layer = Number(opts.layer);
+  if (![1, 2, 3, 4].includes(layer)) throw new Error('Graduation needs --layer <1-4> (the prompt the rule goes into)');
+
+  const ledger = loadLedger(opts);
+  const entry = findEntry(ledger, id);
+  if (!isPromptEligible(entry)) throw new Error(`Cannot graduate ${id}: only enriched, approved ACTIVE entries graduate (status ${entry.status})`);
+
+  const rule = graduationRule(entry);
+  const line = findGraduationMarker(id, opts.promptSource);
+  if (!line) return { graduated: false, rule, line: null };
+
+  entry.status = 'RETIRED';
+  entry.retirement_reason = GRADUATION_REASON;
+  entry.graduated_to = { layer, file: path.basename(opts.promptSource || PROMPT_SOURCE), line, date: today() };
+  amendEntry(entry, `graduated to Layer ${layer} prompt`);
+  saveLedger(ledger, opts);
+  audit(opts, 'graduate', id, `Layer ${layer} prompt rule (line ${line})`);
+  return { graduated: true, rule, line };
+}
+
+// ─── Audit ──────────────────────────────────────────────────────────────────
+
+const tokens = text => new Set(String(text || '').toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Pairs of ACTIVE entries whose lesson and trigger overlap enough to be
+ * reviewed as duplicates. Similarity is word overlap, not meaning — the
+ * operator decides.
+ */
+function duplicateCandidates(ledger, config) {
+  const threshold = (config || DEFAULTS).corrections_duplicate_similarity;
+  const active = ledger.filter(isPromptEligible).map(e => ({ id: e.id, words: tokens(`${e.lesson} ${e.trigger}`) }));
+  const pairs = [];
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      const similarity = jaccard(active[i].words, active[j].words);
+      if (similarity >= threshold) pairs.push({ ids: [active[i].id, active[j].id], similarity: Math.round(similarity * 100) / 100 });
+    }
+  }
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+function graduationCandidates(ledger, config, trends) {
+  const cfg = config || DEFAULTS;
+  return ledger.filter(isPromptEligible).filter(e => {
+    const stats = applicationStats(e, trends);
+    return String(e.confidence_in_lesson || '').toUpperCase() === 'HIGH'
+      && stats.applied >= cfg.corrections_graduation_min_applied
+      && stats.ratio >= cfg.corrections_graduation_min_ratio;
+  }).map(e => ({ id: e.id, stats: applicationStats(e, trends) }));
+}
+
+/**
+ * Marker/ledger disagreements: a prompt carries "[Graduated from X]" while X
+ * still reaches the prompts (the lesson is injected twice), or X names a
+ * graduation that is no longer in the prompt source.
+ */
+function graduationDrift(ledger, promptSource) {
+  const source = fs.existsSync(promptSource || PROMPT_SOURCE) ? fs.readFileSync(promptSource || PROMPT_SOURCE, 'utf8') : '';
+  const marked = new Set([...source.matchAll(/\[Graduated from (CL-\d+)\]/g)].map(m => m[1]));
+  const drift = [];
+  for (const id of marked) {
+    const entry = ledger.find(e => e.id === id);
+    if (entry && isPromptEligible(entry)) drift.push({ id, issue: 'Graduated rule is in the prompt but the entry is still ACTIVE' });
+  }
+  for (const entry of ledger.filter(e => e.graduated_to && !marked.has(e.id))) {
+    drift.push({ id: entry.id, issue: `Graduated to Layer ${entry.graduated_to.layer} but the marker is gone from the prompt` });
+  }
+  return drift;
+}
+
+/**
+ * Everything the Sunday audit reviews for the corrections ledger.
+ */
+function buildAuditReport(options) {
+  const opts = options || {};
+  const ledger = loadLedger(opts);
+  const config = loadConfig(opts);
+  const trends = loadTrends(opts);
+  const byStatus = {};
+  for (const e of ledger) byStatus[e.status] = (byStatus[e.status] || 0) + 1;
+  const active = ledger.filter(isPromptEligible);
+  return {
+    generated_at: new Date().toISOString(),
+    total: ledger.length,
+    by_status: byStatus,
+    in_prompt: active.length,
+    enrichment_backlog: ledger.filter(e => needsEnrichment(e) && !['SUPERSEDED', 'RETIRED'].includes(e.status)).map(e => e.id),
+    never_applicable: active.filter(e => applicationStats(e, trends).applicable === 0).map(e => e.id),
+    duplicates: duplicateCandidates(ledger, config),
+    decay: decayRecommendations(ledger, config, trends),
+    graduation_candidates: graduationCandidates(ledger, config, trends),
+    graduation_drift: graduationDrift(ledger, opts.promptSource),
+  };
+}
+
+// ─── CLI Commands ───────────────────────────────────────────────────────────
+
+function cmdStatus(ctx) {
+  const ledger = loadLedger(ctx);
+  const trends = loadTrends(ctx);
+  console.log('\n=== CORRECTIONS LEDGER STATUS ===\n');
+  console.log(`Total entries: ${ledger.length} | In prompts: ${ledger.filter(isPromptEligible).length}\n`);
+
+  const statuses = [...STATUS_ORDER, ...new Set(ledger.map(e => e.status).filter(s => !STATUS_ORDER.includes(s)))];
+  for (const status of statuses) {
+    const group = ledger.filter(e => e.status === status);
+    if (group.length === 0) continue;
+    console.log(`── ${status} (${group.length}) ──`);
+    for (const e of group) {
+      const s = applicationStats(e, trends);
+      const ratio = s.ratio === null ? '—' : `${Math.round(s.ratio * 100)}%`;
+      const note = e.superseded_by ? `→ ${e.superseded_by}`
+        : e.graduated_to ? `graduated L${e.graduated_to.layer}`
+        : status === 'ACTIVE' && !isPromptEligible(e) ? '⚠️  NOT IN PROMPT' : '';
+      console.log(`  ${e.id} | ${e.lesson_type || '?'} | ${String(e.confidence_in_lesson || '?').toUpperCase()} | applied ${s.applied}/${s.applicable} (${ratio}) ${note}`.trimEnd());
+      if (status === 'ACTIVE' || status === 'NEEDS_ENRICHMENT') console.log(`    ${String(e.belief || '').substring(0, 120)}`);
+    }
+    console.log('');
+  }
+}
+
+function printDecay(recs) {
+  if (recs.length === 0) {
+    console.log('No ACTIVE entries with enough application data to decay.\n');
+    return;
+  }
+  for (const rec of recs) {
+    const flag = rec.action === 'DECAY' ? ` ⚠️ DECAY ${rec.current_confidence} → ${rec.recommended_confidence}` : ' 🔴 RETIRE?';
+    console.log(`${rec.id} | applied ${rec.window.applied}/${rec.window.applicable} (lifetime ${rec.stats.applied}/${rec.stats.applicable})${flag}`);
+    console.log(`  ${rec.reason}`);
+    console.log('');
+  }
+}
+
+function cmdAuditReport(ctx) {
+  const report = buildAuditReport(ctx);
+  console.log('\n══════════════════════════════════════════════════');
+  console.log('  CORRECTIONS LEDGER — SUNDAY AUDIT');
+  console.log('══════════════════════════════════════════════════\n');
+
+  cmdStatus(ctx);
+
+  console.log('── ENRICHMENT BACKLOG ──\n');
+  console.log(report.enrichment_backlog.length > 0
+    ? `${report.enrichment_backlog.join(', ')}\nEnrich with: node corrections-enrichment.js show <id>\n`
+    : 'None — every live entry is enriched and approved.\n');
+
+  console.log('── DUPLICATE CANDIDATES ──\n');
+  for (const d of report.duplicates) console.log(`${d.ids.join(' ≈ ')} | similarity ${d.similarity}`);
+  console.log(report.duplicates.length > 0 ? '\nMerge with: node corrections-lifecycle.js merge <keep-id> <dup-id>\n' : 'None.\n');
+
+  console.log('── CONFIDENCE DECAY ──\n');
+  printDecay(report.decay);
+  if (report.never_applicable.length > 0) {
+    console.log(`No applications recorded yet: ${report.never_applicable.join(', ')}\n`);
+  }
+
+  console.log('── GRADUATION ──\n');
+  for (const g of report.graduation_candidates) {
+    console.log(`${g.id} | applied ${g.stats.applied}/${g.stats.applicable} — candidate for a standing prompt rule`);
+  }
+  for (const d of report.graduation_drift) console.log(`${d.id} | 🔴 ${d.issue}`);
+  if (report.graduation_candidates.length === 0 && report.graduation_drift.length === 0) console.log('No candidates, no drift.');
+
+  console.log('\n══════════════════════════════════════════════════\n');
+  return report;
+}
+
+function usage() {
+  console.log('Corrections Ledger Lifecycle Manager');
+  console.log('');
+  console.log('Commands:');
+  console.log('  status                        All entries by status, with application stats');
+  console.log('  merge <keep-id> <dup-id>...   Duplicates → SUPERSEDED by keep-id');
+  console.log('  retire <id> --reason "…"      Any → RETIRED');
+  console.log('  graduate <id> --layer <1-4>   ACTIVE → RETIRED as a standing prompt rule');
+  console.log('  decay [--dry-run]             Lower confidence from application statistics');
+  console.log('  audit-report                  Full Sunday audit corrections report');
+  console.log('');
+  console.log('Options: --operator <name>  --reason "<text>"  --domain <id>');
+  console.log('Lifecycle: NEEDS_ENRICHMENT → ACTIVE → SUPERSEDED (merged) or RETIRED (retired / graduated)');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  applicationStats,
+  decayRecommendations,
+  applyDecay,
+  mergeEntries,
+  retireEntry,
+  graduationRule,
+  graduateEntry,
+  duplicateCandidates,
+  graduationDrift,
+  buildAuditReport,
+};
+
+// ─── CLI Router ─────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const raw = stripDomainArgs(process.argv.slice(2));
+  const valueFlags = ['--operator', '--reason', '--layer'];
+  const option = name => {
+    const i = raw.indexOf(name);
+    return i !== -1 ? raw[i + 1] : undefined;
+  };
+  const [command, ...ids] = raw.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(raw[i - 1]));
+  const ctx = {
+    operator: option('--operator') || process.env.OVERWATCH_OPERATOR || os.userInfo().username,
+    reason:   option('--reason')?.trim() || null,
+  };
+
+  try {
+    switch (command || 'status') {
+      case 'status':
+        cmdStatus(ctx);
+        break;
+      case 'merge': {
+        if (ids.length < 2) { err('Usage: node corrections-lifecycle.js merge <keep-id> <dup-id>...'); process.exit(1); }
+        const keep = mergeEntries(ids[0], ids.slice(1), ctx);
+        log(`✓ ${ids.slice(1).join(', ')} superseded by ${ids[0]}`);
+        const stats = applicationStats(keep, loadTrends(ctx));
+        log(`  ${ids[0]} now carries applied ${stats.applied}, missed ${stats.missed}`);
+        break;
+      }
+      case 'retire': {
+        if (!ids[0]) { err('Usage: node corrections-lifecycle.js retire <id> --reason "…"'); process.exit(1); }
+        const previous = retireEntry(ids[0], ctx);
+        log(`✓ ${ids[0]} retired (was ${previous})`);
+        break;
+      }
+      case 'graduate': {
+        if (!ids[0]) { err('Usage: node corrections-lifecycle.js graduate <id> --layer <1-4>'); process.exit(1); }
+        const layer = option('--layer');
+        const result = graduateEntry(ids[0], { ...ctx, layer });
+        if (result.graduated) {
+          log(`✓ ${ids[0]} graduated — rule found at analyze-thesis.js:${result.line}; entry RETIRED`);
+        } else {
+          console.log(`\nAdd this rule to the Layer ${layer} prompt in analyze-thesis.js:\n\n  ${result.rule}\n`);
+          log(`Then re-run: node corrections-lifecycle.js graduate ${ids[0]} --layer ${layer}`);
+          log(`  ${ids[0]} stays ACTIVE until its "[Graduated from ${ids[0]}]" marker is in the prompt.`);
+        }
+        break;
+      }
+      case 'decay': {
+        const dryRun = raw.includes('--dry-run');
+        console.log(`\n=== DECAY ANALYSIS${dryRun ? ' (dry run)' : ''} ===\n`);
+        const recs = applyDecay({ ...ctx, dryRun });
+        printDecay(recs);
+        if (recs.some(r => r.applied)) log('Confidence decay applied.');
+        break;
+      }
+      case 'audit-report':
+        cmdAuditReport(ctx);
+        break;
+      default:
+        usage();
+        if (command) process.exit(1);
+    }
+  } catch (e) {
+    err(e.message);
+    process.exit(1);
+  }
+}
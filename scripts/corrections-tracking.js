@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Corrections Application Tracking — post-run pass over the cognitive trace
+ *
+ * Pure deterministic code. No AI judgment. Same trace + ledger = same counts.
+ *
+ * enforceCorrectionsReferenced() only makes Layers 2 and 3 say which
+ * corrections they consulted. This pass checks the other direction: for every
+ * entry that was in the prompts, did its trigger match a signal in the run,
+ * and did a layer reference it?
+ *
+ *   APPLIED — a layer referenced the entry for some signal in the run
+ *             (corrections_referenced, or its id cited in the Layer 2/3 reasoning)
+ *   MISSED  — the entry's trigger matched a signal, and no layer referenced it
+ *
+ * Each entry is counted at most once per run. The per-run record — result,
+ * signal IDs and matched trigger terms per entry — is appended to
+ * data/corrections-application-log.jsonl, and that log is the evidence: the
+ * ledger itself is not written, so tracking adds no amendments to sealed
+ * entries. applicationCounts() adds the log to the times_applied /
+ * times_applicable_but_missed stored on an entry (counts from before
+ * tracking, and counts moved over by a merge). A run already in the log is
+ * never counted twice, so re-running over old traces is safe.
+ *
+ * Trigger matching: the trigger is reduced to content terms (stopwords and
+ * the scaffolding every trigger shares — "any inference that…" — removed,
+ * crude suffix stemming). A signal matches when at least
+ * corrections_trigger_min_terms of those terms, and at least
+ * corrections_trigger_min_ratio of them, occur in the signal's Layer 1–3
+ * text. Terms found in more than corrections_trigger_common_share of the
+ * run's signals say nothing about any one signal and do not count. An entry
+ * may set trigger_keywords to replace the extracted terms.
+ *
+ * Only entries that reached the prompts are tracked, and only for runs on
+ * or after the date they did (date_identified, or enrichment approval).
+ *
+ * Usage:
+ *   node scripts/corrections-tracking.js                  # every trace not yet tracked
+ *   node scripts/corrections-tracking.js <trace.json>...  # specific traces
+ *   node scripts/corrections-tracking.js --dry-run        # report, write nothing
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+
+const { DATA_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
+const { isPromptEligible } = require('./corrections-enrichment');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const LEDGER_PATH = path.join(DATA_DIR, 'corrections-ledger.json');
+const APPLICATION_LOG_PATH = path.join(DATA_DIR, 'corrections-application-log.jsonl');
+const TRACE_PATTERN = /^cognitive-trace-.*\.json$/;
+
+const DEFAULTS = {
+  corrections_trigger_min_terms: 3,
+  corrections_trigger_min_ratio: 0.4,
+  corrections_trigger_common_share: 0.5,
+};
+
+// The share filter needs enough signals to say what is common
+const MIN_SIGNALS_FOR_SHARE = 4;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'against', 'also', 'among', 'been', 'before', 'being', 'between', 'both', 'could', 'does',
+  'each', 'from', 'have', 'into', 'just', 'more', 'most', 'must', 'only', 'onto', 'other', 'over', 'same',
+  'should', 'since', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'under', 'upon', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'whose', 'will',
+  'with', 'without', 'would',
+  // Scaffolding shared by most triggers
+  'any', 'apply', 'applied', 'assign', 'assigned', 'assigns', 'based', 'claim', 'claims', 'current', 'cycle',
+  'data', 'describes', 'entity', 'entities', 'especially', 'evidence', 'infer', 'inference', 'inferences',
+  'layer', 'layers', 'particularly', 'signal', 'signals', 'source', 'sources', 'specific', 'threat', 'threats',
+  'treat', 'treated', 'treats',
+]);
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'ies', 'ied', 'es', 'ed', 'ly', 's'];
+
+function log(msg)  { console.log(`[corrections:track] ${msg}`); }
+function warn(msg) { console.warn(`[corrections:track] WARN: ${msg}`); }
+
+// ─── Text ───────────────────────────────────────────────────────────────────
+
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+/** Content terms of a text, stemmed and de-duplicated. */
+function contentTerms(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9-]*[a-z0-9]/g) || [];
+  const terms = words.filter(w => w.length >= 4 && !STOPWORDS.has(w)).map(stem).filter(w => !STOPWORDS.has(w));
+  return [...new Set(terms)];
+}
+
+/** Terms an entry's trigger is matched on. */
+function triggerTerms(entry) {
+  if (Array.isArray(entry.trigger_keywords) && entry.trigger_keywords.length > 0) {
+    return [...new Set(entry.trigger_keywords.flatMap(contentTerms))];
+  }
+  return contentTerms(entry.trigger);
+}
+
+function collectStrings(value, out) {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(v => collectStrings(v, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => collectStrings(v, out));
+  return out;
+}
+
+/** What the layers said about a signal: perception, contextualization, inference. */
+function signalText(signal) {
+  return collectStrings([signal.perception, signal.contextualization, signal.inference], []).join(' ');
+}
+
+/** Correction IDs the layers referenced for a signal. */
+function referencedIds(signal) {
+  const ids = new Set((signal.corrections_applied || []).map(c => c.correction_id || c.id).filter(Boolean));
+  const cited = collectStrings([signal.contextualization, signal.inference], []).join(' ').match(/\bCL-\d+\b/g) || [];
+  for (const id of cited) ids.add(id);
+  return ids;
+}
+
+// ─── Evaluation ─────────────────────────────────────────────────────────────
+
+function thresholds(domainConfig) {
+  const cfg = domainConfig || {};
+  return Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, cfg[k] ?? DEFAULTS[k]]));
+}
+
+/** Date from which an entry was in the prompts. */
+function inPromptSince(entry) {
+  const dates = [entry.date_identified, entry.created_date, entry.enrichment?.approved_at].filter(Boolean).map(d => String(d).slice(0, 10));
+  return dates.sort().pop() || '';
+}
+
+/**
+ * Decide APPLIED / MISSED for every tracked entry in one run. Pure.
+ *
+ * @param {object} trace  — cognitive trace document
+ * @param {Array}  ledger — corrections ledger
+ * @param {object} [domainConfig]
+ * @returns {{ run_id, evaluated: string[], results: Object<string, { result, signal_ids, matched_terms?, layers? }> }}
+ */
+function evaluateRun(trace, ledger, domainConfig) {
+  const cfg = thresholds(domainConfig);
+  const runId = trace._run_timestamp || trace._assembled_at || null;
+  const runDate = String(runId || '').slice(0, 10);
+  const tracked = ledger.filter(e => isPromptEligible(e) && inPromptSince(e) <= runDate);
+
+  const signals = (trace.signals || []).map(s => ({
+    ids: s.signal_ids || [],
+    terms: new Set(contentTerms(signalText(s))),
+    referenced: referencedIds(s),
+    layers: s.corrections_applied || [],
+  }));
+  const share = {};
+  for (const s of signals) for (const t of s.terms) share[t] = (share[t] || 0) + 1;
+  const common = term => signals.length >= MIN_SIGNALS_FOR_SHARE && share[term] / signals.length > cfg.corrections_trigger_common_share;
+
+  const results = {};
+  for (const entry of tracked) {
+    const refs = signals.filter(s => s.referenced.has(entry.id));
+    if (refs.length > 0) {
+      const layers = refs.flatMap(s => s.layers.filter(c => (c.correction_id || c.id) === entry.id).map(c => c.layer));
+      results[entry.id] = { result: 'APPLIED', signal_ids: refs.flatMap(s => s.ids), layers: [...new Set(layers)].sort() };
+      continue;
+    }
+    const terms = triggerTerms(entry);
+    if (terms.length === 0) continue;
+    const matches = signals.map(s => ({ s, hit: terms.filter(t => s.terms.has(t) && !common(t)) }))
+      .filter(({ hit }) => hit.length >= cfg.corrections_trigger_min_terms && hit.length / terms.length >= cfg.corrections_trigger_min_ratio);
+    if (matches.length > 0) {
+      results[entry.id] = {
+        result: 'MISSED',
+        signal_ids: matches.flatMap(m => m.s.ids),
+        matched_terms: [...new Set(matches.flatMap(m => m.hit))].sort(),
+      };
+    }
+  }
+  return { run_id: runId, evaluated: tracked.map(e => e.id), results };
+}
+
+// ─── Application Log ────────────────────────────────────────────────────────
+
+/** Per-run records in append order. Malformed lines are skipped. */
+function loadApplicationLog(logPath) {
+  const file = logPath || APPLICATION_LOG_PATH;
+  if (!fs.existsSync(file)) return [];
+  const records = [];
+  for (const [i, raw] of fs.readFileSync(file, 'utf8').split('\n').entries()) {
+    if (!raw.trim()) continue;
+    try {
+      records.push(JSON.parse(raw));
+    } catch (e) {
+      warn(`${path.basename(file)}:${i + 1} is not valid JSON — skipped`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Applied-versus-missed per entry and ISO week, from the application log.
+ *
+ * @returns {Object<string, { applied, missed, weeks: Array<{ week, applied, missed }>, last_run }>}
+ */
+function applicationTrends(records) {
+  const trends = {};
+  for (const record of records) {
+    const week = isoWeek(record.run_id);
+    for (const [id, r] of Object.entries(record.results || {})) {
+      const t = trends[id] || (trends[id] = { applied: 0, missed: 0, weeks: [], last_run: null });
+      const key = r.result === 'APPLIED' ? 'applied' : 'missed';
+      t[key]++;
+      let bucket = t.weeks.find(w => w.week === week);
+      if (!bucket) t.weeks.push(bucket = { week, applied: 0, missed: 0 });
+      bucket[key]++;
+      if (!t.last_run || record.run_id > t.last_run) t.last_run = record.run_id;
+    }
+  }
+  for (const t of Object.values(trends)) t.weeks.sort((a, b) => a.week.localeCompare(b.week));
+  return trends;
+}
+
+/**
+ * Lifetime counts for one entry: the counters stored on it plus its runs in
+ * the application log (as applicationTrends()).
+ *
+ * @returns {{ times_applied: number, times_applicable_but_missed: number }}
+ */
+function applicationCounts(entry, trends) {
+  const trend = (trends || {})[entry.id];
+  return {
+    times_applied: (entry.times_applied || 0) + (trend?.applied || 0),
+    times_applicable_but_missed: (entry.times_applicable_but_missed || 0) + (trend?.missed || 0),
+  };
+}
+
+function isoWeek(timestamp) {
+  const d = new Date(String(timestamp || '').slice(0, 10) + 'T00:00:00Z');
+  if (isNaN(d)) return 'unknown';
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ─── Tracking ───────────────────────────────────────────────────────────────
+
+/**
+ * Count one run into the application log. A run already in the log is skipped.
+ *
+ * @param {object} trace
+ * @param {object} [options] — { ledgerPath, logPath, domainConfig, traceFile, dryRun }
+ * @returns {{ run_id, skipped, applied: string[], missed: string[], evaluated: number }}
+ */
+function trackRun(trace, options) {
+  const opts = options || {};
+  const logPath = opts.logPath || APPLICATION_LOG_PATH;
+  const ledgerPath = opts.ledgerPath || LEDGER_PATH;
+  const runId = trace._run_timestamp || trace._assembled_at || null;
+  if (!runId) throw new Error('Trace has no _run_timestamp');
+
+  const seen = new Set((opts.seenRuns || loadApplicationLog(logPath)).map(r => r.run_id));
+  if (seen.has(runId)) return { run_id: runId, skipped: true, applied: [], missed: [], evaluated: 0 };
+
+  const ledger = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+  const evaluation = evaluateRun(trace, ledger, opts.domainConfig);
+  const byResult = result => Object.keys(evaluation.results).filter(id => evaluation.results[id].result === result);
+  const summary = { run_id: runId, skipped: false, applied: byResult('APPLIED'), missed: byResult('MISSED'), evaluated: evaluation.evaluated.length };
+  if (opts.dryRun) return { ...summary, results: evaluation.results };
+
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify({
+    run_id: runId,
+    trace: opts.traceFile || null,
+    tracked_at: new Date().toISOString(),
+    evaluated: evaluation.evaluated,
+    results: evaluation.results,
+  }) + '\n');
+  seen.add(runId);
+  return summary;
+}
+
+/**
+ * Track every trace in a directory (or the given files) in run order.
+ */
+function trackTraces(options) {
+  const opts = options || {};
+  const traceDir = opts.traceDir || DATA_DIR;
+  const files = opts.files?.length ? opts.files : fs.readdirSync(traceDir).filter(f => TRACE_PATTERN.test(f)).sort().map(f => path.join(traceDir, f));
+  const seenRuns = loadApplicationLog(opts.logPath);
+  const summaries = [];
+  for (const file of files) {
+    let trace;
+    try {
+      trace = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      warn(`Cannot read ${path.basename(file)}: ${e.message}`);
+      continue;
+    }
+    const summary = trackRun(trace, { ...opts, seenRuns, traceFile: path.basename(file) });
+    // trackRun appends to the log; keep the in-memory view in step
+    if (!summary.skipped && !opts.dryRun) seenRuns.push({ run_id: summary.run_id });
+    summaries.push({ ...summary, trace: path.basename(file) });
+  }
+  return summaries;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  APPLICATION_LOG_PATH,
+  contentTerms,
+  triggerTerms,
+  referencedIds,
+  evaluateRun,
+  trackRun,
+  trackTraces,
+  loadApplicationLog,
+  applicationTrends,
+  applicationCounts,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const dryRun = args.includes('--dry-run');
+  const files = args.filter(a => !a.startsWith('--')).map(f => path.resolve(f));
+
+  let domainConfig = {};
+  try {
+    domainConfig = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'domain.json'), 'utf8'));
+  } catch (e) {
+    warn(`domain.json unreadable — default thresholds (${e.message})`);
+  }
+
+  const summaries = trackTraces({ files, dryRun, domainConfig });
+  const counted = summaries.filter(s => !s.skipped);
+  const totals = {};
+  for (const s of counted) {
+    for (const id of s.applied) (totals[id] = totals[id] || { applied: 0, missed: 0 }).applied++;
+    for (const id of s.missed) (totals[id] = totals[id] || { applied: 0, missed: 0 }).missed++;
+  }
+
+  log(`${counted.length} run(s) ${dryRun ? 'evaluated (dry run — nothing written)' : 'tracked'}, ${summaries.length - counted.length} already tracked`);
+  for (const [id, t] of Object.entries(totals).sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`  ${id} | applied ${t.applied} | missed ${t.missed}`);
+  }
+}
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Cost Ledger — token and spend accounting per pipeline run
+ *
+ * Every model call (layers, gates, enforcement retries, schema repairs,
+ * auditor, legacy analysis) and every x402 acquisition made during a run is
+ * written to data/cost-ledger.json:
+ *
+ *   runs[]   — one entry per run invocation: each model call with tokens,
+ *              model, latency and estimated USD, each acquisition with its
+ *              channel and settled vs paper-trade USD, and run totals
+ *   rollups  — daily (UTC date) and weekly (ISO week) totals, rebuilt from
+ *              runs[] on every write
+ *
+ * USD is estimated from model_pricing in config/domain.json (USD per million
+ * tokens). Models without a price are recorded with usd: null and counted as
+ * unpriced — never guessed.
+ *
+ * Budget ceiling (cost_budget in domain.json): once a run is begun, every
+ * model call and live acquisition is checked BEFORE it is made against the
+ * worst case (prompt tokens + max_tokens output). A call that would take the
+ * run or the UTC day over its ceiling throws BudgetExceededError and the
+ * pipeline halts at the end of the current stage. Evolution runs never begin
+ * a run here, so they are not budgeted.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const DEFAULT_LEDGER_PATH = path.join(DATA_DIR, 'cost-ledger.json');
+const RETAIN_DAYS = 90;
+const CHARS_PER_TOKEN = 4;
+const CHARGED_STATUSES = ['SUCCESS', 'VENDOR_FAILOVER'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(label, msg) { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] ⚠️ ${msg}`); }
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function dayKey(iso) {
+  return iso.slice(0, 10);
+}
+
+/** ISO-8601 week key, e.g. 2026-W14. */
+function weekKey(iso) {
+  const d = new Date(iso.slice(0, 10) + 'T00:00:00Z');
+  const weekday = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function loadLedger(ledgerPath) {
+  const p = ledgerPath || DEFAULT_LEDGER_PATH;
+  try {
+    if (fs.existsSync(p)) {
+      const ledger = JSON.parse(fs.readFileSync(p, 'utf8'));
+      if (Array.isArray(ledger.runs)) return ledger;
+    }
+  } catch (e) {
+    warn('cost', `cost-ledger.json unreadable — starting a new ledger: ${e.message}`);
+  }
+  return { runs: [], rollups: { daily: {}, weekly: {} } };
+}
+
+// ─── Estimation ─────────────────────────────────────────────────────────────
+
+/**
+ * Rough token count for budget projection only — recorded costs always use
+ * the provider's reported usage.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * @param {object|null} price — { input_per_mtok, output_per_mtok }
+ * @returns {number|null} USD, or null when the model has no price
+ */
+function estimateCallUsd(price, inputTokens, outputTokens) {
+  if (!price || typeof price.input_per_mtok !== 'number' || typeof price.output_per_mtok !== 'number') return null;
+  return round(((inputTokens || 0) * price.input_per_mtok + (outputTokens || 0) * price.output_per_mtok) / 1e6);
+}
+
+// ─── Budget ─────────────────────────────────────────────────────────────────
+
+// Thrown before a call that would exceed the budget. Not retried — callers
+// treat it like any failed call, and the run halts at the stage boundary.
+class BudgetExceededError extends Error {
+  constructor(msg, details) {
+    super(msg);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.details = details;
+  }
+}
+
+let session = null;
+
+/**
+ * Start cost tracking for a pipeline run. Activates budget enforcement.
+ *
+ * @param {string} runId
+ * @param {object} [options]
+ * @param {object} [options.budget]     — cost_budget from domain.json
+ * @param {string} [options.ledgerPath] — ledger override
+ */
+function beginRun(runId, options) {
+  const opts = options || {};
+  const ledgerPath = opts.ledgerPath || DEFAULT_LEDGER_PATH;
+  const startedAt = new Date().toISOString();
+  const today = dayKey(startedAt);
+  const ledger = loadLedger(ledgerPath);
+  const priorDayUsd = ledger.runs
+    .filter(r => dayKey(r.started_at) === today)
+    .reduce((sum, r) => sum + (r.totals?.total_usd || 0), 0);
+
+  session = {
+    run_id: runId,
+    started_at: startedAt,
+    ledgerPath,
+    budget: opts.budget || {},
+    prior_day_usd: round(priorDayUsd),
+    model_usd: 0,
+    acquisition_usd: 0,
+    acquisitions: [],
+    halted: null,
+  };
+  const b = session.budget;
+  if (b.enforce !== false && (b.max_usd_per_run != null || b.max_usd_per_day != null)) {
+    log('cost', `Budget: $${b.max_usd_per_run ?? '∞'}/run, $${b.max_usd_per_day ?? '∞'}/day ($${session.prior_day_usd} already spent today)`);
+  }
+}
+
+/** Spend recorded so far in the current run. */
+function getRunSpend() {
+  if (!session) return { model_usd: 0, acquisition_usd: 0, total_usd: 0 };
+  return {
+    model_usd: round(session.model_usd),
+    acquisition_usd: round(session.acquisition_usd),
+    total_usd: round(session.model_usd + session.acquisition_usd),
+  };
+}
+
+/**
+ * Throw BudgetExceededError when spending `projectedUsd` more would take the
+ * run or the day over its ceiling. No-op outside a run or when the budget is
+ * not enforced.
+ *
+ * @param {number} projectedUsd — worst-case cost of the next call
+ * @param {string} what         — description for the log and error
+ */
+function checkBudget(projectedUsd, what) {
+  if (!session) return;
+  const b = session.budget;
+  if (b.enforce === false) return;
+
+  const runUsd = session.model_usd + session.acquisition_usd;
+  const projected = projectedUsd || 0;
+  const limits = [
+    ['run', b.max_usd_per_run, runUsd],
+    ['day', b.max_usd_per_day, session.prior_day_usd + runUsd],
+  ];
+  for (const [scope, ceiling, spent] of limits) {
+    if (typeof ceiling !== 'number') continue;
+    if (spent + projected > ceiling) {
+      const details = { scope, ceiling_usd: ceiling, spent_usd: round(spent), projected_usd: round(projected), blocked: what };
+      session.halted = session.halted || { ...details, at: new Date().toISOString() };
+      throw new BudgetExceededError(
+        `Budget ceiling reached: ${what} would take the ${scope} to $${round(spent + projected)} (ceiling $${ceiling}, spent $${round(spent)})`,
+        details
+      );
+    }
+  }
+}
+
+/** Set once a call has been refused — the run should stop at the next stage boundary. */
+function getBudgetHalt() {
+  return session ? session.halted : null;
+}
+
+function noteModelSpend(usd) {
+  if (session && usd) session.model_usd += usd;
+}
+
+/**
+ * Record an x402 acquisition for the current run. Paper trades and failed
+ * executions cost nothing; a paper trade's channel price is kept as
+ * simulated_usd.
+ *
+ * @param {object} entry — { request_id, channel_id, network, status, paper_trade, cost_usd }
+ */
+function recordAcquisition(entry) {
+  if (!session) return;
+  const charged = !entry.paper_trade && CHARGED_STATUSES.includes(entry.status);
+  const usd = charged ? round(entry.cost_usd || 0) : 0;
+  session.acquisition_usd += usd;
+  session.acquisitions.push({
+    request_id: entry.request_id || null,
+    channel_id: entry.channel_id || 'unknown',
+    network: entry.network || null,
+    status: entry.status || null,
+    paper_trade: Boolean(entry.paper_trade),
+    usd,
+    simulated_usd: entry.paper_trade ? round(entry.cost_usd || 0) : 0,
+    recorded_at: new Date().toISOString(),
+  });
+}
+
+// ─── Ledger ─────────────────────────────────────────────────────────────────
+
+function buildRunTotals(calls, acquisitions) {
+  const totals = { calls: 0, failed_calls: 0, unpriced_calls: 0, input_tokens: 0, output_tokens: 0, model_usd: 0, acquisition_usd: 0, simulated_acquisition_usd: 0, total_usd: 0 };
+  const byRole = {};
+  const byChannel = {};
+  for (const c of calls) {
+    const r = byRole[c.role] = byRole[c.role] || { model: c.model, calls: 0, input_tokens: 0, output_tokens: 0, latency_ms: 0, usd: 0 };
+    totals.calls++;
+    r.calls++;
+    if (!c.ok) totals.failed_calls++;
+    if (c.ok && c.usd === null) totals.unpriced_calls++;
+    totals.input_tokens += c.input_tokens || 0;
+    totals.output_tokens += c.output_tokens || 0;
+    totals.model_usd += c.usd || 0;
+    r.input_tokens += c.input_tokens || 0;
+    r.output_tokens += c.output_tokens || 0;
+    r.latency_ms += c.latency_ms || 0;
+    r.usd = round(r.usd + (c.usd || 0));
+  }
+  for (const a of acquisitions) {
+    const ch = byChannel[a.channel_id] = byChannel[a.channel_id] || { network: a.network, requests: 0, charged: 0, usd: 0, simulated_usd: 0 };
+    ch.requests++;
+    if (a.usd > 0) ch.charged++;
+    ch.usd = round(ch.usd + a.usd);
+    ch.simulated_usd = round(ch.simulated_usd + a.simulated_usd);
+    totals.acquisition_usd += a.usd;
+    totals.simulated_acquisition_usd += a.simulated_usd;
+  }
+  totals.model_usd = round(totals.model_usd);
+  totals.acquisition_usd = round(totals.acquisition_usd);
+  totals.simulated_acquisition_usd = round(totals.simulated_acquisition_usd);
+  totals.total_usd = round(totals.model_usd + totals.acquisition_usd);
+  return { totals, by_role: byRole, by_channel: byChannel };
+}
+
+/**
+ * Daily (UTC) and weekly (ISO week) totals across the ledger's runs. A run
+ * resumed in several invocations counts once.
+ */
+function buildRollups(runs) {
+  const rollups = { daily: {}, weekly: {} };
+  const seen = new Set();
+  for (const run of runs) {
+    for (const [bucket, key] of [[rollups.daily, dayKey(run.started_at)], [rollups.weekly, weekKey(run.started_at)]]) {
+      const r = bucket[key] = bucket[key] || { runs: 0, calls: 0, input_tokens: 0, output_tokens: 0, model_usd: 0, acquisition_usd: 0, total_usd: 0, by_channel: {} };
+      const t = run.totals || {};
+      const runKey = `${bucket === rollups.daily ? 'd' : 'w'}:${key}:${run.run_id}`;
+      if (!seen.has(runKey)) {
+        seen.add(runKey);
+        r.runs++;
+      }
+      r.calls += t.calls || 0;
+      r.input_tokens += t.input_tokens || 0;
+      r.output_tokens += t.output_tokens || 0;
+      r.model_usd = round(r.model_usd + (t.model_usd || 0));
+      r.acquisition_usd = round(r.acquisition_usd + (t.acquisition_usd || 0));
+      r.total_usd = round(r.total_usd + (t.total_usd || 0));
+      for (const [ch, stats] of Object.entries(run.by_channel || {})) {
+        r.by_channel[ch] = round((r.by_channel[ch] || 0) + (stats.usd || 0));
+      }
+    }
+  }
+  return rollups;
+}
+
+/**
+ * Write the current run's costs to the ledger. Safe to call repeatedly —
+ * the entry for this run invocation is replaced, not duplicated.
+ *
+ * @param {Array} usageLog — getUsageLog() from model-providers.js
+ * @param {object} [extra] — additional fields for the run entry (e.g. run_type)
+ * @returns {object|null} the run entry
+ */
+function writeRunCosts(usageLog, extra) {
+  if (!session) return null;
+  const calls = (usageLog || []).map(u => ({
+    role: u.role,
+    provider: u.provider,
+    model: u.model,
+    attempt: u.attempt,
+    ok: u.ok,
+    input_tokens: u.input_tokens,
+    output_tokens: u.output_tokens,
+    latency_ms: u.latency_ms,
+    usd: u.usd ?? null,
+  }));
+  const entry = {
+    run_id: session.run_id,
+    started_at: session.started_at,
+    recorded_at: new Date().toISOString(),
+    ...(extra || {}),
+    ...buildRunTotals(calls, session.acquisitions),
+    budget: {
+      max_usd_per_run: session.budget.max_usd_per_run ?? null,
+      max_usd_per_day: session.budget.max_usd_per_day ?? null,
+      enforced: session.budget.enforce !== false,
+      halted: session.halted,
+    },
+    calls,
+    acquisitions: session.acquisitions,
+  };
+
+  try {
+    const ledger = loadLedger(session.ledgerPath);
+    const cutoff = new Date(Date.now() - RETAIN_DAYS * 86400000).toISOString();
+    ledger.runs = ledger.runs
+      .filter(r => !(r.run_id === entry.run_id && r.started_at === entry.started_at))
+      .filter(r => r.started_at >= cutoff);
+    ledger.runs.push(entry);
+    ledger.rollups = buildRollups(ledger.runs);
+    ledger.updated_at = entry.recorded_at;
+    fs.writeFileSync(session.ledgerPath, JSON.stringify(ledger, null, 2));
+  } catch (e) {
+    warn('cost', `Failed to write cost-ledger.json (non-fatal): ${e.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Compact view of the ledger for dashboards: latest run, today, this week,
+ * the last `days` daily rollups and the budget in force.
+ *
+ * @param {object} ledger
+ * @param {object} [options]
+ * @param {number} [options.days]   — daily rollups to include (default 14)
+ * @param {object} [options.budget] — cost_budget from domain.json (default: the latest run's)
+ */
+function summarizeLedger(ledger, options) {
+  const opts = options || {};
+  const days = opts.days || 14;
+  const runs = (ledger && ledger.runs) || [];
+  const rollups = (ledger && ledger.rollups) || buildRollups(runs);
+  const now = new Date().toISOString();
+  const last = runs[runs.length - 1] || null;
+  return {
+    last_run: last ? {
+      run_id: last.run_id,
+      started_at: last.started_at,
+      totals: last.totals,
+      by_role: last.by_role,
+      by_channel: last.by_channel,
+      budget: last.budget,
+    } : null,
+    today: rollups.daily[dayKey(now)] || null,
+    this_week: rollups.weekly[weekKey(now)] || null,
+    daily: Object.keys(rollups.daily).sort().slice(-days).map(d => ({ date: d, ...rollups.daily[d] })),
+    weekly: Object.keys(rollups.weekly).sort().slice(-8).map(w => ({ week: w, ...rollups.weekly[w] })),
+    budget: opts.budget
+      ? { max_usd_per_run: opts.budget.max_usd_per_run ?? null, max_usd_per_day: opts.budget.max_usd_per_day ?? null, enforced: opts.budget.enforce !== false }
+      : (last ? last.budget : null),
+  };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEFAULT_LEDGER_PATH,
+  BudgetExceededError,
+  estimateTokens,
+  estimateCallUsd,
+  beginRun,
+  getRunSpend,
+  checkBudget,
+  getBudgetHalt,
+  noteModelSpend,
+  recordAcquisition,
+  writeRunCosts,
+  loadLedger,
+  buildRollups,
+  summarizeLedger,
+  weekKey,
+};
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Data Source Parsers
+ *
+ * One function per response shape, referenced by name from
+ * config/data-sources.json. A parser receives the provider response (parsed
+ * JSON, or text for CSV providers) and returns:
+ *
+ *   { data, as_of }
+ *
+ *   data  — the object written to dashboard-data.json (source is added by
+ *           the engine when the parser leaves it out)
+ *   as_of — YYYY-MM-DD the observation refers to, used for staleness
+ *
+ * Throw on any unexpected shape — the engine records the failure and moves
+ * on to the next provider. Parsers that need a follow-up request (CoinGecko
+ * search) get ctx.fetchJSON, which goes through the same provider transport.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function datePart(stamp) {
+  return stamp ? String(stamp).split(' ')[0] : null;
+}
+
+function number(raw, what) {
+  const value = parseFloat(raw);
+  if (isNaN(value)) throw new Error(`Could not parse ${what}`);
+  return value;
+}
+
+function value(v, asOf) {
+  return { data: { value: v, data_date: asOf }, as_of: asOf };
+}
+
+// ─── CoinGecko ──────────────────────────────────────────────────────────────
+
+function coingecko_price(body, { args }) {
+  const r = body?.[args.id];
+  if (!r) throw new Error('Unexpected response shape');
+  const asOf = today();
+  return {
+    data: {
+      price:      r.usd              ?? null,
+      change_24h: r.usd_24h_change   ?? null,
+      volume_24h: r.usd_24h_vol      ?? null,
+      market_cap: r.usd_market_cap   ?? null,
+      data_date:  asOf,
+    },
+    as_of: asOf,
+  };
+}
+
+function coingecko_market_cap(body, { args }) {
+  const r = body?.[args.id];
+  if (!r) throw new Error('Unexpected response shape');
+  return { data: { market_cap: r.usd_market_cap ?? null, data_date: today() }, as_of: today() };
+}
+
+/** Resolve a coin ID by symbol, then read its market cap from args.price_url. */
+async function coingecko_search_market_cap(body, { args, fetchJSON }) {
+  const coin = body?.coins?.find(c => c.symbol?.toUpperCase() === args.symbol);
+  if (!coin) throw new Error(`${args.symbol} not found in search results`);
+  const price = await fetchJSON(args.price_url.replace('{id}', encodeURIComponent(coin.id)));
+  return coingecko_market_cap(price, { args: { id: coin.id } });
+}
+
+// ─── Macro ──────────────────────────────────────────────────────────────────
+
+function alternative_fear_greed(body) {
+  const entry = body?.data?.[0];
+  if (!entry) throw new Error('Unexpected response shape');
+  const asOf = entry.timestamp
+    ? new Date(Number(entry.timestamp) * 1000).toISOString().slice(0, 10)
+    : today();
+  return {
+    data: { value: Number(entry.value), label: entry.value_classification, data_date: asOf },
+    as_of: asOf,
+  };
+}
+
+function frankfurter_rate(body, { args }) {
+  const rate = body?.rates?.[args.currency];
+  if (!rate) throw new Error('Unexpected response shape');
+  return value(rate, body?.date || today());
+}
+
+function fred_observation(body) {
+  const obs = body?.observations?.find(o => o.value !== '.' && o.value !== '');
+  if (!obs) throw new Error('No valid observation in response');
+  return value(parseFloat(obs.value), obs.date || null);
+}
+
+/** Stooq quote CSV: Symbol,Date,Time,Open,High,Low,Close,Volume */
+function stooq_close(text) {
+  const lines = String(text).trim().split('\n');
+  if (lines.length < 2) throw new Error('No data rows in CSV');
+  const values = lines[1].split(',');
+  return value(number(values[6], 'close price'), values[1] || null);
+}
+
+function twelve_data_close(body) {
+  if (body.status === 'error') throw new Error(body.message || 'API error');
+  return value(number(body?.values?.[0]?.close, 'close value'), body?.values?.[0]?.datetime ?? null);
+}
+
+function financeflowEntry(body) {
+  if (!body?.success || body?.code !== 200) throw new Error(body?.message || 'API error');
+  return body.data;
+}
+
+function financeflow_bond(body) {
+  const entry = financeflowEntry(body)?.[0];
+  if (!entry) throw new Error('No bond data in response');
+  return value(number(entry.bond_yield, 'bond_yield'), datePart(entry.last_updated));
+}
+
+function financeflow_commodity(body) {
+  const entry = financeflowEntry(body);
+  if (!entry) throw new Error('No commodity data in response');
+  return value(number(entry.current_price, 'current_price'), datePart(entry.last_updated));
+}
+
+function financeflow_currency(body) {
+  const entry = financeflowEntry(body)?.[0];
+  if (!entry) throw new Error('No currency data in response');
+  return value(number(entry.price, 'price'), datePart(entry.last_update));
+}
+
+// ─── On-chain / Flows ───────────────────────────────────────────────────────
+
+function defillama_dex_summary(body) {
+  return {
+    data: {
+      total24h:  body.total24h ?? null,
+      total7d:   body.total7d ?? null,
+      change_1d: body.change_1d ?? null,
+    },
+    as_of: today(),
+  };
+}
+
+// Known XRP ETF fund issuers — maps ticker to issuer name for dashboard display
+const XRP_ETF_ISSUERS = {
+  'XXRP':  'ProShares',
+  'XRPT':  'Teucrium',
+  'GXRP':  'Grayscale',
+  'CRXP':  '21Shares',
+  'XRPF':  'Franklin Templeton',
+  'XRPI':  'Bitwise',
+  'RXRP':  'Volatility Shares',
+};
+
+function sumFlows(days, keep) {
+  return days.reduce((sum, d) => sum + (d.etf_flows ?? [])
+    .filter(f => keep(f.flow_usd ?? 0))
+    .reduce((s, f) => s + Math.abs(f.flow_usd), 0), 0);
+}
+
+/**
+ * CoinGlass v4 ETF flow history. Returns an array of daily entries (oldest
+ * first): { timestamp, flow_usd, price_usd, etf_flows: [{ etf_ticker, flow_usd }] }.
+ *
+ * AUM is NOT provided by the flow-history endpoint. total_aum is the sum of all
+ * historical daily flows — an approximation that ignores NAV changes from
+ * price movement. fetch-data.js overrides it with manual.xrp_etf_aum when set.
+ */
+function coinglass_etf_flows(body, { args }) {
+  const asset = args.asset;
+  if (body.code !== '0' || !Array.isArray(body.data)) {
+    throw new Error(`API error: code=${body.code}, msg=${body.msg || 'unknown'}`);
+  }
+  const days = body.data;
+  if (days.length === 0) throw new Error('No data returned');
+
+  // Filter out days with zero flow and no per-fund data (weekends/holidays)
+  const tradingDays = days.filter(d =>
+    d.flow_usd !== 0 || (d.etf_flows && d.etf_flows.some(f => f.flow_usd != null))
+  );
+
+  const latest = tradingDays.length > 0 ? tradingDays[tradingDays.length - 1] : days[days.length - 1];
+  const latestDate = new Date(latest.timestamp).toISOString().slice(0, 10);
+
+  const last5 = tradingDays.slice(-5);
+  const last14 = tradingDays.slice(-14);
+  const cumulativeFlows = days.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0);
+
+  const isFund = f => f.etf_ticker && f.etf_ticker !== asset.toUpperCase();
+  const funds = (latest.etf_flows ?? []).filter(isFund).map(f => ({
+    ticker:     f.etf_ticker,
+    issuer:     XRP_ETF_ISSUERS[f.etf_ticker] ?? f.etf_ticker,
+    aum:        null,  // Not available from flow-history endpoint
+    xrp_locked: null,  // Not available from flow-history endpoint
+    daily_flow: f.flow_usd ?? null,
+  }));
+
+  return {
+    data: {
+      total_aum:        cumulativeFlows > 0 ? cumulativeFlows : null,
+      daily_net_flow:   latest.flow_usd ?? 0,
+      daily_inflow:     sumFlows([latest], v => v > 0),
+      daily_outflow:    sumFlows([latest], v => v < 0),
+      weekly_net_flow:  last5.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0),
+      weekly_inflow:    sumFlows(last5, v => v > 0),
+      weekly_outflow:   sumFlows(last5, v => v < 0),
+      cum_net_flow:     last14.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0),
+      cum_inflow:       sumFlows(last14, v => v > 0),
+      flow_date:        latestDate,
+      as_of_date:       latestDate,
+      num_funds:        (latest.etf_flows ?? []).filter(f => isFund(f) && f.flow_usd != null).length,
+      total_xrp_locked: null,  // Not available from CoinGlass flow-history
+      pct_supply:       null,  // Calculated downstream if xrp_locked is available
+      funds,
+      source:           'coinglass',
+      _cumulative_aum_note: 'Approximation from sum of historical flows — does not reflect NAV changes',
+    },
+    as_of: latestDate,
+  };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  coingecko_price,
+  coingecko_market_cap,
+  coingecko_search_market_cap,
+  alternative_fear_greed,
+  frankfurter_rate,
+  fred_observation,
+  stooq_close,
+  twelve_data_close,
+  financeflow_bond,
+  financeflow_commodity,
+  financeflow_currency,
+  defillama_dex_summary,
+  coinglass_etf_flows,
+};
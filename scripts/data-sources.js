@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Data Source Registry Engine
+ *
+ * Executes the declarative registry in config/data-sources.json. Each metric
+ * lists providers in priority order; for every metric the engine:
+ *
+ *   1. skips providers whose circuit breaker is open (or whose API key is unset)
+ *   2. requests the provider URL and runs the named parser
+ *      (data-source-parsers.js)
+ *   3. accepts the first answer within the metric's max_age_days; a stale
+ *      answer is kept as a candidate and the next provider is tried
+ *   4. applies the fallback policy when nothing usable came back
+ *
+ * Circuit breakers are per provider and persist across runs in
+ * data/source-health.json, so a provider that failed the last three runs is
+ * not hammered on the fourth. Breaker state also updates within a run — the
+ * FRED outage that failed us_10y_yield skips FRED for brent_crude.
+ *
+ * Every metric also gets a provenance block (source, fetched_at, as_of,
+ * fallback_depth, stale — see buildProvenance) that is written beside its
+ * value, so downstream layers can tell a live value from a carryover.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR, sharedPath } = require('./utils/paths');
+const PARSERS = require('./data-source-parsers');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const DEFAULT_REGISTRY_PATH = sharedPath(path.join('config', 'data-sources.json'));
+const DEFAULT_HEALTH_PATH   = path.join(DATA_DIR, 'source-health.json');
+const DEFAULT_TIMEOUT_MS    = 10_000;
+const DEFAULT_BREAKER       = { failure_threshold: 3, cooldown_minutes: 360 };
+const DAY_MS                = 24 * 60 * 60 * 1000;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(label, msg)  { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
+function err(label, msg)  { console.error(`[${label}] ERROR: ${msg}`); }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readPath(obj, dotPath) {
+  if (!dotPath) return undefined;
+  return dotPath.split('.').reduce((o, key) => o?.[key], obj);
+}
+
+function setPath(obj, dotPath, value) {
+  const keys = dotPath.split('.');
+  let node = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/** Whole days between an as-of date and now; null when the date is unknown. */
+function ageDays(asOf, now) {
+  const t = asOf ? Date.parse(asOf) : NaN;
+  if (isNaN(t)) return null;
+  return Math.max(0, Math.floor((now - t) / DAY_MS));
+}
+
+function describe(data, units) {
+  if (data == null || typeof data !== 'object') return String(data);
+  const v = data.value ?? data.price ?? data.market_cap ?? data.daily_net_flow ?? data.total24h;
+  return v == null ? 'ok' : `${typeof v === 'number' ? v.toLocaleString() : v}${units ? ` ${units}` : ''}`;
+}
+
+/**
+ * Provenance block written beside every fetched metric in dashboard-data.json.
+ *
+ *   source         — provider label the value came from (null: no value)
+ *   fetched_at     — ISO time the value was retrieved. A carried-over value
+ *                    keeps the fetched_at of the run that actually fetched it.
+ *   as_of          — YYYY-MM-DD the observation refers to
+ *   fallback_depth — 0 = primary provider, n = nth fallback provider,
+ *                    providers.length = carried over or empty
+ *   stale          — older than max_age_days, or a carryover/empty value
+ *                    whose age cannot be established
+ *   carried_over   — reused from the previous dashboard-data.json
+ */
+function buildProvenance(p, now) {
+  const age = ageDays(p.as_of, now ?? Date.now());
+  const carriedOver = Boolean(p.carried_over);
+  const stale = age == null
+    ? carriedOver || p.source == null
+    : p.max_age_days != null && age > p.max_age_days;
+  return {
+    source:         p.source ?? null,
+    fetched_at:     p.fetched_at ?? null,
+    as_of:          p.as_of ?? null,
+    fallback_depth: p.fallback_depth ?? 0,
+    stale,
+    carried_over:   carriedOver,
+    max_age_days:   p.max_age_days ?? null,
+  };
+}
+
+// ─── Registry / Health ──────────────────────────────────────────────────────
+
+function loadRegistry(registryPath) {
+  const file = registryPath || DEFAULT_REGISTRY_PATH;
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const [id, metric] of Object.entries(registry.metrics || {})) {
+    for (const p of metric.providers || []) {
+      if (!registry.providers?.[p.provider]) throw new Error(`Metric ${id}: unknown provider "${p.provider}"`);
+      if (typeof PARSERS[p.parser] !== 'function') throw new Error(`Metric ${id}: unknown parser "${p.parser}"`);
+    }
+  }
+  return registry;
+}
+
+function loadHealth(healthPath) {
+  try {
+    return JSON.parse(fs.readFileSync(healthPath, 'utf8'));
+  } catch (e) {
+    return { providers: {} };
+  }
+}
+
+function saveHealth(healthPath, health) {
+  health.updated_at = new Date().toISOString();
+  fs.mkdirSync(path.dirname(healthPath), { recursive: true });
+  fs.writeFileSync(healthPath, JSON.stringify(health, null, 2));
+}
+
+// ─── Circuit Breaker ────────────────────────────────────────────────────────
+
+/**
+ * closed — call normally. open — skip until the cooldown passes.
+ * half_open — cooldown passed; one trial call decides.
+ */
+function breakerState(entry, policy, now) {
+  if (!entry || entry.state !== 'open') return 'closed';
+  const openedAt = Date.parse(entry.opened_at);
+  return now - openedAt >= policy.cooldown_minutes * 60_000 ? 'half_open' : 'open';
+}
+
+function recordSuccess(health, providerId, now) {
+  const entry = health.providers[providerId] || (health.providers[providerId] = {});
+  if (entry.state === 'open') log('breaker', `${providerId}: trial call succeeded — circuit closed`);
+  entry.state = 'closed';
+  entry.consecutive_failures = 0;
+  entry.last_success_at = new Date(now).toISOString();
+}
+
+function recordFailure(health, providerId, message, policy, now) {
+  const entry = health.providers[providerId] || (health.providers[providerId] = {});
+  const wasTrial = entry.state === 'open';
+  entry.consecutive_failures = (entry.consecutive_failures || 0) + 1;
+  entry.last_failure_at = new Date(now).toISOString();
+  entry.last_error = message;
+  if (wasTrial || entry.consecutive_failures >= policy.failure_threshold) {
+    entry.state = 'open';
+    entry.opened_at = new Date(now).toISOString();
+    warn('breaker', `${providerId}: circuit open for ${policy.cooldown_minutes} min after ${entry.consecutive_failures} consecutive failure(s)`);
+  }
+}
+
+// ─── Transport ──────────────────────────────────────────────────────────────
+
+/**
+ * Request a provider URL with its auth, timeout and rate spacing.
+ * Returns parsed JSON, or text when the provider's format is "text".
+ */
+async function request(providerId, provider, url, session) {
+  const spacing = provider.min_interval_ms || 0;
+  const last = session.lastCallAt[providerId];
+  if (spacing && last) {
+    const wait = last + spacing - Date.now();
+    if (wait > 0) await sleep(wait);
+  }
+  session.lastCallAt[providerId] = Date.now();
+
+  let fullUrl = url;
+  const headers = {};
+  if (provider.api_key_env) {
+    const key = process.env[provider.api_key_env];
+    if (provider.api_key_param) {
+      fullUrl += `${url.includes('?') ? '&' : '?'}${provider.api_key_param}=${encodeURIComponent(key)}`;
+    }
+    if (provider.api_key_header) headers[provider.api_key_header] = key;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), provider.timeout_ms || DEFAULT_TIMEOUT_MS);
+  try {
+    const res = await fetch(fullUrl, { headers, signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    return provider.format === 'text' ? await res.text() : await res.json();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`timed out after ${provider.timeout_ms || DEFAULT_TIMEOUT_MS}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ─── Metric Execution ───────────────────────────────────────────────────────
+
+function emptyValue(metric, registry) {
+  if (metric.empty === null) return null;
+  const empty = metric.empty ? { ...metric.empty } : { value: null, data_date: null };
+  const first = metric.providers?.[0];
+  if (!('source' in empty) && first) empty.source = registry.providers[first.provider].source || first.provider;
+  return empty;
+}
+
+/**
+ * Resolve one metric. Returns { data, report }.
+ */
+async function fetchMetric(metricId, metric, registry, session) {
+  const policy = { ...DEFAULT_BREAKER, ...(registry.circuit_breaker || {}) };
+  const now = Date.now();
+  const attempts = [];
+  let candidate = null;
+
+  for (const [depth, entry] of (metric.providers || []).entries()) {
+    const provider = registry.providers[entry.provider];
+
+    if (provider.api_key_env && !process.env[provider.api_key_env]) {
+      warn(metricId, `${provider.api_key_env} not set — skipping ${entry.provider}`);
+      attempts.push({ provider: entry.provider, outcome: 'no_key' });
+      continue;
+    }
+    const state = breakerState(session.health.providers[entry.provider], policy, now);
+    if (state === 'open') {
+      warn(metricId, `${entry.provider} circuit open — skipping`);
+      attempts.push({ provider: entry.provider, outcome: 'circuit_open' });
+      continue;
+    }
+
+    try {
+      const body = await request(entry.provider, provider, entry.url, session);
+      const parsed = await PARSERS[entry.parser](body, {
+        args: entry.args || {},
+        fetchJSON: (url) => request(entry.provider, provider, url, session),
+      });
+      recordSuccess(session.health, entry.provider, Date.now());
+
+      const data = parsed.data;
+      if (data && typeof data === 'object' && !('source' in data)) data.source = provider.source || entry.provider;
+      const age = ageDays(parsed.as_of, now);
+      const stale = metric.max_age_days != null && age != null && age > metric.max_age_days;
+      const answer = {
+        data, provider: entry.provider, source: provider.source || entry.provider,
+        fetched_at: new Date().toISOString(), depth, as_of: parsed.as_of ?? null, stale,
+      };
+      attempts.push({ provider: entry.provider, outcome: stale ? 'stale' : 'ok', as_of: answer.as_of });
+
+      if (!stale) {
+        candidate = answer;
+        break;
+      }
+      warn(metricId, `${entry.provider} data is ${age} day(s) old (tolerance ${metric.max_age_days}) — trying next provider`);
+      if (!candidate || (answer.as_of || '') > (candidate.as_of || '')) candidate = answer;
+    } catch (e) {
+      err(metricId, `${entry.provider}: ${e.message}`);
+      recordFailure(session.health, entry.provider, e.message, policy, Date.now());
+      attempts.push({ provider: entry.provider, outcome: 'error', error: e.message });
+    }
+  }
+
+  const previous = readPath(session.existing, metric.path);
+  const fallback = metric.fallback || 'previous';
+  const report = { attempts, fallback_policy: fallback };
+  const depth = metric.providers.length;
+
+  if (candidate) {
+    const previousDate = previous?.data_date ?? previous?.as_of_date ?? null;
+    if (fallback === 'previous_if_newer' && candidate.depth > 0 && previousDate && candidate.as_of && candidate.as_of < previousDate) {
+      warn(metricId, `${candidate.provider} data (${candidate.as_of}) older than cache (${previousDate}), keeping cache`);
+      return carry(previous, metric, report, now);
+    }
+    log(metricId, `${describe(candidate.data, metric.units)} via ${candidate.provider} (as of ${candidate.as_of ?? 'unknown'})${candidate.stale ? ' — STALE' : ''}`);
+    return {
+      data: candidate.data,
+      report: {
+        ...report,
+        provider: candidate.provider,
+        provenance: buildProvenance({
+          source: candidate.source, fetched_at: candidate.fetched_at, as_of: candidate.as_of,
+          fallback_depth: candidate.depth, max_age_days: metric.max_age_days,
+        }, now),
+      },
+    };
+  }
+
+  if (fallback !== 'empty' && previous !== undefined && previous !== null) {
+    warn(metricId, 'All providers failed — carrying previous value');
+    return carry(previous, metric, report, now);
+  }
+
+  warn(metricId, 'All providers failed — no value');
+  return {
+    data: emptyValue(metric, registry),
+    report: {
+      ...report,
+      provider: null,
+      provenance: buildProvenance({ source: null, fetched_at: null, as_of: null, fallback_depth: depth, max_age_days: metric.max_age_days }, now),
+    },
+  };
+}
+
+/** Reuse the previous run's value, keeping the fetched_at of the run that fetched it. */
+function carry(previous, metric, report, now) {
+  const prior = previous?.provenance || {};
+  return {
+    data: previous,
+    report: {
+      ...report,
+      provider: 'previous',
+      provenance: buildProvenance({
+        source:         prior.source ?? previous?.source ?? null,
+        fetched_at:     prior.fetched_at ?? null,
+        as_of:          previous?.data_date ?? previous?.as_of_date ?? prior.as_of ?? null,
+        fallback_depth: metric.providers.length,
+        max_age_days:   metric.max_age_days,
+        carried_over:   true,
+      }, now),
+    },
+  };
+}
+
+/**
+ * Run every metric in the registry.
+ *
+ * @param {object} existing — previous dashboard-data.json (fallback source)
+ * @param {object} [options]
+ * @param {string} [options.registryPath]
+ * @param {string} [options.healthPath]
+ * @param {string[]} [options.only] — metric IDs to run (default: all)
+ * @returns {Promise<{ values: object, reports: object }>} keyed by metric ID
+ */
+async function runRegistry(existing, options) {
+  const opts = options || {};
+  const registry = loadRegistry(opts.registryPath);
+  const healthPath = opts.healthPath || DEFAULT_HEALTH_PATH;
+  const session = { existing: existing || {}, health: loadHealth(healthPath), lastCallAt: {} };
+  if (!session.health.providers) session.health.providers = {};
+
+  const values = {};
+  const reports = {};
+  for (const [id, metric] of Object.entries(registry.metrics || {})) {
+    if (opts.only && !opts.only.includes(id)) continue;
+    const { data, report } = await fetchMetric(id, metric, registry, session);
+    // Copy so a carried value does not mutate the previous dashboard object
+    values[id] = data && typeof data === 'object' ? { ...data, provenance: report.provenance } : data;
+    reports[id] = { path: metric.path, units: metric.units ?? null, ...report };
+  }
+
+  saveHealth(healthPath, session.health);
+  return { values, reports, registry };
+}
+
+/**
+ * Write each metric with a path into `output`, in registry order.
+ */
+function applyToOutput(output, registry, values) {
+  for (const [id, metric] of Object.entries(registry.metrics || {})) {
+    if (metric.path && id in values) setPath(output, metric.path, values[id]);
+  }
+  return output;
+}
+
+/**
+ * Dot paths of every declared series (metric path + series field), in
+ * registry order — the numeric fields metric-history.js records.
+ */
+function seriesPaths(registry) {
+  const paths = [];
+  for (const metric of Object.values(registry.metrics || {})) {
+    if (!metric.path) continue;
+    for (const field of metric.series || []) paths.push(`${metric.path}.${field}`);
+  }
+  return paths;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEFAULT_REGISTRY_PATH,
+  DEFAULT_HEALTH_PATH,
+  loadRegistry,
+  runRegistry,
+  buildProvenance,
+  applyToOutput,
+  seriesPaths,
+  breakerState,
+  readPath,
+  setPath,
+};
@@ -43,8 +43,7 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR    = path.join(__dirname, '..', 'data');
-const CONFIG_DIR  = path.join(__dirname, '..', 'config');
+const { DATA_DIR, CONFIG_DIR } = require('./utils/paths');
 const DOSSIER_PATH = path.join(DATA_DIR, 'signal-dossier-data.json');
 const DOMAIN_PATH  = path.join(CONFIG_DIR, 'domain.json');
 const OUTPUT_PATH  = path.join(DATA_DIR, 'drift-findings.json');
@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Evolution Batch — every scenario × mode, keyed by commit, gated on a baseline
+ *
+ * `run-evolution.js --all` lands here. Each scenario × mode pair is one job:
+ * a child `run-evolution.js <scenario> --mode <m> --out <dir>` process, run
+ * with bounded concurrency. Results are stored per commit so two prompt
+ * revisions never share a directory:
+ *
+ *   evolutions/batches/<commit>/
+ *     batch-state.json              — job status, attempts, exit codes
+ *     <scenario>/<mode>/summary.json, results/, run.log
+ *     scorecard.json                — score-evolutions.js over this batch
+ *     regression-report.json        — diff against the pinned baseline
+ *
+ * <commit> is the short HEAD sha. Uncommitted changes under scripts/ append
+ * `-dirty-<hash of the diff>`, so an edited prompt gets its own batch.
+ *
+ * Resume: a job is done when its summary.json completed every step without
+ * failures. Re-running the same command after a crash, a rate limit or a
+ * Ctrl-C re-runs only the jobs that are not done, from a clean directory.
+ *
+ * Regression gate: evolutions/baseline.json pins per scenario × mode metrics
+ * (--pin-baseline writes it from a clean batch). The batch fails when any
+ * graded metric is worse than its baseline by more than the tolerance:
+ *
+ *   status_accuracy  higher is better   tolerance 0.05
+ *   false_alarms     lower is better    tolerance 0
+ *   lead_steps       higher is better   tolerance 0    (a new MISSED exit regresses)
+ *   brier            lower is better    tolerance 0.05
+ *   signal_recall    higher is better   tolerance 0.1
+ *
+ * Tolerances come from baseline.json `tolerances`, then --tolerance key=value.
+ *
+ * CLI:
+ *   node scripts/run-evolution.js --all [--modes full,raw-llm] [--scenarios a,b]
+ *        [--concurrency 2] [--tolerance brier=0.1] [--pin-baseline]
+ *
+ * Exit code 1 when a job failed or a metric regressed.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path   = require('path');
+const fs     = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { REPO_ROOT } = require('./utils/paths');
+const { MODES, scoreEvolutions } = require('./score-evolutions');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const EVOLUTIONS_DIR = path.join(REPO_ROOT, 'evolutions');
+const BASELINE_FILE = path.join(EVOLUTIONS_DIR, 'baseline.json');
+const STATE_FILE = 'batch-state.json';
+const REPORT_FILE = 'regression-report.json';
+const DEFAULT_CONCURRENCY = 2;
+
+// Graded metrics: which direction is better, and how far worse still passes
+const METRICS = {
+  status_accuracy: { better: 'higher', tolerance: 0.05 },
+  false_alarms:    { better: 'lower',  tolerance: 0 },
+  lead_steps:      { better: 'higher', tolerance: 0 },
+  brier:           { better: 'lower',  tolerance: 0.05 },
+  signal_recall:   { better: 'higher', tolerance: 0.1 },
+};
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+
+function log(label, msg)  { console.log(`[batch:${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[batch:${label}] WARN: ${msg}`); }
+function err(label, msg)  { console.error(`[batch:${label}] ERROR: ${msg}`); }
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJSON(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+const round = value => (value == null ? null : Math.round(value * 1000) / 1000);
+
+// ─── Commit Key ─────────────────────────────────────────────────────────────
+
+/**
+ * Short HEAD sha, with `-dirty-<hash>` when scripts/ has uncommitted changes.
+ * Returns 'uncommitted' outside a git checkout.
+ */
+async function gitCommitKey(cwd = REPO_ROOT) {
+  const git = require('simple-git')(cwd);
+  try {
+    const sha = (await git.revparse(['--short', 'HEAD'])).trim();
+    const diff = await git.raw(['diff', 'HEAD', '--', 'scripts']);
+    const untracked = await git.raw(['ls-files', '--others', '--exclude-standard', '--', 'scripts']);
+    if (!diff && !untracked.trim()) return sha;
+    const hash = crypto.createHash('sha256').update(diff).update(untracked).digest('hex').slice(0, 8);
+    return `${sha}-dirty-${hash}`;
+  } catch (e) {
+    warn('git', `Cannot read commit (${e.message}) — results keyed as "uncommitted"`);
+    return 'uncommitted';
+  }
+}
+
+// ─── Jobs ───────────────────────────────────────────────────────────────────
+
+/**
+ * Scenario directories under `evolutionsDir` (those with a scenario.json),
+ * optionally restricted to `only`.
+ */
+function listScenarios(evolutionsDir, only = null) {
+  const names = fs.readdirSync(evolutionsDir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(evolutionsDir, d.name, 'scenario.json')))
+    .map(d => d.name)
+    .sort();
+  if (only) {
+    const unknown = only.filter(name => !names.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown scenario(s): ${unknown.join(', ')} — available: ${names.join(', ')}`);
+    return names.filter(name => only.includes(name));
+  }
+  return names;
+}
+
+/**
+ * One job per scenario × mode, in scenario order.
+ */
+function planJobs({ evolutionsDir, batchDir, scenarios, modes }) {
+  const jobs = [];
+  for (const scenario of scenarios) {
+    for (const mode of modes) {
+      jobs.push({
+        id: `${scenario}/${mode}`,
+        scenario,
+        mode,
+        scenarioDir: path.join(evolutionsDir, scenario),
+        outDir: path.join(batchDir, scenario, mode),
+      });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * A job is done when its summary completed every step without failures.
+ */
+function isJobComplete(job) {
+  const summary = readJSON(path.join(job.outDir, 'summary.json'));
+  return !!summary
+    && summary.total_steps > 0
+    && summary.completed_steps === summary.total_steps
+    && (summary.failed_steps || 0) === 0;
+}
+
+/**
+ * Run one job as a child run-evolution.js process, logging to run.log.
+ * Resolves with the exit code.
+ */
+function runJobProcess(job) {
+  return new Promise(resolve => {
+    const logFd = fs.openSync(path.join(job.outDir, 'run.log'), 'w');
+    const child = spawn(process.execPath, [
+      path.join(__dirname, 'run-evolution.js'), job.scenarioDir, '--mode', job.mode, '--out', job.outDir,
+    ], { env: process.env, stdio: ['ignore', logFd, logFd] });
+    let settled = false;
+    const finish = code => {
+      if (settled) return;
+      settled = true;
+      fs.closeSync(logFd);
+      resolve(code);
+    };
+    child.on('error', e => {
+      if (!settled) fs.writeSync(logFd, `spawn failed: ${e.message}\n`);
+      finish(1);
+    });
+    child.on('close', code => finish(code ?? 1));
+  });
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` in flight.
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// ─── Baseline ───────────────────────────────────────────────────────────────
+
+/**
+ * Graded metrics for every scenario × mode in a scorecard:
+ * { <scenario>: { <mode>: { status_accuracy, false_alarms, lead_steps, lead_outcome, brier, signal_recall } } }
+ */
+function extractMetrics(scorecard) {
+  const metrics = {};
+  for (const s of scorecard.scenarios) {
+    for (const [mode, m] of Object.entries(s.modes)) {
+      metrics[s.name] = metrics[s.name] || {};
+      metrics[s.name][mode] = {
+        status_accuracy: m.status.accuracy,
+        false_alarms: m.false_alarms.count,
+        lead_steps: m.lead_time.lead_steps,
+        lead_outcome: m.lead_time.outcome,
+        brier: m.calibration.brier,
+        signal_recall: m.signals.recall,
+      };
+    }
+  }
+  return metrics;
+}
+
+/**
+ * Compare a batch's metrics against the baseline. A metric regresses when it
+ * is worse than baseline by more than its tolerance, or when it was graded in
+ * the baseline and no longer is (a MISSED exit has no lead_steps). Pairs the
+ * batch did not run are listed as not_run, not as regressions.
+ */
+function compareToBaseline(current, baseline, tolerances = {}) {
+  const regressions = [];
+  const improvements = [];
+  const notRun = [];
+  let compared = 0;
+
+  for (const [scenario, modes] of Object.entries(baseline.metrics || {})) {
+    for (const [mode, base] of Object.entries(modes)) {
+      const now = current[scenario]?.[mode];
+      if (!now) {
+        notRun.push(`${scenario}/${mode}`);
+        continue;
+      }
+      compared++;
+      for (const [metric, { better, tolerance: defaultTolerance }] of Object.entries(METRICS)) {
+        const was = base[metric];
+        const is = now[metric];
+        if (was == null) continue;
+        const tolerance = tolerances[metric] ?? defaultTolerance;
+        const entry = { scenario, mode, metric, baseline: was, current: is, tolerance };
+        if (is == null) {
+          regressions.push({ ...entry, delta: null, reason: metric === 'lead_steps' ? `exit ${now.lead_outcome}` : 'no longer graded' });
+          continue;
+        }
+        const delta = round(is - was);
+        const worse = better === 'higher' ? -delta : delta;
+        if (worse > tolerance + 1e-9) regressions.push({ ...entry, delta });
+        else if (worse < 0) improvements.push({ ...entry, delta });
+      }
+    }
+  }
+
+  return { compared, regressions, improvements, not_run: notRun };
+}
+
+/**
+ * Pin a batch's metrics as the baseline. Keeps tolerances already set there.
+ */
+function pinBaseline(scorecard, { commit, baselineFile = BASELINE_FILE } = {}) {
+  const existing = readJSON(baselineFile);
+  const baseline = {
+    _pinned_at: new Date().toISOString(),
+    _commit: commit,
+    tolerances: existing?.tolerances || Object.fromEntries(Object.entries(METRICS).map(([k, v]) => [k, v.tolerance])),
+    metrics: extractMetrics(scorecard),
+  };
+  writeJSON(baselineFile, baseline);
+  return baseline;
+}
+
+// ─── Batch ──────────────────────────────────────────────────────────────────
+
+/**
+ * Run (or resume) a batch, score it and gate it on the baseline.
+ *
+ * @param {object} [options]
+ * @param {string}   [options.evolutionsDir]
+ * @param {string[]} [options.scenarios]    - default: every scenario
+ * @param {string[]} [options.modes]        - default: every mode
+ * @param {number}   [options.concurrency]
+ * @param {object}   [options.tolerances]   - metric → tolerance, over baseline.json
+ * @param {boolean}  [options.pin]          - pin this batch as the baseline instead of gating
+ * @param {string}   [options.commit]       - batch key; default gitCommitKey()
+ * @param {string}   [options.baselineFile]
+ * @param {function} [options.runJob]       - job → exit code; default a child run-evolution.js
+ * @returns {Promise<{ commit, batchDir, jobs, scorecard, report, exitCode }>}
+ */
+async function runBatch({
+  evolutionsDir = EVOLUTIONS_DIR,
+  scenarios = null,
+  modes = MODES,
+  concurrency = DEFAULT_CONCURRENCY,
+  tolerances = {},
+  pin = false,
+  commit = null,
+  baselineFile = BASELINE_FILE,
+  runJob = runJobProcess,
+} = {}) {
+  const invalid = modes.filter(m => !MODES.includes(m));
+  if (invalid.length > 0) throw new Error(`Invalid mode(s): ${invalid.join(', ')} — valid: ${MODES.join(', ')}`);
+
+  const key = commit || await gitCommitKey();
+  const batchDir = path.join(evolutionsDir, 'batches', key);
+  const statePath = path.join(batchDir, STATE_FILE);
+  const jobs = planJobs({ evolutionsDir, batchDir, scenarios: listScenarios(evolutionsDir, scenarios), modes });
+
+  const previous = readJSON(statePath);
+  const state = {
+    commit: key,
+    started_at: previous?.started_at || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    concurrency,
+    jobs: {},
+  };
+  for (const job of jobs) {
+    const prior = previous?.jobs?.[job.id] || {};
+    state.jobs[job.id] = { attempts: prior.attempts || 0, ...prior, status: isJobComplete(job) ? 'done' : 'pending' };
+  }
+  const saveState = () => {
+    state.updated_at = new Date().toISOString();
+    writeJSON(statePath, state);
+  };
+  saveState();
+
+  const pending = jobs.filter(job => state.jobs[job.id].status !== 'done');
+  log('plan', `Batch ${key}: ${jobs.length} job(s), ${jobs.length - pending.length} already done, ${pending.length} to run (concurrency ${concurrency})`);
+
+  if (pending.length > 0 && runJob === runJobProcess && !process.env.ANTHROPIC_API_KEY) {
+    err('plan', 'ANTHROPIC_API_KEY not set');
+    return { commit: key, batchDir, jobs: state.jobs, scorecard: null, report: null, exitCode: 1 };
+  }
+
+  await runPool(pending, concurrency, async job => {
+    const record = state.jobs[job.id];
+    fs.rmSync(job.outDir, { recursive: true, force: true });
+    fs.mkdirSync(job.outDir, { recursive: true });
+    Object.assign(record, { status: 'running', attempts: record.attempts + 1, started_at: new Date().toISOString(), finished_at: null, exit_code: null });
+    delete record.error;
+    saveState();
+    log('job', `${job.id} started (attempt ${record.attempts})`);
+
+    let code;
+    try {
+      code = await runJob(job);
+    } catch (e) {
+      code = 1;
+      record.error = e.message;
+    }
+    record.exit_code = code;
+    record.finished_at = new Date().toISOString();
+    record.status = code === 0 && isJobComplete(job) ? 'done' : 'failed';
+    if (record.status === 'failed' && !record.error) {
+      record.error = code === 0 ? 'summary incomplete' : `exit code ${code}`;
+    }
+    saveState();
+    if (record.status === 'done') log('job', `${job.id} done`);
+    else err('job', `${job.id} failed — ${record.error} (log: ${path.join(job.outDir, 'run.log')})`);
+  });
+
+  const failed = jobs.filter(job => state.jobs[job.id].status !== 'done').map(job => job.id);
+  const scorecard = scoreEvolutions({ evolutionsDir, resultsDir: batchDir, only: jobs.map(j => j.scenario) });
+  const current = extractMetrics(scorecard);
+
+  let report;
+  if (pin) {
+    if (failed.length > 0) {
+      err('baseline', `Not pinning — ${failed.length} job(s) failed: ${failed.join(', ')}`);
+    } else {
+      pinBaseline(scorecard, { commit: key, baselineFile });
+      log('baseline', `Pinned ${path.relative(evolutionsDir, baselineFile) || baselineFile} at ${key}`);
+    }
+    report = { commit: key, baseline_commit: key, pinned: failed.length === 0, failed_jobs: failed, compared: 0, regressions: [], improvements: [], not_run: [] };
+  } else {
+    const baseline = readJSON(baselineFile);
+    if (!baseline) {
+      warn('baseline', `No baseline at ${baselineFile} — run with --pin-baseline to create one`);
+      report = { commit: key, baseline_commit: null, failed_jobs: failed, compared: 0, regressions: [], improvements: [], not_run: [] };
+    } else {
+      const diff = compareToBaseline(current, baseline, { ...baseline.tolerances, ...tolerances });
+      report = { commit: key, baseline_commit: baseline._commit || null, failed_jobs: failed, ...diff };
+    }
+  }
+  report._generated_at = new Date().toISOString();
+  writeJSON(path.join(batchDir, REPORT_FILE), report);
+
+  for (const r of report.regressions) {
+    err('regression', `${r.scenario}/${r.mode} ${r.metric}: ${r.baseline} → ${r.current ?? '—'}${r.reason ? ` (${r.reason})` : ''} (tolerance ${r.tolerance})`);
+  }
+  for (const i of report.improvements) {
+    log('improved', `${i.scenario}/${i.mode} ${i.metric}: ${i.baseline} → ${i.current}`);
+  }
+
+  const exitCode = failed.length > 0 || report.regressions.length > 0 ? 1 : 0;
+  log('result', `${exitCode === 0 ? 'PASS' : 'FAIL'} — ${failed.length} failed job(s), ${report.regressions.length} regression(s), ${report.improvements.length} improvement(s) (${batchDir})`);
+  return { commit: key, batchDir, jobs: state.jobs, scorecard, report, exitCode };
+}
+
+/**
+ * runBatch() options from `--all` command-line arguments.
+ */
+function parseBatchArgs(args) {
+  const value = flag => {
+    const i = args.indexOf(flag);
+    return i !== -1 && i + 1 < args.length ? args[i + 1] : null;
+  };
+  const list = flag => (value(flag) ? value(flag).split(',').map(s => s.trim()).filter(Boolean) : null);
+
+  const tolerances = {};
+  args.forEach((arg, i) => {
+    if (arg !== '--tolerance' || !args[i + 1]) return;
+    const [metric, raw] = args[i + 1].split('=');
+    if (!(metric in METRICS) || raw === undefined || Number.isNaN(Number(raw))) {
+      throw new Error(`Invalid --tolerance "${args[i + 1]}" — expected <metric>=<number>, metrics: ${Object.keys(METRICS).join(', ')}`);
+    }
+    tolerances[metric] = Number(raw);
+  });
+
+  const concurrency = value('--concurrency') ? parseInt(value('--concurrency'), 10) : DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('--concurrency must be a positive integer');
+
+  return {
+    scenarios: list('--scenarios'),
+    modes: list('--modes') || MODES,
+    concurrency,
+    tolerances,
+    pin: args.includes('--pin-baseline'),
+  };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  METRICS,
+  gitCommitKey,
+  listScenarios,
+  planJobs,
+  isJobComplete,
+  extractMetrics,
+  compareToBaseline,
+  pinBaseline,
+  runBatch,
+  parseBatchArgs,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseBatchArgs(process.argv.slice(2));
+  } catch (e) {
+    err('args', e.message);
+    process.exit(1);
+  }
+  runBatch(options)
+    .then(outcome => process.exit(outcome.exitCode))
+    .catch(e => {
+      err('batch', e.message);
+      process.exit(1);
+    });
+}
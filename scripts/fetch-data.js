@@ -5,17 +5,37 @@
  * Overwatch Terminal — Automated Data Ingestion
  * Fetches live data from free APIs, merges with existing JSON, and writes
  * dashboard-data.json. Run `node scripts/fetch-data.js` or via cron.
+ * Metric sources are declared in config/data-sources.json (see data-sources.js);
+ * the XRPL, x402 wallet and X collectors below are still hand-written.
+ * Every fetched metric carries a provenance block (source, fetched_at, as_of,
+ * fallback_depth, stale) so a carryover is never mistaken for a live value.
+ * Fresh observations are appended to data/metric-history.jsonl (metric-history.js).
+ * With `--domain <id>` it writes domains/<id>/dashboard-data.json and reads
+ * that domain's kill_switch_targets.
  */
 
 const path    = require('path');
 const fs      = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
-const { ENDPOINTS, COINGECKO_DELAY_MS, KILL_SWITCH_TARGETS } = require('./config');
+const { ENDPOINTS } = require('./config');
+const { runRegistry, applyToOutput, buildProvenance, seriesPaths } = require('./data-sources');
+const { recordObservations } = require('./metric-history');
 const { fetchXIntelligence } = require('./fetch-x');
 const pushToGitHub = require('./push-to-github');
 
-const OUTPUT_PATH = path.join(__dirname, '..', 'dashboard-data.json');
+const { ROOT_DIR, CONFIG_DIR, SCRIPTS_DIR, DOMAIN_ID, sharedPath } = require('./utils/paths');
+
+const OUTPUT_PATH = path.join(ROOT_DIR, 'dashboard-data.json');
+const DOMAIN_CONFIG_PATH = path.join(CONFIG_DIR, 'domain.json');
+
+// Hand-written collector fields recorded in data/metric-history.jsonl
+// alongside the registry's declared series.
+const COLLECTOR_SERIES = [
+  'xrpl_metrics.last_ledger_txns',
+  'xrpl_metrics.fee_burn_per_ledger_xrp',
+  'xrpl_metrics.dex_volume_24h_usd',
+];
 
 // ─── Utilities ────────────────────────────────────────────────────────────────
 
@@ -23,10 +43,6 @@ function log(label, msg)  { console.log(`[${label}] ${msg}`); }
 function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
 function err(label, msg)  { console.error(`[${label}] ERROR: ${msg}`); }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /** Load existing dashboard-data.json so we can fall back to previous values. */
 function loadExisting() {
   try {
@@ -39,252 +55,57 @@ function loadExisting() {
   return {};
 }
 
-/**
- * Thin fetch wrapper with timeout.
- * Returns parsed JSON or throws.
- */
-async function fetchJSON(url, timeoutMs = 10_000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: controller.signal });
-    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
-    return await res.json();
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-// ─── Individual fetchers ──────────────────────────────────────────────────────
-
-async function fetchXRP(fallback) {
-  const fetchedAt = new Date().toISOString().slice(0, 10);
-  try {
-    const data = await fetchJSON(ENDPOINTS.xrp);
-    const r = data?.ripple;
-    if (!r) throw new Error('Unexpected response shape');
-    const result = {
-      price:      r.usd              ?? null,
-      change_24h: r.usd_24h_change   ?? null,
-      volume_24h: r.usd_24h_vol      ?? null,
-      market_cap: r.usd_market_cap   ?? null,
-      data_date:  fetchedAt,
-      source:     'coingecko',
-    };
-    log('XRP', `price=${result.price}  24h=${result.change_24h?.toFixed(2)}%`);
-    return result;
-  } catch (e) {
-    err('XRP', e.message);
-    return fallback?.xrp ?? { price: null, change_24h: null, volume_24h: null, market_cap: null, data_date: null, source: 'coingecko' };
-  }
-}
-
-async function fetchRLUSD(fallback) {
-  const fetchedAt = new Date().toISOString().slice(0, 10);
-  await sleep(COINGECKO_DELAY_MS);
+/** Load the domain config (kill switch targets). Missing config → no kill switches. */
+function loadDomainConfig() {
   try {
-    const data = await fetchJSON(ENDPOINTS.rlusd);
-    const r = data?.['ripple-usd'];
-    if (!r) throw new Error('Unexpected response shape — will try search');
-    const result = { market_cap: r.usd_market_cap ?? null, data_date: fetchedAt, source: 'coingecko' };
-    log('RLUSD', `market_cap=${result.market_cap?.toLocaleString()}`);
-    return result;
+    return JSON.parse(fs.readFileSync(DOMAIN_CONFIG_PATH, 'utf8'));
   } catch (e) {
-    warn('RLUSD', `Primary ID failed (${e.message}), trying search…`);
-    try {
-      await sleep(COINGECKO_DELAY_MS);
-      const search = await fetchJSON(ENDPOINTS.rlusd_search);
-      const coin = search?.coins?.find(c => c.symbol?.toUpperCase() === 'RLUSD');
-      if (!coin) throw new Error('RLUSD not found in search results');
-      await sleep(COINGECKO_DELAY_MS);
-      const data2 = await fetchJSON(
-        `https://api.coingecko.com/api/v3/simple/price?ids=${coin.id}&vs_currencies=usd&include_market_cap=true`
-      );
-      const r2 = data2?.[coin.id];
-      const result = { market_cap: r2?.usd_market_cap ?? null, data_date: fetchedAt, source: 'coingecko' };
-      log('RLUSD', `market_cap=${result.market_cap?.toLocaleString()} (via search id=${coin.id})`);
-      return result;
-    } catch (e2) {
-      err('RLUSD', e2.message);
-      return fallback?.rlusd ?? { market_cap: null, data_date: null, source: 'manual' };
-    }
+    warn('io', `Could not read ${DOMAIN_CONFIG_PATH}: ${e.message}`);
+    return {};
   }
 }
 
-async function fetchFearGreed(fallback) {
-  try {
-    const data = await fetchJSON(ENDPOINTS.fear_greed);
-    const entry = data?.data?.[0];
-    if (!entry) throw new Error('Unexpected response shape');
-    const dataDate = entry.timestamp
-      ? new Date(Number(entry.timestamp) * 1000).toISOString().slice(0, 10)
-      : new Date().toISOString().slice(0, 10);
-    const result = {
-      value:     Number(entry.value),
-      label:     entry.value_classification,
-      data_date: dataDate,
-      source:    'alternative.me',
+/**
+ * Attach a provenance block (see data-sources.js) to a hand-written
+ * collector's result. The collectors hand back the previous object itself when
+ * every call failed — that is a carryover, not a fresh reading. With nothing
+ * to carry they return their empty skeleton marked failed: true, which gets
+ * the registry's no-value provenance (no source, stale) instead of a fresh one.
+ */
+function withProvenance(result, previous, source, maxAgeDays) {
+  if (!result || typeof result !== 'object') return result;
+  if (result.failed) {
+    const { failed, ...empty } = result;
+    return {
+      ...empty,
+      provenance: buildProvenance({ source: null, fetched_at: null, as_of: null, fallback_depth: 1, max_age_days: maxAgeDays }),
     };
-    log('Fear&Greed', `${result.value} — ${result.label} (date: ${dataDate})`);
-    return result;
-  } catch (e) {
-    err('Fear&Greed', e.message);
-    return fallback?.macro?.fear_greed ?? { value: null, label: null, data_date: null, source: 'alternative.me' };
-  }
-}
-
-async function fetchUSDJPY(fallback) {
-  const fetchedAt = new Date().toISOString().slice(0, 10);
-  try {
-    const data = await fetchJSON(ENDPOINTS.usd_jpy);
-    const rate = data?.rates?.JPY;
-    if (!rate) throw new Error('Unexpected response shape');
-    const dataDate = data?.date || fetchedAt;
-    log('USD/JPY', `${rate} (date: ${dataDate})`);
-    return { value: rate, data_date: dataDate, source: 'frankfurter' };
-  } catch (e) {
-    err('USD/JPY', e.message);
-    return fallback?.macro?.usd_jpy ?? { value: null, data_date: null, source: 'frankfurter' };
-  }
-}
-
-async function fetchFRED(seriesLabel, url, fallbackValue) {
-  const key = process.env.FRED_API_KEY;
-  if (!key) {
-    warn('FRED', `FRED_API_KEY not set — skipping ${seriesLabel}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'fred' };
-  }
-  try {
-    const fullUrl = `${url}&api_key=${encodeURIComponent(key)}`;
-    const data = await fetchJSON(fullUrl);
-    const obs = data?.observations?.find(o => o.value !== '.' && o.value !== '');
-    if (!obs) throw new Error('No valid observation in response');
-    const value = parseFloat(obs.value);
-    const dataDate = obs.date || null;
-    log('FRED', `${seriesLabel} = ${value} (date: ${dataDate})`);
-    return { value, data_date: dataDate, source: 'fred' };
-  } catch (e) {
-    err('FRED', `${seriesLabel}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'fred' };
-  }
-}
-
-// ─── Stooq fetcher (CSV) ──────────────────────────────────────────────────────
-
-async function fetchStooq(label, url, fallbackValue) {
-  try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), 10_000);
-    const res = await fetch(url, { signal: controller.signal });
-    clearTimeout(timer);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const text = await res.text();
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) throw new Error('No data rows in CSV');
-    const values = lines[1].split(',');
-    const close = parseFloat(values[6]);
-    if (isNaN(close)) throw new Error('Could not parse close price');
-    const dataDate = values[1] || null;
-    log('Stooq', `${label} = ${close} (date: ${dataDate})`);
-    return { value: close, data_date: dataDate, source: 'stooq' };
-  } catch (e) {
-    err('Stooq', `${label}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'stooq' };
-  }
-}
-
-// ─── Twelve Data fetcher ──────────────────────────────────────────────────────
-
-async function fetchTwelveData(label, url, fallbackValue) {
-  const key = process.env.TWELVE_DATA_KEY;
-  if (!key) {
-    warn('TwelveData', `TWELVE_DATA_KEY not set — skipping ${label}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'twelve_data' };
-  }
-  try {
-    const fullUrl = `${url}&apikey=${encodeURIComponent(key)}`;
-    const data = await fetchJSON(fullUrl);
-    if (data.status === 'error') throw new Error(data.message || 'API error');
-    const value = parseFloat(data?.values?.[0]?.close);
-    if (isNaN(value)) throw new Error('Could not parse close value');
-    const dataDate = data?.values?.[0]?.datetime ?? null;
-    log('TwelveData', `${label} = ${value} (date: ${dataDate})`);
-    return { value, data_date: dataDate, source: 'twelve_data' };
-  } catch (e) {
-    err('TwelveData', `${label}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'twelve_data' };
   }
-}
-
-// ─── FinanceFlow fetcher ─────────────────────────────────────────────────────
-
-async function fetchFinanceFlowBond(label, url, fallbackValue) {
-  const key = process.env.FINANCEFLOW_API_KEY;
-  if (!key) {
-    warn('FinanceFlow', `FINANCEFLOW_API_KEY not set — skipping ${label}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
-  }
-  try {
-    const fullUrl = `${url}&api_key=${encodeURIComponent(key)}`;
-    const data = await fetchJSON(fullUrl);
-    if (!data?.success || data?.code !== 200) throw new Error(data?.message || 'API error');
-    const entry = data?.data?.[0];
-    if (!entry) throw new Error('No bond data in response');
-    const value = parseFloat(entry.bond_yield);
-    if (isNaN(value)) throw new Error('Could not parse bond_yield');
-    const dataDate = entry.last_updated ? entry.last_updated.split(' ')[0] : null;
-    log('FinanceFlow', `${label} = ${value}% (date: ${dataDate})`);
-    return { value, data_date: dataDate, source: 'financeflow' };
-  } catch (e) {
-    err('FinanceFlow', `${label}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
-  }
-}
-
-async function fetchFinanceFlowCommodity(label, url, fallbackValue) {
-  const key = process.env.FINANCEFLOW_API_KEY;
-  if (!key) {
-    warn('FinanceFlow', `FINANCEFLOW_API_KEY not set — skipping ${label}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
-  }
-  try {
-    const fullUrl = `${url}&api_key=${encodeURIComponent(key)}`;
-    const data = await fetchJSON(fullUrl);
-    if (!data?.success || data?.code !== 200) throw new Error(data?.message || 'API error');
-    const entry = data?.data;
-    if (!entry) throw new Error('No commodity data in response');
-    const value = parseFloat(entry.current_price);
-    if (isNaN(value)) throw new Error('Could not parse current_price');
-    const dataDate = entry.last_updated ? entry.last_updated.split(' ')[0] : null;
-    log('FinanceFlow', `${label} = ${value} (date: ${dataDate})`);
-    return { value, data_date: dataDate, source: 'financeflow' };
-  } catch (e) {
-    err('FinanceFlow', `${label}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
-  }
-}
-
-async function fetchFinanceFlowCurrency(label, url, fallbackValue) {
-  const key = process.env.FINANCEFLOW_API_KEY;
-  if (!key) {
-    warn('FinanceFlow', `FINANCEFLOW_API_KEY not set — skipping ${label}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
-  }
-  try {
-    const fullUrl = `${url}&api_key=${encodeURIComponent(key)}`;
-    const data = await fetchJSON(fullUrl);
-    if (!data?.success || data?.code !== 200) throw new Error(data?.message || 'API error');
-    const entry = data?.data?.[0];
-    if (!entry) throw new Error('No currency data in response');
-    const value = parseFloat(entry.price);
-    if (isNaN(value)) throw new Error('Could not parse price');
-    const dataDate = entry.last_update ? entry.last_update.split(' ')[0] : null;
-    log('FinanceFlow', `${label} = ${value} (date: ${dataDate})`);
-    return { value, data_date: dataDate, source: 'financeflow' };
-  } catch (e) {
-    err('FinanceFlow', `${label}: ${e.message}`);
-    return fallbackValue ?? { value: null, data_date: null, source: 'financeflow' };
+  if (previous != null && result === previous) {
+    const prior = previous.provenance || {};
+    return {
+      ...previous,
+      provenance: buildProvenance({
+        source:         prior.source !== undefined ? prior.source : source,
+        fetched_at:     prior.fetched_at ?? previous.last_updated ?? null,
+        as_of:          previous.data_date ?? prior.as_of ?? previous.last_updated?.slice(0, 10) ?? null,
+        fallback_depth: 1,
+        max_age_days:   maxAgeDays,
+        carried_over:   true,
+      }),
+    };
   }
+  const fetchedAt = new Date().toISOString();
+  return {
+    ...result,
+    provenance: buildProvenance({
+      source,
+      fetched_at:     fetchedAt,
+      as_of:          result.data_date ?? fetchedAt.slice(0, 10),
+      fallback_depth: 0,
+      max_age_days:   maxAgeDays,
+    }),
+  };
 }
 
 // ─── XRPL fetcher (expanded) ────────────────────────────────────────────────
@@ -507,8 +328,12 @@ async function fetchXRPL(fallback) {
 
   // ── Fallback check ──
   if (result.ledger_index === null && result.rlusd_supply === null) {
-    warn('XRPL', 'Both primary calls failed, using fallback');
-    return fallback?.xrpl_metrics ?? result;
+    if (fallback?.xrpl_metrics) {
+      warn('XRPL', 'Both primary calls failed, using fallback');
+      return fallback.xrpl_metrics;
+    }
+    warn('XRPL', 'Both primary calls failed and there is no previous value');
+    return { ...result, data_date: null, failed: true };
   }
   return result;
 }
@@ -691,291 +516,98 @@ async function fetchX402Agent(fallback) {
   }
 
   if (result.balance_xrp === null && result.payments_sent === null) {
-    warn('x402', 'Both calls failed, using fallback');
-    return fallback?.x402_agent ?? result;
+    if (fallback?.x402_agent) {
+      warn('x402', 'Both calls failed, using fallback');
+      return fallback.x402_agent;
+    }
+    warn('x402', 'Both calls failed and there is no previous value');
+    return { ...result, last_updated: null, failed: true };
   }
 
   return result;
 }
 
-// ─── DefiLlama DEX volume fetcher ───────────────────────────────────────────
+// ─── Kill-switch helpers ──────────────────────────────────────────────────────
 
-async function fetchDefiLlamaDex(fallback) {
-  try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), 10000);
-    const res = await fetch('https://api.llama.fi/summary/dexs/xrpl-dex', { signal: controller.signal });
-    clearTimeout(timer);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    const result = {
-      total24h: data.total24h ?? null,
-      total7d: data.total7d ?? null,
-      change_1d: data.change_1d ?? null,
-    };
-    log('DefiLlama', `XRPL DEX 24h vol = ${result.total24h?.toLocaleString()} (change: ${result.change_1d?.toFixed(1)}%)`);
-    return result;
-  } catch (e) {
-    err('DefiLlama', `XRPL DEX: ${e.message}`);
-    return fallback ?? { total24h: null, total7d: null, change_1d: null };
-  }
+function pct(current, target) {
+  if (current == null || target == null || target === 0) return null;
+  return Math.round((current / target) * 100);
 }
 
-// ─── CoinGlass ETF fetcher ───────────────────────────────────────────────────
-//
-// Fetches ETF flow history from CoinGlass v4 API for XRP, BTC, and ETH.
-// Returns daily flows, 5-day aggregates, 14-day aggregates, and per-fund breakdown.
-// The XRP response populates d.etf, BTC populates d.btc_etf, ETH populates d.eth_etf.
-//
-// CoinGlass returns an array of daily entries (oldest first):
-//   { timestamp, flow_usd, price_usd, etf_flows: [{ etf_ticker, flow_usd }] }
-//
-// AUM is NOT provided by the flow-history endpoint. We calculate cumulative AUM
-// from the sum of all historical daily flows. This is an approximation —
-// it does not account for NAV changes from price movement. If manual.xrp_etf_aum
-// is set, it takes precedence as the authoritative AUM value.
-
-// Known XRP ETF fund issuers — maps ticker to issuer name for dashboard display
-const XRP_ETF_ISSUERS = {
-  'XXRP':  'ProShares',
-  'XRPT':  'Teucrium',
-  'GXRP':  'Grayscale',
-  'CRXP':  '21Shares',
-  'XRPF':  'Franklin Templeton',
-  'XRPI':  'Bitwise',
-  'RXRP':  'Volatility Shares',
-  'XXRP':  'ProShares',
-};
-
-async function fetchCoinGlassETF(asset, url, fallback) {
-  const key = process.env.COINGLASS_API_KEY;
-  if (!key) {
-    warn('CoinGlass', `COINGLASS_API_KEY not set — skipping ${asset}`);
-    return fallback ?? null;
+/** Read a dot path (or the first non-null of several) from an object. */
+function readMetric(data, metric) {
+  for (const p of [].concat(metric || [])) {
+    const value = p.split('.').reduce((obj, key) => obj?.[key], data);
+    if (value !== null && value !== undefined) return value;
   }
-  try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), 15000);
-    const res = await fetch(url, {
-      headers: { 'CG-API-KEY': key },
-      signal: controller.signal,
-    });
-    clearTimeout(timer);
-    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
-    const json = await res.json();
-    if (json.code !== '0' || !Array.isArray(json.data)) {
-      throw new Error(`API error: code=${json.code}, msg=${json.msg || 'unknown'}`);
-    }
+  return null;
+}
 
-    const days = json.data;
-    if (days.length === 0) {
-      warn('CoinGlass', `${asset}: No data returned`);
-      return fallback ?? null;
+/**
+ * Build kill_switches from the domain's kill_switch_targets. Each target
+ * names the dashboard metric it tracks, so a new domain only edits its
+ * domain.json.
+ */
+function buildKillSwitches(data, targets) {
+  const switches = {};
+  for (const [id, T] of Object.entries(targets || {})) {
+    const current = readMetric(data, T.metric);
+
+    if (typeof T.target === 'string') {
+      const match = (T.status_match || T.target).toLowerCase();
+      switches[id] = {
+        target:   T.target,
+        current:  current ?? 'pending',
+        deadline: T.deadline,
+        status:   String(current ?? '').toLowerCase().includes(match) ? 'HIT' : 'PENDING',
+      };
+      continue;
     }
 
-    // Filter out days with zero flow and no per-fund data (weekends/holidays)
-    const tradingDays = days.filter(d =>
-      d.flow_usd !== 0 || (d.etf_flows && d.etf_flows.some(f => f.flow_usd != null))
-    );
-
-    // Latest trading day
-    const latest = tradingDays.length > 0 ? tradingDays[tradingDays.length - 1] : days[days.length - 1];
-    const latestDate = new Date(latest.timestamp).toISOString().slice(0, 10);
-
-    // Daily flows from latest trading day
-    const dailyNet = latest.flow_usd ?? 0;
-    const dailyInflow = (latest.etf_flows ?? [])
-      .filter(f => (f.flow_usd ?? 0) > 0)
-      .reduce((sum, f) => sum + f.flow_usd, 0);
-    const dailyOutflow = (latest.etf_flows ?? [])
-      .filter(f => (f.flow_usd ?? 0) < 0)
-      .reduce((sum, f) => sum + Math.abs(f.flow_usd), 0);
-
-    // 5-day (weekly) aggregate — last 5 trading days
-    const last5 = tradingDays.slice(-5);
-    const weeklyNet = last5.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0);
-    const weeklyInflow = last5.reduce((sum, d) => {
-      return sum + (d.etf_flows ?? [])
-        .filter(f => (f.flow_usd ?? 0) > 0)
-        .reduce((s, f) => s + f.flow_usd, 0);
-    }, 0);
-    const weeklyOutflow = last5.reduce((sum, d) => {
-      return sum + (d.etf_flows ?? [])
-        .filter(f => (f.flow_usd ?? 0) < 0)
-        .reduce((s, f) => s + Math.abs(f.flow_usd), 0);
-    }, 0);
-
-    // 14-day cumulative — last 14 trading days
-    const last14 = tradingDays.slice(-14);
-    const cumNet = last14.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0);
-    const cumInflow = last14.reduce((sum, d) => {
-      return sum + (d.etf_flows ?? [])
-        .filter(f => (f.flow_usd ?? 0) > 0)
-        .reduce((s, f) => s + f.flow_usd, 0);
-    }, 0);
-
-    // Cumulative AUM approximation (sum of all historical flows)
-    const cumulativeFlows = days.reduce((sum, d) => sum + (d.flow_usd ?? 0), 0);
-
-    // Per-fund breakdown from latest day (XRP only — for the funds table)
-    const funds = (latest.etf_flows ?? [])
-      .filter(f => f.etf_ticker && f.etf_ticker !== asset.toUpperCase())
-      .map(f => ({
-        ticker:     f.etf_ticker,
-        issuer:     XRP_ETF_ISSUERS[f.etf_ticker] ?? f.etf_ticker,
-        aum:        null,  // Not available from flow-history endpoint
-        xrp_locked: null,  // Not available from flow-history endpoint
-        daily_flow: f.flow_usd ?? null,
-      }));
-
-    // Count active funds (those with any non-null flow_usd in latest day)
-    const numFunds = (latest.etf_flows ?? [])
-      .filter(f => f.etf_ticker && f.etf_ticker !== asset.toUpperCase() && f.flow_usd != null)
-      .length;
-
-    log('CoinGlass', `${asset}: daily=${(dailyNet/1e6).toFixed(1)}M, 5d=${(weeklyNet/1e6).toFixed(1)}M, 14d=${(cumNet/1e6).toFixed(1)}M, funds=${numFunds}, date=${latestDate}`);
+    if (T.target_institutions != null) {
+      switches[id] = {
+        target_institutions: T.target_institutions,
+        current,
+        deadline: T.deadline,
+        status:   current == null ? 'NEEDS_DATA' : current >= T.target_institutions ? 'HIT' : 'TRACKING',
+      };
+      continue;
+    }
 
-    return {
-      total_aum:        cumulativeFlows > 0 ? cumulativeFlows : null,
-      daily_net_flow:   dailyNet,
-      daily_inflow:     dailyInflow,
-      daily_outflow:    dailyOutflow,
-      weekly_net_flow:  weeklyNet,
-      weekly_inflow:    weeklyInflow,
-      weekly_outflow:   weeklyOutflow,
-      cum_net_flow:     cumNet,
-      cum_inflow:       cumInflow,
-      flow_date:        latestDate,
-      as_of_date:       latestDate,
-      num_funds:        numFunds,
-      total_xrp_locked: null,  // Not available from CoinGlass flow-history
-      pct_supply:       null,  // Calculated downstream if xrp_locked is available
-      funds:            funds,
-      source:           'coinglass',
-      _cumulative_aum_note: 'Approximation from sum of historical flows — does not reflect NAV changes',
+    switches[id] = {
+      target:       T.target,
+      current,
+      deadline:     T.deadline,
+      status:       current == null ? 'NEEDS_DATA' : current >= T.target ? 'HIT' : 'TRACKING',
+      pct_complete: pct(current, T.target),
     };
-  } catch (e) {
-    err('CoinGlass', `${asset}: ${e.message}`);
-    return fallback ?? null;
   }
-}
-
-// ─── Kill-switch helpers ──────────────────────────────────────────────────────
-
-function pct(current, target) {
-  if (current == null || target == null || target === 0) return null;
-  return Math.round((current / target) * 100);
-}
-
-function buildKillSwitches(manual, rlusd, etfData) {
-  const odl    = manual?.odl_volume_annualized ?? null;
-  const rlusdC = rlusd?.market_cap ?? manual?.rlusd_circulation ?? null;
-  // Prefer manual AUM if set, then CoinGlass cumulative AUM, then null
-  const etfAum = manual?.xrp_etf_aum ?? etfData?.total_aum ?? null;
-  const dex    = manual?.permissioned_dex_institutions ?? null;
-  const clarity = manual?.clarity_act_status ?? 'pending';
-
-  const T = KILL_SWITCH_TARGETS;
-
-  return {
-    odl_volume: {
-      target:   T.odl_volume.target,
-      current:  odl,
-      deadline: T.odl_volume.deadline,
-      status:   odl == null ? 'NEEDS_DATA' : odl >= T.odl_volume.target ? 'HIT' : 'TRACKING',
-      pct_complete: pct(odl, T.odl_volume.target),
-    },
-    rlusd_circulation: {
-      target:      T.rlusd_circulation.target,
-      current:     rlusdC,
-      deadline:    T.rlusd_circulation.deadline,
-      status:      rlusdC == null ? 'NEEDS_DATA' : rlusdC >= T.rlusd_circulation.target ? 'HIT' : 'TRACKING',
-      pct_complete: pct(rlusdC, T.rlusd_circulation.target),
-    },
-    xrp_etf_aum: {
-      target:      T.xrp_etf_aum.target,
-      current:     etfAum,
-      deadline:    T.xrp_etf_aum.deadline,
-      status:      etfAum == null ? 'NEEDS_DATA' : etfAum >= T.xrp_etf_aum.target ? 'HIT' : 'TRACKING',
-      pct_complete: pct(etfAum, T.xrp_etf_aum.target),
-    },
-    permissioned_dex_adoption: {
-      target_institutions: T.permissioned_dex_adoption.target_institutions,
-      current:             dex,
-      deadline:            T.permissioned_dex_adoption.deadline,
-      status:              dex == null ? 'NEEDS_DATA' : dex >= T.permissioned_dex_adoption.target_institutions ? 'HIT' : 'TRACKING',
-    },
-    clarity_act: {
-      target:   T.clarity_act.target,
-      current:  'pending',
-      deadline: T.clarity_act.deadline,
-      status:   clarity?.toLowerCase().includes('passed') ? 'HIT' : 'PENDING',
-    },
-  };
+  return switches;
 }
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
 async function main() {
   console.log('\n━━━ Overwatch Terminal — Data Fetch ━━━');
-  console.log(`Started: ${new Date().toISOString()}\n`);
+  console.log(`Started: ${new Date().toISOString()}${DOMAIN_ID ? ` (domain: ${DOMAIN_ID})` : ''}\n`);
 
   const existing = loadExisting();
 
-  const [xrp, rlusd, fearGreed, usdJpy] = await Promise.all([
-    fetchXRP(existing),
-    fetchRLUSD(existing),
-    fetchFearGreed(existing),
-    fetchUSDJPY(existing),
-  ]);
-
-  let brent = await fetchFinanceFlowCommodity('BRENT', ENDPOINTS.financeflow.brent, null);
-  if (brent.value === null) {
-    warn('BRENT', 'FinanceFlow failed, trying FRED fallback');
-    brent = await fetchFRED('BRENT', ENDPOINTS.fred.brent, existing?.macro?.brent_crude);
-    const cached = existing?.macro?.brent_crude;
-    if (brent.value !== null && cached?.data_date && brent.data_date && brent.data_date < cached.data_date) {
-      warn('BRENT', `FRED data (${brent.data_date}) older than cache (${cached.data_date}), keeping cache`);
-      brent = cached;
-    }
-  }
-  const us10y  = await fetchFRED('US_10Y',  ENDPOINTS.fred.us_10y,  existing?.macro?.us_10y_yield);
-
-  let jpn10y = await fetchFinanceFlowBond('JPN_10Y', ENDPOINTS.financeflow.jpn_10y, null);
-  if (jpn10y.value === null) {
-    warn('JPN_10Y', 'FinanceFlow failed, trying FRED fallback');
-    jpn10y = await fetchFRED('JPN_10Y', ENDPOINTS.fred.jpn_10y, existing?.macro?.jpn_10y);
-    const cached = existing?.macro?.jpn_10y;
-    if (jpn10y.value !== null && cached?.data_date && jpn10y.data_date && jpn10y.data_date < cached.data_date) {
-      warn('JPN_10Y', `FRED data (${jpn10y.data_date}) older than cache (${cached.data_date}), keeping cache`);
-      jpn10y = cached;
-    }
-  }
-
-  let dxy = await fetchFinanceFlowCurrency('DXY', ENDPOINTS.financeflow.dxy, null);
-  if (dxy.value === null) {
-    warn('DXY', 'FinanceFlow failed, using cached value (FRED DTWEXBGS is wrong index)');
-    dxy = existing?.macro?.dxy ?? { value: null, data_date: null, source: 'cache' };
-  }
-
-  let sp500 = await fetchStooq('SP500', ENDPOINTS.stooq.sp500, null);
-  if (sp500.value === null) {
-    warn('SP500', 'Stooq failed, trying Twelve Data fallback');
-    sp500 = await fetchTwelveData('SP500', ENDPOINTS.twelve_data.sp500, existing?.macro?.sp500);
-  }
+  const { values, reports, registry } = await runRegistry(existing);
 
-  const xrplMetrics = await fetchXRPL(existing);
+  const xrplMetrics = withProvenance(await fetchXRPL(existing), existing?.xrpl_metrics, 'xrpl', 1);
 
-  const defiLlamaDex = await fetchDefiLlamaDex(existing?.xrpl_metrics);
-  if (defiLlamaDex.total24h != null) {
+  const defiLlamaDex = values.xrpl_dex;
+  if (defiLlamaDex?.total24h != null) {
     xrplMetrics.dex_volume_24h_usd = Math.round(defiLlamaDex.total24h);
-    if (xrp.price && xrp.price > 0) {
-      xrplMetrics.dex_volume_24h_xrp = Math.round(defiLlamaDex.total24h / xrp.price);
+    const xrpPrice = values.xrp?.price;
+    if (xrpPrice && xrpPrice > 0) {
+      xrplMetrics.dex_volume_24h_xrp = Math.round(defiLlamaDex.total24h / xrpPrice);
     }
   }
 
   const xIntelligence = await fetchXIntelligence(existing?.x_intelligence);
-  const x402Agent = await fetchX402Agent(existing);
+  const x402Agent = withProvenance(await fetchX402Agent(existing), existing?.x402_agent, 'xrpl', 1);
 
   const manual = {
     odl_volume_annualized:          existing?.manual?.odl_volume_annualized          ?? null,
@@ -986,12 +618,8 @@ async function main() {
     _last_manual_update:            existing?.manual?._last_manual_update            ?? null,
   };
 
-  // CoinGlass ETF data — XRP, BTC, ETH
-  const xrpEtf = await fetchCoinGlassETF('XRP', ENDPOINTS.coinglass.xrp_etf, existing?.etf);
-  const btcEtf = await fetchCoinGlassETF('BTC', ENDPOINTS.coinglass.btc_etf, existing?.btc_etf);
-  const ethEtf = await fetchCoinGlassETF('ETH', ENDPOINTS.coinglass.eth_etf, existing?.eth_etf);
-
   // If manual AUM is set and CoinGlass returned data, prefer manual AUM as authoritative
+  const xrpEtf = values.xrp_etf;
   if (xrpEtf && manual?.xrp_etf_aum != null) {
     xrpEtf.total_aum = manual.xrp_etf_aum;
     xrpEtf._cumulative_aum_note = 'Using manual AUM value (authoritative)';
@@ -1008,51 +636,48 @@ async function main() {
     macro_environment:      { status: 'STRESSED',      confidence: 'medium' },
   };
 
+  // Registry metrics land at their declared paths. The skeleton fixes the key
+  // order dashboard-data.json has always had; new paths are appended.
   const output = {
     updated:      new Date().toISOString(),
     auto_fetched: true,
-    xrp,
-    rlusd,
-    macro: {
-      usd_jpy:       usdJpy,
-      jpn_10y:       jpn10y,
-      us_10y_yield:  us10y,
-      brent_crude:   brent,
-      dxy:           dxy,
-      sp500:         sp500,
-      fear_greed:    fearGreed,
-    },
+    xrp:          null,
+    rlusd:        null,
+    macro:        {},
     xrpl_metrics: xrplMetrics,
     x_intelligence: xIntelligence,
     x402_agent: x402Agent,
-    etf:      xrpEtf,
-    btc_etf:  btcEtf,
-    eth_etf:  ethEtf,
+    etf:      null,
+    btc_etf:  null,
+    eth_etf:  null,
     manual,
-    kill_switches:  buildKillSwitches(manual, rlusd, xrpEtf),
+    kill_switches:  null,
     thesis_scores,
   };
+  applyToOutput(output, registry, values);
+
+  output.kill_switches = buildKillSwitches(output, loadDomainConfig().kill_switch_targets);
 
   fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
   log('io', `Wrote ${OUTPUT_PATH}`);
   await validateDataContract();
 
+  try {
+    recordObservations(output, [...seriesPaths(registry), ...COLLECTOR_SERIES]);
+  } catch (e) {
+    err('history', `Could not append metric history (non-fatal): ${e.message}`);
+  }
+
   console.log('\n─── Summary ───────────────────────────────────');
-  console.log(`XRP price:       ${xrp.price ?? 'N/A'}`);
-  console.log(`RLUSD mktcap:    ${rlusd.market_cap?.toLocaleString() ?? 'N/A'} (${rlusd.source})`);
-  console.log(`USD/JPY:         ${usdJpy.value ?? 'N/A'} (${usdJpy.data_date ?? 'no date'})`);
-  console.log(`JPN 10Y yield:   ${jpn10y.value ?? 'N/A'}% (${jpn10y.data_date ?? 'no date'})`);
-  console.log(`US 10Y yield:    ${us10y.value ?? 'N/A'}% (${us10y.data_date ?? 'no date'})`);
-  console.log(`Brent crude:     ${brent.value ?? 'N/A'} (${brent.data_date ?? 'no date'})`);
-  console.log(`DXY:             ${dxy.value ?? 'N/A'} (${dxy.data_date ?? 'no date'})`);
-  console.log(`S&P 500:         ${sp500.value ?? 'N/A'} (${sp500.data_date ?? 'no date'})`);
-  console.log(`Fear & Greed:    ${fearGreed.value ?? 'N/A'} (${fearGreed.label ?? 'N/A'}) (${fearGreed.data_date ?? 'no date'})`);
+  for (const [id, r] of Object.entries(reports)) {
+    const v = values[id];
+    const shown = v?.value ?? v?.price ?? v?.market_cap ?? v?.daily_net_flow ?? v?.total24h ?? null;
+    const p = r.provenance;
+    console.log(`${(id + ':').padEnd(17)}${shown?.toLocaleString() ?? 'N/A'}${r.units ? ` ${r.units}` : ''} (${r.provider ?? 'none'}, ${p.as_of ?? 'no date'}${p.stale ? ', STALE' : ''})`);
+  }
   console.log(`XRPL ledger:     #${xrplMetrics.current_ledger ?? 'N/A'}, ${xrplMetrics.last_ledger_txns ?? 'N/A'} txns, fee_burn=${xrplMetrics.fee_burn_per_ledger_xrp ?? 'N/A'} XRP`);
   console.log(`XRPL book:       ${xrplMetrics.book_depth_xrp_usd ? `${xrplMetrics.book_depth_xrp_usd.bids}b/${xrplMetrics.book_depth_xrp_usd.asks}a, best_bid=${xrplMetrics.book_depth_xrp_usd.best_bid}, best_ask=${xrplMetrics.book_depth_xrp_usd.best_ask}` : 'N/A'}`);
   console.log(`x402 agent:      ${x402Agent.payments_sent ?? 0} payments, ${x402Agent.balance_xrp ?? 'N/A'} XRP balance`);
-  console.log(`XRP ETF:         daily=${xrpEtf ? (xrpEtf.daily_net_flow/1e6).toFixed(1)+'M' : 'N/A'}, 5d=${xrpEtf ? (xrpEtf.weekly_net_flow/1e6).toFixed(1)+'M' : 'N/A'} (${xrpEtf?.flow_date ?? 'no data'})`);
-  console.log(`BTC ETF:         daily=${btcEtf ? (btcEtf.daily_net_flow/1e6).toFixed(1)+'M' : 'N/A'}, 5d=${btcEtf ? (btcEtf.weekly_net_flow/1e6).toFixed(1)+'M' : 'N/A'}`);
-  console.log(`ETH ETF:         daily=${ethEtf ? (ethEtf.daily_net_flow/1e6).toFixed(1)+'M' : 'N/A'}, 5d=${ethEtf ? (ethEtf.weekly_net_flow/1e6).toFixed(1)+'M' : 'N/A'}`);
   console.log('───────────────────────────────────────────────\n');
 
   await pushToGitHub();
@@ -1069,7 +694,7 @@ main().catch(e => {
 
 async function validateDataContract() {
   try {
-    const contractPath = path.join(__dirname, '..', 'data-contract.json');
+    const contractPath = sharedPath('data-contract.json');
     const contract     = JSON.parse(fs.readFileSync(contractPath, 'utf8'));
     const dashboard    = JSON.parse(fs.readFileSync(OUTPUT_PATH,  'utf8'));
 
@@ -1095,15 +720,36 @@ async function validateDataContract() {
       warn('contract', `missing field: ${f}`);
     }
 
+    // Provenance: every fetched metric must say where its value came from
+    const provenanceFields = Object.keys(contract?.provenance?.fields ?? {});
+    const missingProvenance = [];
+    const staleMetrics = [];
+    for (const metricPath of contract?.provenance?.required_on ?? []) {
+      const metric = metricPath.split('.').reduce((o, key) => o?.[key], dashboard);
+      if (metric == null) continue;  // no value at all — reported as a missing field
+      const prov = metric.provenance;
+      if (!prov || provenanceFields.some(f => !(f in prov))) {
+        missingProvenance.push(metricPath);
+      } else if (prov.stale) {
+        staleMetrics.push(metricPath);
+        warn('contract', `stale: ${metricPath} (as of ${prov.as_of ?? 'unknown'}, ${prov.carried_over ? 'carried over' : prov.source})`);
+      }
+    }
+    for (const f of missingProvenance) {
+      warn('contract', `missing provenance: ${f}`);
+    }
+
     try {
       const health = {
         fetch_timestamp:  new Date().toISOString(),
         fields_populated: populated,
         fields_total:     fields.length,
         missing_fields:   missing,
+        missing_provenance: missingProvenance,
+        stale_metrics:    staleMetrics,
         status:           missing.length === 0 ? 'OK' : 'DEGRADED',
       };
-      const healthPath = path.join(__dirname, 'pipeline-health.json');
+      const healthPath = path.join(SCRIPTS_DIR, 'pipeline-health.json');
       fs.writeFileSync(healthPath, JSON.stringify(health, null, 2));
       log('contract', `Pipeline health written (${health.status})`);
     } catch (writeErr) {
@@ -0,0 +1,668 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Scenario Generator — synthetic evolution scenarios with known ground truth
+ *
+ * The hand-authored evolutions (project-atlas, red-team-001, green-team-001)
+ * each took hours to obfuscate. This builds the same thing from a template:
+ * a stress curve over time, a deterministic market model that turns stress
+ * into dashboard-style data for a fixed-rate note / equity / yield facility /
+ * reserve architecture, and the expected thesis status at every step.
+ *
+ * Templates:
+ *   slow-bleed     — gradual, accelerating decline ending in terminal failure
+ *   false-alarm    — one sharp scare that recovers; no kill switch triggers
+ *   regime-change  — organic yield steps down and stays down; weakened, not failed
+ *   whipsaw        — stress oscillates every few days; the thesis stays contested
+ *
+ * Output follows the obscuration conventions of project-atlas:
+ *   - vocabulary disguise: a codename architecture ("Meridian Fixed-Rate Note (MFN)")
+ *   - numeric factor on market caps, volumes, supplies and reserves
+ *   - par mapping: the original $1.00 peg is quoted at the chosen par value
+ *   - a relative "Day N" timeline whose intervals are part of the signal
+ *
+ * Every expected_outcome carries the kill switch statuses computed from the
+ * generated numbers against the thresholds written into thesis-context.md,
+ * so the ground truth and the data cannot disagree: each kill switch at
+ * WARNING or TRIGGERED becomes a required signal for that step, graded by
+ * score-evolutions.js with the template's status bands and latest_exit_step.
+ * Same template, seed and options → byte-identical files.
+ *
+ * CLI:
+ *   node scripts/generate-scenario.js <template> [--name <dir>] [--seed N]
+ *        [--factor 1.3] [--par 100] [--codename <Name>] [--out <dir>] [--force]
+ *   node scripts/generate-scenario.js --list
+ *
+ * Writes evolutions/<name>/{scenario.json, domain.json, thesis-context.md};
+ * run it with node scripts/run-evolution.js evolutions/<name>.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { REPO_ROOT } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const EVOLUTIONS_DIR = path.join(REPO_ROOT, 'evolutions');
+const GENERATOR_VERSION = '1.0';
+const DEFAULT_FACTOR = 1.3;
+const DEFAULT_PAR = 100;
+const DEFAULT_SEED = 1;
+
+const CODENAMES = ['Meridian', 'Keystone', 'Halcyon', 'Bastion', 'Corvid', 'Solace', 'Tessera', 'Vantage', 'Lumen', 'Parallax'];
+
+// Pre-obscuration baseline: original units, $1.00 peg
+const BASELINE = {
+  note_supply:     18500000000,
+  equity_price:    85,
+  equity_shares:   352000000,
+  deposits:        12500000000,
+  collateral:      5600000000,
+  posted_yield:    16.5,
+  organic_yield:   8.1,
+};
+
+// Kill switch thresholds. Par deviation is a fraction of par; ratios are fractions.
+const THRESHOLDS = {
+  par_warning:            0.01,
+  par_triggered:          0.03,
+  yield_gap_warning:      10,
+  coverage_elevated:      0.25,
+  coverage_warning:       0.20,
+  coverage_triggered:     0.15,
+  supply_growth_elevated: 5,
+  supply_growth_warning:  20,
+  supply_growth_triggered: 100,
+  concentration_warning:  0.75,
+  // Compound stress legs: outflows as a fraction of baseline deposits, equity declines in % per period
+  outflow_elevated:       0.04,
+  outflow_critical:       0.16,
+  equity_decline_elevated: 15,
+  equity_decline_critical: 30,
+};
+
+// A kill switch at WARNING or TRIGGERED is a signal the step's output must mention
+const KILL_SWITCH_SIGNALS = {
+  par_stability:         { signal: 'Par deviation', pattern: '\\bpar\\b|deviation from par|peg' },
+  yield_sustainability:  { signal: 'Yield gap', pattern: 'yield (gap|sustainab)|organic yield' },
+  reserve_coverage:      { signal: 'Reserve coverage', pattern: 'coverage' },
+  swap_integrity:        { signal: 'Equity supply growth', pattern: 'supply growth|minting|minted|dilut' },
+  deposit_concentration: { signal: 'Deposit concentration', pattern: 'concentration' },
+};
+
+// ─── Templates ──────────────────────────────────────────────────────────────
+// stress is 0 (calm) to 1 (terminal). {note}, {equity}, {facility} and
+// {reserve} in labels and descriptions become the disguised names. band is
+// the set of statuses graded correct (default: thesis_status alone);
+// latest_exit_step is the last step at which EXIT_SIGNAL is still on time,
+// null when it is never warranted.
+
+const TEMPLATES = {
+  'slow-bleed': {
+    display_name: 'Slow Bleed',
+    description: 'Gradual loss of deposits and reserve coverage over two months that accelerates into a reflexive redemption spiral.',
+    latest_exit_step: 7,
+    timeline_note: 'Intervals shorten as the decline accelerates; the compression itself is the signal.',
+    steps: [
+      { label: 'Baseline Stability', days: 0, stress: 0.04, thesis_status: 'STABLE', description: '{note} trading at par. {facility} attracting modest deposits. {reserve} inactive.', notes: 'Healthy architecture. No kill switch pressure.' },
+      { label: 'Quiet Outflows', days: 21, stress: 0.1, thesis_status: 'STABLE', band: ['STABLE', 'CONTESTED'], description: 'Net deposits slow. {equity} drifts lower on light volume. No headline events.', notes: 'Small drift only. Flagging the direction is good; escalating is premature.' },
+      { label: 'Persistent Drift', days: 14, stress: 0.18, thesis_status: 'STABLE', band: ['STABLE', 'CONTESTED'], description: 'Third consecutive period of softer deposits. {note} a few cents under par.', notes: 'Drift now persists across three periods. Trajectory, not level, is the signal.' },
+      { label: 'Coverage Erosion', days: 14, stress: 0.3, thesis_status: 'CONTESTED', band: ['CONTESTED', 'WEAKENING'], description: '{reserve} collateral marked down. Redemptions rise. {equity} underperforms.', notes: 'Persistent trend plus reserve erosion. A good analyst calls CONTESTED here.' },
+      { label: 'Visible Stress', days: 10, stress: 0.44, thesis_status: 'WEAKENING', band: ['CONTESTED', 'WEAKENING'], description: '{note} breaks a dollar below par. {facility} outflows become headline news.', notes: 'Multiple indicators elevated simultaneously. WEAKENING with REDUCE_EXPOSURE expected.' },
+      { label: 'Reserve Deployment', days: 7, stress: 0.6, thesis_status: 'WEAKENING', band: ['WEAKENING', 'FALSIFIED'], description: '{reserve} begins deploying collateral to defend par. Swap minting accelerates.', notes: 'Reserve deployment is the backstop being used, not a sign of strength.' },
+      { label: 'Reflexive Spiral', days: 7, stress: 0.8, thesis_status: 'WEAKENING', band: ['WEAKENING', 'FALSIFIED'], description: 'Redemptions mint {equity}, dilution drives its price down, which mints more {equity} per redemption.', notes: 'EXIT_SIGNAL is the only acceptable recommendation. The swap mechanism is feeding the decline.' },
+      { label: 'Terminal Failure', days: 5, stress: 1.0, thesis_status: 'FALSIFIED', band: ['WEAKENING', 'FALSIFIED'], description: '{reserve} exhausted. {note} far below par. {equity} supply explodes.', notes: 'Complete thesis falsification.' },
+    ],
+    scoring: {
+      passing_criteria: {
+        minimum: 'CONTESTED or WEAKENING by the Visible Stress step. EXIT_SIGNAL by the Reflexive Spiral step.',
+        good: 'Flags the persistent drift as a trajectory at Persistent Drift. WEAKENING at Coverage Erosion.',
+        excellent: 'Identifies reserve erosion and the reflexive swap mechanism before Reserve Deployment, and generates corrections from its own slow start.',
+      },
+      failure_modes: {
+        critical_failure: 'STABLE or STRENGTHENING at the Reflexive Spiral or Terminal Failure step',
+        boiled_frog: 'Each step judged against the previous one only; cumulative decline never named',
+        velocity_blindness: 'Shortening intervals not flagged as acceleration',
+      },
+    },
+  },
+
+  'false-alarm': {
+    display_name: 'False Alarm',
+    description: 'A single sharp scare — large depositor exit, par wobble, equity sell-off — that the architecture absorbs without any kill switch triggering, followed by recovery.',
+    latest_exit_step: null,
+    timeline_note: 'The scare unfolds over days; the recovery is observed over weeks.',
+    steps: [
+      { label: 'Baseline Stability', days: 0, stress: 0.05, thesis_status: 'STABLE', description: '{note} trading at par. {facility} stable. {reserve} inactive.', notes: 'Healthy architecture.' },
+      { label: 'Routine Period', days: 7, stress: 0.1, thesis_status: 'STABLE', description: 'Normal activity. Minor {equity} volatility.', notes: 'Nothing to act on.' },
+      { label: 'Sharp Scare', days: 3, stress: 0.5, thesis_status: 'CONTESTED', description: 'Large institutional exit from {facility}. {note} dips below par. {equity} sells off hard.', notes: 'Elevated readings but no kill switch TRIGGERED and reserves untouched. INCREASE_MONITORING, not EXIT_SIGNAL.' },
+      { label: 'Stabilizing', days: 3, stress: 0.34, thesis_status: 'CONTESTED', band: ['CONTESTED', 'STABLE'], description: 'Outflows slow. {note} recovers most of its discount. {equity} partially rebounds.', notes: 'Recovery under way but unconfirmed. Holding CONTESTED is correct.' },
+      { label: 'Recovery', days: 7, stress: 0.14, thesis_status: 'STABLE', band: ['STABLE', 'CONTESTED'], description: 'Deposits return. {note} back at par. Coverage intact throughout.', notes: 'System should de-escalate. Staying escalated after the evidence has cleared is a failure.' },
+      { label: 'Normal Operations', days: 14, stress: 0.06, thesis_status: 'STABLE', description: 'Indicators back to baseline.', notes: 'Full de-escalation expected.' },
+    ],
+    scoring: {
+      passing_criteria: {
+        minimum: 'Never EXIT_SIGNAL. Back to STABLE by Normal Operations.',
+        good: 'CONTESTED at the scare with reasoning that separates elevated from triggered. STABLE at Recovery.',
+        excellent: 'Names the untouched reserves and sub-threshold supply growth as the reasons the scare is not structural, and de-escalates as soon as the data clears.',
+      },
+      failure_modes: {
+        critical_failure: 'EXIT_SIGNAL or FALSIFIED at any step',
+        ratchet: 'Escalates at the scare and never de-escalates',
+        noise_chasing: 'Treats a single-period move as a structural trend',
+      },
+    },
+  },
+
+  'regime-change': {
+    display_name: 'Regime Change',
+    description: 'The economic activity funding the facility yield steps down permanently. Nothing collapses, but the yield gap the thesis depends on no longer closes.',
+    latest_exit_step: null,
+    timeline_note: 'A sudden shift followed by long, quiet intervals; the absence of recovery is the signal.',
+    steps: [
+      { label: 'Baseline Stability', days: 0, stress: 0.05, thesis_status: 'STABLE', description: '{note} at par. {facility} yield funded by organic activity.', notes: 'Healthy architecture.' },
+      { label: 'Routine Period', days: 14, stress: 0.07, thesis_status: 'STABLE', description: 'Normal activity.', notes: 'Nothing to act on.' },
+      { label: 'Regime Shift', days: 2, stress: 0.4, organic_yield_shift: -5.5, thesis_status: 'CONTESTED', band: ['CONTESTED', 'WEAKENING'], description: 'The main source of organic yield for {facility} shuts down. Posted yield unchanged. Outflows begin.', notes: 'Yield gap crosses the sustainability threshold. The cause is structural, not a market wobble.' },
+      { label: 'New Normal', days: 7, stress: 0.42, organic_yield_shift: -5.5, thesis_status: 'WEAKENING', description: 'No replacement yield source announced. {facility} posted yield funded from reserves.', notes: 'The shift has persisted. WEAKENING with REDUCE_EXPOSURE expected.' },
+      { label: 'Persistent Gap', days: 14, stress: 0.44, organic_yield_shift: -5.5, thesis_status: 'WEAKENING', description: 'Slow, steady outflows. {note} holds near a small discount.', notes: 'No collapse, no recovery. Do not wait for a crash to confirm a changed premise.' },
+      { label: 'Settled Regime', days: 14, stress: 0.45, organic_yield_shift: -5.5, thesis_status: 'WEAKENING', description: 'Markets treat the lower yield as permanent. {equity} re-rated lower.', notes: 'Thesis premise no longer holds; not falsified by failure but by the changed regime.' },
+    ],
+    scoring: {
+      passing_criteria: {
+        minimum: 'WEAKENING by Persistent Gap. No FALSIFIED.',
+        good: 'CONTESTED at Regime Shift citing the yield gap. WEAKENING at New Normal.',
+        excellent: 'Identifies the organic yield step-down as a change of premise rather than a price event, and stops expecting mean reversion.',
+      },
+      failure_modes: {
+        critical_failure: 'STABLE at Settled Regime',
+        crash_anchoring: 'Waits for a collapse that the data never shows before escalating',
+        overreaction: 'EXIT_SIGNAL or FALSIFIED on a thesis that is weakened but solvent',
+      },
+    },
+  },
+
+  whipsaw: {
+    display_name: 'Whipsaw',
+    description: 'Stress spikes and relaxes every few days. No trend emerges in either direction; each reading alone looks like a signal.',
+    latest_exit_step: null,
+    timeline_note: 'Even, short intervals; alternating readings are the signal.',
+    steps: [
+      { label: 'Baseline Stability', days: 0, stress: 0.08, thesis_status: 'STABLE', description: '{note} at par. {facility} stable.', notes: 'Healthy architecture.' },
+      { label: 'First Spike', days: 3, stress: 0.45, thesis_status: 'CONTESTED', description: '{equity} sells off; {note} slips below par on heavy volume.', notes: 'Elevated, not triggered. INCREASE_MONITORING.' },
+      { label: 'Relief', days: 3, stress: 0.14, thesis_status: 'CONTESTED', description: 'Sharp rebound. {note} back near par.', notes: 'One calm reading after a spike is not recovery. Hold CONTESTED.' },
+      { label: 'Second Spike', days: 3, stress: 0.48, thesis_status: 'CONTESTED', description: 'Outflows return. {equity} gives back its rebound.', notes: 'Same shape, same magnitude. Not an escalation.' },
+      { label: 'Second Relief', days: 3, stress: 0.16, thesis_status: 'CONTESTED', description: 'Another rebound. {reserve} still untouched.', notes: 'Oscillation is the pattern. Do not flip to STABLE/HOLD_POSITION.' },
+      { label: 'Third Spike', days: 3, stress: 0.46, thesis_status: 'CONTESTED', description: 'Third sell-off of similar size.', notes: 'Do not flip to EXIT_SIGNAL. Peaks are not rising.' },
+      { label: 'Third Relief', days: 3, stress: 0.15, thesis_status: 'CONTESTED', description: 'Rebound. No structural change across the whole sequence.', notes: 'CONTESTED with INCREASE_MONITORING throughout is the disciplined call.' },
+    ],
+    scoring: {
+      passing_criteria: {
+        minimum: 'Never EXIT_SIGNAL. No more than two action changes across the run.',
+        good: 'CONTESTED from the first spike onward with INCREASE_MONITORING.',
+        excellent: 'Names the oscillation and the flat peaks explicitly, and holds a stable recommendation across the sequence.',
+      },
+      failure_modes: {
+        critical_failure: 'EXIT_SIGNAL at any spike',
+        flip_flopping: 'Action recommendation changes direction at three or more consecutive steps',
+        recency_bias: 'Each step assessed on its own reading without reference to the alternating history',
+      },
+    },
+  },
+};
+
+// ─── Seeded RNG ─────────────────────────────────────────────────────────────
+
+function hashSeed(seed) {
+  let h = 2166136261;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 — small, fast, and identical on every platform
+function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const money = value => Math.round(value / 1e6) * 1e6;
+const fmtMoney = value => (Math.abs(value) >= 1e9 ? `$${round(value / 1e9, 2)}B` : `$${Math.round(value / 1e6)}M`);
+
+function vocabulary(codename) {
+  const initial = codename[0].toUpperCase();
+  const slug = codename.toLowerCase();
+  return {
+    codename,
+    slug,
+    note_ticker:   `${initial}FN`,
+    equity_ticker: `${initial}SE`,
+    note_name:     `${codename} Fixed-Rate Note`,
+    equity_name:   `${codename} Sovereign Equity`,
+    facility_name: 'High-Yield Treasury Facility',
+    reserve_name:  'Stabilization Consortium',
+    equity_key:    `${slug}_sovereign_equity`,
+    note_key:      `${slug}_fixed_rate_note`,
+  };
+}
+
+function fillText(text, vocab) {
+  return text
+    .replace(/\{note\}/g, vocab.note_ticker)
+    .replace(/\{equity\}/g, vocab.equity_ticker)
+    .replace(/\{facility\}/g, `the ${vocab.facility_name}`)
+    .replace(/\{reserve\}/g, `the ${vocab.reserve_name}`)
+    .replace(/^the /, 'The ')
+    .replace(/\. the /g, '. The ');
+}
+
+// ─── Market Model ───────────────────────────────────────────────────────────
+
+/**
+ * Turn a stress curve into one market_data object per step. All values are
+ * computed in original units, then obscured: money × factor, note prices at
+ * par. The model is reflexive on purpose — redemptions mint equity at the
+ * current price, so a falling price mints more — which is the mechanism the
+ * pipeline is expected to identify.
+ */
+function simulateMarket(steps, { factor, par, rng, vocab }) {
+  const jitter = spread => 1 + (rng() * 2 - 1) * spread;
+  const state = {
+    supply:     BASELINE.note_supply,
+    shares:     BASELINE.equity_shares,
+    deposits:   BASELINE.deposits,
+    collateral: BASELINE.collateral,
+    price:      BASELINE.equity_price,
+  };
+
+  return steps.map((step, i) => {
+    const s = step.stress;
+    const prevPrice = state.price;
+
+    const redemptions = state.supply * (0.004 + 0.45 * s ** 2.5) * jitter(0.05);
+    const deployed = s >= 0.55 ? Math.min(state.collateral, redemptions * 0.5) : 0;
+    const price = BASELINE.equity_price * Math.max(0.01, 1 - 0.97 * s ** 1.8) * jitter(0.015);
+    const minted = i === 0 ? 0 : (redemptions - deployed) / price;
+    const supplyGrowthPct = (minted / state.shares) * 100;
+    const netDeposits = state.deposits * (0.015 * (1 - s) - 0.5 * s ** 2) * jitter(0.05);
+    const deviation = (0.085 * s ** 2 + 5.5 * Math.max(0, s - 0.7) ** 2) * jitter(0.03);
+
+    if (i > 0) {
+      state.supply -= redemptions;
+      state.shares += minted;
+      state.deposits += netDeposits;
+      state.collateral = state.collateral * (1 - 0.25 * s ** 1.5) - deployed;
+    }
+    state.price = price;
+
+    const organicYield = Math.max(0.2, (BASELINE.organic_yield + (step.organic_yield_shift || 0)) * (1 - 0.4 * s));
+    const postedYield = BASELINE.posted_yield - 4 * s;
+    const coverage = state.collateral / state.supply;
+    const changePct = i === 0 ? 0 : ((price - prevPrice) / prevPrice) * 100;
+
+    let deployment = 'inactive';
+    if (coverage < 0.01) deployment = 'exhausted';
+    else if (deployed > 0) deployment = s >= 0.75 ? 'fully deployed' : 'partial deployment';
+    else if (s >= 0.3) deployment = 'monitoring';
+
+    let mechanism = 'normal';
+    if (supplyGrowthPct > THRESHOLDS.supply_growth_triggered) mechanism = 'runaway minting';
+    else if (supplyGrowthPct > THRESHOLDS.supply_growth_warning) mechanism = 'strained';
+    else if (supplyGrowthPct > THRESHOLDS.supply_growth_elevated) mechanism = 'elevated minting';
+
+    const sentiment =
+      s < 0.15 ? ['high', 'stable architecture with a competitive yield proposition'] :
+      s < 0.35 ? ['cautious', 'architecture sound but deposit trends warrant attention'] :
+      s < 0.6  ? ['divided', 'split between temporary dislocation and structural concern'] :
+      s < 0.85 ? ['low', 'growing consensus that the stabilization mechanism is under strain'] :
+                 ['collapsed', 'architecture widely regarded as failed'];
+
+    return {
+      [vocab.equity_key]: {
+        price: round(price, 2),
+        change_period: round(price - prevPrice, 2),
+        change_period_pct: round(changePct, 1),
+        shares_outstanding: Math.round(state.shares * factor),
+        market_cap: money(price * state.shares * factor),
+        daily_volume: money(price * state.shares * factor * (0.07 + 0.6 * s)),
+      },
+      [vocab.note_key]: {
+        par_value: par,
+        current_price: round(par * (1 - deviation), 2),
+        deviation_from_par: round(-par * deviation, 2),
+        outstanding_supply: money(state.supply * factor),
+        daily_volume: money(state.supply * factor * (0.03 + 0.25 * s)),
+        redemptions_period: money((i === 0 ? state.supply * 0.004 : redemptions) * factor),
+      },
+      high_yield_treasury_facility: {
+        total_deposits: money(state.deposits * factor),
+        posted_yield_annual: round(postedYield, 1),
+        estimated_organic_yield: round(organicYield, 1),
+        net_deposits_period: money((i === 0 ? state.deposits * 0.02 : netDeposits) * factor),
+        concentration_ratio: round(state.deposits / state.supply, 3),
+      },
+      stabilization_consortium: {
+        tier1_collateral_value: money(Math.max(0, state.collateral) * factor),
+        deployment_status: deployment,
+        collateral_deployed_period: money(deployed * factor),
+        coverage_ratio: round(Math.max(0, coverage), 3),
+      },
+      debt_equity_swap_mechanism: {
+        redemptions_period: money((i === 0 ? state.supply * 0.004 : redemptions) * factor),
+        new_equity_minted_period: Math.round(minted * factor),
+        equity_supply_growth_period_pct: round(supplyGrowthPct, 1),
+        mechanism_status: mechanism,
+      },
+      market_sentiment: {
+        institutional_confidence: sentiment[0],
+        analyst_consensus: sentiment[1],
+      },
+    };
+  });
+}
+
+// ─── Ground Truth ───────────────────────────────────────────────────────────
+
+/**
+ * Kill switch statuses for one step's market_data, using the thresholds
+ * written into thesis-context.md.
+ */
+function assessKillSwitches(marketData, vocab) {
+  const note = marketData[vocab.note_key];
+  const facility = marketData.high_yield_treasury_facility;
+  const reserve = marketData.stabilization_consortium;
+  const swap = marketData.debt_equity_swap_mechanism;
+
+  const deviation = Math.abs(note.deviation_from_par) / note.par_value;
+  const gap = facility.posted_yield_annual - facility.estimated_organic_yield;
+  const coverage = reserve.coverage_ratio;
+  const growth = swap.equity_supply_growth_period_pct;
+
+  return {
+    par_stability:
+      deviation > THRESHOLDS.par_triggered ? 'TRIGGERED' :
+      deviation > THRESHOLDS.par_warning ? 'WARNING' : 'TRACKING',
+    yield_sustainability: gap > THRESHOLDS.yield_gap_warning ? 'WARNING' : 'MONITORING',
+    reserve_coverage:
+      coverage < THRESHOLDS.coverage_triggered ? 'TRIGGERED' :
+      coverage < THRESHOLDS.coverage_warning ? 'WARNING' :
+      coverage < THRESHOLDS.coverage_elevated ? 'ELEVATED' : 'TRACKING',
+    swap_integrity:
+      growth > THRESHOLDS.supply_growth_triggered ? 'TRIGGERED' :
+      growth > THRESHOLDS.supply_growth_warning ? 'WARNING' :
+      growth > THRESHOLDS.supply_growth_elevated ? 'ELEVATED' : 'TRACKING',
+    deposit_concentration: facility.concentration_ratio > THRESHOLDS.concentration_warning ? 'WARNING' : 'MONITORING',
+  };
+}
+
+function describeKillSwitches(statuses) {
+  const hot = Object.entries(statuses).filter(([, s]) => ['WARNING', 'TRIGGERED'].includes(s));
+  if (hot.length === 0) return 'Kill switches: none at WARNING or TRIGGERED.';
+  return `Kill switches: ${hot.map(([k, s]) => `${k} ${s}`).join(', ')}.`;
+}
+
+// ─── Documents ──────────────────────────────────────────────────────────────
+
+function buildDomainConfig(vocab) {
+  return {
+    domain: 'structured_finance',
+    thesis_name: `Project ${vocab.codename} Fixed-Rate Architecture`,
+    action_recommendations: [
+      { id: 'HOLD_POSITION', description: 'Maintain current assessment. No structural changes detected that alter thesis viability.' },
+      { id: 'INCREASE_MONITORING', description: 'Elevated signals detected. Increase monitoring frequency. Watch for compound stress indicators crossing elevated thresholds.' },
+      { id: 'REDUCE_EXPOSURE', description: 'Material structural stress detected. Recommend reducing position sizing or hedging. One or more kill switches approaching WARNING status.' },
+      { id: 'EXIT_SIGNAL', description: 'Fundamental thesis falsification detected. One or more kill switches TRIGGERED. Architecture is failing or has failed.' },
+    ],
+    action_severe: 'EXIT_SIGNAL',
+    action_monitor: 'INCREASE_MONITORING',
+    action_baseline: 'HOLD_POSITION',
+    audit_cadence: 2,
+    audit_cadence_description: 'Steps between scheduled Blind Auditor trajectory reviews. Set to 2 for evolution scenarios to allow both Phase 1 and Phase 2 within a short run.',
+    anomaly_triggers: [
+      { id: 'KILL_SWITCH_JUMP', description: 'Any kill switch changes status by 2+ levels in a single step', trigger: 'kill_switch_status_delta >= 2' },
+      { id: 'COMPOUND_STRESS_ESCALATION', description: 'Compound stress level increases by one or more levels', trigger: 'compound_stress_level_increase' },
+      { id: 'ACTION_STATUS_DIVERGENCE', description: 'thesis_status and action_recommendation move in opposite directions within the same step', trigger: 'status_direction != action_direction' },
+    ],
+    tension_score_threshold: 8,
+    tension_score_threshold_description: 'Cumulative impact score across unresolved tensions that triggers the Blind Auditor.',
+    auditor_model_provider: 'gemini',
+    auditor_model_name: 'gemini-2.5-pro',
+    auditor_phase1_instructions: 'The Blind Auditor has flagged a mismatch between your evidence trajectory and your action trajectory. Address this finding: either commit to acting on your assessment or justify the hold with specific, verifiable evidence that warrants continued restraint. A justification must name what specific new information you are waiting for and what observable outcome would resolve the question.',
+    auditor_override_actions: {
+      escalate_to: 'EXIT_SIGNAL',
+      deescalate_to: 'HOLD_POSITION',
+    },
+    scoring_terminology: {
+      scale_description: `0-100 scale measuring structural stress on the ${vocab.codename} Fixed-Rate Architecture thesis`,
+      low_range: '0-25: Thesis operating normally. Minor deviations within expected parameters.',
+      medium_range: '26-50: Elevated structural concern. One or more indicators in warning range.',
+      high_range: '51-75: Significant structural stress. Multiple compounding indicators. Kill switches under pressure.',
+      critical_range: '76-100: Thesis under severe threat or actively falsifying. Architecture demonstrating failure mode.',
+    },
+  };
+}
+
+function buildThesisContext(vocab, { factor, par }) {
+  const { note_ticker: NOTE, equity_ticker: EQ } = vocab;
+  const pct = v => `${Math.round(v * 100)}%`;
+  const dollars = fraction => `$${round(par * fraction, 2).toFixed(2)}`;
+  const outflowElevated = fmtMoney(BASELINE.deposits * THRESHOLDS.outflow_elevated * factor);
+  const outflowCritical = fmtMoney(BASELINE.deposits * THRESHOLDS.outflow_critical * factor);
+
+  return `# Project ${vocab.codename} — Thesis Context
+
+## Methodology
+This monitoring system implements The Integrity Protocol — a domain-agnostic cognitive transfer methodology that decomposes expert judgment into layered AI systems with epistemological guardrails. The four-layer architecture (SWEEP, CONTEXTUALIZE, INFER, RECONCILE) evaluates thesis health through falsification criteria, not confirmation bias.
+
+## Core Thesis
+Project ${vocab.codename} operates a sovereign debt architecture in which the ${vocab.note_name} (${NOTE}) maintains par value ($${par.toFixed(2)}) through an automated debt-to-equity swap mechanism with a free-floating equity instrument (${vocab.equity_name}, ${EQ}). The thesis holds that this mechanism can maintain the ${NOTE}'s par value under stress conditions, that the ${vocab.facility_name} will sustain deposits through yields funded by organic activity, and that the ${vocab.reserve_name}'s collateral reserves provide adequate backstop against systemic redemption pressure.
+
+## Position
+Monitoring structural health of ${NOTE} par stability, the debt-to-equity swap mechanism, deposit concentration, and reserve adequacy. This is an analytical framework evaluating whether the architecture is fundamentally sound or structurally fragile.
+
+## Kill Switches (Falsification Criteria)
+
+### Actively Monitored (5)
+1. **Par Stability**: ${NOTE} must hold $${par.toFixed(2)}. Deviation beyond ${dollars(THRESHOLDS.par_warning)} = WARNING. Beyond ${dollars(THRESHOLDS.par_triggered)} = TRIGGERED. STATUS: TRACKING
+2. **Facility Yield Sustainability**: ${vocab.facility_name} posted yield must be fundable through organic activity, not reserve depletion. Gap between posted and organic yield > ${THRESHOLDS.yield_gap_warning} points = WARNING. STATUS: MONITORING
+3. **Reserve Coverage Ratio**: ${vocab.reserve_name} Tier-1 Collateral must cover at minimum ${pct(THRESHOLDS.coverage_elevated)} of outstanding ${NOTE} supply. Below ${pct(THRESHOLDS.coverage_warning)} = WARNING. Below ${pct(THRESHOLDS.coverage_triggered)} = TRIGGERED. STATUS: TRACKING
+4. **Swap Mechanism Integrity**: The swap must clear redemptions without ${EQ} supply growing faster than ${THRESHOLDS.supply_growth_elevated}% per period. Supply growth > ${THRESHOLDS.supply_growth_warning}% per period = WARNING. > ${THRESHOLDS.supply_growth_triggered}% = TRIGGERED. STATUS: TRACKING
+5. **Deposit Concentration**: The ${vocab.facility_name} must not hold more than ${pct(THRESHOLDS.concentration_warning)} of all outstanding ${NOTE}. Above ${pct(THRESHOLDS.concentration_warning)} = structural fragility WARNING. STATUS: MONITORING
+
+### Manually Tracked (3)
+6. **Organic Demand**: ${NOTE} use in settlement outside the Facility. STATUS: UNKNOWN
+7. **Collateral Quality**: Tier-1 Collateral composition and liquidity under stress. STATUS: MONITORING
+8. **Regulatory Posture**: Regulatory classification of the debt-to-equity swap mechanism. STATUS: PENDING
+
+## Compound Stress Matrix
+MONITORING: Any one indicator in elevated range.
+ELEVATED: Two of (${NOTE} deviation > ${dollars(THRESHOLDS.par_warning / 2)}, Facility net outflows > ${outflowElevated}/period, ${EQ} price decline > ${THRESHOLDS.equity_decline_elevated}%/period) simultaneously.
+CRITICAL: Two of (${NOTE} deviation > ${dollars(THRESHOLDS.par_triggered)}, Facility net outflows > ${outflowCritical}/period, ${EQ} price decline > ${THRESHOLDS.equity_decline_critical}%/period) OR ${vocab.reserve_name} forced deployment.
+EMERGENCY: Consortium collateral exhausted + swap mechanism producing > 50% ${EQ} supply growth/period + ${NOTE} deviation > ${dollars(THRESHOLDS.par_triggered * 2)}.
+
+The break point of a pre-loaded structure is LOWER than the break point of an unloaded structure. If one leg is already elevated, less force is needed from the others to reach critical.
+
+## Scorecard Categories
+- Par Stability: TRACKING (medium confidence)
+- Yield Sustainability: MONITORING (low confidence — organic yield is an estimate)
+- Reserve Adequacy: TRACKING (medium confidence)
+- Swap Mechanism: TRACKING (medium confidence — untested under severe stress)
+- Deposit Concentration: MONITORING (medium confidence)
+- Regulatory Environment: PENDING (low confidence)
+`;
+}
+
+// ─── Generate ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a scenario from a template. Returns { name, scenario, domainConfig,
+ * thesisContext } without touching disk.
+ */
+function generateScenario(templateId, options = {}) {
+  const template = TEMPLATES[templateId];
+  if (!template) {
+    throw new Error(`Unknown template "${templateId}" — available: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  const seed = options.seed ?? DEFAULT_SEED;
+  if (!Number.isInteger(seed)) throw new Error(`seed must be an integer (got ${seed})`);
+  const factor = options.factor ?? DEFAULT_FACTOR;
+  const par = options.par ?? DEFAULT_PAR;
+  if (!(factor > 0)) throw new Error(`factor must be positive (got ${factor})`);
+  if (!(par > 0)) throw new Error(`par must be positive (got ${par})`);
+
+  const rng = createRng(`${templateId}:${seed}`);
+  const codename = options.codename || CODENAMES[Math.floor(rng() * CODENAMES.length)];
+  const vocab = vocabulary(codename);
+  const name = options.name || `synthetic-${templateId}-${seed}`;
+
+  const marketData = simulateMarket(template.steps, { factor, par, rng, vocab });
+
+  let day = 0;
+  const timeSteps = template.steps.map((step, i) => {
+    day += step.days;
+    const killSwitches = assessKillSwitches(marketData[i], vocab);
+    return {
+      step: i + 1,
+      label: step.label,
+      simulated_date: `Day ${day}`,
+      days_since_previous: step.days,
+      description: fillText(step.description, vocab),
+      market_data: marketData[i],
+      expected_outcome: {
+        thesis_status: step.thesis_status,
+        thesis_status_band: step.band || [step.thesis_status],
+        required_signals: Object.entries(killSwitches)
+          .filter(([, status]) => status === 'WARNING' || status === 'TRIGGERED')
+          .map(([id]) => KILL_SWITCH_SIGNALS[id]),
+        notes: `${fillText(step.notes, vocab)} ${describeKillSwitches(killSwitches)}`,
+        kill_switches: killSwitches,
+      },
+    };
+  });
+
+  const intervals = template.steps.slice(1).map(s => `${s.days}d`).join(' → ');
+  const scenario = {
+    name,
+    display_name: `Project ${codename} — ${template.display_name}`,
+    description: template.description,
+    version: '1.0',
+    evolution_type: `synthetic_${templateId.replace(/-/g, '_')}`,
+    evolution_number: null,
+    obscuration: {
+      original_subject: `SYNTHETIC — generated from the ${templateId} template, no real-world subject`,
+      method: `TradFi vocabulary disguise (${codename}), $${par} par value (vs $1 original), ${factor}x numeric factor on market caps, volumes, supplies and reserves, epoch-free relative timeline`,
+      factor,
+      par_value_mapping: `Original peg $1.00 → $${par.toFixed(2)} par value`,
+      timeline_mapping: `Day 0 = ${day} days before the final step. Intervals: ${intervals}. ${template.timeline_note}`,
+    },
+    ground_truth: {
+      latest_exit_step: template.latest_exit_step,
+    },
+    generator: {
+      template: templateId,
+      seed,
+      version: GENERATOR_VERSION,
+    },
+    time_steps: timeSteps,
+    corrections_ledger_seed: [],
+    scoring: {
+      method: 'thesis_status_match',
+      ...template.scoring,
+    },
+  };
+
+  return {
+    name,
+    scenario,
+    domainConfig: buildDomainConfig(vocab),
+    thesisContext: buildThesisContext(vocab, { factor, par }),
+  };
+}
+
+/**
+ * Generate and write evolutions/<name>/. Refuses to overwrite an existing
+ * scenario unless `force` is set — results/ and the corrections ledger of a
+ * previous run would no longer match the data.
+ */
+function writeScenario(templateId, options = {}) {
+  const generated = generateScenario(templateId, options);
+  const outDir = path.join(options.outDir || EVOLUTIONS_DIR, generated.name);
+
+  if (fs.existsSync(path.join(outDir, 'scenario.json')) && !options.force) {
+    throw new Error(`${outDir} already has a scenario.json — pass --force to overwrite`);
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'scenario.json'), JSON.stringify(generated.scenario, null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, 'domain.json'), JSON.stringify(generated.domainConfig, null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, 'thesis-context.md'), generated.thesisContext);
+
+  return { ...generated, dir: outDir };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  TEMPLATES,
+  THRESHOLDS,
+  generateScenario,
+  writeScenario,
+  assessKillSwitches,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = flag => {
+    const i = args.indexOf(flag);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const valueFlags = ['--name', '--seed', '--factor', '--par', '--codename', '--out'];
+  const templateId = args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]))[0];
+
+  if (args.includes('--list') || !templateId) {
+    console.log('Usage: node scripts/generate-scenario.js <template> [--name <dir>] [--seed N] [--factor 1.3] [--par 100] [--codename <Name>] [--out <dir>] [--force]\n');
+    console.log('Templates:');
+    for (const [id, t] of Object.entries(TEMPLATES)) {
+      console.log(`  ${id.padEnd(15)} ${t.steps.length} steps — ${t.description}`);
+    }
+    process.exit(templateId || args.includes('--list') ? 0 : 1);
+  }
+
+  const number = flag => (option(flag) !== undefined ? Number(option(flag)) : undefined);
+
+  try {
+    const result = writeScenario(templateId, {
+      name: option('--name'),
+      seed: number('--seed'),
+      factor: number('--factor'),
+      par: number('--par'),
+      codename: option('--codename'),
+      outDir: option('--out') ? path.resolve(option('--out')) : undefined,
+      force: args.includes('--force'),
+    });
+    console.log(`[generate] ${result.scenario.display_name}`);
+    console.log(`[generate] ${result.scenario.time_steps.length} steps, ${result.scenario.obscuration.timeline_mapping.split('. ')[0]}`);
+    for (const step of result.scenario.time_steps) {
+      console.log(`[generate]   Step ${step.step} ${step.simulated_date.padEnd(7)} ${step.label.padEnd(20)} expect ${step.expected_outcome.thesis_status}`);
+    }
+    console.log(`[generate] Wrote ${result.dir}/`);
+    console.log(`[generate] Run: node scripts/run-evolution.js ${path.relative(REPO_ROOT, result.dir)}`);
+  } catch (e) {
+    console.error(`[generate] ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Layer Output Schema Enforcement
+ *
+ * Validates each analytical layer's output against its JSON Schema
+ * (data/schema-layer{1-4}-output.json) before Tier 1 checks and the Layer
+ * Zero gate see it.
+ *
+ * Repair-or-reject:
+ *   - VALID                     — output matches the schema
+ *   - REPAIRED                  — a targeted re-prompt listing the exact failing
+ *                                 paths produced a conforming output
+ *   - ACCEPTED_WITH_VIOLATIONS  — non-critical violations remain; the output
+ *                                 continues and every violation is recorded
+ *   - REJECTED                  — critical violations remain (wrong root type or
+ *                                 a missing top-level field); the layer is treated
+ *                                 as failed
+ *   - SCHEMA_UNAVAILABLE        — schema file missing or unreadable; not enforced
+ *
+ * Violations carry flag_type SCHEMA_VIOLATION so the gate review ledger and
+ * the cognitive trace can keep them apart from Layer Zero rule violations.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { sharedPath } = require('./utils/paths');
+const { validate } = require('./utils/schema-validator');
+const { callModel } = require('./model-providers');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const SCHEMA_FLAG_TYPE = 'SCHEMA_VIOLATION';
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+const MAX_PATHS_IN_PROMPT = 40;
+
+const LAYER_NAMES = { 1: 'SWEEP', 2: 'CONTEXTUALIZE', 3: 'INFER', 4: 'RECONCILE' };
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(label, msg) { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] ⚠️ ${msg}`); }
+function err(label, msg) { console.error(`[${label}] 🚨 ${msg}`); }
+
+const schemaCache = new Map();
+
+/**
+ * Load the schema for a layer. Returns null when the file is missing or
+ * unreadable — validation is then skipped, never fatal.
+ */
+function loadLayerSchema(layerNumber, schemaDir) {
+  const fileName = `schema-layer${layerNumber}-output.json`;
+  const filePath = schemaDir ? path.join(schemaDir, fileName) : sharedPath(path.join('data', fileName));
+  if (schemaCache.has(filePath)) return schemaCache.get(filePath);
+  let schema = null;
+  try {
+    schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    warn(`schema-L${layerNumber}`, `Schema unavailable (${path.basename(filePath)}): ${e.message}`);
+  }
+  schemaCache.set(filePath, schema);
+  return schema;
+}
+
+/**
+ * Critical violations make the output unusable downstream: the root is the
+ * wrong type, or a top-level field the next layer reads is missing.
+ */
+function isCritical(violation) {
+  if (violation.path === '(root)') return true;
+  return violation.keyword === 'required' && !/[.[]/.test(violation.path);
+}
+
+/**
+ * Pipeline metadata (keys beginning with "_") is attached by code, not the
+ * model. It is left out of validation and repair and restored afterwards.
+ */
+function splitMetadata(output) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) return { body: output, meta: {} };
+  const body = {};
+  const meta = {};
+  for (const [k, v] of Object.entries(output)) {
+    if (k.startsWith('_')) meta[k] = v; else body[k] = v;
+  }
+  return { body, meta };
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a layer output against its schema.
+ *
+ * @param {number} layerNumber — 1-4
+ * @param {*}      output      — the layer's parsed JSON output
+ * @param {object} [options]
+ * @param {string} [options.schemaDir] — directory holding schema-layerN-output.json (default: data/)
+ * @returns {{ available: boolean, valid: boolean, violations: Array, critical: Array }}
+ */
+function validateLayerOutput(layerNumber, output, options) {
+  const opts = options || {};
+  const schema = loadLayerSchema(layerNumber, opts.schemaDir);
+  if (!schema) return { available: false, valid: true, violations: [], critical: [] };
+
+  const { body } = splitMetadata(output);
+  const result = validate(body, schema);
+  const violations = result.errors.map(e => ({
+    flag_type: SCHEMA_FLAG_TYPE,
+    layer: layerNumber,
+    path: e.path,
+    keyword: e.keyword,
+    message: e.message,
+  }));
+  return {
+    available: true,
+    valid: result.valid,
+    violations,
+    critical: violations.filter(isCritical),
+  };
+}
+
+// ─── Repair ─────────────────────────────────────────────────────────────────
+
+function buildRepairPrompt(layerNumber, body, violations) {
+  const listed = violations.slice(0, MAX_PATHS_IN_PROMPT)
+    .map(v => `- ${v.path}: ${v.message} [${v.keyword}]`)
+    .join('\n');
+  const more = violations.length > MAX_PATHS_IN_PROMPT
+    ? `\n- ... and ${violations.length - MAX_PATHS_IN_PROMPT} more violation(s) of the same kinds`
+    : '';
+  const rootShape = Array.isArray(body) ? 'JSON array' : 'JSON object';
+
+  return `Your Layer ${layerNumber} (${LAYER_NAMES[layerNumber]}) output failed schema validation. The following paths are invalid:
+
+${listed}${more}
+
+Fix ONLY these paths. Do not re-analyze, re-score, add, or remove findings. Preserve every other field exactly as given, including every signal_ids array. Use the allowed values named in each message. If a required field is missing, add it using only information already present in the output.
+
+Original output:
+${JSON.stringify(body, null, 2)}
+
+Respond with ONLY the complete corrected ${rootShape} — no markdown, no code fences, no commentary.`;
+}
+
+/**
+ * Validate a layer output and repair or reject it.
+ *
+ * Repair uses the layer's own model role. A repaired output is adopted only
+ * when it has fewer violations than the output it replaces.
+ *
+ * @param {number} layerNumber — 1-4
+ * @param {*}      output      — the layer's parsed JSON output (null = layer already failed)
+ * @param {object} [options]
+ * @param {object} [options.domainConfig]   — domain config (schema_validation.repair_attempts, model roles)
+ * @param {string} [options.schemaDir]      — schema directory override
+ * @param {number} [options.repairAttempts] — overrides schema_validation.repair_attempts
+ * @returns {Promise<{ output: *, validation: object }>} — output is the adopted
+ *   output, [] (Layer 1) or null (Layers 2-4) when REJECTED
+ */
+async function enforceLayerSchema(layerNumber, output, options) {
+  const opts = options || {};
+  const label = `schema-L${layerNumber}`;
+  const failedOutput = layerNumber === 1 ? [] : null;
+
+  if (output === null || output === undefined) {
+    return { output, validation: null };
+  }
+
+  const initial = validateLayerOutput(layerNumber, output, opts);
+  const validation = {
+    layer: layerNumber,
+    flag_type: SCHEMA_FLAG_TYPE,
+    status: null,
+    initial_violations: initial.violations,
+    violations: initial.violations,
+    repair_attempted: false,
+    repair_attempts: 0,
+    repair_error: null,
+    validated_at: new Date().toISOString(),
+  };
+
+  if (!initial.available) {
+    validation.status = 'SCHEMA_UNAVAILABLE';
+    return { output, validation };
+  }
+  if (initial.valid) {
+    validation.status = 'VALID';
+    log(label, `Layer ${layerNumber} output matches schema`);
+    return { output, validation };
+  }
+
+  warn(label, `Layer ${layerNumber} output has ${initial.violations.length} schema violation(s) (${initial.critical.length} critical)`);
+  for (const v of initial.violations.slice(0, 10)) {
+    warn(label, `  ${v.path}: ${v.message}`);
+  }
+
+  const configured = opts.domainConfig?.schema_validation?.repair_attempts;
+  const maxRepairs = opts.repairAttempts ?? (Number.isInteger(configured) ? configured : DEFAULT_REPAIR_ATTEMPTS);
+
+  const { meta } = splitMetadata(output);
+  let current = output;
+  let currentCheck = initial;
+
+  for (let attempt = 1; attempt <= maxRepairs && !currentCheck.valid; attempt++) {
+    validation.repair_attempted = true;
+    validation.repair_attempts = attempt;
+    log(label, `Repair attempt ${attempt}/${maxRepairs} — re-prompting with ${currentCheck.violations.length} failing path(s)`);
+    try {
+      const { body } = splitMetadata(current);
+      const { data } = await callModel(`layer${layerNumber}`, { prompt: buildRepairPrompt(layerNumber, body, currentCheck.violations) }, {
+        label: `${label}-repair`,
+        domainConfig: opts.domainConfig,
+        parse: 'json',
+      });
+      const candidate = (data && typeof data === 'object' && !Array.isArray(data)) ? { ...data, ...meta } : data;
+      const candidateCheck = validateLayerOutput(layerNumber, candidate, opts);
+      if (candidateCheck.violations.length < currentCheck.violations.length) {
+        current = candidate;
+        currentCheck = candidateCheck;
+        log(label, `Repair attempt ${attempt} adopted — ${candidateCheck.violations.length} violation(s) remain`);
+      } else {
+        warn(label, `Repair attempt ${attempt} discarded — ${candidateCheck.violations.length} violation(s), no improvement`);
+      }
+    } catch (e) {
+      validation.repair_error = e.message;
+      err(label, `Repair attempt ${attempt} failed: ${e.message}`);
+    }
+  }
+
+  validation.violations = currentCheck.violations;
+
+  if (currentCheck.valid) {
+    validation.status = 'REPAIRED';
+    log(label, `Layer ${layerNumber} output repaired`);
+    return { output: current, validation };
+  }
+  if (currentCheck.critical.length > 0) {
+    validation.status = 'REJECTED';
+    err(label, `Layer ${layerNumber} output REJECTED — ${currentCheck.critical.length} critical violation(s): ${currentCheck.critical.map(v => v.path).join(', ')}`);
+    return { output: failedOutput, validation };
+  }
+  validation.status = 'ACCEPTED_WITH_VIOLATIONS';
+  warn(label, `Layer ${layerNumber} output accepted with ${currentCheck.violations.length} non-critical violation(s)`);
+  return { output: current, validation };
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  SCHEMA_FLAG_TYPE,
+  loadLayerSchema,
+  validateLayerOutput,
+  enforceLayerSchema,
+};
@@ -16,25 +16,30 @@
  *   - Reviews individual findings, not the layer as a whole
  *   - Fully independent — no gate sees another gate's work
  *   - Does not know its position in the pipeline
- *   - Sonnet by default, Opus when Tier 1 code flags are present
+ *   - Routine model by default, elevated model when Tier 1 code flags are
+ *     present (roles gate_routine / gate_elevated in model-providers.js)
  *   - Pipeline never stops — flagged findings carry violation tags forward
  *   - All verdicts logged to gate-review-ledger.json for Sunday audit
+ *   - JSON Schema results from layer-schema.js ride along in the same ledger
+ *     entry, tagged SCHEMA_VIOLATION — kept apart from rule violations
  *
  * The Integrity Protocol (Patent Pending)
  */
 
 const path = require('path');
 const fs   = require('fs');
-const Anthropic = require('@anthropic-ai/sdk');
+const { DATA_DIR, sharedPath } = require('./utils/paths');
+const { writeLedger } = require('./ledger-integrity');
+const { callModel, resolveRole } = require('./model-providers');
 
 // ─── Default Paths ──────────────────────────────────────────────────────────
 
-const DEFAULT_GATE_LEDGER_PATH = path.join(__dirname, '..', 'data', 'gate-review-ledger.json');
+const DEFAULT_GATE_LEDGER_PATH = path.join(DATA_DIR, 'gate-review-ledger.json');
 
 // ─── Load Layer Zero Rules ──────────────────────────────────────────────────
 
 function loadLayerZeroRules() {
-  const rulesPath = path.join(__dirname, '..', 'data', 'layer-zero.json');
+  const rulesPath = sharedPath(path.join('data', 'layer-zero.json'));
   try {
     const data = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
     const rulesByCategory = data.layer_zero?.rules;
@@ -89,7 +94,7 @@ function appendToGateLedger(entry, ledgerPath) {
     if (ledger.length > 500) {
       ledger = ledger.slice(-500);
     }
-    fs.writeFileSync(targetPath, JSON.stringify(ledger, null, 2));
+    writeLedger(targetPath, ledger);
   } catch (e) {
     console.error(`[gate] Failed to write gate review ledger: ${e.message}`);
   }
@@ -173,6 +178,53 @@ function parseGateResponse(rawText, label) {
   }
 }
 
+// ─── Schema Validation Record ───────────────────────────────────────────────
+
+/**
+ * Compact form of an enforceLayerSchema() validation for the ledger.
+ * Returns null when no validation ran.
+ */
+function summarizeSchemaValidation(validation) {
+  if (!validation) return null;
+  return {
+    flag_type: validation.flag_type,
+    status: validation.status,
+    initial_violations_count: (validation.initial_violations || []).length,
+    violations_count: (validation.violations || []).length,
+    violations: validation.violations || [],
+    repair_attempted: validation.repair_attempted,
+    repair_error: validation.repair_error || null
+  };
+}
+
+/**
+ * Record a layer whose output was rejected on schema grounds. The gate does
+ * not run on a rejected layer, so this is the only ledger entry for it.
+ *
+ * @param {number} layerNumber
+ * @param {object} validation — from enforceLayerSchema()
+ * @param {object} [options]
+ * @param {string} [options.gateLedgerPath]
+ */
+function recordSchemaRejection(layerNumber, validation, options) {
+  const opts = options || {};
+  const result = {
+    violations: [],
+    compliance: 'SCHEMA_REJECTED',
+    model_used: 'none',
+    gate_failed: false
+  };
+  appendToGateLedger({
+    timestamp: new Date().toISOString(),
+    layer: layerNumber,
+    gate_result: result,
+    violations_count: 0,
+    compliance: result.compliance,
+    gate_failed: false,
+    schema_validation: summarizeSchemaValidation(validation)
+  }, opts.gateLedgerPath || DEFAULT_GATE_LEDGER_PATH);
+}
+
 // ─── Run Gate ───────────────────────────────────────────────────────────────
 
 /**
@@ -181,14 +233,17 @@ function parseGateResponse(rawText, label) {
  * @param {number} layerNumber  — which layer (1-4), used only for logging and ledger
  * @param {*}      layerOutput  — the layer's JSON output to review
  * @param {object} tier1Result  — result from runTier1Checks() { flags, hard_fails, total_flags }
- * @param {string} apiKey       — Anthropic API key
+ * @param {string|null} apiKey  — provider API key override (null = resolve from the role's provider config)
  * @param {object} [options]    — optional config for isolation
  * @param {string} [options.gateLedgerPath] — path to gate review ledger (default: data/gate-review-ledger.json)
+ * @param {object} [options.domainConfig]   — domain config for model role resolution
+ * @param {object} [options.schemaValidation] — enforceLayerSchema() validation, recorded in the ledger entry
  * @returns {Promise<object>}   — { violations, compliance, model_used, gate_failed }
  */
 async function runLayerZeroGate(layerNumber, layerOutput, tier1Result, apiKey, options) {
   const opts = options || {};
   const ledgerPath = opts.gateLedgerPath || DEFAULT_GATE_LEDGER_PATH;
+  const schemaValidation = summarizeSchemaValidation(opts.schemaValidation);
 
   const label = `gate-L${layerNumber}`;
   console.log(`[${label}] === LAYER ZERO GATE — Layer ${layerNumber} ===`);
@@ -209,7 +264,8 @@ async function runLayerZeroGate(layerNumber, layerOutput, tier1Result, apiKey, o
       layer: layerNumber,
       result: failResult,
       tier1_flags: tier1Result.flags,
-      gate_error: 'rules_load_failure'
+      gate_error: 'rules_load_failure',
+      schema_validation: schemaValidation
     }, ledgerPath);
     return failResult;
   }
@@ -217,49 +273,34 @@ async function runLayerZeroGate(layerNumber, layerOutput, tier1Result, apiKey, o
   const rulesText = formatRulesForPrompt(rules);
   const tier1Flags = tier1Result.flags || [];
 
-  // Model selection: Sonnet by default, Opus when code flags present
+  // Model selection: routine role by default, elevated role when code flags present
   const hasCodeFlags = tier1Result.total_flags > 0;
-  const model = hasCodeFlags ? 'claude-opus-4-6' : 'claude-sonnet-4-5-20250929';
+  const role = hasCodeFlags ? 'gate_elevated' : 'gate_routine';
+  const model = resolveRole(role, opts.domainConfig).model;
   console.log(`[${label}] Model: ${model} (${hasCodeFlags ? `${tier1Result.total_flags} code flag(s) — elevated` : 'no code flags — routine'})`);
 
   const prompt = buildGatePrompt(layerOutput, tier1Flags, rulesText);
 
-  const client = new Anthropic({ apiKey });
-
   let gateResult = null;
 
-  for (let attempt = 1; attempt <= 2; attempt++) {
-    try {
-      console.log(`[${label}] API call (attempt ${attempt})...`);
-      const response = await client.messages.create({
-        model,
-        max_tokens: 4000,
-        messages: [{ role: 'user', content: prompt }]
-      });
-      const raw = response.content[0].text;
-      gateResult = parseGateResponse(raw, label);
-
-      if (gateResult) {
-        const vCount = (gateResult.violations || []).length;
-        console.log(`[${label}] Complete: ${gateResult.findings_reviewed || 0} findings reviewed, ${vCount} violation(s), compliance: ${gateResult.overall_compliance}`);
-        if (vCount > 0) {
-          for (const v of gateResult.violations) {
-            const icon = v.severity === 'SERIOUS' ? '🚨' : v.severity === 'MODERATE' ? '⚠️' : 'ℹ️';
-            console.log(`[${label}]   ${icon} ${v.rule_violated}: ${v.finding} — ${v.violation.substring(0, 120)}`);
-          }
-        }
-        break;
-      }
-
-      console.warn(`[${label}] Attempt ${attempt} returned unparseable response`);
-    } catch (e) {
-      console.error(`[${label}] Attempt ${attempt} failed: ${e.message}`);
-      if (attempt === 2) {
-        console.error(`[${label}] Gate FAILED after 2 attempts`);
-      } else {
-        await new Promise(r => setTimeout(r, 5000));
+  try {
+    ({ data: gateResult } = await callModel(role, { prompt }, {
+      label,
+      domainConfig: opts.domainConfig,
+      apiKey: apiKey || undefined,
+      parse: (raw) => parseGateResponse(raw, label),
+    }));
+
+    const vCount = (gateResult.violations || []).length;
+    console.log(`[${label}] Complete: ${gateResult.findings_reviewed || 0} findings reviewed, ${vCount} violation(s), compliance: ${gateResult.overall_compliance}`);
+    if (vCount > 0) {
+      for (const v of gateResult.violations) {
+        const icon = v.severity === 'SERIOUS' ? '🚨' : v.severity === 'MODERATE' ? '⚠️' : 'ℹ️';
+        console.log(`[${label}]   ${icon} ${v.rule_violated}: ${v.finding} — ${v.violation.substring(0, 120)}`);
       }
     }
+  } catch (e) {
+    console.error(`[${label}] Gate FAILED after all attempts: ${e.message}`);
   }
 
   // Build result
@@ -292,7 +333,8 @@ async function runLayerZeroGate(layerNumber, layerOutput, tier1Result, apiKey, o
     gate_result: result,
     violations_count: result.violations.length,
     compliance: result.compliance,
-    gate_failed: result.gate_failed
+    gate_failed: result.gate_failed,
+    schema_validation: schemaValidation
   }, ledgerPath);
 
   return result;
@@ -302,6 +344,7 @@ async function runLayerZeroGate(layerNumber, layerOutput, tier1Result, apiKey, o
 
 module.exports = {
   runLayerZeroGate,
+  recordSchemaRejection,
   loadLayerZeroRules,
   formatRulesForPrompt,
 };
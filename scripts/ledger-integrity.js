@@ -0,0 +1,558 @@
+'use strict';
+
+/**
+ * Ledger Integrity — hash chain and optional signatures for the append-only ledgers
+ *
+ * The gate review ledger, corrections ledger, rejection log, acquisition
+ * outcomes and the cognitive traces are append-only by convention. This makes
+ * the convention checkable. Every entry (every trace file, for the traces)
+ * carries an _integrity seal:
+ *
+ *   { "v": 1, "seq": 41, "prev": "<hash of entry 40>", "hash": "<sha256>",
+ *     "sealed_at": "...", "key_id": "3f9c…", "sig": "<ed25519, base64>" }
+ *
+ *   hash = sha256(prev + "\n" + canonical JSON of the entry without _integrity)
+ *
+ * Canonical JSON is JSON.stringify with object keys sorted at every level, so
+ * the hash does not depend on the writer's key order or indentation.
+ *
+ * Editing an entry breaks its hash; deleting, inserting or reordering entries
+ * breaks the prev links and the seq run. Each ledger directory also keeps
+ * ledger-anchors.json — the head seq/hash and first seq of every ledger as
+ * last written — so dropping entries off either end is caught too.
+ *
+ * Entries that legitimately change after they are written (a rejection marked
+ * promoted, a correction enriched) go through amendEntry(), which appends an
+ * amendment hash of the new content, chained on the original seal. The chain
+ * link always uses the original seal hash, so amendments never re-chain later
+ * entries.
+ *
+ * Signing: set OVERWATCH_LEDGER_KEY to an Ed25519 private key (PEM contents or
+ * a path to the PEM file). Seals, amendments and anchors are then signed, and
+ * verification checks them against the public keys in config/ledger-keys/
+ * (<key_id>.pem). Without a key the chain still detects accidental and naive
+ * edits; with one, a rewrite also needs the private key.
+ *
+ * Writers call writeLedger() / sealTraceDocument() instead of writing the
+ * file directly. Ledgers written before this existed are adopted — sealed in
+ * their current order — on the first sealed write or by verify-ledgers --seal.
+ *
+ * verify-ledgers.js is the CLI on top of verifyLedger()/verifyTraces().
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path   = require('path');
+const fs     = require('fs');
+const crypto = require('crypto');
+const { DATA_DIR, CONFIG_DIR } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const INTEGRITY_FIELD = '_integrity';
+const SEAL_VERSION = 1;
+const GENESIS_HASH = '0'.repeat(64);
+const ANCHORS_FILE = 'ledger-anchors.json';
+const PUBLIC_KEYS_DIR = path.join(CONFIG_DIR, 'ledger-keys');
+const TRACE_PATTERN = /^cognitive-trace-.*\.json$/;
+
+/**
+ * The sealed ledgers under a data directory.
+ *   key    — the array lives under this property of the file's object
+ *   prunes — the writer trims old entries (the gate ledger keeps its last 500)
+ */
+const LEDGERS = {
+  'gate-review-ledger.json':   { prunes: true },
+  'corrections-ledger.json':   {},
+  'rejection-log.json':        {},
+  'acquisition-outcomes.json': { key: 'outcomes' },
+};
+const TRACES_LEDGER = 'cognitive-traces';
+
+function warn(msg) { console.warn(`[integrity] WARN: ${msg}`); }
+
+// ─── Hashing ────────────────────────────────────────────────────────────────
+
+/** JSON.stringify with object keys sorted at every level. */
+function canonicalJSON(value) {
+  if (value && typeof value.toJSON === 'function') value = value.toJSON();
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined || typeof v === 'function') ? 'null' : canonicalJSON(v)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const parts = [];
+    for (const key of Object.keys(value).sort()) {
+      const v = value[key];
+      if (v === undefined || typeof v === 'function') continue;
+      parts.push(`${JSON.stringify(key)}:${canonicalJSON(v)}`);
+    }
+    return `{${parts.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** The entry as hashed: everything but its seal. */
+function stripIntegrity(entry) {
+  if (!entry || typeof entry !== 'object' || !(INTEGRITY_FIELD in entry)) return entry;
+  const { [INTEGRITY_FIELD]: _seal, ...content } = entry;
+  return content;
+}
+
+function hashEntry(entry, prevHash) {
+  return crypto.createHash('sha256')
+    .update(`${prevHash || GENESIS_HASH}\n${canonicalJSON(stripIntegrity(entry))}`)
+    .digest('hex');
+}
+
+// ─── Keys ───────────────────────────────────────────────────────────────────
+
+function keyIdOf(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+let signingKeyCache;
+
+/**
+ * The signing key from OVERWATCH_LEDGER_KEY, or null when unset.
+ * @returns {{ privateKey: KeyObject, keyId: string }|null}
+ */
+function loadSigningKey() {
+  if (signingKeyCache !== undefined) return signingKeyCache;
+  const raw = process.env.OVERWATCH_LEDGER_KEY;
+  signingKeyCache = null;
+  if (!raw) return null;
+  try {
+    const pem = raw.includes('-----BEGIN') ? raw : fs.readFileSync(raw, 'utf8');
+    const privateKey = crypto.createPrivateKey(pem);
+    signingKeyCache = { privateKey, keyId: keyIdOf(crypto.createPublicKey(privateKey)) };
+  } catch (e) {
+    warn(`OVERWATCH_LEDGER_KEY unusable (${e.message}) — sealing unsigned`);
+  }
+  return signingKeyCache;
+}
+
+/** Public keys from config/ledger-keys/*.pem, keyed by key id. */
+function loadPublicKeys(keysDir) {
+  const dir = keysDir || PUBLIC_KEYS_DIR;
+  const keys = {};
+  if (!fs.existsSync(dir)) return keys;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.pem'))) {
+    try {
+      const key = crypto.createPublicKey(fs.readFileSync(path.join(dir, file), 'utf8'));
+      keys[keyIdOf(key)] = key;
+    } catch (e) {
+      warn(`${file} is not a public key (${e.message}) — ignored`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Generate an Ed25519 key pair: the private key to `privateKeyPath` (mode
+ * 0600, keep it out of the repo), the public key to config/ledger-keys/.
+ * @returns {{ keyId: string, publicKeyPath: string }}
+ */
+function generateSigningKey(privateKeyPath, keysDir) {
+  const dir = keysDir || PUBLIC_KEYS_DIR;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const keyId = keyIdOf(publicKey);
+  fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  fs.mkdirSync(dir, { recursive: true });
+  const publicKeyPath = path.join(dir, `${keyId}.pem`);
+  fs.writeFileSync(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+  return { keyId, publicKeyPath };
+}
+
+function sign(payload) {
+  const key = loadSigningKey();
+  if (!key) return {};
+  return { key_id: key.keyId, sig: crypto.sign(null, Buffer.from(payload), key.privateKey).toString('base64') };
+}
+
+/** 'VALID' | 'INVALID' | 'UNKNOWN_KEY' | 'UNSIGNED' */
+function checkSignature(record, payload, publicKeys) {
+  if (!record.sig) return 'UNSIGNED';
+  const key = publicKeys[record.key_id];
+  if (!key) return 'UNKNOWN_KEY';
+  try {
+    return crypto.verify(null, Buffer.from(payload), key, Buffer.from(record.sig, 'base64')) ? 'VALID' : 'INVALID';
+  } catch (e) {
+    return 'INVALID';
+  }
+}
+
+const sealPayload      = s => `seal:${s.seq}:${s.prev}:${s.hash}`;
+const amendmentPayload = (s, a, prev) => `amend:${s.seq}:${prev}:${a.hash}`;
+const anchorPayload    = a => `anchor:${a.ledger}:${a.first_seq}:${a.head_seq}:${a.head_hash}:${a.count}`;
+
+// ─── Sealing ────────────────────────────────────────────────────────────────
+
+function sealOne(entry, prevSeal) {
+  const seq = prevSeal ? prevSeal.seq + 1 : 0;
+  const prev = prevSeal ? prevSeal.hash : GENESIS_HASH;
+  const seal = { v: SEAL_VERSION, seq, prev, hash: hashEntry(entry, prev), sealed_at: new Date().toISOString() };
+  Object.assign(seal, sign(sealPayload(seal)));
+  entry[INTEGRITY_FIELD] = seal;
+  return seal;
+}
+
+/**
+ * Seal every entry after the last sealed one, in place. An array with no
+ * sealed entries is adopted whole, in its current order.
+ * @returns {number} entries sealed
+ */
+function sealEntries(entries) {
+  let lastSealed = -1;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i]?.[INTEGRITY_FIELD]) { lastSealed = i; break; }
+  }
+  let prevSeal = lastSealed >= 0 ? entries[lastSealed][INTEGRITY_FIELD] : null;
+  let sealed = 0;
+  for (let i = lastSealed + 1; i < entries.length; i++) {
+    if (!entries[i] || typeof entries[i] !== 'object') continue;
+    prevSeal = sealOne(entries[i], prevSeal);
+    sealed++;
+  }
+  return sealed;
+}
+
+/**
+ * Record a deliberate change to an already-sealed entry. Call after mutating
+ * the entry and before writing it. Unsealed entries are left alone — they are
+ * sealed as they stand on the next write.
+ */
+function amendEntry(entry, reason) {
+  const seal = entry?.[INTEGRITY_FIELD];
+  if (!seal) return entry;
+  const amendments = seal.amendments || [];
+  const prev = amendments.length ? amendments[amendments.length - 1].hash : seal.hash;
+  const hash = hashEntry(entry, prev);
+  if (hash === prev) return entry;
+  const amendment = { at: new Date().toISOString(), reason: reason || null, hash };
+  Object.assign(amendment, sign(amendmentPayload(seal, amendment, prev)));
+  seal.amendments = [...amendments, amendment];
+  return entry;
+}
+
+// ─── Anchors ────────────────────────────────────────────────────────────────
+
+function anchorsPath(dir) {
+  return path.join(dir, ANCHORS_FILE);
+}
+
+function loadAnchors(dir) {
+  try {
+    const p = anchorsPath(dir);
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (e) {
+    warn(`${ANCHORS_FILE} unreadable: ${e.message}`);
+  }
+  return {};
+}
+
+function writeAnchor(dir, ledger, items) {
+  const seals = items.map(e => e?.[INTEGRITY_FIELD]).filter(Boolean);
+  if (seals.length === 0) return;
+  const head = seals[seals.length - 1];
+  const anchor = {
+    ledger,
+    first_seq: seals[0].seq,
+    head_seq:  head.seq,
+    head_hash: head.hash,
+    count:     seals.length,
+    anchored_at: new Date().toISOString(),
+  };
+  Object.assign(anchor, sign(anchorPayload(anchor)));
+  const anchors = loadAnchors(dir);
+  anchors[ledger] = anchor;
+  fs.writeFileSync(anchorsPath(dir), JSON.stringify(anchors, null, 2));
+}
+
+// ─── Writers ────────────────────────────────────────────────────────────────
+
+/**
+ * Seal new entries and write a ledger file, then move its anchor.
+ *
+ * @param {string} filePath — ledger JSON file
+ * @param {Array|object} data — the array, or the object holding it under options.key
+ * @param {object} [options]
+ * @param {string} [options.key] — property holding the entry array (acquisition outcomes)
+ */
+function writeLedger(filePath, data, options) {
+  const opts = options || {};
+  const key = opts.key ?? LEDGERS[path.basename(filePath)]?.key;
+  const entries = key ? data[key] : data;
+  if (Array.isArray(entries)) sealEntries(entries);
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  if (Array.isArray(entries)) {
+    try {
+      writeAnchor(path.dirname(filePath), path.basename(filePath), entries);
+    } catch (e) {
+      warn(`Anchor update failed for ${path.basename(filePath)}: ${e.message}`);
+    }
+  }
+}
+
+function listTraceFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => TRACE_PATTERN.test(f)).sort();
+}
+
+function readJSON(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Seal a cognitive trace before it is written as `traceFilename` in `dir`,
+ * chained to the latest sealed trace there. When no trace in `dir` is sealed
+ * yet, the existing traces are adopted first, in filename order.
+ */
+function sealTraceDocument(doc, dir, traceFilename) {
+  const files = listTraceFiles(dir).filter(f => f !== traceFilename);
+  let prevSeal = null;
+  for (let i = files.length - 1; i >= 0 && !prevSeal; i--) {
+    prevSeal = readJSON(path.join(dir, files[i]))?.[INTEGRITY_FIELD] || null;
+  }
+  let adopted = 0;
+  if (!prevSeal) {
+    for (const f of files) {
+      const existing = readJSON(path.join(dir, f));
+      if (!existing) continue;
+      prevSeal = sealOne(existing, prevSeal);
+      fs.writeFileSync(path.join(dir, f), JSON.stringify(existing, null, 2));
+      adopted++;
+    }
+  }
+  const seal = sealOne(doc, prevSeal);
+  return { seal, adopted };
+}
+
+/** Move the traces anchor after a sealed trace has been written. */
+function anchorTraces(dir) {
+  try {
+    const docs = listTraceFiles(dir).map(f => readJSON(path.join(dir, f)));
+    writeAnchor(dir, TRACES_LEDGER, docs);
+  } catch (e) {
+    warn(`Anchor update failed for traces: ${e.message}`);
+  }
+}
+
+// ─── Verification ───────────────────────────────────────────────────────────
+
+/**
+ * Verify a sequence of sealed items (ledger entries or trace documents).
+ *
+ * @param {Array}  items
+ * @param {object} [options]
+ * @param {object} [options.anchor]     — this ledger's ledger-anchors.json record
+ * @param {boolean} [options.prunes]    — entries may be trimmed off the front
+ * @param {object} [options.publicKeys] — key id → KeyObject
+ * @param {string[]} [options.labels]   — per-item labels for issues (trace filenames)
+ * @returns {{ status, count, sealed, signed, amended, head, issues, items }}
+ *   status: VERIFIED | TAMPERED | UNSEALED | EMPTY
+ *   items:  per-item { label, seq, status, signed } — status VERIFIED | TAMPERED | UNSEALED
+ */
+function verifyItems(items, options) {
+  const opts = options || {};
+  const publicKeys = opts.publicKeys || {};
+  const issues = [];
+  const perItem = [];
+  let prevSeal = null;
+  let sealedCount = 0;
+  let signedCount = 0;
+  let amendedCount = 0;
+
+  items.forEach((item, i) => {
+    const label = opts.labels?.[i] ?? `#${i}`;
+    const itemIssues = [];
+    const flag = (type, detail) => {
+      itemIssues.push(type);
+      issues.push({ index: i, label, seq: seal?.seq ?? null, type, detail });
+    };
+    const seal = item?.[INTEGRITY_FIELD];
+
+    if (!seal) {
+      // An unsealed item is only expected before anything has been sealed
+      if (sealedCount > 0 || opts.anchor) flag('UNSEALED', 'entry has no seal — written around the ledger writer');
+      perItem.push({ label, seq: null, status: 'UNSEALED', signed: false });
+      return;
+    }
+    sealedCount++;
+
+    // Position in the chain
+    if (!prevSeal) {
+      const expectedFirst = opts.anchor ? opts.anchor.first_seq : 0;
+      if (seal.seq !== expectedFirst && !(opts.prunes && !opts.anchor && seal.seq > 0)) {
+        flag('HEAD_DELETED', `chain starts at seq ${seal.seq}, expected ${expectedFirst}`);
+      } else if (seal.seq === 0 && seal.prev !== GENESIS_HASH) {
+        flag('CHAIN_BROKEN', 'first entry does not link to the genesis hash');
+      }
+    } else if (seal.seq <= prevSeal.seq) {
+      flag('REORDERED', `seq ${seal.seq} follows seq ${prevSeal.seq}`);
+    } else if (seal.seq !== prevSeal.seq + 1) {
+      flag('DELETED', `${seal.seq - prevSeal.seq - 1} entr${seal.seq - prevSeal.seq - 1 === 1 ? 'y' : 'ies'} missing between seq ${prevSeal.seq} and ${seal.seq}`);
+    } else if (seal.prev !== prevSeal.hash) {
+      flag('CHAIN_BROKEN', `prev hash does not match seq ${prevSeal.seq}`);
+    }
+
+    // Content against the latest hash (the seal, or its last amendment)
+    const amendments = seal.amendments || [];
+    if (amendments.length) amendedCount++;
+    const contentPrev = amendments.length ? (amendments[amendments.length - 2]?.hash ?? seal.hash) : seal.prev;
+    const contentHash = amendments.length ? amendments[amendments.length - 1].hash : seal.hash;
+    if (hashEntry(item, contentPrev) !== contentHash) {
+      flag('MODIFIED', amendments.length ? 'content differs from the last amendment' : 'content differs from the seal');
+    }
+
+    // Signatures
+    const sigs = [checkSignature(seal, sealPayload(seal), publicKeys)];
+    amendments.forEach((a, k) => sigs.push(checkSignature(a, amendmentPayload(seal, a, k === 0 ? seal.hash : amendments[k - 1].hash), publicKeys)));
+    if (sigs.includes('INVALID')) flag('BAD_SIGNATURE', 'signature does not verify');
+    else if (sigs.includes('UNKNOWN_KEY')) flag('UNKNOWN_KEY', `signed with key ${seal.key_id || amendments.find(a => !publicKeys[a.key_id])?.key_id} not in config/ledger-keys`);
+    // Seals from before a key was configured are unsigned; after the first
+    // signed seal, a missing signature means one was stripped
+    else if (signedCount > 0 && sigs.includes('UNSIGNED')) flag('UNSIGNED', 'signature missing after signing began');
+    const signed = sigs.every(s => s === 'VALID');
+    if (signed) signedCount++;
+
+    perItem.push({ label, seq: seal.seq, hash: seal.hash, status: itemIssues.length ? 'TAMPERED' : 'VERIFIED', signed, issues: itemIssues });
+    prevSeal = seal;
+  });
+
+  // The anchor catches entries dropped off the end
+  if (opts.anchor) {
+    const a = opts.anchor;
+    if (!prevSeal) {
+      issues.push({ index: null, label: 'anchor', seq: a.head_seq, type: 'TRUNCATED', detail: `anchor records ${a.count} sealed entries, none present` });
+    } else if (prevSeal.seq < a.head_seq) {
+      issues.push({ index: null, label: 'anchor', seq: prevSeal.seq, type: 'TRUNCATED', detail: `head is seq ${prevSeal.seq}, anchor records seq ${a.head_seq}` });
+    } else if (prevSeal.seq === a.head_seq && prevSeal.hash !== a.head_hash) {
+      issues.push({ index: null, label: 'anchor', seq: prevSeal.seq, type: 'CHAIN_BROKEN', detail: 'head hash differs from the anchor' });
+    }
+    const anchorSig = checkSignature(a, anchorPayload(a), publicKeys);
+    if (anchorSig === 'INVALID') {
+      issues.push({ index: null, label: 'anchor', seq: a.head_seq, type: 'BAD_SIGNATURE', detail: 'anchor signature does not verify' });
+    }
+  }
+
+  const status = items.length === 0 && !opts.anchor ? 'EMPTY'
+    : issues.length > 0 ? 'TAMPERED'
+    : sealedCount === 0 ? 'UNSEALED'
+    : 'VERIFIED';
+
+  return {
+    status,
+    count: items.length,
+    sealed: sealedCount,
+    signed: signedCount,
+    amended: amendedCount,
+    head: prevSeal ? { seq: prevSeal.seq, hash: prevSeal.hash } : null,
+    issues,
+    items: perItem,
+  };
+}
+
+/**
+ * Verify one ledger file in `dir` (default data/).
+ * @returns {object} verifyItems() result plus { ledger, missing }
+ */
+function verifyLedger(name, options) {
+  const opts = options || {};
+  const dir = opts.dir || DATA_DIR;
+  const filePath = path.join(dir, name);
+  const anchor = loadAnchors(dir)[name] || null;
+  if (!fs.existsSync(filePath)) {
+    return { ledger: name, missing: true, ...verifyItems([], { anchor, publicKeys: opts.publicKeys }) };
+  }
+  const data = readJSON(filePath);
+  const key = LEDGERS[name]?.key;
+  const entries = key ? data?.[key] : data;
+  if (!Array.isArray(entries)) {
+    return { ledger: name, missing: false, status: 'TAMPERED', count: 0, sealed: 0, signed: 0, amended: 0, head: null, items: [],
+      issues: [{ index: null, label: name, seq: null, type: 'UNREADABLE', detail: 'not a JSON ledger' }] };
+  }
+  return {
+    ledger: name,
+    missing: false,
+    ...verifyItems(entries, { anchor, prunes: LEDGERS[name]?.prunes, publicKeys: opts.publicKeys }),
+  };
+}
+
+/** Verify the cognitive trace chain in `dir` (default data/). */
+function verifyTraces(options) {
+  const opts = options || {};
+  const dir = opts.dir || DATA_DIR;
+  const files = listTraceFiles(dir);
+  const docs = files.map(f => readJSON(path.join(dir, f)) ?? {});
+  return {
+    ledger: TRACES_LEDGER,
+    missing: files.length === 0,
+    ...verifyItems(docs, { anchor: loadAnchors(dir)[TRACES_LEDGER] || null, publicKeys: opts.publicKeys, labels: files }),
+  };
+}
+
+/**
+ * Adopt unsealed ledgers and traces in `dir`: seal them in their current
+ * order and anchor them. Ledgers that already have sealed entries only get
+ * their unsealed tail sealed.
+ * @returns {object} ledger → entries sealed
+ */
+function sealAll(options) {
+  const opts = options || {};
+  const dir = opts.dir || DATA_DIR;
+  const sealed = {};
+  for (const [name, cfg] of Object.entries(LEDGERS)) {
+    const filePath = path.join(dir, name);
+    if (!fs.existsSync(filePath)) continue;
+    const data = readJSON(filePath);
+    const entries = cfg.key ? data?.[cfg.key] : data;
+    if (!Array.isArray(entries)) continue;
+    sealed[name] = sealEntries(entries);
+    writeLedger(filePath, data);
+  }
+  const files = listTraceFiles(dir);
+  let traceCount = 0;
+  let prevSeal = null;
+  for (const f of files) {
+    const doc = readJSON(path.join(dir, f));
+    if (!doc) continue;
+    if (doc[INTEGRITY_FIELD]) { prevSeal = doc[INTEGRITY_FIELD]; continue; }
+    prevSeal = sealOne(doc, prevSeal);
+    fs.writeFileSync(path.join(dir, f), JSON.stringify(doc, null, 2));
+    traceCount++;
+  }
+  if (files.length) anchorTraces(dir);
+  sealed[TRACES_LEDGER] = traceCount;
+  return sealed;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  INTEGRITY_FIELD,
+  GENESIS_HASH,
+  LEDGERS,
+  TRACES_LEDGER,
+  ANCHORS_FILE,
+  PUBLIC_KEYS_DIR,
+  canonicalJSON,
+  stripIntegrity,
+  hashEntry,
+  loadSigningKey,
+  loadPublicKeys,
+  generateSigningKey,
+  sealEntries,
+  amendEntry,
+  writeLedger,
+  sealTraceDocument,
+  anchorTraces,
+  verifyItems,
+  verifyLedger,
+  verifyTraces,
+  sealAll,
+};
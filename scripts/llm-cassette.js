@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Overwatch Terminal — LLM Cassette (Record / Replay)
+ *
+ * Lets the full production pipeline run offline. A live run started with
+ * `--record <cassette>` saves every model request and response (every
+ * model-providers.js call, plus Base acquisitions) together with a
+ * snapshot of the state files the run reads. `--replay <cassette>` rebuilds
+ * that state in an isolated workspace and re-runs analyze-thesis.js main()
+ * against it, serving responses from the cassette instead of the network.
+ *
+ * Replays run on a frozen clock that starts at the recorded run start and
+ * steps forward only as interactions are served, so two replays of the same
+ * cassette write byte-identical 360-report.json and cognitive-trace output.
+ * A prompt change shows up as a drift entry in replay-report.json; an output
+ * change shows up as a diff between replay workspaces.
+ *
+ * Mode is carried in the environment so it reaches every module without
+ * threading options through the pipeline:
+ *   OVERWATCH_CASSETTE       — cassette file path
+ *   OVERWATCH_CASSETTE_MODE  — 'record' | 'replay'
+ *   OVERWATCH_ROOT           — replay workspace (see utils/paths.js)
+ *   OVERWATCH_DOMAIN         — the recorded --domain, if any
+ *
+ * Usage:
+ *   node analyze-thesis.js --record cassettes/run.json
+ *   node analyze-thesis.js --replay cassettes/run.json [--replay-out <dir>]
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path   = require('path');
+const fs     = require('fs');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { REPO_ROOT, ROOT_DIR, DATA_DIR, CONFIG_DIR, SCRIPTS_DIR, DOMAIN_ID, sharedPath } = require('./utils/paths');
+
+const CASSETTE_VERSION = 2;
+const WORKSPACE_MARKER = '.replay-workspace';
+
+// Keys whose presence changes pipeline branching. Only presence is recorded —
+// replays receive a placeholder so the same code paths are taken.
+const BRANCHING_ENV_KEYS = ['ANTHROPIC_API_KEY', 'GEMINI_API_KEY', 'BASE_WALLET_PRIVATE_KEY'];
+
+// Never reachable from a replay, even when scripts/.env defines them.
+const SUPPRESSED_ENV_KEYS = ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'];
+
+// Files main() reads that the data/*.json sweep below misses. With --domain
+// these live in domains/<id>/ — see utils/paths.js.
+const SNAPSHOT_FILES = [
+  path.join(ROOT_DIR, 'dashboard-data.json'),
+  path.join(SCRIPTS_DIR, 'thesis-context.md'),
+  path.join(SCRIPTS_DIR, 'analysis-history.json'),
+  path.join(SCRIPTS_DIR, 'pipeline-health.json'),
+  path.join(DATA_DIR, 'metric-history.jsonl'),
+];
+
+// Files every domain shares unless it ships its own copy.
+const SHARED_FILES = [
+  'data/layer-zero.json',
+  'data/schema-layer1-output.json',
+  'data/schema-layer2-output.json',
+  'data/schema-layer3-output.json',
+  'data/schema-layer4-output.json',
+];
+
+// data/ files that are derived views or never read by the pipeline.
+const SNAPSHOT_EXCLUDE = new Set(['flight-recorder-data.json', 'ab-test-results.json']);
+
+function log(label, msg)  { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
+
+// ─── Mode ────────────────────────────────────────────────────────────────────
+
+const state = {
+  mode: process.env.OVERWATCH_CASSETTE_MODE || 'off',
+  cassettePath: process.env.OVERWATCH_CASSETTE || null,
+  cassette: null,
+  queues: null,
+  served: 0,
+  drift: [],
+  clockMs: null,
+};
+
+function getMode() {
+  return state.cassettePath ? state.mode : 'off';
+}
+
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function loadCassette(cassettePath) {
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  if (cassette._cassette_version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette._cassette_version} (expected ${CASSETTE_VERSION})`);
+  }
+  return cassette;
+}
+
+// ─── Snapshot ────────────────────────────────────────────────────────────────
+
+/**
+ * Capture every state file the pipeline reads, keyed by repo-relative path.
+ * Cognitive traces are large and only the newest is ever read (by the Blind
+ * Auditor, via trace-index.json), so older traces are left out.
+ */
+function captureSnapshot() {
+  const snapshot = {};
+  const add = (abs) => {
+    const rel = path.relative(REPO_ROOT, abs).split(path.sep).join('/');
+    if (fs.existsSync(abs)) snapshot[rel] = fs.readFileSync(abs, 'utf8');
+  };
+
+  for (const abs of SNAPSHOT_FILES) add(abs);
+
+  if (fs.existsSync(CONFIG_DIR)) {
+    for (const f of fs.readdirSync(CONFIG_DIR).filter(f => f.endsWith('.json')).sort()) add(path.join(CONFIG_DIR, f));
+  }
+
+  if (fs.existsSync(DATA_DIR)) {
+    let latestTrace = null;
+    try {
+      const index = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'trace-index.json'), 'utf8'));
+      if (Array.isArray(index) && index.length > 0) latestTrace = index[0];
+    } catch (e) { /* no index — no trace carried over */ }
+
+    for (const f of fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json')).sort()) {
+      if (SNAPSHOT_EXCLUDE.has(f)) continue;
+      if (f.startsWith('cognitive-trace-') && f !== latestTrace) continue;
+      add(path.join(DATA_DIR, f));
+    }
+  }
+
+  for (const rel of SHARED_FILES) add(sharedPath(rel));
+  return snapshot;
+}
+
+// ─── Record ──────────────────────────────────────────────────────────────────
+
+/**
+ * Begin recording. Must run before main() touches any state file.
+ * The cassette is written synchronously on process exit so runs that end
+ * through process.exit() are still captured.
+ */
+function startRecording(cassettePath) {
+  state.mode = 'record';
+  state.cassettePath = path.resolve(cassettePath);
+  process.env.OVERWATCH_CASSETTE = state.cassettePath;
+  process.env.OVERWATCH_CASSETTE_MODE = 'record';
+
+  const envPresent = {};
+  for (const key of BRANCHING_ENV_KEYS) envPresent[key] = !!process.env[key];
+
+  state.cassette = {
+    _cassette_version: CASSETTE_VERSION,
+    recorded_at: new Date().toISOString(),
+    domain: DOMAIN_ID,
+    env_present: envPresent,
+    snapshot: captureSnapshot(),
+    interactions: [],
+  };
+  log('cassette', `Recording to ${state.cassettePath} (${Object.keys(state.cassette.snapshot).length} state files captured)`);
+
+  process.on('exit', () => {
+    fs.mkdirSync(path.dirname(state.cassettePath), { recursive: true });
+    fs.writeFileSync(state.cassettePath, JSON.stringify(state.cassette, null, 2));
+    console.log(`[cassette] Saved ${state.cassette.interactions.length} interaction(s) to ${state.cassettePath}`);
+  });
+  // An interrupted recording is still a usable partial cassette.
+  process.once('SIGINT', () => process.exit(130));
+  process.once('SIGTERM', () => process.exit(143));
+}
+
+// ─── Intercept ───────────────────────────────────────────────────────────────
+
+function nextRecorded(kind, requestHash) {
+  if (!state.queues) {
+    state.cassette = loadCassette(state.cassettePath);
+    state.queues = {};
+    for (const entry of state.cassette.interactions) {
+      (state.queues[entry.kind] = state.queues[entry.kind] || []).push(entry);
+    }
+  }
+  const queue = state.queues[kind] || [];
+  const entry = queue.shift();
+  if (!entry) {
+    throw new Error(`Cassette exhausted: no recorded ${kind} interaction left to serve`);
+  }
+  if (entry.request_hash !== requestHash) {
+    state.drift.push({ seq: entry.seq, kind, recorded_hash: entry.request_hash, replay_hash: requestHash });
+    warn('cassette', `Request drift on ${kind} #${entry.seq} — prompt differs from recording, serving recorded response`);
+  }
+  state.served++;
+
+  // Advance the frozen clock to the moment the next call was made live, so
+  // timestamps written between calls (and embedded in the next prompt) line
+  // up with the recording as closely as possible.
+  const next = state.cassette.interactions.find(e => e.seq === entry.seq + 1);
+  if (next?.at) state.clockMs = Date.parse(next.at);
+  return entry;
+}
+
+/**
+ * Route one external call through the cassette.
+ *   off    — call through.
+ *   record — call through, then store the request and the response (or error).
+ *   replay — serve the next recorded interaction of this kind, in order.
+ *            Recorded errors are re-thrown so failure paths replay too.
+ *
+ * @param {string} kind — provider type (see model-providers.js) or 'acquisition'
+ * @param {Object} request — JSON-serializable request description
+ * @param {Function} liveCall — () => Promise of the live response
+ */
+async function intercept(kind, request, liveCall) {
+  const mode = getMode();
+  if (mode === 'off') return liveCall();
+
+  const requestHash = hashRequest(request);
+
+  if (mode === 'replay') {
+    const entry = nextRecorded(kind, requestHash);
+    if (entry.error) throw new Error(entry.error.message);
+    return entry.response;
+  }
+
+  const entry = { seq: state.cassette.interactions.length + 1, kind, at: new Date().toISOString(), request_hash: requestHash, request };
+  try {
+    const response = await liveCall();
+    entry.response = response;
+    return response;
+  } catch (e) {
+    entry.error = { message: e.message };
+    throw e;
+  } finally {
+    state.cassette.interactions.push(entry);
+  }
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+/**
+ * Child-side setup for a replay run: freeze the clock at the recorded start
+ * time and make the network unreachable. Called before main().
+ * The clock only moves when an interaction is served (see nextRecorded).
+ */
+function installReplayEnvironment() {
+  const cassette = loadCassette(state.cassettePath);
+  state.clockMs = Date.parse(cassette.recorded_at);
+  const RealDate = Date;
+
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(state.clockMs);
+      else super(...args);
+    }
+    static now() { return state.clockMs; }
+  }
+  global.Date = FrozenDate;
+
+  global.fetch = async (url) => {
+    throw new Error(`Network disabled during cassette replay (${String(url).slice(0, 80)})`);
+  };
+
+  process.on('exit', (code) => {
+    const unused = {};
+    for (const [kind, queue] of Object.entries(state.queues || {})) {
+      if (queue.length > 0) unused[kind] = queue.map(e => e.seq);
+    }
+    const report = {
+      cassette: state.cassettePath,
+      recorded_at: cassette.recorded_at,
+      exit_code: code,
+      served: state.served,
+      unused,
+      drift: state.drift,
+    };
+    fs.writeFileSync(path.join(ROOT_DIR, 'replay-report.json'), JSON.stringify(report, null, 2));
+  });
+}
+
+/**
+ * Materialize the cassette snapshot in a workspace and run the pipeline
+ * against it in a child process. Returns the child's exit code.
+ *
+ * The workspace is only ever wiped if it carries the replay marker, so a
+ * mistyped --replay-out cannot delete real data.
+ */
+function runReplay(cassettePath, opts = {}) {
+  const absCassette = path.resolve(cassettePath);
+  const cassette = loadCassette(absCassette);
+  const workspace = path.resolve(opts.outDir
+    || path.join(path.dirname(absCassette), `replay-${path.basename(absCassette, '.json')}`));
+
+  if (fs.existsSync(workspace)) {
+    if (!fs.existsSync(path.join(workspace, WORKSPACE_MARKER))) {
+      throw new Error(`${workspace} exists and is not a replay workspace — refusing to overwrite`);
+    }
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+  fs.mkdirSync(workspace, { recursive: true });
+  fs.writeFileSync(path.join(workspace, WORKSPACE_MARKER), `${absCassette}\n`);
+  const stateRoot = cassette.domain ? path.join(workspace, 'domains', cassette.domain) : workspace;
+  fs.mkdirSync(path.join(stateRoot, 'data'), { recursive: true });
+
+  for (const [rel, contents] of Object.entries(cassette.snapshot || {})) {
+    const dest = path.join(workspace, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, contents);
+  }
+
+  // Empty string (not delete) so dotenv cannot refill the key from scripts/.env.
+  const env = {
+    ...process.env,
+    OVERWATCH_ROOT: workspace,
+    OVERWATCH_DOMAIN: cassette.domain || '',
+    OVERWATCH_CASSETTE: absCassette,
+    OVERWATCH_CASSETTE_MODE: 'replay',
+  };
+  for (const key of BRANCHING_ENV_KEYS) {
+    env[key] = cassette.env_present?.[key] ? 'cassette-replay-placeholder' : '';
+  }
+  for (const key of SUPPRESSED_ENV_KEYS) env[key] = '';
+
+  log('cassette', `Replaying ${cassette.interactions.length} interaction(s) recorded ${cassette.recorded_at}`);
+  log('cassette', `Workspace: ${workspace}`);
+
+  const child = spawnSync(process.execPath, [path.join(__dirname, 'analyze-thesis.js')], {
+    env,
+    stdio: 'inherit',
+  });
+
+  const reportPath = path.join(stateRoot, 'replay-report.json');
+  if (fs.existsSync(reportPath)) {
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    const unusedCount = Object.values(report.unused).reduce((n, seqs) => n + seqs.length, 0);
+    log('cassette', `Served ${report.served}, unused ${unusedCount}, drift ${report.drift.length}`);
+    if (report.drift.length > 0) warn('cassette', 'Prompts drifted from the recording — see replay-report.json');
+  }
+  return child.status ?? 1;
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  getMode,
+  hashRequest,
+  captureSnapshot,
+  startRecording,
+  intercept,
+  installReplayEnvironment,
+  runReplay,
+};
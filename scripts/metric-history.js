@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Metric History — append-only time series of every fetched metric
+ *
+ * dashboard-data.json is overwritten on every fetch, so the previous value of
+ * a metric used to survive only in git history. fetch-data.js now appends each
+ * fresh observation to data/metric-history.jsonl, one JSON object per line:
+ *
+ *   { "series": "macro.usd_jpy.value", "value": 159.6, "as_of": "2026-04-02",
+ *     "fetched_at": "2026-04-02T13:05:11.201Z", "source": "frankfurter" }
+ *
+ * Lines are never rewritten. A series is the dot path of a numeric field in
+ * dashboard-data.json. Carried-over values (provenance.carried_over) are not
+ * observations and are not recorded; neither is a repeat of the last line for
+ * a series with the same as_of and value (monthly series fetched twice a day).
+ *
+ * Query helpers (delta, rollingAverage, zScore, summarizeSeries) work on the
+ * chronological points of one series. analyze-thesis.js attaches the summaries
+ * to the run's input data as metric_history, where the SWEEP prompt and
+ * checkAnomalousInputData read them — a value is anomalous against its own
+ * recent distribution, not just against the previous snapshot.
+ *
+ * CLI:
+ *   node scripts/metric-history.js [series] [--window N]
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR, stripDomainArgs } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const DEFAULT_HISTORY_PATH = path.join(DATA_DIR, 'metric-history.jsonl');
+const DEFAULT_WINDOW = 30;
+// Fewer prior points than this and a z-score says more about the sample than the value
+const MIN_POINTS_FOR_Z = 5;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(label, msg)  { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
+
+function readPath(obj, dotPath) {
+  return dotPath.split('.').reduce((o, key) => o?.[key], obj);
+}
+
+function round(n, places) {
+  if (n == null || !isFinite(n)) return null;
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+// ─── Store ──────────────────────────────────────────────────────────────────
+
+/**
+ * Read the store. Returns { [series]: [{ value, as_of, fetched_at, source }] },
+ * each series in append (chronological) order. Malformed lines are skipped.
+ */
+function loadHistory(historyPath) {
+  const file = historyPath || DEFAULT_HISTORY_PATH;
+  const bySeries = {};
+  if (!fs.existsSync(file)) return bySeries;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (const [i, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch (e) {
+      warn('history', `${path.basename(file)}:${i + 1} is not valid JSON — skipped`);
+      continue;
+    }
+    if (!rec.series || typeof rec.value !== 'number') continue;
+    (bySeries[rec.series] ||= []).push({
+      value: rec.value, as_of: rec.as_of ?? null, fetched_at: rec.fetched_at ?? null, source: rec.source ?? null,
+    });
+  }
+  return bySeries;
+}
+
+/**
+ * Append the current value of each series in `dashboard`.
+ *
+ * @param {object}   dashboard   — dashboard-data.json contents
+ * @param {string[]} seriesPaths — dot paths of numeric fields
+ * @param {object}   [options]
+ * @param {string}   [options.historyPath]
+ * @returns {number} lines appended
+ */
+function recordObservations(dashboard, seriesPaths, options) {
+  const opts = options || {};
+  const file = opts.historyPath || DEFAULT_HISTORY_PATH;
+  const history = loadHistory(file);
+  const fallbackTime = dashboard?.updated || new Date().toISOString();
+  const lines = [];
+
+  for (const series of seriesPaths) {
+    const value = readPath(dashboard, series);
+    if (typeof value !== 'number' || !isFinite(value)) continue;
+
+    const metric = readPath(dashboard, series.split('.').slice(0, -1).join('.'));
+    const prov = metric?.provenance;
+    if (prov?.carried_over) continue;
+
+    const asOf = prov?.as_of ?? metric?.data_date ?? null;
+    const last = history[series]?.[history[series].length - 1];
+    if (last && last.value === value && last.as_of === asOf) continue;
+
+    lines.push(JSON.stringify({
+      series,
+      value,
+      as_of: asOf,
+      fetched_at: prov?.fetched_at ?? fallbackTime,
+      source: prov?.source ?? metric?.source ?? null,
+    }));
+  }
+
+  if (lines.length > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+  }
+  log('history', `${lines.length} observation(s) appended to ${path.basename(file)}`);
+  return lines.length;
+}
+
+// ─── Queries ────────────────────────────────────────────────────────────────
+
+/**
+ * Change between the latest point and the point `periods` observations back.
+ * Returns { abs, pct, from, to } or null when there are too few points.
+ */
+function delta(points, periods) {
+  const n = periods || 1;
+  if (!Array.isArray(points) || points.length <= n) return null;
+  const to = points[points.length - 1];
+  const from = points[points.length - 1 - n];
+  return {
+    abs: to.value - from.value,
+    pct: from.value !== 0 ? ((to.value - from.value) / Math.abs(from.value)) * 100 : null,
+    from: from.as_of,
+    to: to.as_of,
+  };
+}
+
+/** Mean of the last `window` points (null when empty). */
+function rollingAverage(points, window) {
+  if (!Array.isArray(points) || points.length === 0) return null;
+  const slice = points.slice(-(window || DEFAULT_WINDOW));
+  return slice.reduce((s, p) => s + p.value, 0) / slice.length;
+}
+
+/**
+ * z-score of the latest point against the `window` points before it.
+ * Returns { z, mean, std, n }, or null with fewer than MIN_POINTS_FOR_Z prior
+ * points or a flat prior window (std 0 — no distribution to measure against).
+ */
+function zScore(points, window) {
+  if (!Array.isArray(points) || points.length < MIN_POINTS_FOR_Z + 1) return null;
+  const latest = points[points.length - 1].value;
+  const prior = points.slice(-(window || DEFAULT_WINDOW) - 1, -1);
+  const mean = prior.reduce((s, p) => s + p.value, 0) / prior.length;
+  const variance = prior.reduce((s, p) => s + (p.value - mean) ** 2, 0) / (prior.length - 1);
+  const std = Math.sqrt(variance);
+  if (std === 0) return null;
+  return { z: (latest - mean) / std, mean, std, n: prior.length };
+}
+
+/**
+ * Summary of one series for prompts and validators.
+ * Returns null for a series with no points.
+ */
+function summarizeSeries(points, window) {
+  if (!Array.isArray(points) || points.length === 0) return null;
+  const w = window || DEFAULT_WINDOW;
+  const latest = points[points.length - 1];
+  const d = delta(points, 1);
+  const z = zScore(points, w);
+  return {
+    latest:      latest.value,
+    as_of:       latest.as_of,
+    points:      points.length,
+    delta:       d ? round(d.abs, 6) : null,
+    delta_pct:   d ? round(d.pct, 2) : null,
+    rolling_avg: round(rollingAverage(points, w), 6),
+    window:      Math.min(w, points.length),
+    z:           z ? round(z.z, 2) : null,
+    // The distribution z is measured against: the window before the latest point
+    baseline_mean: z ? round(z.mean, 6) : null,
+    baseline_std:  z ? round(z.std, 6) : null,
+  };
+}
+
+/**
+ * Summaries for every series in the store, keyed by series.
+ *
+ * @param {object} [options]
+ * @param {string} [options.historyPath]
+ * @param {number} [options.window] — rolling window in observations (default 30)
+ */
+function summarizeHistory(options) {
+  const opts = options || {};
+  const history = loadHistory(opts.historyPath);
+  const out = {};
+  for (const [series, points] of Object.entries(history)) {
+    const s = summarizeSeries(points, opts.window);
+    if (s) out[series] = s;
+  }
+  return out;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEFAULT_HISTORY_PATH,
+  MIN_POINTS_FOR_Z,
+  loadHistory,
+  recordObservations,
+  delta,
+  rollingAverage,
+  zScore,
+  summarizeSeries,
+  summarizeHistory,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const wi = args.indexOf('--window');
+  const window = wi !== -1 ? parseInt(args[wi + 1], 10) : DEFAULT_WINDOW;
+  const only = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--window')[0];
+
+  const summaries = summarizeHistory({ window });
+  const rows = Object.entries(summaries).filter(([series]) => !only || series === only);
+  if (rows.length === 0) {
+    console.log(only ? `No history for ${only}` : `No history in ${DEFAULT_HISTORY_PATH}`);
+  }
+  for (const [series, s] of rows) {
+    console.log(`${series.padEnd(40)} ${String(s.latest).padStart(16)}  Δ ${String(s.delta ?? '—').padStart(12)} (${s.delta_pct ?? '—'}%)  avg${s.window} ${s.rolling_avg}  z ${s.z ?? '—'}  n=${s.points}  as of ${s.as_of ?? 'unknown'}`);
+  }
+}
@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Overwatch Terminal — Model Provider Registry
+ *
+ * Every model call in the pipeline goes through callModel() with a ROLE,
+ * never a hardcoded model name. config/domain.json maps each role to a
+ * named provider + model:
+ *
+ *   model_providers   — name → { type, api_key_env, base_url, ... }
+ *   model_roles       — role → { provider, model, max_tokens, ... }
+ *   model_call_policy — { max_attempts, retry_delay_ms, timeout_ms }
+ *   model_pricing     — model → { input_per_mtok, output_per_mtok } (USD)
+ *
+ * Roles:
+ *   layer1..layer4     — SWEEP / CONTEXTUALIZE / INFER / RECONCILE
+ *   gate_routine       — Tier 2 Layer Zero gate, no Tier 1 flags
+ *   gate_elevated      — Tier 2 Layer Zero gate, Tier 1 flags present
+ *   auditor            — Blind Auditor cross-model review
+ *   enforcement_retry  — corrections_referenced one-shot retry
+ *   legacy_analysis    — single-call dashboard analysis
+ *   enrichment_draft   — drafts lesson/trigger/prevention for promoted corrections
+ *   raw_llm            — evolution raw-llm baseline: one prompt, no architecture
+ *
+ * Provider types:
+ *   anthropic          — Anthropic Messages API (SDK)
+ *   gemini             — Google Generative Language REST API
+ *   openai_compatible  — any /chat/completions server (local llama.cpp, vLLM, ...)
+ *   stub               — deterministic canned responses per role, no network
+ *
+ * The registry owns retry, timeout, token accounting and JSON repair so the
+ * layer code only builds prompts and consumes parsed output. Every transport
+ * call is routed through llm-cassette.js for record/replay, and checked
+ * against the run budget in cost-ledger.js before it is made.
+ *
+ * Roles and providers resolve as: built-in defaults ← config/domain.json ←
+ * the caller's domainConfig (evolution scenarios carry their own).
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const https = require('https');
+const path  = require('path');
+const fs    = require('fs');
+const Anthropic = require('@anthropic-ai/sdk');
+const { ROOT_DIR, CONFIG_DIR } = require('./utils/paths');
+const cassette = require('./llm-cassette');
+const costLedger = require('./cost-ledger');
+const { estimateCallUsd } = costLedger;
+
+// ─── Defaults ────────────────────────────────────────────────────────────────
+// Mirror the production configuration so scenario configs without model
+// settings behave exactly like production.
+
+const DEFAULT_PROVIDERS = {
+  anthropic: { type: 'anthropic', api_key_env: 'ANTHROPIC_API_KEY' },
+  gemini:    { type: 'gemini',    api_key_env: 'GEMINI_API_KEY' },
+};
+
+const DEFAULT_ROLES = {
+  layer1:            { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 6000 },
+  layer2:            { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 20000 },
+  layer3:            { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 16000 },
+  layer4:            { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 16000 },
+  gate_routine:      { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929', max_tokens: 4000 },
+  gate_elevated:     { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 4000 },
+  auditor:           { provider: 'gemini', model: 'gemini-2.5-pro', max_tokens: 4000, temperature: 0.2, max_attempts: 2, timeout_ms: 60000 },
+  enforcement_retry: { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929', max_tokens: 1000, max_attempts: 1 },
+  legacy_analysis:   { provider: 'anthropic', model: 'claude-opus-4-6', max_tokens: 8000 },
+  enrichment_draft:  { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929', max_tokens: 2000 },
+  raw_llm:           { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929', max_tokens: 4000, max_attempts: 1 },
+};
+
+const DEFAULT_POLICY = {
+  max_attempts: 2,
+  retry_delay_ms: 5000,
+  timeout_ms: 600000,
+};
+
+function log(label, msg)  { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+
+let productionConfig = null;
+
+function loadProductionConfig() {
+  if (productionConfig) return productionConfig;
+  try {
+    const configPath = path.join(CONFIG_DIR, 'domain.json');
+    productionConfig = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  } catch (e) {
+    warn('models', `config/domain.json unreadable — using built-in model defaults: ${e.message}`);
+    productionConfig = {};
+  }
+  return productionConfig;
+}
+
+/**
+ * Older domain configs name the auditor with auditor_model_provider /
+ * auditor_model_name. Honored when no model_roles.auditor entry exists.
+ */
+function legacyRoleConfig(role, config) {
+  if (role === 'auditor' && config && config.auditor_model_provider && !config.model_roles?.auditor) {
+    return { provider: config.auditor_model_provider, model: config.auditor_model_name };
+  }
+  return null;
+}
+
+function layered(key, role, domainConfig) {
+  const prod = loadProductionConfig();
+  return [prod, domainConfig].map(c => {
+    if (!c) return null;
+    if (role === undefined) return c[key] || null;
+    return c[key]?.[role] || legacyRoleConfig(role, c);
+  });
+}
+
+/**
+ * Resolve a role to its full call configuration.
+ *
+ * @param {string} role
+ * @param {object} [domainConfig] — caller's domain config (overrides production)
+ * @returns {object} — { role, provider, provider_config, model, max_tokens, max_attempts, retry_delay_ms, timeout_ms, ... }
+ */
+function resolveRole(role, domainConfig) {
+  if (!DEFAULT_ROLES[role] && !layered('model_roles', role, domainConfig).some(Boolean)) {
+    throw new Error(`Unknown model role: ${role}`);
+  }
+  const [prodRole, scopedRole] = layered('model_roles', role, domainConfig);
+  const roleConfig = { ...DEFAULT_ROLES[role], ...prodRole, ...scopedRole };
+
+  const [prodProviders, scopedProviders] = layered('model_providers', undefined, domainConfig);
+  const providers = { ...DEFAULT_PROVIDERS, ...prodProviders, ...scopedProviders };
+  const providerConfig = providers[roleConfig.provider];
+  if (!providerConfig) {
+    throw new Error(`Role ${role} references unknown provider "${roleConfig.provider}"`);
+  }
+
+  const [prodPolicy, scopedPolicy] = layered('model_call_policy', undefined, domainConfig);
+  const policy = { ...DEFAULT_POLICY, ...prodPolicy, ...scopedPolicy };
+
+  return {
+    ...policy,
+    ...roleConfig,
+    role,
+    provider_config: providerConfig,
+  };
+}
+
+/**
+ * Name of the environment variable a role still needs, or null when the
+ * role can be called. Used in place of per-call-site API key checks.
+ */
+function missingCredential(role, domainConfig) {
+  const resolved = resolveRole(role, domainConfig);
+  const envName = resolved.provider_config.api_key_env;
+  if (!envName || resolved.provider_config.type === 'stub') return null;
+  return process.env[envName] ? null : envName;
+}
+
+/**
+ * USD per million tokens for a model, or null when model_pricing has no
+ * entry for it.
+ */
+function resolvePricing(model, domainConfig) {
+  const [prodPricing, scopedPricing] = layered('model_pricing', undefined, domainConfig);
+  return { ...prodPricing, ...scopedPricing }[model] || null;
+}
+
+// ─── Transports ──────────────────────────────────────────────────────────────
+// Each transport takes (resolved, request, apiKey) and returns
+// { text, model, usage: { input_tokens, output_tokens }, stop_reason }.
+
+async function callAnthropic(resolved, request, apiKey) {
+  const client = new Anthropic({ apiKey, timeout: resolved.timeout_ms, maxRetries: 0 });
+  const params = {
+    model: resolved.model,
+    max_tokens: resolved.max_tokens,
+    ...(request.system ? { system: request.system } : {}),
+    ...(resolved.temperature !== undefined ? { temperature: resolved.temperature } : {}),
+    messages: [{ role: 'user', content: request.prompt }],
+  };
+  const response = await client.messages.create(params);
+  return {
+    text: response.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+    model: response.model,
+    usage: {
+      input_tokens: response.usage?.input_tokens ?? null,
+      output_tokens: response.usage?.output_tokens ?? null,
+    },
+    stop_reason: response.stop_reason ?? null,
+  };
+}
+
+function callGemini(resolved, request, apiKey) {
+  const url = new URL(`https://generativelanguage.googleapis.com/v1beta/models/${resolved.model}:generateContent`);
+  const body = JSON.stringify({
+    ...(request.system ? { systemInstruction: { parts: [{ text: request.system }] } } : {}),
+    contents: [{ parts: [{ text: request.prompt }] }],
+    generationConfig: {
+      ...(resolved.temperature !== undefined ? { temperature: resolved.temperature } : {}),
+      maxOutputTokens: resolved.max_tokens,
+    },
+  });
+
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: url.hostname,
+      path: url.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+        'Content-Length': Buffer.byteLength(body),
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          return reject(new Error(`Gemini response parse failed: ${e.message}`));
+        }
+        const candidate = parsed.candidates?.[0];
+        const text = candidate?.content?.parts?.[0]?.text;
+        if (text) {
+          resolve({
+            text,
+            model: resolved.model,
+            usage: {
+              input_tokens: parsed.usageMetadata?.promptTokenCount ?? null,
+              output_tokens: parsed.usageMetadata?.candidatesTokenCount ?? null,
+            },
+            stop_reason: candidate.finishReason ?? null,
+          });
+        } else if (parsed.error) {
+          reject(new Error(`Gemini API error: ${parsed.error.message || JSON.stringify(parsed.error)}`));
+        } else {
+          reject(new Error(`Gemini API unexpected response structure: ${data.substring(0, 500)}`));
+        }
+      });
+    });
+
+    req.setTimeout(resolved.timeout_ms, () => {
+      req.destroy(new Error(`Gemini API timed out after ${resolved.timeout_ms}ms`));
+    });
+    req.on('error', (e) => reject(new Error(`Gemini API request failed: ${e.message}`)));
+    req.write(body);
+    req.end();
+  });
+}
+
+async function callOpenAICompatible(resolved, request, apiKey) {
+  const baseUrl = (resolved.provider_config.base_url || '').replace(/\/+$/, '');
+  if (!baseUrl) throw new Error(`Provider ${resolved.provider} has no base_url`);
+
+  const messages = [];
+  if (request.system) messages.push({ role: 'system', content: request.system });
+  messages.push({ role: 'user', content: request.prompt });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), resolved.timeout_ms);
+  try {
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: resolved.model,
+        max_tokens: resolved.max_tokens,
+        ...(resolved.temperature !== undefined ? { temperature: resolved.temperature } : {}),
+        messages,
+      }),
+      signal: controller.signal,
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${data?.error?.message || JSON.stringify(data).substring(0, 300)}`);
+    }
+    const choice = data.choices?.[0];
+    if (typeof choice?.message?.content !== 'string') {
+      throw new Error(`Unexpected response structure: ${JSON.stringify(data).substring(0, 300)}`);
+    }
+    return {
+      text: choice.message.content,
+      model: data.model || resolved.model,
+      usage: {
+        input_tokens: data.usage?.prompt_tokens ?? null,
+        output_tokens: data.usage?.completion_tokens ?? null,
+      },
+      stop_reason: choice.finish_reason ?? null,
+    };
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`${resolved.provider} timed out after ${resolved.timeout_ms}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Deterministic stub. responses_path points at a JSON file mapping role →
+ * response. Strings are returned verbatim, anything else is serialized, so
+ * a role can be given either raw model text or the parsed value it should
+ * yield. The same response is served on every call.
+ */
+async function callStub(resolved) {
+  const responsesPath = resolved.provider_config.responses_path;
+  if (!responsesPath) throw new Error(`Stub provider ${resolved.provider} has no responses_path`);
+  const abs = path.isAbsolute(responsesPath) ? responsesPath : path.join(ROOT_DIR, responsesPath);
+  const responses = JSON.parse(fs.readFileSync(abs, 'utf8'));
+  if (!(resolved.role in responses)) throw new Error(`Stub has no response for role ${resolved.role}`);
+
+  const response = responses[resolved.role];
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+  return {
+    text,
+    model: resolved.model || 'stub',
+    usage: { input_tokens: 0, output_tokens: 0 },
+    stop_reason: 'stub',
+  };
+}
+
+const TRANSPORTS = {
+  anthropic: callAnthropic,
+  gemini: callGemini,
+  openai_compatible: callOpenAICompatible,
+  stub: callStub,
+};
+
+// ─── Token Accounting ────────────────────────────────────────────────────────
+
+const usageLog = [];
+
+function recordUsage(entry) {
+  usageLog.push(entry);
+  costLedger.noteModelSpend(entry.usd);
+}
+
+/**
+ * Every model call made by this process, in order.
+ * @returns {Array<{ role, provider, model, input_tokens, output_tokens, latency_ms, usd, attempt, ok }>}
+ */
+function getUsageLog() {
+  return usageLog.slice();
+}
+
+/**
+ * Token and estimated USD totals for this process, overall and per role.
+ */
+function getUsageSummary() {
+  const summary = { calls: 0, failed_calls: 0, input_tokens: 0, output_tokens: 0, usd: 0, by_role: {} };
+  for (const u of usageLog) {
+    const r = summary.by_role[u.role] = summary.by_role[u.role]
+      || { provider: u.provider, model: u.model, calls: 0, input_tokens: 0, output_tokens: 0, usd: 0 };
+    summary.calls++;
+    r.calls++;
+    if (!u.ok) summary.failed_calls++;
+    summary.input_tokens  += u.input_tokens || 0;
+    summary.output_tokens += u.output_tokens || 0;
+    summary.usd += u.usd || 0;
+    r.input_tokens  += u.input_tokens || 0;
+    r.output_tokens += u.output_tokens || 0;
+    r.usd += u.usd || 0;
+  }
+  summary.usd = Math.round(summary.usd * 1e6) / 1e6;
+  for (const r of Object.values(summary.by_role)) r.usd = Math.round(r.usd * 1e6) / 1e6;
+  return summary;
+}
+
+function resetUsage() {
+  usageLog.length = 0;
+}
+
+// ─── JSON Repair ─────────────────────────────────────────────────────────────
+
+/**
+ * Checks whether a model response looks complete (ends with ] or }).
+ * If truncated, warns and attempts to repair by cutting back to the last
+ * complete object/element and appending necessary closing brackets.
+ *
+ * @param {string} text  — cleaned response text (fences already stripped)
+ * @param {string} label — log label for warnings
+ * @returns {string} — original text if complete, repaired text otherwise
+ */
+function repairTruncatedJSON(text, label) {
+  const trimmed = text.trimEnd();
+  if (trimmed.endsWith(']') || trimmed.endsWith('}')) return text;
+
+  warn(label, 'Response appears truncated — attempting repair');
+
+  // Cut back to the last closing brace (end of last complete object/element)
+  const lastBrace = trimmed.lastIndexOf('}');
+  if (lastBrace === -1) {
+    warn(label, 'Repair failed — no closing brace found in response');
+    return text;
+  }
+
+  const candidate = trimmed.slice(0, lastBrace + 1);
+
+  // Walk candidate with string-awareness to build an open-bracket stack
+  const stack = [];
+  let inStr = false, esc = false;
+  for (const ch of candidate) {
+    if (esc)              { esc = false; continue; }
+    if (ch === '\\' && inStr) { esc = true;  continue; }
+    if (ch === '"')       { inStr = !inStr;  continue; }
+    if (inStr)            continue;
+    if (ch === '{' || ch === '[') stack.push(ch);
+    else if (ch === '}' || ch === ']') stack.pop();
+  }
+
+  // Append closers in reverse nesting order
+  const closers = stack.reverse().map(c => c === '{' ? '}' : ']').join('');
+  const repaired = candidate + closers;
+  warn(label, `Repair applied — appended: ${JSON.stringify(closers)}`);
+  return repaired;
+}
+
+function stripCodeFences(rawText) {
+  return rawText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+}
+
+/**
+ * Strip markdown fences, repair truncation, parse. Throws on invalid JSON.
+ */
+function parseModelJSON(rawText, label) {
+  return JSON.parse(repairTruncatedJSON(stripCodeFences(rawText), label));
+}
+
+// ─── Call ────────────────────────────────────────────────────────────────────
+
+/**
+ * Call the model assigned to a role.
+ *
+ * Transport errors and unparseable responses are retried up to the role's
+ * max_attempts with retry_delay_ms between attempts. After the final
+ * attempt the last error is thrown; it carries `lastText` when a response
+ * arrived but could not be parsed. A call the run budget cannot cover throws
+ * BudgetExceededError before anything is sent and is not retried.
+ *
+ * @param {string} role
+ * @param {object} request — { prompt, system? }
+ * @param {object} [options]
+ * @param {string}   [options.label]        — log label (default: role)
+ * @param {object}   [options.domainConfig] — caller's domain config
+ * @param {string}   [options.apiKey]       — overrides the provider's api_key_env
+ * @param {'json'|Function} [options.parse] — 'json' for parseModelJSON, or a
+ *                                            function returning the parsed value (null = unparseable)
+ * @returns {Promise<{ text, data, role, provider, model, usage, attempts }>}
+ */
+async function callModel(role, request, options) {
+  const opts = options || {};
+  const label = opts.label || role;
+  const resolved = resolveRole(role, opts.domainConfig);
+  const transport = TRANSPORTS[resolved.provider_config.type];
+  if (!transport) {
+    throw new Error(`Provider ${resolved.provider} has unsupported type "${resolved.provider_config.type}"`);
+  }
+  const apiKey = opts.apiKey
+    || (resolved.provider_config.api_key_env ? process.env[resolved.provider_config.api_key_env] : undefined);
+
+  const parse = opts.parse === 'json'
+    ? (raw) => parseModelJSON(raw, label)
+    : opts.parse;
+
+  // The cassette keys on exactly what reaches the provider.
+  const cassetteRequest = {
+    model: resolved.model,
+    max_tokens: resolved.max_tokens,
+    ...(request.system ? { system: request.system } : {}),
+    prompt: request.prompt,
+  };
+
+  const price = resolvePricing(resolved.model, opts.domainConfig);
+  // Worst case for the budget check: the whole prompt in, max_tokens out.
+  // Replayed calls cost nothing and must not diverge from the recording.
+  const projectedUsd = cassette.getMode() === 'replay' ? 0 : estimateCallUsd(price,
+    costLedger.estimateTokens((request.system || '') + request.prompt), resolved.max_tokens);
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= resolved.max_attempts; attempt++) {
+    costLedger.checkBudget(projectedUsd, `${role} call (${resolved.model})`);
+    log(label, `Calling ${resolved.provider}/${resolved.model}… (attempt ${attempt})`);
+    const started = Date.now();
+    let response = null;
+    try {
+      response = await cassette.intercept(resolved.provider_config.type, cassetteRequest,
+        () => transport(resolved, request, apiKey));
+      recordUsage({
+        role, provider: resolved.provider, model: response.model, attempt, ok: true,
+        input_tokens: response.usage?.input_tokens ?? null,
+        output_tokens: response.usage?.output_tokens ?? null,
+        latency_ms: Date.now() - started,
+        usd: estimateCallUsd(price, response.usage?.input_tokens, response.usage?.output_tokens),
+      });
+
+      let data = null;
+      if (parse) {
+        data = parse(response.text);
+        if (data === null || data === undefined) throw new Error('Unparseable response');
+      }
+      return {
+        text: response.text,
+        data,
+        role,
+        provider: resolved.provider,
+        model: response.model,
+        usage: response.usage,
+        attempts: attempt,
+      };
+    } catch (e) {
+      if (!response) {
+        recordUsage({
+          role, provider: resolved.provider, model: resolved.model, attempt, ok: false,
+          input_tokens: null, output_tokens: null, latency_ms: Date.now() - started, usd: null,
+        });
+      }
+      lastError = e;
+      if (response) lastError.lastText = response.text;
+      if (attempt < resolved.max_attempts) {
+        warn(label, `Attempt ${attempt} failed: ${e.message} — retrying in ${Math.round(resolved.retry_delay_ms / 1000)}s`);
+        await sleep(resolved.retry_delay_ms);
+      }
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  DEFAULT_ROLES,
+  DEFAULT_PROVIDERS,
+  DEFAULT_POLICY,
+  resolveRole,
+  resolvePricing,
+  missingCredential,
+  callModel,
+  parseModelJSON,
+  repairTruncatedJSON,
+  stripCodeFences,
+  getUsageLog,
+  getUsageSummary,
+  resetUsage,
+};
@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Overwatch Terminal — Notifier
+ *
+ * Every outbound notification (briefing, pipeline failure, auditor override,
+ * budget halt) goes through notify() as a channel-neutral message. Each sink
+ * renders the message itself; no caller writes Telegram HTML or Slack markup.
+ *
+ * Message model:
+ *
+ *   { kind:     'briefing' | 'pipeline_failure' | 'auditor_override' | 'budget_halt' | ...,
+ *     severity: 'CRITICAL' | 'WARNING' | 'INFO',
+ *     title:    'OVERWATCH: Layer 3 INFER failed',
+ *     icon:     optional title emoji (default: by severity),
+ *     tags:     ['STATE_LOCK', 'FALSIFIED', ...],
+ *     summary:  optional paragraph under the title,
+ *     sections: [{ heading, icon, text, items: [string], entries: [{ title, body, note }], code }],
+ *     footer:   [string] }
+ *
+ * config/domain.json:
+ *
+ *   notification_sinks   — name → { type, ... }. Settings are given inline or
+ *                          through <setting>_env naming an environment variable
+ *                          (bot_token_env, url_env, pass_env, ...).
+ *   notification_routing — ordered rules { match: { severity, kind, tags }, sinks }.
+ *                          The first rule whose every criterion matches decides;
+ *                          sinks "*" means every configured sink.
+ *
+ * Sink types:
+ *   telegram — Bot API sendMessage, HTML, split on newlines at 4000 chars
+ *   slack    — Slack-compatible incoming webhook, mrkdwn text
+ *   webhook  — POSTs the message model itself as JSON
+ *   smtp     — plain-text email over SMTP (implicit TLS or STARTTLS, AUTH LOGIN)
+ *   file     — appends { sink, delivered_at, message, text } lines to a JSONL file
+ *   stdout   — prints the plain-text rendering
+ *
+ * A sink missing a required setting is skipped, not failed. During cassette
+ * replay only the local sinks (file, stdout) deliver.
+ *
+ * Usage:
+ *   node scripts/notifier.js route [--severity S] [--kind K] [--tag T]...  # which sinks would receive it
+ *   node scripts/notifier.js test  [--severity S] [--kind K] [--tag T]... [--sink name]
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const net  = require('net');
+const tls  = require('tls');
+const os   = require('os');
+const { ROOT_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
+const cassette = require('./llm-cassette');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const SEVERITIES = ['CRITICAL', 'WARNING', 'INFO'];
+const SEVERITY_ICONS = { CRITICAL: '🚨', WARNING: '⚠️', INFO: 'ℹ️' };
+const LOCAL_SINK_TYPES = ['file', 'stdout'];
+const TELEGRAM_MAX_CHARS = 4000;
+const SEND_TIMEOUT_MS = 15_000;
+
+// Without notification config every message goes to Telegram, as before
+const DEFAULT_SINKS = {
+  telegram: { type: 'telegram', bot_token_env: 'TELEGRAM_BOT_TOKEN', chat_id_env: 'TELEGRAM_CHAT_ID' },
+};
+const DEFAULT_ROUTING = [{ sinks: '*' }];
+
+function log(msg)  { console.log(`[notify] ${msg}`); }
+function warn(msg) { console.warn(`[notify] WARN: ${msg}`); }
+function err(msg)  { console.error(`[notify] ERROR: ${msg}`); }
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+function loadDomainConfig() {
+  try {
+    const configPath = path.join(CONFIG_DIR, 'domain.json');
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  } catch (e) {
+    warn(`config/domain.json unreadable — notifying Telegram only: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Sinks and routing rules: built-in defaults ← config/domain.json ← the
+ * caller's domainConfig.
+ *
+ * @param {object} [domainConfig]
+ * @returns {{ sinks: object, routing: object[] }}
+ */
+function resolveNotificationConfig(domainConfig) {
+  const prod = loadDomainConfig();
+  const sinks = { ...DEFAULT_SINKS, ...prod.notification_sinks, ...domainConfig?.notification_sinks };
+  const routing = domainConfig?.notification_routing || prod.notification_routing || DEFAULT_ROUTING;
+  return { sinks, routing };
+}
+
+/**
+ * A sink setting given inline, or through `<key>_env`.
+ */
+function setting(sinkConfig, key) {
+  if (sinkConfig[key] !== undefined && sinkConfig[key] !== null) return sinkConfig[key];
+  const envName = sinkConfig[`${key}_env`];
+  return envName ? process.env[envName] || null : null;
+}
+
+// ─── Routing ────────────────────────────────────────────────────────────────
+
+function asList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function ruleMatches(rule, message) {
+  const match = rule.match || {};
+  const severity = asList(match.severity);
+  if (severity && !severity.includes(message.severity)) return false;
+  const kind = asList(match.kind);
+  if (kind && !kind.includes(message.kind)) return false;
+  const tags = asList(match.tags);
+  if (tags && !tags.some(t => (message.tags || []).includes(t))) return false;
+  return true;
+}
+
+/**
+ * Names of the sinks a message goes to under the first matching rule.
+ * Names without a configured sink are dropped with a warning.
+ *
+ * @param {object} message
+ * @param {{ sinks: object, routing: object[] }} config
+ * @returns {string[]}
+ */
+function routeMessage(message, config) {
+  const rule = config.routing.find(r => ruleMatches(r, message));
+  if (!rule) return [];
+  if (rule.sinks === '*') return Object.keys(config.sinks);
+  const names = asList(rule.sinks) || [];
+  for (const name of names) {
+    if (!config.sinks[name]) warn(`routing names unknown sink "${name}"`);
+  }
+  return names.filter(name => config.sinks[name]);
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const MARKUP = {
+  html: {
+    escape: escapeHtml,
+    bold:   s => `<b>${s}</b>`,
+    italic: s => `<i>${s}</i>`,
+    code:   s => `<pre>${s}</pre>`,
+  },
+  // Slack mrkdwn escapes only &, < and >
+  mrkdwn: {
+    escape: escapeHtml,
+    bold:   s => `*${s}*`,
+    italic: s => `_${s}_`,
+    code:   s => `\`\`\`${s}\`\`\``,
+  },
+  plain: {
+    escape: s => String(s),
+    bold:   s => s,
+    italic: s => s,
+    code:   s => s,
+  },
+};
+
+function renderSection(section, m) {
+  const head = `${section.icon ? `${section.icon} ` : ''}${m.bold(`${m.escape(section.heading)}:`)}`;
+  const lines = [];
+  const text = section.text === undefined || section.text === null ? '' : String(section.text);
+  if (text && !text.includes('\n')) {
+    lines.push(`${head} ${m.escape(text)}`);
+  } else {
+    lines.push(head);
+    if (text) lines.push(m.escape(text));
+  }
+  for (const item of section.items || []) lines.push(`• ${m.escape(item)}`);
+  if (section.entries?.length) {
+    lines.push(section.entries.map(e => [
+      m.bold(m.escape(e.title)),
+      e.body ? m.escape(e.body) : null,
+      e.note ? m.italic(m.escape(e.note)) : null,
+    ].filter(Boolean).join('\n')).join('\n\n'));
+  }
+  if (section.code) lines.push(m.code(m.escape(section.code)));
+  return lines.join('\n');
+}
+
+/**
+ * Render a message in one markup dialect: 'html' (Telegram), 'mrkdwn'
+ * (Slack) or 'plain' (email, file, stdout).
+ *
+ * @param {object} message
+ * @param {string} [markup='plain']
+ * @returns {string}
+ */
+function renderMessage(message, markup = 'plain') {
+  const m = MARKUP[markup];
+  if (!m) throw new Error(`Unknown markup "${markup}"`);
+  const icon = message.icon || SEVERITY_ICONS[message.severity] || '';
+  const blocks = [`${icon ? `${icon} ` : ''}${m.bold(m.escape(message.title))}`];
+  if (message.summary) blocks.push(m.escape(message.summary));
+  for (const section of message.sections || []) blocks.push(renderSection(section, m));
+  if (message.footer?.length) blocks.push(message.footer.map(m.escape).join('\n'));
+  return blocks.join('\n\n');
+}
+
+/**
+ * Split a message into chunks of at most maxLen characters, breaking only on
+ * newline boundaries so we never cut mid-word or mid-HTML-tag.
+ */
+function chunkMessage(text, maxLen = TELEGRAM_MAX_CHARS) {
+  if (text.length <= maxLen) return [text];
+  const chunks = [];
+  const lines  = text.split('\n');
+  let current  = '';
+  for (const line of lines) {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length > maxLen && current) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = next;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// ─── Sinks ──────────────────────────────────────────────────────────────────
+// Each sink returns { ok, detail } or { skipped: '<missing setting>' }.
+
+async function postJSON(url, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.substring(0, 300)}`);
+    return text;
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`timed out after ${SEND_TIMEOUT_MS}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function sendTelegram(sinkConfig, message) {
+  const token  = setting(sinkConfig, 'bot_token');
+  const chatId = setting(sinkConfig, 'chat_id');
+  if (!token || !chatId) return { skipped: 'bot_token or chat_id not set' };
+
+  const text = renderMessage(message, 'html');
+  const chunks = chunkMessage(text, TELEGRAM_MAX_CHARS);
+  for (let i = 0; i < chunks.length; i++) {
+    // Append chunk indicator when sending multiple messages
+    const body = chunks.length > 1 ? `${chunks[i]}\n\n<i>(${i + 1}/${chunks.length})</i>` : chunks[i];
+    const json = JSON.parse(await postJSON(`https://api.telegram.org/bot${token}/sendMessage`, {
+      chat_id: chatId, text: body, parse_mode: 'HTML',
+    }));
+    if (!json.ok) throw new Error(`Telegram API error: ${json.description}`);
+    // Brief pause between chunks to respect Telegram rate limits
+    if (i < chunks.length - 1) await new Promise(r => setTimeout(r, 500));
+  }
+  return { ok: true, detail: chunks.length > 1 ? `${chunks.length} chunks` : null };
+}
+
+async function sendSlack(sinkConfig, message) {
+  const url = setting(sinkConfig, 'url');
+  if (!url) return { skipped: 'url not set' };
+  await postJSON(url, { text: renderMessage(message, 'mrkdwn') });
+  return { ok: true };
+}
+
+async function sendWebhook(sinkConfig, message) {
+  const url = setting(sinkConfig, 'url');
+  if (!url) return { skipped: 'url not set' };
+  await postJSON(url, message);
+  return { ok: true };
+}
+
+async function sendFile(sinkConfig, message, name) {
+  const filePath = setting(sinkConfig, 'path');
+  if (!filePath) return { skipped: 'path not set' };
+  const abs = path.isAbsolute(filePath) ? filePath : path.join(ROOT_DIR, filePath);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  const line = { sink: name, delivered_at: new Date().toISOString(), message, text: renderMessage(message, 'plain') };
+  fs.appendFileSync(abs, JSON.stringify(line) + '\n');
+  return { ok: true };
+}
+
+async function sendStdout(sinkConfig, message) {
+  console.log(`\n${renderMessage(message, 'plain')}\n`);
+  return { ok: true };
+}
+
+// ─── SMTP ───────────────────────────────────────────────────────────────────
+
+/**
+ * Line-oriented SMTP reply reader over one socket. read() resolves with the
+ * next complete (possibly multi-line) reply.
+ */
+function smtpReader(socket) {
+  let buffer = '';
+  let pending = null;
+  let failure = null;
+
+  function drain() {
+    if (!pending) return;
+    if (failure) {
+      const p = pending; pending = null;
+      p.reject(failure);
+      return;
+    }
+    const lines = buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (/^\d{3}(?: |$)/.test(lines[i])) {
+        buffer = lines.slice(i + 1).join('\r\n');
+        const p = pending; pending = null;
+        p.resolve({ code: Number(lines[i].slice(0, 3)), text: lines.slice(0, i + 1).join('\n') });
+        return;
+      }
+    }
+  }
+
+  const onData = chunk => { buffer += chunk.toString('utf8'); drain(); };
+  const onError = e => { failure = e; drain(); };
+  const onClose = () => { failure = failure || new Error('connection closed'); drain(); };
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read: () => new Promise((resolve, reject) => { pending = { resolve, reject }; drain(); }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function connectSocket(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    socket.once(secure ? 'secureConnect' : 'connect', () => { socket.off('error', reject); resolve(socket); });
+    socket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildEmail({ from, to, subject, text }) {
+  // Base64 bodies need no dot-stuffing and carry emoji through 7-bit relays
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Send one plain-text email. secure → implicit TLS (port 465); otherwise
+ * STARTTLS is used when the server offers it, unless starttls is false.
+ */
+async function sendSmtp(sinkConfig, message) {
+  const host = setting(sinkConfig, 'host');
+  const from = setting(sinkConfig, 'from');
+  const toSetting = setting(sinkConfig, 'to');
+  if (!host || !from || !toSetting) return { skipped: 'host, from or to not set' };
+
+  const to = (Array.isArray(toSetting) ? toSetting : String(toSetting).split(',')).map(s => s.trim()).filter(Boolean);
+  const port = Number(setting(sinkConfig, 'port') || 587);
+  const secure = sinkConfig.secure ?? port === 465;
+  const user = setting(sinkConfig, 'user');
+  const pass = setting(sinkConfig, 'pass');
+  const clientName = sinkConfig.client_name || os.hostname();
+
+  let socket = await connectSocket({ host, port, servername: host }, secure);
+  socket.setTimeout(SEND_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timed out after ${SEND_TIMEOUT_MS}ms`)));
+  let reader = smtpReader(socket);
+
+  async function command(line, expected, label = line.split(' ')[0]) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) throw new Error(`SMTP ${label} rejected: ${reply.text}`);
+    return reply;
+  }
+
+  try {
+    await command(null, [220], 'greeting');
+    let ehlo = await command(`EHLO ${clientName}`, [250]);
+    if (!secure && sinkConfig.starttls !== false && /STARTTLS/i.test(ehlo.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await connectSocket({ socket, servername: host }, true);
+      socket.setTimeout(SEND_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timed out after ${SEND_TIMEOUT_MS}ms`)));
+      reader = smtpReader(socket);
+      ehlo = await command(`EHLO ${clientName}`, [250]);
+    }
+    if (user && pass) {
+      await command('AUTH LOGIN', [334]);
+      await command(Buffer.from(user).toString('base64'), [334], 'AUTH user');
+      await command(Buffer.from(pass).toString('base64'), [235], 'AUTH password');
+    }
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await command('DATA', [354]);
+    const subject = `${message.severity ? `[${message.severity}] ` : ''}${message.title}`;
+    await command(`${buildEmail({ from, to, subject, text: renderMessage(message, 'plain') })}\r\n.`, [250], 'message');
+    socket.write('QUIT\r\n');
+    return { ok: true, detail: `${to.length} recipient(s)` };
+  } finally {
+    socket.end();
+  }
+}
+
+const SINK_TYPES = {
+  telegram: sendTelegram,
+  slack:    sendSlack,
+  webhook:  sendWebhook,
+  smtp:     sendSmtp,
+  file:     sendFile,
+  stdout:   sendStdout,
+};
+
+// ─── Notify ─────────────────────────────────────────────────────────────────
+
+function normalizeMessage(message) {
+  if (!message?.title) throw new Error('Notification needs a title');
+  const severity = message.severity || 'INFO';
+  if (!SEVERITIES.includes(severity)) throw new Error(`Unknown severity "${severity}" — use ${SEVERITIES.join(', ')}`);
+  return {
+    ...message,
+    kind: message.kind || 'notice',
+    severity,
+    tags: message.tags || [],
+    timestamp: message.timestamp || new Date().toISOString(),
+  };
+}
+
+/**
+ * Route a message and deliver it to every matching sink. Never throws on a
+ * delivery failure — notification is always best-effort.
+ *
+ * @param {object} message — see the message model above
+ * @param {object} [options]
+ * @param {object} [options.domainConfig] — overrides config/domain.json sinks and routing
+ * @param {string[]} [options.sinks] — deliver to these sinks instead of routing
+ * @returns {Promise<{ delivered: string[], skipped: string[], failed: string[] }>}
+ */
+async function notify(message, options = {}) {
+  const msg = normalizeMessage(message);
+  const config = resolveNotificationConfig(options.domainConfig);
+  const names = options.sinks || routeMessage(msg, config);
+  const outcome = { delivered: [], skipped: [], failed: [] };
+  const replay = cassette.getMode() === 'replay';
+
+  for (const name of names) {
+    const sinkConfig = config.sinks[name];
+    const send = SINK_TYPES[sinkConfig?.type];
+    if (!send) {
+      err(`${name}: unknown sink type "${sinkConfig?.type}"`);
+      outcome.failed.push(name);
+      continue;
+    }
+    if (replay && !LOCAL_SINK_TYPES.includes(sinkConfig.type)) {
+      log(`${name}: cassette replay — notification suppressed`);
+      outcome.skipped.push(name);
+      continue;
+    }
+    try {
+      const result = await send(sinkConfig, msg, name);
+      if (result.skipped) {
+        log(`${name}: ${result.skipped} — skipped`);
+        outcome.skipped.push(name);
+      } else {
+        log(`${name}: ${msg.kind} sent${result.detail ? ` (${result.detail})` : ''}`);
+        outcome.delivered.push(name);
+      }
+    } catch (e) {
+      err(`${name}: ${e.message}`);
+      outcome.failed.push(name);
+    }
+  }
+
+  if (names.length > 0 && outcome.delivered.length === 0 && !replay) {
+    warn(`${msg.severity} ${msg.kind} "${msg.title}" reached no sink`);
+  }
+  return outcome;
+}
+
+module.exports = {
+  notify,
+  routeMessage,
+  renderMessage,
+  chunkMessage,
+  resolveNotificationConfig,
+  SEVERITIES,
+  SINK_TYPES,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const command = args[0];
+  const argValue = flag => { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : undefined; };
+  const tags = args.flatMap((a, i) => (a === '--tag' && args[i + 1] ? [args[i + 1]] : []));
+
+  const message = {
+    kind: argValue('--kind') || 'notice',
+    severity: (argValue('--severity') || 'INFO').toUpperCase(),
+    title: 'OVERWATCH: notification test',
+    tags,
+    sections: [{ heading: 'Sent by', text: `notifier.js on ${os.hostname()}` }],
+  };
+
+  if (command === 'route') {
+    const routed = routeMessage(normalizeMessage(message), resolveNotificationConfig());
+    console.log(`${message.severity} ${message.kind}${tags.length ? ` [${tags.join(', ')}]` : ''} → ${routed.join(', ') || '(no sink)'}`);
+  } else if (command === 'test') {
+    const sink = argValue('--sink');
+    notify(message, sink ? { sinks: [sink] } : {}).then(outcome => {
+      console.log(`delivered: ${outcome.delivered.join(', ') || '-'} | skipped: ${outcome.skipped.join(', ') || '-'} | failed: ${outcome.failed.join(', ') || '-'}`);
+      if (outcome.failed.length) process.exitCode = 1;
+    });
+  } else {
+    console.log('Usage: node scripts/notifier.js route|test [--severity S] [--kind K] [--tag T]... [--sink name]');
+    process.exitCode = command ? 1 : 0;
+  }
+}
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Overwatch Operator — human-in-the-loop controls for the Blind Auditor
+ *
+ * The Blind Auditor's Phase 2 override writes a state-lock that only the
+ * human operator may release, and its Phase 1 advisories stay UNRESOLVED
+ * until Layer 4 (or the operator) addresses them. This is the operator's
+ * side of that contract.
+ *
+ * Commands:
+ *   lock status                                   — Current state-lock (active or last released)
+ *   lock release --reason "<why>"                 — Release an active state-lock
+ *   advisory list                                 — Phase 1 advisories and their status
+ *   advisory resolve COMMITTED|JUSTIFIED --reason "<why>"
+ *                                                 — Resolve the active advisory
+ *   findings show [count | --all]                 — Recent audit findings in full (default 5)
+ *   log [count]                                   — Recent operator audit log entries
+ *
+ * Options:
+ *   --operator <name>   — who is acting (default: OVERWATCH_OPERATOR, then the OS user)
+ *   --reason "<text>"   — required for release and resolve, recorded for every command
+ *   --domain <id>       — act on domains/<id>/
+ *
+ * Every command appends one line to data/operator-audit-log.jsonl:
+ *
+ *   { "timestamp": "...", "operator": "tim", "action": "LOCK_RELEASE",
+ *     "command": "lock release", "reason": "...", "subject": { ... }, "outcome": "RELEASED" }
+ *
+ * Lines are never rewritten. assemble-flight-records.js turns them into
+ * HUMAN_INTERVENTION chains: the lock or advisory is the CATALYST, reviews
+ * are OBSERVATIONs, the release or resolution is the RESOLUTION.
+ *
+ * Releasing a lock sets active: false and keeps the file as the record of the
+ * override. The scheduled pipeline reads data/ from the repository, so commit
+ * and push data/ for a release to take effect there.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+
+const { DATA_DIR, DOMAIN_ID, stripDomainArgs } = require('./utils/paths');
+const {
+  AUDIT_FINDINGS_PATH,
+  STATE_LOCK_PATH,
+  loadFindings,
+  getActiveAdvisory,
+  resolveAdvisory,
+  findingId,
+} = require('./blind-auditor');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const OPERATOR_LOG_PATH = path.join(DATA_DIR, 'operator-audit-log.jsonl');
+const RESOLUTIONS = ['COMMITTED', 'JUSTIFIED'];
+const DEFAULT_FINDINGS_SHOWN = 5;
+
+function log(msg)  { console.log(`[operator] ${msg}`); }
+function warn(msg) { console.warn(`[operator] WARN: ${msg}`); }
+function err(msg)  { console.error(`[operator] ERROR: ${msg}`); }
+
+// ─── Operator Audit Log ─────────────────────────────────────────────────────
+
+/**
+ * Append one operator action. The log is append-only — entries are never
+ * edited or removed.
+ *
+ * @param {object} entry — { action, command, operator, reason, subject, outcome }
+ * @param {string} [logPath]
+ * @returns {object} the entry as written (with timestamp)
+ */
+function recordOperatorAction(entry, logPath) {
+  const file = logPath || OPERATOR_LOG_PATH;
+  const line = {
+    timestamp: new Date().toISOString(),
+    operator:  entry.operator || null,
+    action:    entry.action,
+    command:   entry.command,
+    reason:    entry.reason || null,
+    domain:    DOMAIN_ID,
+    subject:   entry.subject || null,
+    outcome:   entry.outcome || null,
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(line) + '\n');
+  return line;
+}
+
+/**
+ * Read the operator log in append order. Malformed lines are skipped.
+ * @param {string} [logPath]
+ * @returns {Array}
+ */
+function loadOperatorLog(logPath) {
+  const file = logPath || OPERATOR_LOG_PATH;
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const [i, line] of fs.readFileSync(file, 'utf8').split('\n').entries()) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      warn(`${path.basename(file)}:${i + 1} is not valid JSON — skipped`);
+    }
+  }
+  return entries;
+}
+
+// ─── Subjects ───────────────────────────────────────────────────────────────
+// What an action was about, copied into the log entry so the flight recorder
+// can rebuild the chain without the (mutable) lock and findings files.
+
+function readLock() {
+  try {
+    if (fs.existsSync(STATE_LOCK_PATH)) return JSON.parse(fs.readFileSync(STATE_LOCK_PATH, 'utf8'));
+  } catch (e) {
+    err(`Cannot read ${path.basename(STATE_LOCK_PATH)}: ${e.message}`);
+    process.exit(1);
+  }
+  return null;
+}
+
+function lockSubject(lock) {
+  if (!lock) return null;
+  return {
+    type:               'state_lock',
+    finding_id:         lock.finding_id || null,
+    locked_at:          lock.locked_at || null,
+    locked_action:      lock.locked_action || null,
+    locked_by:          lock.locked_by || null,
+    override_reasoning: lock.override_reasoning || null,
+    mismatch_types:     (lock.mismatches || []).map(m => m.type),
+  };
+}
+
+function advisorySubject(finding) {
+  if (!finding) return null;
+  return {
+    type:           'advisory',
+    finding_id:     findingId(finding),
+    timestamp:      finding.timestamp || null,
+    run_index:      finding.run_index ?? null,
+    status:         finding.status || null,
+    mismatch_types: (finding.mismatches || []).map(m => m.type),
+  };
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+function printMismatches(mismatches) {
+  for (const m of mismatches || []) {
+    console.log(`    - ${m.type} (${m.severity || '?'}): ${(m.detail || '').slice(0, 160)}`);
+  }
+}
+
+function printFinding(f, index) {
+  console.log(`── #${index} Phase ${f.phase} | ${f.status} | ${f.timestamp} | run ${f.run_index ?? '?'} ──`);
+  if (f.phase === 2) {
+    console.log(`  Override: ${f.override_action} (${f.override_direction || '?'})`);
+    console.log(`  Reasoning: ${f.override_reasoning || '—'}`);
+  } else if (f.advisory_text) {
+    console.log(`  Advisory: ${f.advisory_text}`);
+  }
+  if (f.ai_model_used) console.log(`  AI audit: ${f.ai_model_used}`);
+  if (f.deterministic_fallback) console.log('  Deterministic fallback (AI audit unavailable)');
+  console.log('  Mismatches:');
+  printMismatches(f.mismatches);
+  if (f.status === 'RESOLVED') {
+    console.log(`  Resolved ${f.resolved_at}: ${f.resolution}${f.resolved_by ? ` by ${f.resolved_by}` : ''}${f.resolution_reason ? ` — ${f.resolution_reason}` : ''}`);
+  }
+  if (f.escalated_at) console.log(`  Escalated to override ${f.escalated_at}`);
+  console.log('');
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+function cmdLockStatus(ctx) {
+  const lock = readLock();
+  console.log('\n=== AUDITOR STATE-LOCK ===\n');
+  if (!lock) {
+    console.log('No state-lock has been written.');
+  } else {
+    console.log(`Status:        ${lock.active ? 'ACTIVE' : 'RELEASED'}`);
+    console.log(`Locked at:     ${lock.locked_at}`);
+    console.log(`Locked action: ${lock.locked_action}`);
+    console.log(`Locked by:     ${lock.locked_by}`);
+    console.log(`Reasoning:     ${lock.override_reasoning || '—'}`);
+    console.log('Mismatches:');
+    printMismatches(lock.mismatches);
+    if (!lock.active && lock.released_at) {
+      console.log(`Released:      ${lock.released_at} by ${lock.released_by || '?'} — ${lock.release_reason || 'no reason recorded'}`);
+    }
+  }
+  console.log('');
+
+  recordOperatorAction({
+    ...ctx, action: 'LOCK_STATUS', command: 'lock status',
+    subject: lockSubject(lock), outcome: lock ? (lock.active ? 'ACTIVE' : 'RELEASED') : 'NO_LOCK',
+  });
+}
+
+function cmdLockRelease(ctx) {
+  if (!ctx.reason) {
+    err('A reason is required: lock release --reason "<why the override no longer applies>"');
+    process.exit(1);
+  }
+  const lock = readLock();
+  if (!lock || !lock.active) {
+    err('No active state-lock to release.');
+    process.exit(1);
+  }
+
+  lock.active = false;
+  lock.released_at = new Date().toISOString();
+  lock.released_by = ctx.operator;
+  lock.release_reason = ctx.reason;
+  fs.writeFileSync(STATE_LOCK_PATH, JSON.stringify(lock, null, 2));
+
+  recordOperatorAction({
+    ...ctx, action: 'LOCK_RELEASE', command: 'lock release',
+    subject: lockSubject(lock), outcome: 'RELEASED',
+  });
+  log(`State-lock released (was ${lock.locked_action} since ${lock.locked_at}).`);
+  log('Layer 4 action recommendations apply again from the next run.');
+  log(`Commit and push ${path.relative(process.cwd(), STATE_LOCK_PATH)} and the operator log for the release to reach the scheduled pipeline.`);
+}
+
+function cmdAdvisoryList(ctx) {
+  const findings = loadFindings();
+  const advisories = findings.filter(f => f.phase === 1);
+  const active = getActiveAdvisory(findings);
+
+  console.log('\n=== BLIND AUDITOR ADVISORIES ===\n');
+  if (advisories.length === 0) console.log('No advisories recorded.');
+  for (const f of advisories) {
+    const marker = f === active ? '▶' : ' ';
+    const resolution = f.status === 'RESOLVED' ? ` → ${f.resolution}${f.resolved_by ? ` (${f.resolved_by})` : ''}` : '';
+    console.log(`${marker} ${f.timestamp} | run ${f.run_index ?? '?'} | ${f.status}${resolution}`);
+    console.log(`    ${(f.mismatches || []).map(m => m.type).join(', ') || '—'}`);
+  }
+  console.log(active
+    ? `\nActive advisory: ${active.timestamp} — resolve with: advisory resolve COMMITTED|JUSTIFIED --reason "..."\n`
+    : '\nNo active advisory.\n');
+
+  recordOperatorAction({
+    ...ctx, action: 'ADVISORY_LIST', command: 'advisory list',
+    subject: advisorySubject(active), outcome: `${advisories.length} advisories, ${active ? '1 active' : 'none active'}`,
+  });
+}
+
+function cmdAdvisoryResolve(ctx, resolution) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    err(`Usage: advisory resolve ${RESOLUTIONS.join('|')} --reason "<why>"`);
+    process.exit(1);
+  }
+  if (!ctx.reason) {
+    err(`A reason is required: advisory resolve ${resolution} --reason "<what was committed to, or the evidence that justifies holding>"`);
+    process.exit(1);
+  }
+
+  const resolved = resolveAdvisory(resolution, AUDIT_FINDINGS_PATH, {
+    resolved_by: ctx.operator,
+    resolution_reason: ctx.reason,
+  });
+  if (!resolved) {
+    err('No active advisory to resolve.');
+    process.exit(1);
+  }
+
+  recordOperatorAction({
+    ...ctx, action: 'ADVISORY_RESOLVE', command: `advisory resolve ${resolution}`,
+    subject: advisorySubject(resolved), outcome: resolution,
+  });
+  log(`Advisory ${resolved.timestamp} resolved: ${resolution}.`);
+}
+
+function cmdFindingsShow(ctx, countArg) {
+  const findings = loadFindings();
+  const count = countArg === 'all' ? findings.length : (parseInt(countArg, 10) || DEFAULT_FINDINGS_SHOWN);
+  const shown = findings.slice(-count);
+
+  console.log(`\n=== AUDIT FINDINGS (${shown.length} of ${findings.length}) ===\n`);
+  shown.forEach((f, i) => printFinding(f, findings.length - shown.length + i + 1));
+
+  const latest = shown[shown.length - 1];
+  recordOperatorAction({
+    ...ctx, action: 'FINDINGS_SHOW', command: `findings show ${countArg || DEFAULT_FINDINGS_SHOWN}`,
+    subject: latest ? (latest.phase === 2 ? lockSubject(readLock()) : advisorySubject(latest)) : null,
+    outcome: `${shown.length} shown`,
+  });
+}
+
+function cmdLog(countArg) {
+  const entries = loadOperatorLog();
+  const shown = entries.slice(-(parseInt(countArg, 10) || 20));
+  console.log(`\n=== OPERATOR AUDIT LOG (${shown.length} of ${entries.length}) ===\n`);
+  for (const e of shown) {
+    console.log(`${e.timestamp} | ${e.operator || '?'} | ${e.command} → ${e.outcome || '—'}${e.reason ? ` | ${e.reason}` : ''}`);
+  }
+  console.log('');
+}
+
+function usage() {
+  console.log('Overwatch Operator — Blind Auditor state-locks and advisories');
+  console.log('');
+  console.log('Commands:');
+  console.log('  lock status                                      Current state-lock');
+  console.log('  lock release --reason "<why>"                    Release the active state-lock');
+  console.log('  advisory list                                    Phase 1 advisories and status');
+  console.log('  advisory resolve COMMITTED|JUSTIFIED --reason "<why>"');
+  console.log('                                                   Resolve the active advisory');
+  console.log('  findings show [count|all]                        Recent audit findings (default 5)');
+  console.log('  log [count]                                      Recent operator audit log entries');
+  console.log('');
+  console.log('Options: --operator <name>  --reason "<text>"  --domain <id>');
+  console.log(`Every command is appended to ${path.basename(OPERATOR_LOG_PATH)}.`);
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  OPERATOR_LOG_PATH,
+  recordOperatorAction,
+  loadOperatorLog,
+};
+
+// ─── CLI Router ─────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const raw = stripDomainArgs(process.argv.slice(2));
+  const option = name => {
+    const i = raw.indexOf(name);
+    return i !== -1 ? raw[i + 1] : undefined;
+  };
+  const args = raw.filter((a, i) => !a.startsWith('--') && !['--reason', '--operator'].includes(raw[i - 1]));
+
+  const ctx = {
+    operator: option('--operator') || process.env.OVERWATCH_OPERATOR || os.userInfo().username,
+    reason:   option('--reason')?.trim() || null,
+  };
+
+  const [group, sub, arg] = args;
+  switch (`${group || ''} ${sub || ''}`.trim()) {
+    case 'lock status':      cmdLockStatus(ctx); break;
+    case 'lock release':     cmdLockRelease(ctx); break;
+    case 'advisory list':    cmdAdvisoryList(ctx); break;
+    case 'advisory resolve': cmdAdvisoryResolve(ctx, (arg || '').toUpperCase()); break;
+    case 'findings show':    cmdFindingsShow(ctx, raw.includes('--all') ? 'all' : arg); break;
+    default:
+      if (group === 'log') { cmdLog(sub); break; }
+      usage();
+      if (group) process.exit(1);
+  }
+}
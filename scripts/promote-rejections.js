@@ -2,13 +2,15 @@
 
 const path = require('path');
 const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
+const { writeLedger, amendEntry } = require('./ledger-integrity');
 
 function log(label, msg)  { console.log(`[${label}] ${msg}`); }
 function err(label, msg)  { console.error(`[${label}] ERROR: ${msg}`); }
 
 function promoteRejections() {
-  const rejLogPath = path.join(__dirname, '..', 'data', 'rejection-log.json');
-  const ledgerPath = path.join(__dirname, '..', 'data', 'corrections-ledger.json');
+  const rejLogPath = path.join(DATA_DIR, 'rejection-log.json');
+  const ledgerPath = path.join(DATA_DIR, 'corrections-ledger.json');
 
   if (!fs.existsSync(rejLogPath)) {
     log('promote', 'No rejection log found — nothing to promote');
@@ -51,22 +53,26 @@ function promoteRejections() {
       confidence_in_lesson: (r.confidence_in_rejection || 'medium').toUpperCase(),
       times_applied: 0,
       times_applicable_but_missed: 0,
-      status: 'NEEDS_ENRICHMENT'
+      status: 'NEEDS_ENRICHMENT',
+      // Lets corrections-enrichment.js pull the rejection and its trace evidence
+      source_rejection: { timestamp: r.timestamp || null, signal_ids: r.signal_ids || [], source: r.source || null },
+      enrichment: { state: 'PENDING', version: 0 }
     };
     nextId++;
     return entry;
   });
 
   ledger.push(...newCorrections);
-  fs.writeFileSync(ledgerPath, JSON.stringify(ledger, null, 2));
+  writeLedger(ledgerPath, ledger);
 
   for (const r of rejections) {
     if (r.corrections_ledger_action === 'auto_commit' && !r.promoted) {
       r.promoted = true;
       r.promoted_at = new Date().toISOString();
+      amendEntry(r, 'promoted to corrections ledger');
     }
   }
-  fs.writeFileSync(rejLogPath, JSON.stringify(rejections, null, 2));
+  writeLedger(rejLogPath, rejections);
 
   log('promote', `Promoted ${newCorrections.length} entries (${newCorrections.map(c => c.id).join(', ')})`);
   return newCorrections.length;
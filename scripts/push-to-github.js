@@ -1,15 +1,23 @@
 'use strict';
 
 /**
- * Git automation: add dashboard-data.json, commit, push to origin/main.
+ * Git automation: add dashboard-data.json (the active domain's copy), the
+ * source circuit breaker state and the metric history, commit, push to
+ * origin/main.
  * Uses simple-git for a clean async API.
  */
 
 const path    = require('path');
+const fs      = require('fs');
 const simpleGit = require('simple-git');
+const { REPO_ROOT, ROOT_DIR, DATA_DIR } = require('./utils/paths');
 
-const REPO_ROOT   = path.join(__dirname, '..');
-const TARGET_FILE = 'dashboard-data.json';
+// domains/<id>/dashboard-data.json when running with --domain
+const TARGET_FILE = path.relative(REPO_ROOT, path.join(ROOT_DIR, 'dashboard-data.json'));
+// Circuit breaker state must survive between CI runs (see data-sources.js)
+const HEALTH_FILE = path.relative(REPO_ROOT, path.join(DATA_DIR, 'source-health.json'));
+// Append-only time series — CI checkouts only remember what is committed
+const HISTORY_FILE = path.relative(REPO_ROOT, path.join(DATA_DIR, 'metric-history.jsonl'));
 
 async function pushToGitHub() {
   const git = simpleGit(REPO_ROOT);
@@ -26,14 +34,16 @@ async function pushToGitHub() {
   const message = `auto: data update ${stamp}`;
 
   try {
-    console.log('[git] Staging dashboard-data.json…');
+    console.log(`[git] Staging ${TARGET_FILE}…`);
     await git.add(TARGET_FILE);
+    if (fs.existsSync(path.join(REPO_ROOT, HEALTH_FILE))) await git.add(HEALTH_FILE);
+    if (fs.existsSync(path.join(REPO_ROOT, HISTORY_FILE))) await git.add(HISTORY_FILE);
 
     // Check if there's actually something to commit
     const status = await git.status();
     const staged = status.staged;
     if (staged.length === 0) {
-      console.log('[git] Nothing new to commit — dashboard-data.json unchanged.');
+      console.log(`[git] Nothing new to commit — ${TARGET_FILE} unchanged.`);
       return;
     }
 
@@ -47,7 +57,7 @@ async function pushToGitHub() {
   } catch (e) {
     // Don't crash the whole script — the JSON is already written locally
     console.error(`[git] ERROR: ${e.message}`);
-    console.error('[git] The dashboard-data.json was written but NOT pushed.');
+    console.error(`[git] The ${TARGET_FILE} was written but NOT pushed.`);
     console.error('[git] Fix the git issue and push manually, or check your credentials.');
   }
 }
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Pipeline Run Checkpoints
+ *
+ * Every pipeline run gets a directory under data/runs/<run-id>/. Each stage
+ * writes one checkpoint file when it finishes; run.json is the manifest.
+ *
+ *   data/runs/2026-04-05T02-46-44-942Z/
+ *     run.json                 — { run_id, created_at, status, stages, invocations }
+ *     01-fetch.json            — { stage, status, completed_at, state }
+ *     02-sweep.json
+ *     ...
+ *
+ * Stage status:
+ *   complete — stage ran normally
+ *   degraded — stage ran but its layer failed; the pipeline fell back
+ *   skipped  — an upstream stage degraded, so there was nothing to do
+ *   stale    — an upstream stage was re-run after this checkpoint was written
+ *
+ * Resuming restarts at the first stage that is not complete or skipped.
+ * completedCheckpoint() tells the caller a stage already finished once, so a
+ * replayed range need not repeat its outside effects.
+ * Stage order is owned by the caller (analyze-thesis.js) — this module only
+ * stores and plans.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const DEFAULT_RUNS_DIR = path.join(DATA_DIR, 'runs');
+const DEFAULT_RETAIN_RUNS = 10;
+const MANIFEST_FILE = 'run.json';
+const DONE_STATUSES = ['complete', 'skipped'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function log(label, msg) { console.log(`[${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[${label}] WARN: ${msg}`); }
+
+function checkpointFile(stageIds, stageId) {
+  return `${String(stageIds.indexOf(stageId) + 1).padStart(2, '0')}-${stageId}.json`;
+}
+
+function writeManifest(run) {
+  run.manifest.updated_at = new Date().toISOString();
+  fs.writeFileSync(path.join(run.dir, MANIFEST_FILE), JSON.stringify(run.manifest, null, 2));
+}
+
+/**
+ * List run IDs oldest first. Run IDs are ISO timestamps, so name order is
+ * chronological.
+ */
+function listRuns(options) {
+  const runsDir = (options || {}).runsDir || DEFAULT_RUNS_DIR;
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir)
+    .filter(name => fs.existsSync(path.join(runsDir, name, MANIFEST_FILE)))
+    .sort();
+}
+
+// ─── Run Lifecycle ──────────────────────────────────────────────────────────
+
+/**
+ * Create a new run directory and manifest.
+ *
+ * @param {string[]} stageIds — ordered stage IDs
+ * @param {object}   [options]
+ * @param {string}   [options.runsDir]
+ * @returns {{ run_id, dir, stageIds, manifest }}
+ */
+function createRun(stageIds, options) {
+  const runsDir = (options || {}).runsDir || DEFAULT_RUNS_DIR;
+  const now = new Date().toISOString();
+  const runId = now.replace(/[:.]/g, '-');
+  const dir = path.join(runsDir, runId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const run = {
+    run_id: runId,
+    dir,
+    stageIds,
+    manifest: {
+      run_id: runId,
+      created_at: now,
+      updated_at: now,
+      status: 'running',
+      stages: {},
+      invocations: [],
+    },
+  };
+  writeManifest(run);
+  log('run', `Created run ${runId}`);
+  return run;
+}
+
+/**
+ * Open an existing run. "latest" resolves to the most recent run.
+ * Throws when the run does not exist.
+ */
+function openRun(runId, stageIds, options) {
+  const runsDir = (options || {}).runsDir || DEFAULT_RUNS_DIR;
+  const resolved = runId === 'latest' ? listRuns(options).pop() : runId;
+  if (!resolved) throw new Error('No previous runs found in ' + runsDir);
+  const dir = path.join(runsDir, resolved);
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) throw new Error(`Run ${resolved} not found in ${runsDir}`);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  log('run', `Opened run ${resolved} (status: ${manifest.status})`);
+  return { run_id: resolved, dir, stageIds, manifest };
+}
+
+/**
+ * Decide which stages to run.
+ *
+ * fromStage defaults to the first stage that is not complete or skipped
+ * (a new run starts at the first stage). toStage defaults to the last stage.
+ * Every stage before the start must already have a checkpoint — its state is
+ * what the selected stages run against.
+ *
+ * @returns {string[]} stage IDs to run, in order
+ */
+function planStages(run, options) {
+  const opts = options || {};
+  const ids = run.stageIds;
+  for (const s of [opts.fromStage, opts.toStage]) {
+    if (s && !ids.includes(s)) throw new Error(`Unknown stage "${s}" — valid stages: ${ids.join(', ')}`);
+  }
+
+  let start = opts.fromStage
+    ? ids.indexOf(opts.fromStage)
+    : ids.findIndex(id => !DONE_STATUSES.includes(run.manifest.stages[id]?.status));
+  if (start < 0) start = ids.length;
+  const end = opts.toStage ? ids.indexOf(opts.toStage) : ids.length - 1;
+  if (end < start && start < ids.length) {
+    throw new Error(`--to-stage ${ids[end]} comes before the start stage ${ids[start]}`);
+  }
+
+  const missing = ids.slice(0, start).filter(id => !fs.existsSync(path.join(run.dir, checkpointFile(ids, id))));
+  if (missing.length > 0) {
+    throw new Error(`Run ${run.run_id} has no checkpoint for ${missing.join(', ')} — cannot start at ${ids[start]}`);
+  }
+
+  return ids.slice(start, end + 1);
+}
+
+/**
+ * Rebuild pipeline state from the checkpoints of every stage before
+ * `beforeStage`, merged in stage order.
+ */
+function loadState(run, beforeStage) {
+  const ids = run.stageIds;
+  const stop = beforeStage ? ids.indexOf(beforeStage) : ids.length;
+  const state = {};
+  for (const id of ids.slice(0, stop)) {
+    const file = path.join(run.dir, checkpointFile(ids, id));
+    if (!fs.existsSync(file)) continue;
+    Object.assign(state, JSON.parse(fs.readFileSync(file, 'utf8')).state || {});
+  }
+  return state;
+}
+
+/**
+ * The stage's checkpoint if it finished as complete in an earlier invocation,
+ * else null. Reads the checkpoint file, which keeps its status after the
+ * manifest marks the stage stale — a stale stage still paid, wrote or sent
+ * whatever it did the first time.
+ *
+ * @returns {{ stage, status, started_at, completed_at, state }|null}
+ */
+function completedCheckpoint(run, stageId) {
+  const file = path.join(run.dir, checkpointFile(run.stageIds, stageId));
+  if (!fs.existsSync(file)) return null;
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return checkpoint.status === 'complete' ? checkpoint : null;
+}
+
+/**
+ * Record that an invocation is about to run `stages`. Checkpoints after the
+ * last selected stage become stale — their inputs are about to change.
+ */
+function beginInvocation(run, stages, details) {
+  const ids = run.stageIds;
+  const last = stages.length > 0 ? ids.indexOf(stages[stages.length - 1]) : -1;
+  if (last >= 0) {
+    for (const id of ids.slice(last + 1)) {
+      const entry = run.manifest.stages[id];
+      if (entry && entry.status !== 'stale') {
+        entry.status = 'stale';
+        warn('run', `Checkpoint ${id} marked stale`);
+      }
+    }
+  }
+  run.manifest.status = 'running';
+  run.manifest.invocations.push({ started_at: new Date().toISOString(), stages, ...(details || {}) });
+  writeManifest(run);
+}
+
+/**
+ * Write a stage checkpoint and update the manifest.
+ *
+ * @param {object} run
+ * @param {string} stageId
+ * @param {string} status — complete | degraded | skipped
+ * @param {object} state  — JSON-serializable stage outputs
+ * @param {string} startedAt
+ */
+function saveCheckpoint(run, stageId, status, state, startedAt) {
+  const completedAt = new Date().toISOString();
+  fs.writeFileSync(path.join(run.dir, checkpointFile(run.stageIds, stageId)), JSON.stringify({
+    stage: stageId,
+    status,
+    started_at: startedAt,
+    completed_at: completedAt,
+    state,
+  }, null, 2));
+
+  const prev = run.manifest.stages[stageId];
+  run.manifest.stages[stageId] = {
+    status,
+    started_at: startedAt,
+    completed_at: completedAt,
+    attempts: (prev?.attempts || 0) + 1,
+  };
+  writeManifest(run);
+  log('run', `Checkpoint ${stageId}: ${status}`);
+}
+
+/**
+ * Close out an invocation: the run is complete when every stage is complete
+ * or skipped, otherwise partial.
+ */
+function finishInvocation(run) {
+  const done = run.stageIds.every(id => DONE_STATUSES.includes(run.manifest.stages[id]?.status));
+  run.manifest.status = done ? 'complete' : 'partial';
+  const inv = run.manifest.invocations[run.manifest.invocations.length - 1];
+  if (inv) inv.completed_at = new Date().toISOString();
+  writeManifest(run);
+  log('run', `Run ${run.run_id}: ${run.manifest.status}`);
+}
+
+/**
+ * Keep the most recent `retain` runs and delete the rest.
+ */
+function pruneRuns(options) {
+  const opts = options || {};
+  const runsDir = opts.runsDir || DEFAULT_RUNS_DIR;
+  const retain = Number.isInteger(opts.retain) ? opts.retain : DEFAULT_RETAIN_RUNS;
+  const runs = listRuns(opts);
+  const excess = runs.slice(0, Math.max(0, runs.length - retain));
+  for (const id of excess) {
+    fs.rmSync(path.join(runsDir, id), { recursive: true, force: true });
+  }
+  if (excess.length > 0) log('run', `Pruned ${excess.length} old run(s)`);
+  return excess.length;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEFAULT_RUNS_DIR,
+  listRuns,
+  createRun,
+  openRun,
+  planStages,
+  loadState,
+  completedCheckpoint,
+  beginInvocation,
+  saveCheckpoint,
+  finishInvocation,
+  pruneRuns,
+};
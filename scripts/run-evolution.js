@@ -14,14 +14,25 @@
  *   node scripts/run-evolution.js evolutions/project-atlas --mode full
  *   node scripts/run-evolution.js evolutions/project-atlas --mode no-corrections
  *   node scripts/run-evolution.js evolutions/project-atlas --mode raw-llm
+ *   node scripts/run-evolution.js evolutions/project-atlas --mode ablation [--group-by lesson_type]
+ *   node scripts/run-evolution.js evolutions/project-atlas --mode full --out <dir>
+ *   node scripts/run-evolution.js --all [--modes full,raw-llm] [--concurrency 2] [--pin-baseline]
+ *
+ * --out writes results/, the corrections ledger and summary.json to <dir>
+ * instead of the scenario directory. --all runs every scenario × mode as a
+ * batch keyed by git commit and gates it against evolutions/baseline.json —
+ * see evolution-batch.js.
  *
  * Modes:
  *   full             (default) Full four-layer pipeline with corrections learning loop
  *   no-corrections   Full pipeline but corrections ledger stays empty throughout.
  *                    Isolates the learning loop's contribution to judgment quality.
- *   raw-llm          Single Claude prompt per step. No layers, no gates, no circuit
- *                    breakers, no corrections. Establishes baseline showing what the
- *                    architecture adds over a naive prompt.
+ *   raw-llm          Single prompt per step (raw_llm model role). No layers, no
+ *                    gates, no circuit breakers, no corrections. Establishes baseline
+ *                    showing what the architecture adds over a naive prompt.
+ *   ablation         Leave-one-out over the corrections ledger: replays the scenario
+ *                    once per CL-xxx entry (or --group-by lesson_type group) with it
+ *                    removed. See corrections-ablation.js.
  *
  * The scenario directory must contain:
  *   scenario.json      — manifest + time-step market data
@@ -61,9 +72,12 @@ const { runTier1Checks,
         checkAssumptionLimit,
 } = require('./tier1-validators');
 
-const { runLayerZeroGate } = require('./layer-zero-gate');
+const { runLayerZeroGate, recordSchemaRejection } = require('./layer-zero-gate');
+const { enforceLayerSchema } = require('./layer-schema');
 
 const { assembleTrace } = require('./assemble-trace');
+const { writeLedger } = require('./ledger-integrity');
+const { callModel } = require('./model-providers');
 
 // ─── Utilities ──────────────────────────────────────────────────────────────
 
@@ -209,7 +223,7 @@ function promoteRejectionsIsolated(rejectionLogPath, correctionsLedgerPath) {
   }));
 
   ledger.push(...newEntries);
-  fs.writeFileSync(correctionsLedgerPath, JSON.stringify(ledger, null, 2));
+  writeLedger(correctionsLedgerPath, ledger);
   log('promote', `Promoted ${newEntries.length} rejections to corrections ledger (${ledger.length} total)`);
 
   return newEntries.length;
@@ -286,7 +300,6 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
   const stepNum = step.step;
   const label = step.label || `Step ${stepNum}`;
   const marketData = step.market_data;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
 
   console.log(`\n${'═'.repeat(60)}`);
   console.log(`  EVOLUTION STEP ${stepNum}: ${label}`);
@@ -309,7 +322,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
   const layerOptions = {
     correctionsLedgerPath,
     rejectionLogPath,
-    enableTelegram: false,
+    enableNotifications: false,
     enablePromoteRejections: false,  // We handle promotion ourselves between steps
     domainConfig: domainConfig || null,
     findingsPath: auditFindingsPath,  // AD #14: Layer 4 reads advisory from isolated path
@@ -318,6 +331,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
 
   const gateOptions = {
     gateLedgerPath,
+    domainConfig: domainConfig || null,
   };
 
   const stepResult = {
@@ -327,6 +341,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
     started_at: new Date().toISOString(),
     layers_completed: [],
     layer_outputs: {},
+    schema_results: {},
     tier1_results: {},
     gate_results: {},
     errors: [],
@@ -337,7 +352,13 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
   try {
     // ── Layer 1: SWEEP ──────────────────────────────────────────────
     console.log('\n═══ LAYER 1: SWEEP ═══');
-    const sweepResults = await runSweep(marketData, thesisContext);
+    let sweepResults = await runSweep(marketData, thesisContext, layerOptions);
+
+    // Schema validation — Layer 1
+    let schemaL1 = null;
+    ({ output: sweepResults, validation: schemaL1 } = await enforceLayerSchema(1, sweepResults, gateOptions));
+    if (schemaL1?.status === 'REJECTED') recordSchemaRejection(1, schemaL1, gateOptions);
+    stepResult.schema_results.layer1 = schemaL1;
 
     // Structural Tier 1 — Layer 1
     const tier1L1 = runStructuralTier1Checks(1, sweepResults);
@@ -347,7 +368,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
     let gateL1 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
     if (sweepResults.length > 0) {
       try {
-        gateL1 = await runLayerZeroGate(1, sweepResults, tier1L1, apiKey, gateOptions);
+        gateL1 = await runLayerZeroGate(1, sweepResults, tier1L1, null, { ...gateOptions, schemaValidation: schemaL1 });
       } catch (e) {
         warn('gate', `Layer 1 gate failed: ${e.message}`);
         gateL1 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true };
@@ -391,12 +412,18 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
 
     // ── Layer 2: CONTEXTUALIZE ──────────────────────────────────────
     console.log('\n═══ LAYER 2: CONTEXTUALIZE ═══');
-    const contextualizeResult = await runContextualize(
+    let contextualizeResult = await runContextualize(
       signalsToAssess, marketData, thesisContext, layerOptions
     );
 
+    // Schema validation — Layer 2
+    let schemaL2 = null;
+    ({ output: contextualizeResult, validation: schemaL2 } = await enforceLayerSchema(2, contextualizeResult, gateOptions));
+    if (schemaL2?.status === 'REJECTED') recordSchemaRejection(2, schemaL2, gateOptions);
+    stepResult.schema_results.layer2 = schemaL2;
+
     if (!contextualizeResult) {
-      stepResult.errors.push('Layer 2 failed');
+      stepResult.errors.push(schemaL2?.status === 'REJECTED' ? 'Layer 2 rejected by schema validation' : 'Layer 2 failed');
       stepResult.completed_at = new Date().toISOString();
       writeStepResult(runDir, stepResult);
       return stepResult;
@@ -409,7 +436,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
     // Gate — Layer 2
     let gateL2 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
     try {
-      gateL2 = await runLayerZeroGate(2, contextualizeResult, tier1L2, apiKey, gateOptions);
+      gateL2 = await runLayerZeroGate(2, contextualizeResult, tier1L2, null, { ...gateOptions, schemaValidation: schemaL2 });
     } catch (e) {
       warn('gate', `Layer 2 gate failed: ${e.message}`);
       gateL2 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true };
@@ -420,12 +447,18 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
 
     // ── Layer 3: INFER ──────────────────────────────────────────────
     console.log('\n═══ LAYER 3: INFER ═══');
-    const inferenceResult = await runInfer(
+    let inferenceResult = await runInfer(
       contextualizeResult, marketData, thesisContext, layerOptions
     );
 
+    // Schema validation — Layer 3
+    let schemaL3 = null;
+    ({ output: inferenceResult, validation: schemaL3 } = await enforceLayerSchema(3, inferenceResult, gateOptions));
+    if (schemaL3?.status === 'REJECTED') recordSchemaRejection(3, schemaL3, gateOptions);
+    stepResult.schema_results.layer3 = schemaL3;
+
     if (!inferenceResult) {
-      stepResult.errors.push('Layer 3 failed');
+      stepResult.errors.push(schemaL3?.status === 'REJECTED' ? 'Layer 3 rejected by schema validation' : 'Layer 3 failed');
       stepResult.completed_at = new Date().toISOString();
       writeStepResult(runDir, stepResult);
       return stepResult;
@@ -438,7 +471,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
     // Gate — Layer 3
     let gateL3 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
     try {
-      gateL3 = await runLayerZeroGate(3, inferenceResult, tier1L3, apiKey, gateOptions);
+      gateL3 = await runLayerZeroGate(3, inferenceResult, tier1L3, null, { ...gateOptions, schemaValidation: schemaL3 });
     } catch (e) {
       warn('gate', `Layer 3 gate failed: ${e.message}`);
       gateL3 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true };
@@ -449,12 +482,18 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
 
     // ── Layer 4: RECONCILE ──────────────────────────────────────────
     console.log('\n═══ LAYER 4: RECONCILE ═══');
-    const reconcileResult = await runReconcile(
+    let reconcileResult = await runReconcile(
       contextualizeResult, inferenceResult, marketData, thesisContext, layerOptions
     );
 
+    // Schema validation — Layer 4
+    let schemaL4 = null;
+    ({ output: reconcileResult, validation: schemaL4 } = await enforceLayerSchema(4, reconcileResult, gateOptions));
+    if (schemaL4?.status === 'REJECTED') recordSchemaRejection(4, schemaL4, gateOptions);
+    stepResult.schema_results.layer4 = schemaL4;
+
     if (!reconcileResult) {
-      stepResult.errors.push('Layer 4 failed');
+      stepResult.errors.push(schemaL4?.status === 'REJECTED' ? 'Layer 4 rejected by schema validation' : 'Layer 4 failed');
       stepResult.completed_at = new Date().toISOString();
       writeStepResult(runDir, stepResult);
       return stepResult;
@@ -467,7 +506,7 @@ async function runTimeStep(step, thesisContext, scenarioDir, correctionsLedgerPa
     // Gate — Layer 4
     let gateL4 = { violations: [], compliance: 'GATE_NOT_RUN', gate_failed: false };
     try {
-      gateL4 = await runLayerZeroGate(4, reconcileResult, tier1L4, apiKey, gateOptions);
+      gateL4 = await runLayerZeroGate(4, reconcileResult, tier1L4, null, { ...gateOptions, schemaValidation: schemaL4 });
     } catch (e) {
       warn('gate', `Layer 4 gate failed: ${e.message}`);
       gateL4 = { violations: [], compliance: 'GATE_UNAVAILABLE', gate_failed: true };
@@ -558,7 +597,6 @@ async function runRawLLMStep(step, thesisContext, scenarioDir, domainConfig) {
   const stepNum = step.step;
   const label = step.label || `Step ${stepNum}`;
   const marketData = step.market_data;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
 
   console.log(`\n${'═'.repeat(60)}`);
   console.log(`  RAW LLM STEP ${stepNum}: ${label}`);
@@ -619,24 +657,13 @@ Respond with this exact JSON structure:
   "biggest_uncertainty": "the single thing that most affects your confidence"
 }`;
 
-    // ── Single Claude API call — no architecture ────────────────────
-    const Anthropic = require('@anthropic-ai/sdk');
-    const client = new Anthropic({ apiKey });
-
-    log('raw-llm', `Calling Claude API for step ${stepNum}...`);
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 4000,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }],
+    // ── Single model call — no architecture ─────────────────────────
+    log('raw-llm', `Calling raw_llm model for step ${stepNum}...`);
+    const { text: responseText } = await callModel('raw_llm', { system: systemPrompt, prompt: userPrompt }, {
+      label: 'raw-llm',
+      domainConfig,
     });
 
-    // Parse response
-    const responseText = response.content
-      .filter(b => b.type === 'text')
-      .map(b => b.text)
-      .join('');
-
     let rawResult;
     try {
       // Strip markdown fences if present
@@ -681,7 +708,7 @@ Respond with this exact JSON structure:
 
 /**
  * Parse --mode flag from process.argv.
- * Returns 'full' (default), 'no-corrections', or 'raw-llm'.
+ * Returns 'full' (default), 'no-corrections', 'raw-llm' or 'ablation'.
  */
 function parseMode(argv) {
   const modeIdx = argv.indexOf('--mode');
@@ -690,7 +717,7 @@ function parseMode(argv) {
   }
 
   const mode = argv[modeIdx + 1];
-  const validModes = ['full', 'no-corrections', 'raw-llm'];
+  const validModes = ['full', 'no-corrections', 'raw-llm', 'ablation'];
 
   if (!validModes.includes(mode)) {
     console.error(`Invalid mode: "${mode}". Valid modes: ${validModes.join(', ')}`);
@@ -703,12 +730,25 @@ function parseMode(argv) {
 // ─── Main: Run Evolution ────────────────────────────────────────────────────
 
 async function main() {
+  if (process.argv.includes('--all')) {
+    const { parseBatchArgs, runBatch } = require('./evolution-batch');
+    try {
+      const outcome = await runBatch(parseBatchArgs(process.argv.slice(2)));
+      process.exit(outcome.exitCode);
+    } catch (e) {
+      console.error(`[evo:batch] ERROR: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
   const scenarioDir = process.argv[2];
-  if (!scenarioDir) {
-    console.error('Usage: node scripts/run-evolution.js <scenario-directory> [--mode full|no-corrections|raw-llm]');
+  if (!scenarioDir || scenarioDir.startsWith('--')) {
+    console.error('Usage: node scripts/run-evolution.js <scenario-directory> [--mode full|no-corrections|raw-llm|ablation] [--out <dir>]');
+    console.error('       node scripts/run-evolution.js --all [--modes <m,m>] [--scenarios <a,b>] [--concurrency N] [--tolerance key=value] [--pin-baseline]');
     console.error('Example: node scripts/run-evolution.js evolutions/project-atlas');
     console.error('Example: node scripts/run-evolution.js evolutions/project-atlas --mode no-corrections');
     console.error('Example: node scripts/run-evolution.js evolutions/project-atlas --mode raw-llm');
+    console.error('Example: node scripts/run-evolution.js evolutions/project-atlas --mode ablation --group-by lesson_type');
     process.exit(1);
   }
 
@@ -719,6 +759,8 @@ async function main() {
   }
 
   const mode = parseMode(process.argv);
+  const outIdx = process.argv.indexOf('--out');
+  const outDir = outIdx !== -1 && process.argv[outIdx + 1] ? path.resolve(process.argv[outIdx + 1]) : null;
 
   console.log('\n━━━ Evolution Library Runner ━━━');
   console.log(`Mode: ${mode}`);
@@ -733,13 +775,24 @@ async function main() {
   // Load scenario
   const { scenario, thesisContext, domainConfig } = loadScenario(resolvedDir);
 
+  // ── Ablation: one fixed-ledger replay per removed unit ──────────────
+  if (mode === 'ablation') {
+    const { parseAblationArgs, runAblation } = require('./corrections-ablation');
+    await runAblation({ scenarioDir: resolvedDir, scenario, thesisContext, domainConfig, outDir, ...parseAblationArgs(process.argv) });
+    return;
+  }
+
   // ── Determine results base directory based on mode ──────────────────
   // setupResultsDir() appends results/run-NNN/ to the base directory.
   // full mode:           <scenarioDir>/results/run-NNN/
   // no-corrections mode: <scenarioDir>/no-corrections/results/run-NNN/
   // raw-llm mode:        <scenarioDir>/raw-llm/results/run-NNN/
+  // --out <dir>:         <dir>/results/run-NNN/ for every mode
   let resultsBaseDir = resolvedDir;
-  if (mode === 'no-corrections') {
+  if (outDir) {
+    resultsBaseDir = outDir;
+    fs.mkdirSync(resultsBaseDir, { recursive: true });
+  } else if (mode === 'no-corrections') {
     resultsBaseDir = path.join(resolvedDir, 'no-corrections');
     fs.mkdirSync(resultsBaseDir, { recursive: true });
   } else if (mode === 'raw-llm') {
@@ -750,7 +803,7 @@ async function main() {
   // ── Initialize corrections ledger (full and no-corrections modes) ──
   let correctionsLedgerPath = null;
   if (mode === 'full') {
-    correctionsLedgerPath = path.join(resolvedDir, 'corrections-ledger.json');
+    correctionsLedgerPath = path.join(outDir || resolvedDir, 'corrections-ledger.json');
     if (!fs.existsSync(correctionsLedgerPath)) {
       const seed = scenario.corrections_ledger_seed || [];
       fs.writeFileSync(correctionsLedgerPath, JSON.stringify(seed, null, 2));
@@ -920,7 +973,7 @@ async function main() {
   }
 
   // Write summary to mode-appropriate location
-  const summaryPath = mode === 'full'
+  const summaryPath = mode === 'full' && !outDir
     ? path.join(resolvedDir, 'summary.json')
     : path.join(resultsBaseDir, 'summary.json');
 
@@ -992,13 +1045,17 @@ function buildSummary(scenario, stepResults, mode) {
         const expected = step.expected_outcome;
         if (!expected) return { step: step.step, scoring: 'no_expectation' };
 
-        const statusMatch = expected.thesis_status
-          ? result?.thesis_status === expected.thesis_status
-          : null;
+        // A declared band (see score-evolutions.js) accepts any of its statuses
+        const statusMatch = expected.thesis_status_band
+          ? expected.thesis_status_band.includes(result?.thesis_status)
+          : expected.thesis_status
+            ? result?.thesis_status === expected.thesis_status
+            : null;
 
         return {
           step: step.step,
           expected_status: expected.thesis_status || null,
+          expected_band: expected.thesis_status_band || null,
           actual_status: result?.thesis_status || null,
           match: statusMatch,
           notes: expected.notes || null,
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Run Scheduler — timezone-correct run windows, run types, catch-up and the pipeline lock
+ *
+ * Run cadence is declared in config/domain.json under run_schedule: an IANA
+ * timezone and an ordered list of named run types, each with a local wall
+ * time ("at"), optional weekdays ("days") and the behaviors that run type
+ * switches on. Where two run types share a slot (Sunday 18:00 is both
+ * "evening" and "sunday_audit"), the first listed wins. Local times are
+ * resolved through Intl, so daylight-saving shifts need no cron changes.
+ *
+ * A run belongs to the most recent slot at or before it (a few minutes early
+ * still counts). analyze-thesis.js classifies itself that way unless the
+ * scheduler passes OVERWATCH_RUN_TYPE / OVERWATCH_RUN_SLOT, and records the
+ * slot in data/run-schedule.json when it finishes. tick() compares that
+ * record against the slots due since tracking began:
+ *
+ *   due        — the current slot, not yet run, within grace_minutes
+ *   catch-up   — catch_up "latest": the latest overdue slot of each run type
+ *                not covered by the due run, oldest first, at most
+ *                max_catch_up_runs
+ *   missed     — every other overdue slot; recorded MISSED and alerted
+ *
+ * acquireLock() guards every pipeline run with data/pipeline.lock so
+ * overlapping runs cannot interleave writes to 360-history.json and the
+ * ledgers. A lock whose process is gone (same host) or that is older than
+ * lock_stale_minutes is reclaimed.
+ *
+ * Usage:
+ *   node scripts/run-scheduler.js status                 # schedule, next slots, recorded runs
+ *   node scripts/run-scheduler.js due                    # what tick would run (sets GITHUB_OUTPUT due=)
+ *   node scripts/run-scheduler.js tick [--force] [...]   # run catch-ups and the due slot via analyze-thesis.js
+ *   node scripts/run-scheduler.js run --type <id> [...]  # one run of a given type, now
+ *
+ * Arguments after the command are passed through to analyze-thesis.js.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+const { spawnSync } = require('child_process');
+const { DATA_DIR, CONFIG_DIR, stripDomainArgs } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const SCHEDULE_STATE_PATH = path.join(DATA_DIR, 'run-schedule.json');
+const LOCK_PATH = path.join(DATA_DIR, 'pipeline.lock');
+const MINUTE_MS = 60_000;
+const DAY_MS = 86_400_000;
+
+// A run started this close before a slot belongs to it (cron jitter, manual runs)
+const EARLY_MS = 15 * MINUTE_MS;
+// analyze-thesis.js exit status when another run holds the lock (EX_TEMPFAIL)
+const LOCK_HELD_EXIT = 75;
+// Recorded runs are kept this long
+const RETAIN_DAYS = 30;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_SCHEDULE = {
+  timezone: 'America/Chicago',
+  grace_minutes: 90,
+  catch_up: 'latest',
+  catch_up_window_hours: 48,
+  max_catch_up_runs: 2,
+  lock_stale_minutes: 120,
+  run_types: [
+    { id: 'morning', label: 'Morning', at: '06:00', behaviors: {} },
+    { id: 'evening', label: 'Evening', at: '18:00', behaviors: {} },
+  ],
+};
+
+// Behaviors a run type has unless it says otherwise
+const DEFAULT_BEHAVIORS = {
+  acquisition: true,
+  blind_spot_audit: false,
+};
+
+function log(msg)  { console.log(`[schedule] ${msg}`); }
+function warn(msg) { console.warn(`[schedule] WARN: ${msg}`); }
+
+class LockHeldError extends Error {
+  constructor(msg, holder) {
+    super(msg);
+    this.name = 'LockHeldError';
+    this.code = 'LOCK_HELD';
+    this.holder = holder;
+  }
+}
+
+// ─── Config ─────────────────────────────────────────────────────────────────
+
+function loadDomainConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'domain.json'), 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * The effective run_schedule: defaults ← domainConfig.run_schedule. Validates
+ * the timezone and run-type times so a typo fails loudly instead of
+ * classifying every run wrong.
+ *
+ * @param {object} [domainConfig] — parsed domain.json (loaded when omitted)
+ * @returns {object}
+ */
+function resolveSchedule(domainConfig) {
+  const schedule = { ...DEFAULT_SCHEDULE, ...((domainConfig || loadDomainConfig()).run_schedule || {}) };
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+  } catch (_) {
+    throw new Error(`run_schedule.timezone "${schedule.timezone}" is not an IANA timezone`);
+  }
+  for (const type of schedule.run_types) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(type.at || '')) throw new Error(`run_schedule run type ${type.id}: "at" must be HH:MM`);
+    for (const day of type.days || []) {
+      if (!WEEKDAYS.includes(day)) throw new Error(`run_schedule run type ${type.id}: unknown day "${day}"`);
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Behaviors for a run type, with defaults for unknown or legacy run types.
+ *
+ * @param {string} runType
+ * @param {object} [domainConfig]
+ * @returns {object} e.g. { acquisition: true, blind_spot_audit: false }
+ */
+function runBehaviors(runType, domainConfig) {
+  const type = resolveSchedule(domainConfig).run_types.find(t => t.id === runType);
+  return { ...DEFAULT_BEHAVIORS, ...(type?.behaviors || {}) };
+}
+
+/**
+ * Display label for a run type ("sunday_audit" → its label, else "Sunday Audit").
+ */
+function runTypeLabel(runType, domainConfig) {
+  let type = null;
+  try {
+    type = resolveSchedule(domainConfig).run_types.find(t => t.id === runType);
+  } catch (_) { /* fall through to the id */ }
+  if (type?.label) return type.label;
+  return String(runType || 'unscheduled').split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+// ─── Local time ─────────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ * @returns {{ date: string, time: string, weekday: string, offsetMs: number }}
+ */
+function localParts(instant, timeZone) {
+  const ms = new Date(instant).getTime();
+  const p = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(ms))) p[type] = value;
+  const wallMs = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`,
+    weekday: WEEKDAYS[new Date(Date.UTC(+p.year, +p.month - 1, +p.day)).getUTCDay()],
+    offsetMs: wallMs - Math.floor(ms / 1000) * 1000,
+  };
+}
+
+/**
+ * The instant a local wall time occurs in a timezone. A wall time repeated by
+ * a fall-back shift resolves to its first occurrence; one skipped by a
+ * spring-forward shift to the same reading an hour later.
+ *
+ * @param {string} date — YYYY-MM-DD
+ * @param {string} time — HH:MM
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTime(date, time, timeZone) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const wallMs = Date.UTC(y, mo - 1, d, h, mi);
+  let ms = wallMs - localParts(wallMs, timeZone).offsetMs;
+  const corrected = wallMs - localParts(ms, timeZone).offsetMs;
+  if (corrected !== ms && localParts(corrected, timeZone).time === time) ms = corrected;
+  return new Date(ms);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ─── Slots ──────────────────────────────────────────────────────────────────
+
+/**
+ * Scheduled slots between two instants, oldest first. A slot is one local
+ * time on one local date; the first run type listed for it owns it.
+ *
+ * @returns {Array<{ slot_id, run_type, label, scheduled_for: Date }>}
+ */
+function listSlots(schedule, from, to) {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  const slots = [];
+  const lastDate = localParts(toMs + DAY_MS, schedule.timezone).date;
+  for (let date = localParts(fromMs - DAY_MS, schedule.timezone).date; date <= lastDate; date = addDays(date, 1)) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const taken = new Set();
+    for (const type of schedule.run_types) {
+      if (type.days && !type.days.includes(weekday)) continue;
+      if (taken.has(type.at)) continue;
+      taken.add(type.at);
+      const scheduledFor = zonedTime(date, type.at, schedule.timezone);
+      if (scheduledFor.getTime() < fromMs || scheduledFor.getTime() > toMs) continue;
+      slots.push({ slot_id: `${date}T${type.at}`, run_type: type.id, label: runTypeLabel(type.id, { run_schedule: schedule }), scheduled_for: scheduledFor });
+    }
+  }
+  return slots.sort((a, b) => a.scheduled_for - b.scheduled_for);
+}
+
+/**
+ * The slot a run starting at `now` belongs to: the most recent slot at or
+ * before it, counting a run up to a few minutes early as on time.
+ *
+ * @param {Date} [now]
+ * @param {object} [schedule] — resolveSchedule() result
+ * @returns {{ slot_id, run_type, label, scheduled_for: Date }}
+ */
+function classifyRun(now = new Date(), schedule = resolveSchedule()) {
+  const nowMs = new Date(now).getTime();
+  const slots = listSlots(schedule, nowMs - 8 * DAY_MS, nowMs + EARLY_MS);
+  if (slots.length === 0) throw new Error('run_schedule has no run types');
+  return slots[slots.length - 1];
+}
+
+/**
+ * Run type and slot for the current process: OVERWATCH_RUN_TYPE /
+ * OVERWATCH_RUN_SLOT when the scheduler set them, else classifyRun(). A run
+ * type forced without a slot (run --type) occupies no slot.
+ *
+ * @param {object} [options] — { now, env, domainConfig }
+ * @returns {{ run_type: string, slot_id: string|null, catch_up: boolean }}
+ */
+function currentRun(options = {}) {
+  const env = options.env || process.env;
+  if (env.OVERWATCH_RUN_TYPE) {
+    return { run_type: env.OVERWATCH_RUN_TYPE, slot_id: env.OVERWATCH_RUN_SLOT || null, catch_up: env.OVERWATCH_CATCH_UP === '1' };
+  }
+  const slot = classifyRun(options.now || new Date(), resolveSchedule(options.domainConfig));
+  return { run_type: slot.run_type, slot_id: slot.slot_id, catch_up: false };
+}
+
+// ─── State ──────────────────────────────────────────────────────────────────
+
+function loadScheduleState(statePath = SCHEDULE_STATE_PATH) {
+  if (!fs.existsSync(statePath)) return { tracking_since: null, runs: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { tracking_since: state.tracking_since || null, runs: state.runs || {} };
+  } catch (e) {
+    warn(`${path.basename(statePath)} unreadable — starting a fresh schedule record: ${e.message}`);
+    return { tracking_since: null, runs: {} };
+  }
+}
+
+function saveScheduleState(state, statePath = SCHEDULE_STATE_PATH) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Record the outcome of a slot. Tracking starts with the first record, so
+ * slots before a fresh install never count as missed.
+ *
+ * @param {object} entry — { slot_id, run_type, status, run_id?, catch_up?, scheduled_for? }
+ * @param {object} [options] — { now, statePath }
+ */
+function recordRun(entry, options = {}) {
+  const statePath = options.statePath || SCHEDULE_STATE_PATH;
+  const now = options.now || new Date();
+  const state = loadScheduleState(statePath);
+  const previous = state.runs[entry.slot_id];
+  state.tracking_since = state.tracking_since || now.toISOString();
+  state.runs[entry.slot_id] = {
+    ...previous,
+    ...entry,
+    attempts: (previous?.attempts || 0) + (entry.status === 'MISSED' ? 0 : 1),
+    recorded_at: now.toISOString(),
+  };
+  const cutoff = now.getTime() - RETAIN_DAYS * DAY_MS;
+  for (const [slotId, run] of Object.entries(state.runs)) {
+    if (new Date(run.recorded_at).getTime() < cutoff) delete state.runs[slotId];
+  }
+  saveScheduleState(state, statePath);
+  return state.runs[entry.slot_id];
+}
+
+// ─── Planning ───────────────────────────────────────────────────────────────
+
+/**
+ * What a tick at `now` should do. Pure.
+ *
+ * @param {object} state — loadScheduleState() result
+ * @param {object} schedule — resolveSchedule() result
+ * @param {Date} [now]
+ * @returns {{ due: object|null, catchUp: object[], missed: object[] }}
+ */
+function planTick(state, schedule, now = new Date()) {
+  const nowMs = new Date(now).getTime();
+  const windowStart = nowMs - schedule.catch_up_window_hours * 3_600_000;
+  // Before the first recorded run only the current slot can be due
+  const trackingStart = state.tracking_since ? new Date(state.tracking_since).getTime() : nowMs - schedule.grace_minutes * MINUTE_MS;
+  const slots = listSlots(schedule, Math.max(windowStart, trackingStart - EARLY_MS), nowMs + EARLY_MS);
+  const pending = slots.filter(s => !state.runs[s.slot_id]);
+
+  const current = slots[slots.length - 1];
+  const due = current && pending.includes(current) && nowMs - current.scheduled_for.getTime() <= schedule.grace_minutes * MINUTE_MS
+    ? current
+    : null;
+  const overdue = pending.filter(s => s !== due);
+
+  let catchUp = [];
+  if (schedule.catch_up === 'latest') {
+    const latestByType = new Map();
+    for (const slot of overdue) {
+      if (slot.run_type !== due?.run_type) latestByType.set(slot.run_type, slot);
+    }
+    catchUp = [...latestByType.values()]
+      .sort((a, b) => a.scheduled_for - b.scheduled_for)
+      .slice(-schedule.max_catch_up_runs);
+  }
+  const missed = overdue.filter(s => !catchUp.includes(s));
+  return { due, catchUp, missed };
+}
+
+// ─── Lock ───────────────────────────────────────────────────────────────────
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Take the pipeline lock, reclaiming a stale one. Released by the returned
+ * function, and in any case when the process exits.
+ *
+ * @param {object} [owner] — extra fields for the lock file (run_type, slot_id)
+ * @param {object} [options] — { lockPath, domainConfig, now }
+ * @returns {() => void} release
+ * @throws {LockHeldError} when a live run holds the lock
+ */
+function acquireLock(owner = {}, options = {}) {
+  const lockPath = options.lockPath || LOCK_PATH;
+  const staleMs = resolveSchedule(options.domainConfig).lock_stale_minutes * MINUTE_MS;
+  const now = options.now || new Date();
+  const record = { pid: process.pid, host: os.hostname(), started_at: now.toISOString(), ...owner };
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(record, null, 2), { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const holder = readLock(lockPath);
+      const age = holder?.started_at ? now - new Date(holder.started_at) : Infinity;
+      const orphaned = holder?.host === record.host && !processAlive(holder.pid);
+      if (attempt === 0 && (!holder || orphaned || age > staleMs)) {
+        warn(`Reclaiming stale lock (pid ${holder?.pid ?? '?'} on ${holder?.host ?? '?'}, started ${holder?.started_at ?? '?'})`);
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      throw new LockHeldError(`Pipeline locked by pid ${holder?.pid} on ${holder?.host} since ${holder?.started_at}`, holder);
+    }
+  }
+
+  let held = true;
+  const release = () => {
+    if (!held) return;
+    held = false;
+    process.removeListener('exit', release);
+    if (readLock(lockPath)?.pid === record.pid) fs.rmSync(lockPath, { force: true });
+  };
+  process.on('exit', release);
+  return release;
+}
+
+// ─── Tick ───────────────────────────────────────────────────────────────────
+
+function runPipeline(slot, { catchUp, passthrough }) {
+  log(slot.slot_id ? `${catchUp ? 'Catch-up' : 'Scheduled'} ${slot.label} run for slot ${slot.slot_id}` : `Unscheduled ${slot.label} run`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'analyze-thesis.js'), ...passthrough], {
+    stdio: 'inherit',
+    env: { ...process.env, OVERWATCH_RUN_TYPE: slot.run_type, OVERWATCH_RUN_SLOT: slot.slot_id || '', OVERWATCH_CATCH_UP: catchUp ? '1' : '' },
+  });
+  return result.status;
+}
+
+/**
+ * Run every catch-up and the due slot, oldest first, and record misses.
+ * analyze-thesis.js records the slots it completes; a run that dies without
+ * recording is recorded FAILED here, a run refused by the lock is left
+ * pending for the next tick.
+ *
+ * @param {object} [options] — { now, force, passthrough, domainConfig, statePath }
+ * @returns {Promise<{ ran: object[], missed: string[] }>}
+ */
+async function tick(options = {}) {
+  const statePath = options.statePath || SCHEDULE_STATE_PATH;
+  const schedule = resolveSchedule(options.domainConfig);
+  const now = options.now || new Date();
+  const plan = planTick(loadScheduleState(statePath), schedule, now);
+
+  for (const slot of plan.missed) {
+    recordRun({ slot_id: slot.slot_id, run_type: slot.run_type, scheduled_for: slot.scheduled_for.toISOString(), status: 'MISSED' }, { now, statePath });
+    warn(`Missed ${slot.label} run for slot ${slot.slot_id}`);
+  }
+  const { syncAlerts } = require('./alert-policy');
+  const missedByType = {};
+  for (const slot of [...plan.missed, ...plan.catchUp]) (missedByType[slot.run_type] ||= []).push(slot);
+  await syncAlerts('missed_run', Object.entries(missedByType).map(([runType, slots]) => ({
+    subject: runType,
+    severity: 'WARNING',
+    title: `OVERWATCH: Missed ${runTypeLabel(runType, { run_schedule: schedule })} run${slots.length > 1 ? 's' : ''}`,
+    sections: [
+      { heading: 'Slots', items: slots.map(s => `${s.slot_id} ${schedule.timezone}${plan.catchUp.includes(s) ? ' — catching up now' : ''}`) },
+    ],
+  })), { domainConfig: options.domainConfig });
+
+  const runs = plan.catchUp.map(slot => ({ slot, catchUp: true }));
+  if (plan.due) runs.push({ slot: plan.due, catchUp: false });
+  if (runs.length === 0 && options.force) runs.push({ slot: classifyRun(now, schedule), catchUp: false, forced: true });
+  if (runs.length === 0) log('Nothing due');
+
+  const ran = [];
+  for (const { slot, catchUp } of runs) {
+    const status = (options.runPipeline || runPipeline)(slot, { catchUp, passthrough: options.passthrough || [] });
+    if (status === LOCK_HELD_EXIT) {
+      warn(`Slot ${slot.slot_id} left pending — another run holds the pipeline lock`);
+      break;
+    }
+    if (status !== 0 && !loadScheduleState(statePath).runs[slot.slot_id]) {
+      recordRun({ slot_id: slot.slot_id, run_type: slot.run_type, scheduled_for: slot.scheduled_for.toISOString(), status: 'FAILED', catch_up: catchUp }, { statePath });
+    }
+    ran.push({ slot_id: slot.slot_id, run_type: slot.run_type, catch_up: catchUp, exit_status: status });
+  }
+  return { ran, missed: plan.missed.map(s => s.slot_id) };
+}
+
+module.exports = {
+  SCHEDULE_STATE_PATH,
+  LOCK_PATH,
+  LOCK_HELD_EXIT,
+  LockHeldError,
+  resolveSchedule,
+  runBehaviors,
+  runTypeLabel,
+  localParts,
+  zonedTime,
+  listSlots,
+  classifyRun,
+  currentRun,
+  loadScheduleState,
+  recordRun,
+  planTick,
+  acquireLock,
+  tick,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+  const command = args[0] || 'status';
+  const rest = args.slice(1);
+  const fmt = slot => `${slot.slot_id} ${slot.label} (${slot.scheduled_for.toISOString()})`;
+
+  if (command === 'status') {
+    const schedule = resolveSchedule();
+    const state = loadScheduleState();
+    const now = new Date();
+    console.log(`Timezone ${schedule.timezone} | local now ${localParts(now, schedule.timezone).date} ${localParts(now, schedule.timezone).time} | current run: ${fmt(classifyRun(now, schedule))}`);
+    console.log(`Next: ${listSlots(schedule, now.getTime() + EARLY_MS + 1, now.getTime() + 3 * DAY_MS).slice(0, 4).map(fmt).join(', ')}`);
+    const lock = readLock(LOCK_PATH);
+    console.log(`Lock: ${lock ? `held by pid ${lock.pid} on ${lock.host} since ${lock.started_at}` : 'free'}`);
+    for (const run of Object.values(state.runs).sort((a, b) => a.slot_id.localeCompare(b.slot_id)).slice(-10)) {
+      console.log(`  ${run.slot_id} | ${run.run_type} | ${run.status}${run.catch_up ? ' (catch-up)' : ''}${run.run_id ? ` | ${run.run_id}` : ''}`);
+    }
+  } else if (command === 'due') {
+    const plan = planTick(loadScheduleState(), resolveSchedule());
+    for (const slot of plan.missed) console.log(`missed   ${fmt(slot)}`);
+    for (const slot of plan.catchUp) console.log(`catch-up ${fmt(slot)}`);
+    if (plan.due) console.log(`due      ${fmt(plan.due)}`);
+    const due = Boolean(plan.due || plan.catchUp.length);
+    if (!due) console.log('Nothing due');
+    if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `due=${due}\n`);
+  } else if (command === 'tick') {
+    tick({ force: rest.includes('--force'), passthrough: rest.filter(a => a !== '--force') }).then(result => {
+      if (result.ran.some(r => r.exit_status !== 0)) process.exitCode = 1;
+    }).catch(e => {
+      console.error(`[schedule] ERROR: ${e.message}`);
+      process.exitCode = 1;
+    });
+  } else if (command === 'run' && rest.includes('--type')) {
+    const runType = rest[rest.indexOf('--type') + 1];
+    const schedule = resolveSchedule();
+    if (!schedule.run_types.some(t => t.id === runType)) {
+      console.error(`[schedule] ERROR: Unknown run type "${runType}" — known: ${schedule.run_types.map(t => t.id).join(', ')}`);
+      process.exit(1);
+    }
+    const passthrough = rest.filter((a, i) => a !== '--type' && rest[i - 1] !== '--type');
+    const slot = { slot_id: null, run_type: runType, label: runTypeLabel(runType) };
+    process.exitCode = runPipeline(slot, { catchUp: false, passthrough });
+  } else {
+    console.log('Usage: node scripts/run-scheduler.js status | due | tick [--force] | run --type <id>');
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Evolution Scorecard — grades every evolution run against its ground truth
+ * and compares the three modes side by side
+ *
+ * buildSummary() in run-evolution.js records what each mode said. This
+ * module records whether it was right. Scenarios declare ground truth in
+ * scenario.json:
+ *
+ *   "ground_truth": { "latest_exit_step": 5 }         — null: the severe action is never correct
+ *   time_steps[].expected_outcome:
+ *     "thesis_status_band": ["CONTESTED", "WEAKENING"] — pipeline statuses accepted at this step
+ *     "required_signals": [{ "signal": "Yield gap", "pattern": "yield (gap|sustainab)" }]
+ *
+ * "Exit" means the domain's action_severe (EXIT_SIGNAL, EMERGENCY_SHUTDOWN).
+ * A required signal counts as detected when its pattern (case-insensitive
+ * regex) appears anywhere in the step's output — 360-report.json for the
+ * pipeline modes, raw-llm-output.json for raw-llm — so every mode is held to
+ * the same test.
+ *
+ * Per mode:
+ *   status       — steps in band, over- and under-escalations
+ *   lead_time    — steps (and days) between the first acceptable severe action
+ *                  and latest_exit_step; negative is late, null is missed
+ *   false_alarms — severe actions where the step's band holds no WEAKENING or
+ *                  FALSIFIED (or the scenario never warrants one), plus
+ *                  statuses more severe than the band allows
+ *   calibration  — Brier score of stated confidence against in-band, and
+ *                  high-confidence misses
+ *   signals      — required signals detected / required
+ *
+ * Writes evolutions/scorecard.json, which evolution-report.html renders.
+ * With `resultsDir`, runs are read from <resultsDir>/<scenario>/<mode>/ (the
+ * layout evolution-batch.js writes) and the scorecard is written there.
+ *
+ * CLI:
+ *   node scripts/score-evolutions.js [scenario ...] [--dir <evolutions>]
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { REPO_ROOT } = require('./utils/paths');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const EVOLUTIONS_DIR = path.join(REPO_ROOT, 'evolutions');
+const SCORECARD_FILE = 'scorecard.json';
+const MODES = ['full', 'no-corrections', 'raw-llm'];
+
+// Severity order of pipeline thesis statuses; equal ranks are equally severe
+const STATUS_RANK = {
+  STRENGTHENING: 0,
+  STABLE: 1,
+  INSUFFICIENT_EVIDENCE: 1,
+  CONTESTED: 2,
+  WEAKENING: 3,
+  FALSIFIED: 4,
+};
+const DETERIORATING_RANK = STATUS_RANK.WEAKENING;
+
+// Stated confidence read as a probability of being in band
+const CONFIDENCE_PROBABILITY = { high: 0.85, medium: 0.6, low: 0.35 };
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+
+function log(label, msg) { console.log(`[score:${label}] ${msg}`); }
+function warn(label, msg) { console.warn(`[score:${label}] WARNING: ${msg}`); }
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const round = (value, places = 3) => (value == null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function parseDay(simulatedDate) {
+  const m = /^Day (-?\d+)$/.exec(simulatedDate || '');
+  return m ? Number(m[1]) : null;
+}
+
+function modeDir(scenarioDir, mode, resultsDir = null) {
+  if (resultsDir) return path.join(resultsDir, mode);
+  return mode === 'full' ? scenarioDir : path.join(scenarioDir, mode);
+}
+
+// ─── Ground Truth ───────────────────────────────────────────────────────────
+
+/**
+ * Per-step ground truth for a scenario. A step without a declared band falls
+ * back to its expected thesis_status when that is a pipeline status; otherwise
+ * the step is not graded on status (red-team's "Strained" has no pipeline
+ * equivalent without a band).
+ */
+function loadGroundTruth(scenario) {
+  const latestExitStep = scenario.ground_truth?.latest_exit_step ?? null;
+  return {
+    latest_exit_step: latestExitStep,
+    steps: scenario.time_steps.map((step, i) => {
+      const expected = step.expected_outcome || {};
+      let band = expected.thesis_status_band || null;
+      if (!band && expected.thesis_status in STATUS_RANK) band = [expected.thesis_status];
+      const severeAcceptable = latestExitStep != null && !!band && band.some(s => STATUS_RANK[s] >= DETERIORATING_RANK);
+      return {
+        step: step.step || i + 1,
+        label: step.label,
+        day: parseDay(step.simulated_date),
+        band,
+        severe_acceptable: severeAcceptable,
+        required_signals: (expected.required_signals || []).map(r => (typeof r === 'string' ? { signal: r, pattern: r } : r)),
+      };
+    }),
+  };
+}
+
+// ─── Step Output ────────────────────────────────────────────────────────────
+
+/**
+ * All string content of one step's output, for required-signal matching.
+ */
+function collectStepText(runDir) {
+  const output = readJSON(path.join(runDir, '360-report.json')) || readJSON(path.join(runDir, 'raw-llm-output.json'));
+  if (!output) return null;
+  const parts = [];
+  const walk = value => {
+    if (typeof value === 'string') parts.push(value);
+    else if (Array.isArray(value)) value.forEach(walk);
+    else if (value && typeof value === 'object') Object.values(value).forEach(walk);
+  };
+  walk(output);
+  return parts.join('\n');
+}
+
+// ─── Scoring ────────────────────────────────────────────────────────────────
+
+/**
+ * Grade one mode's progression against the ground truth.
+ *
+ * @param {object} truth       - loadGroundTruth() result
+ * @param {object[]} progression - summary.json progression
+ * @param {object} options
+ * @param {string} options.actionSevere - domain action_severe
+ * @param {function} [options.stepText] - step number → output text (null when missing)
+ */
+function scoreProgression(truth, progression, { actionSevere, stepText = () => null }) {
+  const byStep = new Map(progression.map(p => [p.step, p]));
+  const rows = [];
+  let inBand = 0;
+  let graded = 0;
+  let brierSum = 0;
+  let brierCount = 0;
+  let overconfident = 0;
+  let underconfident = 0;
+  const overEscalations = [];
+  const underEscalations = [];
+  const severeFalseAlarms = [];
+  const missedSignals = [];
+  let signalsRequired = 0;
+  let signalsDetected = 0;
+  let firstExit = null;
+
+  for (const t of truth.steps) {
+    const p = byStep.get(t.step) || {};
+    const status = p.thesis_status || null;
+    const confidence = (p.confidence || '').toLowerCase() || null;
+    const severe = !!actionSevere && p.action === actionSevere;
+
+    let match = null;
+    if (t.band && status) {
+      graded++;
+      match = t.band.includes(status);
+      if (match) inBand++;
+      const rank = STATUS_RANK[status];
+      const ranks = t.band.map(s => STATUS_RANK[s]).filter(r => r != null);
+      if (!match && rank != null && ranks.length > 0) {
+        if (rank > Math.max(...ranks)) overEscalations.push(t.step);
+        else if (rank < Math.min(...ranks)) underEscalations.push(t.step);
+      }
+      if (confidence in CONFIDENCE_PROBABILITY) {
+        brierSum += (CONFIDENCE_PROBABILITY[confidence] - (match ? 1 : 0)) ** 2;
+        brierCount++;
+        if (confidence === 'high' && !match) overconfident++;
+        if (confidence === 'low' && match) underconfident++;
+      }
+    }
+
+    if (severe && !t.severe_acceptable) severeFalseAlarms.push(t.step);
+    if (severe && t.severe_acceptable && firstExit == null) firstExit = t;
+
+    const text = t.required_signals.length > 0 ? stepText(t.step) : null;
+    const detected = [];
+    const missed = [];
+    for (const r of t.required_signals) {
+      signalsRequired++;
+      if (text && new RegExp(r.pattern, 'i').test(text)) {
+        signalsDetected++;
+        detected.push(r.signal);
+      } else {
+        missed.push(r.signal);
+        missedSignals.push({ step: t.step, signal: r.signal });
+      }
+    }
+
+    rows.push({
+      step: t.step,
+      label: t.label,
+      expected_band: t.band,
+      thesis_status: status,
+      confidence,
+      action: p.action || null,
+      in_band: match,
+      severe_action: severe,
+      false_alarm: severe && !t.severe_acceptable,
+      signals_detected: detected,
+      signals_missed: missed,
+    });
+  }
+
+  let lead = { latest_exit_step: truth.latest_exit_step, first_exit_step: null, lead_steps: null, lead_days: null, outcome: 'N/A' };
+  if (truth.latest_exit_step != null) {
+    const latest = truth.steps.find(s => s.step === truth.latest_exit_step);
+    if (!firstExit) {
+      lead.outcome = 'MISSED';
+    } else {
+      lead.first_exit_step = firstExit.step;
+      lead.lead_steps = truth.latest_exit_step - firstExit.step;
+      lead.lead_days = latest?.day != null && firstExit.day != null ? latest.day - firstExit.day : null;
+      lead.outcome = lead.lead_steps > 0 ? 'EARLY' : lead.lead_steps === 0 ? 'ON_TIME' : 'LATE';
+    }
+  }
+
+  return {
+    steps: rows,
+    status: {
+      graded,
+      in_band: inBand,
+      accuracy: graded > 0 ? round(inBand / graded) : null,
+      over_escalations: overEscalations,
+      under_escalations: underEscalations,
+    },
+    lead_time: lead,
+    false_alarms: {
+      severe_actions: severeFalseAlarms,
+      over_escalations: overEscalations,
+      count: new Set([...severeFalseAlarms, ...overEscalations]).size,
+    },
+    calibration: {
+      brier: brierCount > 0 ? round(brierSum / brierCount) : null,
+      overconfident,
+      underconfident,
+    },
+    signals: {
+      required: signalsRequired,
+      detected: signalsDetected,
+      recall: signalsRequired > 0 ? round(signalsDetected / signalsRequired) : null,
+      missed: missedSignals,
+    },
+  };
+}
+
+/**
+ * Score every mode of one scenario directory that has a summary.json.
+ *
+ * @param {string} scenarioDir
+ * @param {object} [options]
+ * @param {string} [options.resultsDir] - read runs from <resultsDir>/<mode>/ instead
+ */
+function scoreScenario(scenarioDir, { resultsDir = null } = {}) {
+  const scenario = readJSON(path.join(scenarioDir, 'scenario.json'));
+  if (!scenario || !Array.isArray(scenario.time_steps)) {
+    throw new Error(`No valid scenario.json in ${scenarioDir}`);
+  }
+  const domainConfig = readJSON(path.join(scenarioDir, 'domain.json')) || {};
+  const truth = loadGroundTruth(scenario);
+  const actionSevere = domainConfig.action_severe || 'EXIT_SIGNAL';
+
+  const modes = {};
+  for (const mode of MODES) {
+    const base = modeDir(scenarioDir, mode, resultsDir);
+    const summary = readJSON(path.join(base, 'summary.json'));
+    if (!summary?.progression) continue;
+    const stepText = step => collectStepText(path.join(base, 'results', `run-${String(step).padStart(3, '0')}`));
+    modes[mode] = {
+      run_timestamp: summary.run_timestamp || null,
+      completed_steps: summary.completed_steps ?? null,
+      ...scoreProgression(truth, summary.progression, { actionSevere, stepText }),
+    };
+  }
+
+  return {
+    name: scenario.name,
+    display_name: scenario.display_name || scenario.name,
+    evolution_type: scenario.evolution_type || 'unknown',
+    total_steps: scenario.time_steps.length,
+    action_severe: actionSevere,
+    latest_exit_step: truth.latest_exit_step,
+    has_ground_truth: truth.steps.some(s => s.band),
+    modes,
+  };
+}
+
+/**
+ * Per-mode totals across scenarios: mean status accuracy, Brier and signal
+ * recall; summed false alarms; lead time over the scenarios that warrant an exit.
+ */
+function aggregateModes(scenarios) {
+  const totals = {};
+  const mean = values => {
+    const v = values.filter(x => x != null);
+    return v.length > 0 ? round(v.reduce((a, b) => a + b, 0) / v.length) : null;
+  };
+  for (const mode of MODES) {
+    const scored = scenarios.map(s => s.modes[mode]).filter(Boolean);
+    if (scored.length === 0) continue;
+    const exits = scored.filter(m => m.lead_time.latest_exit_step != null);
+    totals[mode] = {
+      scenarios: scored.length,
+      status_accuracy: mean(scored.map(m => m.status.accuracy)),
+      false_alarms: scored.reduce((sum, m) => sum + m.false_alarms.count, 0),
+      mean_lead_steps: mean(exits.map(m => m.lead_time.lead_steps)),
+      missed_exits: exits.filter(m => m.lead_time.outcome === 'MISSED').length,
+      late_exits: exits.filter(m => m.lead_time.outcome === 'LATE').length,
+      brier: mean(scored.map(m => m.calibration.brier)),
+      signal_recall: mean(scored.map(m => m.signals.recall)),
+    };
+  }
+  return totals;
+}
+
+/**
+ * Score every scenario under `evolutionsDir` (or the named ones) and write
+ * the scorecard — to `resultsDir` when runs are read from there.
+ */
+function scoreEvolutions({ evolutionsDir = EVOLUTIONS_DIR, resultsDir = null, only = null, write = true } = {}) {
+  const names = fs.readdirSync(evolutionsDir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(evolutionsDir, d.name, 'scenario.json')))
+    .map(d => d.name)
+    .filter(name => !only || only.includes(name))
+    .sort();
+
+  const scenarios = [];
+  for (const name of names) {
+    try {
+      const scored = scoreScenario(path.join(evolutionsDir, name), {
+        resultsDir: resultsDir ? path.join(resultsDir, name) : null,
+      });
+      scenarios.push(scored);
+      log('scenario', `${name}: ${Object.keys(scored.modes).join(', ') || 'no runs'}`);
+    } catch (e) {
+      warn('scenario', `${name} skipped — ${e.message}`);
+    }
+  }
+
+  const scorecard = {
+    _generated_at: new Date().toISOString(),
+    _scenario_count: scenarios.length,
+    modes: MODES,
+    totals: aggregateModes(scenarios),
+    scenarios,
+  };
+  if (write) {
+    fs.writeFileSync(path.join(resultsDir || evolutionsDir, SCORECARD_FILE), JSON.stringify(scorecard, null, 2) + '\n');
+  }
+  return scorecard;
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  MODES,
+  STATUS_RANK,
+  loadGroundTruth,
+  collectStepText,
+  scoreProgression,
+  scoreScenario,
+  aggregateModes,
+  scoreEvolutions,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const di = args.indexOf('--dir');
+  const evolutionsDir = di !== -1 ? path.resolve(args[di + 1]) : EVOLUTIONS_DIR;
+  const only = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--dir');
+
+  const scorecard = scoreEvolutions({ evolutionsDir, only: only.length > 0 ? only : null });
+  const cell = (value, width) => String(value ?? '—').padStart(width);
+
+  console.log('\n━━━ Evolution Scorecard ━━━');
+  for (const s of scorecard.scenarios) {
+    console.log(`\n${s.display_name}${s.has_ground_truth ? '' : '  (no ground truth)'}`);
+    console.log(`  ${'mode'.padEnd(16)}${cell('in band', 9)}${cell('lead', 8)}${cell('false', 7)}${cell('brier', 7)}${cell('signals', 9)}`);
+    for (const [mode, m] of Object.entries(s.modes)) {
+      const lead = m.lead_time.outcome === 'N/A' ? '—' : m.lead_time.outcome === 'MISSED' ? 'MISSED' : `${m.lead_time.lead_steps >= 0 ? '+' : ''}${m.lead_time.lead_steps}`;
+      console.log(`  ${mode.padEnd(16)}${cell(`${m.status.in_band}/${m.status.graded}`, 9)}${cell(lead, 8)}${cell(m.false_alarms.count, 7)}${cell(m.calibration.brier, 7)}${cell(`${m.signals.detected}/${m.signals.required}`, 9)}`);
+    }
+  }
+  console.log(`\nScorecard: ${path.join(evolutionsDir, SCORECARD_FILE)}`);
+}
@@ -0,0 +1,666 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Signal Lineage Manager — orphan review and alias dictionary maintenance
+ *
+ * A signal whose title matches no key in config/signal-aliases.json becomes a
+ * <CATEGORY>-ORPHAN-<hash> lineage (generateFallbackLineage). Each rewording
+ * of a title is a new hash, so one subject's history splits across orphans
+ * that never build a dossier or a track record. This is where orphans are
+ * reviewed and folded into lineages, instead of hand-editing the alias file.
+ *
+ * Commands:
+ *   orphans [--limit <n>]                  — Orphan lineages by appearances,
+ *                                            each with its best merge candidate
+ *   suggest <orphan-id>                    — Ranked merge candidates: existing
+ *                                            lineages and related orphans
+ *   merge <lineage-id> <orphan-id>...      — Alias the orphans into an existing
+ *                                            lineage
+ *   new <LINEAGE-ID> <orphan-id>... --name "<canonical name>"
+ *                                          — Create a lineage from the orphans
+ *
+ * Alias keys: --alias "<key>" sets the key, which must occur in a title of
+ * every orphan given. Otherwise the key is the longest run of words all the
+ * orphans' titles share, or failing that one such key per orphan. A key that
+ * would pull appearances out of another named lineage is refused unless
+ * --force is given.
+ *
+ * merge and new rewrite signal-aliases.json in place — one key per line, new
+ * keys beside the lineage's existing ones, a new lineage as a group at the
+ * end — then re-run assembleSignalDossiers() and print the merged lineage's
+ * history. With --dry-run the history comes from a temporary alias file and
+ * nothing is written. Review the diff of config/signal-aliases.json and
+ * data/signal-dossier-data.json before committing them.
+ *
+ * Suggestions: token overlap is the best Dice coefficient between the
+ * orphan's title terms and the candidate's canonical name, alias keys and
+ * titles; category similarity is the share of the candidate's appearances in
+ * the orphan's category. score = overlap × (1 − lineage_category_weight)
+ * + category × lineage_category_weight. Candidates with no shared term, or
+ * below lineage_suggest_min_score, are not suggested (config/domain.json).
+ *
+ * merge and new are recorded in data/operator-audit-log.jsonl.
+ * Options: --operator <name> (default OVERWATCH_OPERATOR, then the OS user),
+ *          --reason "<text>", --domain <id>
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+
+const { DATA_DIR, CONFIG_DIR, ROOT_DIR, stripDomainArgs } = require('./utils/paths');
+const { matchAlias } = require('./utils/signal-matching');
+const { assembleSignalDossiers, generateFallbackLineage } = require('./assemble-signal-dossiers');
+const { recordOperatorAction } = require('./overwatch-operator');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const ALIAS_PATH = path.join(CONFIG_DIR, 'signal-aliases.json');
+const TRACE_PATTERN = /^cognitive-trace-.*\.json$/;
+// assembleSignalDossiers' title for a signal with no perception.signal
+const UNTITLED = 'UNKNOWN';
+const LINEAGE_ID_PATTERN = /^[A-Z]+(-[A-Z0-9]+)+$/;
+const MIN_ALIAS_CHARS = 4;
+const DEFAULT_ORPHANS_SHOWN = 20;
+
+const DEFAULTS = {
+  lineage_suggest_min_score: 0.3,
+  lineage_suggest_limit: 5,
+  lineage_category_weight: 0.25,
+};
+
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'amid', 'and', 'are', 'below', 'but', 'for', 'from', 'has', 'have',
+  'into', 'its', 'near', 'not', 'now', 'off', 'onto', 'over', 'per', 'than', 'that', 'the', 'this', 'under',
+  'until', 'via', 'was', 'were', 'while', 'will', 'with',
+]);
+
+function log(msg)  { console.log(`[lineage] ${msg}`); }
+function warn(msg) { console.warn(`[lineage] ⚠️ ${msg}`); }
+function err(msg)  { console.error(`[lineage] 🚨 ${msg}`); }
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// ─── Data Access ────────────────────────────────────────────────────────────
+
+function loadConfig(options) {
+  if (options?.config) return { ...DEFAULTS, ...options.config };
+  const configPath = path.join(CONFIG_DIR, 'domain.json');
+  try {
+    const domain = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    return Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, domain[k] ?? DEFAULTS[k]]));
+  } catch (e) {
+    warn(`domain.json unreadable — using default thresholds (${e.message})`);
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * The alias file as text and parsed. A file that does not parse is an error —
+ * it is never rewritten from a partial read.
+ */
+function readAliasFile(aliasPath) {
+  if (!fs.existsSync(aliasPath)) return { text: null, raw: {} };
+  const text = fs.readFileSync(aliasPath, 'utf8');
+  try {
+    return { text, raw: JSON.parse(text) };
+  } catch (e) {
+    throw new Error(`${path.basename(aliasPath)} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Same shape and ordering as loadAliases() in utils/signal-matching.js, for
+ * an alias dictionary held in memory.
+ */
+function dictionaryOf(raw) {
+  const aliases = Object.fromEntries(Object.entries(raw).filter(([key]) => key !== '_comment'));
+  return { aliases, sortedKeys: Object.keys(aliases).sort((a, b) => b.length - a.length) };
+}
+
+/**
+ * Every signal in the cognitive traces, oldest run first, with the title and
+ * category assembleSignalDossiers() matches on.
+ */
+function readTraceSignals(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  const signals = [];
+  for (const file of fs.readdirSync(dataDir).filter(f => TRACE_PATTERN.test(f)).sort()) {
+    let trace;
+    try {
+      trace = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    } catch (e) {
+      warn(`${file} unreadable — skipped (${e.message})`);
+      continue;
+    }
+    const runTimestamp = trace._run_timestamp || file.replace('cognitive-trace-', '').replace('.json', '');
+    for (const signal of trace.signals || []) {
+      const perception = signal.perception || {};
+      signals.push({
+        title: perception.signal || UNTITLED,
+        category: perception.category || 'unknown',
+        run_timestamp: runTimestamp,
+        signal_ids: signal.signal_ids || [],
+      });
+    }
+  }
+  return signals;
+}
+
+function lineageOf(signal, dictionary) {
+  const match = matchAlias(signal.title, dictionary.aliases, dictionary.sortedKeys);
+  if (match) return { lineage_id: match.lineage_id, canonical_name: match.canonical_name, orphan: false };
+  return { ...generateFallbackLineage(signal.category, signal.title), orphan: true };
+}
+
+// ─── Lineage Index ──────────────────────────────────────────────────────────
+
+/**
+ * Lineages as the alias dictionary and the traces define them: every aliased
+ * lineage (seen or not) and every orphan, with titles, categories and
+ * appearance counts.
+ */
+function indexLineages(signals, raw) {
+  const dictionary = dictionaryOf(raw);
+  const lineages = new Map();
+  const lineageEntry = (lineageId, canonicalName, orphan) => {
+    if (!lineages.has(lineageId)) {
+      lineages.set(lineageId, {
+        lineage_id: lineageId, canonical_name: canonicalName, orphan,
+        alias_keys: [], titles: [], categories: {}, appearances: 0, first_seen: null, last_seen: null,
+      });
+    }
+    return lineages.get(lineageId);
+  };
+
+  for (const [key, value] of Object.entries(dictionary.aliases)) {
+    lineageEntry(value.lineage_id, value.canonical_name, false).alias_keys.push(key);
+  }
+  for (const signal of signals) {
+    const { lineage_id, canonical_name, orphan } = lineageOf(signal, dictionary);
+    const lineage = lineageEntry(lineage_id, canonical_name, orphan);
+    lineage.appearances++;
+    if (!lineage.titles.includes(signal.title)) lineage.titles.push(signal.title);
+    lineage.categories[signal.category] = (lineage.categories[signal.category] || 0) + 1;
+    lineage.first_seen ||= signal.run_timestamp;
+    lineage.last_seen = signal.run_timestamp;
+  }
+  return lineages;
+}
+
+/**
+ * Read the traces and the alias file once; every command works from this.
+ *
+ * @param {object} [options] — { dataDir, aliasPath }
+ */
+function buildLineageIndex(options) {
+  const dataDir = options?.dataDir || DATA_DIR;
+  const aliasPath = options?.aliasPath || ALIAS_PATH;
+  const aliasFile = readAliasFile(aliasPath);
+  const signals = readTraceSignals(dataDir);
+  return { dataDir, aliasPath, aliasFile, signals, lineages: indexLineages(signals, aliasFile.raw) };
+}
+
+const isUntitled = lineage => lineage.titles.length > 0 && lineage.titles.every(t => t === UNTITLED);
+
+function dominantCategory(lineage) {
+  return Object.entries(lineage.categories).sort((a, b) => b[1] - a[1])[0]?.[0] || 'unknown';
+}
+
+/**
+ * Orphan lineages, most appearances first. Orphans of untitled signals are
+ * counted apart — there is no title to alias.
+ */
+function listOrphans(index) {
+  const orphans = [...index.lineages.values()].filter(l => l.orphan);
+  const untitled = orphans.filter(isUntitled);
+  return {
+    orphans: orphans.filter(l => !isUntitled(l))
+      .sort((a, b) => b.appearances - a.appearances || (b.last_seen || '').localeCompare(a.last_seen || '')),
+    untitled_appearances: untitled.reduce((sum, l) => sum + l.appearances, 0),
+  };
+}
+
+// ─── Suggestions ────────────────────────────────────────────────────────────
+
+/** Content terms of a title or alias key; a trailing plural s is dropped. */
+function titleTerms(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z][a-z0-9]*/g) || [];
+  return new Set(words
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w))
+    .map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w)));
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Ranked merge candidates for one orphan: existing lineages (merge) and
+ * other orphans that read as the same subject (new lineage together).
+ * Word overlap, not meaning — the operator decides.
+ */
+function suggestMerges(orphanId, index, options) {
+  const config = loadConfig(options);
+  const orphan = index.lineages.get(orphanId);
+  if (!orphan?.orphan) throw new Error(`${orphanId} is not an orphan lineage`);
+  const terms = titleTerms(orphan.titles.join(' '));
+  const category = dominantCategory(orphan);
+  const weight = config.lineage_category_weight;
+
+  const suggestions = [];
+  for (const candidate of index.lineages.values()) {
+    if (candidate.lineage_id === orphanId || isUntitled(candidate)) continue;
+    let overlap = 0;
+    let sharedTerms = [];
+    for (const label of [candidate.canonical_name, ...candidate.alias_keys, ...candidate.titles]) {
+      const labelTerms = titleTerms(label);
+      const similarity = dice(terms, labelTerms);
+      if (similarity > overlap) {
+        overlap = similarity;
+        sharedTerms = [...labelTerms].filter(t => terms.has(t));
+      }
+    }
+    if (overlap === 0) continue;
+    const categoryShare = candidate.appearances > 0 ? (candidate.categories[category] || 0) / candidate.appearances : 0;
+    const score = round2(overlap * (1 - weight) + categoryShare * weight);
+    if (score < config.lineage_suggest_min_score) continue;
+    suggestions.push({
+      lineage_id: candidate.lineage_id,
+      canonical_name: candidate.canonical_name,
+      kind: candidate.orphan ? 'orphan' : 'lineage',
+      score,
+      token_overlap: round2(overlap),
+      category_share: round2(categoryShare),
+      shared_terms: sharedTerms,
+      appearances: candidate.appearances,
+    });
+  }
+  return suggestions
+    .sort((a, b) => b.score - a.score || b.appearances - a.appearances)
+    .slice(0, config.lineage_suggest_limit);
+}
+
+/**
+ * The longest run of words every title contains (case-insensitive), or null.
+ * Titles of one orphan differ in numbers and punctuation, so this is the
+ * stable part of the wording.
+ */
+function proposeAliasKey(titles) {
+  const lowered = titles.map(t => t.toLowerCase());
+  const words = lowered[0].split(/\s+/).filter(Boolean);
+  for (let length = words.length; length > 0; length--) {
+    for (let start = 0; start + length <= words.length; start++) {
+      const key = words.slice(start, start + length).join(' ').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+      if (key.length >= MIN_ALIAS_CHARS && /[a-z]/.test(key) && lowered.every(t => t.includes(key))) return key;
+    }
+  }
+  return null;
+}
+
+// ─── Alias File ─────────────────────────────────────────────────────────────
+
+/**
+ * Alias keys in the blank-line-separated groups the file is laid out in.
+ * A file not written one key per line is grouped by lineage instead.
+ */
+function aliasGroups(text, raw) {
+  const keys = Object.keys(raw).filter(k => k !== '_comment');
+  const groups = [];
+  const seen = new Set();
+  let group = [];
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) {
+      if (group.length > 0) groups.push(group);
+      group = [];
+      continue;
+    }
+    const m = line.match(/^\s*("(?:[^"\\]|\\.)*")\s*:/);
+    if (!m) continue;
+    const key = JSON.parse(m[1]);
+    if (key !== '_comment' && key in raw && !seen.has(key)) {
+      group.push(key);
+      seen.add(key);
+    }
+  }
+  if (group.length > 0) groups.push(group);
+  if (seen.size === keys.length) return groups;
+
+  const byLineage = new Map();
+  for (const key of keys) {
+    const id = raw[key].lineage_id;
+    if (!byLineage.has(id)) byLineage.set(id, []);
+    byLineage.get(id).push(key);
+  }
+  return [...byLineage.values()];
+}
+
+/**
+ * New keys go after the lineage's last existing key; a lineage with none
+ * starts a group at the end.
+ */
+function placeAliases(groups, raw, keys, lineageId) {
+  const next = groups.map(g => [...g]);
+  const home = next.findLastIndex(g => g.some(k => raw[k].lineage_id === lineageId));
+  if (home === -1) {
+    next.push([...keys]);
+  } else {
+    const group = next[home];
+    group.splice(group.findLastIndex(k => raw[k].lineage_id === lineageId) + 1, 0, ...keys);
+  }
+  return next;
+}
+
+function renderAliasFile(raw, groups) {
+  const line = key => {
+    const fields = Object.entries(raw[key]).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`);
+    return `  ${JSON.stringify(key)}: { ${fields.join(', ')} }`;
+  };
+  const blocks = [];
+  if (raw._comment !== undefined) blocks.push(`  "_comment": ${JSON.stringify(raw._comment)}`);
+  for (const group of groups) blocks.push(group.map(line).join(',\n'));
+  return `{\n${blocks.join(',\n\n')}\n}\n`;
+}
+
+// ─── Merge / New ────────────────────────────────────────────────────────────
+
+/**
+ * Work out an alias change without writing anything: the keys to add, the
+ * rewritten file, and which appearances move where.
+ *
+ * @param {object} index — buildLineageIndex()
+ * @param {object} change — { lineageId, orphanIds, create, name, alias, force }
+ */
+function planLineageChange(index, change) {
+  const { raw } = index.aliasFile;
+  const lineageId = change.lineageId;
+  if (!change.orphanIds?.length) throw new Error('No orphan lineages given');
+
+  const orphans = change.orphanIds.map(id => {
+    const orphan = index.lineages.get(id);
+    if (!orphan?.orphan) throw new Error(`${id} is not an orphan lineage (see: signal-lineage.js orphans)`);
+    if (isUntitled(orphan)) throw new Error(`${id} has no signal title to alias`);
+    return orphan;
+  });
+
+  let target;
+  if (change.create) {
+    if (!LINEAGE_ID_PATTERN.test(lineageId || '') || lineageId.includes('-ORPHAN-')) {
+      throw new Error(`${lineageId} is not a lineage ID (uppercase CATEGORY-SUBJECT, e.g. MACRO-USDJPY)`);
+    }
+    if (index.lineages.get(lineageId)?.orphan === false) throw new Error(`${lineageId} already exists — use merge`);
+    if (!change.name?.trim()) throw new Error('A new lineage needs --name "<canonical name>"');
+    target = { lineage_id: lineageId, canonical_name: change.name.trim() };
+  } else {
+    const existing = index.lineages.get(lineageId);
+    if (!existing || existing.alias_keys.length === 0) {
+      throw new Error(`${lineageId} is not a lineage in ${path.basename(index.aliasPath)}`);
+    }
+    target = { lineage_id: lineageId, canonical_name: existing.canonical_name };
+  }
+
+  const sharedKey = change.alias || proposeAliasKey(orphans.flatMap(o => o.titles));
+  const added = [];
+  for (const orphan of orphans) {
+    const key = (sharedKey || proposeAliasKey(orphan.titles) || '').trim().toLowerCase();
+    if (!key) throw new Error(`No wording is common to every title of ${orphan.lineage_id} — pass --alias "<key>"`);
+    if (key.length < MIN_ALIAS_CHARS) throw new Error(`Alias "${key}" is shorter than ${MIN_ALIAS_CHARS} characters`);
+    if (raw[key] && raw[key].lineage_id !== target.lineage_id) throw new Error(`"${key}" is already an alias of ${raw[key].lineage_id}`);
+    if (!orphan.titles.some(t => t.toLowerCase().includes(key))) throw new Error(`"${key}" matches no title of ${orphan.lineage_id}`);
+    if (!raw[key] && !added.some(a => a.key === key)) added.push({ key, orphan_id: orphan.lineage_id });
+  }
+
+  const nextRaw = { ...raw };
+  for (const { key } of added) nextRaw[key] = { ...target };
+  const groups = placeAliases(aliasGroups(index.aliasFile.text, raw), nextRaw, added.map(a => a.key), target.lineage_id);
+
+  // Replay every signal against both dictionaries
+  const before = dictionaryOf(raw);
+  const after = dictionaryOf(nextRaw);
+  const moves = {};
+  const moved = new Set();
+  for (const signal of index.signals) {
+    const from = lineageOf(signal, before);
+    const to = lineageOf(signal, after);
+    if (from.lineage_id === to.lineage_id) continue;
+    const move = (moves[from.lineage_id] ||= { from: from.lineage_id, orphan: from.orphan, appearances: 0 });
+    move.appearances++;
+    moved.add(`${signal.run_timestamp}|${signal.signal_ids.join(',')}`);
+  }
+  const captured = Object.values(moves).filter(m => !m.orphan);
+  if (captured.length > 0 && !change.force) {
+    const list = captured.map(m => `${m.appearances} from ${m.from}`).join(', ');
+    throw new Error(`${added.map(a => `"${a.key}"`).join(', ')} would also move appearances out of named lineages (${list}) — choose a narrower --alias or pass --force`);
+  }
+
+  return {
+    action: change.create ? 'new' : 'merge',
+    target,
+    added,
+    moves: Object.values(moves).sort((a, b) => b.appearances - a.appearances),
+    captured,
+    remaining: orphans.map(o => ({ orphan_id: o.lineage_id, appearances: o.appearances - (moves[o.lineage_id]?.appearances || 0) })),
+    moved_keys: moved,
+    raw: nextRaw,
+    text: renderAliasFile(nextRaw, groups),
+  };
+}
+
+function assembleFrom(text, dataDir) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-lineage-'));
+  const aliasPath = path.join(tmpDir, 'signal-aliases.json');
+  try {
+    fs.writeFileSync(aliasPath, text);
+    return assembleSignalDossiers({ dataDir, aliasPath, dryRun: true });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Plan and apply a merge or a new lineage. Rewrites the alias file and
+ * re-assembles the dossiers, unless dryRun — then the dossiers are assembled
+ * from a temporary copy and nothing is written.
+ *
+ * @returns {{ plan, lineage, orphan_signals: { before, after }, dry_run }}
+ */
+function changeLineage(change, options) {
+  const opts = options || {};
+  const index = buildLineageIndex(opts);
+  const plan = planLineageChange(index, change);
+  const orphanBefore = [...index.lineages.values()].filter(l => l.orphan).reduce((sum, l) => sum + l.appearances, 0);
+
+  let dossiers;
+  if (opts.dryRun) {
+    dossiers = assembleFrom(plan.text, index.dataDir);
+  } else {
+    fs.mkdirSync(path.dirname(index.aliasPath), { recursive: true });
+    fs.writeFileSync(index.aliasPath, plan.text);
+    dossiers = assembleSignalDossiers({ dataDir: index.dataDir, aliasPath: index.aliasPath });
+    const total = plan.moves.reduce((sum, m) => sum + m.appearances, 0);
+    recordOperatorAction({
+      action: plan.action === 'new' ? 'LINEAGE_CREATE' : 'LINEAGE_MERGE',
+      command: `signal-lineage ${plan.action}`,
+      operator: opts.operator,
+      reason: opts.reason,
+      subject: { lineage_id: plan.target.lineage_id, orphans: change.orphanIds, aliases: plan.added.map(a => a.key) },
+      outcome: `${total} appearance(s) moved to ${plan.target.lineage_id}`,
+    }, opts.operatorLogPath);
+  }
+
+  return {
+    plan,
+    lineage: (dossiers.lineages || []).find(l => l.lineage_id === plan.target.lineage_id) || null,
+    orphan_signals: { before: orphanBefore, after: dossiers._orphan_signals ?? null },
+    dry_run: !!opts.dryRun,
+  };
+}
+
+function mergeOrphans(lineageId, orphanIds, options) {
+  const opts = options || {};
+  return changeLineage({ lineageId, orphanIds, alias: opts.alias, force: opts.force }, opts);
+}
+
+function createLineage(lineageId, orphanIds, options) {
+  const opts = options || {};
+  return changeLineage({ lineageId, orphanIds, create: true, name: opts.name, alias: opts.alias, force: opts.force }, opts);
+}
+
+// ─── Output ─────────────────────────────────────────────────────────────────
+
+const day = timestamp => (timestamp || '').substring(0, 16).replace('T', ' ');
+
+function cmdOrphans(options) {
+  const index = buildLineageIndex(options);
+  const { orphans, untitled_appearances } = listOrphans(index);
+  const total = orphans.reduce((sum, l) => sum + l.appearances, 0);
+  const limit = options?.limit || DEFAULT_ORPHANS_SHOWN;
+
+  console.log(`\n=== ORPHAN LINEAGES (${orphans.length}, ${total} appearances) ===\n`);
+  for (const orphan of orphans.slice(0, limit)) {
+    console.log(`${String(orphan.appearances).padStart(3)}x  ${orphan.lineage_id}  "${orphan.canonical_name}"  [${dominantCategory(orphan)}] last ${day(orphan.last_seen)}`);
+    const [best] = suggestMerges(orphan.lineage_id, index, options);
+    if (best) console.log(`       → ${best.lineage_id} (${best.kind}, score ${best.score}) "${best.canonical_name}"`);
+  }
+  if (orphans.length > limit) console.log(`  ... and ${orphans.length - limit} more (--limit ${orphans.length})`);
+  if (untitled_appearances > 0) console.log(`\n${untitled_appearances} appearance(s) have no signal title and cannot be aliased.`);
+  if (orphans.length > 0) console.log('\nNext: suggest <orphan-id>, then merge <lineage-id> <orphan-id> --dry-run');
+}
+
+function cmdSuggest(orphanId, options) {
+  const index = buildLineageIndex(options);
+  const orphan = index.lineages.get(orphanId);
+  const suggestions = suggestMerges(orphanId, index, options);
+  const key = proposeAliasKey(orphan.titles);
+
+  console.log(`\n=== ${orphanId} — ${orphan.appearances} appearance(s), ${dominantCategory(orphan)} ===\n`);
+  for (const title of orphan.titles) console.log(`  "${title}"`);
+  console.log(`  ${day(orphan.first_seen)} → ${day(orphan.last_seen)}`);
+  console.log(`  Alias key: ${key ? `"${key}"` : 'none common to every title — pass --alias'}\n`);
+
+  if (suggestions.length === 0) {
+    console.log('No candidate shares enough terms. Create a lineage:');
+    console.log(`  node scripts/signal-lineage.js new <LINEAGE-ID> ${orphanId} --name "…" --dry-run`);
+    return;
+  }
+  for (const s of suggestions) {
+    console.log(`${s.score.toFixed(2)}  ${s.lineage_id} (${s.kind}, ${s.appearances}x) "${s.canonical_name}"`);
+    console.log(`      overlap ${s.token_overlap}, category ${s.category_share} — shared: ${s.shared_terms.join(', ')}`);
+    console.log(s.kind === 'lineage'
+      ? `      node scripts/signal-lineage.js merge ${s.lineage_id} ${orphanId} --dry-run`
+      : `      node scripts/signal-lineage.js new <LINEAGE-ID> ${orphanId} ${s.lineage_id} --name "…" --dry-run`);
+  }
+}
+
+function printChange(result, aliasPath) {
+  const { plan, lineage } = result;
+  console.log(`\n=== ${plan.target.lineage_id} — ${plan.target.canonical_name}${result.dry_run ? ' (dry run)' : ''} ===\n`);
+  for (const a of plan.added) console.log(`+ alias "${a.key}" (${a.orphan_id})`);
+  for (const m of plan.moves) console.log(`  ${m.appearances} appearance(s) from ${m.from}${m.orphan ? '' : ' ⚠️ named lineage'}`);
+  for (const r of plan.remaining.filter(r => r.appearances > 0)) {
+    warn(`${r.appearances} appearance(s) of ${r.orphan_id} still orphaned — its titles need another alias`);
+  }
+  console.log(`  Orphan appearances: ${result.orphan_signals.before} → ${result.orphan_signals.after}`);
+
+  if (!lineage) return;
+  const tr = lineage.track_record;
+  console.log(`\n${lineage.appearance_count} appearance(s), ${day(lineage.first_seen)} → ${day(lineage.last_seen)}`);
+  console.log(tr
+    ? `Track record: survival ${tr.survival_rate ?? 'n/a'}, drift ${tr.average_drift ?? 'n/a'}, corrections ${tr.correction_frequency}, confidence accuracy ${tr.confidence_accuracy ?? 'n/a'}`
+    : 'Track record: needs two appearances');
+  console.log('\n  run               severity  conf     L4     outcome');
+  for (const a of lineage.appearances) {
+    const mark = plan.moved_keys.has(`${a.run_timestamp}|${a.signal_ids.join(',')}`) ? '+' : ' ';
+    const outcome = a.rejected ? 'rejected' : 'survived';
+    console.log(`${mark} ${day(a.run_timestamp).padEnd(17)} ${String(a.weighted_severity ?? '—').padEnd(9)} ${String(a.confidence ?? '—').padEnd(8)} ${String(a.final_composite ?? '—').padEnd(6)} ${outcome}`);
+  }
+  console.log('  (+ = appearance that joins this lineage)');
+
+  if (result.dry_run) {
+    log('Dry run — nothing written. Re-run without --dry-run to apply.');
+  } else {
+    log(`✓ ${path.relative(ROOT_DIR, aliasPath)} rewritten, dossiers re-assembled — review the diff, then commit both`);
+  }
+}
+
+function usage() {
+  console.log('Signal Lineage Manager');
+  console.log('');
+  console.log('Commands:');
+  console.log('  orphans [--limit <n>]                  Orphan lineages by appearances, best candidate each');
+  console.log('  suggest <orphan-id>                    Ranked merge candidates for one orphan');
+  console.log('  merge <lineage-id> <orphan-id>...      Alias orphans into an existing lineage');
+  console.log('  new <LINEAGE-ID> <orphan-id>... --name "<canonical name>"');
+  console.log('                                         Create a lineage from orphans');
+  console.log('');
+  console.log('merge/new: --alias "<key>"  --dry-run  --force');
+  console.log('Options: --operator <name>  --reason "<text>"  --domain <id>');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  ALIAS_PATH,
+  buildLineageIndex,
+  listOrphans,
+  suggestMerges,
+  proposeAliasKey,
+  aliasGroups,
+  renderAliasFile,
+  planLineageChange,
+  mergeOrphans,
+  createLineage,
+};
+
+// ─── CLI Router ─────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const raw = stripDomainArgs(process.argv.slice(2));
+  const valueFlags = ['--operator', '--reason', '--alias', '--name', '--limit'];
+  const option = name => {
+    const i = raw.indexOf(name);
+    return i !== -1 ? raw[i + 1] : undefined;
+  };
+  const [command, ...ids] = raw.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(raw[i - 1]));
+  const ctx = {
+    operator: option('--operator') || process.env.OVERWATCH_OPERATOR || os.userInfo().username,
+    reason:   option('--reason')?.trim() || null,
+    alias:    option('--alias'),
+    name:     option('--name'),
+    limit:    option('--limit') ? Number(option('--limit')) : undefined,
+    dryRun:   raw.includes('--dry-run'),
+    force:    raw.includes('--force'),
+  };
+
+  try {
+    switch (command || 'orphans') {
+      case 'orphans':
+        cmdOrphans(ctx);
+        break;
+      case 'suggest':
+        if (!ids[0]) { err('Usage: node signal-lineage.js suggest <orphan-id>'); process.exit(1); }
+        cmdSuggest(ids[0], ctx);
+        break;
+      case 'merge':
+        if (ids.length < 2) { err('Usage: node signal-lineage.js merge <lineage-id> <orphan-id>...'); process.exit(1); }
+        printChange(mergeOrphans(ids[0], ids.slice(1), ctx), ALIAS_PATH);
+        break;
+      case 'new':
+        if (ids.length < 2) { err('Usage: node signal-lineage.js new <LINEAGE-ID> <orphan-id>... --name "…"'); process.exit(1); }
+        printChange(createLineage(ids[0], ids.slice(1), ctx), ALIAS_PATH);
+        break;
+      default:
+        usage();
+        process.exit(1);
+    }
+  } catch (e) {
+    err(e.message);
+    process.exit(1);
+  }
+}
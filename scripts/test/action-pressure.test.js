@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Action Pressure — AD #18 instruments
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const pressure = require('../action-pressure');
+
+describe('computeTensionDurationPressure', () => {
+  it('weights overdue runs by impact and normalises by the tension cap', () => {
+    // weeks = 14 runs; 28 persisted is 100% overdue, impact 5/5, cap 8
+    const value = pressure.computeTensionDurationPressure([h.tension('A', { runs_persisted: 28, impact_score: 5 })], {});
+    assert.equal(value, 0.125);
+  });
+
+  it('adds nothing until a tension passes its window', () => {
+    assert.equal(pressure.computeTensionDurationPressure([h.tension('A', { runs_persisted: 14, impact_score: 5 })], {}), 0);
+  });
+
+  it('ignores non-ACTIVE tensions and caps at 1', () => {
+    assert.equal(pressure.computeTensionDurationPressure([h.tension('A', { runs_persisted: 280, classification: 'STRUCTURAL' })], {}), 0);
+    assert.equal(pressure.computeTensionDurationPressure([h.tension('A', { runs_persisted: 400, expected_resolution_window: 'hours', impact_score: 5 })], {}), 1);
+  });
+});
+
+describe('computeSustainedDivergence', () => {
+  const withIndex = (direction, overrides) => ({ compound_indices: [h.compoundIndex('CI-1', { convergence_direction: direction, ...overrides })] });
+
+  it('counts an index sustained NEGATIVE while the action stays passive', () => {
+    assert.equal(pressure.computeSustainedDivergence(h.history([withIndex('NEGATIVE'), withIndex('NEGATIVE')]), 'HOLD_POSITION', {}), 1);
+  });
+
+  it('flips inverse indices', () => {
+    const inverse = d => withIndex(d, { inverse: true });
+    assert.equal(pressure.computeSustainedDivergence(h.history([inverse('POSITIVE'), inverse('POSITIVE')]), 'INCREASE_MONITORING', {}), 1);
+  });
+
+  it('just misses when the direction wavers inside the lookback', () => {
+    assert.equal(pressure.computeSustainedDivergence(h.history([withIndex('POSITIVE'), withIndex('NEGATIVE')]), 'HOLD_POSITION', {}), 0);
+  });
+
+  it('does not count a negative index once action has escalated', () => {
+    assert.equal(pressure.computeSustainedDivergence(h.history([withIndex('NEGATIVE'), withIndex('NEGATIVE')]), 'REDUCE_EXPOSURE', {}), 0);
+  });
+});
+
+describe('computeStatusActionDivergence', () => {
+  it('counts consecutive WEAKENING runs with an unchanged passive action', () => {
+    const hist = h.history(h.runs(5, () => ({ thesis_status: 'WEAKENING' })));
+    assert.equal(pressure.computeStatusActionDivergence(hist, {}), 0.5);
+  });
+
+  it('stops counting at the last action change', () => {
+    const hist = h.history([
+      ...h.runs(3, () => ({ thesis_status: 'WEAKENING', action_recommendation: 'INCREASE_MONITORING' })),
+      ...h.runs(2, () => ({ thesis_status: 'WEAKENING' })),
+    ]);
+    assert.equal(pressure.computeStatusActionDivergence(hist, {}), 1 / 8);
+  });
+});
+
+describe('getPressureTier', () => {
+  it('maps the index onto inclusive tier boundaries', () => {
+    assert.equal(pressure.getPressureTier(0.25, {}), 'LOW_PRESSURE');
+    assert.equal(pressure.getPressureTier(0.251, {}), 'MODERATE_PRESSURE');
+    assert.equal(pressure.getPressureTier(0.5, {}), 'MODERATE_PRESSURE');
+    assert.equal(pressure.getPressureTier(0.75, {}), 'HIGH_PRESSURE');
+    assert.equal(pressure.getPressureTier(0.751, {}), 'CRITICAL_PRESSURE');
+  });
+
+  it('reads tier_boundaries from the domain', () => {
+    assert.equal(pressure.getPressureTier(0.2, { action_pressure: { tier_boundaries: [0.1, 0.2, 0.3] } }), 'MODERATE_PRESSURE');
+  });
+});
+
+describe('computeActionPressureIndex', () => {
+  it('combines the three components with the default weights', () => {
+    const hist = h.history(h.runs(5, () => ({
+      thesis_status: 'WEAKENING',
+      compound_indices: [h.compoundIndex('CI-1', { convergence_direction: 'NEGATIVE' })],
+    })));
+    const result = pressure.computeActionPressureIndex(hist, [h.tension('A', { runs_persisted: 28, impact_score: 5 })], 'HOLD_POSITION', {});
+    assert.deepEqual(result.components, { tension_duration: 0.125, sustained_divergence: 1, status_action_divergence: 0.5 });
+    assert.equal(result.raw_index, 0.525); // 0.125 × 0.40 + 1 × 0.35 + 0.5 × 0.25
+  });
+});
+
+describe('computePersistenceSignals', () => {
+  it('reports a critical tension at the persistence threshold', () => {
+    const signals = pressure.computePersistenceSignals([h.tension('A', { impact_score: 4, runs_persisted: 10 })], [], {});
+    assert.equal(signals.length, 1);
+    assert.match(signals[0], /for 10 consecutive cycles/);
+  });
+
+  it('just misses one run short of the threshold', () => {
+    assert.deepEqual(pressure.computePersistenceSignals([h.tension('A', { impact_score: 4, runs_persisted: 9 })], [], {}), []);
+  });
+
+  it('reports a saturated tension field at the cap', () => {
+    const field = n => h.runs(n, i => h.tension(`T${i}`, { impact_score: i % 2 ? 4 : 3 }));
+    assert.match(pressure.computePersistenceSignals(field(8), [], {})[0], /saturated: 8\/8/);
+    assert.deepEqual(pressure.computePersistenceSignals(field(7), [], {}), []);
+  });
+
+  it('reports a resolution rate below 20%', () => {
+    const dispositions = (resolved, total) => h.runs(total, i => ({ tension_id: `T${i}`, disposition: i < resolved ? 'RESOLVE' : 'MAINTAIN' }));
+    const hist = d => h.history([{}, {}, { previous_tension_dispositions: d }]);
+    assert.match(pressure.computePersistenceSignals([h.tension('A')], hist(dispositions(1, 6)), {})[0], /Resolution rate/);
+    assert.deepEqual(pressure.computePersistenceSignals([h.tension('A')], hist(dispositions(1, 5)), {}), []);
+  });
+});
+
+describe('computeTrajectorySignals', () => {
+  const converging = n => ({
+    compound_indices: h.runs(n, i => h.compoundIndex(`CI-${i}`, { convergence_status: 'CONVERGING', convergence_direction: 'NEGATIVE' })),
+  });
+
+  it('reports two indices converging negative for two runs', () => {
+    const signals = pressure.computeTrajectorySignals(h.history([converging(2), converging(2)]), null, {});
+    assert.match(signals[0], /Falsification proximity/);
+  });
+
+  it('just misses when one of the runs has a single converging index', () => {
+    assert.deepEqual(pressure.computeTrajectorySignals(h.history([converging(1), converging(2)]), null, {}), []);
+  });
+
+  it('reports an uninterrupted WEAKENING trajectory', () => {
+    const signals = pressure.computeTrajectorySignals(h.history(h.runs(3, () => ({ thesis_status: 'WEAKENING' }))), null, {});
+    assert.deepEqual(signals, ['Status trajectory: WEAKENING for 2 consecutive runs. Sustained negative direction without interruption.']);
+  });
+
+  it('reports observability declining across the lookback', () => {
+    const obs = assessable => ({ compound_indices: [h.compoundIndex('CI-1', { assessable, total: 4 })] });
+    const signals = pressure.computeTrajectorySignals(h.history([obs(4), obs(4), obs(4), obs(4), obs(3)]), null, {});
+    assert.match(signals[0], /Observability declining: 3\/4/);
+  });
+});
+
+describe('calculateActionPressure', () => {
+  it('keeps the raw index out of the Layer 4 context', () => {
+    const { layer4Context, telemetry } = h.quietly(() => pressure.calculateActionPressure({ history: [], currentTensions: [], domainConfig: {} }));
+    assert.equal(layer4Context.action_environment.pressure_tier, 'LOW_PRESSURE');
+    assert.equal(layer4Context.action_environment.raw_index, undefined);
+    assert.equal(telemetry.pressure_telemetry.raw_index, 0);
+    assert.deepEqual(telemetry.pressure_telemetry.tier_boundaries, [0.25, 0.5, 0.75]);
+  });
+});
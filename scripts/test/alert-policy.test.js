@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Alert Policy — cooldown suppression, escalation, resolution and digest
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, configDir } = h.useScratchRoot();
+
+const { decideAlert, raiseAlert, syncAlerts, sendDigest, loadAlertState } = require('../alert-policy');
+
+const OUTBOX = path.join(root, 'outbox.jsonl');
+const sent = () => (fs.existsSync(OUTBOX) ? fs.readFileSync(OUTBOX, 'utf8').trim().split('\n').map(l => JSON.parse(l).message) : []);
+
+h.writeJSON(path.join(configDir, 'domain.json'), {
+  notification_sinks: { outbox: { type: 'file', path: 'outbox.jsonl' } },
+  notification_routing: [{ sinks: ['outbox'] }],
+  alert_cooldown_hours: 24,
+  alert_escalate_after_runs: 3,
+  alert_digest_interval_hours: 24,
+});
+
+const at = hours => new Date(Date.UTC(2026, 2, 1) + hours * 3_600_000);
+const LAYER2 = { type: 'layer_failure', subject: 'layer2', severity: 'CRITICAL', title: 'Layer 2 failed' };
+
+describe('decideAlert', () => {
+  const config = { alert_cooldown_hours: 24, alert_escalate_after_runs: 3 };
+
+  it('sends once, suppresses repeats, escalates on persistence, then reminds after the cooldown', () => {
+    const state = { alerts: {} };
+    const decide = (runId, hours, alert = LAYER2) => decideAlert(state, alert, { runId, now: at(hours), domainConfig: config }).action;
+    assert.equal(decide('r1', 0), 'SEND');
+    assert.equal(decide('r1', 1), 'SUPPRESS');
+    assert.equal(decide('r2', 12), 'SUPPRESS');
+    assert.equal(decide('r3', 24), 'ESCALATE');
+    assert.equal(decide('r4', 36), 'SUPPRESS');
+    assert.equal(decide('r5', 48), 'REMIND');
+    const record = state.alerts['layer_failure:layer2'];
+    assert.equal(record.consecutive_runs, 5);
+    assert.deepEqual([record.suppressed_total, record.digest_pending.count], [3, 3]);
+  });
+
+  it('takes per-alert thresholds from the alert itself', () => {
+    const state = { alerts: {} };
+    const alert = { type: 'anomaly', subject: 'FALSIFICATION_PROXIMITY', title: 'a', escalate_after_runs: 2 };
+    decideAlert(state, alert, { runId: 'r1', now: at(0), domainConfig: config });
+    assert.equal(decideAlert(state, alert, { runId: 'r2', now: at(12), domainConfig: config }).action, 'ESCALATE');
+  });
+});
+
+describe('raiseAlert and syncAlerts', () => {
+  it('notifies new, escalated and resolved alerts and stays quiet in between', async () => {
+    await h.quietly(async () => {
+      await raiseAlert(LAYER2, { runId: 'r1', now: at(0) });
+      await raiseAlert(LAYER2, { runId: 'r2', now: at(12) });
+      await raiseAlert(LAYER2, { runId: 'r3', now: at(24) });
+    });
+    assert.deepEqual(sent().map(m => [m.kind, m.severity, m.title]), [
+      ['layer_failure', 'CRITICAL', 'Layer 2 failed'],
+      ['layer_failure', 'CRITICAL', 'ESCALATED: Layer 2 failed'],
+    ]);
+    assert.ok(sent()[1].tags.includes('ESCALATED'));
+
+    const anomaly = subject => ({ subject, severity: 'WARNING', title: `anomaly ${subject}` });
+    const first = await h.quietly(() => syncAlerts('anomaly', [anomaly('A'), anomaly('B')], { runId: 'r3', now: at(24) }));
+    assert.deepEqual(first.resolved, []);
+    const second = await h.quietly(() => syncAlerts('anomaly', [anomaly('B')], { runId: 'r4', now: at(36) }));
+    assert.deepEqual(second, { raised: { 'anomaly:B': 'SUPPRESS' }, resolved: ['anomaly:A'] });
+
+    const resolved = sent().at(-1);
+    assert.deepEqual([resolved.kind, resolved.title, resolved.tags], ['anomaly_resolved', 'RESOLVED: anomaly A', ['RESOLVED']]);
+    assert.equal(loadAlertState().alerts['anomaly:A'].status, 'RESOLVED');
+    assert.equal(sent().length, 5);
+  });
+
+  it('treats a condition raised again after it resolved as new', async () => {
+    await h.quietly(() => raiseAlert({ type: 'anomaly', subject: 'A', title: 'anomaly A' }, { runId: 'r5', now: at(48) }));
+    const record = loadAlertState().alerts['anomaly:A'];
+    assert.deepEqual([record.status, record.consecutive_runs, record.previous_occurrences], ['ACTIVE', 1, 1]);
+    assert.equal(sent().at(-1).title, 'anomaly A');
+  });
+});
+
+describe('sendDigest', () => {
+  it('sends suppressed repeats once per interval', async () => {
+    const digest = await h.quietly(() => sendDigest({ now: at(48) }));
+    assert.deepEqual(digest.map(d => [d.key, d.count]), [['layer_failure:layer2', 1], ['anomaly:B', 1]]);
+    const message = sent().at(-1);
+    assert.equal(message.kind, 'alert_digest');
+    assert.ok(message.title.startsWith('OVERWATCH: 2 suppressed alert(s)'));
+
+    await h.quietly(() => raiseAlert({ type: 'anomaly', subject: 'A', title: 'anomaly A' }, { runId: 'r6', now: at(50) }));
+    assert.equal(await h.quietly(() => sendDigest({ now: at(60) })), null);
+    assert.equal((await h.quietly(() => sendDigest({ now: at(60), force: true }))).length, 1);
+  });
+});
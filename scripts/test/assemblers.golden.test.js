@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Golden-file tests for the trace, signal dossier and flight recorder
+ * assemblers
+ *
+ * fixtures/snapshot/ is a frozen slice of the real repository state from the
+ * 2026-04-05T03:04 run: its 360-report.json, the gate ledger entries for the
+ * last two runs, the two cognitive traces before it, the paper trades since
+ * 2026-04-03, and the full corrections, calibration and acquisition ledgers,
+ * dashboard-data.json and config/. Each test copies it into a scratch
+ * OVERWATCH_ROOT, runs one assembler and compares the output with golden/.
+ *
+ * Wall-clock fields (_assembled_at, integrity seals, today's cost rollups)
+ * are removed before comparing. After an intended change to an assembler,
+ * regenerate the golden files and review the diff:
+ *
+ *   UPDATE_GOLDEN=1 npm test
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, dataDir } = h.useScratchRoot();
+
+const { assembleTrace } = require('../assemble-trace');
+const { assembleSignalDossiers } = require('../assemble-signal-dossiers');
+const { assembleFlightRecords } = require('../assemble-flight-records');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshot');
+const GOLDEN_DIR   = path.join(__dirname, 'golden');
+const UPDATE       = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Drop fields that depend on when the assembler ran rather than on its input.
+ */
+function normalize(output) {
+  const strip = value => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (k === '_integrity') continue;
+      out[k] = strip(v);
+    }
+    return out;
+  };
+  const normalized = strip(output);
+  delete normalized._assembled_at;
+  if (normalized.cost_summary) {
+    delete normalized.cost_summary.today;
+    delete normalized.cost_summary.this_week;
+  }
+  return normalized;
+}
+
+function assertGolden(name, output) {
+  const goldenPath = path.join(GOLDEN_DIR, name);
+  const actual = normalize(output);
+  if (UPDATE) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+    return;
+  }
+  assert.ok(fs.existsSync(goldenPath), `${name} missing — run UPDATE_GOLDEN=1 npm test`);
+  assert.deepEqual(actual, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+}
+
+beforeEach(() => h.resetFromFixture(root, SNAPSHOT_DIR));
+
+describe('assembler golden files', () => {
+  it('assembleTrace matches golden/cognitive-trace.json', () => {
+    const trace = h.quietly(() => assembleTrace());
+    assert.equal(trace._run_timestamp, '2026-04-05T03:04:27.566Z');
+    assert.ok(fs.existsSync(path.join(dataDir, 'cognitive-trace-2026-04-05T03-04-27-566Z.json')));
+    assertGolden('cognitive-trace.json', trace);
+  });
+
+  it('assembleSignalDossiers matches golden/signal-dossier-data.json', () => {
+    const dossiers = h.quietly(() => assembleSignalDossiers());
+    assert.equal(dossiers._trace_count, 2);
+    assertGolden('signal-dossier-data.json', dossiers);
+  });
+
+  it('assembleFlightRecords matches golden/flight-recorder-data.json', () => {
+    const records = h.quietly(() => assembleFlightRecords());
+    assert.equal(records._chain_counts.total, records.chains.length);
+    assertGolden('flight-recorder-data.json', records);
+  });
+
+  it('is deterministic across runs', () => {
+    const first = normalize(h.quietly(() => assembleFlightRecords()));
+    h.resetFromFixture(root, SNAPSHOT_DIR);
+    assert.deepEqual(normalize(h.quietly(() => assembleFlightRecords())), first);
+  });
+});
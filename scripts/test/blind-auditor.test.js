@@ -0,0 +1,357 @@
+'use strict';
+
+/**
+ * Blind Auditor — trajectory, tension-behavior, pressure and anomaly detectors
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+h.useScratchRoot();
+
+const auditor = require('../blind-auditor');
+
+const trajectoryOf = entries => auditor.extractTrajectory(h.history(entries), entries.length);
+
+// ─── Trajectory Extraction ──────────────────────────────────────────────────
+
+describe('extractTrajectory', () => {
+  it('keeps the last `lookback` entries and maps status and action to ordinals', () => {
+    const traj = auditor.extractTrajectory(h.history([
+      { thesis_status: 'STRENGTHENING' },
+      { thesis_status: 'WEAKENING', action_recommendation: 'REDUCE_EXPOSURE' },
+      { thesis_status: 'FALSIFIED', action_recommendation: 'EXIT_SIGNAL' },
+    ]), 2);
+    assert.equal(traj.length, 2);
+    assert.deepEqual(traj.map(t => [t.direction, t.escalation]), [[-1, 2], [-2, 3]]);
+  });
+
+  it('scores tensions without an integer impact_score as 3', () => {
+    const [entry] = trajectoryOf([{ unresolved_tensions: [h.tension('T1', { impact_score: 5 }), h.tension('T2', { impact_score: null })] }]);
+    assert.equal(entry.tensions_count, 2);
+    assert.equal(entry.tensions_score_sum, 8);
+  });
+
+  it('returns an empty trajectory for empty or missing history', () => {
+    assert.deepEqual(auditor.extractTrajectory([], 5), []);
+    assert.deepEqual(auditor.extractTrajectory(null, 5), []);
+  });
+});
+
+// ─── Evidence Type 1: Sustained Mismatch ────────────────────────────────────
+
+describe('detectSustainedMismatch', () => {
+  it('flags two WEAKENING runs with action still at monitoring level', () => {
+    const result = auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'WEAKENING' },
+      { thesis_status: 'WEAKENING', action_recommendation: 'INCREASE_MONITORING' },
+    ]), {});
+    assert.equal(result.type, 'SUSTAINED_WEAKENING_NO_ESCALATION');
+    assert.equal(result.severity, 'MEDIUM');
+    assert.equal(result.consecutive_directional, 2);
+  });
+
+  it('raises severity to HIGH at three WEAKENING runs', () => {
+    const result = auditor.detectSustainedMismatch(trajectoryOf(h.runs(3, () => ({ thesis_status: 'WEAKENING' }))), {});
+    assert.equal(result.severity, 'HIGH');
+  });
+
+  it('just misses with a single WEAKENING run', () => {
+    assert.equal(auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'CONTESTED' },
+      { thesis_status: 'WEAKENING' },
+    ]), {}), null);
+  });
+
+  it('does not flag WEAKENING once the action has escalated past monitoring', () => {
+    assert.equal(auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'WEAKENING' },
+      { thesis_status: 'WEAKENING', action_recommendation: 'REDUCE_EXPOSURE' },
+    ]), {}), null);
+  });
+
+  it('flags two positive runs with action still above monitoring', () => {
+    const result = auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'STABLE', action_recommendation: 'REDUCE_EXPOSURE' },
+      { thesis_status: 'STRENGTHENING', action_recommendation: 'REDUCE_EXPOSURE' },
+    ]), {});
+    assert.equal(result.type, 'SUSTAINED_POSITIVE_NO_DEESCALATION');
+    assert.equal(result.direction, 'deescalate');
+  });
+
+  it('just misses when positive runs end at monitoring level', () => {
+    assert.equal(auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'STABLE', action_recommendation: 'REDUCE_EXPOSURE' },
+      { thesis_status: 'STABLE', action_recommendation: 'INCREASE_MONITORING' },
+    ]), {}), null);
+  });
+
+  it('honours domain action levels', () => {
+    const result = auditor.detectSustainedMismatch(trajectoryOf([
+      { thesis_status: 'WEAKENING', action_recommendation: 'REDUCE_LOAD' },
+      { thesis_status: 'WEAKENING', action_recommendation: 'REDUCE_LOAD' },
+    ]), { action_monitor: 'REDUCE_LOAD' });
+    assert.equal(result.type, 'SUSTAINED_WEAKENING_NO_ESCALATION');
+  });
+});
+
+// ─── AD #15: Tension Behavior ───────────────────────────────────────────────
+
+describe('detectCriticalPersistence', () => {
+  const critical = { unresolved_tensions: [h.tension('T1', { impact_score: 4 })] };
+
+  it('flags a score-4 tension present for three consecutive runs', () => {
+    const result = auditor.detectCriticalPersistence(trajectoryOf([critical, critical, critical]), {});
+    assert.equal(result.type, 'CRITICAL_TENSION_PERSISTENCE');
+    assert.deepEqual(result.persistent_tensions, [{ tension_id: 'T1', runs: 3 }]);
+  });
+
+  it('just misses at two consecutive runs', () => {
+    assert.equal(auditor.detectCriticalPersistence(trajectoryOf([{}, critical, critical]), {}), null);
+  });
+
+  it('resets the streak when the score drops below 4', () => {
+    const downgraded = { unresolved_tensions: [h.tension('T1', { impact_score: 3 })] };
+    assert.equal(auditor.detectCriticalPersistence(trajectoryOf([critical, critical, downgraded]), {}), null);
+  });
+
+  it('honours critical_persistence_threshold', () => {
+    const traj = trajectoryOf([{}, critical, critical]);
+    assert.equal(auditor.detectCriticalPersistence(traj, { critical_persistence_threshold: 2 }).type, 'CRITICAL_TENSION_PERSISTENCE');
+  });
+});
+
+describe('detectScoreLanguageMismatch', () => {
+  const latest = (description, impact_score) => trajectoryOf([{ unresolved_tensions: [h.tension('T1', { description, impact_score })] }]);
+
+  it('flags critical language on a score-2 tension', () => {
+    const result = auditor.detectScoreLanguageMismatch(latest('Could fundamentally flip the thesis', 2));
+    assert.equal(result.mismatches[0].issue, 'critical language, low score');
+  });
+
+  it('just misses critical language at score 3', () => {
+    assert.equal(auditor.detectScoreLanguageMismatch(latest('Could fundamentally flip the thesis', 3)), null);
+  });
+
+  it('flags minor language on a score-4 tension', () => {
+    const result = auditor.detectScoreLanguageMismatch(latest('Marginal, informational only', 4));
+    assert.equal(result.mismatches[0].issue, 'minor language, high score');
+  });
+
+  it('just misses minor language at score 3', () => {
+    assert.equal(auditor.detectScoreLanguageMismatch(latest('Marginal, informational only', 3)), null);
+  });
+});
+
+describe('detectTensionChurn', () => {
+  const churn = (resolvedInRun2) => trajectoryOf([
+    { unresolved_tensions: [h.tension('A', { is_new: true })] },
+    {
+      unresolved_tensions: [h.tension('B', { is_new: true }), h.tension('C', { is_new: true })],
+      previous_tension_dispositions: [{ tension_id: 'A', disposition: 'RESOLVE' }],
+    },
+    { previous_tension_dispositions: resolvedInRun2.map(id => ({ tension_id: id, disposition: 'RESOLVE' })) },
+  ]);
+
+  it('flags three new tensions resolved the following run', () => {
+    assert.equal(auditor.detectTensionChurn(churn(['B', 'C'])).churn_count, 3);
+  });
+
+  it('just misses at two', () => {
+    assert.equal(auditor.detectTensionChurn(churn(['B'])), null);
+  });
+});
+
+describe('detectAvoidanceDisplacement', () => {
+  const displaced = (secondWindow) => trajectoryOf([
+    { unresolved_tensions: [h.tension('A', { window_status: 'approaching' }), h.tension('B', { window_status: secondWindow })] },
+    { previous_tension_dispositions: [{ tension_id: 'A', disposition: 'DISPLACE' }, { tension_id: 'B', disposition: 'DISPLACE' }] },
+  ]);
+
+  it('flags two tensions displaced at or past their window', () => {
+    assert.equal(auditor.detectAvoidanceDisplacement(displaced('expired')).avoidance_count, 2);
+  });
+
+  it('just misses when only one was near its window', () => {
+    assert.equal(auditor.detectAvoidanceDisplacement(displaced('open')), null);
+  });
+});
+
+describe('detectGapParking', () => {
+  const parked = (dispositions) => trajectoryOf([
+    { unresolved_tensions: [h.tension('A'), h.tension('B')] },
+    { previous_tension_dispositions: dispositions },
+  ]);
+
+  it('flags two tensions that vanish without a disposition', () => {
+    assert.equal(auditor.detectGapParking(parked([])).parking_count, 2);
+  });
+
+  it('just misses when one of them was dispositioned', () => {
+    assert.equal(auditor.detectGapParking(parked([{ tension_id: 'B', disposition: 'RESOLVE' }])), null);
+  });
+});
+
+describe('detectWindowGaming', () => {
+  const extended = { unresolved_tensions: [h.tension('A', { window_status: 'extended' })] };
+
+  it('flags three window extensions across three runs', () => {
+    assert.equal(auditor.detectWindowGaming(trajectoryOf([extended, extended, extended])).extension_count, 3);
+  });
+
+  it('just misses at two extensions', () => {
+    assert.equal(auditor.detectWindowGaming(trajectoryOf([{}, extended, extended])), null);
+  });
+
+  it('needs three runs of history', () => {
+    const twice = { unresolved_tensions: [h.tension('A', { window_status: 'extended' }), h.tension('B', { window_status: 'extended' })] };
+    assert.equal(auditor.detectWindowGaming(trajectoryOf([twice, twice])), null);
+  });
+});
+
+describe('detectZombieEscalation', () => {
+  const scored = scores => trajectoryOf(scores.map(s => (s === null ? {} : { unresolved_tensions: [h.tension('Z', { impact_score: s })] })));
+
+  it('flags a score creeping upward over four runs, HIGH once it reaches 4', () => {
+    const result = auditor.detectZombieEscalation(scored([2, 2, 3, 4]), {});
+    assert.equal(result.type, 'ZOMBIE_ESCALATION');
+    assert.equal(result.severity, 'HIGH');
+    assert.deepEqual(result.zombies[0].scores, [2, 2, 3, 4]);
+  });
+
+  it('is MEDIUM while the score stays below 4', () => {
+    assert.equal(auditor.detectZombieEscalation(scored([2, 3, 3, 3]), {}).severity, 'MEDIUM');
+  });
+
+  it('just misses over three runs', () => {
+    assert.equal(auditor.detectZombieEscalation(scored([2, 3, 4]), {}), null);
+  });
+
+  it('ignores flat scores and dips', () => {
+    assert.equal(auditor.detectZombieEscalation(scored([3, 3, 3, 3]), {}), null);
+    assert.equal(auditor.detectZombieEscalation(scored([2, 3, 2, 4]), {}), null);
+  });
+
+  it('restarts the streak when the tension is absent for a run', () => {
+    assert.equal(auditor.detectZombieEscalation(scored([2, 3, null, 3, 4]), {}), null);
+  });
+
+  it('honours zombie_escalation_threshold', () => {
+    assert.equal(auditor.detectZombieEscalation(scored([2, 3, 4]), { zombie_escalation_threshold: 3 }).type, 'ZOMBIE_ESCALATION');
+  });
+});
+
+describe('detectTensionBehavior', () => {
+  it('returns no findings for a quiet trajectory', () => {
+    assert.deepEqual(auditor.detectTensionBehavior(trajectoryOf(h.runs(4, () => ({ unresolved_tensions: [h.tension('A')] }))), {}), []);
+  });
+
+  it('collects every triggered detector', () => {
+    const extendedCritical = { unresolved_tensions: [h.tension('A', { impact_score: 4, window_status: 'extended' })] };
+    const types = auditor.detectTensionBehavior(trajectoryOf([extendedCritical, extendedCritical, extendedCritical]), {}).map(f => f.type);
+    assert.deepEqual(types, ['CRITICAL_TENSION_PERSISTENCE', 'WINDOW_GAMING']);
+  });
+});
+
+// ─── Evidence Type 3: Trajectory Trend ──────────────────────────────────────
+
+describe('detectTrajectoryTrend', () => {
+  it('flags a fixed action over three runs while status changes', () => {
+    const result = auditor.detectTrajectoryTrend(trajectoryOf([
+      { thesis_status: 'STABLE' }, { thesis_status: 'CONTESTED' }, { thesis_status: 'WEAKENING' },
+    ]));
+    assert.equal(result.type, 'STAGNANT_ACTION_CHANGING_STATUS');
+  });
+
+  it('just misses over two runs', () => {
+    assert.equal(auditor.detectTrajectoryTrend(trajectoryOf([{ thesis_status: 'STABLE' }, { thesis_status: 'WEAKENING' }])), null);
+  });
+
+  it('does not flag when status is also unchanged', () => {
+    assert.equal(auditor.detectTrajectoryTrend(trajectoryOf(h.runs(3, () => ({})))), null);
+  });
+});
+
+// ─── AD #18: Action Pressure Behavior ───────────────────────────────────────
+
+describe('detectPressureDismissal', () => {
+  const high = { pressure_telemetry: { tier: 'HIGH_PRESSURE' } };
+  const dismissing = n => h.history([
+    {},
+    ...h.runs(n, () => ({ action_reasoning: 'Pressure acknowledged; holding.' })),
+  ]);
+
+  it('flags three consecutive runs that acknowledge pressure without acting', () => {
+    assert.equal(auditor.detectPressureDismissal(dismissing(3), high).type, 'PRESSURE_DISMISSAL');
+  });
+
+  it('just misses at two', () => {
+    assert.equal(auditor.detectPressureDismissal(h.history([{}, {}, ...h.runs(2, () => ({ action_reasoning: 'pressure noted' }))]), high), null);
+  });
+
+  it('only applies at HIGH or CRITICAL pressure', () => {
+    assert.equal(auditor.detectPressureDismissal(dismissing(3), { pressure_telemetry: { tier: 'MODERATE_PRESSURE' } }), null);
+  });
+});
+
+describe('detectPrematureAction', () => {
+  const actions = list => h.history(list.map(a => ({ action_recommendation: a })));
+
+  it('flags an action reversed within two runs', () => {
+    assert.equal(auditor.detectPrematureAction(actions(['HOLD_POSITION', 'INCREASE_MONITORING', 'HOLD_POSITION', 'HOLD_POSITION'])).type, 'PREMATURE_ACTION');
+  });
+
+  it('does not flag a change that holds', () => {
+    assert.equal(auditor.detectPrematureAction(actions(['HOLD_POSITION', 'HOLD_POSITION', 'INCREASE_MONITORING', 'INCREASE_MONITORING'])), null);
+  });
+});
+
+describe('detectPressureGaming', () => {
+  const actions = list => h.history(list.map(a => ({ action_recommendation: a })));
+  const H = 'HOLD_POSITION', M = 'INCREASE_MONITORING', R = 'REDUCE_EXPOSURE';
+
+  it('flags three flips between two actions in six runs', () => {
+    assert.equal(auditor.detectPressureGaming(actions([H, M, H, M, M, M])).type, 'PRESSURE_GAMING');
+  });
+
+  it('just misses at two flips', () => {
+    assert.equal(auditor.detectPressureGaming(actions([H, M, H, H, H, H])), null);
+  });
+
+  it('does not flag movement across three actions', () => {
+    assert.equal(auditor.detectPressureGaming(actions([H, M, R, H, H, H])), null);
+  });
+});
+
+// ─── Anomaly Triggers ───────────────────────────────────────────────────────
+
+describe('checkAnomalyTriggers', () => {
+  const triggers = [{ id: 'KILL_SWITCH_JUMP' }, { id: 'INDEX_CONVERGENCE_SHIFT' }];
+  const ks = status => ({ kill_switches: [{ name: 'ODL volume', status }] });
+  const ci = convergence_status => ({ compound_indices: [h.compoundIndex('CI-1', { convergence_status })] });
+
+  it('fires on a kill switch jumping two severity levels', () => {
+    const [hit] = auditor.checkAnomalyTriggers(ks('danger'), ks('safe'), triggers);
+    assert.equal(hit.trigger_id, 'KILL_SWITCH_JUMP');
+  });
+
+  it('just misses on a one-level move', () => {
+    assert.deepEqual(auditor.checkAnomalyTriggers(ks('warning'), ks('safe'), triggers), []);
+  });
+
+  it('fires on a compound index shifting two convergence levels', () => {
+    const [hit] = auditor.checkAnomalyTriggers(ci('PATTERN_FORMING'), ci('INSUFFICIENT_DATA'), triggers);
+    assert.equal(hit.trigger_id, 'INDEX_CONVERGENCE_SHIFT');
+  });
+
+  it('just misses on a one-level shift', () => {
+    assert.deepEqual(auditor.checkAnomalyTriggers(ci('PATTERN_FORMING'), ci('MIXED'), triggers), []);
+  });
+
+  it('needs a previous entry', () => {
+    assert.deepEqual(auditor.checkAnomalyTriggers(ks('danger'), null, triggers), []);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Blind Interrogator — AD #21 Phase 3
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir, configDir } = h.useScratchRoot();
+
+const { interrogate } = require('../blind-interrogator');
+
+const DOSSIER = path.join(dataDir, 'signal-dossier-data.json');
+const OUTPUT  = path.join(dataDir, 'confidence-interrogation.json');
+
+h.writeJSON(path.join(configDir, 'signal-aliases.json'), {
+  _comment: 'test aliases',
+  'odl volume': { lineage_id: 'LIN-ODL', canonical_name: 'ODL Volume' },
+});
+
+const record = overrides => ({ appearance_count: 3, survival_rate: 0.6, confidence_accuracy: 0.6, overconfident_count: 1, underconfident_count: 0, ...overrides });
+
+// Dossier with one ODL lineage and a trace in which it was scored at `confidence`
+function setup(confidence, trackRecord) {
+  h.writeJSON(DOSSIER, { lineages: [h.lineage('LIN-ODL', [], { track_record: trackRecord })] });
+  h.writeJSON(path.join(dataDir, 'cognitive-trace-2026-03-01T00-00-00-000Z.json'), h.trace([
+    h.traceSignal('ODL volume up 40% week on week', { confidence }),
+    h.traceSignal('Unmatched headline', { confidence: 'HIGH' }),
+  ]));
+}
+
+const run = (config) => {
+  const domainPath = path.join(configDir, 'domain.json');
+  h.writeJSON(domainPath, config || {});
+  return h.quietly(() => interrogate({ domainPath }));
+};
+const types = result => result.findings.map(f => f.finding_type);
+
+beforeEach(() => {
+  for (const f of fs.readdirSync(dataDir)) fs.rmSync(path.join(dataDir, f));
+});
+
+describe('interrogate — overconfidence', () => {
+  it('flags HIGH confidence below 50% survival', () => {
+    setup('HIGH', record({ survival_rate: 0.49 }));
+    const result = run();
+    assert.deepEqual(types(result), ['OVERCONFIDENT_MISMATCH']);
+    assert.equal(result.findings[0].advisory, true);
+    assert.equal(result._scan_stats.signals_no_alias_match, 1);
+  });
+
+  it('escalates to SEVERE below 30%', () => {
+    setup('HIGH', record({ survival_rate: 0.29 }));
+    assert.deepEqual(types(run()), ['SEVERE_OVERCONFIDENT_MISMATCH']);
+  });
+
+  it('just misses at 50%', () => {
+    setup('HIGH', record({ survival_rate: 0.5 }));
+    assert.deepEqual(types(run()), []);
+  });
+
+  it('honours interrogator_high_survival_floor', () => {
+    setup('HIGH', record({ survival_rate: 0.55 }));
+    assert.deepEqual(types(run({ interrogator_high_survival_floor: 0.6 })), ['OVERCONFIDENT_MISMATCH']);
+  });
+});
+
+describe('interrogate — underconfidence', () => {
+  it('flags LOW confidence above 70% survival', () => {
+    setup('LOW', record({ survival_rate: 0.71 }));
+    assert.deepEqual(types(run()), ['UNDERCONFIDENT_MISMATCH']);
+  });
+
+  it('escalates to SEVERE above 85%', () => {
+    setup('LOW', record({ survival_rate: 0.86 }));
+    assert.deepEqual(types(run()), ['SEVERE_UNDERCONFIDENT_MISMATCH']);
+  });
+
+  it('just misses at 70%', () => {
+    setup('LOW', record({ survival_rate: 0.7 }));
+    assert.deepEqual(types(run()), []);
+  });
+});
+
+describe('interrogate — calibration', () => {
+  it('flags confidence accuracy below 30% on a HIGH or LOW call', () => {
+    setup('HIGH', record({ confidence_accuracy: 0.29 }));
+    assert.deepEqual(types(run()), ['POOR_CALIBRATION']);
+  });
+
+  it('does not double-count a signal already flagged', () => {
+    setup('HIGH', record({ survival_rate: 0.2, confidence_accuracy: 0.1 }));
+    assert.deepEqual(types(run()), ['SEVERE_OVERCONFIDENT_MISMATCH']);
+  });
+
+  it('leaves MEDIUM calls alone', () => {
+    setup('MEDIUM', record({ survival_rate: 0.1, confidence_accuracy: 0.1 }));
+    assert.deepEqual(types(run()), []);
+  });
+});
+
+describe('interrogate — track record', () => {
+  it('needs three appearances before a track record counts', () => {
+    setup('HIGH', record({ appearance_count: 2, survival_rate: 0.1 }));
+    const result = run();
+    assert.deepEqual(types(result), []);
+    assert.equal(result._scan_stats.signals_without_track_record, 1);
+  });
+
+  it('writes the findings file and records a skip reason without a dossier', () => {
+    const result = run();
+    assert.equal(result._skip_reason, 'No dossier data');
+    assert.equal(JSON.parse(fs.readFileSync(OUTPUT, 'utf8'))._skip_reason, 'No dossier data');
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Sunday Blind Spot Audit — section gathering, decision checklist, rendering
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, dataDir, configDir } = h.useScratchRoot();
+
+const audit = require('../blind-spot-audit');
+
+const NOW = new Date('2026-03-08T12:00:00Z');
+const day = n => new Date(NOW.getTime() - n * 86_400_000).toISOString();
+
+h.writeJSON(path.join(configDir, 'domain.json'), {
+  run_schedule: { run_types: [{ id: 'sunday_audit', at: '18:00', days: ['sun'], behaviors: { blind_spot_audit: true } }, { id: 'evening', at: '18:00' }] },
+});
+
+const historyEntry = (ago, status, action, dangers) => ({
+  timestamp: day(ago), thesis_status: status, action_recommendation: action, compound_stress_level: 'HIGH',
+  kill_switches: Array.from({ length: dangers }, () => ({ status: 'danger' })), unresolved_tensions: [{ tension_id: 'T-1' }],
+});
+h.writeJSON(path.join(dataDir, '360-history.json'), [
+  historyEntry(10, 'WEAKENING', 'EXIT_SIGNAL', 5),
+  historyEntry(6, 'CONTESTED', 'INCREASE_MONITORING', 2),
+  historyEntry(3, 'WEAKENING', 'INCREASE_MONITORING', 3),
+  historyEntry(1, 'WEAKENING', 'REDUCE_EXPOSURE', 4),
+]);
+
+h.writeJSON(path.join(dataDir, 'audit-findings.json'), [
+  { phase: 1, status: 'RESOLVED', timestamp: day(9), mismatches: [{ type: 'X402_NEGLIGENT_HOARDING', severity: 'HIGH', detail: 'old' }] },
+  { phase: 1, status: 'RESOLVED', timestamp: day(4), mismatches: [
+    { type: 'X402_NEGLIGENT_HOARDING', severity: 'MEDIUM', detail: 'budget idle' },
+    { type: 'X402_STALE_PURCHASE_REPETITION', severity: 'MEDIUM', detail: 'same category' },
+  ] },
+  { phase: 1, status: 'UNRESOLVED', timestamp: day(1), mismatches: [
+    { type: 'X402_NEGLIGENT_HOARDING', severity: 'HIGH', detail: 'budget still idle' },
+    { type: 'QUESTION_RECYCLING', severity: 'MEDIUM', detail: 'T-9 asked 4x', source: 'AD17_COGNITIVE_DETECTOR' },
+    { type: 'CALIBRATION_SUPPRESSION', severity: 'HIGH', detail: 'rejection rate spiked', calibration_entry: 'BC-002' },
+  ] },
+]);
+
+const drift = (lineage, type, ago) => ({ lineage_id: lineage, canonical_name: `${lineage} name`, drift_type: type, run_pair: { current: day(ago) } });
+h.writeJSON(path.join(dataDir, 'drift-findings.json'), {
+  _detected_at: day(1),
+  findings: [drift('MACRO-JPY', 'CONFIDENCE_DRIFT', 2), drift('MACRO-JPY', 'SEVERITY_DRIFT', 1), drift('FLOW-ETF', 'LANGUAGE_DRIFT', 12)],
+});
+h.writeJSON(path.join(dataDir, 'confidence-interrogation.json'), {
+  _run_timestamp: day(1),
+  findings: [{ finding_id: 'INTERROG-SEVE-FLOW-ETF', finding_type: 'SEVERE_OVERCONFIDENT_MISMATCH', lineage_id: 'FLOW-ETF', canonical_name: 'ETF flows', stated_confidence: 'HIGH', track_record: { survival_rate: 0.2 } }],
+});
+h.writeJSON(path.join(dataDir, 'corrections-ledger.json'), [
+  { id: 'CL-001', status: 'ACTIVE', lesson: 'Weigh custody flows', trigger: 'custody flows', prevention: 'verify', lesson_type: 'FALSE_THREAT', confidence_in_lesson: 'MEDIUM', times_applied: 0, times_applicable_but_missed: 0 },
+  { id: 'CL-002', status: 'NEEDS_ENRICHMENT', lesson: 'NEEDS_ENRICHMENT', trigger: 'NEEDS_ENRICHMENT', prevention: 'NEEDS_ENRICHMENT' },
+]);
+h.writeJSON(path.join(dataDir, 'behavioral-calibration.json'), []);
+
+const review = (ago, rules) => ({ timestamp: day(ago), layer: 2, gate_failed: false, violations_count: rules.length, tier1_hard_fails: 0, gate_result: { violations: rules.map(r => ({ rule_violated: r, finding: 'f' })) } });
+h.writeJSON(path.join(dataDir, 'gate-review-ledger.json'), [
+  review(10, ['LZ-RC-001', 'LZ-EH-001']),
+  review(5, ['LZ-RC-001', 'LZ-RC-001', 'NONE']),
+  review(2, ['LZ-RC-001', 'LZ-RC-001', 'None — PASS', 'LZ-EH-001']),
+]);
+
+describe('buildBlindSpotAudit', () => {
+  const report = h.quietly(() => audit.buildBlindSpotAudit({ now: NOW }));
+  const s = report.sections;
+
+  it('summarises the week of the thesis trajectory and the auditor state', () => {
+    assert.equal(s.trajectory.runs, 3);
+    assert.deepEqual(s.trajectory.status_changes.map(c => [c.from, c.to]), [['CONTESTED', 'WEAKENING']]);
+    assert.deepEqual(s.trajectory.action_changes.map(c => c.to), ['REDUCE_EXPOSURE']);
+    assert.deepEqual(s.trajectory.kill_switches.last, { danger: 4, warning: 0 });
+    assert.equal(s.trajectory.auditor.advisory.finding_id, 'AUDIT-P1-20260307120000');
+  });
+
+  it('groups detector findings and drift within the window only', () => {
+    assert.deepEqual(s.spending.findings.map(g => [g.id, g.runs, g.severity]), [['X402_NEGLIGENT_HOARDING', 2, 'HIGH'], ['X402_STALE_PURCHASE_REPETITION', 1, 'MEDIUM']]);
+    assert.deepEqual(s.cognitive.findings.map(g => g.id), ['QUESTION_RECYCLING']);
+    assert.deepEqual(s.suppression.findings.map(g => g.calibration_entry), ['BC-002']);
+    assert.deepEqual(s.drift.lineages.map(l => [l.lineage_id, l.findings]), [['MACRO-JPY', 2]]);
+    assert.equal(s.interrogation.findings[0].survival_rate, 0.2);
+    assert.deepEqual(s.corrections.enrichment_backlog, ['CL-002']);
+  });
+
+  it('compares gate violations with the previous window, ignoring non-rules', () => {
+    assert.deepEqual([s.gate_trends.current.runs, s.gate_trends.previous.runs], [2, 1]);
+    assert.deepEqual(s.gate_trends.current.by_rule, { 'LZ-RC-001': 4, 'LZ-EH-001': 1 });
+    assert.deepEqual(s.gate_trends.rising, [{ rule: 'LZ-RC-001', count: 4, previous: 1 }]);
+  });
+
+  it('turns what needs a call into a numbered checklist with commands', () => {
+    const bySection = {};
+    for (const d of report.decisions) (bySection[d.section] ||= []).push(d);
+    assert.deepEqual(report.decisions.map(d => d.id).slice(0, 3), ['D1', 'D2', 'D3']);
+    assert.equal(bySection.trajectory.length, 2);
+    assert.match(bySection.trajectory[0].command, /advisory resolve/);
+    assert.equal(bySection.suppression[0].command, 'node scripts/calibration-lifecycle.js suspend BC-002');
+    assert.equal(bySection.corrections[0].command, 'node scripts/corrections-enrichment.js show CL-002');
+    // A single MEDIUM spending finding is reported but asks for no decision
+    assert.deepEqual(bySection.spending.map(d => d.question.split(' ')[0]), ['X402_NEGLIGENT_HOARDING']);
+    assert.ok(bySection.drift && bySection.interrogation && bySection.gate_trends);
+  });
+
+  it('renders Markdown and HTML and writes the report files', () => {
+    const md = audit.renderMarkdown(report);
+    assert.ok(md.startsWith('# Sunday Blind Spot Audit — 2026-03-08'));
+    assert.ok(md.includes('- [ ] **D1** [Thesis Trajectory]'));
+    assert.ok(md.includes('## Gate Violation Trends'));
+    const html = audit.renderHTML(report);
+    assert.equal((html.match(/type="checkbox"/g) || []).length, report.decisions.length);
+    assert.ok(!html.includes('None — PASS'));
+
+    const paths = audit.writeReport(report);
+    assert.ok(fs.existsSync(path.join(dataDir, 'blind-spot-audits', '2026-03-08.md')));
+    assert.equal(JSON.parse(fs.readFileSync(paths.json, 'utf8')).decisions.length, report.decisions.length);
+    const message = audit.buildAuditMessage(report, paths);
+    assert.equal(message.kind, 'blind_spot_audit');
+    assert.equal(message.footer.at(-1), 'Report: data/blind-spot-audits/2026-03-08.md');
+  });
+});
+
+describe('scheduledAuditRun', () => {
+  it('audits once after a run type with the blind_spot_audit behavior', () => {
+    const analysisPath = path.join(root, 'analysis-output.json');
+    const reportPath = path.join(dataDir, 'scheduled-audit.json');
+    h.writeJSON(analysisPath, { timestamp: day(0), run_type: 'evening' });
+    assert.equal(audit.scheduledAuditRun({ analysisPath, reportPath }), null);
+    h.writeJSON(analysisPath, { timestamp: day(0), run_type: 'sunday_audit' });
+    assert.equal(audit.scheduledAuditRun({ analysisPath, reportPath }), day(0));
+    h.writeJSON(reportPath, { source_run: day(0) });
+    assert.equal(audit.scheduledAuditRun({ analysisPath, reportPath }), null);
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Calibration Suppression Detectors — AD #16 Phase 4
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir } = h.useScratchRoot();
+
+const suppression = require('../calibration-suppression-detectors');
+
+const BASELINES = path.join(dataDir, 'calibration-baselines.json');
+
+const entry = overrides => ({
+  id: 'BCAL-001',
+  status: 'ACTIVE',
+  source_rule: 'LZ-EPH-002',
+  overcorrection_metric: 'SIGNAL_REJECTION_RATE',
+  overcorrection_metric_layer: 'L2',
+  overcorrection_threshold_override: null,
+  overcorrection_watch: 'Rejections climbing after activation',
+  ...overrides,
+});
+
+// A trace of `total` signals, `rejected` of them REJECTED
+const withRejections = (rejected, total) => h.trace(h.runs(total, i => h.traceSignal(`s${i}`, { outcome: i < rejected ? 'REJECTED' : 'SURVIVED' })));
+
+// A trace whose Layer 2 gate recorded `count` violations of `rule`
+const withViolations = (rule, count) => h.trace(h.runs(5, i => h.traceSignal(`s${i}`, {
+  contextualization_gate: { violations: i < count ? [{ rule_violated: rule }] : [] },
+})));
+
+const detect = (entries, trace, config) => h.quietly(() => suppression.detectCalibrationSuppression(entries, trace, config || {}));
+
+beforeEach(() => fs.rmSync(BASELINES, { force: true }));
+
+describe('computeTraceMetrics', () => {
+  it('derives outcome rates and per-layer violation counts', () => {
+    const trace = h.trace([
+      h.traceSignal('a', { outcome: 'REJECTED', perception_gate: { violations: [{ rule_violated: 'LZ-EH-001' }, { rule_violated: 'LZ-EH-001' }] } }),
+      h.traceSignal('b', { outcome: 'FLAGGED', contextualization: { unscored: { gap_type: 'DATA' } } }),
+      h.traceSignal('c'),
+      h.traceSignal('d'),
+    ]);
+    const m = suppression.computeTraceMetrics(trace);
+    assert.equal(m.overall.SIGNAL_REJECTION_RATE, 0.25);
+    assert.equal(m.L4.SIGNAL_FLAGGED_RATE, 0.25);
+    assert.deepEqual(m.L1.violations_by_rule, { 'LZ-EH-001': 2 });
+    assert.equal(m.L1.total_violations, 2);
+    assert.equal(m.L2.INSUFFICIENT_EVIDENCE_RATE, 0.25);
+    assert.equal(m.L3.INSUFFICIENT_EVIDENCE_RATE, 0.25);
+  });
+
+  it('returns empty layers for a missing trace', () => {
+    assert.deepEqual(suppression.computeTraceMetrics(null), { L1: {}, L2: {}, L3: {}, L4: {}, overall: {} });
+  });
+});
+
+describe('detectCalibrationSuppression', () => {
+  it('records a baseline on first measurement without flagging', () => {
+    assert.deepEqual(detect([entry()], withRejections(1, 10)), []);
+    const baselines = JSON.parse(fs.readFileSync(BASELINES, 'utf8'));
+    assert.equal(baselines['BCAL-001'].baseline_value, 0.1);
+  });
+
+  it('flags a rejection rate rising more than 0.3 over baseline', () => {
+    detect([entry()], withRejections(1, 10));
+    const [finding] = detect([entry()], withRejections(5, 10));
+    assert.equal(finding.type, 'CALIBRATION_SUPPRESSION');
+    assert.equal(finding.baseline_value, 0.1);
+    assert.equal(finding.current_value, 0.5);
+  });
+
+  it('just misses at a rise of exactly 0.3', () => {
+    detect([entry()], withRejections(0, 10));
+    assert.deepEqual(detect([entry()], withRejections(3, 10)), []);
+  });
+
+  it('honours the per-entry threshold override', () => {
+    const tight = entry({ overcorrection_threshold_override: 0.1 });
+    detect([tight], withRejections(0, 10));
+    assert.equal(detect([tight], withRejections(2, 10)).length, 1);
+  });
+
+  it('skips rate metrics below five signals', () => {
+    detect([entry()], withRejections(0, 4));
+    assert.deepEqual(detect([entry()], withRejections(4, 4)), []);
+  });
+
+  it('flags source-rule violations dropping to zero', () => {
+    const freq = entry({ overcorrection_metric: 'VIOLATION_FREQUENCY', source_rule: 'LZ-EPH-002' });
+    detect([freq], withViolations('LZ-EPH-002', 2));
+    const [finding] = detect([freq], withViolations('LZ-EH-001', 1));
+    assert.equal(finding.metric, 'VIOLATION_FREQUENCY');
+    assert.equal(finding.current_value, 0);
+  });
+
+  it('just misses while at least one violation remains', () => {
+    const freq = entry({ overcorrection_metric: 'VIOLATION_FREQUENCY', source_rule: 'LZ-EPH-002' });
+    detect([freq], withViolations('LZ-EPH-002', 2));
+    assert.deepEqual(detect([freq], withViolations('LZ-EPH-002', 1)), []);
+  });
+
+  it('ignores entries that are not ACTIVE', () => {
+    detect([entry()], withRejections(0, 10));
+    assert.deepEqual(detect([entry({ status: 'SUSPENDED' })], withRejections(10, 10)), []);
+  });
+});
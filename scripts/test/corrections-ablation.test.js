@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Corrections Ablation — units, variant ledgers and the impact table
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const { ablationUnits, compareVariant, runAblation } = require('../corrections-ablation');
+
+const entry = (id, lesson_type, status = 'ACTIVE') => ({ id, lesson_type, status, lesson: `Lesson ${id}`, trigger: 'T', prevention: 'P' });
+
+// Three-step collapse: EXIT_SIGNAL acceptable from step 2, due by step 3
+const scenario = {
+  name: 'collapse',
+  ground_truth: { latest_exit_step: 3 },
+  time_steps: [1, 2, 3].map(step => ({
+    step,
+    simulated_date: `Day ${step * 7}`,
+    market_data: {},
+    expected_outcome: { thesis_status_band: step === 1 ? ['STABLE'] : ['WEAKENING', 'FALSIFIED'] },
+  })),
+};
+
+/**
+ * A runVariant whose output depends on the ledger: without CL-001 the exit is
+ * missed and Layer 2 draws a gate violation; CL-002 nudges the score only.
+ */
+async function fakeVariant({ variantDir, ledgerPath }) {
+  const ids = JSON.parse(fs.readFileSync(ledgerPath, 'utf8')).map(e => e.id);
+  const progression = scenario.time_steps.map(({ step }) => {
+    const status = step === 1 ? 'STABLE' : 'WEAKENING';
+    const action = step === 1 || !ids.includes('CL-001') ? 'MONITOR' : 'EXIT_SIGNAL';
+    const runDir = path.join(variantDir, 'results', `run-00${step}`);
+    h.writeJSON(path.join(runDir, '360-report.json'), { bear_pressure_score: 5 + step + (ids.includes('CL-002') ? 0 : 0.2) });
+    h.writeJSON(path.join(runDir, 'step-result.json'), {
+      gate_results: { layer2: { violations: ids.includes('CL-001') ? [] : [{ rule_violated: 'LZ-RC-001' }] } },
+    });
+    return { step, thesis_status: status, action, confidence: 'medium' };
+  });
+  h.writeJSON(path.join(variantDir, 'summary.json'), { total_steps: 3, completed_steps: 3, failed_steps: 0, progression });
+}
+
+describe('ablationUnits', () => {
+  const inPrompt = [entry('CL-001', 'FALSE_THREAT'), entry('CL-002', 'FALSE_CONFIDENCE'), entry('CL-004', 'FALSE_THREAT')];
+
+  it('makes one unit per entry, or one per lesson_type group', () => {
+    assert.deepEqual(ablationUnits(inPrompt).map(u => u.id), ['CL-001', 'CL-002', 'CL-004']);
+    const groups = ablationUnits(inPrompt, 'lesson_type');
+    assert.deepEqual(groups.map(u => [u.id, u.entry_ids]), [['FALSE_THREAT', ['CL-001', 'CL-004']], ['FALSE_CONFIDENCE', ['CL-002']]]);
+  });
+
+  it('rejects an unknown grouping', () => {
+    assert.throws(() => ablationUnits(inPrompt, 'root_cause_type'), /entry, lesson_type/);
+  });
+});
+
+describe('compareVariant', () => {
+  const variant = (accuracy, violations) => ({
+    steps: [{ step: 1, thesis_status: 'STABLE', action: 'HOLD', bear_pressure_score: 5, gate_violations: violations }],
+    gate_violations: violations,
+    metrics: { status_accuracy: accuracy, false_alarms: 0, lead_steps: null, brier: null, signal_recall: null },
+    lead_outcome: 'N/A',
+  });
+
+  it('calls a removal that improves grades COUNTERPRODUCTIVE, and one that trades off MIXED', () => {
+    assert.equal(compareVariant(variant(0.5, 1), variant(0.75, 1)).verdict, 'COUNTERPRODUCTIVE');
+    assert.equal(compareVariant(variant(0.5, 1), variant(0.75, 2)).verdict, 'MIXED');
+  });
+});
+
+describe('runAblation', () => {
+  const ledgerPath = path.join(root, 'data', 'corrections-ledger.json');
+  h.writeJSON(ledgerPath, [entry('CL-001', 'FALSE_THREAT'), entry('CL-002', 'FALSE_CONFIDENCE'), entry('CL-003', 'FALSE_THREAT', 'SUPERSEDED')]);
+  const scenarioDir = path.join(root, 'evolutions', 'collapse');
+  const run = options => h.quietly(() => runAblation({
+    scenarioDir, scenario, thesisContext: '', domainConfig: { action_severe: 'EXIT_SIGNAL' }, ledgerPath, runVariant: fakeVariant, ...options,
+  }));
+
+  it('ablates only entries in the prompt and attributes the missed exit to CL-001', async () => {
+    const report = await run();
+    assert.deepEqual(report.not_in_prompt, ['CL-003']);
+    const [cl1, cl2] = report.units;
+    assert.equal(cl1.verdict, 'EARNS_PLACE');
+    assert.equal(cl1.metric_deltas.lead_steps, 'MISSED');
+    assert.equal(cl1.gate_violations.delta, 3);
+    assert.deepEqual(cl1.action_changes.map(c => c.step), [2, 3]);
+    assert.equal(cl2.verdict, 'NO_EFFECT');
+    assert.equal(cl2.score_shift.mean, 0.2);
+
+    const variantLedger = JSON.parse(fs.readFileSync(path.join(scenarioDir, 'ablation', 'entry', 'ablation-ledgers', 'CL-001.json'), 'utf8'));
+    assert.deepEqual(variantLedger.map(e => e.id), ['CL-002', 'CL-003']);
+  });
+
+  it('resumes without re-running complete variants', async () => {
+    let calls = 0;
+    await run({ runVariant: async options => { calls++; return fakeVariant(options); } });
+    assert.equal(calls, 0);
+  });
+
+  it('groups by lesson_type', async () => {
+    const report = await run({ groupBy: 'lesson_type' });
+    assert.deepEqual(report.units.map(u => [u.unit, u.verdict]), [['FALSE_THREAT', 'EARNS_PLACE'], ['FALSE_CONFIDENCE', 'NO_EFFECT']]);
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Corrections Enrichment — evidence, versioned edits, approval and the prompt gate
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const {
+  isPromptEligible, promptView, gatherContext, draftEnrichment, editEntry, approveEntry, loadHistory,
+} = require('../corrections-enrichment');
+const { loadCorrectionsLedger } = require('../analyze-thesis');
+const { verifyItems } = require('../ledger-integrity');
+
+const DATA = path.join(root, 'data');
+const LEDGER = path.join(DATA, 'corrections-ledger.json');
+const readLedger = () => JSON.parse(fs.readFileSync(LEDGER, 'utf8'));
+const byId = id => readLedger().find(e => e.id === id);
+
+const PENDING = 'NEEDS_ENRICHMENT';
+const REJECTION = {
+  timestamp: '2026-03-01T12:00:00.000Z',
+  layer3_inference: 'Exchange outflows mean retail capitulation',
+  rejection_reason: 'Outflows were a custodian migration, not selling',
+  root_cause: 'ASSUMPTION_FAILURE',
+  signal_ids: ['SIG-OUTFLOWS'],
+  confidence_in_rejection: 'high',
+  corrections_ledger_action: 'auto_commit',
+  promoted: true,
+};
+
+h.writeJSON(LEDGER, [
+  { id: 'CL-001', status: 'ACTIVE', belief: 'b', reality: 'r', lesson: 'Check the base rate', trigger: 'Any ratio', prevention: 'Compare to history', lesson_type: 'FALSE_THREAT' },
+  {
+    id: 'CL-002', status: PENDING, belief: REJECTION.layer3_inference, reality: REJECTION.rejection_reason,
+    root_cause_type: 'ASSUMPTION_FAILURE', lesson: PENDING, trigger: PENDING, prevention: PENDING, lesson_type: PENDING,
+    source_rejection: { timestamp: REJECTION.timestamp, signal_ids: REJECTION.signal_ids, source: 'layer4' },
+    enrichment: { state: 'PENDING', version: 0 },
+  },
+]);
+h.writeJSON(path.join(DATA, 'rejection-log.json'), [{ ...REJECTION, timestamp: '2026-02-01T00:00:00.000Z', signal_ids: ['SIG-OTHER'] }, REJECTION]);
+h.writeJSON(path.join(DATA, 'cognitive-trace-2026-03-01.json'), h.trace([
+  h.traceSignal('Outflows', {
+    outcome: 'REJECTED',
+    inference: { strategic_inferences: [{ finding: 'Retail is capitulating' }] },
+    inference_gate: { violations: [{ rule_violated: 'LZ-INF-002', violation: 'Single-cause inference' }] },
+  }),
+  h.traceSignal('Unrelated'),
+]));
+
+const FIELDS = { lesson: 'Outflows have many causes', trigger: 'Exchange outflow spike', prevention: 'Check custodian announcements', lesson_type: 'FALSE_THREAT' };
+
+describe('isPromptEligible', () => {
+  const ok = { status: 'ACTIVE', lesson: 'l', trigger: 't', prevention: 'p' };
+
+  it('admits legacy and approved entries, not placeholders or unapproved versions', () => {
+    assert.equal(isPromptEligible(ok), true);
+    assert.equal(isPromptEligible({ ...ok, enrichment: { state: 'APPROVED', version: 2 } }), true);
+    assert.equal(isPromptEligible({ ...ok, enrichment: { state: 'EDITED', version: 3 } }), false);
+    assert.equal(isPromptEligible({ ...ok, prevention: PENDING }), false);
+    assert.equal(isPromptEligible({ ...ok, status: PENDING }), false);
+  });
+
+  it('keeps bookkeeping out of the prompt view', () => {
+    const view = promptView({ ...ok, enrichment: { state: 'APPROVED' }, source_rejection: {}, _integrity: {} });
+    assert.deepEqual(Object.keys(view).sort(), ['lesson', 'prevention', 'status', 'trigger']);
+  });
+});
+
+describe('gatherContext', () => {
+  it('pulls the originating rejection and the trace record of its signals', () => {
+    const context = gatherContext('CL-002');
+    assert.equal(context.rejection.timestamp, REJECTION.timestamp);
+    assert.equal(context.layer3_inference, REJECTION.layer3_inference);
+    assert.equal(context.trace_evidence.length, 1);
+    assert.equal(context.trace_evidence[0].outcome, 'REJECTED');
+    assert.deepEqual(context.trace_evidence[0].gate_violations, [{ gate: 'inference_gate', rule: 'LZ-INF-002', violation: 'Single-cause inference' }]);
+  });
+});
+
+describe('draft, edit and approve', () => {
+  it('records a model draft without touching the entry, then applies it on approval', async () => {
+    const stubPath = path.join(root, 'stub-responses.json');
+    h.writeJSON(stubPath, { enrichment_draft: FIELDS });
+    const domainConfig = {
+      model_providers: { stub: { type: 'stub', responses_path: stubPath } },
+      model_roles: { enrichment_draft: { provider: 'stub', model: 'stub-drafter' } },
+    };
+
+    const draft = await h.quietly(() => draftEnrichment('CL-002', { domainConfig, operator: 'tw' }));
+    assert.equal(draft.source, 'model:stub-drafter');
+    assert.equal(byId('CL-002').lesson, PENDING);
+    assert.deepEqual(h.quietly(() => loadCorrectionsLedger()).map(e => e.id), ['CL-001']);
+
+    approveEntry('CL-002', { useDraft: true, operator: 'tw' });
+    const entry = byId('CL-002');
+    assert.equal(entry.status, 'ACTIVE');
+    assert.deepEqual(entry.enrichment, { ...entry.enrichment, state: 'APPROVED', version: 1, approved_version: 1, approved_by: 'tw' });
+    assert.equal(entry.lesson, FIELDS.lesson);
+
+    const prompt = h.quietly(() => loadCorrectionsLedger()).find(e => e.id === 'CL-002');
+    assert.ok(prompt && !('enrichment' in prompt) && !('source_rejection' in prompt));
+  });
+
+  it('takes an edited entry out of the prompts until it is approved again', () => {
+    editEntry('CL-002', { prevention: 'Read the custodian notices first' }, { operator: 'tw', reason: 'sharper check' });
+    assert.equal(byId('CL-002').status, PENDING);
+    assert.deepEqual(h.quietly(() => loadCorrectionsLedger()).map(e => e.id), ['CL-001']);
+
+    approveEntry('CL-002', { operator: 'tw' });
+    assert.equal(byId('CL-002').enrichment.approved_version, 2);
+    assert.throws(() => approveEntry('CL-002', {}), /already approved/);
+  });
+
+  it('versions every change in the log and keeps the ledger seals valid', () => {
+    const lines = loadHistory('CL-002');
+    assert.deepEqual(lines.map(l => [l.action, l.version]), [['DRAFT', 0], ['EDIT', 1], ['APPROVE', 1], ['EDIT', 2], ['APPROVE', 2]]);
+    assert.equal(lines[1].source, 'model:stub-drafter');
+    assert.equal(lines[3].previous.prevention, FIELDS.prevention);
+    assert.equal(lines[3].reason, 'sharper check');
+    assert.equal(verifyItems(readLedger()).status, 'VERIFIED');
+  });
+
+  it('leaves approved and legacy entries in the prompts when they are drafted', async () => {
+    const stubPath = path.join(root, 'stub-responses.json');
+    const domainConfig = {
+      model_providers: { stub: { type: 'stub', responses_path: stubPath } },
+      model_roles: { enrichment_draft: { provider: 'stub', model: 'stub-drafter' } },
+    };
+    const before = readLedger();
+    assert.ok(isPromptEligible(byId('CL-001')) && isPromptEligible(byId('CL-002')));
+
+    await h.quietly(async () => {
+      await draftEnrichment('CL-001', { domainConfig });
+      await draftEnrichment('CL-002', { domainConfig });
+    });
+    assert.deepEqual(readLedger(), before);
+    assert.ok(isPromptEligible(byId('CL-001')) && isPromptEligible(byId('CL-002')));
+    assert.equal(loadHistory('CL-002').at(-1).action, 'DRAFT');
+  });
+
+  it('refuses to approve placeholders or to write them', () => {
+    h.writeJSON(LEDGER, [...readLedger(), { id: 'CL-003', status: PENDING, lesson: 'l', trigger: PENDING, prevention: 'p', lesson_type: PENDING }]);
+    assert.throws(() => approveEntry('CL-003', {}), /trigger, lesson_type still NEEDS_ENRICHMENT/);
+    assert.throws(() => editEntry('CL-003', { trigger: PENDING }), /cannot be empty/);
+    assert.throws(() => approveEntry('CL-003', { useDraft: true }), /no draft/);
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Corrections Lifecycle — merge, retire, graduate, decay and the audit report
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const {
+  decayRecommendations, applyDecay, mergeEntries, retireEntry, graduateEntry, buildAuditReport,
+} = require('../corrections-lifecycle');
+const { loadOperatorLog } = require('../overwatch-operator');
+const { verifyItems } = require('../ledger-integrity');
+
+const LEDGER = path.join(root, 'data', 'corrections-ledger.json');
+const PROMPTS = path.join(root, 'prompts.js');
+const readLedger = () => JSON.parse(fs.readFileSync(LEDGER, 'utf8'));
+const byId = id => readLedger().find(e => e.id === id);
+
+// Unrelated lesson topics so only the deliberate pair reads as duplicates
+const TOPICS = { 'CL-001': 'custody flows', 'CL-002': 'regulatory calendars', 'CL-003': 'validator outages', 'CL-006': 'liquidity' };
+
+const entry = (id, overrides) => ({
+  id, status: 'ACTIVE', belief: `Belief ${id}`, reality: 'r', lesson_type: 'FALSE_THREAT', confidence_in_lesson: 'HIGH',
+  lesson: `Weigh ${TOPICS[id]}`, trigger: `Mentions ${TOPICS[id]}`, prevention: `Verify ${TOPICS[id]}`,
+  times_applied: 0, times_applicable_but_missed: 0, ...overrides,
+});
+
+const DUP_LESSON = { lesson: 'Stablecoin supply growth does not imply settlement adoption', trigger: 'Stablecoin supply announcements' };
+
+h.writeJSON(LEDGER, [
+  entry('CL-001', { times_applied: 2, times_applicable_but_missed: 4 }),
+  entry('CL-002', { times_applied: 1, times_applicable_but_missed: 5 }),
+  entry('CL-003', { times_applied: 12, times_applicable_but_missed: 1 }),
+  entry('CL-004', { ...DUP_LESSON, times_applied: 1 }),
+  entry('CL-005', { ...DUP_LESSON, times_applicable_but_missed: 2 }),
+  entry('CL-006', { status: 'NEEDS_ENRICHMENT', lesson: 'NEEDS_ENRICHMENT', trigger: 'NEEDS_ENRICHMENT', prevention: 'NEEDS_ENRICHMENT' }),
+]);
+fs.writeFileSync(PROMPTS, 'const LAYER2 = `\n  RULE: Old lesson. [Graduated from CL-009]\n`;\n');
+
+describe('buildAuditReport', () => {
+  it('lists the enrichment backlog, duplicates, decay and graduation candidates', () => {
+    const report = buildAuditReport({ promptSource: PROMPTS });
+    assert.deepEqual(report.enrichment_backlog, ['CL-006']);
+    assert.deepEqual(report.duplicates.map(d => d.ids), [['CL-004', 'CL-005']]);
+    assert.deepEqual(report.decay.map(r => [r.id, r.action]), [['CL-001', 'DECAY'], ['CL-002', 'RETIRE_REVIEW']]);
+    assert.deepEqual(report.graduation_candidates.map(g => g.id), ['CL-003']);
+    assert.equal(report.in_prompt, 5);
+  });
+});
+
+describe('decay', () => {
+  it('lowers confidence one step, then waits for new applications before the next', () => {
+    const recs = applyDecay({ operator: 'tw' });
+    assert.deepEqual(recs.filter(r => r.applied).map(r => r.id), ['CL-001']);
+    assert.equal(byId('CL-001').confidence_in_lesson, 'MEDIUM');
+    assert.equal(byId('CL-002').confidence_in_lesson, 'HIGH');
+
+    assert.deepEqual(decayRecommendations(readLedger()).map(r => r.id), ['CL-002']);
+    const later = readLedger().map(e => (e.id === 'CL-001' ? { ...e, times_applied: 4, times_applicable_but_missed: 7 } : e));
+    assert.equal(decayRecommendations(later).find(r => r.id === 'CL-001').recommended_confidence, 'LOW');
+  });
+
+  it('judges only the applications since the last confidence change', () => {
+    const decayed = entry('CL-001', {
+      confidence_in_lesson: 'MEDIUM', times_applied: 0, times_applicable_but_missed: 10,
+      confidence_basis: { applicable: 10, applied: 0, date: '2026-03-01' },
+    });
+    assert.deepEqual(decayRecommendations([{ ...decayed, times_applied: 5 }]), []);
+
+    const [rec] = decayRecommendations([{ ...decayed, times_applied: 1, times_applicable_but_missed: 14 }]);
+    assert.deepEqual([rec.action, rec.window, rec.stats.applicable], ['RETIRE_REVIEW', { applied: 1, applicable: 5, ratio: 0.2 }, 15]);
+  });
+
+  it('adds the runs in the application log to the stored counters', () => {
+    const tracked = entry('CL-001', { times_applied: 1, times_applicable_but_missed: 1 });
+    const [rec] = decayRecommendations([tracked], undefined, { 'CL-001': { applied: 1, missed: 2 } });
+    assert.deepEqual([rec.action, rec.stats], ['DECAY', { applied: 2, missed: 3, applicable: 5, ratio: 0.4 }]);
+  });
+});
+
+describe('merge and retire', () => {
+  it('supersedes duplicates and carries their counts to the survivor', () => {
+    const record = { run_id: '2026-03-10T12:00:00.000Z', results: { 'CL-005': { result: 'MISSED' } } };
+    fs.writeFileSync(path.join(root, 'data', 'corrections-application-log.jsonl'), JSON.stringify(record) + '\n');
+    const keep = mergeEntries('CL-004', ['CL-005'], { operator: 'tw', reason: 'same stablecoin lesson' });
+    assert.equal(keep.times_applicable_but_missed, 3);
+    assert.deepEqual(keep.merged_from, ['CL-005']);
+    const dup = byId('CL-005');
+    assert.deepEqual([dup.status, dup.superseded_by, dup.superseded_reason], ['SUPERSEDED', 'CL-004', 'same stablecoin lesson']);
+    assert.throws(() => mergeEntries('CL-004', ['CL-005'], {}), /already SUPERSEDED/);
+  });
+
+  it('requires a reason to retire', () => {
+    assert.throws(() => retireEntry('CL-002', {}), /--reason/);
+    assert.equal(retireEntry('CL-002', { operator: 'tw', reason: 'never applied' }), 'ACTIVE');
+    assert.equal(byId('CL-002').retirement_reason, 'never applied');
+  });
+});
+
+describe('graduate', () => {
+  it('returns the rule until its marker is in the prompt, then retires the entry', () => {
+    const pending = graduateEntry('CL-003', { layer: 2, promptSource: PROMPTS });
+    assert.equal(pending.graduated, false);
+    assert.equal(pending.rule, 'Weigh validator outages. Verify validator outages. [Graduated from CL-003]');
+    assert.equal(byId('CL-003').status, 'ACTIVE');
+    assert.deepEqual(buildAuditReport({ promptSource: PROMPTS }).graduation_drift, []);
+
+    fs.appendFileSync(PROMPTS, `const LAYER3 = \`\n  RULE: ${pending.rule}\n\`;\n`);
+    assert.equal(buildAuditReport({ promptSource: PROMPTS }).graduation_drift[0].id, 'CL-003');
+
+    const done = graduateEntry('CL-003', { layer: 3, promptSource: PROMPTS, operator: 'tw' });
+    assert.deepEqual([done.graduated, done.line], [true, 5]);
+    const graduated = byId('CL-003');
+    assert.equal(graduated.status, 'RETIRED');
+    assert.equal(graduated.graduated_to.layer, 3);
+    assert.throws(() => graduateEntry('CL-006', { layer: 2, promptSource: PROMPTS }), /only enriched, approved ACTIVE/);
+  });
+
+  it('records every change in the operator log and keeps the ledger seals valid', () => {
+    assert.deepEqual(loadOperatorLog().map(l => [l.action, l.subject]), [
+      ['decay', 'CL-001'], ['merge', 'CL-004'], ['retire', 'CL-002'], ['graduate', 'CL-003'],
+    ]);
+    assert.equal(verifyItems(readLedger()).status, 'VERIFIED');
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Corrections Tracking — trigger matching, applied/missed counters and trends
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const { triggerTerms, evaluateRun, trackRun, loadApplicationLog, applicationTrends, applicationCounts } = require('../corrections-tracking');
+const { assembleFlightRecords } = require('../assemble-flight-records');
+const { writeLedger } = require('../ledger-integrity');
+
+const LEDGER = path.join(root, 'data', 'corrections-ledger.json');
+const readLedger = () => JSON.parse(fs.readFileSync(LEDGER, 'utf8'));
+
+const entry = (id, trigger, overrides) => ({
+  id, status: 'ACTIVE', date_identified: '2026-03-01', lesson: 'l', prevention: 'p', trigger,
+  times_applied: 0, times_applicable_but_missed: 0, ...overrides,
+});
+
+const ledger = [
+  entry('CL-001', 'Any inference built on historical analogy, especially ETF flow comparisons or product launch precedents.'),
+  entry('CL-002', 'Any threat score assigned from social media engagement patterns without negative content.'),
+  entry('CL-003', 'Any inference that a validator outage signals network abandonment.'),
+  entry('CL-004', 'Any inference built on historical analogy of ETF flow comparisons.', { date_identified: '2026-04-01' }),
+];
+
+const signal = (title, description, overrides) => h.traceSignal(title, { perception: { signal: title, description }, ...overrides });
+
+const run = (timestamp, signals) => h.trace(signals, { _run_timestamp: timestamp });
+
+const RUN_1 = run('2026-03-10T12:00:00.000Z', [
+  signal('ETF outflows mirror 2018', 'Historical analogy: ETF flow comparisons with the 2018 product launch suggest a repeat.', {
+    corrections_applied: [{ layer: 2, correction_id: 'CL-001' }],
+  }),
+  signal('Influencer silence', 'Social media engagement patterns dropped; scored as a threat despite no negative content.'),
+  signal('Validator count steady', 'No change in validator set.', {
+    inference: { strategic_inferences: [{ finding: 'Per CL-003, an outage is not abandonment' }] },
+  }),
+  signal('Fee market quiet', 'Fees flat.'),
+]);
+
+describe('evaluateRun', () => {
+  it('counts references as APPLIED and unreferenced trigger matches as MISSED', () => {
+    const { results, evaluated } = evaluateRun(RUN_1, ledger);
+    assert.deepEqual(evaluated, ['CL-001', 'CL-002', 'CL-003']);
+    assert.equal(results['CL-001'].result, 'APPLIED');
+    assert.deepEqual(results['CL-001'].layers, [2]);
+    assert.equal(results['CL-003'].result, 'APPLIED');
+    assert.equal(results['CL-002'].result, 'MISSED');
+    assert.deepEqual(results['CL-002'].signal_ids, ['SIG-INFLUENCER-SILENCE']);
+    assert.ok(results['CL-002'].matched_terms.includes('engagement'));
+  });
+
+  it('ignores terms common to most of the run and honours trigger_keywords', () => {
+    const crowded = run('2026-03-11T00:00:00.000Z', ['A', 'B', 'C', 'D'].map(t => signal(t, 'Social media engagement patterns, negative content everywhere.')));
+    assert.deepEqual(evaluateRun(crowded, ledger).results, {});
+
+    assert.deepEqual(triggerTerms({ trigger: 'ignored', trigger_keywords: ['validator outages', 'abandonment'] }), ['validator', 'outag', 'abandonment']);
+    const keyed = [entry('CL-003', 'x', { trigger_keywords: ['validator', 'outage', 'network'] })];
+    const outage = run('2026-03-12T00:00:00.000Z', [signal('Validator outage', 'A validator outage hit the network.')]);
+    assert.equal(evaluateRun(outage, keyed).results['CL-003'].result, 'MISSED');
+  });
+});
+
+describe('trackRun', () => {
+  h.quietly(() => writeLedger(LEDGER, ledger.map(e => ({ ...e }))));
+
+  it('logs each run once and leaves the sealed ledger unamended', () => {
+    const sealed = fs.readFileSync(LEDGER, 'utf8');
+    const summary = trackRun(RUN_1, { traceFile: 'cognitive-trace-1.json' });
+    assert.deepEqual([summary.applied, summary.missed], [['CL-001', 'CL-003'], ['CL-002']]);
+    assert.equal(trackRun(RUN_1).skipped, true);
+    assert.equal(fs.readFileSync(LEDGER, 'utf8'), sealed);
+
+    const [record] = loadApplicationLog();
+    assert.deepEqual([record.run_id, record.trace, record.results['CL-002'].result], ['2026-03-10T12:00:00.000Z', 'cognitive-trace-1.json', 'MISSED']);
+    const trends = applicationTrends(loadApplicationLog());
+    const cl1 = readLedger().find(e => e.id === 'CL-001');
+    assert.deepEqual(applicationCounts(cl1, trends), { times_applied: 1, times_applicable_but_missed: 0 });
+    assert.equal(applicationCounts({ ...cl1, times_applied: 3 }, trends).times_applied, 4);
+  });
+
+  it('feeds weekly applied-versus-missed trends to the flight recorder', () => {
+    trackRun(run('2026-03-17T12:00:00.000Z', [signal('Influencer chatter', 'Social media engagement patterns without negative content.', {
+      corrections_applied: [{ layer: 3, correction_id: 'CL-002' }],
+    })]));
+    const trend = applicationTrends(loadApplicationLog())['CL-002'];
+    assert.deepEqual(trend.weeks, [{ week: '2026-W11', applied: 0, missed: 1 }, { week: '2026-W12', applied: 1, missed: 0 }]);
+
+    const records = h.quietly(() => assembleFlightRecords());
+    const chain = records.chains.find(c => c.chain_id === 'CHAIN-CORR-002');
+    assert.deepEqual([chain.application_trend.applied, chain.application_trend.missed], [1, 1]);
+    const node = chain.nodes.find(n => n.node_id === 'CL-002-APPLICATION');
+    assert.equal(node.telemetry.application_ratio, 0.5);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Cost Ledger — budget ceilings (run and day scope) and daily/weekly rollups
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, dataDir } = h.useScratchRoot();
+
+const costLedger = require('../cost-ledger');
+const { callModel, getUsageLog } = require('../model-providers');
+
+const STUB_PATH = path.join(root, 'stub-responses.json');
+h.writeJSON(STUB_PATH, { layer2: { scored_signals: [] } });
+
+// 4,000 prompt chars ≈ 1,000 tokens in + 2,000 out at $3/$15 per Mtok = $0.033 worst case
+const DOMAIN = {
+  model_providers: { stub: { type: 'stub', responses_path: STUB_PATH } },
+  model_roles: { layer2: { provider: 'stub', model: 'priced-model', max_tokens: 2000, max_attempts: 1 } },
+  model_pricing: { 'priced-model': { input_per_mtok: 3, output_per_mtok: 15 } },
+};
+const PROMPT = 'x'.repeat(4000);
+const layer2 = () => h.quietly(() => callModel('layer2', { prompt: PROMPT }, { domainConfig: DOMAIN, parse: 'json' }));
+
+const ledgerPath = name => path.join(dataDir, `${name}.json`);
+const run = (runId, startedAt, totals, byChannel = {}) => ({ run_id: runId, started_at: startedAt, totals, by_channel: byChannel });
+
+describe('run budget', () => {
+  it('refuses the call that would cross max_usd_per_run before anything is sent', async () => {
+    const ledger = ledgerPath('run-budget');
+    h.quietly(() => costLedger.beginRun('run-1', { budget: { max_usd_per_run: 0.1 }, ledgerPath: ledger }));
+    costLedger.recordAcquisition({ request_id: 'ACQ-1', channel_id: 'firecrawl-base', status: 'SUCCESS', cost_usd: 0.06 });
+    costLedger.recordAcquisition({ request_id: 'ACQ-2', channel_id: 'messari-base', status: 'PAPER_TRADE', paper_trade: true, cost_usd: 0.25 });
+
+    assert.deepEqual((await layer2()).data, { scored_signals: [] });
+    costLedger.noteModelSpend(0.03);
+    const sent = getUsageLog().length;
+
+    await assert.rejects(layer2(), err => {
+      assert.ok(err instanceof costLedger.BudgetExceededError);
+      assert.deepEqual(err.details, { scope: 'run', ceiling_usd: 0.1, spent_usd: 0.09, projected_usd: 0.033, blocked: 'layer2 call (priced-model)' });
+      return true;
+    });
+    assert.equal(getUsageLog().length, sent);
+    assert.equal(costLedger.getRunSpend().total_usd, 0.09);
+    assert.equal(costLedger.getBudgetHalt().scope, 'run');
+
+    const entry = costLedger.writeRunCosts(getUsageLog());
+    assert.deepEqual([entry.totals.acquisition_usd, entry.totals.simulated_acquisition_usd], [0.06, 0.25]);
+    assert.equal(entry.budget.halted.blocked, 'layer2 call (priced-model)');
+    assert.equal(JSON.parse(fs.readFileSync(ledger, 'utf8')).runs.length, 1);
+  });
+
+  it('does not enforce a budget with enforce: false', () => {
+    h.quietly(() => costLedger.beginRun('run-2', { budget: { max_usd_per_run: 0.01, enforce: false }, ledgerPath: ledgerPath('unenforced') }));
+    costLedger.checkBudget(5, 'layer4 call');
+    assert.equal(costLedger.getBudgetHalt(), null);
+  });
+});
+
+describe('day budget', () => {
+  it('counts earlier runs today, not yesterday, toward max_usd_per_day', () => {
+    const ledger = ledgerPath('day-budget');
+    const now = new Date();
+    const yesterday = new Date(now.getTime() - 86400000).toISOString();
+    h.writeJSON(ledger, { runs: [
+      run('earlier', now.toISOString(), { total_usd: 0.95 }),
+      run('yesterday', yesterday, { total_usd: 4 }),
+    ], rollups: { daily: {}, weekly: {} } });
+
+    h.quietly(() => costLedger.beginRun('run-3', { budget: { max_usd_per_run: 1, max_usd_per_day: 1 }, ledgerPath: ledger }));
+    costLedger.checkBudget(0.04, 'gate call');
+    assert.throws(() => costLedger.checkBudget(0.06, 'layer3 call'), err => {
+      assert.deepEqual([err.details.scope, err.details.spent_usd, err.details.ceiling_usd], ['day', 0.95, 1]);
+      return true;
+    });
+    assert.equal(costLedger.getBudgetHalt().blocked, 'layer3 call');
+  });
+});
+
+describe('rollups', () => {
+  it('totals runs per UTC day and ISO week, counting a resumed run once', () => {
+    const rollups = costLedger.buildRollups([
+      run('a', '2026-01-04T06:00:00.000Z', { calls: 4, model_usd: 0.5, acquisition_usd: 0.03, total_usd: 0.53 }, { 'firecrawl-base': { usd: 0.03 } }),
+      run('a', '2026-01-04T06:00:00.000Z', { calls: 2, model_usd: 0.2, total_usd: 0.2 }),
+      run('b', '2026-01-04T18:00:00.000Z', { calls: 1, model_usd: 0.1, total_usd: 0.1 }),
+      run('c', '2026-01-05T06:00:00.000Z', { calls: 3, model_usd: 0.3, acquisition_usd: 0.25, total_usd: 0.55 }, { 'messari-base': { usd: 0.25 } }),
+    ]);
+    assert.deepEqual(Object.keys(rollups.daily), ['2026-01-04', '2026-01-05']);
+    assert.deepEqual(Object.keys(rollups.weekly), ['2026-W01', '2026-W02']);
+
+    const sunday = rollups.daily['2026-01-04'];
+    assert.deepEqual([sunday.runs, sunday.calls, sunday.model_usd, sunday.total_usd], [2, 7, 0.8, 0.83]);
+    assert.deepEqual(sunday.by_channel, { 'firecrawl-base': 0.03 });
+    assert.deepEqual(rollups.weekly['2026-W01'], sunday);
+    assert.deepEqual(rollups.weekly['2026-W02'].by_channel, { 'messari-base': 0.25 });
+  });
+
+  it('writes rollups with the run and summarizes today and this week', () => {
+    const ledger = ledgerPath('rollups');
+    h.quietly(() => costLedger.beginRun('run-4', { budget: { max_usd_per_day: 2 }, ledgerPath: ledger }));
+    costLedger.recordAcquisition({ channel_id: 'firecrawl-base', status: 'VENDOR_FAILOVER', cost_usd: 0.03 });
+    costLedger.writeRunCosts([]);
+    costLedger.writeRunCosts([]);
+
+    const summary = costLedger.summarizeLedger(costLedger.loadLedger(ledger));
+    assert.deepEqual([summary.today.runs, summary.today.acquisition_usd], [1, 0.03]);
+    assert.deepEqual(summary.this_week.by_channel, { 'firecrawl-base': 0.03 });
+    assert.deepEqual(summary.budget, { max_usd_per_run: null, max_usd_per_day: 2, enforced: true, halted: null });
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Reasoning Drift Detector — AD #20 Phase 2
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+h.useScratchRoot();
+
+const { detectDrift } = require('../detect-drift');
+
+const pair = (prev, curr) => ({ lineages: [h.lineage('LIN-001', [h.appearance(0, prev), h.appearance(1, curr)])] });
+const types = result => result.findings.map(f => f.drift_type);
+
+describe('detectDrift — SEVERITY_DRIFT', () => {
+  it('flags a severity move above 1.5 with no new evidence or corrections', () => {
+    const result = detectDrift(pair({ weighted_severity: 2 }, { weighted_severity: 3.6 }), {});
+    const [finding] = result.findings;
+    assert.equal(finding.drift_type, 'SEVERITY_DRIFT');
+    assert.equal(finding.direction, 'ESCALATED');
+    assert.equal(finding.magnitude, 1.6);
+    assert.equal(finding.finding_id, 'DRIFT-SEV-LIN-001-20260301120000');
+  });
+
+  it('just misses at exactly 1.5', () => {
+    assert.deepEqual(types(detectDrift(pair({ weighted_severity: 2 }, { weighted_severity: 3.5 }), {})), []);
+  });
+
+  it('is explained by changed evidence or a newly fired correction', () => {
+    assert.deepEqual(types(detectDrift(pair({ weighted_severity: 4 }, { weighted_severity: 2, evidence_changed: true }), {})), []);
+    assert.deepEqual(types(detectDrift(pair({ weighted_severity: 4 }, { weighted_severity: 2, corrections_applied: ['COR-7'] }), {})), []);
+  });
+
+  it('honours drift_severity_threshold', () => {
+    assert.deepEqual(types(detectDrift(pair({ weighted_severity: 2 }, { weighted_severity: 3 }), { drift_severity_threshold: 0.5 })), ['SEVERITY_DRIFT']);
+  });
+});
+
+describe('detectDrift — CONFIDENCE_DRIFT', () => {
+  it('flags a confidence change with an unchanged gate profile', () => {
+    const result = detectDrift(pair({ confidence: 'MEDIUM', gate_violations_by_layer: { L2: 1 } }, { confidence: 'HIGH', gate_violations_by_layer: { L2: 1 } }), {});
+    assert.deepEqual(types(result), ['CONFIDENCE_DRIFT']);
+    assert.equal(result.findings[0].current_value, 'HIGH');
+  });
+
+  it('is explained by a change in gate violations', () => {
+    assert.deepEqual(types(detectDrift(pair({ confidence: 'MEDIUM' }, { confidence: 'HIGH', gate_violations_by_layer: { L2: 1 } }), {})), []);
+  });
+
+  it('is explained by a newly fired correction but not by a repeated one', () => {
+    assert.deepEqual(types(detectDrift(pair({ confidence: 'MEDIUM' }, { confidence: 'LOW', corrections_applied: ['COR-7'] }), {})), []);
+    const repeated = pair({ confidence: 'MEDIUM', corrections_applied: ['COR-7'] }, { confidence: 'LOW', corrections_applied: ['COR-7'] });
+    assert.deepEqual(types(detectDrift(repeated, {})), ['CONFIDENCE_DRIFT']);
+  });
+});
+
+describe('detectDrift — LANGUAGE_DRIFT', () => {
+  it('flags reasoning with more than 40% of words changed', () => {
+    const result = detectDrift(pair({}, { reasoning_diff: h.reasoningDiff(5, 10) }), {});
+    assert.deepEqual(types(result), ['LANGUAGE_DRIFT']);
+    assert.equal(result.findings[0].magnitude, 0.5);
+  });
+
+  it('just misses at exactly 40%', () => {
+    assert.deepEqual(types(detectDrift(pair({}, { reasoning_diff: h.reasoningDiff(4, 10) }), {})), []);
+  });
+
+  it('is explained by changed evidence', () => {
+    assert.deepEqual(types(detectDrift(pair({}, { reasoning_diff: h.reasoningDiff(10, 10), evidence_changed: true }), {})), []);
+  });
+});
+
+describe('detectDrift — scan', () => {
+  it('skips lineages below drift_min_appearances and sorts findings newest first', () => {
+    const data = {
+      lineages: [
+        h.lineage('LIN-A', [h.appearance(0, { confidence: 'LOW' }), h.appearance(1, { confidence: 'HIGH' }), h.appearance(2, { confidence: 'LOW' })]),
+        h.lineage('LIN-B', [h.appearance(5, { weighted_severity: 5 })]),
+      ],
+    };
+    const result = detectDrift(data, {});
+    assert.equal(result.lineagesScanned, 1);
+    assert.equal(result.pairsCompared, 2);
+    assert.deepEqual(result.findings.map(f => f.run_pair.current), ['2026-03-02T00:00:00.000Z', '2026-03-01T12:00:00.000Z']);
+
+    assert.equal(detectDrift(data, { drift_min_appearances: 4 }).lineagesScanned, 0);
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Evolution Batch — resume, commit keying and the baseline regression gate
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const { compareToBaseline, parseBatchArgs, runBatch } = require('../evolution-batch');
+
+const EVOLUTIONS_DIR = path.join(root, 'evolutions');
+const BASELINE_FILE = path.join(EVOLUTIONS_DIR, 'baseline.json');
+
+// Three-step collapse: EXIT_SIGNAL acceptable from step 2, due by step 3
+h.writeJSON(path.join(EVOLUTIONS_DIR, 'collapse', 'scenario.json'), {
+  name: 'collapse',
+  ground_truth: { latest_exit_step: 3 },
+  time_steps: [
+    { step: 1, simulated_date: 'Day 0', market_data: {}, expected_outcome: { thesis_status_band: ['STABLE'] } },
+    { step: 2, simulated_date: 'Day 7', market_data: {}, expected_outcome: { thesis_status_band: ['CONTESTED', 'WEAKENING'] } },
+    { step: 3, simulated_date: 'Day 9', market_data: {}, expected_outcome: { thesis_status_band: ['WEAKENING', 'FALSIFIED'] } },
+  ],
+});
+h.writeJSON(path.join(EVOLUTIONS_DIR, 'collapse', 'domain.json'), { action_severe: 'EXIT_SIGNAL' });
+
+const EARLY = [['STABLE', 'HOLD'], ['WEAKENING', 'EXIT_SIGNAL'], ['FALSIFIED', 'EXIT_SIGNAL']];
+const MISSED = [['STABLE', 'HOLD'], ['WEAKENING', 'REDUCE'], ['FALSIFIED', 'REDUCE']];
+
+/** A runJob that writes the summary run-evolution.js would, and records calls. */
+function fakeRunner(rows, { fail = [] } = {}) {
+  const calls = [];
+  let inFlight = 0;
+  const runner = async job => {
+    calls.push(job.id);
+    inFlight++;
+    runner.maxInFlight = Math.max(runner.maxInFlight, inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight--;
+    if (fail.includes(job.id)) return 1;
+    h.writeJSON(path.join(job.outDir, 'summary.json'), {
+      total_steps: rows.length,
+      completed_steps: rows.length,
+      failed_steps: 0,
+      progression: rows.map(([thesis_status, action], i) => ({ step: i + 1, thesis_status, action, confidence: 'medium' })),
+    });
+    return 0;
+  };
+  runner.calls = calls;
+  runner.maxInFlight = 0;
+  return runner;
+}
+
+const batch = (commit, runJob, options = {}) => h.quietly(() => runBatch({
+  evolutionsDir: EVOLUTIONS_DIR, baselineFile: BASELINE_FILE, commit, runJob, ...options,
+}));
+
+describe('runBatch — jobs and resume', () => {
+  it('runs every scenario × mode under its commit with bounded concurrency', async () => {
+    const runJob = fakeRunner(EARLY);
+    const outcome = await batch('aaa1111', runJob, { concurrency: 2 });
+    assert.equal(runJob.calls.length, 3);
+    assert.equal(runJob.maxInFlight, 2);
+    assert.equal(outcome.exitCode, 0);
+    const batchDir = path.join(EVOLUTIONS_DIR, 'batches', 'aaa1111');
+    assert.ok(fs.existsSync(path.join(batchDir, 'scorecard.json')));
+    assert.deepEqual(Object.keys(outcome.scorecard.scenarios[0].modes), ['full', 'no-corrections', 'raw-llm']);
+  });
+
+  it('fails on a failed job and re-runs only that job on resume', async () => {
+    const first = await batch('bbb2222', fakeRunner(EARLY, { fail: ['collapse/raw-llm'] }));
+    assert.equal(first.exitCode, 1);
+    assert.equal(first.jobs['collapse/raw-llm'].status, 'failed');
+    assert.deepEqual(first.report.failed_jobs, ['collapse/raw-llm']);
+
+    const runJob = fakeRunner(EARLY);
+    const second = await batch('bbb2222', runJob);
+    assert.deepEqual(runJob.calls, ['collapse/raw-llm']);
+    assert.equal(second.jobs['collapse/raw-llm'].attempts, 2);
+    assert.equal(second.exitCode, 0);
+  });
+});
+
+describe('runBatch — baseline gate', () => {
+  it('pins a clean batch, then fails a later commit that misses the exit', async () => {
+    await batch('ccc3333', fakeRunner(EARLY), { modes: ['full'], pin: true });
+    const baseline = JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8'));
+    assert.equal(baseline._commit, 'ccc3333');
+    assert.equal(baseline.metrics.collapse.full.lead_steps, 1);
+
+    const same = await batch('ddd4444', fakeRunner(EARLY), { modes: ['full'] });
+    assert.equal(same.exitCode, 0);
+
+    const worse = await batch('eee5555', fakeRunner(MISSED), { modes: ['full'] });
+    assert.equal(worse.exitCode, 1);
+    const lead = worse.report.regressions.find(r => r.metric === 'lead_steps');
+    assert.equal(lead.reason, 'exit MISSED');
+  });
+});
+
+describe('compareToBaseline', () => {
+  const baseline = { metrics: { s: { full: { status_accuracy: 0.8, brier: 0.2, false_alarms: 1 }, 'raw-llm': { brier: 0.3 } } } };
+
+  it('passes changes within tolerance and lists pairs the batch did not run', () => {
+    const result = compareToBaseline({ s: { full: { status_accuracy: 0.76, brier: 0.24, false_alarms: 0 } } }, baseline);
+    assert.deepEqual(result.regressions, []);
+    assert.deepEqual(result.improvements.map(i => i.metric), ['false_alarms']);
+    assert.deepEqual(result.not_run, ['s/raw-llm']);
+  });
+
+  it('applies tolerance overrides', () => {
+    const result = compareToBaseline({ s: { full: { status_accuracy: 0.76, brier: 0.2, false_alarms: 1 } } }, baseline, { status_accuracy: 0 });
+    assert.deepEqual(result.regressions.map(r => [r.metric, r.delta]), [['status_accuracy', -0.04]]);
+  });
+});
+
+describe('parseBatchArgs', () => {
+  it('reads lists, concurrency and tolerances, and rejects unknown metrics', () => {
+    const options = parseBatchArgs(['--all', '--modes', 'full,raw-llm', '--concurrency', '3', '--tolerance', 'brier=0.1', '--pin-baseline']);
+    assert.deepEqual(options.modes, ['full', 'raw-llm']);
+    assert.equal(options.concurrency, 3);
+    assert.deepEqual(options.tolerances, { brier: 0.1 });
+    assert.equal(options.pin, true);
+    assert.throws(() => parseBatchArgs(['--tolerance', 'speed=1']), /status_accuracy/);
+  });
+});
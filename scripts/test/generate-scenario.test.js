@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Scenario Generator — templates, obscuration and ground truth
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const { TEMPLATES, generateScenario, writeScenario } = require('../generate-scenario');
+const { loadScenario } = require('../run-evolution');
+
+const OUT_DIR = path.join(root, 'evolutions');
+const statuses = scenario => scenario.time_steps.map(s => s.expected_outcome.thesis_status);
+const triggered = step => Object.values(step.expected_outcome.kill_switches).filter(s => s === 'TRIGGERED').length;
+
+describe('generateScenario — validity', () => {
+  for (const id of Object.keys(TEMPLATES)) {
+    it(`${id} writes a scenario run-evolution can load`, () => {
+      const { dir } = writeScenario(id, { outDir: OUT_DIR });
+      const { scenario, thesisContext, domainConfig } = h.quietly(() => loadScenario(dir));
+      assert.equal(scenario.name, `synthetic-${id}-1`);
+      assert.equal(scenario.time_steps.length, TEMPLATES[id].steps.length);
+      assert.ok(thesisContext.includes('## Kill Switches'));
+      assert.equal(domainConfig.action_severe, 'EXIT_SIGNAL');
+    });
+  }
+
+  it('refuses to overwrite an existing scenario without force', () => {
+    writeScenario('whipsaw', { outDir: OUT_DIR, name: 'overwrite' });
+    assert.throws(() => writeScenario('whipsaw', { outDir: OUT_DIR, name: 'overwrite' }), /--force/);
+    assert.doesNotThrow(() => writeScenario('whipsaw', { outDir: OUT_DIR, name: 'overwrite', force: true }));
+  });
+
+  it('rejects an unknown template', () => {
+    assert.throws(() => generateScenario('meltdown'), /available: slow-bleed/);
+  });
+});
+
+describe('generateScenario — determinism', () => {
+  it('is identical for the same template and seed, different for another seed', () => {
+    assert.deepEqual(generateScenario('slow-bleed', { seed: 7 }), generateScenario('slow-bleed', { seed: 7 }));
+    assert.notDeepEqual(generateScenario('slow-bleed', { seed: 7 }).scenario.time_steps, generateScenario('slow-bleed', { seed: 8 }).scenario.time_steps);
+  });
+});
+
+describe('generateScenario — obscuration', () => {
+  it('applies the numeric factor to money but not to prices', () => {
+    const base = generateScenario('false-alarm', { factor: 1 }).scenario.time_steps[0].market_data;
+    const scaled = generateScenario('false-alarm', { factor: 2 }).scenario.time_steps[0].market_data;
+    assert.equal(scaled.high_yield_treasury_facility.total_deposits, base.high_yield_treasury_facility.total_deposits * 2);
+    assert.equal(scaled.stabilization_consortium.coverage_ratio, base.stabilization_consortium.coverage_ratio);
+  });
+
+  it('quotes the note at the mapped par value', () => {
+    const { scenario } = generateScenario('false-alarm', { par: 1000, codename: 'Tessera' });
+    const note = scenario.time_steps[0].market_data.tessera_fixed_rate_note;
+    assert.equal(note.par_value, 1000);
+    assert.ok(Math.abs(note.current_price - 1000) < 1);
+    assert.equal(scenario.obscuration.par_value_mapping, 'Original peg $1.00 → $1000.00 par value');
+  });
+
+  it('builds a cumulative Day N timeline from the intervals', () => {
+    const { scenario } = generateScenario('slow-bleed');
+    assert.deepEqual(scenario.time_steps.map(s => s.simulated_date), ['Day 0', 'Day 21', 'Day 35', 'Day 49', 'Day 59', 'Day 66', 'Day 73', 'Day 78']);
+    assert.match(scenario.obscuration.timeline_mapping, /21d → 14d → 14d → 10d → 7d → 7d → 5d/);
+  });
+});
+
+describe('generateScenario — ground truth', () => {
+  it('slow-bleed ends FALSIFIED with par, coverage and swap triggered', () => {
+    const { scenario } = generateScenario('slow-bleed');
+    const last = scenario.time_steps.at(-1);
+    assert.equal(last.expected_outcome.thesis_status, 'FALSIFIED');
+    assert.deepEqual(
+      ['par_stability', 'reserve_coverage', 'swap_integrity'].map(k => last.expected_outcome.kill_switches[k]),
+      ['TRIGGERED', 'TRIGGERED', 'TRIGGERED'],
+    );
+  });
+
+  it('requires a signal for every kill switch at WARNING or TRIGGERED', () => {
+    const { scenario } = generateScenario('slow-bleed');
+    assert.equal(scenario.ground_truth.latest_exit_step, 7);
+    for (const step of scenario.time_steps) {
+      const hot = Object.values(step.expected_outcome.kill_switches).filter(s => s === 'WARNING' || s === 'TRIGGERED');
+      assert.equal(step.expected_outcome.required_signals.length, hot.length);
+    }
+  });
+
+  it('false-alarm and whipsaw never trigger a kill switch', () => {
+    for (const id of ['false-alarm', 'whipsaw']) {
+      for (const seed of [1, 2, 3]) {
+        const { scenario } = generateScenario(id, { seed });
+        assert.deepEqual(scenario.time_steps.map(triggered), scenario.time_steps.map(() => 0), `${id} seed ${seed}`);
+      }
+    }
+  });
+
+  it('false-alarm returns to STABLE; regime-change holds WEAKENING with the yield gap in WARNING', () => {
+    assert.equal(statuses(generateScenario('false-alarm').scenario).at(-1), 'STABLE');
+    const { scenario } = generateScenario('regime-change');
+    const last = scenario.time_steps.at(-1);
+    assert.equal(last.expected_outcome.thesis_status, 'WEAKENING');
+    assert.equal(last.expected_outcome.kill_switches.yield_sustainability, 'WARNING');
+  });
+});
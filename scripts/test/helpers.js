@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Test harness — synthetic builders and scratch workspaces
+ *
+ * The detectors under test are pure functions of history, traces and logs.
+ * These builders produce the smallest inputs that reach (or stop just short
+ * of) each threshold, so every test states the boundary it exercises.
+ *
+ * Modules that keep state in data/ (calibration baselines, trace seals) are
+ * pointed at a throwaway tree: call useScratchRoot() BEFORE requiring them —
+ * utils/paths.js reads OVERWATCH_ROOT once, at require time. Each test file
+ * runs in its own process under `node --test`, so the override never leaks.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+
+// ─── Scratch Workspace ──────────────────────────────────────────────────────
+
+/**
+ * Create an empty OVERWATCH_ROOT (data/ and config/) for this process and
+ * remove it on exit.
+ * @returns {{ root: string, dataDir: string, configDir: string }}
+ */
+function useScratchRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'overwatch-test-'));
+  const dataDir = path.join(root, 'data');
+  const configDir = path.join(root, 'config');
+  fs.mkdirSync(dataDir);
+  fs.mkdirSync(configDir);
+
+  process.env.OVERWATCH_ROOT = root;
+  delete process.env.OVERWATCH_DOMAIN;
+  delete process.env.OVERWATCH_LEDGER_KEY;
+  process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+
+  return { root, dataDir, configDir };
+}
+
+/**
+ * Replace the contents of `dir` with a copy of `fixtureDir`.
+ */
+function resetFromFixture(dir, fixtureDir) {
+  for (const entry of fs.readdirSync(dir)) {
+    fs.rmSync(path.join(dir, entry), { recursive: true, force: true });
+  }
+  fs.cpSync(fixtureDir, dir, { recursive: true });
+}
+
+function writeJSON(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Silence console output for the duration of fn (or the promise it returns) —
+ * the modules log every step.
+ */
+function quietly(fn) {
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    Object.assign(console, saved);
+    throw e;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(() => Object.assign(console, saved));
+  }
+  Object.assign(console, saved);
+  return result;
+}
+
+// ─── 360 History ────────────────────────────────────────────────────────────
+
+/**
+ * One unresolved tension as Layer 4 writes it.
+ */
+function tension(id, overrides) {
+  return {
+    tension_id: id,
+    tension: `Synthetic tension ${id}`,
+    impact_score: 3,
+    classification: 'ACTIVE',
+    expected_resolution_window: 'weeks',
+    runs_persisted: 1,
+    ...overrides,
+  };
+}
+
+/**
+ * One 360-history entry. `index` spaces timestamps twelve hours apart.
+ */
+function historyEntry(overrides, index) {
+  const i = index || 0;
+  return {
+    timestamp: new Date(Date.UTC(2026, 2, 1, 12 * i)).toISOString(),
+    thesis_status: 'STABLE',
+    action_recommendation: 'HOLD_POSITION',
+    unresolved_tensions: [],
+    previous_tension_dispositions: [],
+    kill_switches: [],
+    compound_indices: [],
+    ...overrides,
+  };
+}
+
+/**
+ * A history built from a per-run spec: specs[i] overrides entry i.
+ */
+function history(specs) {
+  return specs.map((spec, i) => historyEntry(spec, i));
+}
+
+/**
+ * `n` runs produced by fn(i).
+ */
+function runs(n, fn) {
+  return Array.from({ length: n }, (_, i) => fn(i));
+}
+
+/**
+ * One compound index entry.
+ */
+function compoundIndex(id, overrides) {
+  return {
+    id,
+    name: `Index ${id}`,
+    convergence_status: 'MIXED',
+    convergence_direction: 'UNDETERMINED',
+    inverse: false,
+    assessable: 3,
+    total: 4,
+    ...overrides,
+  };
+}
+
+// ─── x402 Paper Trades and Outcomes ─────────────────────────────────────────
+
+/**
+ * One paper-trade request. `run` selects the run timestamp embedded in the
+ * request_id (ACQ-L2-<timestamp>-<seq>), which the dormancy detector groups on.
+ */
+function acquisitionRequest(overrides, run, seq) {
+  const ts = new Date(Date.UTC(2026, 2, 1, 12 * (run || 0))).toISOString().replace(/[:.]/g, '-');
+  return {
+    request_id: `ACQ-L2-${ts}-${String(seq || 1).padStart(3, '0')}`,
+    disposition: 'APPROVED',
+    expected_impact_score: 3,
+    intended_epistemic_vector: 'STRENGTHEN',
+    source_category: 'onchain',
+    signal_ids: [],
+    ...overrides,
+  };
+}
+
+function paperTradeLog(requests, budget) {
+  return {
+    budget: { cycle_limit_drops: 5000, cycle_spent_drops: 0, ...budget },
+    requests,
+  };
+}
+
+function acquisitionOutcome(overrides) {
+  return {
+    outcome: 'NO_CHANGE',
+    token_budget_allocated: 1000,
+    source_channel: 'X402',
+    ...overrides,
+  };
+}
+
+// ─── Cognitive Traces ───────────────────────────────────────────────────────
+
+/**
+ * One traced signal. `confidence` lands in the Layer 2 scored block the
+ * interrogator reads; other fields pass through.
+ */
+function traceSignal(title, overrides) {
+  const { confidence, ...rest } = overrides || {};
+  return {
+    signal_ids: [`SIG-${title.replace(/\W+/g, '-').toUpperCase()}`],
+    perception: { signal: title },
+    contextualization: { scored: confidence ? { confidence } : null },
+    outcome: 'SURVIVED',
+    ...rest,
+  };
+}
+
+/**
+ * A cognitive trace; `_outcomes` is tallied from the signals.
+ */
+function trace(signals, overrides) {
+  const outcomes = { SURVIVED: 0, REJECTED: 0, STRIPPED: 0, FLAGGED: 0, PRUNED: 0 };
+  for (const s of signals) outcomes[s.outcome] = (outcomes[s.outcome] || 0) + 1;
+  return {
+    _trace_version: '1.0',
+    _run_timestamp: '2026-03-01T00:00:00.000Z',
+    _signal_count: signals.length,
+    _outcomes: outcomes,
+    signals,
+    ...overrides,
+  };
+}
+
+// ─── Signal Dossiers ────────────────────────────────────────────────────────
+
+/**
+ * One lineage appearance as assemble-signal-dossiers.js records it.
+ */
+function appearance(index, overrides) {
+  return {
+    run_timestamp: new Date(Date.UTC(2026, 2, 1, 12 * index)).toISOString(),
+    weighted_severity: 3,
+    confidence: 'MEDIUM',
+    evidence_changed: false,
+    corrections_applied: [],
+    gate_violations_by_layer: {},
+    reasoning_diff: null,
+    l2_reasoning: '',
+    ...overrides,
+  };
+}
+
+function lineage(id, appearances, overrides) {
+  return {
+    lineage_id: id,
+    canonical_name: `Lineage ${id}`,
+    category: 'synthetic',
+    appearances,
+    ...overrides,
+  };
+}
+
+/**
+ * A reasoning_diff (diffWords output) in which `changed` of `total` words
+ * were added.
+ */
+function reasoningDiff(changed, total) {
+  const words = n => Array.from({ length: n }, (_, i) => `w${i}`).join(' ');
+  const parts = [];
+  if (total - changed > 0) parts.push({ value: words(total - changed) });
+  if (changed > 0) parts.push({ value: words(changed), added: true });
+  return parts;
+}
+
+module.exports = {
+  useScratchRoot,
+  resetFromFixture,
+  writeJSON,
+  quietly,
+  tension,
+  historyEntry,
+  history,
+  runs,
+  compoundIndex,
+  acquisitionRequest,
+  paperTradeLog,
+  acquisitionOutcome,
+  traceSignal,
+  trace,
+  appearance,
+  lineage,
+  reasoningDiff,
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Metric History — observation recording and the series queries
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir } = h.useScratchRoot();
+
+const history = require('../metric-history');
+
+const HISTORY = path.join(dataDir, 'metric-history.jsonl');
+const SERIES = ['macro.usd_jpy.value', 'macro.jpn_10y.value', 'xrpl_metrics.ledger_index', 'macro.brent_crude.value'];
+
+const points = (...values) => values.map((value, i) => ({ value, as_of: `2026-03-${String(i + 1).padStart(2, '0')}` }));
+const dashboard = (usdJpy, asOf) => ({
+  updated: '2026-03-02T06:00:00.000Z',
+  macro: {
+    usd_jpy: { value: usdJpy, provenance: { source: 'frankfurter', as_of: asOf, fetched_at: `${asOf}T05:59:00.000Z`, carried_over: false } },
+    jpn_10y: { value: 1.52, provenance: { source: 'fred', as_of: '2026-02-27', fetched_at: '2026-02-27T06:00:00.000Z', carried_over: true } },
+  },
+  xrpl_metrics: { ledger_index: 93000000, data_date: '2026-03-02', source: 'xrpl' },
+});
+const record = data => h.quietly(() => history.recordObservations(data, SERIES, { historyPath: HISTORY }));
+
+describe('recordObservations', () => {
+  it('appends fresh values and skips carried-over and missing series', () => {
+    assert.equal(record(dashboard(159.6, '2026-03-02')), 2);
+    const lines = fs.readFileSync(HISTORY, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines, [
+      { series: 'macro.usd_jpy.value', value: 159.6, as_of: '2026-03-02', fetched_at: '2026-03-02T05:59:00.000Z', source: 'frankfurter' },
+      { series: 'xrpl_metrics.ledger_index', value: 93000000, as_of: '2026-03-02', fetched_at: '2026-03-02T06:00:00.000Z', source: 'xrpl' },
+    ]);
+  });
+
+  it('does not repeat a value already recorded for the same as_of', () => {
+    assert.equal(record(dashboard(159.6, '2026-03-02')), 0);
+    assert.equal(record(dashboard(159.9, '2026-03-02')), 1);
+    assert.equal(record(dashboard(159.9, '2026-03-03')), 1);
+    assert.deepEqual(h.quietly(() => history.loadHistory(HISTORY))['macro.usd_jpy.value'].map(p => [p.value, p.as_of]),
+      [[159.6, '2026-03-02'], [159.9, '2026-03-02'], [159.9, '2026-03-03']]);
+  });
+
+  it('skips malformed lines when loading', () => {
+    fs.appendFileSync(HISTORY, '{"series": "macro.usd_jpy.value", "value": \n{"series": "macro.dxy.value", "value": "n/a"}\n');
+    const loaded = h.quietly(() => history.loadHistory(HISTORY));
+    assert.deepEqual(Object.keys(loaded), ['macro.usd_jpy.value', 'xrpl_metrics.ledger_index']);
+    assert.equal(loaded['macro.usd_jpy.value'].length, 3);
+  });
+});
+
+describe('delta', () => {
+  it('compares the latest point with the one `periods` back', () => {
+    assert.deepEqual(history.delta(points(100, 110, 88)), { abs: -22, pct: -20, from: '2026-03-02', to: '2026-03-03' });
+    assert.deepEqual(history.delta(points(100, 110, 88), 2), { abs: -12, pct: -12, from: '2026-03-01', to: '2026-03-03' });
+    assert.equal(history.delta(points(0, 5)).pct, null);
+    assert.equal(history.delta(points(100, 110), 2), null);
+  });
+});
+
+describe('zScore', () => {
+  it(`needs ${history.MIN_POINTS_FOR_Z} prior points`, () => {
+    assert.equal(history.zScore(points(10, 12, 10, 12, 14)), null);
+    const z = history.zScore(points(10, 12, 10, 12, 10, 14));
+    assert.deepEqual([z.n, z.mean, Number(z.std.toFixed(4)), Number(z.z.toFixed(2))], [5, 10.8, 1.0954, 2.92]);
+  });
+
+  it('returns null when the prior window is flat', () => {
+    assert.equal(history.zScore(points(7, 7, 7, 7, 7, 9)), null);
+  });
+
+  it('measures against the window before the latest point only', () => {
+    assert.equal(history.zScore(points(50, 10, 12, 10, 12, 10, 14), 5).mean, 10.8);
+  });
+});
+
+describe('summarizeSeries', () => {
+  it('reports the latest value, change, rolling average and z against its baseline', () => {
+    assert.deepEqual(history.summarizeSeries(points(10, 12, 10, 12, 10, 14), 30), {
+      latest: 14, as_of: '2026-03-06', points: 6, delta: 4, delta_pct: 40, rolling_avg: 11.333333, window: 6,
+      z: 2.92, baseline_mean: 10.8, baseline_std: 1.095445,
+    });
+  });
+
+  it('leaves z and the baseline null for a short series', () => {
+    const s = history.summarizeSeries(points(159.6), 30);
+    assert.deepEqual([s.latest, s.delta, s.delta_pct, s.z, s.baseline_mean, s.window], [159.6, null, null, null, null, 1]);
+    assert.equal(history.summarizeSeries([], 30), null);
+  });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Notifier — severity routing, per-sink rendering and delivery
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const http = require('http');
+const net  = require('net');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, configDir } = h.useScratchRoot();
+
+const { notify, routeMessage, renderMessage, resolveNotificationConfig } = require('../notifier');
+
+const OUTBOX = path.join(root, 'outbox.jsonl');
+const readOutbox = () => fs.readFileSync(OUTBOX, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+h.writeJSON(path.join(configDir, 'domain.json'), {
+  notification_sinks: {
+    telegram: { type: 'telegram', bot_token_env: 'NOTIFIER_TEST_UNSET', chat_id: '1' },
+    ops:      { type: 'file', path: 'outbox.jsonl' },
+  },
+  notification_routing: [
+    { match: { tags: ['STATE_LOCK', 'FALSIFIED'] }, sinks: '*' },
+    { match: { severity: 'CRITICAL' }, sinks: ['ops'] },
+    { match: { kind: 'briefing' }, sinks: ['telegram'] },
+  ],
+});
+
+const OVERRIDE = {
+  kind: 'auditor_override',
+  severity: 'CRITICAL',
+  tags: ['STATE_LOCK'],
+  title: 'Override <EXIT_SIGNAL>',
+  summary: 'Action changed & locked.',
+  sections: [
+    { icon: '🎯', heading: 'Reason', text: 'Trajectory mismatch' },
+    { heading: 'Release', code: 'overwatch-operator.js lock release' },
+    { heading: 'Changes', text: '2', items: ['A → B'] },
+  ],
+};
+
+describe('routeMessage', () => {
+  const config = resolveNotificationConfig();
+
+  it('applies the first matching rule', () => {
+    assert.deepEqual(routeMessage({ ...OVERRIDE }, config), ['telegram', 'ops']);
+    assert.deepEqual(routeMessage({ kind: 'briefing', severity: 'CRITICAL', tags: ['FALSIFIED'] }, config), ['telegram', 'ops']);
+    assert.deepEqual(routeMessage({ kind: 'briefing', severity: 'CRITICAL', tags: [] }, config), ['ops']);
+    assert.deepEqual(routeMessage({ kind: 'briefing', severity: 'INFO', tags: [] }, config), ['telegram']);
+    assert.deepEqual(routeMessage({ kind: 'budget_halt', severity: 'WARNING', tags: [] }, config), []);
+  });
+
+  it('lets the caller domainConfig replace the routing', () => {
+    const scoped = resolveNotificationConfig({ notification_routing: [{ sinks: ['ops'] }] });
+    assert.deepEqual(routeMessage({ kind: 'briefing', severity: 'INFO' }, scoped), ['ops']);
+  });
+});
+
+describe('renderMessage', () => {
+  it('renders each markup dialect from the same message', () => {
+    const html = renderMessage(OVERRIDE, 'html');
+    assert.ok(html.startsWith('🚨 <b>Override &lt;EXIT_SIGNAL&gt;</b>\n\nAction changed &amp; locked.'));
+    assert.ok(html.includes('🎯 <b>Reason:</b> Trajectory mismatch'));
+    assert.ok(html.includes('<b>Release:</b>\n<pre>overwatch-operator.js lock release</pre>'));
+    assert.ok(html.includes('<b>Changes:</b> 2\n• A → B'));
+
+    assert.ok(renderMessage(OVERRIDE, 'mrkdwn').includes('*Reason:* Trajectory mismatch'));
+    const plain = renderMessage(OVERRIDE, 'plain');
+    assert.ok(plain.startsWith('🚨 Override <EXIT_SIGNAL>'));
+    assert.ok(!/<b>|\*Reason/.test(plain));
+  });
+});
+
+describe('notify', () => {
+  it('delivers to configured sinks and skips sinks missing a setting', async () => {
+    const outcome = await h.quietly(() => notify(OVERRIDE));
+    assert.deepEqual(outcome, { delivered: ['ops'], skipped: ['telegram'], failed: [] });
+    const [line] = readOutbox();
+    assert.equal(line.sink, 'ops');
+    assert.equal(line.message.kind, 'auditor_override');
+    assert.ok(line.text.includes('Reason: Trajectory mismatch'));
+    await assert.rejects(() => notify({ title: 't', severity: 'LOUD' }), /Unknown severity/);
+  });
+
+  it('posts to webhook and Slack-compatible sinks', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => { received.push([req.url, JSON.parse(body)]); res.end('ok'); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const outcome = await h.quietly(() => notify(OVERRIDE, {
+        sinks: ['hook', 'slack'],
+        domainConfig: { notification_sinks: { hook: { type: 'webhook', url: `${base}/hook` }, slack: { type: 'slack', url: `${base}/slack` } } },
+      }));
+      assert.deepEqual(outcome.delivered, ['hook', 'slack']);
+    } finally {
+      server.close();
+    }
+    assert.deepEqual(received[0][1].tags, ['STATE_LOCK']);
+    assert.ok(received[1][1].text.startsWith('🚨 *Override &lt;EXIT_SIGNAL&gt;*'));
+  });
+
+  it('speaks SMTP with AUTH LOGIN and a base64 body', async () => {
+    const transcript = [];
+    const server = net.createServer(socket => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk.toString();
+        let i;
+        while ((i = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+          transcript.push(line);
+          if (inData) {
+            if (line === '.') { inData = false; socket.write('250 queued\r\n'); }
+            continue;
+          }
+          const reply = line.startsWith('EHLO') ? '250-test\r\n250 AUTH LOGIN'
+            : line === 'AUTH LOGIN' || transcript.at(-2) === 'AUTH LOGIN' ? '334 ok'
+            : transcript.at(-3) === 'AUTH LOGIN' ? '235 authenticated'
+            : line === 'DATA' ? '354 go'
+            : line === 'QUIT' ? '221 bye'
+            : '250 ok';
+          if (line === 'DATA') inData = true;
+          socket.write(`${reply}\r\n`);
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const outcome = await h.quietly(() => notify(OVERRIDE, {
+        sinks: ['email'],
+        domainConfig: { notification_sinks: { email: {
+          type: 'smtp', host: '127.0.0.1', port: server.address().port, user: 'ops', pass: 'secret', from: 'ow@example.test', to: 'a@example.test, b@example.test',
+        } } },
+      }));
+      assert.deepEqual(outcome.delivered, ['email']);
+    } finally {
+      server.close();
+    }
+    assert.ok(transcript.includes('RCPT TO:<b@example.test>'));
+    assert.ok(transcript.includes(Buffer.from('secret').toString('base64')));
+    assert.ok(transcript.includes('Subject: [CRITICAL] Override <EXIT_SIGNAL>'));
+    const body = transcript.slice(transcript.indexOf('') + 1, transcript.indexOf('.')).join('');
+    assert.ok(Buffer.from(body, 'base64').toString('utf8').includes('Release:\noverwatch-operator.js lock release'));
+  });
+});
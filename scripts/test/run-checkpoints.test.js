@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Pipeline Run Checkpoints — checkpoint, resume, stage ranges and pruning
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir } = h.useScratchRoot();
+
+const checkpoints = require('../run-checkpoints');
+const { PIPELINE_STAGES } = require('../analyze-thesis');
+
+const STAGES = ['fetch', 'sweep', 'contextualize', 'infer', 'reconcile'];
+const RUNS_DIR = path.join(dataDir, 'runs');
+
+/** Run `stages` the way analyze-thesis.js does; each records how many state keys it was handed. */
+function invoke(run, stages) {
+  checkpoints.beginInvocation(run, stages, { argv: ['--resume'] });
+  for (const stage of stages) {
+    const state = checkpoints.loadState(run, stage);
+    checkpoints.saveCheckpoint(run, stage, 'complete', { [stage]: Object.keys(state).length }, new Date().toISOString());
+  }
+  checkpoints.finishInvocation(run);
+}
+
+describe('checkpoint and resume', () => {
+  it('resumes after the last finished stage with the state the earlier stages saved', () => {
+    const run = h.quietly(() => checkpoints.createRun(STAGES));
+    assert.equal(path.dirname(run.dir), RUNS_DIR);
+    assert.deepEqual(checkpoints.planStages(run), STAGES);
+
+    h.quietly(() => invoke(run, ['fetch', 'sweep']));
+    assert.equal(run.manifest.status, 'partial');
+    assert.deepEqual(fs.readdirSync(run.dir).sort(), ['01-fetch.json', '02-sweep.json', 'run.json']);
+
+    const reopened = h.quietly(() => checkpoints.openRun('latest', STAGES, {}));
+    assert.equal(reopened.run_id, run.run_id);
+    assert.deepEqual(checkpoints.planStages(reopened), ['contextualize', 'infer', 'reconcile']);
+    assert.deepEqual(checkpoints.loadState(reopened, 'contextualize'), { fetch: 0, sweep: 1 });
+
+    h.quietly(() => invoke(reopened, checkpoints.planStages(reopened)));
+    assert.equal(reopened.manifest.status, 'complete');
+    assert.deepEqual(Object.values(reopened.manifest.stages).map(s => s.attempts), [1, 1, 1, 1, 1]);
+    assert.equal(reopened.manifest.invocations.length, 2);
+    assert.deepEqual(checkpoints.planStages(reopened), []);
+  });
+
+  it('treats skipped stages as finished and degraded ones as the place to resume', () => {
+    const run = h.quietly(() => checkpoints.createRun(STAGES, { runsDir: path.join(dataDir, 'degraded') }));
+    h.quietly(() => {
+      checkpoints.saveCheckpoint(run, 'fetch', 'complete', {}, null);
+      checkpoints.saveCheckpoint(run, 'sweep', 'skipped', {}, null);
+      checkpoints.saveCheckpoint(run, 'contextualize', 'degraded', {}, null);
+    });
+    assert.deepEqual(checkpoints.planStages(run), ['contextualize', 'infer', 'reconcile']);
+  });
+});
+
+describe('--from-stage / --to-stage', () => {
+  const latest = () => h.quietly(() => checkpoints.openRun('latest', STAGES, {}));
+
+  it('re-runs a range and marks the checkpoints after it stale', () => {
+    const run = latest();
+    assert.deepEqual(checkpoints.planStages(run, { fromStage: 'sweep', toStage: 'contextualize' }), ['sweep', 'contextualize']);
+    h.quietly(() => invoke(run, ['sweep', 'contextualize']));
+    assert.deepEqual(STAGES.map(id => run.manifest.stages[id].status), ['complete', 'complete', 'complete', 'stale', 'stale']);
+    assert.equal(run.manifest.status, 'partial');
+    assert.deepEqual(checkpoints.planStages(run), ['infer', 'reconcile']);
+    assert.deepEqual(checkpoints.planStages(run, { toStage: 'infer' }), ['infer']);
+  });
+
+  it('still reports stale stages as completed once, for stages with outside effects', () => {
+    const run = latest();
+    assert.equal(run.manifest.stages.reconcile.status, 'stale');
+    assert.deepEqual(checkpoints.completedCheckpoint(run, 'reconcile').state, { reconcile: 4 });
+    h.quietly(() => checkpoints.saveCheckpoint(run, 'infer', 'degraded', {}, null));
+    assert.equal(checkpoints.completedCheckpoint(run, 'infer'), null);
+  });
+
+  it('refuses unknown stages, inverted ranges and starts without upstream checkpoints', () => {
+    const run = latest();
+    assert.throws(() => checkpoints.planStages(run, { fromStage: 'publish' }), /Unknown stage "publish"/);
+    assert.throws(() => checkpoints.planStages(run, { fromStage: 'infer', toStage: 'sweep' }), /--to-stage sweep comes before the start stage infer/);
+
+    const fresh = h.quietly(() => checkpoints.createRun(STAGES, { runsDir: path.join(dataDir, 'fresh') }));
+    assert.throws(() => checkpoints.planStages(fresh, { fromStage: 'infer' }), /no checkpoint for fetch, sweep, contextualize/);
+    assert.throws(() => h.quietly(() => checkpoints.openRun('2026-01-01T00-00-00-000Z', STAGES, {})), /not found/);
+  });
+});
+
+describe('history stage', () => {
+  const HISTORY = path.join(dataDir, '360-history.json');
+  const history = PIPELINE_STAGES.find(s => s.id === 'history');
+  const stageIds = PIPELINE_STAGES.map(s => s.id);
+  const runsDir = path.join(dataDir, 'history');
+  const runHistory = (runId, status) => h.quietly(() => history.run({ runId, assessment360: { thesis_status: status, _layer2_raw: {} } }));
+
+  it('replaces its own 360-history entry when a resumed run re-runs it', async () => {
+    h.writeJSON(HISTORY, [{ timestamp: '2026-04-01T02:00:00.000Z', _run_id: 'earlier-run', thesis_status: 'INTACT' }]);
+    const run = h.quietly(() => checkpoints.createRun(stageIds, { runsDir }));
+    assert.equal(await runHistory(run.run_id, 'UNDER_PRESSURE'), 'complete');
+
+    const resumed = h.quietly(() => checkpoints.openRun(run.run_id, stageIds, { runsDir }));
+    await runHistory(resumed.run_id, 'INTACT');
+    const entries = JSON.parse(fs.readFileSync(HISTORY, 'utf8'));
+    assert.deepEqual(entries.map(e => [e._run_id, e.thesis_status]), [['earlier-run', 'INTACT'], [run.run_id, 'INTACT']]);
+    assert.equal(entries[1]._layer2_raw, undefined);
+  });
+});
+
+describe('pruneRuns', () => {
+  it('keeps the newest runs and ignores directories without a manifest', () => {
+    const runsDir = path.join(dataDir, 'prune');
+    const ids = ['2026-04-01T02-00-00-000Z', '2026-04-02T02-00-00-000Z', '2026-04-03T02-00-00-000Z'];
+    for (const id of ids) h.writeJSON(path.join(runsDir, id, 'run.json'), { run_id: id });
+    fs.mkdirSync(path.join(runsDir, 'scratch'));
+
+    assert.equal(h.quietly(() => checkpoints.pruneRuns({ runsDir, retain: 2 })), 1);
+    assert.deepEqual(checkpoints.listRuns({ runsDir }), ids.slice(1));
+    assert.ok(fs.existsSync(path.join(runsDir, 'scratch')));
+    assert.equal(checkpoints.pruneRuns({ runsDir, retain: 2 }), 0);
+    assert.equal(h.quietly(() => checkpoints.pruneRuns({ runsDir, retain: 0 })), 2);
+    assert.deepEqual(checkpoints.listRuns({ runsDir }), []);
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Run Scheduler — DST-correct classification, missed-run catch-up and the pipeline lock
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+const { spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root, dataDir, configDir } = h.useScratchRoot();
+
+const scheduler = require('../run-scheduler');
+
+const RUN_SCHEDULE = {
+  timezone: 'America/Chicago',
+  grace_minutes: 90,
+  catch_up: 'latest',
+  catch_up_window_hours: 48,
+  max_catch_up_runs: 2,
+  lock_stale_minutes: 120,
+  run_types: [
+    { id: 'sunday_audit', label: 'Sunday Audit', at: '18:00', days: ['sun'], behaviors: { blind_spot_audit: true } },
+    { id: 'morning', label: 'Morning', at: '06:00', behaviors: { acquisition: false } },
+    { id: 'evening', label: 'Evening', at: '18:00' },
+  ],
+};
+const CONFIG = {
+  run_schedule: RUN_SCHEDULE,
+  notification_sinks: { outbox: { type: 'file', path: 'outbox.jsonl' } },
+  notification_routing: [{ sinks: ['outbox'] }],
+};
+h.writeJSON(path.join(configDir, 'domain.json'), CONFIG);
+
+const schedule = scheduler.resolveSchedule(CONFIG);
+const classify = iso => scheduler.classifyRun(new Date(iso), schedule);
+
+describe('classifyRun', () => {
+  it('follows Chicago daylight saving', () => {
+    // 11:30 UTC is 06:30 CDT in July but 05:30 CST in January
+    assert.deepEqual([classify('2026-07-01T11:30:00Z').run_type, classify('2026-07-01T11:30:00Z').slot_id], ['morning', '2026-07-01T06:00']);
+    assert.deepEqual([classify('2026-01-15T11:30:00Z').run_type, classify('2026-01-15T11:30:00Z').slot_id], ['evening', '2026-01-14T18:00']);
+    assert.equal(classify('2026-01-15T12:05:00Z').run_type, 'morning');
+    // Shift days: 06:00 is 11:00 UTC on 8 March, 12:00 UTC on 1 November
+    assert.equal(classify('2026-03-08T11:00:00Z').scheduled_for.toISOString(), '2026-03-08T11:00:00.000Z');
+    assert.equal(classify('2026-11-01T12:00:00Z').scheduled_for.toISOString(), '2026-11-01T12:00:00.000Z');
+  });
+
+  it('gives a shared slot to the first run type listed and counts slightly early runs as on time', () => {
+    assert.equal(classify('2026-10-18T23:10:00Z').run_type, 'sunday_audit');
+    assert.equal(classify('2026-10-19T23:10:00Z').run_type, 'evening');
+    assert.equal(classify('2026-10-19T22:50:00Z').slot_id, '2026-10-19T18:00');
+    assert.equal(classify('2026-10-19T22:40:00Z').slot_id, '2026-10-19T06:00');
+  });
+
+  it('resolves behaviors and labels per run type', () => {
+    assert.deepEqual(scheduler.runBehaviors('morning', CONFIG), { acquisition: false, blind_spot_audit: false });
+    assert.deepEqual(scheduler.runBehaviors('sunday_audit', CONFIG), { acquisition: true, blind_spot_audit: true });
+    assert.equal(scheduler.runTypeLabel('weekly_rebalance', CONFIG), 'Weekly Rebalance');
+    assert.throws(() => scheduler.resolveSchedule({ run_schedule: { timezone: 'America/Chicgo' } }), /not an IANA timezone/);
+  });
+
+  it('takes the run type the scheduler passed down', () => {
+    const env = { OVERWATCH_RUN_TYPE: 'evening', OVERWATCH_RUN_SLOT: '2026-10-17T18:00', OVERWATCH_CATCH_UP: '1' };
+    assert.deepEqual(scheduler.currentRun({ env, domainConfig: CONFIG }), { run_type: 'evening', slot_id: '2026-10-17T18:00', catch_up: true });
+    assert.equal(scheduler.currentRun({ env: { OVERWATCH_RUN_TYPE: 'evening' }, domainConfig: CONFIG }).slot_id, null);
+  });
+});
+
+describe('planTick', () => {
+  const state = { tracking_since: '2026-10-16T00:00:00Z', runs: { '2026-10-16T06:00': { status: 'COMPLETE' } } };
+  const ids = slots => slots.map(s => s.slot_id);
+
+  it('runs the current slot within grace and catches up the latest overdue slot of each other run type', () => {
+    // Mon 19 Oct 06:20 CDT; nothing run since Fri morning
+    const plan = scheduler.planTick(state, schedule, new Date('2026-10-19T11:20:00Z'));
+    assert.equal(plan.due.slot_id, '2026-10-19T06:00');
+    assert.deepEqual(ids(plan.catchUp), ['2026-10-17T18:00', '2026-10-18T18:00']);
+    assert.deepEqual(plan.catchUp.map(s => s.run_type), ['evening', 'sunday_audit']);
+    // Sunday morning is covered by the due morning run; Friday 06:00 is outside the 48-hour window
+    assert.deepEqual(ids(plan.missed), ['2026-10-18T06:00']);
+  });
+
+  it('treats a slot past grace as overdue and ignores slots before tracking began', () => {
+    const plan = scheduler.planTick({ tracking_since: '2026-10-19T00:00:00Z', runs: {} }, schedule, new Date('2026-10-19T14:00:00Z'));
+    assert.equal(plan.due, null);
+    assert.deepEqual(ids(plan.catchUp), ['2026-10-19T06:00']);
+    assert.deepEqual(plan.missed, []);
+
+    const fresh = scheduler.planTick({ tracking_since: null, runs: {} }, schedule, new Date('2026-10-19T11:20:00Z'));
+    assert.deepEqual([fresh.due.slot_id, fresh.catchUp, fresh.missed], ['2026-10-19T06:00', [], []]);
+
+    const none = scheduler.planTick(state, { ...schedule, catch_up: 'none' }, new Date('2026-10-19T11:20:00Z'));
+    assert.deepEqual([ids(none.catchUp), none.missed.length], [[], 3]);
+  });
+});
+
+describe('tick', () => {
+  it('records misses, alerts once per run type and runs catch-ups before the due slot', async () => {
+    const statePath = path.join(dataDir, 'run-schedule.json');
+    h.writeJSON(statePath, { tracking_since: '2026-10-16T00:00:00Z', runs: { '2026-10-16T06:00': { slot_id: '2026-10-16T06:00', status: 'COMPLETE', recorded_at: '2026-10-16T11:30:00Z' } } });
+    const started = [];
+    const runPipeline = (slot, { catchUp }) => {
+      started.push([slot.slot_id, catchUp]);
+      if (catchUp) scheduler.recordRun({ slot_id: slot.slot_id, run_type: slot.run_type, status: 'COMPLETE', catch_up: true });
+      return catchUp ? 0 : 1;
+    };
+    const result = await h.quietly(() => scheduler.tick({ now: new Date('2026-10-19T11:20:00Z'), domainConfig: CONFIG, runPipeline }));
+
+    assert.deepEqual(started, [['2026-10-17T18:00', true], ['2026-10-18T18:00', true], ['2026-10-19T06:00', false]]);
+    assert.deepEqual(result.missed, ['2026-10-18T06:00']);
+    const runs = scheduler.loadScheduleState().runs;
+    assert.deepEqual(['2026-10-18T06:00', '2026-10-18T18:00', '2026-10-19T06:00'].map(id => runs[id].status), ['MISSED', 'COMPLETE', 'FAILED']);
+
+    const alerts = fs.readFileSync(path.join(root, 'outbox.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l).message);
+    assert.deepEqual(alerts.map(a => a.title).sort(), ['OVERWATCH: Missed Evening run', 'OVERWATCH: Missed Morning run', 'OVERWATCH: Missed Sunday Audit run']);
+  });
+
+  it('leaves a slot pending when the run was refused by the lock', async () => {
+    const now = new Date('2026-10-19T23:30:00Z');
+    const result = await h.quietly(() => scheduler.tick({ now, domainConfig: CONFIG, runPipeline: () => scheduler.LOCK_HELD_EXIT }));
+    assert.deepEqual(result.ran, []);
+    assert.equal(scheduler.loadScheduleState().runs['2026-10-19T18:00'], undefined);
+  });
+});
+
+describe('acquireLock', () => {
+  const lockPath = path.join(dataDir, 'pipeline.lock');
+
+  it('refuses a second holder and frees the lock on release', () => {
+    const release = scheduler.acquireLock({ run_type: 'evening' }, { domainConfig: CONFIG });
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+    assert.throws(() => scheduler.acquireLock({}, { domainConfig: CONFIG }), e => e instanceof scheduler.LockHeldError && e.holder.run_type === 'evening');
+    release();
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+
+  it('reclaims a lock whose process is gone or that outlived lock_stale_minutes', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    h.writeJSON(lockPath, { pid: deadPid, host: os.hostname(), started_at: new Date().toISOString() });
+    h.quietly(() => scheduler.acquireLock({}, { domainConfig: CONFIG }))();
+
+    h.writeJSON(lockPath, { pid: process.ppid, host: 'other-runner', started_at: '2026-10-19T08:00:00Z' });
+    assert.throws(() => scheduler.acquireLock({}, { domainConfig: CONFIG, now: new Date('2026-10-19T09:00:00Z') }), scheduler.LockHeldError);
+    const release = h.quietly(() => scheduler.acquireLock({}, { domainConfig: CONFIG, now: new Date('2026-10-19T10:30:00Z') }));
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+    release();
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Evolution Scorecard — ground-truth grading per mode
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const { loadGroundTruth, scoreProgression, scoreEvolutions } = require('../score-evolutions');
+
+// Four-step collapse: EXIT_SIGNAL acceptable from step 3, due by step 4
+const scenario = (overrides = {}) => ({
+  name: 'collapse',
+  ground_truth: { latest_exit_step: 4 },
+  time_steps: [
+    { step: 1, label: 'Calm', simulated_date: 'Day 0', market_data: {}, expected_outcome: { thesis_status: 'STABLE', thesis_status_band: ['STABLE'] } },
+    { step: 2, label: 'Drift', simulated_date: 'Day 7', market_data: {}, expected_outcome: { thesis_status: 'CONTESTED', thesis_status_band: ['STABLE', 'CONTESTED'], required_signals: [{ signal: 'Yield gap', pattern: 'yield gap' }] } },
+    { step: 3, label: 'Stress', simulated_date: 'Day 10', market_data: {}, expected_outcome: { thesis_status: 'WEAKENING', thesis_status_band: ['CONTESTED', 'WEAKENING'] } },
+    { step: 4, label: 'Failure', simulated_date: 'Day 12', market_data: {}, expected_outcome: { thesis_status: 'FALSIFIED', thesis_status_band: ['WEAKENING', 'FALSIFIED'] } },
+  ],
+  ...overrides,
+});
+
+const progression = rows => rows.map(([thesis_status, action, confidence], i) => ({ step: i + 1, thesis_status, action, confidence: confidence || 'medium' }));
+const score = (rows, options = {}, s = scenario()) => scoreProgression(loadGroundTruth(s), progression(rows), { actionSevere: 'EXIT_SIGNAL', ...options });
+
+describe('scoreProgression — lead time', () => {
+  it('counts steps and days from the first acceptable exit to the deadline', () => {
+    const result = score([['STABLE', 'HOLD'], ['CONTESTED', 'MONITOR'], ['WEAKENING', 'EXIT_SIGNAL'], ['FALSIFIED', 'EXIT_SIGNAL']]);
+    assert.deepEqual(result.lead_time, { latest_exit_step: 4, first_exit_step: 3, lead_steps: 1, lead_days: 2, outcome: 'EARLY' });
+  });
+
+  it('is ON_TIME at the deadline and MISSED without an exit', () => {
+    assert.equal(score([['STABLE'], ['STABLE'], ['WEAKENING'], ['FALSIFIED', 'EXIT_SIGNAL']]).lead_time.outcome, 'ON_TIME');
+    assert.equal(score([['STABLE'], ['STABLE'], ['WEAKENING'], ['WEAKENING', 'REDUCE']]).lead_time.outcome, 'MISSED');
+  });
+
+  it('is N/A when the scenario never warrants an exit', () => {
+    const s = scenario({ ground_truth: { latest_exit_step: null } });
+    assert.equal(score([['STABLE'], ['STABLE'], ['CONTESTED'], ['CONTESTED']], {}, s).lead_time.outcome, 'N/A');
+  });
+});
+
+describe('scoreProgression — false alarms', () => {
+  it('flags an exit where the band holds no deterioration, and does not count it as lead time', () => {
+    const result = score([['STABLE'], ['CONTESTED', 'EXIT_SIGNAL'], ['WEAKENING'], ['FALSIFIED', 'EXIT_SIGNAL']]);
+    assert.deepEqual(result.false_alarms.severe_actions, [2]);
+    assert.equal(result.lead_time.first_exit_step, 4);
+  });
+
+  it('flags every exit when the scenario never warrants one', () => {
+    const s = scenario({ ground_truth: { latest_exit_step: null } });
+    assert.deepEqual(score([['STABLE'], ['STABLE'], ['WEAKENING', 'EXIT_SIGNAL'], ['WEAKENING']], {}, s).false_alarms.severe_actions, [3]);
+  });
+
+  it('separates over- from under-escalation', () => {
+    const result = score([['CONTESTED'], ['STABLE'], ['STABLE'], ['WEAKENING']]);
+    assert.deepEqual(result.status.over_escalations, [1]);
+    assert.deepEqual(result.status.under_escalations, [3]);
+    assert.equal(result.false_alarms.count, 1);
+    assert.equal(result.status.accuracy, 0.5);
+  });
+});
+
+describe('scoreProgression — calibration and signals', () => {
+  it('scores confidence against being in band', () => {
+    const result = score([['STABLE', null, 'high'], ['WEAKENING', null, 'high'], ['WEAKENING', null, 'low'], ['FALSIFIED', null, 'medium']]);
+    // (0.15² + 0.85² + 0.65² + 0.4²) / 4
+    assert.equal(result.calibration.brier, 0.332);
+    assert.equal(result.calibration.overconfident, 1);
+    assert.equal(result.calibration.underconfident, 1);
+  });
+
+  it('matches required signal patterns case-insensitively in the step output', () => {
+    const hit = score([['STABLE'], ['STABLE'], ['WEAKENING'], ['FALSIFIED']], { stepText: () => 'The YIELD GAP widened' });
+    assert.deepEqual([hit.signals.detected, hit.signals.required], [1, 1]);
+    const miss = score([['STABLE'], ['STABLE'], ['WEAKENING'], ['FALSIFIED']], { stepText: () => 'yield fell' });
+    assert.deepEqual(miss.signals.missed, [{ step: 2, signal: 'Yield gap' }]);
+  });
+});
+
+describe('loadGroundTruth', () => {
+  it('falls back to a pipeline thesis_status and leaves other vocabularies ungraded', () => {
+    const truth = loadGroundTruth({ time_steps: [
+      { expected_outcome: { thesis_status: 'STABLE' } },
+      { expected_outcome: { thesis_status: 'Strained' } },
+    ] });
+    assert.deepEqual(truth.steps.map(s => s.band), [['STABLE'], null]);
+    assert.equal(truth.latest_exit_step, null);
+  });
+});
+
+describe('scoreEvolutions', () => {
+  it('scores each mode that has a summary and totals them', () => {
+    const dir = path.join(root, 'evolutions');
+    const rows = [['STABLE', 'HOLD'], ['CONTESTED', 'MONITOR'], ['WEAKENING', 'EXIT_SIGNAL'], ['FALSIFIED', 'EXIT_SIGNAL']];
+    h.writeJSON(path.join(dir, 'collapse', 'scenario.json'), scenario());
+    h.writeJSON(path.join(dir, 'collapse', 'domain.json'), { action_severe: 'EXIT_SIGNAL' });
+    h.writeJSON(path.join(dir, 'collapse', 'summary.json'), { progression: progression(rows) });
+    h.writeJSON(path.join(dir, 'collapse', 'raw-llm', 'summary.json'), { progression: progression(rows.map(([s]) => [s, 'HOLD'])) });
+
+    const scorecard = h.quietly(() => scoreEvolutions({ evolutionsDir: dir, write: false }));
+    assert.deepEqual(Object.keys(scorecard.scenarios[0].modes), ['full', 'raw-llm']);
+    assert.equal(scorecard.totals.full.mean_lead_steps, 1);
+    assert.equal(scorecard.totals['raw-llm'].missed_exits, 1);
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Signal Lineage Manager — orphan listing, merge suggestions, alias file rewrite
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir, configDir } = h.useScratchRoot();
+
+const lineage = require('../signal-lineage');
+
+const ALIAS_PATH = path.join(configDir, 'signal-aliases.json');
+const ALIAS_TEXT = `{
+  "_comment": "Test aliases",
+
+  "usd/jpy": { "lineage_id": "MACRO-USDJPY", "canonical_name": "USD/JPY Exchange Rate" },
+  "yen": { "lineage_id": "MACRO-USDJPY", "canonical_name": "USD/JPY Exchange Rate" },
+
+  "xrp etf": { "lineage_id": "STRUCTURE-XRP-ETF", "canonical_name": "XRP ETF AUM & Flows" }
+}
+`;
+fs.writeFileSync(ALIAS_PATH, ALIAS_TEXT);
+
+const signal = (id, title, category, severity = 5) => ({
+  signal_ids: [id],
+  perception: { ...(title && { signal: title }), category },
+  contextualization: { scored: { weighted_severity: severity, confidence: 'MEDIUM' } },
+  judgment: { final_signal_matrix: { final_composite: severity }, rejection: null },
+});
+const trace = (run, signals) => h.writeJSON(path.join(dataDir, `cognitive-trace-2026-03-1${run}T12-00-00-000Z.json`), {
+  _run_timestamp: `2026-03-1${run}T12:00:00.000Z`, signals,
+});
+trace(1, [
+  signal('S1-1', 'USD/JPY at 158', 'macro'),
+  signal('S1-2', 'Russia bans gasoline exports April 1', 'geopolitical'),
+  signal('S1-3', 'XRP ETF inflows $12M', 'structure'),
+  signal('S1-4', 'Kroll assigns Ripple Prime BBB investment grade rating', 'agent_capacity'),
+  signal('S1-5', null, 'macro'),
+]);
+trace(2, [
+  signal('S2-1', 'Russia bans gasoline exports April 1', 'geopolitical'),
+  signal('S2-2', 'Ripple Prime receives Kroll BBB investment grade rating', 'agent_capacity'),
+  signal('S2-3', 'Spot XRP fund inflows', 'structure', 7),
+]);
+trace(3, [
+  signal('S3-1', 'Russia bans gasoline exports April 1', 'geopolitical'),
+  signal('S3-2', 'Yen slides as Russia bans gasoline exports', 'macro'),
+  signal('S3-3', 'XRP ETF inflows $20M', 'structure'),
+]);
+
+const orphanId = title => {
+  const index = lineage.buildLineageIndex();
+  return [...index.lineages.values()].find(l => l.orphan && l.titles.includes(title)).lineage_id;
+};
+const RUSSIA = orphanId('Russia bans gasoline exports April 1');
+const KROLL_A = orphanId('Kroll assigns Ripple Prime BBB investment grade rating');
+const KROLL_B = orphanId('Ripple Prime receives Kroll BBB investment grade rating');
+const SPOT_XRP = orphanId('Spot XRP fund inflows');
+
+describe('orphans and suggestions', () => {
+  it('lists titled orphans by appearances and counts untitled ones apart', () => {
+    const { orphans, untitled_appearances } = lineage.listOrphans(lineage.buildLineageIndex());
+    assert.deepEqual(orphans.map(o => [o.lineage_id, o.appearances]).slice(0, 1), [[RUSSIA, 3]]);
+    assert.equal(orphans.length, 4);
+    assert.equal(untitled_appearances, 1);
+  });
+
+  it('ranks existing lineages and related orphans by token overlap and category', () => {
+    const index = lineage.buildLineageIndex();
+    const [best] = lineage.suggestMerges(SPOT_XRP, index);
+    assert.deepEqual([best.lineage_id, best.kind, best.category_share], ['STRUCTURE-XRP-ETF', 'lineage', 1]);
+    assert.deepEqual(best.shared_terms.sort(), ['inflow', 'xrp']);
+    assert.deepEqual(lineage.suggestMerges(KROLL_A, index).map(s => [s.lineage_id, s.kind]), [[KROLL_B, 'orphan']]);
+    assert.throws(() => lineage.suggestMerges('MACRO-USDJPY', index), /not an orphan/);
+  });
+
+  it('proposes the longest wording every title shares', () => {
+    assert.equal(lineage.proposeAliasKey(['Kroll assigns Ripple Prime BBB investment grade rating', 'Ripple Prime receives Kroll BBB investment grade rating']), 'bbb investment grade rating');
+    assert.equal(lineage.proposeAliasKey(['Fed on hold', 'ECB cuts']), null);
+  });
+});
+
+describe('alias file', () => {
+  it('renders an unchanged dictionary back byte for byte', () => {
+    const raw = JSON.parse(ALIAS_TEXT);
+    assert.equal(lineage.renderAliasFile(raw, lineage.aliasGroups(ALIAS_TEXT, raw)), ALIAS_TEXT);
+  });
+
+  it('refuses aliases that collide or pull appearances out of named lineages', () => {
+    const index = lineage.buildLineageIndex();
+    const change = { lineageId: 'GEO-RUSSIA-FUEL', orphanIds: [RUSSIA], create: true, name: 'Russian Fuel Export Bans' };
+    assert.throws(() => lineage.planLineageChange(index, { ...change, alias: 'Russia bans gasoline exports' }), /1 from MACRO-USDJPY/);
+    const forced = lineage.planLineageChange(index, { ...change, alias: 'Russia bans gasoline exports', force: true });
+    assert.deepEqual(forced.moves.map(m => [m.from, m.appearances]), [[RUSSIA, 3], ['MACRO-USDJPY', 1]]);
+    assert.throws(() => lineage.planLineageChange(index, { ...change, lineageId: 'MACRO-USDJPY' }), /already exists/);
+    assert.throws(() => lineage.planLineageChange(index, { ...change, name: '' }), /--name/);
+    assert.throws(() => lineage.planLineageChange(index, { lineageId: 'MACRO-GOLD', orphanIds: [RUSSIA] }), /not a lineage/);
+  });
+});
+
+describe('merge and new', () => {
+  it('previews the merged history on a dry run without writing anything', () => {
+    const result = h.quietly(() => lineage.mergeOrphans('STRUCTURE-XRP-ETF', [SPOT_XRP], { dryRun: true }));
+    assert.equal(result.lineage.appearance_count, 3);
+    assert.deepEqual(result.orphan_signals, { before: 7, after: 6 });
+    assert.equal(fs.readFileSync(ALIAS_PATH, 'utf8'), ALIAS_TEXT);
+    assert.equal(fs.existsSync(path.join(dataDir, 'signal-dossier-data.json')), false);
+  });
+
+  it('writes the alias beside the lineage, re-assembles and records the merge', () => {
+    const result = h.quietly(() => lineage.mergeOrphans('STRUCTURE-XRP-ETF', [SPOT_XRP], { operator: 'tester' }));
+    assert.deepEqual(result.plan.added.map(a => a.key), ['spot xrp fund inflows']);
+    assert.ok(fs.readFileSync(ALIAS_PATH, 'utf8').includes(
+      '"xrp etf": { "lineage_id": "STRUCTURE-XRP-ETF", "canonical_name": "XRP ETF AUM & Flows" },\n  "spot xrp fund inflows": { "lineage_id": "STRUCTURE-XRP-ETF"'));
+    const dossiers = JSON.parse(fs.readFileSync(path.join(dataDir, 'signal-dossier-data.json'), 'utf8'));
+    assert.equal(dossiers.lineages.find(l => l.lineage_id === 'STRUCTURE-XRP-ETF').appearance_count, 3);
+    const [entry] = fs.readFileSync(path.join(dataDir, 'operator-audit-log.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual([entry.action, entry.operator, entry.subject.aliases], ['LINEAGE_MERGE', 'tester', ['spot xrp fund inflows']]);
+  });
+
+  it('creates a lineage from several orphans under one shared alias', () => {
+    const result = h.quietly(() => lineage.createLineage('CORPORATE-RIPPLE-PRIME-RATING', [KROLL_A, KROLL_B], { name: 'Ripple Prime Credit Rating' }));
+    assert.deepEqual(result.plan.added.map(a => a.key), ['bbb investment grade rating']);
+    assert.deepEqual(result.plan.remaining.map(r => r.appearances), [0, 0]);
+    assert.equal(result.lineage.appearance_count, 2);
+    assert.ok(fs.readFileSync(ALIAS_PATH, 'utf8').endsWith(
+      '"canonical_name": "XRP ETF AUM & Flows" },\n\n  "bbb investment grade rating": { "lineage_id": "CORPORATE-RIPPLE-PRIME-RATING", "canonical_name": "Ripple Prime Credit Rating" }\n}\n'));
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Tier 1 Code Validators — Layer Zero checks and layer routers
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const tier1 = require('../tier1-validators');
+
+// dashboard-data.json with every critical metric in range, fetched at `fetchedAt`
+function inputData(fetchedAt) {
+  const metric = (value, overrides) => ({
+    value,
+    provenance: { source: 'test', fetched_at: fetchedAt || '2026-03-01T00:00:00.000Z', as_of: '2026-03-01', stale: false, carried_over: false, fallback_depth: 0, ...overrides },
+  });
+  return {
+    xrp: { price: 2.1, provenance: metric(0).provenance },
+    macro: {
+      usd_jpy: metric(150),
+      jpn_10y: metric(1.5),
+      fear_greed: metric(50),
+      dxy: metric(100),
+      sp500: metric(5000),
+    },
+  };
+}
+
+const rules = flags => flags.map(f => f.rule_id);
+
+describe('checkCitationCount', () => {
+  it('flags HIGH confidence with one citation, not two', () => {
+    const flags = tier1.checkCitationCount([
+      { signal: 'one', confidence: 'HIGH', evidence_citations: ['a'] },
+      { signal: 'two', confidence: 'HIGH', evidence_citations: ['a', 'b'] },
+      { signal: 'medium', confidence: 'MEDIUM', evidence_citations: [] },
+    ]);
+    assert.deepEqual(flags.map(f => f.finding), ['one']);
+  });
+});
+
+describe('checkAnomalousInputData', () => {
+  it('passes clean input', () => {
+    assert.deepEqual(tier1.checkAnomalousInputData(inputData()), []);
+  });
+
+  it('flags a missing critical value', () => {
+    const data = inputData();
+    data.macro.dxy.value = null;
+    assert.deepEqual(tier1.checkAnomalousInputData(data).map(f => f.finding), ['DXY']);
+  });
+
+  it('flags values outside the fixed range, not at its edge', () => {
+    const data = inputData();
+    data.macro.fear_greed.value = 100;
+    assert.deepEqual(tier1.checkAnomalousInputData(data), []);
+    data.macro.fear_greed.value = 101;
+    assert.match(tier1.checkAnomalousInputData(data)[0].detail, /outside expected range \[0-100\]/);
+  });
+
+  it('flags |z| at 3 against the series history, not below', () => {
+    const data = inputData();
+    data.metric_history = { 'xrp.price': { z: -2.99, latest: 1 }, 'macro.dxy': { z: 3, latest: 110, baseline_mean: 100, baseline_std: 3.3 } };
+    const flags = tier1.checkAnomalousInputData(data);
+    assert.deepEqual(flags.map(f => f.finding), ['macro.dxy']);
+    assert.match(flags[0].detail, /3σ above/);
+  });
+
+  it('flags stale and carried-over metrics from provenance', () => {
+    const data = inputData();
+    data.macro.jpn_10y.provenance.stale = true;
+    data.macro.sp500.provenance.carried_over = true;
+    const flags = tier1.checkAnomalousInputData(data);
+    assert.deepEqual(flags.map(f => f.finding), ['macro.jpn_10y', 'macro.sp500']);
+    assert.match(flags[0].detail, /^STALE input/);
+    assert.match(flags[1].detail, /^Carried over/);
+  });
+});
+
+describe('checkTemporalGaps', () => {
+  it('flags fetch times more than six hours apart', () => {
+    const data = inputData();
+    data.macro.dxy.provenance.fetched_at = '2026-03-01T06:00:01.000Z';
+    assert.deepEqual(rules(tier1.checkTemporalGaps(data)), ['LZ-MR-003']);
+  });
+
+  it('just misses at exactly six hours', () => {
+    const data = inputData();
+    data.macro.dxy.provenance.fetched_at = '2026-03-01T06:00:00.000Z';
+    assert.deepEqual(tier1.checkTemporalGaps(data), []);
+  });
+
+  it('falls back to legacy updated timestamps without provenance', () => {
+    const data = { macro: { usd_jpy: { updated: '2026-03-01T00:00:00Z' }, dxy: { updated: '2026-03-01T08:00:00Z' } } };
+    assert.equal(tier1.checkTemporalGaps(data)[0].finding, 'USD/JPY vs DXY');
+    assert.deepEqual(tier1.checkTemporalGaps(data, 8), []);
+  });
+});
+
+describe('checkContradictionResolution', () => {
+  it('flags a resolution with under 50 characters of reasoning', () => {
+    const flags = tier1.checkContradictionResolution([
+      { data_says: 'short', resolution: 'resolved', reasoning: 'x'.repeat(49) },
+      { data_says: 'enough', resolution: 'resolved', reasoning: 'x'.repeat(50) },
+      { data_says: 'held', resolution: 'paradox_held', reasoning: '' },
+    ]);
+    assert.deepEqual(flags.map(f => f.finding), ['Contradiction: short']);
+  });
+});
+
+describe('checkNullHypothesisPresence', () => {
+  it('flags an empty null hypothesis and a missing null_holds separately', () => {
+    const flags = tier1.checkNullHypothesisPresence([
+      { finding_from_layer2: 'A', null_hypothesis: '  ', null_holds: false },
+      { finding_from_layer2: 'B', null_hypothesis: 'Noise' },
+      { finding_from_layer2: 'C', null_hypothesis: 'Noise', null_holds: true },
+    ]);
+    assert.deepEqual(flags.map(f => f.finding), ['A', 'B']);
+  });
+});
+
+describe('checkZeroGapOutput', () => {
+  const scored = n => ({ scored_signals: h.runs(n, () => ({ confidence: 'HIGH' })), unscored_signals: [], knowledge_audit: [{ gap_identified: 'NONE' }] });
+
+  it('flags five all-HIGH signals with no gaps', () => {
+    assert.deepEqual(rules(tier1.checkZeroGapOutput(scored(5), 'Layer 2')), ['LZ-EPH-001']);
+  });
+
+  it('just misses at four, or with one admitted gap', () => {
+    assert.deepEqual(tier1.checkZeroGapOutput(scored(4), 'Layer 2'), []);
+    assert.deepEqual(tier1.checkZeroGapOutput({ ...scored(5), knowledge_audit: [{ gap_identified: 'Custody data' }] }, 'Layer 2'), []);
+  });
+
+  it('flags five all-HIGH inferences with no null held', () => {
+    const inferences = n => ({ strategic_inferences: h.runs(n, () => ({ confidence: 'high', null_holds: false, classification: 'PROBABLE' })) });
+    assert.deepEqual(rules(tier1.checkZeroGapOutput(inferences(5), 'Layer 3')), ['LZ-EPH-001']);
+    assert.deepEqual(tier1.checkZeroGapOutput(inferences(4), 'Layer 3'), []);
+  });
+});
+
+describe('checkConfidenceEvidenceRatio', () => {
+  it('wants two citations for HIGH and one for MEDIUM', () => {
+    const flags = tier1.checkConfidenceEvidenceRatio([
+      { signal: 'high-1', confidence: 'HIGH', evidence_citations: ['a'] },
+      { signal: 'high-2', confidence: 'HIGH', evidence_citations: ['a', 'b'] },
+      { signal: 'medium-0', confidence: 'MEDIUM' },
+      { signal: 'medium-1', confidence: 'MEDIUM', evidence_citations: ['a'] },
+      { signal: 'low-0', confidence: 'LOW' },
+    ]);
+    assert.deepEqual(flags.map(f => f.finding), ['high-1', 'medium-0']);
+  });
+});
+
+describe('checkAssumptionLimit', () => {
+  it('HARD_FAILs three assumptions not classified SPECULATIVE', () => {
+    const [flag] = tier1.checkAssumptionLimit([{ finding_from_layer2: 'A', assumption_count: 3, classification: 'PROBABLE' }]);
+    assert.equal(flag.severity, 'HARD_FAIL');
+  });
+
+  it('just misses at two assumptions, or when SPECULATIVE', () => {
+    assert.deepEqual(tier1.checkAssumptionLimit([
+      { finding_from_layer2: 'A', assumption_count: 2, classification: 'PROBABLE' },
+      { finding_from_layer2: 'B', assumption_count: 4, classification: 'speculative' },
+    ]), []);
+  });
+
+  it('flags a missing count and a miscounted assumptions array', () => {
+    const flags = tier1.checkAssumptionLimit([
+      { finding_from_layer2: 'A' },
+      { finding_from_layer2: 'B', assumption_count: 1, assumptions: ['x', 'y'], classification: 'PROBABLE' },
+    ]);
+    assert.deepEqual(flags.map(f => [f.finding, f.severity]), [['A', 'FLAG'], ['B', 'FLAG']]);
+  });
+});
+
+describe('collectProvenance', () => {
+  it('finds provenance blocks by metric path', () => {
+    assert.deepEqual(tier1.collectProvenance(inputData()).map(p => p.path), ['xrp', 'macro.usd_jpy', 'macro.jpn_10y', 'macro.fear_greed', 'macro.dxy', 'macro.sp500']);
+  });
+});
+
+describe('runTier1Checks', () => {
+  const run = (...args) => h.quietly(() => tier1.runTier1Checks(...args));
+
+  it('routes Layer 2 through the compound index structure checks', () => {
+    const result = run(2, { scored_signals: [], compound_index_evaluation: [{ convergence_status: 'ALMOST' }] }, inputData());
+    assert.deepEqual(rules(result.flags), ['CI-MISSING-ID', 'CI-INVALID-STATUS']);
+    assert.equal(result.hard_fails, 2);
+  });
+
+  it('routes Layer 3 hidden moves through the assumption cap', () => {
+    const result = run(3, { strategic_inferences: [], hidden_moves: [{ player: 'Issuer', assumption_count: 3, classification: 'PLAUSIBLE' }] }, inputData());
+    assert.deepEqual(result.flags.map(f => f.finding), ['Issuer']);
+    assert.equal(result.hard_fails, 1);
+  });
+
+  it('returns an empty result for an unknown layer', () => {
+    assert.deepEqual(run(9, {}, inputData()), { flags: [], hard_fails: 0, total_flags: 0, layer: 9 });
+  });
+});
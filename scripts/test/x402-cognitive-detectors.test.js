@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * x402 Cognitive Bandwidth Pattern Detectors — AD #17
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { dataDir } = h.useScratchRoot();
+
+const cognitive = require('../x402-cognitive-detectors');
+
+const outcomes = (n, overrides) => ({ outcomes: h.runs(n, () => h.acquisitionOutcome(overrides)) });
+const promotableGap = { gap_id: 'SG-1', promotable_if: 'Custody data becomes public' };
+
+describe('detectInquiryScopeCreep', () => {
+  it('flags budgets at 90% of the cap with half the outcomes NO_CHANGE', () => {
+    const data = { outcomes: [...outcomes(3, { token_budget_allocated: 1800 }).outcomes, ...outcomes(3, { token_budget_allocated: 1800, outcome: 'MATERIAL_CHANGE' }).outcomes] };
+    assert.equal(cognitive.detectInquiryScopeCreep(data, {}).type, 'INQUIRY_SCOPE_CREEP');
+  });
+
+  it('just misses below 90% of the cap', () => {
+    assert.equal(cognitive.detectInquiryScopeCreep(outcomes(5, { token_budget_allocated: 1799 }), {}), null);
+  });
+
+  it('just misses below half NO_CHANGE', () => {
+    const data = { outcomes: [...outcomes(2, { token_budget_allocated: 2000 }).outcomes, ...outcomes(3, { token_budget_allocated: 2000, outcome: 'MATERIAL_CHANGE' }).outcomes] };
+    assert.equal(cognitive.detectInquiryScopeCreep(data, {}), null);
+  });
+
+  it('needs five outcomes and honours the domain token cap', () => {
+    assert.equal(cognitive.detectInquiryScopeCreep(outcomes(4, { token_budget_allocated: 2000 }), {}), null);
+    assert.equal(cognitive.detectInquiryScopeCreep(outcomes(5, { token_budget_allocated: 900 }), { acquisition_token_cap_per_request: 1000 }).type, 'INQUIRY_SCOPE_CREEP');
+  });
+
+  it('only looks at the last 20 outcomes', () => {
+    const data = { outcomes: [...outcomes(20, { token_budget_allocated: 2000 }).outcomes, ...outcomes(20, { token_budget_allocated: 0 }).outcomes] };
+    assert.equal(cognitive.detectInquiryScopeCreep(data, {}), null);
+  });
+});
+
+describe('detectStructuralGapNeglect', () => {
+  const layer4 = { structural_gaps: [promotableGap, { gap_id: 'SG-2', promotable_if: ' ' }] };
+
+  it('flags promotable gaps never probed after 14 runs', () => {
+    assert.equal(cognitive.detectStructuralGapNeglect(outcomes(3), layer4, 14).type, 'STRUCTURAL_GAP_NEGLECT');
+  });
+
+  it('just misses at 13 runs', () => {
+    assert.equal(cognitive.detectStructuralGapNeglect(outcomes(3), layer4, 13), null);
+  });
+
+  it('does not flag once a probe has run', () => {
+    const probed = { outcomes: [h.acquisitionOutcome({ source_channel: 'STRUCTURAL_GAP_PROBE' })] };
+    assert.equal(cognitive.detectStructuralGapNeglect(probed, layer4, 30), null);
+  });
+});
+
+describe('detectQuestionRecycling', () => {
+  const targeted = (n, id) => h.runs(n, i => h.acquisitionRequest({ tension_id: id }, i, 1));
+
+  it('flags three approved requests against the same target', () => {
+    assert.match(cognitive.detectQuestionRecycling(h.paperTradeLog(targeted(3, 'T-1')), {}).detail, /T-1 \(3x\)/);
+  });
+
+  it('just misses at two', () => {
+    assert.equal(cognitive.detectQuestionRecycling(h.paperTradeLog([...targeted(2, 'T-1'), ...targeted(2, 'T-2')]), {}), null);
+  });
+
+  it('groups structural gap targets the same way', () => {
+    const requests = h.runs(3, i => h.acquisitionRequest({ structural_gap_id: 'SG-1' }, i, 1));
+    assert.equal(cognitive.detectQuestionRecycling(h.paperTradeLog(requests), {}).type, 'QUESTION_RECYCLING');
+  });
+});
+
+describe('detectAcquisitionDormancy', () => {
+  // One request per run; the first `active` runs had an approval
+  const requests = (active, dormant) => h.runs(active + dormant, i => h.acquisitionRequest({ disposition: i < active ? 'APPROVED' : 'DENIED' }, i, 1));
+
+  it('flags four consecutive runs without an approval', () => {
+    const result = cognitive.detectAcquisitionDormancy(h.paperTradeLog(requests(2, 4)), {});
+    assert.equal(result.type, 'ACQUISITION_DORMANCY');
+    assert.match(result.detail, /for 4 consecutive cycles/);
+  });
+
+  it('just misses at three', () => {
+    assert.equal(cognitive.detectAcquisitionDormancy(h.paperTradeLog(requests(2, 3)), {}), null);
+  });
+
+  it('treats a run with any approval as active', () => {
+    const log = h.paperTradeLog([...requests(0, 4), h.acquisitionRequest({ disposition: 'APPROVED' }, 3, 2)]);
+    assert.equal(cognitive.detectAcquisitionDormancy(log, {}), null);
+  });
+});
+
+describe('detectCognitiveBehavior', () => {
+  it('reads acquisition outcomes from data/', () => {
+    h.writeJSON(path.join(dataDir, 'acquisition-outcomes.json'), outcomes(5, { token_budget_allocated: 2000 }));
+    const types = cognitive.detectCognitiveBehavior(h.paperTradeLog([]), { structural_gaps: [promotableGap] }, {}, 20).map(f => f.type);
+    assert.deepEqual(types, ['INQUIRY_SCOPE_CREEP', 'STRUCTURAL_GAP_NEGLECT']);
+  });
+});
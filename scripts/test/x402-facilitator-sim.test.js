@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * x402 Facilitator Simulator — verify/settle, injected faults, and the
+ * merchant and Base acquisition path pointed at a live simulator
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path   = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const { root } = h.useScratchRoot();
+
+const xrpl = require('xrpl');
+const { generatePrivateKey, privateKeyToAccount } = require('viem/accounts');
+const { createSimulator } = require('../x402-facilitator-sim');
+const { executeBaseAcquisition } = require('../x402-base-agent');
+
+const AGENT    = xrpl.Wallet.generate();
+const MERCHANT = xrpl.Wallet.generate().classicAddress;
+const BASE_KEY = generatePrivateKey();
+
+const encode = obj => Buffer.from(JSON.stringify(obj), 'utf8').toString('base64');
+const decode = b64 => JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+
+let sim;
+
+before(async () => {
+  sim = createSimulator({
+    port:  0,
+    quiet: true,
+    fund:  { [AGENT.classicAddress]: '100', [MERCHANT]: '20', [privateKeyToAccount(BASE_KEY).address]: '5' },
+  });
+  await h.quietly(() => sim.start());
+});
+
+after(() => sim.stop());
+
+/** Requirements the merchant would issue for `drops`, with a fresh invoice. */
+function requirements(drops = '1000') {
+  return {
+    scheme:            'exact',
+    network:           'xrpl:0',
+    amount:            drops,
+    asset:             'XRP',
+    payTo:             MERCHANT,
+    maxTimeoutSeconds: 300,
+    extra:             { invoiceId: crypto.randomUUID().replace(/-/g, '').toUpperCase(), sourceTag: 804681468 },
+  };
+}
+
+/** Sign a Payment for `req` the way x402-agent.js does, against the simulator's ledger. */
+function pay(req) {
+  const { ledger_index, accounts } = sim.state();
+  const invoiceId = req.extra.invoiceId;
+  const signed = AGENT.sign({
+    TransactionType:    'Payment',
+    Account:            AGENT.classicAddress,
+    Destination:        req.payTo,
+    Amount:             req.amount,
+    Fee:                '10',
+    Sequence:           accounts[AGENT.classicAddress].sequence,
+    LastLedgerSequence: ledger_index + 10,
+    SourceTag:          req.extra.sourceTag,
+    Memos:              [{ Memo: { MemoData: Buffer.from(invoiceId, 'utf8').toString('hex').toUpperCase() } }],
+    InvoiceID:          crypto.createHash('sha256').update(invoiceId, 'utf8').digest('hex').toUpperCase(),
+  });
+  return { x402Version: 2, accepted: req, payload: { signedTxBlob: signed.tx_blob, invoiceId }, hash: signed.hash };
+}
+
+async function facilitator(stage, paymentPayload, paymentRequirements, opts = {}) {
+  const res = await fetch(`${sim.url}/${stage}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify({ paymentPayload, paymentRequirements }),
+    signal:  opts.signal,
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+describe('facilitator', () => {
+  it('listens on a free port when started on port 0', () => {
+    assert.match(sim.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+    assert.notEqual(new URL(sim.url).port, '0');
+  });
+
+  it('verifies and settles a signed XRPL payment, then rejects its replay', async () => {
+    const req = requirements('1000');
+    const payment = pay(req);
+    const sequence = sim.state().accounts[AGENT.classicAddress].sequence;
+
+    assert.deepEqual(await facilitator('verify', payment, req), { isValid: true, payer: AGENT.classicAddress });
+    const settled = await facilitator('settle', payment, req);
+    assert.deepEqual([settled.success, settled.transaction, settled.payer], [true, payment.hash, AGENT.classicAddress]);
+
+    const accounts = sim.state().accounts;
+    assert.deepEqual(accounts[AGENT.classicAddress], { balance_xrp: '99.99899', sequence: sequence + 1 });
+    assert.equal(accounts[MERCHANT].balance_xrp, '20.001');
+    assert.equal(sim.receipts.at(-1).invoice_id, req.extra.invoiceId);
+
+    const replay = await facilitator('settle', payment, req);
+    assert.deepEqual([replay.success, replay.errorReason], [false, 'double_spend']);
+  });
+
+  it('rejects a payment bound to another invoice', async () => {
+    const payment = pay(requirements());
+    const verification = await facilitator('verify', payment, requirements());
+    assert.deepEqual([verification.isValid, verification.invalidReason], [false, 'invoice_binding_mismatch']);
+  });
+});
+
+describe('injected faults', () => {
+  for (const fault of ['invalid_signature', 'insufficient_funds']) {
+    it(`fails the next verify with ${fault} and then clears`, async () => {
+      const req = requirements();
+      const payment = pay(req);
+      sim.inject(fault);
+      assert.deepEqual(await facilitator('verify', payment, req), { isValid: false, invalidReason: fault });
+      assert.equal((await facilitator('verify', payment, req)).isValid, true);
+      assert.deepEqual(sim.state().faults, []);
+    });
+  }
+
+  it('passes verify and fails settle on double_spend without moving funds', async () => {
+    const req = requirements();
+    const payment = pay(req);
+    const receipts = sim.receipts.length;
+    sim.inject('double_spend');
+    assert.equal((await facilitator('verify', payment, req)).isValid, true);
+    const settled = await facilitator('settle', payment, req);
+    assert.deepEqual([settled.success, settled.errorReason, settled.transaction], [false, 'double_spend', '']);
+    assert.equal(sim.receipts.length, receipts);
+    assert.equal((await facilitator('settle', payment, req)).success, true);
+  });
+
+  it('hangs verify past the caller timeout on timeout', async () => {
+    const req = requirements();
+    sim.inject('timeout', { hangMs: 500 });
+    await assert.rejects(
+      h.quietly(() => facilitator('verify', pay(req), req, { signal: AbortSignal.timeout(100) })),
+      { name: 'TimeoutError' });
+    assert.deepEqual(sim.state().faults, []);
+  });
+
+  it('refuses unknown faults and stages', () => {
+    assert.throws(() => sim.inject('network_partition'), /Unknown fault/);
+    assert.throws(() => sim.inject('timeout', { stage: 'submit' }), /Unknown stage/);
+  });
+});
+
+describe('merchant against the simulator', () => {
+  let merchant;
+  let merchantUrl;
+
+  before(async () => {
+    h.writeJSON(path.join(root, 'dashboard-data.json'), { macro: { usd_jpy: 158.2 } });
+    merchant = spawn(process.execPath, [path.join(__dirname, '..', 'x402-merchant.js')], {
+      env:   { ...process.env, XRPL_MERCHANT_ADDRESS: MERCHANT, XRPL_FACILITATOR_URL: sim.url, MERCHANT_PORT: '0', OVERWATCH_ROOT: root },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    merchantUrl = await new Promise((resolve, reject) => {
+      let output = '';
+      merchant.stdout.on('data', chunk => {
+        output += chunk;
+        const match = output.match(/Listening on\s+(http:\/\/127\.0\.0\.1:\d+)/);
+        if (match) resolve(match[1]);
+      });
+      merchant.once('exit', code => reject(new Error(`merchant exited (${code}) before listening`)));
+    });
+  });
+
+  after(() => merchant.kill());
+
+  async function purchase(resource) {
+    const first = await fetch(`${merchantUrl}${resource}`);
+    assert.equal(first.status, 402);
+    const req = decode(first.headers.get('payment-required')).accepts[0];
+    const payment = pay(req);
+    delete payment.hash;
+    return fetch(`${merchantUrl}${resource}`, { headers: { 'PAYMENT-SIGNATURE': encode(payment) } });
+  }
+
+  it('sells a report for a payment the simulator settles', async () => {
+    const res = await purchase('/api/v1/stress-report');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual([body.access, body.data.macro.usd_jpy, body.payment.payer], ['GRANTED', 158.2, AGENT.classicAddress]);
+    assert.equal(body.payment.facilitator, sim.url);
+    assert.equal(decode(res.headers.get('payment-response')).transaction, sim.receipts.at(-1).transaction);
+  });
+
+  it('refuses the report when settlement is rejected', async () => {
+    sim.inject('double_spend');
+    const res = await purchase('/api/v1/bear-case');
+    assert.equal(res.status, 402);
+    assert.deepEqual(await res.json(), { error: 'double_spend' });
+  });
+});
+
+describe('Base acquisition against the simulator', () => {
+  const channel = () => ({
+    id:                   'firecrawl-base',
+    name:                 'Firecrawl (Base)',
+    vendor_type:          'firecrawl',
+    network:              'eip155:8453',
+    settlement_asset:     'USDC',
+    cost_per_request_usd: 0.03,
+    paper_trade_only:     false,
+    facilitator:          `${sim.url}/vendor/firecrawl`,
+  });
+
+  it('pays the vendor paywall in USDC and parses the results', async () => {
+    const payer = privateKeyToAccount(BASE_KEY).address.toLowerCase();
+    const result = await h.quietly(() => executeBaseAcquisition(channel(), 'XRP ETF inflows', { baseWalletKey: BASE_KEY, limit: 3 }));
+    assert.equal(result.status, 'SUCCESS', result.error);
+    assert.equal(result.data.result_count, 3);
+    assert.match(result.data.results[0].title, /XRP ETF inflows/);
+    assert.equal(sim.state().usdc[payer], '4.97');
+    assert.equal(sim.receipts.at(-1).payer.toLowerCase(), payer);
+  });
+
+  it('reports a vendor without fiat failover as failed when verify is rejected', async () => {
+    sim.inject('invalid_signature');
+    const messari = { ...channel(), id: 'messari-base', vendor_type: 'messari', facilitator: `${sim.url}/vendor/messari` };
+    const result = await h.quietly(() => executeBaseAcquisition(messari, 'XRP outlook', { baseWalletKey: BASE_KEY }));
+    assert.equal(result.status, 'ERROR');
+    assert.match(result.error, /invalid_signature/);
+  });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * x402 Spending Behavioral Pattern Detectors
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const h = require('./helpers');
+const spending = require('../x402-spending-detectors');
+
+const T = spending.getThresholds({});
+const approved = (n, overrides) => h.runs(n, i => h.acquisitionRequest(overrides, 0, i + 1));
+const denied = n => h.runs(n, i => h.acquisitionRequest({ disposition: 'DENIED' }, 0, 100 + i));
+const criticalWithPath = h.tension('T-CRIT', { impact_score: 4, watch_for: 'ODL corridor volume print' });
+
+describe('getThresholds', () => {
+  it('falls back to the documented defaults', () => {
+    assert.equal(T.reactiveMinRequests, 5);
+    assert.equal(T.reactiveSurvivalFloor, 0.3);
+    assert.equal(T.hoardingMinUnspentPct, 0.5);
+  });
+
+  it('reads x402_spending_thresholds overrides', () => {
+    assert.equal(spending.getThresholds({ x402_spending_thresholds: { stale_repeat_min_occurrences: 5 } }).staleRepeatMin, 5);
+  });
+});
+
+describe('detectReactiveAcquisition', () => {
+  const tagged = (survived, total) => h.trace(h.runs(total, i => h.traceSignal(`s${i}`, {
+    acquisition_source: 'x402',
+    acquisition_survival: i < survived ? 'survived' : 'stripped',
+  })));
+
+  it('flags five purchases with survival below 30%', () => {
+    const result = spending.detectReactiveAcquisition(h.paperTradeLog(approved(5)), tagged(1, 5), T);
+    assert.equal(result.type, 'X402_REACTIVE_ACQUISITION');
+    assert.equal(result.survival_rate, 0.2);
+    assert.equal(result.severity, 'MEDIUM');
+  });
+
+  it('is HIGH below half the floor', () => {
+    assert.equal(spending.detectReactiveAcquisition(h.paperTradeLog(approved(5)), tagged(0, 5), T).severity, 'HIGH');
+  });
+
+  it('just misses at four purchases', () => {
+    assert.equal(spending.detectReactiveAcquisition(h.paperTradeLog(approved(4)), tagged(0, 5), T), null);
+  });
+
+  it('just misses at 30% survival', () => {
+    assert.equal(spending.detectReactiveAcquisition(h.paperTradeLog(approved(5)), tagged(3, 10), T), null);
+  });
+});
+
+describe('detectAvoidanceSpending', () => {
+  it('flags a denial rate above 70% with a critical, observable tension open', () => {
+    const log = h.paperTradeLog([...approved(1), ...denied(3)]);
+    const result = spending.detectAvoidanceSpending(log, [criticalWithPath], T);
+    assert.equal(result.denial_rate, 0.75);
+    assert.deepEqual(result.critical_unresolved, ['T-CRIT']);
+  });
+
+  it('just misses at a 70% denial rate', () => {
+    const log = h.paperTradeLog([...approved(3), ...denied(7)]);
+    assert.equal(spending.detectAvoidanceSpending(log, [criticalWithPath], T), null);
+  });
+
+  it('needs a critical tension with a watch_for path', () => {
+    const log = h.paperTradeLog(denied(4));
+    assert.equal(spending.detectAvoidanceSpending(log, [h.tension('T-CRIT', { impact_score: 4 })], T), null);
+  });
+});
+
+describe('detectConfirmationAcquisition', () => {
+  const vectors = (strengthen, weaken) => h.paperTradeLog([
+    ...approved(strengthen, { intended_epistemic_vector: 'STRENGTHEN' }),
+    ...h.runs(weaken, i => h.acquisitionRequest({ intended_epistemic_vector: 'WEAKEN' }, 0, 50 + i)),
+  ]);
+
+  it('flags a neutral thesis with more than 75% of spending on one side', () => {
+    const result = spending.detectConfirmationAcquisition(vectors(4, 1), 'STABLE', T);
+    assert.equal(result.bias_direction, 'STRENGTHEN');
+    assert.equal(result.bias_ratio, 0.8);
+    assert.equal(result.severity, 'MEDIUM');
+  });
+
+  it('just misses at exactly 75%', () => {
+    assert.equal(spending.detectConfirmationAcquisition(vectors(3, 1), 'STABLE', T), null);
+  });
+
+  it('flags a WEAKENING thesis buying STRENGTHEN data', () => {
+    const result = spending.detectConfirmationAcquisition(vectors(4, 1), 'WEAKENING', T);
+    assert.equal(result.severity, 'HIGH');
+  });
+
+  it('does not flag a WEAKENING thesis buying WEAKEN data', () => {
+    assert.equal(spending.detectConfirmationAcquisition(vectors(1, 4), 'WEAKENING', T), null);
+  });
+});
+
+describe('detectBudgetExhaustion', () => {
+  const lowImpact = approved(1, { expected_impact_score: 2 });
+  const critical = [h.tension('A', { impact_score: 4 }), h.tension('B', { impact_score: 5 })];
+
+  it('flags 80% spent on low-impact buys with two critical tensions open', () => {
+    const result = spending.detectBudgetExhaustion(h.paperTradeLog(lowImpact, { cycle_spent_drops: 4000 }), critical, T);
+    assert.equal(result.type, 'X402_BUDGET_EXHAUSTION_UNFILLED_GAPS');
+    assert.equal(result.cycle_spent_pct, 0.8);
+  });
+
+  it('just misses below 80% spent', () => {
+    assert.equal(spending.detectBudgetExhaustion(h.paperTradeLog(lowImpact, { cycle_spent_drops: 3999 }), critical, T), null);
+  });
+
+  it('just misses with one critical tension', () => {
+    assert.equal(spending.detectBudgetExhaustion(h.paperTradeLog(lowImpact, { cycle_spent_drops: 5000 }), critical.slice(1), T), null);
+  });
+});
+
+describe('detectStalePurchaseRepetition', () => {
+  it('flags three approved purchases in one category', () => {
+    const result = spending.detectStalePurchaseRepetition(h.paperTradeLog(approved(3)), T);
+    assert.deepEqual(result.stale_categories, [{ category: 'onchain', count: 3 }]);
+  });
+
+  it('just misses at two', () => {
+    const log = h.paperTradeLog([...approved(2), h.acquisitionRequest({ source_category: 'macro' }, 0, 9)]);
+    assert.equal(spending.detectStalePurchaseRepetition(log, T), null);
+  });
+});
+
+describe('detectBudgetBleeding', () => {
+  it('flags an average expected impact below 30% of max', () => {
+    const log = h.paperTradeLog([...approved(3, { expected_impact_score: 1 }), ...approved(1, { expected_impact_score: 2 })]);
+    assert.equal(spending.detectBudgetBleeding(log, T).avg_impact, 1.25);
+  });
+
+  it('just misses at exactly 30%', () => {
+    const log = h.paperTradeLog([...approved(2, { expected_impact_score: 1 }), ...approved(2, { expected_impact_score: 2 })]);
+    assert.equal(spending.detectBudgetBleeding(log, T), null);
+  });
+
+  it('needs four approved purchases', () => {
+    assert.equal(spending.detectBudgetBleeding(h.paperTradeLog(approved(3, { expected_impact_score: 0 })), T), null);
+  });
+});
+
+describe('detectNegligentHoarding', () => {
+  it('flags half the budget unspent with a critical, observable tension open', () => {
+    const result = spending.detectNegligentHoarding(h.paperTradeLog([], { cycle_spent_drops: 2500 }), [criticalWithPath], T);
+    assert.equal(result.unspent_pct, 0.5);
+  });
+
+  it('just misses below 50% unspent', () => {
+    assert.equal(spending.detectNegligentHoarding(h.paperTradeLog([], { cycle_spent_drops: 2501 }), [criticalWithPath], T), null);
+  });
+
+  it('does not flag when nothing useful is buyable', () => {
+    assert.equal(spending.detectNegligentHoarding(h.paperTradeLog([]), [h.tension('A', { impact_score: 5 })], T), null);
+  });
+});
+
+describe('detectSpendingBehavior', () => {
+  it('returns nothing for an empty log', () => {
+    assert.deepEqual(spending.detectSpendingBehavior(h.paperTradeLog([]), null, [criticalWithPath], 'STABLE', {}), []);
+  });
+
+  it('runs every detector with domain thresholds', () => {
+    const log = h.paperTradeLog(approved(3), { cycle_spent_drops: 0 });
+    const types = spending.detectSpendingBehavior(log, null, [criticalWithPath], 'STABLE', {}).map(f => f.type);
+    assert.deepEqual(types, ['X402_STALE_PURCHASE_REPETITION', 'X402_NEGLIGENT_HOARDING']);
+
+    const relaxed = { x402_spending_thresholds: { stale_repeat_min_occurrences: 4, hoarding_min_critical_tensions: 2 } };
+    assert.deepEqual(spending.detectSpendingBehavior(log, null, [criticalWithPath], 'STABLE', relaxed), []);
+  });
+});
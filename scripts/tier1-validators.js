@@ -34,6 +34,9 @@ function createFlag(ruleId, finding, detail, severity = 'FLAG') {
   return { rule_id: ruleId, finding, detail, severity, timestamp: new Date().toISOString() };
 }
 
+// |z| at or above this against a series' own history is an anomaly (LZ-EH-004)
+const ANOMALY_Z_THRESHOLD = 3;
+
 // ─── 8 Independent Check Functions ───────────────────────────────────────────
 
 /**
@@ -68,7 +71,10 @@ function checkCitationCount(findings, findingNameField = 'signal') {
 /**
  * LZ-EH-004: Anomalous data should be treated as sensor failure first.
  * Flags input data values that appear anomalous: nulls in critical fields,
- * extreme outliers, or stale timestamps (>24h old).
+ * extreme outliers (fixed ranges, and |z| >= 3 against the series' own history
+ * when metric_history is present), and stale or carried-over values (from each
+ * metric's provenance block; legacy files without provenance use a >24h
+ * timestamp check).
  *
  * @param {object} inputData — dashboard-data.json contents
  * @returns {Array} flags
@@ -118,25 +124,55 @@ function checkAnomalousInputData(inputData) {
     }
   }
 
-  // Check for stale timestamps (>24h old)
-  const now = Date.now();
-  const stalePaths = [
-    { path: 'macro.brent_crude.updated', label: 'Brent Crude timestamp' },
-    { path: 'macro.usd_jpy.updated', label: 'USD/JPY timestamp' },
-    { path: 'macro.jpn_10y.updated', label: 'JGB 10Y timestamp' },
-  ];
+  // Statistical outliers against each series' own history. metric_history is
+  // attached to the run's input by analyze-thesis.js (metric-history.js); a
+  // value this far from its recent distribution is a measurement or source
+  // failure until independently verified.
+  for (const [series, h] of Object.entries(inputData.metric_history || {})) {
+    if (typeof h?.z !== 'number' || Math.abs(h.z) < ANOMALY_Z_THRESHOLD) continue;
+    flags.push(createFlag(
+      'LZ-EH-004',
+      series,
+      `Value ${h.latest} (as of ${h.as_of ?? 'unknown'}) is ${Math.abs(h.z)}σ ${h.z > 0 ? 'above' : 'below'} the mean of its preceding observations (${h.baseline_mean} ± ${h.baseline_std}). Treat as potential measurement/source failure until independently verified.`
+    ));
+  }
 
-  for (const { path, label } of stalePaths) {
-    const ts = getNestedValue(inputData, path);
-    if (ts) {
-      const age = now - new Date(ts).getTime();
-      const hoursOld = age / (1000 * 60 * 60);
-      if (hoursOld > 24) {
-        flags.push(createFlag(
-          'LZ-EH-004',
-          label,
-          `Data is ${Math.round(hoursOld)} hours old. Stale data should be flagged as a data gap, not treated as current.`
-        ));
+  // Stale or carried-over inputs, read from the provenance block fetch-data.js
+  // writes beside every metric. Files written before provenance existed fall
+  // back to the legacy timestamp check.
+  const provenance = collectProvenance(inputData);
+  if (provenance.length > 0) {
+    for (const { path, provenance: p } of provenance) {
+      if (!p.stale && !p.carried_over) continue;
+      const origin = `source ${p.source ?? 'none'}, fetched ${p.fetched_at ?? 'at an unknown time'}, as of ${p.as_of ?? 'unknown'}, fallback depth ${p.fallback_depth}`;
+      flags.push(createFlag(
+        'LZ-EH-004',
+        path,
+        p.stale
+          ? `STALE input${p.carried_over ? ', carried over from a previous run' : ''} (${origin}${p.max_age_days != null ? `, tolerance ${p.max_age_days}d` : ''}). Stale data should be flagged as a data gap, not treated as current.`
+          : `Carried over from a previous run (${origin}) — within tolerance but not re-measured this run. Do not describe it as a current reading.`
+      ));
+    }
+  } else {
+    const now = Date.now();
+    const stalePaths = [
+      { path: 'macro.brent_crude.updated', label: 'Brent Crude timestamp' },
+      { path: 'macro.usd_jpy.updated', label: 'USD/JPY timestamp' },
+      { path: 'macro.jpn_10y.updated', label: 'JGB 10Y timestamp' },
+    ];
+
+    for (const { path, label } of stalePaths) {
+      const ts = getNestedValue(inputData, path);
+      if (ts) {
+        const age = now - new Date(ts).getTime();
+        const hoursOld = age / (1000 * 60 * 60);
+        if (hoursOld > 24) {
+          flags.push(createFlag(
+            'LZ-EH-004',
+            label,
+            `Data is ${Math.round(hoursOld)} hours old. Stale data should be flagged as a data gap, not treated as current.`
+          ));
+        }
       }
     }
   }
@@ -211,7 +247,7 @@ function checkNullHypothesisPresence(inferences) {
 
 /**
  * LZ-MR-003: Simultaneous vs staggered measurement.
- * Flags temporal gaps between input data source timestamps.
+ * Flags temporal gaps between input data fetch times (provenance.fetched_at).
  * Requires the input data (dashboard-data.json), not the layer output.
  *
  * @param {object} inputData — dashboard-data.json contents
@@ -222,23 +258,33 @@ function checkTemporalGaps(inputData, maxGapHours = 6) {
   const flags = [];
   if (!inputData) return flags;
 
-  const timestampPaths = [
-    { path: 'macro.brent_crude.updated', label: 'Brent Crude' },
-    { path: 'macro.usd_jpy.updated', label: 'USD/JPY' },
-    { path: 'macro.jpn_10y.updated', label: 'JGB 10Y' },
-    { path: 'macro.dxy.updated', label: 'DXY' },
-    { path: 'macro.sp500.updated', label: 'S&P 500' },
-    { path: 'xrp.updated', label: 'XRP' },
-    { path: 'rlusd.updated', label: 'RLUSD' },
-  ];
-
+  // Measurement time is provenance.fetched_at — a carryover keeps the time it
+  // was actually fetched, so a three-day-old value opens a three-day gap.
   const timestamps = [];
-  for (const { path, label } of timestampPaths) {
-    const ts = getNestedValue(inputData, path);
-    if (ts) {
-      const ms = new Date(ts).getTime();
-      if (!isNaN(ms)) {
-        timestamps.push({ label, ms });
+  const provenance = collectProvenance(inputData);
+  if (provenance.length > 0) {
+    for (const { path, provenance: p } of provenance) {
+      const ms = p.fetched_at ? new Date(p.fetched_at).getTime() : NaN;
+      if (!isNaN(ms)) timestamps.push({ label: p.carried_over ? `${path} (carried over)` : path, ms });
+    }
+  } else {
+    const timestampPaths = [
+      { path: 'macro.brent_crude.updated', label: 'Brent Crude' },
+      { path: 'macro.usd_jpy.updated', label: 'USD/JPY' },
+      { path: 'macro.jpn_10y.updated', label: 'JGB 10Y' },
+      { path: 'macro.dxy.updated', label: 'DXY' },
+      { path: 'macro.sp500.updated', label: 'S&P 500' },
+      { path: 'xrp.updated', label: 'XRP' },
+      { path: 'rlusd.updated', label: 'RLUSD' },
+    ];
+
+    for (const { path, label } of timestampPaths) {
+      const ts = getNestedValue(inputData, path);
+      if (ts) {
+        const ms = new Date(ts).getTime();
+        if (!isNaN(ms)) {
+          timestamps.push({ label, ms });
+        }
       }
     }
   }
@@ -412,6 +458,28 @@ function getNestedValue(obj, path) {
   }, obj);
 }
 
+/**
+ * Every metric in dashboard-data.json that carries a provenance block
+ * (written by fetch-data.js). Returns [{ path, provenance }].
+ */
+function collectProvenance(inputData) {
+  const found = [];
+  const walk = (node, prefix, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node) || depth > 3) return;
+    for (const [key, value] of Object.entries(node)) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (key === 'provenance') {
+        found.push({ path: prefix, provenance: value });
+      } else {
+        walk(value, path, depth + 1);
+      }
+    }
+  };
+  walk(inputData, '', 0);
+  return found;
+}
+
 // ─── 4 Layer-Specific Routers ────────────────────────────────────────────────
 
 /**
@@ -900,6 +968,7 @@ module.exports = {
   checkZeroGapOutput,
   checkConfidenceEvidenceRatio,
   checkAssumptionLimit,
+  collectProvenance,
 
   // Export layer validators for direct use
   validateLayer1,
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Shared repository path resolution.
+ *
+ * Pipeline modules resolve data/, config/ and scripts/ state files through
+ * these constants instead of walking up from __dirname. Setting
+ * OVERWATCH_ROOT points an entire run at a different tree — the cassette
+ * replay uses this to run the production pipeline inside an isolated
+ * workspace without touching the real ledgers.
+ *
+ * Domains: one install can monitor several theses. `--domain <id>` on the
+ * command line (or OVERWATCH_DOMAIN in the environment) moves every state
+ * file into domains/<id>/:
+ *
+ *   domains/<id>/
+ *     config/domain.json         — domain framing, kill switch targets, budgets
+ *     config/signal-aliases.json
+ *     thesis-context.md          — the thesis under monitoring
+ *     dashboard-data.json        — Stage 1 output
+ *     analysis-output.json
+ *     analysis-history.json, pipeline-health.json, events-history.json
+ *     data/                      — ledgers, calibration, 360 history, traces
+ *
+ * In domain mode ROOT_DIR is the domain directory and SCRIPTS_DIR (the home
+ * of the script-side state files) is the domain directory itself. Without a
+ * domain the original single-thesis layout is used unchanged.
+ *
+ * Files every domain shares — Layer Zero rules, layer output schemas, the
+ * data contract — resolve through sharedPath(): a domain may override them
+ * with its own copy, otherwise the repository's copy is used.
+ *
+ * Source code always loads from the real scripts/ directory. Only state
+ * files move.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+
+const DOMAIN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Read the domain ID from `--domain <id>` / `--domain=<id>`, falling back to
+ * OVERWATCH_DOMAIN. The resolved ID is written back to the environment so
+ * child processes (fetch-data, cassette replays) inherit it.
+ */
+function resolveDomainId() {
+  let id = process.env.OVERWATCH_DOMAIN || '';
+  const argv = process.argv;
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--domain' && argv[i + 1]) id = argv[i + 1];
+    else if (argv[i].startsWith('--domain=')) id = argv[i].slice('--domain='.length);
+  }
+  if (!id) return null;
+  if (!DOMAIN_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid domain id "${id}" — use letters, digits, "-" and "_"`);
+  }
+  process.env.OVERWATCH_DOMAIN = id;
+  return id;
+}
+
+const REPO_ROOT = process.env.OVERWATCH_ROOT
+  ? path.resolve(process.env.OVERWATCH_ROOT)
+  : path.join(__dirname, '..', '..');
+
+const DOMAINS_DIR = path.join(REPO_ROOT, 'domains');
+const DOMAIN_ID   = resolveDomainId();
+const DOMAIN_DIR  = DOMAIN_ID ? path.join(DOMAINS_DIR, DOMAIN_ID) : null;
+
+const ROOT_DIR    = DOMAIN_DIR || REPO_ROOT;
+const DATA_DIR    = path.join(ROOT_DIR, 'data');
+const CONFIG_DIR  = path.join(ROOT_DIR, 'config');
+const SCRIPTS_DIR = DOMAIN_DIR || path.join(ROOT_DIR, 'scripts');
+
+/**
+ * Resolve a repo-relative file that every domain shares unless it ships its
+ * own copy (e.g. 'data/layer-zero.json', 'data-contract.json').
+ */
+function sharedPath(relPath) {
+  const own = path.join(ROOT_DIR, relPath);
+  if (!DOMAIN_DIR || fs.existsSync(own)) return own;
+  return path.join(REPO_ROOT, relPath);
+}
+
+/**
+ * CLI arguments with `--domain <id>` removed, for scripts that read
+ * positional arguments (e.g. `calibration-lifecycle.js --domain btc status`).
+ */
+function stripDomainArgs(args) {
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--domain') { i++; continue; }
+    if (args[i].startsWith('--domain=')) continue;
+    out.push(args[i]);
+  }
+  return out;
+}
+
+/**
+ * Domain IDs that have a config/domain.json under domains/.
+ */
+function listDomains() {
+  if (!fs.existsSync(DOMAINS_DIR)) return [];
+  return fs.readdirSync(DOMAINS_DIR)
+    .filter(id => DOMAIN_ID_PATTERN.test(id) && fs.existsSync(path.join(DOMAINS_DIR, id, 'config', 'domain.json')))
+    .sort();
+}
+
+module.exports = {
+  REPO_ROOT,
+  DOMAINS_DIR,
+  DOMAIN_ID,
+  DOMAIN_DIR,
+  ROOT_DIR,
+  DATA_DIR,
+  CONFIG_DIR,
+  SCRIPTS_DIR,
+  sharedPath,
+  stripDomainArgs,
+  listDomains,
+};
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator.
+ *
+ * Covers the keywords used by data/schema-layer*-output.json: type, required,
+ * properties, additionalProperties, items, enum, const, pattern, minLength,
+ * maxLength, minimum, maximum, minItems, maxItems, anyOf, oneOf, allOf and
+ * local $ref (#/definitions/...). Unknown keywords are ignored, as the spec
+ * requires.
+ *
+ * No dependency — the layer schemas are small and this keeps validation
+ * deterministic and offline.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function typeMatches(value, expected) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+function childPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path: at || '(root)', keyword: 'false', message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) {
+      errors.push({ path: at || '(root)', keyword: '$ref', message: `unresolvable reference ${schema.$ref}` });
+      return;
+    }
+    validateNode(value, target, root, at, errors);
+    return;
+  }
+
+  const here = at || '(root)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(value, t))) {
+      errors.push({ path: here, keyword: 'type', message: `expected ${types.join(' | ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path: here, keyword: 'const', message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push({ path: here, keyword: 'enum', message: `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')} (got ${JSON.stringify(value)})` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: here, keyword: 'minLength', message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: here, keyword: 'maxLength', message: `must be at most ${schema.maxLength} character(s)` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: here, keyword: 'pattern', message: `must match ${schema.pattern} (got ${JSON.stringify(value)})` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: here, keyword: 'minimum', message: `must be >= ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: here, keyword: 'maximum', message: `must be <= ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: here, keyword: 'minItems', message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: here, keyword: 'maxItems', message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => validateNode(item, schema.items, root, childPath(at, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(at, key), keyword: 'required', message: 'is required but missing' });
+      }
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in props) {
+        validateNode(child, props[key], root, childPath(at, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(at, key), keyword: 'additionalProperties', message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, childPath(at, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) validateNode(value, sub, root, at, errors);
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const passing = schema.anyOf.filter(sub => validate(value, sub, root).valid);
+    if (passing.length === 0) errors.push({ path: here, keyword: 'anyOf', message: 'matches none of the allowed shapes' });
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const passing = schema.oneOf.filter(sub => validate(value, sub, root).valid);
+    if (passing.length !== 1) errors.push({ path: here, keyword: 'oneOf', message: `must match exactly one allowed shape (matched ${passing.length})` });
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*}      value
+ * @param {object} schema
+ * @param {object} [root] — schema used to resolve $ref (defaults to schema)
+ * @returns {{ valid: boolean, errors: Array<{ path: string, keyword: string, message: string }> }}
+ */
+function validate(value, schema, root) {
+  const errors = [];
+  validateNode(value, schema, root || schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = { validate };
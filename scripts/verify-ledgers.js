@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Verify Ledgers — check the hash chains of the append-only ledgers
+ *
+ * Walks every sealed ledger in data/ (gate review, corrections, rejection log,
+ * acquisition outcomes) and the cognitive trace chain, and reports edits,
+ * deletions, reorderings, unsealed writes and bad signatures. See
+ * ledger-integrity.js for the seal format.
+ *
+ * Usage:
+ *   node scripts/verify-ledgers.js                  — verify, write data/ledger-integrity.json
+ *   node scripts/verify-ledgers.js --seal           — adopt unsealed ledgers/traces first, then verify
+ *   node scripts/verify-ledgers.js --json           — print the report as JSON
+ *   node scripts/verify-ledgers.js --keygen <path>  — create an Ed25519 signing key: the private
+ *                                                     key to <path> (e.g. ~/overwatch.key.pem), the
+ *                                                     public key to config/ledger-keys/
+ *
+ * Exits 1 when anything is TAMPERED. The report feeds the integrity badge in
+ * trace.html.
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const path = require('path');
+const fs   = require('fs');
+
+const { DATA_DIR, stripDomainArgs } = require('./utils/paths');
+const {
+  LEDGERS,
+  PUBLIC_KEYS_DIR,
+  loadSigningKey,
+  loadPublicKeys,
+  generateSigningKey,
+  verifyLedger,
+  verifyTraces,
+  sealAll,
+} = require('./ledger-integrity');
+
+const REPORT_PATH = path.join(DATA_DIR, 'ledger-integrity.json');
+// Issues listed per ledger in the report; the counts are always complete
+const MAX_REPORTED_ISSUES = 50;
+
+function log(msg)  { console.log(`[verify-ledgers] ${msg}`); }
+function err(msg)  { console.error(`[verify-ledgers] ERROR: ${msg}`); }
+
+// ─── Verification ───────────────────────────────────────────────────────────
+
+/**
+ * Verify every ledger and the trace chain.
+ * @param {object} [options] — { dir, keysDir }
+ * @returns {object} report — { _verified_at, status, ledgers, traces }
+ */
+function verifyAll(options) {
+  const opts = options || {};
+  const publicKeys = loadPublicKeys(opts.keysDir);
+  const results = [
+    ...Object.keys(LEDGERS).map(name => verifyLedger(name, { dir: opts.dir, publicKeys })),
+    verifyTraces({ dir: opts.dir, publicKeys }),
+  ];
+
+  const ledgers = {};
+  for (const r of results) {
+    ledgers[r.ledger] = {
+      status:  r.missing ? 'MISSING' : r.status,
+      entries: r.count,
+      sealed:  r.sealed,
+      signed:  r.signed,
+      amended: r.amended,
+      head:    r.head,
+      issue_count: r.issues.length,
+      issues:  r.issues.slice(0, MAX_REPORTED_ISSUES),
+    };
+  }
+
+  // Per-run status for the trace viewer's badge
+  const tracesResult = results[results.length - 1];
+  const traces = {};
+  for (const item of tracesResult.items) {
+    traces[item.label] = { status: item.status, seq: item.seq, hash: item.hash || null, signed: item.signed, issues: item.issues || [] };
+  }
+  // Chain-level findings (truncation) apply to the head of the chain
+  for (const issue of tracesResult.issues.filter(i => i.index === null)) {
+    const last = tracesResult.items[tracesResult.items.length - 1];
+    if (last) {
+      traces[last.label].status = 'TAMPERED';
+      traces[last.label].issues.push(issue.type);
+    }
+  }
+
+  const statuses = Object.values(ledgers).map(l => l.status);
+  return {
+    _verified_at: new Date().toISOString(),
+    _public_keys: Object.keys(publicKeys),
+    status: statuses.includes('TAMPERED') ? 'TAMPERED'
+      : statuses.includes('UNSEALED') ? 'UNSEALED'
+      : 'VERIFIED',
+    ledgers,
+    traces,
+  };
+}
+
+function printReport(report) {
+  console.log(`\n=== LEDGER INTEGRITY: ${report.status} ===\n`);
+  for (const [name, l] of Object.entries(report.ledgers)) {
+    const signed = l.sealed ? ` | signed ${l.signed}/${l.sealed}` : '';
+    const amended = l.amended ? ` | ${l.amended} amended` : '';
+    console.log(`${name.padEnd(28)} ${l.status.padEnd(9)} ${String(l.entries).padStart(4)} entries, ${l.sealed} sealed${signed}${amended}`);
+    for (const issue of l.issues) {
+      console.log(`    ✗ ${issue.type.padEnd(13)} ${issue.label}${issue.seq != null ? ` (seq ${issue.seq})` : ''}: ${issue.detail}`);
+    }
+    if (l.issue_count > l.issues.length) console.log(`    … ${l.issue_count - l.issues.length} more`);
+  }
+  if (report.status === 'UNSEALED') {
+    console.log('\nUnsealed ledgers are adopted on their next write, or now with --seal.');
+  }
+  console.log('');
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = { REPORT_PATH, verifyAll };
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = stripDomainArgs(process.argv.slice(2));
+
+  if (args.includes('--keygen')) {
+    const target = args[args.indexOf('--keygen') + 1];
+    if (!target || target.startsWith('--')) {
+      err('Usage: --keygen <private-key-path>');
+      process.exit(1);
+    }
+    try {
+      const { keyId, publicKeyPath } = generateSigningKey(path.resolve(target));
+      log(`Signing key ${keyId} created.`);
+      log(`Private key: ${path.resolve(target)} — keep it out of the repository; set OVERWATCH_LEDGER_KEY to it (or its contents).`);
+      log(`Public key:  ${publicKeyPath} — commit it so verification can check signatures.`);
+    } catch (e) {
+      err(`Key generation failed: ${e.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (args.includes('--seal')) {
+    const key = loadSigningKey();
+    const sealed = sealAll();
+    log(`Sealed ${Object.entries(sealed).map(([k, n]) => `${k}: ${n}`).join(', ')}${key ? ` (signed, key ${key.keyId})` : ' (unsigned)'}`);
+  }
+
+  const report = verifyAll();
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    log(`Report written to ${path.basename(REPORT_PATH)} (public keys: ${report._public_keys.join(', ') || `none in ${path.basename(PUBLIC_KEYS_DIR)}/`})`);
+  }
+
+  process.exit(report.status === 'TAMPERED' ? 1 : 0);
+}
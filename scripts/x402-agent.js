@@ -26,6 +26,10 @@
  *   Step 5 — Merchant verifies + settles via T54; tx submitted to XRPL mainnet
  *   Step 6 — Receive 200 + data + PAYMENT-RESPONSE header
  *   Step 7 — Write all three transactions to dashboard-data.json x402_agent block
+ *
+ * Offline: run against x402-facilitator-sim.js — set XRPL_FACILITATOR_URL and
+ * XRPL_MAINNET_WS to the simulator and OVERWATCH_ROOT to a scratch workspace
+ * (not a git repo, so nothing is pushed).
  */
 
 const path   = require('path');
@@ -36,6 +40,7 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const xrpl      = require('xrpl');
 const simpleGit = require('simple-git');
+const { REPO_ROOT, ROOT_DIR } = require('./utils/paths');
 
 // ─── Config ────────────────────────────────────────────────────────────────
 
@@ -49,8 +54,7 @@ if (!AGENT_SEED) {
 const MERCHANT_BASE   = process.env.X402_MERCHANT_BASE  ?? 'http://127.0.0.1:4403';
 const FACILITATOR_URL = process.env.XRPL_FACILITATOR_URL ?? 'https://xrpl-facilitator-mainnet.t54.ai';
 const MAINNET_WS      = process.env.XRPL_MAINNET_WS     ?? 'wss://xrplcluster.com';
-const DATA_FILE       = path.join(__dirname, '..', 'dashboard-data.json');
-const REPO_ROOT       = path.join(__dirname, '..');
+const DATA_FILE       = path.join(ROOT_DIR, 'dashboard-data.json');
 
 // Endpoints to hit in sequence — each is an independent x402 transaction
 const ENDPOINTS = [
@@ -491,7 +495,7 @@ async function main() {
 
   // Push
   const stamp = new Date().toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
-  await pushFiles(['dashboard-data.json'], `auto: x402 mainnet agent update ${stamp}`);
+  await pushFiles([path.relative(REPO_ROOT, DATA_FILE)], `auto: x402 mainnet agent update ${stamp}`);
 
   // Summary
   console.log('\n─── x402 Agent Summary ──────────────────────────────');
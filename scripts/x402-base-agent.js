@@ -300,10 +300,12 @@ async function executeBaseAcquisition(channel, query, opts = {}) {
       },
       body: JSON.stringify(body)
     });
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(`x402 payment flow timed out (${adapter.timeoutMs}ms)`)), adapter.timeoutMs)
-    );
-    const response = await Promise.race([x402Promise, timeoutPromise]);
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`x402 payment flow timed out (${adapter.timeoutMs}ms)`)), adapter.timeoutMs);
+    });
+    // Clear the timer either way — a pending one holds the process open for up to timeoutMs
+    const response = await Promise.race([x402Promise, timeoutPromise]).finally(() => clearTimeout(timer));
 
     if (!response.ok) {
       const errorText = await response.text().catch(() => '');
@@ -18,7 +18,7 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const { DATA_DIR } = require('./utils/paths');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -248,4 +248,11 @@ function detectCognitiveBehavior(paperTradeLog, layer4Output, domainConfig, runC
   return findings;
 }
 
-module.exports = { detectCognitiveBehavior };
+module.exports = {
+  detectCognitiveBehavior,
+  // Individual detectors exported for testing
+  detectInquiryScopeCreep,
+  detectStructuralGapNeglect,
+  detectQuestionRecycling,
+  detectAcquisitionDormancy,
+};
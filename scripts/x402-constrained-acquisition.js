@@ -33,7 +33,8 @@
 const path = require('path');
 const fs   = require('fs');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const { DATA_DIR } = require('./utils/paths');
+const { writeLedger } = require('./ledger-integrity');
 const OUTCOMES_PATH = path.join(DATA_DIR, 'acquisition-outcomes.json');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -59,11 +60,12 @@ function loadOutcomes(outcomesPath) {
 }
 
 /**
- * Save acquisition outcomes to disk.
+ * Save acquisition outcomes to disk. New outcome records are sealed into the
+ * ledger's hash chain (ledger-integrity.js).
  */
 function saveOutcomes(data, outcomesPath) {
   const p = outcomesPath || OUTCOMES_PATH;
-  fs.writeFileSync(p, JSON.stringify(data, null, 2));
+  writeLedger(p, data, { key: 'outcomes' });
 }
 
 /**
@@ -0,0 +1,851 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Overwatch Terminal — x402 Facilitator Simulator
+ *
+ * A local stand-in for the T54 XRPL facilitator and the Base vendor paywalls,
+ * backed by an in-memory ledger, so the x402 flow can be exercised end to end
+ * without mainnet funds:
+ *
+ *   x402-merchant.js        XRPL_FACILITATOR_URL=http://127.0.0.1:4404
+ *   x402-agent.js           XRPL_FACILITATOR_URL=http://127.0.0.1:4404
+ *                           XRPL_MAINNET_WS=ws://127.0.0.1:4404
+ *   executeBaseAcquisition  channel.facilitator = http://127.0.0.1:4404/vendor/firecrawl
+ *
+ * One port serves everything:
+ *
+ *   GET  /supported  POST /verify  POST /settle   — facilitator API (T54 shape)
+ *   WebSocket upgrade, POST /                     — simulated rippled: server_info,
+ *                                                   account_info, ledger, fee, submit, tx
+ *   POST /vendor/firecrawl  POST /vendor/messari  — Base USDC paywalls with canned bodies
+ *   POST /__sim/fund  POST /__sim/inject          — test control
+ *   GET  /__sim/state GET  /__sim/receipts
+ *
+ * Verification is real, not stubbed. XRPL payments are decoded and their
+ * signatures checked with xrpl.js, then matched against the requirements
+ * (destination, amount, invoice binding, Sequence, LastLedgerSequence,
+ * balance above the reserve). Base payments go through @x402/evm's own
+ * ExactEvmScheme facilitator against a simulated USDC contract, so EIP-3009
+ * signatures, nonces and balances are checked the way the hosted facilitator
+ * checks them. Settlement moves balances, advances the payer's Sequence,
+ * closes a ledger and appends a receipt. Replaying a settled payment fails as
+ * a double spend; paying from an unfunded account fails on funds; paying a
+ * destination that does not exist fails unless the amount covers its reserve.
+ *
+ * Injected faults take over the next matching facilitator call regardless of
+ * the payment: timeout (the facilitator hangs), invalid_signature,
+ * insufficient_funds, double_spend (verify passes, settlement is rejected).
+ *
+ * xrpl and ws are optional here (the merchant and agent already need xrpl):
+ * without xrpl the XRPL scheme is not registered, without ws the simulated
+ * rippled answers JSON-RPC only.
+ *
+ * CLI:
+ *   node scripts/x402-facilitator-sim.js [--port 4404]
+ *     [--fund <address>=<amount>]...   XRP for r-addresses, USDC for 0x addresses
+ *     [--inject <fault>[:<count>]]...
+ *
+ * Programmatic (integration tests):
+ *   const sim = createSimulator({ port: 0, fund: { [agent]: '100' } });
+ *   await sim.start();  sim.inject('double_spend');  ...  await sim.stop();
+ *
+ * The Integrity Protocol (Patent Pending) — Timothy Joseph Wrenn
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const DEFAULT_PORT  = 4404;
+const X402_VERSION  = 2;
+const XRPL_NETWORK  = process.env.XRPL_NETWORK ?? 'xrpl:0';
+const BASE_NETWORK  = process.env.X402_SIM_BASE_NETWORK ?? 'eip155:8453';
+
+// XRPL: 10 XRP base reserve (matches the agent's balance floor), 10-drop fee
+const XRPL_RESERVE_DROPS = 10_000_000n;
+const XRPL_BASE_FEE_DROPS = 10n;
+
+// Simulated USDC — Base mainnet address and EIP-712 domain, 6 decimals
+const USDC = {
+  address:  '0x833589fCD6eDb6E08F4C3C32D4f71b54BDA02913',
+  name:     'USD Coin',
+  version:  '2',
+  decimals: 6,
+};
+
+const FACILITATOR_EVM_ADDRESS = '0x000000000000000000000000000000000000fac1';
+const VENDOR_PAY_TO           = '0x000000000000000000000000000000000000f402';
+
+const FAULTS = ['timeout', 'invalid_signature', 'insufficient_funds', 'double_spend'];
+// Stage a fault fires at unless the injection says otherwise
+const FAULT_STAGE = {
+  timeout:            'verify',
+  invalid_signature:  'verify',
+  insufficient_funds: 'verify',
+  double_spend:       'settle',
+};
+// Longer than every client timeout in the repo (merchant settle 30s, agent 45s)
+const DEFAULT_HANG_MS = 60_000;
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+
+function log(msg)  { console.log(`[x402-sim] ${msg}`); }
+function warn(msg) { console.warn(`[x402-sim] WARN: ${msg}`); }
+function err(msg)  { console.error(`[x402-sim] ERROR: ${msg}`); }
+
+// ─── Dependencies ───────────────────────────────────────────────────────────
+
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch (e) {
+    if (e.code === 'MODULE_NOT_FOUND') return null;
+    throw e;
+  }
+}
+
+// ─── Amount helpers ─────────────────────────────────────────────────────────
+
+/** '12.5' with 6 decimals → 12500000n. Rejects more decimals than the asset has. */
+function toBaseUnits(amount, decimals) {
+  const text = String(amount).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) throw new Error(`Invalid amount "${amount}"`);
+  const [whole, frac = ''] = text.split('.');
+  if (frac.length > decimals) throw new Error(`Amount "${amount}" has more than ${decimals} decimals`);
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(frac.padEnd(decimals, '0') || '0');
+}
+
+function fromBaseUnits(units, decimals) {
+  const base = 10n ** BigInt(decimals);
+  const frac = (units % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return frac ? `${units / base}.${frac}` : String(units / base);
+}
+
+function randomHash() {
+  return crypto.randomBytes(32).toString('hex').toUpperCase();
+}
+
+function isEvmAddress(address) {
+  return /^0x[0-9a-fA-F]{40}$/.test(address);
+}
+
+function isXrplAddress(address) {
+  return /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(address);
+}
+
+function sleep(ms, timers) {
+  return new Promise(resolve => {
+    const t = setTimeout(() => { timers.delete(t); resolve(); }, ms);
+    timers.add(t);
+  });
+}
+
+// ─── Simulated ledger ───────────────────────────────────────────────────────
+//
+// XRPL accounts are keyed by classic address; USDC balances and used EIP-3009
+// authorizations by lowercase 0x address. The XRPL ledger closes once per
+// settlement — enough for LastLedgerSequence checks.
+
+function createLedger() {
+  return {
+    ledgerIndex: 1,
+    accounts:    new Map(),   // r-address → { balance: drops (BigInt), sequence }
+    txs:         new Map(),   // hash → validated transaction record
+    usdc:        new Map(),   // 0x address (lowercase) → base units (BigInt)
+    authorizations: new Set(),// `${from}:${nonce}` (lowercase)
+    evmTxs:      new Set(),
+    receipts:    [],
+  };
+}
+
+function fund(ledger, address, amount) {
+  if (isEvmAddress(address)) {
+    const key = address.toLowerCase();
+    ledger.usdc.set(key, (ledger.usdc.get(key) ?? 0n) + toBaseUnits(amount, USDC.decimals));
+    return;
+  }
+  if (!isXrplAddress(address)) throw new Error(`"${address}" is neither an XRPL classic address nor a 0x address`);
+  const drops = toBaseUnits(amount, 6);
+  const account = ledger.accounts.get(address);
+  if (account) account.balance += drops;
+  else ledger.accounts.set(address, { balance: drops, sequence: ledger.ledgerIndex });
+}
+
+function snapshot(ledger) {
+  const accounts = {};
+  for (const [address, a] of ledger.accounts) {
+    accounts[address] = { balance_xrp: fromBaseUnits(a.balance, 6), sequence: a.sequence };
+  }
+  const usdc = {};
+  for (const [address, units] of ledger.usdc) usdc[address] = fromBaseUnits(units, USDC.decimals);
+  return { ledger_index: ledger.ledgerIndex, accounts, usdc, receipts: ledger.receipts.length };
+}
+
+// ─── XRPL exact scheme ──────────────────────────────────────────────────────
+
+/**
+ * Check a signed XRPL Payment against the ledger. Returns
+ * { ok: true, tx, hash, payer } or { ok: false, reason, payer }.
+ * requirements is null for a bare rippled submit.
+ */
+function checkXrplPayment(xrpl, ledger, blob, requirements) {
+  if (!blob) return { ok: false, reason: 'missing_signed_tx' };
+
+  let tx;
+  try {
+    tx = xrpl.decode(blob);
+  } catch (e) {
+    return { ok: false, reason: 'invalid_payload' };
+  }
+  const payer = tx.Account;
+
+  let signed = false;
+  try {
+    signed = xrpl.verifySignature(blob) && xrpl.deriveAddress(tx.SigningPubKey) === payer;
+  } catch (_) {}
+  if (!signed) return { ok: false, reason: 'invalid_signature', payer };
+
+  if (tx.TransactionType !== 'Payment') return { ok: false, reason: 'invalid_transaction_type', payer };
+  if (typeof tx.Amount !== 'string') return { ok: false, reason: 'unsupported_asset', payer };
+
+  if (requirements) {
+    if (tx.Destination !== requirements.payTo) return { ok: false, reason: 'recipient_mismatch', payer };
+    if (tx.Amount !== String(requirements.amount)) return { ok: false, reason: 'amount_mismatch', payer };
+
+    const invoiceId = requirements.extra?.invoiceId;
+    if (invoiceId) {
+      const invoiceHash = crypto.createHash('sha256').update(invoiceId, 'utf8').digest('hex').toUpperCase();
+      const memoData    = Buffer.from(invoiceId, 'utf8').toString('hex').toUpperCase();
+      const bound = tx.InvoiceID === invoiceHash
+        || (tx.Memos ?? []).some(m => m.Memo?.MemoData?.toUpperCase() === memoData);
+      if (!bound) return { ok: false, reason: 'invoice_binding_mismatch', payer };
+    }
+  }
+
+  const account = ledger.accounts.get(payer);
+  if (!account) return { ok: false, reason: 'account_not_found', payer };
+
+  const hash = xrpl.hashes.hashSignedTx(blob);
+  if (ledger.txs.has(hash) || tx.Sequence < account.sequence) return { ok: false, reason: 'double_spend', payer };
+  if (tx.Sequence > account.sequence) return { ok: false, reason: 'sequence_ahead', payer };
+  if (tx.LastLedgerSequence != null && tx.LastLedgerSequence < ledger.ledgerIndex) {
+    return { ok: false, reason: 'expired', payer };
+  }
+
+  const amount = BigInt(tx.Amount);
+  if (account.balance - amount - BigInt(tx.Fee) < XRPL_RESERVE_DROPS) {
+    return { ok: false, reason: 'insufficient_funds', payer };
+  }
+  if (!ledger.accounts.has(tx.Destination) && amount < XRPL_RESERVE_DROPS) {
+    return { ok: false, reason: 'destination_not_funded', payer };
+  }
+
+  return { ok: true, tx, hash, payer };
+}
+
+/** Apply a checked payment and close the ledger. */
+function applyXrplPayment(ledger, checked) {
+  const { tx, hash } = checked;
+  const amount  = BigInt(tx.Amount);
+  const account = ledger.accounts.get(tx.Account);
+  account.balance -= amount + BigInt(tx.Fee);
+  account.sequence += 1;
+
+  const dest = ledger.accounts.get(tx.Destination);
+  if (dest) dest.balance += amount;
+  else ledger.accounts.set(tx.Destination, { balance: amount, sequence: ledger.ledgerIndex });
+
+  ledger.txs.set(hash, {
+    ...tx,
+    hash,
+    ledger_index: ledger.ledgerIndex,
+    validated:    true,
+    meta:         { TransactionResult: 'tesSUCCESS', delivered_amount: tx.Amount },
+  });
+  ledger.ledgerIndex += 1;
+}
+
+/** SchemeNetworkFacilitator for XRP payments carried as { signedTxBlob, invoiceId }. */
+function createXrplScheme(xrpl, ledger) {
+  return {
+    scheme:     'exact',
+    caipFamily: 'xrpl:*',
+    getExtra()   { return undefined; },
+    getSigners() { return []; },
+
+    async verify(paymentPayload, requirements) {
+      const checked = checkXrplPayment(xrpl, ledger, paymentPayload.payload?.signedTxBlob, requirements);
+      return checked.ok
+        ? { isValid: true, payer: checked.payer }
+        : { isValid: false, invalidReason: checked.reason, payer: checked.payer };
+    },
+
+    async settle(paymentPayload, requirements) {
+      const checked = checkXrplPayment(xrpl, ledger, paymentPayload.payload?.signedTxBlob, requirements);
+      if (!checked.ok) {
+        return { success: false, errorReason: checked.reason, transaction: '', network: requirements.network, payer: checked.payer };
+      }
+      applyXrplPayment(ledger, checked);
+      return { success: true, transaction: checked.hash, network: requirements.network, payer: checked.payer };
+    },
+  };
+}
+
+// ─── Simulated USDC (Base) ──────────────────────────────────────────────────
+//
+// FacilitatorEvmSigner for @x402/evm's ExactEvmScheme. Signatures are checked
+// by the scheme itself (viem verifyTypedData); the simulated contract enforces
+// what the chain would: unused nonce, validity window, balance.
+
+function createEvmSigner(viem, ledger) {
+  const abi = viem.parseAbi([
+    'function balanceOf(address account) view returns (uint256)',
+    'function name() view returns (string)',
+    'function version() view returns (string)',
+    'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+    'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+    'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes signature)',
+  ]);
+
+  const isUsdc = address => address?.toLowerCase() === USDC.address.toLowerCase();
+
+  // Reverts (throws) the way FiatTokenV2 would
+  function checkTransfer(args) {
+    const [from, , value, validAfter, validBefore, nonce] = args;
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (ledger.authorizations.has(`${from}:${nonce}`.toLowerCase())) throw new Error('FiatTokenV2: authorization is used or canceled');
+    if (now <= BigInt(validAfter))  throw new Error('FiatTokenV2: authorization is not yet valid');
+    if (now >= BigInt(validBefore)) throw new Error('FiatTokenV2: authorization is expired');
+    if ((ledger.usdc.get(from.toLowerCase()) ?? 0n) < BigInt(value)) throw new Error('ERC20: transfer amount exceeds balance');
+  }
+
+  function staticCall(target, callData) {
+    if (!isUsdc(target)) return { success: false, returnData: '0x' };
+    try {
+      const { functionName, args } = viem.decodeFunctionData({ abi, data: callData });
+      if (functionName === 'transferWithAuthorization') {
+        checkTransfer(args);
+        return { success: true, returnData: '0x' };
+      }
+      const result = {
+        balanceOf:          () => ledger.usdc.get(args?.[0]?.toLowerCase()) ?? 0n,
+        name:               () => USDC.name,
+        version:            () => USDC.version,
+        authorizationState: () => ledger.authorizations.has(`${args[0]}:${args[1]}`.toLowerCase()),
+      }[functionName]();
+      return { success: true, returnData: viem.encodeFunctionResult({ abi, functionName, result }) };
+    } catch (_) {
+      return { success: false, returnData: '0x' };
+    }
+  }
+
+  return {
+    getAddresses: () => [FACILITATOR_EVM_ADDRESS],
+    verifyTypedData: args => viem.verifyTypedData(args),
+    getCode: async () => '0x',
+
+    async readContract({ address, functionName, args }) {
+      if (functionName === 'tryAggregate') return args[1].map(call => staticCall(call.target, call.callData));
+      if (functionName === 'transferWithAuthorization' && isUsdc(address)) return checkTransfer(args);
+      throw new Error(`readContract ${functionName} is not simulated`);
+    },
+
+    async writeContract({ address, functionName, args }) {
+      if (functionName !== 'transferWithAuthorization' || !isUsdc(address)) {
+        throw new Error(`writeContract ${functionName} is not simulated`);
+      }
+      checkTransfer(args);
+      const [from, to, value, , , nonce] = args;
+      const amount = BigInt(value);
+      ledger.usdc.set(from.toLowerCase(), ledger.usdc.get(from.toLowerCase()) - amount);
+      ledger.usdc.set(to.toLowerCase(), (ledger.usdc.get(to.toLowerCase()) ?? 0n) + amount);
+      ledger.authorizations.add(`${from}:${nonce}`.toLowerCase());
+      const hash = `0x${randomHash().toLowerCase()}`;
+      ledger.evmTxs.add(hash);
+      return hash;
+    },
+
+    async sendTransaction() { throw new Error('sendTransaction is not simulated'); },
+
+    async waitForTransactionReceipt({ hash }) {
+      return { status: ledger.evmTxs.has(hash) ? 'success' : 'reverted', transactionHash: hash };
+    },
+  };
+}
+
+// ─── Fault injection ────────────────────────────────────────────────────────
+
+function createFaultQueue() {
+  const queue = [];
+  return {
+    /** Queue a fault for the next `count` calls at its stage. */
+    add(fault, opts = {}) {
+      if (!FAULTS.includes(fault)) throw new Error(`Unknown fault "${fault}" — one of ${FAULTS.join(', ')}`);
+      const stage = opts.stage ?? FAULT_STAGE[fault];
+      if (stage !== 'verify' && stage !== 'settle') throw new Error(`Unknown stage "${stage}" — verify or settle`);
+      queue.push({ fault, stage, remaining: opts.count ?? 1, hangMs: opts.hangMs ?? DEFAULT_HANG_MS });
+    },
+    take(stage) {
+      const i = queue.findIndex(f => f.stage === stage);
+      if (i === -1) return null;
+      const entry = queue[i];
+      if (--entry.remaining <= 0) queue.splice(i, 1);
+      return entry;
+    },
+    list() { return queue.map(({ fault, stage, remaining }) => ({ fault, stage, remaining })); },
+    clear() { queue.length = 0; },
+  };
+}
+
+// ─── Simulated rippled ──────────────────────────────────────────────────────
+
+const RIPPLED_ERRORS = {
+  actNotFound: { error_code: 19, error_message: 'Account not found.' },
+  txnNotFound: { error_code: 29, error_message: 'Transaction not found.' },
+  unknownCmd:  { error_code: 32, error_message: 'Unknown method.' },
+  invalidParams: { error_code: 31, error_message: 'Invalid parameters.' },
+};
+
+// Facilitator reasons → rippled engine results for a bare submit
+const ENGINE_RESULTS = {
+  invalid_signature:      'temBAD_SIGNATURE',
+  invalid_payload:        'temMALFORMED',
+  account_not_found:      'terNO_ACCOUNT',
+  double_spend:           'tefPAST_SEQ',
+  sequence_ahead:         'terPRE_SEQ',
+  expired:                'tefMAX_LEDGER',
+  insufficient_funds:     'tecUNFUNDED_PAYMENT',
+  destination_not_funded: 'tecNO_DST_INSUF_XRP',
+};
+
+function rippledError(error) {
+  return { error, ...RIPPLED_ERRORS[error] };
+}
+
+/** Answer one rippled command. Returns { result } or an error object. */
+function rippled(sim, request) {
+  const { ledger } = sim;
+  const idx = ledger.ledgerIndex;
+  const ledgerHash = crypto.createHash('sha256').update(`ledger:${idx}`).digest('hex').toUpperCase();
+
+  switch (request.command) {
+    case 'ping':
+      return { result: {} };
+
+    case 'server_info':
+      return { result: { info: {
+        build_version:    'overwatch-x402-sim',
+        network_id:       Number(XRPL_NETWORK.split(':')[1]) || 0,
+        server_state:     'full',
+        complete_ledgers: `1-${idx}`,
+        load_factor:      1,
+        validated_ledger: {
+          seq: idx, hash: ledgerHash, age: 0,
+          base_fee_xrp:     Number(XRPL_BASE_FEE_DROPS) / 1e6,
+          reserve_base_xrp: Number(XRPL_RESERVE_DROPS) / 1e6,
+          reserve_inc_xrp:  2,
+        },
+      } } };
+
+    case 'fee':
+      return { result: {
+        ledger_current_index: idx + 1,
+        drops: { base_fee: String(XRPL_BASE_FEE_DROPS), minimum_fee: String(XRPL_BASE_FEE_DROPS), open_ledger_fee: String(XRPL_BASE_FEE_DROPS), median_fee: '5000' },
+      } };
+
+    case 'ledger':
+      return { result: { ledger_index: idx, ledger_hash: ledgerHash, validated: true, ledger: { ledger_index: String(idx), ledger_hash: ledgerHash, closed: true } } };
+
+    case 'ledger_current':
+      return { result: { ledger_current_index: idx + 1 } };
+
+    case 'account_info': {
+      const account = ledger.accounts.get(request.account);
+      if (!account) return rippledError('actNotFound');
+      return { result: {
+        account_data: { Account: request.account, Balance: account.balance.toString(), Sequence: account.sequence, Flags: 0, OwnerCount: 0 },
+        ledger_index: idx,
+        validated:    true,
+      } };
+    }
+
+    case 'tx': {
+      const tx = ledger.txs.get(String(request.transaction ?? '').toUpperCase());
+      return tx ? { result: tx } : rippledError('txnNotFound');
+    }
+
+    case 'submit': {
+      if (!sim.xrpl) return rippledError('unknownCmd');
+      if (!request.tx_blob) return rippledError('invalidParams');
+      const checked = checkXrplPayment(sim.xrpl, ledger, request.tx_blob, null);
+      if (checked.ok) applyXrplPayment(ledger, checked);
+      const engineResult = checked.ok ? 'tesSUCCESS' : (ENGINE_RESULTS[checked.reason] ?? 'temMALFORMED');
+      return { result: {
+        engine_result: engineResult,
+        accepted:      checked.ok,
+        applied:       checked.ok,
+        tx_blob:       request.tx_blob,
+        tx_json:       checked.tx ?? null,
+      } };
+    }
+
+    default:
+      return rippledError('unknownCmd');
+  }
+}
+
+function attachRippledSocket(sim, server) {
+  const ws = optionalRequire('ws');
+  if (!ws) {
+    warn('ws not installed — simulated rippled answers JSON-RPC (POST /) only');
+    return null;
+  }
+  const wss = new ws.WebSocketServer({ server });
+  wss.on('connection', socket => {
+    socket.on('message', raw => {
+      let request;
+      try {
+        request = JSON.parse(raw.toString());
+      } catch (_) {
+        socket.send(JSON.stringify({ type: 'response', status: 'error', error: 'badSyntax' }));
+        return;
+      }
+      const answer = rippled(sim, request);
+      socket.send(JSON.stringify(answer.result
+        ? { id: request.id, type: 'response', status: 'success', result: answer.result }
+        : { id: request.id, type: 'response', status: 'error', request, ...answer }));
+    });
+  });
+  return wss;
+}
+
+// ─── Vendor paywalls (Base) ─────────────────────────────────────────────────
+
+const VENDORS = {
+  firecrawl: {
+    amount:      '30000',   // 0.03 USDC — cost_per_request_usd of firecrawl-base
+    description: 'Simulated Firecrawl x402 search',
+    respond(body) {
+      const query = body.query ?? '';
+      const limit = Math.min(body.limit || 5, 10);
+      return {
+        success: true,
+        data: Array.from({ length: limit }, (_, i) => ({
+          title:       `Simulated result ${i + 1} for "${query.slice(0, 60)}"`,
+          description: `Canned search result ${i + 1} from the x402 facilitator simulator.`,
+          url:         `https://example.com/x402-sim/${i + 1}`,
+          markdown:    `# Simulated result ${i + 1}\n\nQuery: ${query}\n`,
+        })),
+      };
+    },
+  },
+  messari: {
+    amount:      '250000',  // 0.25 USDC — cost_per_request_usd of messari-base
+    description: 'Simulated Messari x402 chat completions',
+    respond(body) {
+      const question = body.messages?.[0]?.content ?? '';
+      return { data: { messages: [{ role: 'assistant', content: `Simulated Messari response to: ${question}` }] } };
+    },
+  },
+};
+
+function vendorRequirements(vendor) {
+  return {
+    scheme:            'exact',
+    network:           BASE_NETWORK,
+    asset:             USDC.address,
+    amount:            vendor.amount,
+    payTo:             VENDOR_PAY_TO,
+    maxTimeoutSeconds: 60,
+    extra:             { name: USDC.name, version: USDC.version },
+  };
+}
+
+async function handleVendor(sim, req, res, type) {
+  const vendor = VENDORS[type];
+  if (!vendor) return sendJSON(res, 404, { error: `Unknown vendor "${type}" — one of ${Object.keys(VENDORS).join(', ')}` });
+
+  const { encodePaymentRequiredHeader, decodePaymentSignatureHeader, encodePaymentResponseHeader } = require('@x402/core/http');
+  const requirements = vendorRequirements(vendor);
+  const body = await readJSON(req);
+  const signature = req.headers['payment-signature'];
+
+  if (!signature) {
+    const paymentRequired = {
+      x402Version: X402_VERSION,
+      resource: { url: `http://${req.headers.host}${req.url}`, description: vendor.description, mimeType: 'application/json' },
+      accepts:  [requirements],
+      error:    'Payment required',
+    };
+    return sendJSON(res, 402, paymentRequired, { 'PAYMENT-REQUIRED': encodePaymentRequiredHeader(paymentRequired) });
+  }
+
+  let paymentPayload;
+  try {
+    paymentPayload = decodePaymentSignatureHeader(signature);
+  } catch (e) {
+    return sendJSON(res, 400, { error: 'Invalid PAYMENT-SIGNATURE encoding' });
+  }
+
+  const verification = await sim.verify(paymentPayload, requirements);
+  if (!verification.isValid) {
+    log(`vendor ${type}: verify rejected — ${verification.invalidReason}`);
+    return sendJSON(res, 402, { error: verification.invalidReason ?? 'Payment verification failed' });
+  }
+  const settlement = await sim.settle(paymentPayload, requirements);
+  if (!settlement.success) {
+    log(`vendor ${type}: settle rejected — ${settlement.errorReason}`);
+    return sendJSON(res, 402, { error: settlement.errorReason ?? 'Settlement failed' });
+  }
+
+  log(`vendor ${type}: paid ${fromBaseUnits(BigInt(vendor.amount), USDC.decimals)} USDC by ${settlement.payer} tx=${settlement.transaction.slice(0, 14)}…`);
+  return sendJSON(res, 200, vendor.respond(body ?? {}), { 'PAYMENT-RESPONSE': encodePaymentResponseHeader(settlement) });
+}
+
+// ─── HTTP helpers ───────────────────────────────────────────────────────────
+
+function sendJSON(res, status, body, headers = {}) {
+  if (res.destroyed || res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve(null);
+      try { resolve(JSON.parse(text)); } catch (e) { reject(new Error('Request body is not valid JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// ─── Simulator ──────────────────────────────────────────────────────────────
+
+/**
+ * Create a simulator. Nothing listens until start().
+ *
+ * @param {object} [options]
+ * @param {number} [options.port]   — default 4404; 0 picks a free port
+ * @param {string} [options.host]   — default 127.0.0.1
+ * @param {object} [options.fund]   — { address: amount } — XRP for r-addresses, USDC for 0x
+ * @param {Array}  [options.inject] — [{ fault, count, stage, hangMs }] queued at start
+ * @param {boolean}[options.quiet]  — suppress per-request logging
+ */
+function createSimulator(options = {}) {
+  const { x402Facilitator } = require('@x402/core/facilitator');
+  const { ExactEvmScheme }  = require('@x402/evm/exact/facilitator');
+  const viem                = require('viem');
+
+  const ledger = createLedger();
+  const faults = createFaultQueue();
+  const timers = new Set();
+  const xrpl   = optionalRequire('xrpl');
+  const quiet  = options.quiet === true;
+
+  const facilitator = new x402Facilitator();
+  facilitator.register(BASE_NETWORK, new ExactEvmScheme(createEvmSigner(viem, ledger)));
+  if (xrpl) {
+    facilitator.register(XRPL_NETWORK, createXrplScheme(xrpl, ledger));
+  } else {
+    warn(`xrpl not installed — ${XRPL_NETWORK} scheme disabled (cd scripts && npm install)`);
+  }
+  facilitator.onAfterSettle(({ paymentPayload, requirements, result }) => {
+    ledger.receipts.push({
+      network:     result.network,
+      transaction: result.transaction,
+      payer:       result.payer ?? null,
+      pay_to:      requirements.payTo,
+      amount:      String(requirements.amount),
+      asset:       requirements.asset,
+      invoice_id:  paymentPayload.payload?.invoiceId ?? requirements.extra?.invoiceId ?? null,
+      ledger_index: requirements.network === XRPL_NETWORK ? ledger.ledgerIndex - 1 : null,
+      settled_at:  new Date().toISOString(),
+    });
+  });
+
+  for (const [address, amount] of Object.entries(options.fund ?? {})) fund(ledger, address, amount);
+  for (const f of options.inject ?? []) faults.add(f.fault, f);
+
+  const sim = {
+    ledger,
+    xrpl,
+    url:   null,
+    wsUrl: null,
+
+    /** Facilitator verify with any queued verify-stage fault applied first. */
+    async verify(paymentPayload, requirements) {
+      const fault = faults.take('verify');
+      if (fault?.fault === 'timeout') {
+        warn(`injected timeout — verify hangs ${fault.hangMs}ms`);
+        await sleep(fault.hangMs, timers);
+      } else if (fault) {
+        warn(`injected ${fault.fault} at verify`);
+        return { isValid: false, invalidReason: fault.fault };
+      }
+      return facilitator.verify(paymentPayload, requirements);
+    },
+
+    /** Facilitator settle with any queued settle-stage fault applied first. */
+    async settle(paymentPayload, requirements) {
+      const fault = faults.take('settle');
+      if (fault?.fault === 'timeout') {
+        warn(`injected timeout — settle hangs ${fault.hangMs}ms`);
+        await sleep(fault.hangMs, timers);
+      } else if (fault) {
+        warn(`injected ${fault.fault} at settle`);
+        return { success: false, errorReason: fault.fault, transaction: '', network: requirements.network };
+      }
+      return facilitator.settle(paymentPayload, requirements);
+    },
+
+    getSupported() { return facilitator.getSupported(); },
+    fund(address, amount) { fund(ledger, address, amount); },
+    inject(fault, opts) { faults.add(fault, opts); },
+    clearFaults() { faults.clear(); },
+    get receipts() { return ledger.receipts; },
+    state() { return { ...snapshot(ledger), faults: faults.list() }; },
+
+    start() {
+      return new Promise((resolve, reject) => {
+        sim.server.once('error', reject);
+        sim.server.listen(options.port ?? DEFAULT_PORT, options.host ?? '127.0.0.1', () => {
+          const { address, port } = sim.server.address();
+          sim.url   = `http://${address}:${port}`;
+          sim.wsUrl = `ws://${address}:${port}`;
+          resolve(sim);
+        });
+      });
+    },
+
+    stop() {
+      for (const t of timers) clearTimeout(t);
+      timers.clear();
+      for (const client of sim.wss?.clients ?? []) client.terminate();
+      sim.server.closeAllConnections();
+      return new Promise(resolve => sim.server.close(() => resolve()));
+    },
+  };
+
+  sim.server = http.createServer((req, res) => {
+    route(sim, req, res, quiet).catch(e => {
+      err(`${req.method} ${req.url}: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+    });
+  });
+  sim.wss = attachRippledSocket(sim, sim.server);
+  return sim;
+}
+
+async function route(sim, req, res, quiet) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!quiet) log(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname === '/supported') {
+    return sendJSON(res, 200, sim.getSupported());
+  }
+
+  if (req.method === 'POST' && (url.pathname === '/verify' || url.pathname === '/settle')) {
+    const body = await readJSON(req);
+    if (!body?.paymentPayload || !body?.paymentRequirements) {
+      return sendJSON(res, 400, { error: 'Body must be { paymentPayload, paymentRequirements }' });
+    }
+    try {
+      const result = url.pathname === '/verify'
+        ? await sim.verify(body.paymentPayload, body.paymentRequirements)
+        : await sim.settle(body.paymentPayload, body.paymentRequirements);
+      return sendJSON(res, 200, result);
+    } catch (e) {
+      // Unsupported scheme/network, aborted hooks — the hosted facilitator answers 400
+      return sendJSON(res, 400, { error: e.message });
+    }
+  }
+
+  // rippled JSON-RPC: { method, params: [ {...} ] }
+  if (req.method === 'POST' && url.pathname === '/') {
+    const body = await readJSON(req);
+    const answer = rippled(sim, { command: body?.method, ...(body?.params?.[0] ?? {}) });
+    return sendJSON(res, 200, {
+      result: answer.result ? { ...answer.result, status: 'success' } : { ...answer, status: 'error' },
+    });
+  }
+
+  const vendor = url.pathname.match(/^\/vendor\/([a-z0-9_-]+)$/);
+  if (req.method === 'POST' && vendor) return handleVendor(sim, req, res, vendor[1]);
+
+  if (url.pathname.startsWith('/__sim/')) {
+    const action = url.pathname.slice('/__sim/'.length);
+    if (req.method === 'GET' && action === 'state')    return sendJSON(res, 200, sim.state());
+    if (req.method === 'GET' && action === 'receipts') return sendJSON(res, 200, sim.receipts);
+    if (req.method === 'POST' && (action === 'fund' || action === 'inject')) {
+      const body = (await readJSON(req)) ?? {};
+      try {
+        if (action === 'fund') sim.fund(body.address, body.amount);
+        else sim.inject(body.fault, { count: body.count, stage: body.stage, hangMs: body.hang_ms });
+      } catch (e) {
+        return sendJSON(res, 400, { error: e.message });
+      }
+      return sendJSON(res, 200, sim.state());
+    }
+  }
+
+  return sendJSON(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+}
+
+// ─── Exports ────────────────────────────────────────────────────────────────
+
+module.exports = {
+  FAULTS,
+  USDC,
+  VENDOR_PAY_TO,
+  createSimulator,
+};
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const values = flag => args.flatMap((a, i) => (a === flag && args[i + 1] ? [args[i + 1]] : []));
+
+  const fundArgs = {};
+  for (const spec of values('--fund')) {
+    const [address, amount] = spec.split('=');
+    fundArgs[address] = amount;
+  }
+  const injectArgs = values('--inject').map(spec => {
+    const [fault, count] = spec.split(':');
+    return { fault, count: count ? parseInt(count, 10) : 1 };
+  });
+
+  let sim;
+  try {
+    sim = createSimulator({ port: Number(values('--port')[0] ?? DEFAULT_PORT), fund: fundArgs, inject: injectArgs });
+  } catch (e) {
+    err(e.message);
+    process.exit(1);
+  }
+
+  sim.start().then(() => {
+    console.log('\n━━━ Overwatch x402 Facilitator Simulator ━━━');
+    log(`Facilitator:   ${sim.url}            (XRPL_FACILITATOR_URL)`);
+    log(`rippled:       ${sim.wsUrl}  (XRPL_MAINNET_WS)`);
+    log(`Vendors:       ${Object.keys(VENDORS).map(v => `${sim.url}/vendor/${v}`).join('  ')}`);
+    log(`Networks:      ${sim.getSupported().kinds.map(k => k.network).join(', ')}`);
+    for (const [address, a] of Object.entries(snapshot(sim.ledger).accounts)) log(`Funded:        ${address}  ${a.balance_xrp} XRP`);
+    for (const [address, units] of Object.entries(snapshot(sim.ledger).usdc)) log(`Funded:        ${address}  ${units} USDC`);
+    for (const f of sim.state().faults) log(`Fault queued:  ${f.fault} ×${f.remaining} at ${f.stage}`);
+    console.log('');
+  }).catch(e => {
+    err(`Cannot listen: ${e.message}`);
+    process.exit(1);
+  });
+
+  const shutdown = () => sim.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -19,6 +19,8 @@
  * Required env vars (scripts/.env):
  *   XRPL_MERCHANT_ADDRESS   — mainnet XRP address to receive payments
  *   XRPL_FACILITATOR_URL    — T54 facilitator (default: mainnet)
+ *
+ * Offline: point XRPL_FACILITATOR_URL at x402-facilitator-sim.js.
  */
 
 const path   = require('path');
@@ -28,6 +30,7 @@ const crypto = require('crypto');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const express = require('express');
+const { ROOT_DIR } = require('./utils/paths');
 
 // ─── Config ────────────────────────────────────────────────────────────────
 
@@ -40,7 +43,7 @@ if (!MERCHANT_ADDRESS) {
 const FACILITATOR_URL  = process.env.XRPL_FACILITATOR_URL ?? 'https://xrpl-facilitator-mainnet.t54.ai';
 const NETWORK          = process.env.XRPL_NETWORK         ?? 'xrpl:0';
 const PORT             = Number(process.env.MERCHANT_PORT  ?? process.env.PORT ?? '4403');
-const DATA_FILE        = path.join(__dirname, '..', 'dashboard-data.json');
+const DATA_FILE        = path.join(ROOT_DIR, 'dashboard-data.json');
 
 const X402_VERSION     = 2;
 const SOURCE_TAG       = 804681468;
@@ -348,9 +351,10 @@ app.get('/api/v1/stress-report', makePaywallRoute(
 
 // ─── Start ─────────────────────────────────────────────────────────────────
 
-app.listen(PORT, '127.0.0.1', () => {
+// MERCHANT_PORT=0 picks a free port — the banner reports the one bound
+const server = app.listen(PORT, '127.0.0.1', () => {
   console.log('\n━━━ Overwatch x402 Merchant Server (XRPL mainnet) ━━━');
-  log(`Listening on   http://127.0.0.1:${PORT}`);
+  log(`Listening on   http://127.0.0.1:${server.address().port}`);
   log(`Network:       ${NETWORK}  |  Facilitator: ${FACILITATOR_URL}`);
   log(`Merchant:      ${MERCHANT_ADDRESS}`);
   log(`Endpoints:`);
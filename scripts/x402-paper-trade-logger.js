@@ -18,8 +18,9 @@
 
 const path = require('path');
 const fs   = require('fs');
+const { DATA_DIR } = require('./utils/paths');
 
-const PAPER_TRADE_PATH = path.join(__dirname, '..', 'data', 'x402-paper-trades.json');
+const PAPER_TRADE_PATH = path.join(DATA_DIR, 'x402-paper-trades.json');
 
 function log(msg)  { console.log(`[x402-logger] ${msg}`); }
 function warn(msg) { console.warn(`[x402-logger] WARN: ${msg}`); }
@@ -365,6 +365,7 @@ function detectSpendingBehavior(paperTradeLog, traceData, currentTensions, thesi
 
 module.exports = {
   detectSpendingBehavior,
+  getThresholds,
   // Individual detectors exported for testing
   detectReactiveAcquisition,
   detectAvoidanceSpending,